@@ -20,6 +20,10 @@ import TeamDetail from './pages/TeamDetail';
 import Competitions from './pages/Competitions';
 import Notes from './pages/Notes';
 import NoteDetail from './pages/NoteDetail';
+import Bets from './pages/Bets';
+import BetPerformance from './pages/BetPerformance';
+import BetAnalytics from './pages/BetAnalytics';
+import Bankrolls from './pages/Bankrolls';
 import AccountSettings from './pages/AccountSettings';
 import ModelPerformance from './pages/ModelPerformance';
 import ModelArchitecture from './pages/ModelArchitecture';
@@ -63,6 +67,38 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/bets"
+              element={
+                <ProtectedRoute>
+                  <Bets />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/bets/performance"
+              element={
+                <ProtectedRoute>
+                  <BetPerformance />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/bets/analytics"
+              element={
+                <ProtectedRoute>
+                  <BetAnalytics />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/bankrolls"
+              element={
+                <ProtectedRoute>
+                  <Bankrolls />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/settings"
               element={
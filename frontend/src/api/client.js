@@ -2,7 +2,7 @@
 // API CLIENT
 // ============================================
 // Wrapper for making API calls to the BetSmoke backend.
-// Handles base URL, headers, and token injection.
+// Handles base URL, headers, token injection and conditional requests.
 // ============================================
 
 const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3001';
@@ -16,6 +16,48 @@ const getStoredToken = () => {
   return localStorage.getItem('betsmoke_token');
 };
 
+// ============================================
+// HELPER: Build an error from an API response
+// ============================================
+// Error responses look like:
+//   { error: { code: 'NOT_FOUND', message: '...', requestId: '...', details } }
+// The thrown Error keeps the readable message (what the UI shows) and
+// exposes the rest, so callers can branch on err.code instead of text.
+
+const toApiError = (response, json) => {
+  const body = json?.error;
+  const error = new Error(body?.message || 'Request failed');
+
+  error.status = response.status;
+  error.code = body?.code || 'UNKNOWN_ERROR';
+  error.requestId = body?.requestId || response.headers.get('X-Request-Id');
+  error.details = body?.details;
+
+  return error;
+};
+
+// ============================================
+// CONDITIONAL REQUESTS
+// ============================================
+// Data routes send a strong ETag. We keep the last response per GET path
+// and send its ETag back as If-None-Match: when the data hasn't changed,
+// the server answers 304 with no body and we reuse our copy.
+// The browser's own HTTP cache stays bypassed (cache: 'no-store'), so we
+// still ask the server every time - logged-in users must get fresh data.
+
+const MAX_REMEMBERED_RESPONSES = 50;
+const rememberedResponses = new Map();  // path -> { etag, json }
+
+const rememberResponse = (path, etag, json) => {
+  // Re-insert so the Map stays in least-recently-used order
+  rememberedResponses.delete(path);
+  rememberedResponses.set(path, { etag, json });
+
+  if (rememberedResponses.size > MAX_REMEMBERED_RESPONSES) {
+    rememberedResponses.delete(rememberedResponses.keys().next().value);
+  }
+};
+
 // ============================================
 // HELPER: Make a request
 // ============================================
@@ -33,22 +75,40 @@ const request = async (method, path, data = null, token = null) => {
   const config = {
     method,
     headers,
-    // Prevent browser from returning cached responses (304)
-    // This ensures we always get fresh data from the server
+    // Bypass the browser's HTTP cache - we revalidate ourselves (see above)
     cache: 'no-store',
   };
 
+  const remembered = method === 'GET' ? rememberedResponses.get(path) : undefined;
+  if (remembered) {
+    headers['If-None-Match'] = remembered.etag;
+  }
+
   // Add body for POST/PUT/PATCH requests
   if (data && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
     config.body = JSON.stringify(data);
   }
 
   const response = await fetch(`${API_BASE}${path}`, config);
-  const json = await response.json();
 
-  // If response is not ok, throw error with message from API
+  // Not modified - reuse our copy (cloned, callers may mutate what they get)
+  if (response.status === 304 && remembered) {
+    rememberResponse(path, remembered.etag, remembered.json);
+    return structuredClone(remembered.json);
+  }
+
+  // Error pages from proxies etc. may not be JSON
+  const json = await response.json().catch(() => null);
+
+  // If response is not ok, throw error with message and code from API
   if (!response.ok) {
-    throw new Error(json.error || 'Request failed');
+    throw toApiError(response, json);
+  }
+
+  // Only strong ETags come from the data cache; weak ones aren't worth keeping
+  const etag = response.headers.get('ETag');
+  if (method === 'GET' && etag && !etag.startsWith('W/')) {
+    rememberResponse(path, etag, structuredClone(json));
   }
 
   return json;
@@ -146,6 +206,66 @@ export const notesApi = {
   delete: (id, token) => api.deleteAuth(`/notes/${id}`, token),
 };
 
+// ============================================
+// BETS API
+// ============================================
+
+export const betsApi = {
+  // status: 'open' | 'settled' | 'WON' | 'LOST' | 'VOID' (optional)
+  getAll: (token, status) => api.getAuth(`/bets${status ? `?status=${status}` : ''}`, token),
+  getById: (id, token) => api.getAuth(`/bets/${id}`, token),
+  create: (data, token) => api.postAuth('/bets', data, token),
+  update: (id, data, token) => api.putAuth(`/bets/${id}`, data, token),
+  delete: (id, token) => api.deleteAuth(`/bets/${id}`, token),
+  // Settle a selection by hand (status OPEN re-opens it)
+  settleSelection: (id, selectionId, status, token) =>
+    api.putAuth(`/bets/${id}/selections/${selectionId}`, { status }, token),
+  // Closing line value report; from/to are YYYY-MM-DD (optional)
+  getClv: (token, { from, to } = {}) => {
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    const query = params.toString();
+    return api.getAuth(`/bets/clv${query ? `?${query}` : ''}`, token);
+  },
+  // Performance analytics; from/to are YYYY-MM-DD, bankrollId a bankroll (all optional)
+  getAnalytics: (token, { from, to, bankrollId } = {}) => {
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (bankrollId) params.set('bankrollId', bankrollId);
+    const query = params.toString();
+    return api.getAuth(`/bets/analytics${query ? `?${query}` : ''}`, token);
+  },
+};
+
+// ============================================
+// BANKROLLS API (protected)
+// ============================================
+// Bankrolls with deposits/withdrawals and staking plans
+
+export const bankrollsApi = {
+  getAll: (token) => api.getAuth('/bankrolls', token),
+  getById: (id, token) => api.getAuth(`/bankrolls/${id}`, token),
+  create: (data, token) => api.postAuth('/bankrolls', data, token),
+  update: (id, data, token) => api.putAuth(`/bankrolls/${id}`, data, token),
+  delete: (id, token) => api.deleteAuth(`/bankrolls/${id}`, token),
+  // type: 'DEPOSIT' | 'WITHDRAWAL'
+  addTransaction: (id, data, token) => api.postAuth(`/bankrolls/${id}/transactions`, data, token),
+  deleteTransaction: (id, transactionId, token) =>
+    api.deleteAuth(`/bankrolls/${id}/transactions/${transactionId}`, token),
+  // Balance after each deposit, withdrawal and settled bet, with drawdown
+  getHistory: (id, token) => api.getAuth(`/bankrolls/${id}/history`, token),
+  // { odds, probability?, fixtureId?, marketId?, selectionKey?, units? }
+  suggestStake: (id, params, token) => {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') query.set(key, value);
+    });
+    return api.getAuth(`/bankrolls/${id}/stake-suggestion?${query}`, token);
+  },
+};
+
 // ============================================
 // PROTECTED DATA API (SportsMonks proxy)
 // ============================================
@@ -179,7 +299,20 @@ export const dataApi = {
   },
 
   // Odds
-  getOddsByFixture: (fixtureId) => api.getWithAuth(`/odds/fixtures/${fixtureId}`),
+  // Market -> selection -> price tree; optional filters are arrays of IDs
+  getOddsByFixture: (fixtureId, { markets, bookmakers } = {}) => {
+    const params = new URLSearchParams();
+    if (markets?.length) params.set('markets', markets.join(','));
+    if (bookmakers?.length) params.set('bookmakers', bookmakers.join(','));
+    const query = params.toString();
+    return api.getWithAuth(`/odds/fixtures/${fixtureId}${query ? `?${query}` : ''}`);
+  },
+  // Bookmaker margins and fair odds for one market
+  // method: 'proportional' | 'shin' | 'power' | 'odds-ratio'
+  getFairOdds: (fixtureId, marketId, method = 'proportional') =>
+    api.getWithAuth(`/odds/fixtures/${fixtureId}/markets/${marketId}/fair?method=${method}`),
+  // Recorded line movement (opening/latest/closing per selection and bookmaker)
+  getOddsHistory: (fixtureId) => api.getWithAuth(`/odds/fixtures/${fixtureId}/history`),
   getBookmakers: () => api.getWithAuth('/odds/bookmakers'),
   getMarkets: () => api.getWithAuth('/odds/markets'),
 
@@ -214,17 +347,50 @@ export const dataApi = {
 
   // Predictions
   getPredictions: (fixtureId) => api.getWithAuth(`/fixtures/${fixtureId}/predictions`),
+  // Our Poisson / Dixon-Coles model (same markets, percentages too)
+  getFixtureModel: (fixtureId) => api.getWithAuth(`/fixtures/${fixtureId}/model`),
 
   // Prediction Model Performance (accuracy stats by league)
   // leagueId: 8 (Premier League), 24 (FA Cup), 27 (Carabao Cup)
   getPredictability: (leagueId) => api.getWithAuth(`/predictions/predictability/leagues/${leagueId}`),
 
+  // Our own scoring of the predictions we recorded before kick-off
+  // (Brier score, log loss, reliability curve); from/to are YYYY-MM-DD (all optional)
+  getCalibration: ({ leagueId, from, to } = {}) => {
+    const params = new URLSearchParams();
+    if (leagueId) params.set('leagueId', leagueId);
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    const query = params.toString();
+    return api.getWithAuth(`/predictions/calibration${query ? `?${query}` : ''}`);
+  },
+
+  // Value bets: predictions vs. best bookmaker prices across a slate
+  // filters: { startDate, endDate, leagues: [], markets: [], minEdge, minOdds, maxOdds }
+  getValueBets: (filters = {}) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([name, value]) => {
+      if (value === undefined || value === null || value === '') return;
+      if (Array.isArray(value)) {
+        if (value.length) params.set(name, value.join(','));
+      } else {
+        params.set(name, value);
+      }
+    });
+    const query = params.toString();
+    return api.getWithAuth(`/value${query ? `?${query}` : ''}`);
+  },
+
   // Stages (for cup competitions - fixtures organized by stage/round)
   getStagesBySeason: (seasonId) => api.getWithAuth(`/fixtures/seasons/${seasonId}`),
 
   // Corner averages (calculated from historical fixtures, cached 12h)
   // Returns home/away/overall corner averages for a team in a season
   getTeamCornerAverages: (teamId, seasonId) => api.getWithAuth(`/teams/${teamId}/corners/seasons/${seasonId}`),
+
+  // Elo ratings (computed from the fixtures warehouse, all competitions)
+  getTeamRatingHistory: (teamId) => api.getWithAuth(`/teams/${teamId}/rating-history`),
+  getFixtureRatings: (fixtureId) => api.getWithAuth(`/ratings/fixtures/${fixtureId}`),
 };
 
 // ============================================
@@ -240,6 +406,10 @@ export const adminApi = {
   getCacheKeys: (token) => api.getAuth('/admin/cache/keys', token),
   flushCache: (token) => api.deleteAuth('/admin/cache/flush', token),
   flushCacheByPrefix: (prefix, token) => api.deleteAuth(`/admin/cache/prefix/${encodeURIComponent(prefix)}`, token),
+
+  // SportsMonks usage (granularity: 'hour' | 'day')
+  getSportsMonksUsage: (token, { granularity = 'hour', days = 1 } = {}) =>
+    api.getAuth(`/admin/sportsmonks/usage?granularity=${granularity}&days=${days}`, token),
 };
 
 export default api;
@@ -131,6 +131,7 @@ const ICONS = {
   'money': 'mdi:currency-usd',
   'trend-up': 'mdi:trending-up',
   'trend-down': 'mdi:trending-down',
+  'bet-slip': 'mdi:ticket-outline',
 
   // Notes
   'note': 'mdi:note-text-outline',
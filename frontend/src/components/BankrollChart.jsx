@@ -0,0 +1,145 @@
+// ============================================
+// BANKROLL CHART COMPONENT
+// ============================================
+// Balance of a bankroll over time, from the backend's bankroll history
+// (GET /bankrolls/:id/history).
+//
+// Features:
+// - Step line of the balance (it changes at deposits, withdrawals and
+//   settled bets, and holds in between)
+// - Dashed running peak; the shaded gap below it is the drawdown
+//
+// Usage:
+//   <BankrollChart
+//     points={history.points}   // [{ at, balance, peak, ... }]
+//     until={loadedAt}          // Timestamp the last balance holds until
+//     timezone="Europe/London"
+//   />
+// ============================================
+
+// Chart size in SVG units (scaled to the container width)
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = { top: 10, right: 12, bottom: 24, left: 48 };
+
+const BALANCE_COLOR = '#f59e0b';
+const PEAK_COLOR = '#9ca3af';
+const DRAWDOWN_COLOR = '#f87171';
+
+// ============================================
+// HELPER: Format a timestamp for the x axis
+// ============================================
+function formatTick(time, timezone) {
+  return new Date(time).toLocaleDateString('en-US', {
+    timeZone: timezone,
+    month: 'short',
+    day: 'numeric'
+  });
+}
+
+// ============================================
+// HELPER: Build a step-line SVG path
+// ============================================
+// Each value holds flat until the next point, then jumps
+function buildStepPath(points, x, y, field, endTime) {
+  return points
+    .map((point, i) => {
+      const time = new Date(point.at).getTime();
+      const next = points[i + 1] ? new Date(points[i + 1].at).getTime() : endTime;
+      const start = `${i === 0 ? 'M' : 'L'}${x(time).toFixed(1)},${y(point[field]).toFixed(1)}`;
+      return `${start} L${x(next).toFixed(1)},${y(point[field]).toFixed(1)}`;
+    })
+    .join(' ');
+}
+
+// ============================================
+// MAIN COMPONENT
+// ============================================
+const BankrollChart = ({ points, until, timezone }) => {
+  if (!points || points.length === 0) return null;
+
+  // ============================================
+  // SCALES
+  // ============================================
+  const times = points.map(point => new Date(point.at).getTime());
+  const values = points.flatMap(point => [point.balance, point.peak]);
+
+  // The line runs up to when the history was loaded: the balance still holds
+  const startTime = Math.min(...times);
+  const endTime = Math.max(until || 0, ...times);
+  const minValue = Math.min(0, ...values);
+  const maxValue = Math.max(...values);
+  const valuePadding = Math.max((maxValue - minValue) * 0.05, 1);
+  const low = minValue < 0 ? minValue - valuePadding : 0;
+  const high = maxValue + valuePadding;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (time) => PADDING.left + ((time - startTime) / (endTime - startTime || 1)) * plotWidth;
+  const y = (value) => PADDING.top + (1 - (value - low) / (high - low)) * plotHeight;
+
+  const yTicks = [0, 0.5, 1].map(f => low + (high - low) * f);
+  const xTicks = [startTime, (startTime + endTime) / 2, endTime];
+
+  const balancePath = buildStepPath(points, x, y, 'balance', endTime);
+  const peakPath = buildStepPath(points, x, y, 'peak', endTime);
+
+  // Drawdown area: along the peak, then back along the balance
+  const reversedBalance = [...points].reverse();
+  const drawdownPath = `${peakPath} ` + reversedBalance
+    .map((point, i) => {
+      const time = new Date(point.at).getTime();
+      const next = i === 0 ? endTime : new Date(reversedBalance[i - 1].at).getTime();
+      return `L${x(next).toFixed(1)},${y(point.balance).toFixed(1)} L${x(time).toFixed(1)},${y(point.balance).toFixed(1)}`;
+    })
+    .join(' ') + ' Z';
+
+  return (
+    <div>
+      {/* Chart */}
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label="Bankroll balance chart">
+        {yTicks.map(tick => (
+          <g key={tick}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(tick)} y2={y(tick)} stroke="#374151" strokeDasharray="3 3" />
+            <text x={PADDING.left - 6} y={y(tick) + 3} textAnchor="end" fontSize="10" fill="#9ca3af">
+              {Math.round(tick)}
+            </text>
+          </g>
+        ))}
+        {xTicks.map((tick, i) => (
+          <text
+            key={i}
+            x={x(tick)}
+            y={HEIGHT - 6}
+            textAnchor={i === 0 ? 'start' : i === xTicks.length - 1 ? 'end' : 'middle'}
+            fontSize="10"
+            fill="#9ca3af"
+          >
+            {formatTick(tick, timezone)}
+          </text>
+        ))}
+        <path d={drawdownPath} fill={DRAWDOWN_COLOR} opacity="0.2" />
+        <path d={peakPath} fill="none" stroke={PEAK_COLOR} strokeWidth="1" strokeDasharray="4 3" />
+        <path d={balancePath} fill="none" stroke={BALANCE_COLOR} strokeWidth="2" />
+      </svg>
+
+      {/* Legend */}
+      <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs">
+        <div className="flex items-center space-x-1.5">
+          <span className="inline-block w-3 h-0.5" style={{ backgroundColor: BALANCE_COLOR }} />
+          <span className="text-gray-300">Balance</span>
+        </div>
+        <div className="flex items-center space-x-1.5">
+          <span className="inline-block w-3 h-0.5" style={{ backgroundColor: PEAK_COLOR }} />
+          <span className="text-gray-300">Peak</span>
+        </div>
+        <div className="flex items-center space-x-1.5">
+          <span className="inline-block w-2 h-2" style={{ backgroundColor: DRAWDOWN_COLOR, opacity: 0.4 }} />
+          <span className="text-gray-300">Drawdown</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BankrollChart;
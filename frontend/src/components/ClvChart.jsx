@@ -0,0 +1,141 @@
+// ============================================
+// CLV CHART COMPONENT
+// ============================================
+// Closing line value of the user's bet selections over time, from the
+// backend's CLV report (GET /bets/clv).
+//
+// Features:
+// - One bar per selection (green above 0 = beat the closing price)
+// - Running average line: the trend that matters, individual bets are noisy
+//
+// Usage:
+//   <ClvChart
+//     timeline={report.timeline}   // [{ kickoffAt, fixtureName, selectionLabel, clv, averageClv }]
+//     timezone="Europe/London"
+//   />
+// ============================================
+
+// Chart size in SVG units (scaled to the container width)
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = { top: 10, right: 12, bottom: 24, left: 40 };
+
+const POSITIVE_COLOR = '#34d399';
+const NEGATIVE_COLOR = '#f87171';
+const AVERAGE_COLOR = '#f59e0b';
+
+// ============================================
+// HELPER: Format a kick-off for the x axis
+// ============================================
+function formatTick(time, timezone) {
+  return new Date(time).toLocaleDateString('en-US', {
+    timeZone: timezone,
+    month: 'short',
+    day: 'numeric'
+  });
+}
+
+// ============================================
+// MAIN COMPONENT
+// ============================================
+const ClvChart = ({ timeline, timezone }) => {
+  if (!timeline || timeline.length === 0) return null;
+
+  // ============================================
+  // SCALES
+  // ============================================
+  // Selections are spaced evenly (in kick-off order), so several bets on
+  // one matchday don't pile up on each other
+  const values = timeline.flatMap(point => [point.clv, point.averageClv]);
+  const maxAbs = Math.max(1, ...values.map(Math.abs));
+  const high = maxAbs * 1.1;
+  const low = -high;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const slot = plotWidth / timeline.length;
+  const barWidth = Math.max(1, Math.min(slot * 0.7, 24));
+  const x = (index) => PADDING.left + slot * (index + 0.5);
+  const y = (value) => PADDING.top + (1 - (value - low) / (high - low)) * plotHeight;
+
+  const yTicks = [low, 0, high];
+  const xTicks = timeline.length > 1 ? [0, timeline.length - 1] : [0];
+
+  const averagePath = timeline
+    .map((point, i) => `${i === 0 ? 'M' : 'L'}${x(i).toFixed(1)},${y(point.averageClv).toFixed(1)}`)
+    .join(' ');
+
+  const latest = timeline[timeline.length - 1];
+
+  return (
+    <div>
+      {/* Chart */}
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label="Closing line value chart">
+        {yTicks.map(tick => (
+          <g key={tick}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(tick)}
+              y2={y(tick)}
+              stroke={tick === 0 ? '#6b7280' : '#374151'}
+              strokeDasharray={tick === 0 ? undefined : '3 3'}
+            />
+            <text x={PADDING.left - 6} y={y(tick) + 3} textAnchor="end" fontSize="10" fill="#9ca3af">
+              {tick > 0 ? '+' : ''}{tick.toFixed(1)}%
+            </text>
+          </g>
+        ))}
+        {xTicks.map((index, i) => (
+          <text
+            key={index}
+            x={x(index)}
+            y={HEIGHT - 6}
+            textAnchor={xTicks.length === 1 ? 'middle' : i === 0 ? 'start' : 'end'}
+            fontSize="10"
+            fill="#9ca3af"
+          >
+            {formatTick(timeline[index].kickoffAt, timezone)}
+          </text>
+        ))}
+        {timeline.map((point, i) => (
+          <rect
+            key={i}
+            x={x(i) - barWidth / 2}
+            y={Math.min(y(point.clv), y(0))}
+            width={barWidth}
+            height={Math.abs(y(point.clv) - y(0))}
+            fill={point.clv >= 0 ? POSITIVE_COLOR : NEGATIVE_COLOR}
+            opacity="0.6"
+          >
+            <title>
+              {`${point.fixtureName} · ${point.selectionLabel}: ${point.clv > 0 ? '+' : ''}${point.clv.toFixed(2)}%`}
+            </title>
+          </rect>
+        ))}
+        <path d={averagePath} fill="none" stroke={AVERAGE_COLOR} strokeWidth="2" />
+      </svg>
+
+      {/* Legend */}
+      <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs">
+        <div className="flex items-center space-x-1.5">
+          <span className="inline-block w-3 h-0.5" style={{ backgroundColor: AVERAGE_COLOR }} />
+          <span className="text-gray-300">Running average</span>
+          <span className="text-gray-400">
+            ({latest.averageClv > 0 ? '+' : ''}{latest.averageClv.toFixed(2)}%)
+          </span>
+        </div>
+        <div className="flex items-center space-x-1.5">
+          <span className="inline-block w-2 h-2" style={{ backgroundColor: POSITIVE_COLOR }} />
+          <span className="text-gray-300">Beat the close</span>
+        </div>
+        <div className="flex items-center space-x-1.5">
+          <span className="inline-block w-2 h-2" style={{ backgroundColor: NEGATIVE_COLOR }} />
+          <span className="text-gray-300">Worse than the close</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ClvChart;
@@ -9,6 +9,9 @@
 // - All prediction types from SportsMonks
 // - Color-coded probability bars
 // - Betting insights
+// - Optional comparison with our own Poisson / Dixon-Coles model
+//   (backend: /fixtures/:id/model), plus its correct score matrix and
+//   Asian handicap lines
 //
 // Usage:
 //   <MatchPredictions 
@@ -569,6 +572,193 @@ function HalfTimeFullTimeSection({ predictions, homeTeam, awayTeam }) {
   );
 }
 
+// ============================================
+// MODEL COMPARISON SECTION
+// ============================================
+// SportsMonks and our model side by side, for the markets both price
+function ModelComparisonSection({ predictions, model, homeTeam, awayTeam }) {
+  const fulltimeResult = predictions.find(p => p.type_id === PREDICTION_TYPES.FULLTIME_RESULT);
+  const btts = predictions.find(p => p.type_id === PREDICTION_TYPES.BTTS);
+  const overTypes = {
+    1.5: PREDICTION_TYPES.OVER_UNDER_1_5,
+    2.5: PREDICTION_TYPES.OVER_UNDER_2_5,
+    3.5: PREDICTION_TYPES.OVER_UNDER_3_5,
+    4.5: PREDICTION_TYPES.OVER_UNDER_4_5,
+  };
+  const sportsMonksValue = (prediction, key) =>
+    prediction?.predictions?.[key] !== undefined ? parseFloat(prediction.predictions[key]) : null;
+
+  const { markets } = model;
+  const rows = [
+    { label: `${homeTeam?.name || 'Home'} win`, sportsMonks: sportsMonksValue(fulltimeResult, 'home'), ours: markets.fulltimeResult.home },
+    { label: 'Draw', sportsMonks: sportsMonksValue(fulltimeResult, 'draw'), ours: markets.fulltimeResult.draw },
+    { label: `${awayTeam?.name || 'Away'} win`, sportsMonks: sportsMonksValue(fulltimeResult, 'away'), ours: markets.fulltimeResult.away },
+    { label: 'BTTS', sportsMonks: sportsMonksValue(btts, 'yes'), ours: markets.btts.yes },
+    ...Object.entries(overTypes).map(([line, typeId]) => ({
+      label: `Over ${line}`,
+      sportsMonks: sportsMonksValue(predictions.find(p => p.type_id === typeId), 'yes'),
+      ours: markets.overUnder.find(o => o.line === Number(line))?.over ?? null,
+    })),
+  ];
+
+  return (
+    <div className="space-y-4">
+      {/* Expected goals and the fit behind them */}
+      <div className="grid grid-cols-2 gap-4 text-center">
+        <div className="bg-blue-900/30 rounded-lg p-3">
+          <div className="text-2xl font-bold text-blue-400">{model.expectedGoals.home.toFixed(2)}</div>
+          <div className="text-xs text-gray-400 mt-1">{homeTeam?.name || 'Home'} expected goals</div>
+          <div className="text-xs text-gray-500">
+            Attack {model.teams.home.attack.toFixed(2)} · Defence {model.teams.home.defence.toFixed(2)}
+          </div>
+        </div>
+        <div className="bg-red-900/30 rounded-lg p-3">
+          <div className="text-2xl font-bold text-red-400">{model.expectedGoals.away.toFixed(2)}</div>
+          <div className="text-xs text-gray-400 mt-1">{awayTeam?.name || 'Away'} expected goals</div>
+          <div className="text-xs text-gray-500">
+            Attack {model.teams.away.attack.toFixed(2)} · Defence {model.teams.away.defence.toFixed(2)}
+          </div>
+        </div>
+      </div>
+
+      {/* Market by market */}
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-xs text-gray-400 uppercase tracking-wider">
+            <th className="py-2 text-left font-semibold">Market</th>
+            <th className="py-2 text-right font-semibold">SportsMonks</th>
+            <th className="py-2 text-right font-semibold">Our model</th>
+            <th className="py-2 text-right font-semibold">Difference</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-700">
+          {rows.map(({ label, sportsMonks, ours }) => {
+            const difference = sportsMonks !== null && ours !== null ? ours - sportsMonks : null;
+            return (
+              <tr key={label}>
+                <td className="py-2 text-gray-300">{label}</td>
+                <td className="py-2 text-right text-gray-200">{sportsMonks === null ? '-' : `${sportsMonks.toFixed(1)}%`}</td>
+                <td className="py-2 text-right text-amber-400 font-medium">{ours === null ? '-' : `${ours.toFixed(1)}%`}</td>
+                <td className={`py-2 text-right ${difference > 0 ? 'text-green-400' : difference < 0 ? 'text-red-400' : 'text-gray-500'}`}>
+                  {difference === null ? '-' : `${difference > 0 ? '+' : ''}${difference.toFixed(1)}`}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="text-xs text-gray-500 text-center">
+        Our model: Dixon-Coles, fitted on {model.model.fixtures} finished fixtures of the season before kick-off
+        (home advantage ×{model.model.homeAdvantage.toFixed(2)}; attack and defence 1 = league average, defence above 1 concedes more)
+      </div>
+    </div>
+  );
+}
+
+// ============================================
+// MODEL CORRECT SCORE SECTION
+// ============================================
+// Our model's score matrix: home goals down, away goals across
+function ModelCorrectScoreSection({ model, homeTeam, awayTeam }) {
+  const { matrix, other, mostLikely } = model.markets.correctScore;
+  const highest = Math.max(...matrix.flat());
+
+  return (
+    <div className="space-y-4">
+      {/* Most likely scores */}
+      <div className="grid grid-cols-5 gap-2">
+        {mostLikely.map(({ score, home, away, probability }) => {
+          let bgColor = 'bg-gray-700';
+          let textColor = 'text-gray-100';
+          if (home > away) { bgColor = 'bg-blue-900/30'; textColor = 'text-blue-400'; }
+          else if (away > home) { bgColor = 'bg-red-900/30'; textColor = 'text-red-400'; }
+
+          return (
+            <div key={score} className={`${bgColor} rounded-lg p-2 text-center`}>
+              <div className={`text-lg font-bold ${textColor}`}>{score}</div>
+              <div className="text-xs text-gray-400">{probability.toFixed(1)}%</div>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Matrix */}
+      <div className="overflow-x-auto">
+        <table className="text-xs mx-auto">
+          <thead>
+            <tr>
+              <th className="p-1 text-gray-500 font-normal text-left">{homeTeam?.short_code || 'Home'} \ {awayTeam?.short_code || 'Away'}</th>
+              {matrix[0].map((_, away) => (
+                <th key={away} className="p-1 w-12 text-gray-400 font-semibold">{away}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {matrix.map((row, home) => (
+              <tr key={home}>
+                <th className="p-1 text-gray-400 font-semibold">{home}</th>
+                {row.map((probability, away) => (
+                  <td
+                    key={away}
+                    className="p-1 text-center text-gray-100 rounded"
+                    style={{ backgroundColor: `rgba(245, 158, 11, ${(probability / highest) * 0.6})` }}
+                  >
+                    {probability.toFixed(1)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="text-xs text-gray-500 text-center">
+        Percent. Any other score: {other.toFixed(1)}%
+      </div>
+    </div>
+  );
+}
+
+// ============================================
+// MODEL ASIAN HANDICAP SECTION
+// ============================================
+// Home handicap lines with win/push chances and fair odds (no margin)
+function ModelAsianHandicapSection({ model, homeTeam, awayTeam }) {
+  const formatLine = (line) => (line > 0 ? `+${line}` : `${line}`);
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-xs text-gray-400 uppercase tracking-wider">
+            <th className="py-2 text-left font-semibold">{homeTeam?.short_code || 'Home'} line</th>
+            <th className="py-2 text-right font-semibold">{homeTeam?.short_code || 'Home'} wins</th>
+            <th className="py-2 text-right font-semibold">Push</th>
+            <th className="py-2 text-right font-semibold">{awayTeam?.short_code || 'Away'} wins</th>
+            <th className="py-2 text-right font-semibold">Fair odds</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-700">
+          {model.markets.asianHandicap.map(({ line, homeWin, push, awayWin, homeOdds, awayOdds }) => (
+            <tr key={line}>
+              <td className="py-1.5 text-gray-300">{formatLine(line)}</td>
+              <td className="py-1.5 text-right text-blue-400">{homeWin.toFixed(1)}%</td>
+              <td className="py-1.5 text-right text-gray-400">{push > 0 ? `${push.toFixed(1)}%` : '-'}</td>
+              <td className="py-1.5 text-right text-red-400">{awayWin.toFixed(1)}%</td>
+              <td className="py-1.5 text-right text-gray-200">
+                {homeOdds ? homeOdds.toFixed(2) : '-'} / {awayOdds ? awayOdds.toFixed(2) : '-'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="text-xs text-gray-500 text-center mt-2">
+        Quarter lines split the stake over the two neighbouring lines, so a half win or half loss counts half.
+      </div>
+    </div>
+  );
+}
+
 // ============================================
 // MAIN MATCH PREDICTIONS COMPONENT
 // ============================================
@@ -577,6 +767,12 @@ export default function MatchPredictions({ fixtureId, homeTeam, awayTeam }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
+  // Our model - fetched the first time it's shown
+  const [showModel, setShowModel] = useState(false);
+  const [model, setModel] = useState(null);
+  const [modelLoading, setModelLoading] = useState(false);
+  const [modelError, setModelError] = useState(null);
+
   // Fetch predictions when component mounts or fixtureId changes
   useEffect(() => {
     const fetchPredictions = async () => {
@@ -599,6 +795,27 @@ export default function MatchPredictions({ fixtureId, homeTeam, awayTeam }) {
     fetchPredictions();
   }, [fixtureId]);
 
+  // Fetch our model when it's switched on (once per fixture)
+  useEffect(() => {
+    const fetchModel = async () => {
+      if (!showModel || !fixtureId || model?.fixtureId === Number(fixtureId)) return;
+
+      setModelLoading(true);
+      setModelError(null);
+
+      try {
+        const data = await dataApi.getFixtureModel(fixtureId);
+        setModel(data);
+      } catch (err) {
+        setModelError(err.message || 'Failed to load our model');
+      } finally {
+        setModelLoading(false);
+      }
+    };
+
+    fetchModel();
+  }, [fixtureId, showModel, model]);
+
   // Loading state
   if (loading) {
     return (
@@ -656,6 +873,14 @@ export default function MatchPredictions({ fixtureId, homeTeam, awayTeam }) {
             {predictions.length} markets
           </span>
         </div>
+        <button
+          onClick={() => setShowModel(!showModel)}
+          className={`inline-flex items-center gap-1.5 px-3 py-1.5 rounded-full text-sm font-medium transition-colors ${
+            showModel ? 'bg-amber-500 text-gray-900 hover:bg-amber-600' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+          }`}
+        >
+          <AppIcon name="chart" size="sm" /> {showModel ? 'Hide our model' : 'Compare with our model'}
+        </button>
       </div>
 
       {/* AI Predictions Info */}
@@ -692,6 +917,26 @@ export default function MatchPredictions({ fixtureId, homeTeam, awayTeam }) {
 
       {/* Accordion Sections */}
       <div className="space-y-3">
+        {/* Our model, side by side with SportsMonks */}
+        {showModel && (modelLoading || modelError || model?.fixtureId !== Number(fixtureId)) && (
+          <div className={`p-4 rounded-lg text-sm text-center ${modelError ? 'bg-red-900/30 text-red-400' : 'bg-gray-700 text-gray-400'}`}>
+            {modelError || <span className="animate-pulse">Fitting our model...</span>}
+          </div>
+        )}
+        {showModel && !modelLoading && !modelError && model?.fixtureId === Number(fixtureId) && (
+          <>
+            <AccordionSection title="SportsMonks vs Our Model" icon="chart" defaultOpen={true}>
+              <ModelComparisonSection predictions={predictions} model={model} homeTeam={homeTeam} awayTeam={awayTeam} />
+            </AccordionSection>
+            <AccordionSection title="Our Model: Correct Score" icon="target" defaultOpen={false}>
+              <ModelCorrectScoreSection model={model} homeTeam={homeTeam} awayTeam={awayTeam} />
+            </AccordionSection>
+            <AccordionSection title="Our Model: Asian Handicap" icon="odds" defaultOpen={false}>
+              <ModelAsianHandicapSection model={model} homeTeam={homeTeam} awayTeam={awayTeam} />
+            </AccordionSection>
+          </>
+        )}
+
         {/* Match Result - Default Open (most important) */}
         <AccordionSection title="Match Result" icon="soccer-ball" defaultOpen={true}>
           <MatchResultSection predictions={predictions} homeTeam={homeTeam} awayTeam={awayTeam} />
@@ -182,6 +182,11 @@ const Navbar = () => {
                 Notes
               </Link>
             )}
+            {isAuthenticated && (
+              <Link to="/bets" className="hover:text-amber-400 transition-colors">
+                Bets
+              </Link>
+            )}
 
             {/* "More" Dropdown */}
             <div className="relative" ref={dropdownRef}>
@@ -467,6 +472,16 @@ const Navbar = () => {
                 Notes
               </Link>
             )}
+            {isAuthenticated && (
+              <Link
+                to="/bets"
+                onClick={closeMobileMenu}
+                className="flex items-center py-2 text-white hover:text-amber-400 transition-colors"
+              >
+                <AppIcon name="bet-slip" size="md" className="mr-3 text-gray-400" />
+                Bets
+              </Link>
+            )}
 
             {/* More Section - Always visible */}
             <div className="border-t border-gray-700 pt-3">
@@ -0,0 +1,216 @@
+// ============================================
+// ODDS MOVEMENT CHART COMPONENT
+// ============================================
+// Line movement of one betting market, from the prices recorded by the
+// backend's snapshot-odds job (GET /odds/fixtures/:id/history).
+//
+// Features:
+// - One step line per selection (a price holds until it changes)
+// - Bookmaker picker (one bookmaker at a time, so lines stay readable)
+// - Opening → latest price per selection, with the change in percent
+//
+// Prices are shown in decimal odds: the movement is easiest to read there.
+//
+// Usage:
+//   <OddsMovementChart
+//     market={historyMarket}            // One entry of history.markets
+//     bookmakerNames={{ 2: 'bet365' }}
+//     formatLabel={(label) => label}
+//     timezone="Europe/London"
+//   />
+// ============================================
+
+import { useState, useMemo } from 'react';
+
+// Chart size in SVG units (scaled to the container width)
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = { top: 10, right: 12, bottom: 24, left: 40 };
+
+// More lines than this are unreadable
+const MAX_SELECTIONS = 6;
+
+// One color per selection, in order
+const LINE_COLORS = ['#f59e0b', '#60a5fa', '#34d399', '#f87171', '#a78bfa', '#f472b6'];
+
+// ============================================
+// HELPER: Format a timestamp for the x axis
+// ============================================
+function formatTick(time, timezone) {
+  return new Date(time).toLocaleString('en-US', {
+    timeZone: timezone,
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric'
+  });
+}
+
+// ============================================
+// HELPER: Build a step-line SVG path
+// ============================================
+// Each price is drawn flat until the next one, then jumps - odds don't
+// drift between snapshots, they change at one moment.
+function buildStepPath(points, x, y, endTime) {
+  return points
+    .map((point, i) => {
+      const time = new Date(point.recordedAt).getTime();
+      const next = points[i + 1] ? new Date(points[i + 1].recordedAt).getTime() : endTime;
+      const start = `${i === 0 ? 'M' : 'L'}${x(time).toFixed(1)},${y(point.value).toFixed(1)}`;
+      return `${start} L${x(next).toFixed(1)},${y(point.value).toFixed(1)}`;
+    })
+    .join(' ');
+}
+
+// ============================================
+// MAIN COMPONENT
+// ============================================
+const OddsMovementChart = ({ market, bookmakerNames = {}, formatLabel = (label) => label, timezone }) => {
+  // Bookmakers with history in this market
+  const bookmakerIds = useMemo(() => {
+    const ids = new Set();
+    market.selections.forEach(selection => {
+      selection.bookmakers.forEach(bm => ids.add(bm.bookmakerId));
+    });
+    return [...ids].sort((a, b) =>
+      (bookmakerNames[a] || '').localeCompare(bookmakerNames[b] || '')
+    );
+  }, [market, bookmakerNames]);
+
+  const [selectedBookmakerId, setSelectedBookmakerId] = useState(null);
+  const bookmakerId = bookmakerIds.includes(selectedBookmakerId) ? selectedBookmakerId : bookmakerIds[0];
+
+  // Selections priced by the chosen bookmaker, with their series
+  const lines = useMemo(() => {
+    return market.selections
+      .map(selection => ({
+        selection,
+        series: selection.bookmakers.find(bm => bm.bookmakerId === bookmakerId)
+      }))
+      .filter(line => line.series && line.series.points.length > 0)
+      .slice(0, MAX_SELECTIONS);
+  }, [market, bookmakerId]);
+
+  const selectionCount = market.selections.filter(selection =>
+    selection.bookmakers.some(bm => bm.bookmakerId === bookmakerId)
+  ).length;
+
+  if (lines.length === 0) return null;
+
+  // ============================================
+  // SCALES
+  // ============================================
+  const allPoints = lines.flatMap(line => line.series.points);
+  const times = allPoints.map(point => new Date(point.recordedAt).getTime());
+  const values = allPoints.map(point => point.value);
+
+  // Lines run up to now, so a price that hasn't moved still shows
+  const startTime = Math.min(...times);
+  const endTime = Math.max(Date.now(), ...times);
+  const minValue = Math.min(...values);
+  const maxValue = Math.max(...values);
+  const valuePadding = Math.max((maxValue - minValue) * 0.1, 0.05);
+  const low = Math.max(1, minValue - valuePadding);
+  const high = maxValue + valuePadding;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (time) => PADDING.left + ((time - startTime) / (endTime - startTime || 1)) * plotWidth;
+  const y = (value) => PADDING.top + (1 - (value - low) / (high - low)) * plotHeight;
+
+  const yTicks = [0, 0.5, 1].map(f => low + (high - low) * f);
+  const xTicks = [startTime, (startTime + endTime) / 2, endTime];
+
+  const selectionName = (selection) =>
+    [formatLabel(selection.label), selection.total, selection.handicap].filter(Boolean).join(' ');
+
+  return (
+    <div className="px-4 py-3 border-t border-gray-700">
+      {/* Header with bookmaker picker */}
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-xs font-medium text-gray-400 uppercase tracking-wide">
+          Line Movement (decimal)
+        </span>
+        {bookmakerIds.length > 1 && (
+          <select
+            value={bookmakerId}
+            onChange={(e) => setSelectedBookmakerId(parseInt(e.target.value))}
+            className="text-xs bg-gray-700 border border-gray-600 text-gray-200 rounded px-2 py-1"
+          >
+            {bookmakerIds.map(bmId => (
+              <option key={bmId} value={bmId}>
+                {bookmakerNames[bmId] || `Bookmaker ${bmId}`}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {/* Chart */}
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label="Odds movement chart">
+        {yTicks.map(tick => (
+          <g key={tick}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(tick)} y2={y(tick)} stroke="#374151" strokeDasharray="3 3" />
+            <text x={PADDING.left - 6} y={y(tick) + 3} textAnchor="end" fontSize="10" fill="#9ca3af">
+              {tick.toFixed(2)}
+            </text>
+          </g>
+        ))}
+        {xTicks.map((tick, i) => (
+          <text
+            key={i}
+            x={x(tick)}
+            y={HEIGHT - 6}
+            textAnchor={i === 0 ? 'start' : i === xTicks.length - 1 ? 'end' : 'middle'}
+            fontSize="10"
+            fill="#9ca3af"
+          >
+            {formatTick(tick, timezone)}
+          </text>
+        ))}
+        {lines.map((line, i) => (
+          <path
+            key={selectionName(line.selection)}
+            d={buildStepPath(line.series.points, x, y, endTime)}
+            fill="none"
+            stroke={LINE_COLORS[i % LINE_COLORS.length]}
+            strokeWidth="2"
+          />
+        ))}
+      </svg>
+
+      {/* Legend: opening → latest (change) */}
+      <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs">
+        {lines.map((line, i) => {
+          const { opening, latest, closing } = line.series;
+          const change = ((latest.value - opening.value) / opening.value) * 100;
+
+          return (
+            <div key={selectionName(line.selection)} className="flex items-center space-x-1.5">
+              <span className="inline-block w-3 h-0.5" style={{ backgroundColor: LINE_COLORS[i % LINE_COLORS.length] }} />
+              <span className="text-gray-300">{selectionName(line.selection)}</span>
+              <span className="text-gray-400">
+                {opening.value.toFixed(2)} → {latest.value.toFixed(2)}
+              </span>
+              {change !== 0 && (
+                <span className={change < 0 ? 'text-green-400' : 'text-red-400'}>
+                  ({change > 0 ? '+' : ''}{change.toFixed(1)}%)
+                </span>
+              )}
+              {closing && (
+                <span className="text-gray-500">close {closing.value.toFixed(2)}</span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {selectionCount > lines.length && (
+        <p className="text-xs text-gray-500 mt-1">
+          Showing {lines.length} of {selectionCount} selections
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default OddsMovementChart;
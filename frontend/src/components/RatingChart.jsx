@@ -0,0 +1,137 @@
+// ============================================
+// RATING CHART COMPONENT
+// ============================================
+// A team's Elo rating over time, from the backend's rating history
+// (GET /teams/:id/rating-history).
+//
+// Features:
+// - Line of the rating after each fixture, from its starting rating
+// - One dot per fixture, colored by result (win / draw / loss)
+// - Dashed line at the starting rating
+//
+// Usage:
+//   <RatingChart
+//     history={ratings.history}       // [{ playedAt, ratingBefore, ratingAfter, result, ... }]
+//     startingRating={ratings.team.startingRating}
+//     timezone="Europe/London"
+//   />
+// ============================================
+
+// Chart size in SVG units (scaled to the container width)
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = { top: 10, right: 12, bottom: 24, left: 48 };
+
+const RATING_COLOR = '#f59e0b';
+const START_COLOR = '#9ca3af';
+const RESULT_COLORS = { W: '#22c55e', D: '#9ca3af', L: '#ef4444' };
+
+// ============================================
+// HELPER: Format a timestamp for the x axis
+// ============================================
+function formatTick(time, timezone) {
+  return new Date(time).toLocaleDateString('en-US', {
+    timeZone: timezone,
+    month: 'short',
+    year: '2-digit'
+  });
+}
+
+// ============================================
+// MAIN COMPONENT
+// ============================================
+const RatingChart = ({ history, startingRating, timezone }) => {
+  if (!history || history.length === 0) return null;
+
+  // ============================================
+  // SCALES
+  // ============================================
+  // The line starts at the first fixture's rating before kick-off
+  const points = [
+    { time: new Date(history[0].playedAt).getTime(), rating: history[0].ratingBefore, result: null },
+    ...history.map(change => ({ time: new Date(change.playedAt).getTime(), rating: change.ratingAfter, result: change.result }))
+  ];
+
+  const ratings = [...points.map(point => point.rating), startingRating];
+  const startTime = points[0].time;
+  const endTime = points[points.length - 1].time;
+  const minValue = Math.min(...ratings);
+  const maxValue = Math.max(...ratings);
+  const valuePadding = Math.max((maxValue - minValue) * 0.1, 10);
+  const low = minValue - valuePadding;
+  const high = maxValue + valuePadding;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  // Fixtures are spaced evenly: seasons have long gaps between them
+  const x = (index) => PADDING.left + (index / (points.length - 1 || 1)) * plotWidth;
+  const y = (value) => PADDING.top + (1 - (value - low) / (high - low)) * plotHeight;
+
+  const yTicks = [0, 0.5, 1].map(f => low + (high - low) * f);
+  const xTicks = [startTime, endTime];
+
+  const ratingPath = points
+    .map((point, i) => `${i === 0 ? 'M' : 'L'}${x(i).toFixed(1)},${y(point.rating).toFixed(1)}`)
+    .join(' ');
+
+  return (
+    <div>
+      {/* Chart */}
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label="Team rating chart">
+        {yTicks.map(tick => (
+          <g key={tick}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(tick)} y2={y(tick)} stroke="#374151" strokeDasharray="3 3" />
+            <text x={PADDING.left - 6} y={y(tick) + 3} textAnchor="end" fontSize="10" fill="#9ca3af">
+              {Math.round(tick)}
+            </text>
+          </g>
+        ))}
+        {xTicks.map((tick, i) => (
+          <text
+            key={i}
+            x={i === 0 ? x(0) : x(points.length - 1)}
+            y={HEIGHT - 6}
+            textAnchor={i === 0 ? 'start' : 'end'}
+            fontSize="10"
+            fill="#9ca3af"
+          >
+            {formatTick(tick, timezone)}
+          </text>
+        ))}
+        <line
+          x1={PADDING.left}
+          x2={WIDTH - PADDING.right}
+          y1={y(startingRating)}
+          y2={y(startingRating)}
+          stroke={START_COLOR}
+          strokeWidth="1"
+          strokeDasharray="4 3"
+        />
+        <path d={ratingPath} fill="none" stroke={RATING_COLOR} strokeWidth="2" />
+        {points.map((point, i) => point.result && (
+          <circle key={i} cx={x(i)} cy={y(point.rating)} r="2.5" fill={RESULT_COLORS[point.result]} />
+        ))}
+      </svg>
+
+      {/* Legend */}
+      <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs">
+        <div className="flex items-center space-x-1.5">
+          <span className="inline-block w-3 h-0.5" style={{ backgroundColor: RATING_COLOR }} />
+          <span className="text-gray-300">Rating</span>
+        </div>
+        <div className="flex items-center space-x-1.5">
+          <span className="inline-block w-3 h-0.5" style={{ backgroundColor: START_COLOR }} />
+          <span className="text-gray-300">Starting rating</span>
+        </div>
+        {Object.entries({ W: 'Win', D: 'Draw', L: 'Loss' }).map(([result, label]) => (
+          <div key={result} className="flex items-center space-x-1.5">
+            <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: RESULT_COLORS[result] }} />
+            <span className="text-gray-300">{label}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RatingChart;
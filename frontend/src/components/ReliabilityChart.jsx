@@ -0,0 +1,110 @@
+// ============================================
+// RELIABILITY CHART COMPONENT
+// ============================================
+// Calibration of one prediction market, from the backend's calibration
+// report (GET /predictions/calibration).
+//
+// Features:
+// - Mean forecast probability (x) against how often it happened (y),
+//   one dot per non-empty 10% bucket, sized by its number of forecasts
+// - Dashed diagonal: perfect calibration (dots above it = the outcome
+//   happened more often than forecast)
+//
+// Usage:
+//   <ReliabilityChart
+//     buckets={market.buckets}   // [{ from, to, count, meanPredicted, observed }]
+//   />
+// ============================================
+
+// Chart size in SVG units (scaled to the container width)
+const SIZE = 220;
+const PADDING = { top: 10, right: 10, bottom: 28, left: 36 };
+const PLOT_SIZE = SIZE - PADDING.left - PADDING.right;
+const HEIGHT = PADDING.top + PLOT_SIZE + PADDING.bottom;
+
+const CURVE_COLOR = '#f59e0b';
+const DIAGONAL_COLOR = '#9ca3af';
+
+const TICKS = [0, 0.25, 0.5, 0.75, 1];
+
+// ============================================
+// MAIN COMPONENT
+// ============================================
+const ReliabilityChart = ({ buckets }) => {
+  const points = (buckets || []).filter(bucket => bucket.count > 0);
+  if (points.length === 0) return null;
+
+  // ============================================
+  // SCALES
+  // ============================================
+  const x = (value) => PADDING.left + value * PLOT_SIZE;
+  const y = (value) => PADDING.top + (1 - value) * PLOT_SIZE;
+
+  // Dot radius grows with the square root of the forecasts in the bucket
+  const maxCount = Math.max(...points.map(bucket => bucket.count));
+  const radius = (count) => 2 + 4 * Math.sqrt(count / maxCount);
+
+  const curvePath = points
+    .map((bucket, i) => `${i === 0 ? 'M' : 'L'}${x(bucket.meanPredicted).toFixed(1)},${y(bucket.observed).toFixed(1)}`)
+    .join(' ');
+
+  return (
+    <div>
+      {/* Chart */}
+      <svg viewBox={`0 0 ${SIZE} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label="Reliability chart">
+        {TICKS.map(tick => (
+          <g key={tick}>
+            <line x1={x(0)} x2={x(1)} y1={y(tick)} y2={y(tick)} stroke="#374151" strokeDasharray="3 3" />
+            <text x={x(0) - 5} y={y(tick) + 3} textAnchor="end" fontSize="9" fill="#9ca3af">
+              {Math.round(tick * 100)}%
+            </text>
+            <text x={x(tick)} y={y(0) + 12} textAnchor="middle" fontSize="9" fill="#9ca3af">
+              {Math.round(tick * 100)}%
+            </text>
+          </g>
+        ))}
+        <text x={x(0.5)} y={y(0) + 24} textAnchor="middle" fontSize="9" fill="#6b7280">
+          Forecast probability
+        </text>
+        <line
+          x1={x(0)}
+          x2={x(1)}
+          y1={y(0)}
+          y2={y(1)}
+          stroke={DIAGONAL_COLOR}
+          strokeWidth="1"
+          strokeDasharray="4 3"
+        />
+        <path d={curvePath} fill="none" stroke={CURVE_COLOR} strokeWidth="1.5" />
+        {points.map(bucket => (
+          <circle
+            key={bucket.from}
+            cx={x(bucket.meanPredicted)}
+            cy={y(bucket.observed)}
+            r={radius(bucket.count)}
+            fill={CURVE_COLOR}
+            fillOpacity="0.8"
+          >
+            <title>
+              {`Forecast ${Math.round(bucket.meanPredicted * 100)}%, happened ${Math.round(bucket.observed * 100)}% (${bucket.count} forecasts)`}
+            </title>
+          </circle>
+        ))}
+      </svg>
+
+      {/* Legend */}
+      <div className="flex flex-wrap gap-x-4 gap-y-1 mt-1 text-xs">
+        <div className="flex items-center space-x-1.5">
+          <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: CURVE_COLOR }} />
+          <span className="text-gray-300">Observed frequency</span>
+        </div>
+        <div className="flex items-center space-x-1.5">
+          <span className="inline-block w-3 h-0.5" style={{ backgroundColor: DIAGONAL_COLOR }} />
+          <span className="text-gray-300">Perfect calibration</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReliabilityChart;
@@ -0,0 +1,243 @@
+// ============================================
+// VALUE BETS COMPONENT
+// ============================================
+// Ranks value opportunities across the fixture slate: selections whose
+// best bookmaker price is higher than the SportsMonks prediction model
+// says it should be (backend: GET /value).
+//
+// Features:
+// - Filters: market, minimum edge, odds range
+// - One row per opportunity, best expected value first
+// - Prices in the user's odds format
+//
+// Usage:
+//   <ValueBets
+//     dateRange={{ startDate: '2026-10-19', endDate: '2026-11-01' }}
+//     timezone="Europe/London"
+//     dateFormat="EU"
+//     oddsFormat="DECIMAL"
+//   />
+// ============================================
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { dataApi } from '../api/client';
+import AppIcon from './AppIcon';
+import { formatTime, formatShortDate, formatDecimalOdds } from '../utils/formatters';
+
+// Markets the backend can compare with predictions
+const MARKET_OPTIONS = [
+  { value: '', label: 'All markets' },
+  { value: '1', label: 'Fulltime Result' },
+  { value: '63', label: 'Double Chance' },
+  { value: '14', label: 'Both Teams To Score' },
+  { value: '12', label: 'Goals Over/Under' }
+];
+
+// Readable names of the canonical selection keys
+const SELECTION_NAMES = {
+  1: 'Home',
+  X: 'Draw',
+  2: 'Away',
+  '1X': 'Home or Draw',
+  12: 'Home or Away',
+  X2: 'Draw or Away',
+  yes: 'Yes',
+  no: 'No'
+};
+
+// ============================================
+// HELPER: Readable selection name
+// ============================================
+// "over_2.5" -> "Over 2.5"
+function selectionName(key) {
+  if (SELECTION_NAMES[key]) return SELECTION_NAMES[key];
+
+  const [side, line] = key.split('_');
+  return line ? `${side.charAt(0).toUpperCase()}${side.slice(1)} ${line}` : key;
+}
+
+// ============================================
+// MAIN COMPONENT
+// ============================================
+const ValueBets = ({ dateRange, timezone, dateFormat, oddsFormat }) => {
+  const [market, setMarket] = useState('');
+  const [minEdge, setMinEdge] = useState('2');
+  const [minOdds, setMinOdds] = useState('');
+  const [maxOdds, setMaxOdds] = useState('');
+
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // ============================================
+  // FETCH OPPORTUNITIES WHEN FILTERS CHANGE (debounced)
+  // ============================================
+  useEffect(() => {
+    if (!dateRange.startDate || !dateRange.endDate) return;
+
+    const fetchValueBets = async () => {
+      setLoading(true);
+      setError('');
+
+      try {
+        const data = await dataApi.getValueBets({
+          startDate: dateRange.startDate,
+          endDate: dateRange.endDate,
+          markets: market ? [market] : [],
+          minEdge,
+          minOdds,
+          maxOdds
+        });
+        setResult(data);
+      } catch (err) {
+        console.error('Failed to fetch value bets:', err);
+        setError(err.message || 'Failed to load value bets');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    // Wait for typing in the number inputs to settle
+    const timer = setTimeout(fetchValueBets, 400);
+    return () => clearTimeout(timer);
+  }, [dateRange.startDate, dateRange.endDate, market, minEdge, minOdds, maxOdds]);
+
+  const opportunities = result?.opportunities || [];
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-gray-100 flex items-center gap-2">
+          <AppIcon name="trend-up" size="lg" /> Value Bets
+        </h2>
+        {result && (
+          <div className="text-sm text-gray-400 text-right">
+            {result.fixturesScanned} fixtures scanned
+            {result.truncated && <div className="text-xs text-gray-500">(soonest only)</div>}
+          </div>
+        )}
+      </div>
+
+      <p className="text-sm text-gray-400 mb-4">
+        Selections where the best bookmaker price is higher than the SportsMonks prediction implies.
+        Edge is the model probability minus the price&apos;s implied probability; EV is the expected
+        return of a 1 unit stake if the model is right.
+      </p>
+
+      {/* Filters */}
+      <div className="flex flex-wrap items-end gap-3 mb-4">
+        <label className="text-xs text-gray-400">
+          Market
+          <select
+            value={market}
+            onChange={(e) => setMarket(e.target.value)}
+            className="block mt-1 text-sm bg-gray-700 border border-gray-600 text-gray-200 rounded px-2 py-1"
+          >
+            {MARKET_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-gray-400">
+          Min edge (%)
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={minEdge}
+            onChange={(e) => setMinEdge(e.target.value)}
+            className="block mt-1 w-24 text-sm bg-gray-700 border border-gray-600 text-gray-200 rounded px-2 py-1"
+          />
+        </label>
+        <label className="text-xs text-gray-400">
+          Min odds (decimal)
+          <input
+            type="number"
+            min="1"
+            step="0.1"
+            value={minOdds}
+            onChange={(e) => setMinOdds(e.target.value)}
+            className="block mt-1 w-24 text-sm bg-gray-700 border border-gray-600 text-gray-200 rounded px-2 py-1"
+          />
+        </label>
+        <label className="text-xs text-gray-400">
+          Max odds (decimal)
+          <input
+            type="number"
+            min="1"
+            step="0.1"
+            value={maxOdds}
+            onChange={(e) => setMaxOdds(e.target.value)}
+            className="block mt-1 w-24 text-sm bg-gray-700 border border-gray-600 text-gray-200 rounded px-2 py-1"
+          />
+        </label>
+      </div>
+
+      {error && (
+        <div className="bg-red-900/30 text-red-400 p-4 rounded-md mb-4">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="text-center py-12 text-gray-400">
+          Scanning fixtures...
+        </div>
+      ) : opportunities.length === 0 ? (
+        <div className="bg-gray-700 rounded-lg p-8 text-center text-gray-400">
+          No value bets match these filters.
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-gray-400 uppercase border-b border-gray-700">
+                <th className="text-left py-2 pr-3">Kick-off</th>
+                <th className="text-left py-2 pr-3">Fixture</th>
+                <th className="text-left py-2 pr-3">Selection</th>
+                <th className="text-right py-2 pr-3">Best price</th>
+                <th className="text-right py-2 pr-3">Model</th>
+                <th className="text-right py-2 pr-3">Implied</th>
+                <th className="text-right py-2 pr-3">Edge</th>
+                <th className="text-right py-2">EV</th>
+              </tr>
+            </thead>
+            <tbody>
+              {opportunities.map(bet => (
+                <tr
+                  key={`${bet.fixtureId}-${bet.marketId}-${bet.selection.key}`}
+                  className="border-b border-gray-700/50 hover:bg-gray-700/40"
+                >
+                  <td className="py-2 pr-3 text-gray-400 whitespace-nowrap">
+                    {formatShortDate(bet.startingAt, timezone, dateFormat)} {formatTime(bet.startingAt, timezone)}
+                  </td>
+                  <td className="py-2 pr-3">
+                    <Link to={`/fixtures/${bet.fixtureId}`} className="text-gray-200 hover:text-amber-400">
+                      {bet.fixtureName}
+                    </Link>
+                    {bet.league.name && <div className="text-xs text-gray-500">{bet.league.name}</div>}
+                  </td>
+                  <td className="py-2 pr-3">
+                    <div className="text-gray-200">{selectionName(bet.selection.key)}</div>
+                    <div className="text-xs text-gray-500">{bet.marketName}</div>
+                  </td>
+                  <td className="py-2 pr-3 text-right">
+                    <div className="font-bold text-amber-500">{formatDecimalOdds(bet.best.decimal, oddsFormat)}</div>
+                    <div className="text-xs text-gray-500">{bet.best.bookmakerName}</div>
+                  </td>
+                  <td className="py-2 pr-3 text-right text-gray-300">{(bet.modelProbability * 100).toFixed(1)}%</td>
+                  <td className="py-2 pr-3 text-right text-gray-400">{(bet.impliedProbability * 100).toFixed(1)}%</td>
+                  <td className="py-2 pr-3 text-right text-green-400">+{bet.edge.toFixed(1)}</td>
+                  <td className="py-2 text-right font-medium text-green-400">+{bet.expectedValue.toFixed(1)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ValueBets;
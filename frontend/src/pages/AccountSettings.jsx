@@ -57,6 +57,7 @@ const AccountSettings = () => {
   const [timezone, setTimezone] = useState(user?.timezone || 'America/New_York');
   const [dateFormat, setDateFormat] = useState(user?.dateFormat || 'US');
   const [temperatureUnit, setTemperatureUnit] = useState(user?.temperatureUnit || 'FAHRENHEIT');
+  const [unitSize, setUnitSize] = useState(String(user?.unitSize ?? 10));
   const [timezoneOptions, setTimezoneOptions] = useState([]);
   const [preferencesLoading, setPreferencesLoading] = useState(false);
   const [preferencesSuccess, setPreferencesSuccess] = useState('');
@@ -125,6 +126,7 @@ const AccountSettings = () => {
       setTimezone(user.timezone || 'America/New_York');
       setDateFormat(user.dateFormat || 'US');
       setTemperatureUnit(user.temperatureUnit || 'FAHRENHEIT');
+      setUnitSize(String(user.unitSize ?? 10));
     }
   }, [user]);
 
@@ -137,10 +139,17 @@ const AccountSettings = () => {
     e.preventDefault();
     setPreferencesError('');
     setPreferencesSuccess('');
+
+    const parsedUnitSize = parseFloat(unitSize);
+    if (!(parsedUnitSize > 0)) {
+      setPreferencesError('Unit size must be a positive number');
+      return;
+    }
+
     setPreferencesLoading(true);
 
     try {
-      await updatePreferences({ oddsFormat, timezone, dateFormat, temperatureUnit });
+      await updatePreferences({ oddsFormat, timezone, dateFormat, temperatureUnit, unitSize: parsedUnitSize });
       setPreferencesSuccess('Preferences saved successfully!');
     } catch (err) {
       setPreferencesError(err.message || 'Failed to save preferences');
@@ -333,6 +342,25 @@ const AccountSettings = () => {
             </select>
           </div>
 
+          {/* Unit Size */}
+          <div>
+            <label htmlFor="unitSize" className="block text-sm font-medium text-gray-300 mb-1">
+              Unit Size
+            </label>
+            <input
+              id="unitSize"
+              type="number"
+              min="0.01"
+              step="0.01"
+              value={unitSize}
+              onChange={(e) => setUnitSize(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Stake of one unit for flat staking plans (bankrolls can override it)
+            </p>
+          </div>
+
           {/* Messages */}
           {preferencesError && (
             <div className="bg-red-900/30 text-red-400 p-3 rounded-md text-sm">
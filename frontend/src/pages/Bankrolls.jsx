@@ -0,0 +1,701 @@
+// ============================================
+// BANKROLLS PAGE
+// ============================================
+// Named bankrolls the user bets from (backend: /bankrolls):
+// - Balance, available money (less open stakes) and profit per bankroll
+// - Deposits and withdrawals
+// - Balance history chart with growth and drawdown
+// - Staking plan (flat units, % of balance or fractional Kelly) and a
+//   stake calculator for a price
+//
+// Bets are assigned to a bankroll when they're logged (Bets page).
+// ============================================
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { bankrollsApi } from '../api/client';
+import AppIcon from '../components/AppIcon';
+import BankrollChart from '../components/BankrollChart';
+import { formatShortDate } from '../utils/formatters';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const STAKING_PLANS = [
+  { value: 'FLAT', label: 'Flat units' },
+  { value: 'PERCENTAGE', label: '% of balance' },
+  { value: 'KELLY', label: 'Fractional Kelly' }
+];
+
+// ============================================
+// HELPERS
+// ============================================
+
+// ISO date-time -> SportsMonks style "2026-10-24 15:00:00" (what the formatters expect)
+const toSportsMonksTime = (iso) => iso?.replace('T', ' ').slice(0, 19);
+
+// 12.5 -> "12.50", with a sign for profit figures
+const formatMoney = (value, signed = false) => {
+  if (value === null || value === undefined) return '-';
+  const text = Math.abs(value).toFixed(2);
+  if (!signed || value === 0) return value < 0 ? `-${text}` : text;
+  return value > 0 ? `+${text}` : `-${text}`;
+};
+
+const profitClass = (value) =>
+  value > 0 ? 'text-green-400' : value < 0 ? 'text-red-400' : 'text-gray-100';
+
+// One-line description of a bankroll's staking plan
+const describePlan = (bankroll) => {
+  const cap = bankroll.maxStakePercent ? `, max ${bankroll.maxStakePercent}%` : '';
+  if (bankroll.stakingPlan === 'PERCENTAGE') return `${bankroll.stakePercent}% of balance${cap}`;
+  if (bankroll.stakingPlan === 'KELLY') return `${bankroll.kellyFraction * 100}% Kelly${cap}`;
+  return `Flat, 1 unit = ${formatMoney(bankroll.unitSize)}${bankroll.usesDefaultUnitSize ? ' (default)' : ''}${cap}`;
+};
+
+// Optional number input -> number, or null when empty
+const optionalNumber = (value) => (value === '' ? null : parseFloat(value));
+
+// ============================================
+// SUMMARY CARD
+// ============================================
+const SummaryCard = ({ label, value, sub, valueClass = 'text-gray-100' }) => (
+  <div className="bg-gray-800 rounded-lg shadow-md p-4">
+    <div className="text-xs text-gray-400 uppercase tracking-wide">{label}</div>
+    <div className={`text-2xl font-bold mt-1 ${valueClass}`}>{value}</div>
+    {sub && <div className="text-xs text-gray-500 mt-1">{sub}</div>}
+  </div>
+);
+
+// ============================================
+// BANKROLL MODAL (create / edit)
+// ============================================
+const BankrollModal = ({ bankroll, onSave, onCancel, saving }) => {
+  const [name, setName] = useState(bankroll?.name || '');
+  const [stakingPlan, setStakingPlan] = useState(bankroll?.stakingPlan || 'FLAT');
+  const [unitSize, setUnitSize] = useState(bankroll && !bankroll.usesDefaultUnitSize ? String(bankroll.unitSize) : '');
+  const [stakePercent, setStakePercent] = useState(String(bankroll?.stakePercent ?? 2));
+  const [kellyPercent, setKellyPercent] = useState(String((bankroll?.kellyFraction ?? 0.25) * 100));
+  const [maxStakePercent, setMaxStakePercent] = useState(bankroll?.maxStakePercent ? String(bankroll.maxStakePercent) : '');
+  const [initialDeposit, setInitialDeposit] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      name: name.trim(),
+      stakingPlan,
+      unitSize: optionalNumber(unitSize),
+      stakePercent: parseFloat(stakePercent),
+      kellyFraction: parseFloat(kellyPercent) / 100,
+      maxStakePercent: optionalNumber(maxStakePercent),
+      ...(!bankroll && initialDeposit && { initialDeposit: parseFloat(initialDeposit) })
+    });
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-800 rounded-lg shadow-xl w-full max-w-md max-h-[90vh] overflow-y-auto">
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <h2 className="text-xl font-bold text-gray-100">{bankroll ? 'Edit Bankroll' : 'New Bankroll'}</h2>
+
+          <div>
+            <label htmlFor="bankrollName" className="block text-sm font-medium text-gray-300 mb-1">Name</label>
+            <input
+              id="bankrollName"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              required
+              maxLength={100}
+              className={inputClass}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="stakingPlan" className="block text-sm font-medium text-gray-300 mb-1">Staking Plan</label>
+            <select id="stakingPlan" value={stakingPlan} onChange={(e) => setStakingPlan(e.target.value)} className={inputClass}>
+              {STAKING_PLANS.map(plan => (
+                <option key={plan.value} value={plan.value}>{plan.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {stakingPlan === 'FLAT' && (
+            <div>
+              <label htmlFor="unitSize" className="block text-sm font-medium text-gray-300 mb-1">Unit Size</label>
+              <input
+                id="unitSize"
+                type="number"
+                min="0.01"
+                step="0.01"
+                value={unitSize}
+                onChange={(e) => setUnitSize(e.target.value)}
+                placeholder="Your default (Account Settings)"
+                className={inputClass}
+              />
+            </div>
+          )}
+
+          {stakingPlan === 'PERCENTAGE' && (
+            <div>
+              <label htmlFor="stakePercent" className="block text-sm font-medium text-gray-300 mb-1">Stake (% of balance)</label>
+              <input
+                id="stakePercent"
+                type="number"
+                min="0.1"
+                max="100"
+                step="0.1"
+                value={stakePercent}
+                onChange={(e) => setStakePercent(e.target.value)}
+                required
+                className={inputClass}
+              />
+            </div>
+          )}
+
+          {stakingPlan === 'KELLY' && (
+            <div>
+              <label htmlFor="kellyPercent" className="block text-sm font-medium text-gray-300 mb-1">Kelly Fraction (%)</label>
+              <input
+                id="kellyPercent"
+                type="number"
+                min="1"
+                max="100"
+                step="1"
+                value={kellyPercent}
+                onChange={(e) => setKellyPercent(e.target.value)}
+                required
+                className={inputClass}
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                25% (quarter Kelly) is a common choice: full Kelly swings hard when probabilities are off.
+              </p>
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="maxStakePercent" className="block text-sm font-medium text-gray-300 mb-1">Max Stake (% of balance, optional)</label>
+            <input
+              id="maxStakePercent"
+              type="number"
+              min="0.1"
+              max="100"
+              step="0.1"
+              value={maxStakePercent}
+              onChange={(e) => setMaxStakePercent(e.target.value)}
+              className={inputClass}
+            />
+          </div>
+
+          {!bankroll && (
+            <div>
+              <label htmlFor="initialDeposit" className="block text-sm font-medium text-gray-300 mb-1">Opening Deposit (optional)</label>
+              <input
+                id="initialDeposit"
+                type="number"
+                min="0.01"
+                step="0.01"
+                value={initialDeposit}
+                onChange={(e) => setInitialDeposit(e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          )}
+
+          {/* Actions */}
+          <div className="flex justify-end gap-3 pt-2">
+            <button type="button" onClick={onCancel} className="px-4 py-2 text-gray-300 hover:text-gray-100">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving || !name.trim()}
+              className="bg-amber-500 text-gray-900 px-4 py-2 rounded-md hover:bg-amber-600 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// ============================================
+// STAKE CALCULATOR
+// ============================================
+// Suggested stake for a price with the bankroll's staking plan; Kelly
+// needs the user's win probability (the Bets page can use SportsMonks
+// predictions instead)
+const StakeCalculator = ({ bankroll, token }) => {
+  const [odds, setOdds] = useState('');
+  const [probability, setProbability] = useState('');
+  const [units, setUnits] = useState('1');
+  const [suggestion, setSuggestion] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const data = await bankrollsApi.suggestStake(bankroll.id, {
+        odds,
+        probability: probability ? parseFloat(probability) / 100 : undefined,
+        units: bankroll.stakingPlan === 'FLAT' ? units : undefined
+      }, token);
+      setSuggestion(data);
+    } catch (err) {
+      setSuggestion(null);
+      setError(err.message || 'Failed to suggest a stake');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-600 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-amber-500';
+
+  return (
+    <div className="bg-gray-800 rounded-lg shadow-md p-4">
+      <h2 className="text-sm font-semibold text-gray-200 mb-3">Stake Calculator</h2>
+      <form onSubmit={handleSubmit} className="grid grid-cols-3 gap-3 items-end">
+        <label className="text-xs text-gray-400">
+          Odds (decimal)
+          <input type="number" min="1.01" step="0.01" value={odds} onChange={(e) => setOdds(e.target.value)} required className={`${inputClass} mt-1`} />
+        </label>
+        <label className="text-xs text-gray-400">
+          Win chance (%)
+          <input
+            type="number"
+            min="0.1"
+            max="99.9"
+            step="0.1"
+            value={probability}
+            onChange={(e) => setProbability(e.target.value)}
+            required={bankroll.stakingPlan === 'KELLY'}
+            className={`${inputClass} mt-1`}
+          />
+        </label>
+        {bankroll.stakingPlan === 'FLAT' ? (
+          <label className="text-xs text-gray-400">
+            Units
+            <input type="number" min="0.1" step="0.1" value={units} onChange={(e) => setUnits(e.target.value)} className={`${inputClass} mt-1`} />
+          </label>
+        ) : <div />}
+        <button type="submit" className="col-span-3 bg-gray-700 text-gray-200 px-3 py-2 rounded-md hover:bg-gray-600 text-sm">
+          Suggest Stake
+        </button>
+      </form>
+
+      {error && <p className="text-sm text-red-400 mt-3">{error}</p>}
+
+      {suggestion && (
+        <div className="mt-3 text-sm space-y-1">
+          <div>
+            <span className="text-gray-400">Stake: </span>
+            <span className="text-xl font-bold text-amber-500">{formatMoney(suggestion.stake)}</span>
+            <span className="text-gray-500"> ({suggestion.units} units)</span>
+          </div>
+          {suggestion.edge !== null && (
+            <div className={suggestion.edge > 0 ? 'text-green-400' : 'text-red-400'}>
+              Expected value {suggestion.edge > 0 ? '+' : ''}{suggestion.edge.toFixed(1)}%
+            </div>
+          )}
+          {suggestion.kelly && suggestion.kelly.full <= 0 && (
+            <div className="text-gray-400">No edge at this price: Kelly says don&apos;t bet.</div>
+          )}
+          {suggestion.capped && (
+            <div className="text-gray-400">Capped from {formatMoney(suggestion.planStake)} (max stake or available money).</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ============================================
+// BANKROLL DETAIL
+// ============================================
+const BankrollDetail = ({ bankroll, token, timezone, dateFormat, onChanged, onEdit, onDelete, setError }) => {
+  const [history, setHistory] = useState(null);
+
+  // Deposit / withdrawal form
+  const [type, setType] = useState('DEPOSIT');
+  const [amount, setAmount] = useState('');
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    bankrollsApi.getHistory(bankroll.id, token)
+      .then(data => { if (!cancelled) setHistory({ ...data, loadedAt: Date.now() }); })
+      .catch(err => { if (!cancelled) setError(err.message || 'Failed to load bankroll history'); });
+    return () => { cancelled = true; };
+  }, [bankroll, token, setError]);
+
+  const handleTransaction = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await bankrollsApi.addTransaction(bankroll.id, { type, amount: parseFloat(amount), note: note || null }, token);
+      setAmount('');
+      setNote('');
+      onChanged();
+    } catch (err) {
+      setError(err.message || 'Failed to record transaction');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteTransaction = async (transaction) => {
+    if (!window.confirm('Delete this transaction?')) return;
+    try {
+      await bankrollsApi.deleteTransaction(bankroll.id, transaction.id, token);
+      onChanged();
+    } catch (err) {
+      setError(err.message || 'Failed to delete transaction');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Header */}
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-xl font-bold text-gray-100">{bankroll.name}</h2>
+          <p className="text-sm text-gray-400">{describePlan(bankroll)}</p>
+        </div>
+        <div className="flex gap-3">
+          <button onClick={onEdit} className="text-gray-400 hover:text-amber-400" title="Edit bankroll">
+            <AppIcon name="edit" size="md" />
+          </button>
+          <button onClick={onDelete} className="text-gray-500 hover:text-red-400" title="Delete bankroll">
+            <AppIcon name="delete" size="md" />
+          </button>
+        </div>
+      </div>
+
+      {/* Growth and drawdown */}
+      {history && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <SummaryCard
+            label="Balance"
+            value={formatMoney(history.growth.balance)}
+            sub={`Available ${formatMoney(bankroll.available)}`}
+          />
+          <SummaryCard
+            label="Growth"
+            value={history.growth.growthPercent === null ? '-' : `${history.growth.growthPercent > 0 ? '+' : ''}${history.growth.growthPercent.toFixed(1)}%`}
+            valueClass={profitClass(history.growth.profit)}
+            sub={`Betting P/L ${formatMoney(history.growth.profit, true)}`}
+          />
+          <SummaryCard
+            label="Drawdown"
+            value={`${history.drawdown.currentPercent.toFixed(1)}%`}
+            valueClass={history.drawdown.current > 0 ? 'text-red-400' : 'text-gray-100'}
+            sub={`${formatMoney(history.drawdown.current)} below peak`}
+          />
+          <SummaryCard
+            label="Max Drawdown"
+            value={`${history.drawdown.maxPercent.toFixed(1)}%`}
+            sub={history.drawdown.maxAt
+              ? `${formatMoney(history.drawdown.max)} on ${formatShortDate(toSportsMonksTime(history.drawdown.maxAt), timezone, dateFormat)}`
+              : 'None yet'}
+          />
+        </div>
+      )}
+
+      {/* Balance chart */}
+      <div className="bg-gray-800 rounded-lg shadow-md p-4">
+        <h3 className="text-sm font-semibold text-gray-200 mb-3">Balance Over Time</h3>
+        {history?.points.length > 0 ? (
+          <BankrollChart points={history.points} until={history.loadedAt} timezone={timezone} />
+        ) : (
+          <p className="text-sm text-gray-500">Make a deposit to start tracking this bankroll.</p>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <StakeCalculator bankroll={bankroll} token={token} />
+
+        {/* Transactions */}
+        <div className="bg-gray-800 rounded-lg shadow-md p-4">
+          <h3 className="text-sm font-semibold text-gray-200 mb-3">Deposits &amp; Withdrawals</h3>
+          <form onSubmit={handleTransaction} className="flex flex-wrap gap-2 mb-3">
+            <select
+              value={type}
+              onChange={(e) => setType(e.target.value)}
+              className="px-2 py-1.5 border border-gray-600 rounded-md text-sm"
+            >
+              <option value="DEPOSIT">Deposit</option>
+              <option value="WITHDRAWAL">Withdraw</option>
+            </select>
+            <input
+              type="number"
+              min="0.01"
+              step="0.01"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              placeholder="Amount"
+              required
+              className="w-28 px-2 py-1.5 border border-gray-600 rounded-md text-sm"
+            />
+            <input
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="Note (optional)"
+              className="flex-1 min-w-0 px-2 py-1.5 border border-gray-600 rounded-md text-sm"
+            />
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-amber-500 text-gray-900 px-3 py-1.5 rounded-md hover:bg-amber-600 disabled:opacity-50 text-sm"
+            >
+              Add
+            </button>
+          </form>
+
+          {bankroll.transactions.length === 0 ? (
+            <p className="text-sm text-gray-500">No deposits yet</p>
+          ) : (
+            <ul className="divide-y divide-gray-700/50 max-h-64 overflow-y-auto">
+              {bankroll.transactions.map(transaction => (
+                <li key={transaction.id} className="py-2 flex items-center justify-between gap-2 text-sm">
+                  <div>
+                    <span className={transaction.type === 'DEPOSIT' ? 'text-green-400' : 'text-red-400'}>
+                      {transaction.type === 'DEPOSIT' ? '+' : '-'}{formatMoney(transaction.amount)}
+                    </span>
+                    <span className="text-xs text-gray-500 ml-2">
+                      {formatShortDate(toSportsMonksTime(transaction.occurredAt), timezone, dateFormat)}
+                      {transaction.note && <> · {transaction.note}</>}
+                    </span>
+                  </div>
+                  <button
+                    onClick={() => handleDeleteTransaction(transaction)}
+                    className="text-gray-500 hover:text-red-400"
+                    title="Delete transaction"
+                  >
+                    <AppIcon name="delete" size="sm" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ============================================
+// MAIN BANKROLLS PAGE COMPONENT
+// ============================================
+const Bankrolls = () => {
+  const { token, user } = useAuth();
+  const timezone = user?.timezone || 'America/New_York';
+  const dateFormat = user?.dateFormat || 'US';
+
+  // Data state
+  const [bankrolls, setBankrolls] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Modal state: null, 'create' or 'edit'
+  const [modal, setModal] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // ============================================
+  // FETCH BANKROLLS
+  // ============================================
+  const fetchBankrolls = useCallback(async () => {
+    setError('');
+
+    try {
+      const data = await bankrollsApi.getAll(token);
+      setBankrolls(data.bankrolls || []);
+      setSelectedId(current =>
+        data.bankrolls.some(b => b.id === current) ? current : data.bankrolls[0]?.id ?? null
+      );
+    } catch (err) {
+      setError(err.message || 'Failed to load bankrolls');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  // The selected bankroll with its transactions
+  const fetchSelected = useCallback(async () => {
+    if (!selectedId) {
+      setSelected(null);
+      return;
+    }
+    try {
+      const data = await bankrollsApi.getById(selectedId, token);
+      setSelected(data.bankroll);
+    } catch (err) {
+      setError(err.message || 'Failed to load bankroll');
+    }
+  }, [selectedId, token]);
+
+  useEffect(() => {
+    fetchBankrolls();
+  }, [fetchBankrolls]);
+
+  useEffect(() => {
+    fetchSelected();
+  }, [fetchSelected]);
+
+  // ============================================
+  // HANDLERS
+  // ============================================
+  const handleChanged = () => {
+    fetchBankrolls();
+    fetchSelected();
+  };
+
+  const handleSave = async (data) => {
+    setSaving(true);
+    try {
+      if (modal === 'edit') {
+        await bankrollsApi.update(selected.id, data, token);
+        handleChanged();
+      } else {
+        const result = await bankrollsApi.create(data, token);
+        setSelectedId(result.bankroll.id);
+        fetchBankrolls();
+      }
+      setModal(null);
+    } catch (err) {
+      setError(err.message || 'Failed to save bankroll');
+      setModal(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${selected.name}"? Its bets are kept.`)) return;
+
+    try {
+      await bankrollsApi.delete(selected.id, token);
+      setSelectedId(null);
+      fetchBankrolls();
+    } catch (err) {
+      setError(err.message || 'Failed to delete bankroll');
+    }
+  };
+
+  // ============================================
+  // RENDER
+  // ============================================
+  return (
+    <div className="space-y-6">
+      {/* ============================================ */}
+      {/* HEADER */}
+      {/* ============================================ */}
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <Link to="/bets" className="text-sm text-gray-400 hover:text-amber-400">← My Bets</Link>
+          <h1 className="text-2xl font-bold text-gray-100 flex items-center gap-2 mt-1">
+            <AppIcon name="bet-slip" size="lg" /> Bankrolls
+          </h1>
+          <p className="text-sm text-gray-400 mt-1">
+            Balance = deposits - withdrawals + profit of settled bets. Assign bets when you log them.
+          </p>
+        </div>
+        <button
+          onClick={() => setModal('create')}
+          className="bg-amber-500 text-gray-900 px-4 py-2 rounded-md hover:bg-amber-600 flex items-center space-x-2"
+        >
+          <span>+</span>
+          <span>New Bankroll</span>
+        </button>
+      </div>
+
+      {/* ============================================ */}
+      {/* ERROR MESSAGE */}
+      {/* ============================================ */}
+      {error && (
+        <div className="bg-red-900/30 text-red-400 p-3 rounded-md">
+          {error}
+        </div>
+      )}
+
+      {/* ============================================ */}
+      {/* BANKROLL LIST */}
+      {/* ============================================ */}
+      {loading ? (
+        <div className="text-center py-12 text-gray-400">
+          Loading bankrolls...
+        </div>
+      ) : bankrolls.length === 0 ? (
+        <div className="text-center py-12 bg-gray-800 rounded-lg shadow-md">
+          <p className="text-gray-400 text-lg">No bankrolls yet</p>
+          <button
+            onClick={() => setModal('create')}
+            className="mt-4 bg-amber-500 text-gray-900 px-4 py-2 rounded-md hover:bg-amber-600"
+          >
+            Create your first bankroll
+          </button>
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+            {bankrolls.map(bankroll => (
+              <button
+                key={bankroll.id}
+                onClick={() => setSelectedId(bankroll.id)}
+                className={`text-left bg-gray-800 rounded-lg shadow-md p-4 border-2 transition-colors
+                  ${bankroll.id === selectedId ? 'border-amber-500' : 'border-transparent hover:border-gray-600'}`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="font-semibold text-gray-100">{bankroll.name}</span>
+                  <span className="text-xs text-gray-500">{bankroll.betCount} bets</span>
+                </div>
+                <div className="text-2xl font-bold text-gray-100 mt-1">{formatMoney(bankroll.balance)}</div>
+                <div className="text-xs mt-1">
+                  <span className={profitClass(bankroll.profit)}>{formatMoney(bankroll.profit, true)}</span>
+                  <span className="text-gray-500"> · {describePlan(bankroll)}</span>
+                </div>
+              </button>
+            ))}
+          </div>
+
+          {/* ============================================ */}
+          {/* SELECTED BANKROLL */}
+          {/* ============================================ */}
+          {selected && (
+            <BankrollDetail
+              bankroll={selected}
+              token={token}
+              timezone={timezone}
+              dateFormat={dateFormat}
+              onChanged={handleChanged}
+              onEdit={() => setModal('edit')}
+              onDelete={handleDelete}
+              setError={setError}
+            />
+          )}
+        </>
+      )}
+
+      {/* ============================================ */}
+      {/* CREATE / EDIT MODAL */}
+      {/* ============================================ */}
+      {modal && (
+        <BankrollModal
+          bankroll={modal === 'edit' ? selected : null}
+          onSave={handleSave}
+          onCancel={() => setModal(null)}
+          saving={saving}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Bankrolls;
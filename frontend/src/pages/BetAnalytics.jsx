@@ -0,0 +1,404 @@
+// ============================================
+// BET ANALYTICS PAGE
+// ============================================
+// Results of the user's settled bets (backend: /bets/analytics):
+// - ROI (profit / staked) and yield (level stakes: average profit per
+//   unit staked)
+// - Strike rate, average odds, win/loss streaks and max drawdown
+// - Sortable breakdowns by competition, market, bookmaker, odds band and
+//   day of week
+// - Optional placed-date range and bankroll
+//
+// Tables sort like the ones on ModelPerformance.jsx: click a header to
+// sort by it, click again to flip the direction.
+// ============================================
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { betsApi, bankrollsApi } from '../api/client';
+import AppIcon from '../components/AppIcon';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Breakdowns with their default sort: by volume, or in their natural
+// order (odds bands low to high, Monday to Sunday)
+const BREAKDOWNS = [
+  { key: 'byCompetition', title: 'By Competition', sort: 'bets', direction: 'desc' },
+  { key: 'byMarket', title: 'By Market', sort: 'bets', direction: 'desc' },
+  { key: 'byBookmaker', title: 'By Bookmaker', sort: 'bets', direction: 'desc' },
+  { key: 'byOddsBand', title: 'By Odds Band', sort: 'id', direction: 'asc' },
+  { key: 'byDayOfWeek', title: 'By Day of Week', sort: 'id', direction: 'asc', note: 'Day of the last kick-off' }
+];
+
+// Table columns after the name
+const COLUMNS = [
+  { key: 'bets', label: 'Bets' },
+  { key: 'profit', label: 'Profit' },
+  { key: 'roi', label: 'ROI' },
+  { key: 'yield', label: 'Yield' },
+  { key: 'strikeRate', label: 'Strike' },
+  { key: 'averageOdds', label: 'Avg Odds' }
+];
+
+// ============================================
+// HELPERS
+// ============================================
+
+// 12.5 -> "+12.50"
+const formatMoney = (value) => {
+  if (value === null || value === undefined) return '-';
+  const text = Math.abs(value).toFixed(2);
+  if (value === 0) return text;
+  return value > 0 ? `+${text}` : `-${text}`;
+};
+
+// 2.345 -> "+2.35%"
+const formatPercent = (value, signed = true) => {
+  if (value === null || value === undefined) return '-';
+  return `${signed && value > 0 ? '+' : ''}${value.toFixed(signed ? 2 : 1)}%`;
+};
+
+const profitClass = (value) =>
+  value > 0 ? 'text-green-400' : value < 0 ? 'text-red-400' : 'text-gray-100';
+
+// Sort rows by a column; rows without a value go last either way
+const sortRows = (rows, column, direction) => {
+  const sorted = [...rows];
+
+  sorted.sort((a, b) => {
+    if (column === 'name') {
+      return direction === 'desc' ? b.name.localeCompare(a.name) : a.name.localeCompare(b.name);
+    }
+
+    const aValue = a[column];
+    const bValue = b[column];
+    if (aValue === null && bValue === null) return 0;
+    if (aValue === null) return 1;
+    if (bValue === null) return -1;
+    return direction === 'desc' ? bValue - aValue : aValue - bValue;
+  });
+
+  return sorted;
+};
+
+// ============================================
+// SUMMARY CARD
+// ============================================
+const SummaryCard = ({ label, value, sub, valueClass = 'text-gray-100' }) => (
+  <div className="bg-gray-800 rounded-lg shadow-md p-4">
+    <div className="text-xs text-gray-400 uppercase tracking-wide">{label}</div>
+    <div className={`text-2xl font-bold mt-1 ${valueClass}`}>{value}</div>
+    {sub && <div className="text-xs text-gray-500 mt-1">{sub}</div>}
+  </div>
+);
+
+// ============================================
+// SORTABLE HEADER
+// ============================================
+const SortableHeader = ({ label, column, currentSort, currentDirection, onSort, className = '' }) => {
+  const isActive = currentSort === column;
+
+  return (
+    <th
+      onClick={() => onSort(column)}
+      className={`px-4 py-2 text-xs font-semibold text-gray-400 uppercase tracking-wider cursor-pointer hover:bg-gray-600 transition-colors select-none ${className}`}
+    >
+      <div className={`flex items-center gap-1 ${column === 'name' ? '' : 'justify-end'}`}>
+        <span>{label}</span>
+        {isActive ? (
+          <AppIcon name={currentDirection === 'desc' ? 'chevron-down' : 'chevron-up'} size="xs" className="text-amber-500" />
+        ) : (
+          <AppIcon name="chevron-down" size="xs" className="text-gray-500 opacity-30" />
+        )}
+      </div>
+    </th>
+  );
+};
+
+// ============================================
+// BREAKDOWN TABLE
+// ============================================
+const BreakdownTable = ({ title, note, rows, defaultSort, defaultDirection }) => {
+  const [sortColumn, setSortColumn] = useState(defaultSort);
+  const [sortDirection, setSortDirection] = useState(defaultDirection);
+
+  const handleSort = (column) => {
+    if (sortColumn === column) {
+      // Toggle direction if clicking same column
+      setSortDirection(sortDirection === 'desc' ? 'asc' : 'desc');
+    } else {
+      // New column - names A to Z, figures highest first
+      setSortColumn(column);
+      setSortDirection(column === 'name' ? 'asc' : 'desc');
+    }
+  };
+
+  const sorted = sortRows(rows, sortColumn, sortDirection);
+
+  return (
+    <div className="bg-gray-800 rounded-lg shadow-md overflow-hidden">
+      <div className="px-4 py-3 flex items-baseline justify-between">
+        <h2 className="text-sm font-semibold text-gray-200">{title}</h2>
+        {note && <span className="text-xs text-gray-500">{note}</span>}
+      </div>
+      {rows.length === 0 ? (
+        <p className="px-4 pb-4 text-sm text-gray-500">No settled bets</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-700 border-b border-gray-700">
+              <tr>
+                <SortableHeader
+                  label="Name"
+                  column="name"
+                  currentSort={sortColumn}
+                  currentDirection={sortDirection}
+                  onSort={handleSort}
+                  className="text-left"
+                />
+                {COLUMNS.map(column => (
+                  <SortableHeader
+                    key={column.key}
+                    label={column.label}
+                    column={column.key}
+                    currentSort={sortColumn}
+                    currentDirection={sortDirection}
+                    onSort={handleSort}
+                    className="text-right whitespace-nowrap"
+                  />
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-700">
+              {sorted.map(row => (
+                <tr key={row.id ?? row.name}>
+                  <td className="px-4 py-2 text-sm text-gray-200">{row.name}</td>
+                  <td className="px-4 py-2 text-sm text-right text-gray-400" title={`${row.won}W ${row.lost}L ${row.void}V`}>
+                    {row.bets}
+                  </td>
+                  <td className={`px-4 py-2 text-sm text-right font-medium ${profitClass(row.profit)}`}>
+                    {formatMoney(row.profit)}
+                  </td>
+                  <td className={`px-4 py-2 text-sm text-right ${profitClass(row.roi)}`}>{formatPercent(row.roi)}</td>
+                  <td className={`px-4 py-2 text-sm text-right ${profitClass(row.yield)}`}>{formatPercent(row.yield)}</td>
+                  <td className="px-4 py-2 text-sm text-right text-gray-400">{formatPercent(row.strikeRate, false)}</td>
+                  <td className="px-4 py-2 text-sm text-right text-gray-400">
+                    {row.averageOdds === null ? '-' : row.averageOdds.toFixed(2)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ============================================
+// MAIN BET ANALYTICS PAGE COMPONENT
+// ============================================
+const BetAnalytics = () => {
+  const { token } = useAuth();
+
+  // Filters: placed-date range (YYYY-MM-DD) and bankroll, all optional
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [bankrollId, setBankrollId] = useState('');
+  const [bankrolls, setBankrolls] = useState([]);
+
+  // Data state
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // ============================================
+  // FETCH ANALYTICS
+  // ============================================
+  const fetchReport = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const data = await betsApi.getAnalytics(token, { from, to, bankrollId });
+      setReport(data);
+    } catch (err) {
+      setError(err.message || 'Failed to load analytics');
+    } finally {
+      setLoading(false);
+    }
+  }, [token, from, to, bankrollId]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  // Bankrolls for the filter (the page works without them)
+  useEffect(() => {
+    bankrollsApi.getAll(token)
+      .then(data => setBankrolls(data.bankrolls || []))
+      .catch(() => setBankrolls([]));
+  }, [token]);
+
+  const overall = report?.overall;
+
+  // ============================================
+  // RENDER
+  // ============================================
+  return (
+    <div className="space-y-6">
+      {/* ============================================ */}
+      {/* HEADER */}
+      {/* ============================================ */}
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <div className="flex items-center gap-4 text-sm">
+            <Link to="/bets" className="text-gray-400 hover:text-amber-400">← My Bets</Link>
+            <Link to="/bets/performance" className="text-gray-400 hover:text-amber-400">Closing line value →</Link>
+          </div>
+          <h1 className="text-2xl font-bold text-gray-100 flex items-center gap-2 mt-1">
+            <AppIcon name="bet-slip" size="lg" /> Bet Analytics
+          </h1>
+          <p className="text-sm text-gray-400 mt-1">
+            Results of your settled bets. Yield weighs every bet the same, as if you had staked one unit each time.
+          </p>
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-wrap items-end gap-3">
+          {bankrolls.length > 0 && (
+            <label className="text-xs text-gray-400">
+              Bankroll
+              <select
+                value={bankrollId}
+                onChange={(e) => setBankrollId(e.target.value)}
+                className="block mt-1 bg-gray-700 border border-gray-600 text-gray-200 rounded px-2 py-1 text-sm"
+              >
+                <option value="">All bets</option>
+                {bankrolls.map(bankroll => (
+                  <option key={bankroll.id} value={bankroll.id}>{bankroll.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label className="text-xs text-gray-400">
+            From
+            <input
+              type="date"
+              value={from}
+              max={to || undefined}
+              onChange={(e) => setFrom(e.target.value)}
+              className="block mt-1 bg-gray-700 border border-gray-600 text-gray-200 rounded px-2 py-1 text-sm"
+            />
+          </label>
+          <label className="text-xs text-gray-400">
+            To
+            <input
+              type="date"
+              value={to}
+              min={from || undefined}
+              onChange={(e) => setTo(e.target.value)}
+              className="block mt-1 bg-gray-700 border border-gray-600 text-gray-200 rounded px-2 py-1 text-sm"
+            />
+          </label>
+          {(from || to || bankrollId) && (
+            <button
+              onClick={() => { setFrom(''); setTo(''); setBankrollId(''); }}
+              className="text-sm text-gray-400 hover:text-gray-200 pb-1"
+            >
+              Clear
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* ============================================ */}
+      {/* ERROR MESSAGE */}
+      {/* ============================================ */}
+      {error && (
+        <div className="bg-red-900/30 text-red-400 p-3 rounded-md">
+          {error}
+        </div>
+      )}
+
+      {loading && !report ? (
+        <div className="text-center py-12 text-gray-400">
+          Loading analytics...
+        </div>
+      ) : overall && (
+        <>
+          {/* ============================================ */}
+          {/* SUMMARY */}
+          {/* ============================================ */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <SummaryCard
+              label="Profit"
+              value={formatMoney(overall.profit)}
+              valueClass={profitClass(overall.profit)}
+              sub={`${overall.bets} settled, ${overall.open} open`}
+            />
+            <SummaryCard
+              label="ROI"
+              value={formatPercent(overall.roi)}
+              valueClass={profitClass(overall.roi)}
+              sub={`Of ${overall.staked.toFixed(2)} staked`}
+            />
+            <SummaryCard
+              label="Yield"
+              value={formatPercent(overall.yield)}
+              valueClass={profitClass(overall.yield)}
+              sub="Level stakes"
+            />
+            <SummaryCard
+              label="Strike rate"
+              value={formatPercent(overall.strikeRate, false)}
+              sub={`${overall.won}W ${overall.lost}L ${overall.void}V`}
+            />
+            <SummaryCard
+              label="Average odds"
+              value={overall.averageOdds === null ? '-' : overall.averageOdds.toFixed(2)}
+              sub={overall.averageStake === null ? null : `Average stake ${overall.averageStake.toFixed(2)}`}
+            />
+            <SummaryCard
+              label="Longest losing run"
+              value={report.streaks.longestLosing}
+              sub={`Longest winning run ${report.streaks.longestWinning}`}
+            />
+            <SummaryCard
+              label="Current run"
+              value={report.streaks.current.type ? `${report.streaks.current.length} ${report.streaks.current.type === 'WON' ? 'won' : 'lost'}` : '-'}
+              valueClass={report.streaks.current.type === 'WON' ? 'text-green-400' : report.streaks.current.type === 'LOST' ? 'text-red-400' : 'text-gray-100'}
+            />
+            <SummaryCard
+              label="Max drawdown"
+              value={report.drawdown.max.toFixed(2)}
+              valueClass={report.drawdown.max > 0 ? 'text-red-400' : 'text-gray-100'}
+              sub={`${report.drawdown.current.toFixed(2)} below the peak now`}
+            />
+          </div>
+
+          {/* ============================================ */}
+          {/* BREAKDOWNS */}
+          {/* ============================================ */}
+          <div className="grid grid-cols-1 xl:grid-cols-2 gap-4">
+            {BREAKDOWNS.map(breakdown => (
+              <BreakdownTable
+                key={breakdown.key}
+                title={breakdown.title}
+                note={breakdown.note}
+                rows={report[breakdown.key]}
+                defaultSort={breakdown.sort}
+                defaultDirection={breakdown.direction}
+              />
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BetAnalytics;
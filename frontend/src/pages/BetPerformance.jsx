@@ -0,0 +1,252 @@
+// ============================================
+// BET PERFORMANCE PAGE
+// ============================================
+// How well the user's logged bets are priced (backend: /bets/clv):
+// - Closing line value (CLV): odds taken vs the last price before
+//   kick-off, captured by the capture-closing-odds job
+// - Running average CLV chart
+// - CLV by competition, market and bookmaker
+// - Optional placed-date range
+//
+// Positive CLV over many bets is the best sign of an edge, whatever the
+// short-run results.
+// ============================================
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { betsApi } from '../api/client';
+import AppIcon from '../components/AppIcon';
+import ClvChart from '../components/ClvChart';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const BREAKDOWNS = [
+  { key: 'byCompetition', title: 'By Competition' },
+  { key: 'byMarket', title: 'By Market' },
+  { key: 'byBookmaker', title: 'By Bookmaker' }
+];
+
+// ============================================
+// HELPERS
+// ============================================
+
+// 2.345 -> "+2.35%"
+const formatPercent = (value) => {
+  if (value === null || value === undefined) return '-';
+  return `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+};
+
+const clvClass = (value) =>
+  value > 0 ? 'text-green-400' : value < 0 ? 'text-red-400' : 'text-gray-100';
+
+// ============================================
+// SUMMARY CARD
+// ============================================
+const SummaryCard = ({ label, value, sub, valueClass = 'text-gray-100' }) => (
+  <div className="bg-gray-800 rounded-lg shadow-md p-4">
+    <div className="text-xs text-gray-400 uppercase tracking-wide">{label}</div>
+    <div className={`text-2xl font-bold mt-1 ${valueClass}`}>{value}</div>
+    {sub && <div className="text-xs text-gray-500 mt-1">{sub}</div>}
+  </div>
+);
+
+// ============================================
+// BREAKDOWN TABLE
+// ============================================
+const BreakdownTable = ({ title, rows }) => (
+  <div className="bg-gray-800 rounded-lg shadow-md overflow-hidden">
+    <h2 className="px-4 py-3 text-sm font-semibold text-gray-200">{title}</h2>
+    {rows.length === 0 ? (
+      <p className="px-4 pb-4 text-sm text-gray-500">No tracked selections</p>
+    ) : (
+      <table className="w-full">
+        <thead className="bg-gray-700 border-b border-gray-700">
+          <tr>
+            <th className="px-4 py-2 text-left text-xs font-semibold text-gray-400 uppercase tracking-wider">Name</th>
+            <th className="px-4 py-2 text-right text-xs font-semibold text-gray-400 uppercase tracking-wider">Bets</th>
+            <th className="px-4 py-2 text-right text-xs font-semibold text-gray-400 uppercase tracking-wider">Avg CLV</th>
+            <th className="px-4 py-2 text-right text-xs font-semibold text-gray-400 uppercase tracking-wider">Beat</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-700">
+          {rows.map(row => (
+            <tr key={row.id ?? row.name}>
+              <td className="px-4 py-2 text-sm text-gray-200">{row.name}</td>
+              <td className="px-4 py-2 text-sm text-right text-gray-400">{row.selections}</td>
+              <td className={`px-4 py-2 text-sm text-right font-medium ${clvClass(row.averageClv)}`}>
+                {formatPercent(row.averageClv)}
+              </td>
+              <td className="px-4 py-2 text-sm text-right text-gray-400">
+                {row.beatClosingRate === null ? '-' : `${row.beatClosingRate.toFixed(0)}%`}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+);
+
+// ============================================
+// MAIN BET PERFORMANCE PAGE COMPONENT
+// ============================================
+const BetPerformance = () => {
+  const { token, user } = useAuth();
+  const timezone = user?.timezone || 'America/New_York';
+
+  // Placed-date range (YYYY-MM-DD, optional)
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+
+  // Data state
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // ============================================
+  // FETCH CLV REPORT
+  // ============================================
+  const fetchReport = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const data = await betsApi.getClv(token, { from, to });
+      setReport(data);
+    } catch (err) {
+      setError(err.message || 'Failed to load closing line value');
+    } finally {
+      setLoading(false);
+    }
+  }, [token, from, to]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const overall = report?.overall;
+
+  // ============================================
+  // RENDER
+  // ============================================
+  return (
+    <div className="space-y-6">
+      {/* ============================================ */}
+      {/* HEADER */}
+      {/* ============================================ */}
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <div className="flex items-center gap-4 text-sm">
+            <Link to="/bets" className="text-gray-400 hover:text-amber-400">← My Bets</Link>
+            <Link to="/bets/analytics" className="text-gray-400 hover:text-amber-400">Analytics →</Link>
+          </div>
+          <h1 className="text-2xl font-bold text-gray-100 flex items-center gap-2 mt-1">
+            <AppIcon name="bet-slip" size="lg" /> Bet Performance
+          </h1>
+          <p className="text-sm text-gray-400 mt-1">
+            Closing line value: your odds against the last price before kick-off.
+          </p>
+        </div>
+
+        {/* Date range */}
+        <div className="flex items-end gap-3">
+          <label className="text-xs text-gray-400">
+            From
+            <input
+              type="date"
+              value={from}
+              max={to || undefined}
+              onChange={(e) => setFrom(e.target.value)}
+              className="block mt-1 bg-gray-700 border border-gray-600 text-gray-200 rounded px-2 py-1 text-sm"
+            />
+          </label>
+          <label className="text-xs text-gray-400">
+            To
+            <input
+              type="date"
+              value={to}
+              min={from || undefined}
+              onChange={(e) => setTo(e.target.value)}
+              className="block mt-1 bg-gray-700 border border-gray-600 text-gray-200 rounded px-2 py-1 text-sm"
+            />
+          </label>
+          {(from || to) && (
+            <button
+              onClick={() => { setFrom(''); setTo(''); }}
+              className="text-sm text-gray-400 hover:text-gray-200 pb-1"
+            >
+              Clear
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* ============================================ */}
+      {/* ERROR MESSAGE */}
+      {/* ============================================ */}
+      {error && (
+        <div className="bg-red-900/30 text-red-400 p-3 rounded-md">
+          {error}
+        </div>
+      )}
+
+      {loading && !report ? (
+        <div className="text-center py-12 text-gray-400">
+          Loading performance...
+        </div>
+      ) : overall && (
+        <>
+          {/* ============================================ */}
+          {/* CLV SUMMARY */}
+          {/* ============================================ */}
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+            <SummaryCard
+              label="Average CLV"
+              value={formatPercent(overall.averageClv)}
+              valueClass={clvClass(overall.averageClv)}
+              sub="Per selection"
+            />
+            <SummaryCard
+              label="Beat the close"
+              value={overall.beatClosingRate === null ? '-' : `${overall.beatClosingRate.toFixed(1)}%`}
+              sub="Of tracked selections"
+            />
+            <SummaryCard
+              label="Tracked"
+              value={overall.selections}
+              sub={`${overall.untracked} without a closing price`}
+            />
+          </div>
+
+          {/* ============================================ */}
+          {/* CLV CHART */}
+          {/* ============================================ */}
+          <div className="bg-gray-800 rounded-lg shadow-md p-4">
+            <h2 className="text-sm font-semibold text-gray-200 mb-3">CLV Over Time</h2>
+            {report.timeline.length > 0 ? (
+              <ClvChart timeline={report.timeline} timezone={timezone} />
+            ) : (
+              <p className="text-sm text-gray-500">
+                No closing prices yet. They are captured at kick-off for every bet you log.
+              </p>
+            )}
+          </div>
+
+          {/* ============================================ */}
+          {/* BREAKDOWNS */}
+          {/* ============================================ */}
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+            {BREAKDOWNS.map(breakdown => (
+              <BreakdownTable key={breakdown.key} title={breakdown.title} rows={report[breakdown.key]} />
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BetPerformance;
@@ -0,0 +1,885 @@
+// ============================================
+// BETS PAGE
+// ============================================
+// Ledger of bets placed with bookmakers (backend: /bets):
+// - Profit/loss summary (staked, returns, ROI, record)
+// - Open / settled filter
+// - Log singles and multiples: pick a fixture, then a market and
+//   selection from its odds (the best price pre-fills the odds)
+// - Settle selections by hand when the automatic settlement can't
+//   (corners, handicaps, ...) and delete bets
+// - Assign bets to a bankroll and get a stake from its staking plan
+//   (Bankrolls page)
+//
+// Open bets are settled automatically after full time (settle-bets job),
+// and closing prices are captured at kick-off for the CLV shown on each
+// selection (capture-closing-odds job; see BetPerformance.jsx).
+// ============================================
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { betsApi, bankrollsApi, dataApi } from '../api/client';
+import AppIcon from '../components/AppIcon';
+import { formatShortDate, formatTime, formatDecimalOdds } from '../utils/formatters';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Competitions followed by the app (ALLOWED_LEAGUE_IDS in Fixtures.jsx)
+const FOLLOWED_LEAGUE_IDS = [8, 24, 27];
+
+const STATUS_FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'open', label: 'Open' },
+  { value: 'settled', label: 'Settled' }
+];
+
+const STATUS_STYLES = {
+  OPEN: 'bg-blue-900/40 text-blue-300',
+  WON: 'bg-green-900/40 text-green-400',
+  LOST: 'bg-red-900/40 text-red-400',
+  VOID: 'bg-gray-700 text-gray-300'
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+// ISO date-time -> SportsMonks style "2026-10-24 15:00:00" (what the formatters expect)
+const toSportsMonksTime = (iso) => iso?.replace('T', ' ').slice(0, 19);
+
+// Today as YYYY-MM-DD (local)
+const todayString = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().split('T')[0];
+};
+
+// Now as a datetime-local input value (local)
+const nowLocalString = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// 12.5 -> "12.50", with a sign for profit figures
+const formatMoney = (value, signed = false) => {
+  if (value === null || value === undefined) return '-';
+  const text = Math.abs(value).toFixed(2);
+  if (!signed || value === 0) return value < 0 ? `-${text}` : text;
+  return value > 0 ? `+${text}` : `-${text}`;
+};
+
+// 3.456 -> "+3.5%"
+const formatClv = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+
+const clvClass = (value) => (value > 0 ? 'text-green-400' : value < 0 ? 'text-red-400' : 'text-gray-400');
+
+// "Over" with total "2.5" -> "Over 2.5"
+const selectionName = (selection) =>
+  selection.total && !String(selection.label).includes(selection.total)
+    ? `${selection.label} ${selection.total}`
+    : selection.label;
+
+// ============================================
+// SUMMARY CARD
+// ============================================
+const SummaryCard = ({ label, value, sub, valueClass = 'text-gray-100' }) => (
+  <div className="bg-gray-800 rounded-lg shadow-md p-4">
+    <div className="text-xs text-gray-400 uppercase tracking-wide">{label}</div>
+    <div className={`text-2xl font-bold mt-1 ${valueClass}`}>{value}</div>
+    {sub && <div className="text-xs text-gray-500 mt-1">{sub}</div>}
+  </div>
+);
+
+// ============================================
+// LOG BET MODAL
+// ============================================
+// Builds a bet one selection at a time; more than one selection makes
+// it a multiple (odds multiply).
+const LogBetModal = ({ onSave, onCancel, saving, timezone, oddsFormat, bankrolls, token }) => {
+  // Fixture picker
+  const [date, setDate] = useState(todayString());
+  const [fixtures, setFixtures] = useState([]);
+  const [fixturesLoading, setFixturesLoading] = useState(false);
+  const [fixtureId, setFixtureId] = useState('');
+
+  // Odds of the picked fixture
+  const [tree, setTree] = useState(null);
+  const [treeLoading, setTreeLoading] = useState(false);
+  const [marketId, setMarketId] = useState('');
+  const [selectionKey, setSelectionKey] = useState('');
+  const [legOdds, setLegOdds] = useState('');
+
+  // Bet
+  const [legs, setLegs] = useState([]);
+  const [stake, setStake] = useState('');
+  const [bookmakerName, setBookmakerName] = useState('');
+  const [bookmakers, setBookmakers] = useState([]);
+  const [placedAt, setPlacedAt] = useState(nowLocalString());
+  const [notes, setNotes] = useState('');
+  const [error, setError] = useState('');
+
+  // Bankroll and its suggested stake
+  const [bankrollId, setBankrollId] = useState(bankrolls[0]?.id || '');
+  const [suggestion, setSuggestion] = useState(null);
+
+  // Fixtures of the picked date
+  useEffect(() => {
+    if (!date) return;
+
+    const fetchFixtures = async () => {
+      setFixturesLoading(true);
+      setFixtureId('');
+      try {
+        const data = await dataApi.getFixturesByDate(date);
+        setFixtures(
+          (data.fixtures || [])
+            .filter(fixture => FOLLOWED_LEAGUE_IDS.includes(fixture.league_id))
+            .sort((a, b) => a.starting_at.localeCompare(b.starting_at))
+        );
+      } catch (err) {
+        setError(err.message || 'Failed to load fixtures');
+        setFixtures([]);
+      } finally {
+        setFixturesLoading(false);
+      }
+    };
+
+    fetchFixtures();
+  }, [date]);
+
+  // Odds tree of the picked fixture
+  useEffect(() => {
+    setTree(null);
+    setMarketId('');
+    setSelectionKey('');
+    setLegOdds('');
+    if (!fixtureId) return;
+
+    const fetchOdds = async () => {
+      setTreeLoading(true);
+      try {
+        const data = await dataApi.getOddsByFixture(fixtureId);
+        setTree(data);
+        // Remember bookmaker names/IDs for the bookmaker field
+        setBookmakers(previous => {
+          const known = new Map(previous.map(bm => [bm.id, bm]));
+          (data.bookmakers || []).forEach(bm => known.set(bm.id, bm));
+          return [...known.values()].sort((a, b) => a.name.localeCompare(b.name));
+        });
+      } catch (err) {
+        setError(err.message || 'Failed to load odds');
+      } finally {
+        setTreeLoading(false);
+      }
+    };
+
+    fetchOdds();
+  }, [fixtureId]);
+
+  const fixture = fixtures.find(f => String(f.id) === String(fixtureId));
+  const market = tree?.markets?.find(m => String(m.id) === String(marketId));
+  const selection = market?.selections.find(s => s.key === selectionKey);
+
+  const handleSelectionChange = (key) => {
+    setSelectionKey(key);
+    const picked = market?.selections.find(s => s.key === key);
+    setLegOdds(picked?.best?.decimal ? String(picked.best.decimal) : '');
+  };
+
+  const addLeg = () => {
+    setError('');
+    const odds = parseFloat(legOdds);
+    if (!fixture || !market || !selection) {
+      setError('Pick a fixture, market and selection');
+      return;
+    }
+    if (!(odds > 1)) {
+      setError('Odds must be decimal odds above 1');
+      return;
+    }
+    if (legs.some(leg => leg.fixtureId === fixture.id && leg.marketId === market.id && leg.selectionKey === selection.key)) {
+      setError('This selection is already in the bet');
+      return;
+    }
+
+    setLegs([...legs, {
+      fixtureId: fixture.id,
+      fixtureName: fixture.name,
+      marketId: market.id,
+      marketName: market.name,
+      selectionKey: selection.key,
+      selectionLabel: selectionName(selection),
+      odds
+    }]);
+    setSelectionKey('');
+    setLegOdds('');
+  };
+
+  const totalOdds = legs.reduce((product, leg) => product * leg.odds, 1);
+
+  // Stake from the bankroll's staking plan. A single uses the SportsMonks
+  // prediction for Kelly; a multiple has none, so Kelly can't size it.
+  const handleSuggestStake = async () => {
+    setError('');
+    setSuggestion(null);
+    try {
+      const single = legs.length === 1 ? legs[0] : null;
+      const data = await bankrollsApi.suggestStake(bankrollId, {
+        odds: Math.round(totalOdds * 1000) / 1000,
+        fixtureId: single?.fixtureId,
+        marketId: single?.marketId,
+        selectionKey: single?.selectionKey
+      }, token);
+      setSuggestion(data);
+      setStake(String(data.stake));
+    } catch (err) {
+      setError(err.message || 'Failed to suggest a stake');
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+
+    const stakeValue = parseFloat(stake);
+    if (legs.length === 0) {
+      setError('Add at least one selection');
+      return;
+    }
+    if (!(stakeValue > 0)) {
+      setError('Stake must be above 0');
+      return;
+    }
+
+    const bookmaker = bookmakers.find(bm => bm.name.toLowerCase() === bookmakerName.trim().toLowerCase());
+
+    onSave({
+      stake: stakeValue,
+      selections: legs,
+      bookmakerId: bookmaker?.id ?? null,
+      bookmakerName: bookmakerName.trim() || null,
+      bankrollId: bankrollId || null,
+      placedAt: new Date(placedAt).toISOString(),
+      notes: notes.trim() || null
+    });
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50">
+      <div className="bg-gray-800 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-hidden">
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-gray-700 flex items-center justify-between bg-amber-500">
+          <h2 className="text-xl font-semibold text-white">Log a Bet</h2>
+          <button
+            onClick={onCancel}
+            className="text-white/80 hover:text-white text-2xl leading-none"
+          >
+            ×
+          </button>
+        </div>
+
+        {/* Body */}
+        <form onSubmit={handleSubmit} className="p-6 space-y-4 overflow-y-auto" style={{ maxHeight: 'calc(90vh - 140px)' }}>
+          {error && (
+            <div className="bg-red-900/30 text-red-400 p-3 rounded-md text-sm">
+              {error}
+            </div>
+          )}
+
+          {/* Selection picker */}
+          <div className="bg-gray-700/40 rounded-md p-4 space-y-3">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Date</label>
+                <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className={inputClass} />
+              </div>
+              <div className="sm:col-span-2">
+                <label className="block text-sm font-medium text-gray-300 mb-1">Fixture</label>
+                <select
+                  value={fixtureId}
+                  onChange={(e) => setFixtureId(e.target.value)}
+                  className={inputClass}
+                  disabled={fixturesLoading}
+                >
+                  <option value="">
+                    {fixturesLoading ? 'Loading fixtures...' : fixtures.length === 0 ? 'No fixtures on this date' : 'Select a fixture'}
+                  </option>
+                  {fixtures.map(f => (
+                    <option key={f.id} value={f.id}>
+                      {formatTime(f.starting_at, timezone)} {f.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {fixtureId && (
+              treeLoading ? (
+                <p className="text-sm text-gray-400">Loading odds...</p>
+              ) : !tree?.markets?.length ? (
+                <p className="text-sm text-gray-400">No odds available for this fixture.</p>
+              ) : (
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-1">Market</label>
+                    <select
+                      value={marketId}
+                      onChange={(e) => { setMarketId(e.target.value); setSelectionKey(''); setLegOdds(''); }}
+                      className={inputClass}
+                    >
+                      <option value="">Select a market</option>
+                      {tree.markets.map(m => (
+                        <option key={m.id} value={m.id}>{m.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-1">Selection</label>
+                    <select
+                      value={selectionKey}
+                      onChange={(e) => handleSelectionChange(e.target.value)}
+                      className={inputClass}
+                      disabled={!market}
+                    >
+                      <option value="">Select</option>
+                      {market?.selections.map(s => (
+                        <option key={s.key} value={s.key}>
+                          {selectionName(s)}{s.best ? ` (best ${formatDecimalOdds(s.best.decimal, oddsFormat)})` : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-1">Odds (decimal)</label>
+                    <div className="flex gap-2">
+                      <input
+                        type="number"
+                        min="1.01"
+                        step="0.01"
+                        value={legOdds}
+                        onChange={(e) => setLegOdds(e.target.value)}
+                        className={inputClass}
+                      />
+                      <button
+                        type="button"
+                        onClick={addLeg}
+                        className="px-3 py-2 bg-gray-600 text-gray-100 rounded-md hover:bg-gray-500 whitespace-nowrap"
+                      >
+                        Add
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              )
+            )}
+          </div>
+
+          {/* Selections of the bet */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <span className="text-sm font-medium text-gray-300">
+                Selections {legs.length > 1 && <span className="text-gray-500">(multiple)</span>}
+              </span>
+              {legs.length > 0 && (
+                <span className="text-sm text-gray-400">
+                  Total odds <span className="font-bold text-amber-500">{formatDecimalOdds(totalOdds, oddsFormat)}</span>
+                </span>
+              )}
+            </div>
+            {legs.length === 0 ? (
+              <p className="text-sm text-gray-500">No selections yet.</p>
+            ) : (
+              <ul className="space-y-2">
+                {legs.map((leg, index) => (
+                  <li key={`${leg.fixtureId}-${leg.marketId}-${leg.selectionKey}`} className="flex items-center justify-between bg-gray-700/40 rounded px-3 py-2 text-sm">
+                    <div>
+                      <div className="text-gray-200">{leg.selectionLabel} <span className="text-gray-500">· {leg.marketName}</span></div>
+                      <div className="text-xs text-gray-500">{leg.fixtureName}</div>
+                    </div>
+                    <div className="flex items-center gap-3">
+                      <span className="font-bold text-amber-500">{formatDecimalOdds(leg.odds, oddsFormat)}</span>
+                      <button
+                        type="button"
+                        onClick={() => setLegs(legs.filter((_, i) => i !== index))}
+                        className="text-gray-400 hover:text-red-400"
+                        title="Remove selection"
+                      >
+                        <AppIcon name="close" size="sm" />
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Bankroll and suggested stake */}
+          {bankrolls.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Bankroll</label>
+              <div className="flex gap-2">
+                <select
+                  value={bankrollId}
+                  onChange={(e) => { setBankrollId(e.target.value); setSuggestion(null); }}
+                  className={inputClass}
+                >
+                  <option value="">No bankroll</option>
+                  {bankrolls.map(bankroll => (
+                    <option key={bankroll.id} value={bankroll.id}>
+                      {bankroll.name} ({formatMoney(bankroll.available)} available)
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={handleSuggestStake}
+                  disabled={!bankrollId || legs.length === 0}
+                  className="px-3 py-2 bg-gray-600 text-gray-100 rounded-md hover:bg-gray-500 whitespace-nowrap disabled:opacity-50"
+                >
+                  Suggest stake
+                </button>
+              </div>
+              {suggestion && (
+                <p className="text-xs text-gray-500 mt-1">
+                  {suggestion.stakingPlan === 'KELLY'
+                    ? `${suggestion.kelly.fraction * 100}% Kelly`
+                    : suggestion.stakingPlan === 'PERCENTAGE' ? '% of balance' : `${suggestion.units} unit(s)`}
+                  {suggestion.probability && ` · win chance ${(suggestion.probability.value * 100).toFixed(0)}% (${suggestion.probability.source === 'prediction' ? 'SportsMonks' : 'yours'})`}
+                  {suggestion.edge !== null && ` · EV ${suggestion.edge > 0 ? '+' : ''}${suggestion.edge.toFixed(1)}%`}
+                  {suggestion.capped && ' · capped'}
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Stake, bookmaker, time */}
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Stake</label>
+              <input
+                type="number"
+                min="0.01"
+                step="0.01"
+                value={stake}
+                onChange={(e) => setStake(e.target.value)}
+                className={inputClass}
+                required
+              />
+              {legs.length > 0 && parseFloat(stake) > 0 && (
+                <p className="text-xs text-gray-500 mt-1">Returns {formatMoney(parseFloat(stake) * totalOdds)}</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Bookmaker</label>
+              <input
+                type="text"
+                list="bet-bookmakers"
+                value={bookmakerName}
+                onChange={(e) => setBookmakerName(e.target.value)}
+                className={inputClass}
+                placeholder="Optional"
+              />
+              <datalist id="bet-bookmakers">
+                {bookmakers.map(bm => <option key={bm.id} value={bm.name} />)}
+              </datalist>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Placed at</label>
+              <input
+                type="datetime-local"
+                value={placedAt}
+                onChange={(e) => setPlacedAt(e.target.value)}
+                className={inputClass}
+                required
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Notes</label>
+            <textarea
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              rows={2}
+              className={inputClass}
+              placeholder="Optional"
+            />
+          </div>
+
+          {/* Actions */}
+          <div className="flex justify-end gap-3 pt-2">
+            <button
+              type="button"
+              onClick={onCancel}
+              className="px-4 py-2 text-gray-300 hover:text-gray-100"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-amber-500 text-gray-900 px-4 py-2 rounded-md hover:bg-amber-600 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Log Bet'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// ============================================
+// BET CARD
+// ============================================
+const BetCard = ({ bet, timezone, dateFormat, oddsFormat, bankrollName, onDelete, onSettle }) => {
+  const placedAt = toSportsMonksTime(bet.placedAt);
+
+  return (
+    <div className="bg-gray-800 rounded-lg shadow-md p-4">
+      {/* Header: type, stake, odds, status */}
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <div className="flex items-center gap-2">
+            <span className={`px-2 py-0.5 rounded text-xs font-semibold ${STATUS_STYLES[bet.status]}`}>
+              {bet.status}
+            </span>
+            <span className="text-gray-200 font-medium">
+              {bet.type === 'multiple' ? `${bet.selections.length}-fold multiple` : 'Single'}
+            </span>
+          </div>
+          <div className="text-xs text-gray-500 mt-1">
+            Placed {formatShortDate(placedAt, timezone, dateFormat)} {formatTime(placedAt, timezone)}
+            {bet.bookmakerName && <> · {bet.bookmakerName}</>}
+            {bankrollName && <> · {bankrollName} bankroll</>}
+          </div>
+        </div>
+
+        <div className="flex items-start gap-5 text-right">
+          <div>
+            <div className="text-xs text-gray-400">Stake</div>
+            <div className="text-gray-200">{formatMoney(bet.stake)}</div>
+          </div>
+          <div>
+            <div className="text-xs text-gray-400">Odds</div>
+            <div className="font-bold text-amber-500">{formatDecimalOdds(bet.odds, oddsFormat)}</div>
+          </div>
+          {bet.clv !== null && bet.clv !== undefined && (
+            <div>
+              <div className="text-xs text-gray-400">CLV</div>
+              <div className={clvClass(bet.clv)}>{formatClv(bet.clv)}</div>
+            </div>
+          )}
+          <div>
+            <div className="text-xs text-gray-400">{bet.status === 'OPEN' ? 'To return' : 'P/L'}</div>
+            {bet.status === 'OPEN' ? (
+              <div className="text-gray-300">{formatMoney(bet.stake * bet.odds)}</div>
+            ) : (
+              <div className={bet.profit > 0 ? 'text-green-400 font-medium' : bet.profit < 0 ? 'text-red-400 font-medium' : 'text-gray-300'}>
+                {formatMoney(bet.profit, true)}
+              </div>
+            )}
+          </div>
+          <button
+            onClick={() => onDelete(bet)}
+            className="text-gray-500 hover:text-red-400"
+            title="Delete bet"
+          >
+            <AppIcon name="delete" size="md" />
+          </button>
+        </div>
+      </div>
+
+      {/* Selections */}
+      <ul className="mt-3 divide-y divide-gray-700/50">
+        {bet.selections.map(selection => {
+          const kickoff = toSportsMonksTime(selection.kickoffAt);
+          return (
+            <li key={selection.id} className="py-2 flex flex-wrap items-center justify-between gap-2 text-sm">
+              <div>
+                <div className="text-gray-200">
+                  {selection.selectionLabel || selection.selectionKey}
+                  {selection.marketName && <span className="text-gray-500"> · {selection.marketName}</span>}
+                </div>
+                <div className="text-xs text-gray-500">
+                  <Link to={`/fixtures/${selection.fixtureId}`} className="hover:text-amber-400">
+                    {selection.fixtureName}
+                  </Link>
+                  {' · '}{formatShortDate(kickoff, timezone, dateFormat)} {formatTime(kickoff, timezone)}
+                  {selection.resultInfo && <> · {selection.resultInfo}</>}
+                </div>
+              </div>
+              <div className="flex items-center gap-3">
+                <span className="text-gray-300">{formatDecimalOdds(selection.odds, oddsFormat)}</span>
+                {selection.clv !== null && (
+                  <span
+                    className={`text-xs ${clvClass(selection.clv)}`}
+                    title={`Closing odds ${formatDecimalOdds(selection.closingOdds, oddsFormat)}`}
+                  >
+                    CLV {formatClv(selection.clv)}
+                  </span>
+                )}
+                {/* Manual settlement (also used to correct a result) */}
+                <select
+                  value={selection.status}
+                  onChange={(e) => onSettle(bet, selection, e.target.value)}
+                  className={`text-xs rounded px-2 py-1 border border-gray-600 ${STATUS_STYLES[selection.status]}`}
+                  title="Settle by hand"
+                >
+                  {Object.keys(STATUS_STYLES).map(status => (
+                    <option key={status} value={status}>{status}</option>
+                  ))}
+                </select>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      {bet.notes && <p className="mt-2 text-sm text-gray-400 whitespace-pre-wrap">{bet.notes}</p>}
+    </div>
+  );
+};
+
+// ============================================
+// MAIN BETS PAGE COMPONENT
+// ============================================
+const Bets = () => {
+  const { token, user } = useAuth();
+  const timezone = user?.timezone || 'America/New_York';
+  const dateFormat = user?.dateFormat || 'US';
+  const oddsFormat = user?.oddsFormat || 'AMERICAN';
+
+  // Data state
+  const [bets, setBets] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+
+  // Modal state
+  const [showLogBet, setShowLogBet] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  // Bankrolls (to assign bets and suggest stakes)
+  const [bankrolls, setBankrolls] = useState([]);
+
+  // ============================================
+  // FETCH BETS
+  // ============================================
+  const fetchBets = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const data = await betsApi.getAll(token, statusFilter);
+      setBets(data.bets || []);
+      setSummary(data.summary || null);
+    } catch (err) {
+      setError(err.message || 'Failed to load bets');
+    } finally {
+      setLoading(false);
+    }
+  }, [token, statusFilter]);
+
+  useEffect(() => {
+    fetchBets();
+  }, [fetchBets]);
+
+  useEffect(() => {
+    bankrollsApi.getAll(token)
+      .then(data => setBankrolls(data.bankrolls || []))
+      .catch(() => setBankrolls([]));
+  }, [token]);
+
+  // ============================================
+  // HANDLERS
+  // ============================================
+  const handleCreate = async (betData) => {
+    setSaving(true);
+    try {
+      await betsApi.create(betData, token);
+      setShowLogBet(false);
+      fetchBets();
+    } catch (err) {
+      setError(err.message || 'Failed to log bet');
+      setShowLogBet(false);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (bet) => {
+    if (!window.confirm('Delete this bet?')) return;
+
+    try {
+      await betsApi.delete(bet.id, token);
+      fetchBets();
+    } catch (err) {
+      setError(err.message || 'Failed to delete bet');
+    }
+  };
+
+  const handleSettle = async (bet, selection, status) => {
+    try {
+      await betsApi.settleSelection(bet.id, selection.id, status, token);
+      fetchBets();
+    } catch (err) {
+      setError(err.message || 'Failed to settle selection');
+    }
+  };
+
+  // ============================================
+  // RENDER
+  // ============================================
+  return (
+    <div className="space-y-6">
+      {/* ============================================ */}
+      {/* HEADER */}
+      {/* ============================================ */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-100 flex items-center gap-2">
+            <AppIcon name="bet-slip" size="lg" /> My Bets
+          </h1>
+          <p className="text-sm text-gray-400 mt-1">
+            Bets are settled automatically after full time. BetSmoke doesn&apos;t place bets.
+          </p>
+        </div>
+        <div className="flex items-center gap-4">
+          <Link to="/bankrolls" className="text-sm text-gray-400 hover:text-amber-400">
+            Bankrolls →
+          </Link>
+          <Link to="/bets/analytics" className="text-sm text-gray-400 hover:text-amber-400">
+            Analytics →
+          </Link>
+          <Link to="/bets/performance" className="text-sm text-gray-400 hover:text-amber-400">
+            Performance →
+          </Link>
+          <button
+            onClick={() => setShowLogBet(true)}
+            className="bg-amber-500 text-gray-900 px-4 py-2 rounded-md hover:bg-amber-600 flex items-center space-x-2"
+          >
+            <span>+</span>
+            <span>Log Bet</span>
+          </button>
+        </div>
+      </div>
+
+      {/* ============================================ */}
+      {/* SUMMARY */}
+      {/* ============================================ */}
+      {summary && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <SummaryCard
+            label="Profit / Loss"
+            value={formatMoney(summary.profit, true)}
+            valueClass={summary.profit > 0 ? 'text-green-400' : summary.profit < 0 ? 'text-red-400' : 'text-gray-100'}
+            sub={`Returns ${formatMoney(summary.returns)}`}
+          />
+          <SummaryCard
+            label="ROI"
+            value={summary.roi === null ? '-' : `${summary.roi > 0 ? '+' : ''}${summary.roi.toFixed(1)}%`}
+            valueClass={summary.roi > 0 ? 'text-green-400' : summary.roi < 0 ? 'text-red-400' : 'text-gray-100'}
+            sub={`Staked ${formatMoney(summary.staked)} (settled)`}
+          />
+          <SummaryCard
+            label="Record"
+            value={`${summary.won}-${summary.lost}`}
+            sub={`Won-lost · ${summary.void} void`}
+          />
+          <SummaryCard
+            label="Open"
+            value={summary.open}
+            sub={`Stake ${formatMoney(summary.openStake)}`}
+          />
+        </div>
+      )}
+
+      {/* ============================================ */}
+      {/* STATUS FILTER */}
+      {/* ============================================ */}
+      <div className="flex gap-2">
+        {STATUS_FILTERS.map(filter => (
+          <button
+            key={filter.value}
+            onClick={() => setStatusFilter(filter.value)}
+            className={`px-3 py-1.5 rounded-full text-sm font-medium transition-colors
+              ${statusFilter === filter.value
+                ? 'bg-amber-500 text-gray-900'
+                : 'bg-gray-700 text-gray-400 hover:bg-gray-600'
+              }`}
+          >
+            {filter.label}
+          </button>
+        ))}
+      </div>
+
+      {/* ============================================ */}
+      {/* ERROR MESSAGE */}
+      {/* ============================================ */}
+      {error && (
+        <div className="bg-red-900/30 text-red-400 p-3 rounded-md">
+          {error}
+        </div>
+      )}
+
+      {/* ============================================ */}
+      {/* BETS LIST */}
+      {/* ============================================ */}
+      {loading ? (
+        <div className="text-center py-12 text-gray-400">
+          Loading bets...
+        </div>
+      ) : bets.length === 0 ? (
+        <div className="text-center py-12 bg-gray-800 rounded-lg shadow-md">
+          <p className="text-gray-400 text-lg">No bets {statusFilter ? `(${statusFilter})` : 'yet'}</p>
+          {!statusFilter && (
+            <button
+              onClick={() => setShowLogBet(true)}
+              className="mt-4 bg-amber-500 text-gray-900 px-4 py-2 rounded-md hover:bg-amber-600"
+            >
+              Log your first bet
+            </button>
+          )}
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {bets.map(bet => (
+            <BetCard
+              key={bet.id}
+              bet={bet}
+              timezone={timezone}
+              dateFormat={dateFormat}
+              oddsFormat={oddsFormat}
+              bankrollName={bankrolls.find(b => b.id === bet.bankrollId)?.name}
+              onDelete={handleDelete}
+              onSettle={handleSettle}
+            />
+          ))}
+        </div>
+      )}
+
+      {/* ============================================ */}
+      {/* LOG BET MODAL */}
+      {/* ============================================ */}
+      {showLogBet && (
+        <LogBetModal
+          onSave={handleCreate}
+          onCancel={() => setShowLogBet(false)}
+          saving={saving}
+          timezone={timezone}
+          oddsFormat={oddsFormat}
+          bankrolls={bankrolls}
+          token={token}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Bets;
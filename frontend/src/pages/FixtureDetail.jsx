@@ -16,12 +16,14 @@ import { useAuth } from '../context/AuthContext';
 import MatchPredictions from '../components/MatchPredictions';
 import FloatingNoteWidget from '../components/FloatingNoteWidget';
 import AppIcon from '../components/AppIcon';
+import OddsMovementChart from '../components/OddsMovementChart';
 import {
   formatTime as formatTimeUtil,
   formatDate as formatDateUtil,
   formatShortDate as formatShortDateUtil,
   formatTemperature,
   formatOdds,
+  formatDecimalOdds,
   getOddsValue
 } from '../utils/formatters';
 
@@ -81,6 +83,18 @@ function formatMatchState(stateObj) {
 // Note: Defaults are filtered to only show bookmakers that have odds for the fixture
 const DEFAULT_BOOKMAKER_IDS = [4, 9]; // Betfair, Unibet
 
+// ============================================
+// CONSTANTS: Margin removal methods
+// ============================================
+// Ways the backend can take the bookmaker margin out of a price
+// (GET /odds/fixtures/:id/markets/:marketId/fair?method=...)
+const FAIR_ODDS_METHODS = [
+  { value: 'proportional', label: 'Proportional' },
+  { value: 'shin', label: 'Shin' },
+  { value: 'power', label: 'Power' },
+  { value: 'odds-ratio', label: 'Odds ratio' }
+];
+
 // ============================================
 // NOTE: Date/Time formatting functions have been moved to
 // src/utils/formatters.js for centralized user preference handling.
@@ -200,51 +214,6 @@ function getAttendanceFromMetadata(metadata) {
   return attendanceMeta?.values?.attendance ?? null;
 }
 
-// ============================================
-// BETTING MARKET NAMES LOOKUP
-// ============================================
-// Maps SportsMonks market_id to user-friendly names
-// Used as fallback when market.name is not included in API response
-const MARKET_NAMES = {
-  1: 'Fulltime Result (1X2)',
-  2: 'Home/Away',
-  5: 'Alternative Match Goals',
-  10: 'Home/Away',
-  12: 'Over/Under Goals',
-  14: 'Both Teams to Score',
-  28: 'Asian Handicap',
-  29: 'Asian Handicap Cards',
-  30: 'Asian Total Cards',
-  31: 'First Card Received',
-  32: 'Time of First Card',
-  33: 'Team Cards',
-  34: 'Corner Match Bet',
-  35: 'Corner Handicap',
-  36: 'Time of First Corner',
-  37: '1st Half Result',
-  38: '2nd Half Over/Under',
-  39: 'Team Corners',
-  47: '2nd Half Over/Under',
-  63: 'Double Chance',
-  69: 'Team to Score First',
-  75: 'Team to Score Last',
-  80: '2nd Half Result',
-  83: 'Handicap Result',
-  97: 'Exact Goals',
-  98: 'Goal Range',
-  99: 'Odd/Even Goals',
-  100: 'Result & Both Teams Score',
-  101: 'Result & Over/Under',
-  13343: 'Team Clean Sheet',
-  28075: 'Fulltime Result',
-  28076: 'To Win 2nd Half'
-};
-
-// Helper to get market name from ID
-function getMarketName(marketId) {
-  return MARKET_NAMES[marketId] || `Market ${marketId}`;
-}
-
 // ============================================
 // HELPER: Format Odd Label for Display
 // ============================================
@@ -1567,6 +1536,85 @@ function RecentFormSection({ homeForm, awayForm, homeTeam, awayTeam, loading })
   );
 }
 
+// ============================================
+// TEAM RATINGS SECTION COMPONENT
+// ============================================
+// Each side's Elo rating (all competitions, from the backend's
+// /ratings/fixtures/:id) and the win/draw/loss chances it implies.
+// Gives cup ties against lower-league sides some strength context.
+// For played fixtures: the ratings before kick-off and how they moved.
+function TeamRatingsSection({ ratings, homeTeam, awayTeam }) {
+  if (!ratings) return null;
+
+  const { home, away, probabilities, played, homeAdvantage } = ratings;
+  const difference = home.rating - away.rating;
+
+  // Render one side's rating
+  const renderSide = (side, team, color) => (
+    <div className="flex-1 text-center">
+      <div className="flex items-center justify-center space-x-2 mb-2">
+        {team?.image_path && (
+          <img src={team.image_path} alt={team.name} className="w-6 h-6 object-contain" />
+        )}
+        <h3 className="font-medium text-gray-200">{team?.name || side.name}</h3>
+      </div>
+      <div className={`text-3xl font-bold ${color}`}>{Math.round(side.rating)}</div>
+      {side.provisional ? (
+        <div className="text-xs text-gray-500 mt-1" title="No rated fixtures yet: starting rating of its division">
+          Provisional
+        </div>
+      ) : played ? (
+        <div className={`text-xs mt-1 ${side.change >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+          {side.change >= 0 ? '+' : ''}{side.change.toFixed(1)} → {Math.round(side.ratingAfter)}
+        </div>
+      ) : (
+        <div className="text-xs text-gray-500 mt-1">{side.fixtures} rated fixtures</div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="bg-gray-800 rounded-lg shadow-md p-4">
+      <h2 className="text-lg font-semibold text-gray-100 mb-4 flex items-center gap-2">
+        <AppIcon name="trend-up" size="lg" className="text-gray-400" />
+        <span>Team Ratings</span>
+        <span className="text-sm font-normal text-gray-500 ml-2">
+          (Elo, all competitions{played ? ', before kick-off' : ''})
+        </span>
+      </h2>
+
+      <div className="flex items-center gap-6 mb-4">
+        {renderSide(home, homeTeam, 'text-blue-400')}
+        <div className="text-center text-sm text-gray-400">
+          <div className={difference >= 0 ? 'text-blue-400' : 'text-red-400'}>
+            {difference >= 0 ? '+' : ''}{Math.round(difference)}
+          </div>
+          <div className="text-xs text-gray-500">+{homeAdvantage} home</div>
+        </div>
+        {renderSide(away, awayTeam, 'text-red-400')}
+      </div>
+
+      {/* Rating-implied chances */}
+      <div className="flex h-6 rounded-full overflow-hidden text-xs font-medium">
+        <div className="bg-blue-500 flex items-center justify-center text-white" style={{ width: `${probabilities.home}%` }}>
+          {probabilities.home >= 10 && `${Math.round(probabilities.home)}%`}
+        </div>
+        <div className="bg-gray-500 flex items-center justify-center text-white" style={{ width: `${probabilities.draw}%` }}>
+          {probabilities.draw >= 10 && `${Math.round(probabilities.draw)}%`}
+        </div>
+        <div className="bg-red-500 flex items-center justify-center text-white" style={{ width: `${probabilities.away}%` }}>
+          {probabilities.away >= 10 && `${Math.round(probabilities.away)}%`}
+        </div>
+      </div>
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>Home {probabilities.home.toFixed(1)}%</span>
+        <span>Draw {probabilities.draw.toFixed(1)}%</span>
+        <span>Away {probabilities.away.toFixed(1)}%</span>
+      </div>
+    </div>
+  );
+}
+
 // ============================================
 // CORNERS BREAKDOWN SECTION COMPONENT
 // ============================================
@@ -2008,8 +2056,10 @@ function TeamStatsComparisonSection(props) {
 // ============================================
 // Shows ALL markets with odds grouped by bookmaker within each market
 // Each market is individually expandable/collapsible
-// Uses consistent ordering and normalized labels across all bookmakers
-function AllBettingMarketsContent({ odds, bookmakers, oddsFormat, formatOddLabel, getMarketName }) {
+// Markets arrive from the backend already normalized (GET /odds/fixtures/:id):
+// names resolved, selections matched across bookmakers and in display order
+// Expanded markets with recorded history also chart their line movement
+function AllBettingMarketsContent({ markets, bookmakers, oddsFormat, formatOddLabel, oddsHistory, timezone }) {
   // State to track which markets are expanded
   const [expandedMarkets, setExpandedMarkets] = useState(new Set());
 
@@ -2028,8 +2078,7 @@ function AllBettingMarketsContent({ odds, bookmakers, oddsFormat, formatOddLabel
 
   // Expand all markets
   const expandAll = () => {
-    const allMarketIds = [...new Set(odds.map(o => o.market_id))];
-    setExpandedMarkets(new Set(allMarketIds));
+    setExpandedMarkets(new Set(markets.map(market => market.id)));
   };
 
   // Collapse all markets
@@ -2037,115 +2086,32 @@ function AllBettingMarketsContent({ odds, bookmakers, oddsFormat, formatOddLabel
     setExpandedMarkets(new Set());
   };
 
-  // ============================================
-  // NORMALIZE LABEL - Maps various formats to canonical keys
-  // ============================================
-  const normalizeLabel = (label, marketId) => {
-    if (!label) return label;
-    const lower = label.toLowerCase().trim();
-
-    // 1X2 / Match Result markets
-    if ([1, 37, 80, 28075].includes(marketId)) {
-      if (lower === '1' || lower === 'home' || lower.includes('home win')) return '1';
-      if (lower === 'x' || lower === 'draw') return 'X';
-      if (lower === '2' || lower === 'away' || lower.includes('away win')) return '2';
-    }
-
-    // Double Chance (market 63)
-    if (marketId === 63) {
-      if (lower === '1x' || lower.includes('home or draw') || lower.includes('home/draw')) return '1X';
-      if (lower === 'x2' || lower.includes('draw or away') || lower.includes('draw/away')) return 'X2';
-      if (lower === '12' || lower.includes('home or away') || lower.includes('home/away') || lower.includes('no draw')) return '12';
-    }
-
-    // Both Teams to Score (market 14)
-    if (marketId === 14) {
-      if (lower === 'yes' || lower === 'btts yes') return 'yes';
-      if (lower === 'no' || lower === 'btts no') return 'no';
-    }
-
-    // Over/Under markets (12, 38, 47, 5) - normalize the number format
-    if ([12, 38, 47, 5].includes(marketId)) {
-      // Extract Over/Under and the number
-      const overMatch = lower.match(/over\s*([\d.]+)/);
-      const underMatch = lower.match(/under\s*([\d.]+)/);
-      if (overMatch) return `over_${overMatch[1]}`;
-      if (underMatch) return `under_${underMatch[1]}`;
-    }
-
-    // Team to Score First/Last (69, 75)
-    if ([69, 75].includes(marketId)) {
-      if (lower === '1' || lower === 'home') return '1';
-      if (lower === '2' || lower === 'away') return '2';
-      if (lower === 'x' || lower === 'none' || lower === 'no goal') return 'X';
-    }
-
-    // Odd/Even (99)
-    if (marketId === 99) {
-      if (lower === 'odd') return 'odd';
-      if (lower === 'even') return 'even';
-    }
-
-    return label; // Return original if no normalization needed
-  };
-
-  // ============================================
-  // GET SORT ORDER FOR MARKET
-  // ============================================
-  const getSortOrder = (marketId) => {
-    // 1X2 markets: Home → Draw → Away
-    if ([1, 37, 80, 28075].includes(marketId)) {
-      return { '1': 0, 'X': 1, '2': 2 };
-    }
-
-    // Double Chance: Home/Draw → Home/Away → Draw/Away
-    if (marketId === 63) {
-      return { '1X': 0, '12': 1, 'X2': 2 };
-    }
-
-    // BTTS: Yes → No
-    if (marketId === 14) {
-      return { 'yes': 0, 'no': 1 };
-    }
-
-    // Team to Score: Home → Away → None
-    if ([69, 75].includes(marketId)) {
-      return { '1': 0, '2': 1, 'X': 2 };
-    }
-
-    // Odd/Even: Odd → Even
-    if (marketId === 99) {
-      return { 'odd': 0, 'even': 1 };
-    }
-
-    return null; // No specific order
-  };
-
   // Build a map of bookmaker ID -> name
   const bookmakerNames = useMemo(() => {
     const names = {};
-    odds.forEach(odd => {
-      if (odd.bookmaker_id && !names[odd.bookmaker_id]) {
-        names[odd.bookmaker_id] = odd.bookmaker?.name || `Bookmaker ${odd.bookmaker_id}`;
-      }
+    bookmakers.forEach(bm => {
+      names[bm.id] = bm.name;
     });
     return names;
-  }, [odds]);
-
-  // Group ALL odds by market
-  const allOddsByMarket = useMemo(() => {
-    return odds.reduce((acc, odd) => {
-      const marketId = odd.market_id;
-      if (!acc[marketId]) {
-        acc[marketId] = [];
-      }
-      acc[marketId].push(odd);
-      return acc;
-    }, {});
-  }, [odds]);
+  }, [bookmakers]);
+
+  // Recorded line movement by market ID (only markets with snapshots)
+  const historyByMarket = useMemo(() => {
+    const byMarket = {};
+    (oddsHistory?.markets || []).forEach(market => {
+      byMarket[market.marketId] = market;
+    });
+    return byMarket;
+  }, [oddsHistory]);
+
+  // Display label of a selection (Over/Under lines carry their total separately)
+  const selectionLabel = (selection, marketId) => {
+    const label = formatOddLabel(selection.label, marketId);
+    return selection.total && !label.includes(selection.total) ? `${label} ${selection.total}` : label;
+  };
 
   // If no odds available, show message
-  if (Object.keys(allOddsByMarket).length === 0) {
+  if (markets.length === 0) {
     return (
       <div className="text-center text-gray-500 py-4">
         No betting markets available
@@ -2173,67 +2139,21 @@ function AllBettingMarketsContent({ odds, bookmakers, oddsFormat, formatOddLabel
       </div>
 
       {/* Market Cards */}
-      {Object.entries(allOddsByMarket).map(([marketId, marketOdds]) => {
-        const mId = parseInt(marketId);
+      {markets.map(market => {
+        const mId = market.id;
         const isExpanded = expandedMarkets.has(mId);
+        const { selections, bookmakerCount } = market;
 
-        // Get market name
-        const marketName = marketOdds[0]?.market?.name || getMarketName(mId);
-
-        // Group odds by bookmaker
-        const oddsByBookmaker = marketOdds.reduce((acc, odd) => {
-          const bmId = odd.bookmaker_id;
-          if (!acc[bmId]) {
-            acc[bmId] = [];
-          }
-          acc[bmId].push(odd);
-          return acc;
-        }, {});
-
-        const bookmakerCount = Object.keys(oddsByBookmaker).length;
-
-        // Get all unique normalized labels across ALL bookmakers for consistent columns
-        const allNormalizedLabels = new Map();
-        marketOdds.forEach(odd => {
-          const rawLabel = odd.label || odd.name;
-          const normalized = normalizeLabel(rawLabel, mId);
-          if (!allNormalizedLabels.has(normalized)) {
-            allNormalizedLabels.set(normalized, rawLabel);
-          }
-        });
-
-        // Sort the canonical labels
-        let sortedLabels = [...allNormalizedLabels.keys()];
-        const sortOrder = getSortOrder(mId);
-        if (sortOrder) {
-          sortedLabels.sort((a, b) => {
-            const orderA = sortOrder[a] ?? 999;
-            const orderB = sortOrder[b] ?? 999;
-            return orderA - orderB;
-          });
-        } else {
-          // For Over/Under, sort numerically
-          if ([12, 38, 47, 5].includes(mId)) {
-            sortedLabels.sort((a, b) => {
-              const aNum = parseFloat(a.split('_')[1] || '0');
-              const bNum = parseFloat(b.split('_')[1] || '0');
-              const aIsOver = a.startsWith('over');
-              const bIsOver = b.startsWith('over');
-              // Group overs first, then unders, each sorted by number
-              if (aIsOver && !bIsOver) return -1;
-              if (!aIsOver && bIsOver) return 1;
-              return aNum - bNum;
-            });
-          } else {
-            sortedLabels.sort();
-          }
-        }
+        // Bookmakers pricing this market, alphabetically
+        const marketBookmakerIds = [...new Set(
+          selections.flatMap(selection => selection.prices.map(price => price.bookmakerId))
+        )].sort((a, b) => (bookmakerNames[a] || '').localeCompare(bookmakerNames[b] || ''));
 
         // Preview labels for collapsed state
-        const previewLabels = sortedLabels.slice(0, 4).map(norm => formatOddLabel(allNormalizedLabels.get(norm), mId));
+        const previewLabels = selections.slice(0, 4).map(selection => selectionLabel(selection, mId));
 
         return (
-          <div key={marketId} className="border border-gray-700 rounded-lg overflow-hidden">
+          <div key={mId} className="border border-gray-700 rounded-lg overflow-hidden">
             {/* Market Header */}
             <button
               onClick={() => toggleMarket(mId)}
@@ -2243,7 +2163,7 @@ function AllBettingMarketsContent({ odds, bookmakers, oddsFormat, formatOddLabel
                 <span className={`transform transition-transform text-gray-400 ${isExpanded ? 'rotate-90' : ''}`}>
                   ▶
                 </span>
-                <span className="font-medium text-gray-200">{marketName}</span>
+                <span className="font-medium text-gray-200">{market.name}</span>
                 <span className="text-xs text-gray-300 bg-gray-600 px-2 py-0.5 rounded">
                   {bookmakerCount} bookmaker{bookmakerCount !== 1 ? 's' : ''}
                 </span>
@@ -2260,58 +2180,78 @@ function AllBettingMarketsContent({ odds, bookmakers, oddsFormat, formatOddLabel
               <div className="bg-gray-800 border-t border-gray-700">
                 {/* Column Headers */}
                 <div className="grid bg-gray-700 border-b border-gray-700 text-xs font-medium text-gray-400"
-                  style={{ gridTemplateColumns: `140px repeat(${sortedLabels.length}, minmax(80px, 1fr))` }}
+                  style={{ gridTemplateColumns: `140px repeat(${selections.length}, minmax(80px, 1fr))` }}
                 >
                   <div className="px-3 py-2">Bookmaker</div>
-                  {sortedLabels.map(normLabel => (
-                    <div key={normLabel} className="px-2 py-2 text-center">
-                      {formatOddLabel(allNormalizedLabels.get(normLabel), mId)}
+                  {selections.map(selection => (
+                    <div key={selection.key} className="px-2 py-2 text-center">
+                      {selectionLabel(selection, mId)}
                     </div>
                   ))}
                 </div>
 
                 {/* Bookmaker Rows */}
-                {Object.entries(oddsByBookmaker)
-                  .sort((a, b) => {
-                    const nameA = bookmakerNames[a[0]] || '';
-                    const nameB = bookmakerNames[b[0]] || '';
-                    return nameA.localeCompare(nameB);
-                  })
-                  .map(([bmId, bmOdds], idx) => {
-                    const bookmakerName = bookmakerNames[bmId] || `Bookmaker ${bmId}`;
-
-                    // Build a map of normalized label -> odd for this bookmaker
-                    const bmOddsMap = {};
-                    bmOdds.forEach(odd => {
-                      const rawLabel = odd.label || odd.name;
-                      const normalized = normalizeLabel(rawLabel, mId);
-                      bmOddsMap[normalized] = odd;
-                    });
-
-                    return (
-                      <div
-                        key={bmId}
-                        className={`grid items-center ${idx % 2 === 0 ? 'bg-gray-800' : 'bg-gray-700'} hover:bg-gray-600 transition-colors`}
-                        style={{ gridTemplateColumns: `140px repeat(${sortedLabels.length}, minmax(80px, 1fr))` }}
-                      >
-                        <div className="px-3 py-2 text-sm font-medium text-gray-300 truncate" title={bookmakerName}>
-                          {bookmakerName}
-                        </div>
-                        {sortedLabels.map(normLabel => {
-                          const odd = bmOddsMap[normLabel];
-                          const formattedOdd = odd ? formatOdds(odd, oddsFormat) : '-';
-
-                          return (
-                            <div key={normLabel} className="px-2 py-2 text-center">
-                              <span className={`font-semibold ${formattedOdd === '-' ? 'text-gray-300' : 'text-gray-200'}`}>
-                                {formattedOdd}
-                              </span>
-                            </div>
-                          );
-                        })}
+                {marketBookmakerIds.map((bmId, idx) => {
+                  const bookmakerName = bookmakerNames[bmId] || `Bookmaker ${bmId}`;
+
+                  return (
+                    <div
+                      key={bmId}
+                      className={`grid items-center ${idx % 2 === 0 ? 'bg-gray-800' : 'bg-gray-700'} hover:bg-gray-600 transition-colors`}
+                      style={{ gridTemplateColumns: `140px repeat(${selections.length}, minmax(80px, 1fr))` }}
+                    >
+                      <div className="px-3 py-2 text-sm font-medium text-gray-300 truncate" title={bookmakerName}>
+                        {bookmakerName}
                       </div>
-                    );
-                  })}
+                      {selections.map(selection => {
+                        const price = selection.prices.find(p => p.bookmakerId === bmId);
+                        const formattedOdd = price ? formatOdds(price, oddsFormat) : '-';
+                        // Highlight the best price of each selection (when more than one bookmaker prices it)
+                        const isBest = selection.prices.length > 1 && selection.best?.oddId === price?.oddId;
+
+                        return (
+                          <div key={selection.key} className="px-2 py-2 text-center">
+                            <span className={`font-semibold ${formattedOdd === '-' ? 'text-gray-300' : isBest ? 'text-green-400' : 'text-gray-200'}`}>
+                              {formattedOdd}
+                            </span>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  );
+                })}
+
+                {/* Best Price Row */}
+                {marketBookmakerIds.length > 1 && (
+                  <div
+                    className="grid items-center bg-gray-900 border-t border-gray-700"
+                    style={{ gridTemplateColumns: `140px repeat(${selections.length}, minmax(80px, 1fr))` }}
+                  >
+                    <div className="px-3 py-2 text-xs font-medium text-gray-400 uppercase">Best</div>
+                    {selections.map(selection => (
+                      <div key={selection.key} className="px-2 py-2 text-center">
+                        <span className="font-semibold text-green-400">
+                          {selection.best ? formatOdds(selection.best, oddsFormat) : '-'}
+                        </span>
+                        {selection.best && (
+                          <div className="text-[10px] text-gray-500 truncate">
+                            {bookmakerNames[selection.best.bookmakerId]}
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {/* Line Movement (when the market has recorded history) */}
+                {historyByMarket[mId] && (
+                  <OddsMovementChart
+                    market={historyByMarket[mId]}
+                    bookmakerNames={bookmakerNames}
+                    formatLabel={(label) => formatOddLabel(label, mId)}
+                    timezone={timezone}
+                  />
+                )}
               </div>
             )}
           </div>
@@ -2341,12 +2281,23 @@ const FixtureDetail = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
-  // Odds data
-  const [odds, setOdds] = useState([]);
+  // Set when the backend served cached data because SportsMonks was unavailable
+  const [dataStatus, setDataStatus] = useState(null);
+
+  // Odds data (market -> selection -> price tree from GET /odds/fixtures/:id)
+  const [oddsTree, setOddsTree] = useState({ markets: [], bookmakers: [] });
   const [bookmakers, setBookmakers] = useState([]);
   const [selectedBookmakerIds, setSelectedBookmakerIds] = useState(DEFAULT_BOOKMAKER_IDS);
   const [oddsLoading, setOddsLoading] = useState(false);
 
+  // Fair 1X2 odds with the margin removed (only fetched when toggled on)
+  const [showFairOdds, setShowFairOdds] = useState(false);
+  const [fairOddsMethod, setFairOddsMethod] = useState('proportional');
+  const [fairOdds, setFairOdds] = useState(null);
+
+  // Recorded line movement (GET /odds/fixtures/:id/history)
+  const [oddsHistory, setOddsHistory] = useState(null);
+
   // Head to head data
   const [h2h, setH2h] = useState([]);
   const [h2hLoading, setH2hLoading] = useState(false);
@@ -2371,6 +2322,9 @@ const FixtureDetail = () => {
   const [awayCornerAvg, setAwayCornerAvg] = useState(null);
   const [cornersLoading, setCornersLoading] = useState(false);
 
+  // Team ratings (Elo) - null until loaded or if unavailable
+  const [teamRatings, setTeamRatings] = useState(null);
+
   // ============================================
   // FETCH FIXTURE DATA ON MOUNT
   // ============================================
@@ -2380,13 +2334,9 @@ const FixtureDetail = () => {
       setError('');
 
       try {
-        const data = await dataApi.getFixture(id, true); // Include odds
+        const data = await dataApi.getFixture(id);
         setFixture(data.fixture);
-
-        // Extract odds from fixture if included
-        if (data.fixture?.odds) {
-          setOdds(data.fixture.odds);
-        }
+        setDataStatus(data.dataStatus || null);
       } catch (err) {
         console.error('Failed to fetch fixture:', err);
         setError(err.message || 'Failed to load fixture');
@@ -2399,57 +2349,62 @@ const FixtureDetail = () => {
   }, [id]);
 
   // ============================================
-  // BUILD BOOKMAKERS LIST FROM ODDS DATA
+  // FETCH ODDS ON MOUNT
   // ============================================
-  // The odds data now includes bookmaker names directly (via odds.bookmaker include)
-  // This ensures:
-  // 1. Only bookmakers with odds for THIS fixture appear in the dropdown
-  // 2. The filter actually works (IDs match between dropdown and odds)
-  // 3. Bookmaker names come directly from the odds data - no separate API call needed
+  // Normalized on the backend: market names resolved, selections matched
+  // across bookmakers, best price per selection
   useEffect(() => {
-    if (!odds || odds.length === 0) return;
-    
-    // For 1X2 market (market_id = 1), find which bookmakers have valid odds
-    const market1Odds = odds.filter(o => o.market_id === 1);
-    
-    // Build a map of bookmaker ID -> name from the odds data
-    // Each odd object now has a 'bookmaker' property with { id, name, ... }
-    const bookmakerMap = {};
-    odds.forEach(odd => {
-      if (odd.bookmaker_id && !bookmakerMap[odd.bookmaker_id]) {
-        // Get name from embedded bookmaker object, or use ID as fallback
-        const name = odd.bookmaker?.name || `Bookmaker ${odd.bookmaker_id}`;
-        bookmakerMap[odd.bookmaker_id] = name;
+    const fetchOdds = async () => {
+      setOddsLoading(true);
+      try {
+        const data = await dataApi.getOddsByFixture(id);
+        setOddsTree({ markets: data.markets || [], bookmakers: data.bookmakers || [] });
+      } catch (err) {
+        console.error('Failed to fetch odds:', err);
+      } finally {
+        setOddsLoading(false);
       }
-    });
-    
-    // Build bookmaker list - only include those with valid 1X2 odds
-    const bookmakersWithValid1X2 = Object.keys(bookmakerMap)
-      .map(bmId => {
-        const id = parseInt(bmId);
-        // Check if this bookmaker has valid 1X2 odds
-        const bmOdds = market1Odds.filter(o => o.bookmaker_id === id);
-        const homeOdd = bmOdds.find(o => o.label === '1' || o.name?.toLowerCase().includes('home'));
-        const drawOdd = bmOdds.find(o => o.label === 'X' || o.name?.toLowerCase().includes('draw'));
-        const awayOdd = bmOdds.find(o => o.label === '2' || o.name?.toLowerCase().includes('away'));
-        
-        const hasValid1X2 = (
-          (homeOdd?.american !== null && homeOdd?.american !== undefined) ||
-          (drawOdd?.american !== null && drawOdd?.american !== undefined) ||
-          (awayOdd?.american !== null && awayOdd?.american !== undefined)
-        );
-        
-        return {
-          id,
-          name: bookmakerMap[bmId],
-          hasValid1X2
-        };
-      })
-      .filter(bm => bm.hasValid1X2) // Only show bookmakers with valid 1X2 odds
-      .sort((a, b) => a.name.localeCompare(b.name)); // Sort alphabetically
-    
-    console.log('[DEBUG Odds] Bookmakers with valid 1X2 odds:', bookmakersWithValid1X2.map(b => b.name));
-    
+    };
+
+    fetchOdds();
+  }, [id]);
+
+  // ============================================
+  // FETCH FAIR 1X2 ODDS WHEN TOGGLED ON
+  // ============================================
+  useEffect(() => {
+    if (!showFairOdds) return;
+
+    const fetchFairOdds = async () => {
+      try {
+        const data = await dataApi.getFairOdds(id, 1, fairOddsMethod);
+        setFairOdds(data);
+      } catch (err) {
+        console.error('Failed to fetch fair odds:', err);
+        setFairOdds(null);
+      }
+    };
+
+    fetchFairOdds();
+  }, [id, showFairOdds, fairOddsMethod]);
+
+  // ============================================
+  // BUILD BOOKMAKERS LIST FROM ODDS DATA
+  // ============================================
+  // Only bookmakers with a 1X2 price for THIS fixture appear in the dropdown,
+  // so the filter always matches the rows shown in the Odds section
+  useEffect(() => {
+    const resultMarket = oddsTree.markets.find(market => market.id === 1);
+    if (!resultMarket) return;
+
+    const bookmakerIdsWith1X2 = new Set(
+      resultMarket.selections.flatMap(selection =>
+        selection.prices.filter(price => price.american !== null).map(price => price.bookmakerId)
+      )
+    );
+
+    // Already sorted alphabetically by the backend
+    const bookmakersWithValid1X2 = oddsTree.bookmakers.filter(bm => bookmakerIdsWith1X2.has(bm.id));
     setBookmakers(bookmakersWithValid1X2);
     
     // Set default selection: prefer Betfair (4) and Unibet (9) if available
@@ -2466,7 +2421,7 @@ const FixtureDetail = () => {
       // Use first 2 available bookmakers
       setSelectedBookmakerIds(availableIds.slice(0, 2));
     }
-  }, [odds]);
+  }, [oddsTree]);
 
   // ============================================
   // FETCH H2H WHEN FIXTURE LOADS
@@ -2498,6 +2453,46 @@ const FixtureDetail = () => {
     fetchH2H();
   }, [fixture, id]);
 
+  // ============================================
+  // FETCH ODDS HISTORY WHEN FIXTURE LOADS
+  // ============================================
+  // Only fixtures the backend snapshots (followed leagues, kicking off
+  // soon) have history; for the rest, markets is empty and no chart shows
+  useEffect(() => {
+    if (!fixture) return;
+
+    const fetchOddsHistory = async () => {
+      try {
+        const data = await dataApi.getOddsHistory(fixture.id);
+        setOddsHistory(data);
+      } catch (err) {
+        console.error('Failed to fetch odds history:', err);
+      }
+    };
+
+    fetchOddsHistory();
+  }, [fixture]);
+
+  // ============================================
+  // FETCH TEAM RATINGS WHEN FIXTURE LOADS
+  // ============================================
+  // Unrated teams still get a provisional rating; the section only
+  // hides if the ratings can't be loaded at all
+  useEffect(() => {
+    if (!fixture) return;
+
+    const fetchTeamRatings = async () => {
+      try {
+        const data = await dataApi.getFixtureRatings(fixture.id);
+        setTeamRatings(data);
+      } catch (err) {
+        console.error('Failed to fetch team ratings:', err);
+      }
+    };
+
+    fetchTeamRatings();
+  }, [fixture]);
+
   // ============================================
   // FETCH TEAM STATS FOR SCORING PATTERNS
   // ============================================
@@ -2713,21 +2708,22 @@ const FixtureDetail = () => {
   // ============================================
   // FILTER ODDS BY SELECTED BOOKMAKERS
   // ============================================
-  // Safety check - ensure odds is an array before filtering
-  const safeOdds = Array.isArray(odds) ? odds : [];
-  const filteredOdds = safeOdds.filter(
-    odd => selectedBookmakerIds.length === 0 || selectedBookmakerIds.includes(odd.bookmaker_id)
+  // The 1X2 market, and the bookmakers to show a row for (all if none selected)
+  const resultMarket = oddsTree.markets.find(market => market.id === 1);
+  const resultBookmakers = bookmakers.filter(
+    bm => selectedBookmakerIds.length === 0 || selectedBookmakerIds.includes(bm.id)
   );
 
-  // Group odds by market
-  const oddsByMarket = filteredOdds.reduce((acc, odd) => {
-    const marketId = odd.market_id;
-    if (!acc[marketId]) {
-      acc[marketId] = [];
-    }
-    acc[marketId].push(odd);
-    return acc;
-  }, {});
+  // One bookmaker's price for a 1X2 selection ("1", "X" or "2")
+  const resultPrice = (selectionKey, bookmakerId) => resultMarket?.selections
+    .find(selection => selection.key === selectionKey)
+    ?.prices.find(price => price.bookmakerId === bookmakerId);
+
+  // The 1X2 book (one per bookmaker) once fair odds are loaded
+  const fairBook = showFairOdds ? fairOdds?.books?.[0] : null;
+  const fairBookmaker = (bookmakerId) => fairBook?.bookmakers.find(bm => bm.bookmakerId === bookmakerId);
+  const fairPrice = (selectionKey, bookmakerId) => fairBookmaker(bookmakerId)?.prices
+    .find(price => price.key === selectionKey);
 
   // ============================================
   // LOADING STATE
@@ -2792,6 +2788,14 @@ const FixtureDetail = () => {
         ← Back to Fixtures
       </Link>
 
+      {/* Degraded data notice - SportsMonks was unavailable, showing last cached copy */}
+      {dataStatus?.degraded && (
+        <div className="bg-amber-900/40 border border-amber-600 text-amber-200 rounded-lg px-4 py-2 text-sm">
+          Live data is temporarily unavailable. Showing the last saved copy
+          {dataStatus.cachedAt && ` from ${new Date(dataStatus.cachedAt).toLocaleString()}`}.
+        </div>
+      )}
+
       {/* ============================================ */}
       {/* MATCH HEADER */}
       {/* ============================================ */}
@@ -3003,68 +3007,122 @@ const FixtureDetail = () => {
         </div>
 
         {/* 1X2 Odds Display */}
-        {filteredOdds.length > 0 ? (
+        {oddsLoading ? (
+          <div className="text-center py-4 text-gray-500">
+            Loading odds...
+          </div>
+        ) : resultMarket && resultBookmakers.length > 0 ? (
           <div className="space-y-4">
-            {/* Group by bookmaker for 1X2 market (market_id = 1) */}
-            {oddsByMarket[1] && (
-              <div>
-                <h3 className="text-sm font-medium text-gray-400 mb-2">Match Result (1X2)</h3>
-                <div className="space-y-2">
-                  {/* Group by bookmaker - filter out bookmakers with no valid odds */}
-                  {Array.from(new Set(oddsByMarket[1].map(o => o.bookmaker_id)))
-                    .filter(bmId => {
-                      // Only include bookmakers that have at least one valid odd value
-                      const bmOdds = oddsByMarket[1].filter(o => o.bookmaker_id === bmId);
-                      const homeOdd = bmOdds.find(o => o.label === '1' || o.name?.toLowerCase().includes('home'));
-                      const drawOdd = bmOdds.find(o => o.label === 'X' || o.name?.toLowerCase().includes('draw'));
-                      const awayOdd = bmOdds.find(o => o.label === '2' || o.name?.toLowerCase().includes('away'));
-                      
-                      return (
-                        (homeOdd?.american !== null && homeOdd?.american !== undefined) ||
-                        (drawOdd?.american !== null && drawOdd?.american !== undefined) ||
-                        (awayOdd?.american !== null && awayOdd?.american !== undefined)
-                      );
-                    })
-                    .map(bmId => {
-                    const bmOdds = oddsByMarket[1].filter(o => o.bookmaker_id === bmId);
-                    const bm = bookmakers.find(b => b.id === bmId);
-                    
-                    // Find home, draw, away odds
-                    const homeOdd = bmOdds.find(o => o.label === '1' || o.name?.toLowerCase().includes('home'));
-                    const drawOdd = bmOdds.find(o => o.label === 'X' || o.name?.toLowerCase().includes('draw'));
-                    const awayOdd = bmOdds.find(o => o.label === '2' || o.name?.toLowerCase().includes('away'));
-
-                    return (
-                      <div key={bmId} className="flex items-center justify-between bg-gray-700 rounded-lg p-3">
-                        <span className="text-sm font-medium text-gray-300 w-32">
-                          {bm?.name || `Bookmaker ${bmId}`}
-                        </span>
-                        <div className="flex space-x-4">
-                          <div className="text-center">
-                            <div className="text-xs text-gray-500">Home</div>
-                            <div className="font-bold text-amber-500">
-                              {formatOdds(homeOdd, oddsFormat)}
-                            </div>
-                          </div>
-                          <div className="text-center">
-                            <div className="text-xs text-gray-500">Draw</div>
-                            <div className="font-bold text-gray-400">
-                              {formatOdds(drawOdd, oddsFormat)}
-                            </div>
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-sm font-medium text-gray-400">{resultMarket.name}</h3>
+                <div className="flex items-center space-x-2">
+                  {showFairOdds && (
+                    <select
+                      value={fairOddsMethod}
+                      onChange={(e) => setFairOddsMethod(e.target.value)}
+                      className="text-xs bg-gray-700 border border-gray-600 text-gray-200 rounded px-2 py-1"
+                    >
+                      {FAIR_ODDS_METHODS.map(method => (
+                        <option key={method.value} value={method.value}>{method.label}</option>
+                      ))}
+                    </select>
+                  )}
+                  <label className="flex items-center space-x-1 text-xs text-gray-400 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={showFairOdds}
+                      onChange={(e) => setShowFairOdds(e.target.checked)}
+                      className="rounded border-gray-600"
+                    />
+                    <span>Fair odds</span>
+                  </label>
+                </div>
+              </div>
+              <div className="space-y-2">
+                {/* One row per selected bookmaker (only bookmakers with 1X2 prices are listed) */}
+                {resultBookmakers.map(bm => (
+                  <div key={bm.id} className="flex items-center justify-between bg-gray-700 rounded-lg p-3">
+                    <div className="w-32">
+                      <span className="text-sm font-medium text-gray-300">
+                        {bm.name}
+                      </span>
+                      {fairBookmaker(bm.id) && (
+                        <div className="text-xs text-gray-500">
+                          Margin {fairBookmaker(bm.id).overround.toFixed(1)}%
+                        </div>
+                      )}
+                    </div>
+                    <div className="flex space-x-4">
+                      <div className="text-center">
+                        <div className="text-xs text-gray-500">Home</div>
+                        <div className="font-bold text-amber-500">
+                          {formatOdds(resultPrice('1', bm.id), oddsFormat)}
+                        </div>
+                        {fairBook && (
+                          <div className="text-xs text-gray-500" title="Fair odds (margin removed)">
+                            {formatDecimalOdds(fairPrice('1', bm.id)?.fairOdds, oddsFormat)}
                           </div>
-                          <div className="text-center">
-                            <div className="text-xs text-gray-500">Away</div>
-                            <div className="font-bold text-red-600">
-                              {formatOdds(awayOdd, oddsFormat)}
-                            </div>
+                        )}
+                      </div>
+                      <div className="text-center">
+                        <div className="text-xs text-gray-500">Draw</div>
+                        <div className="font-bold text-gray-400">
+                          {formatOdds(resultPrice('X', bm.id), oddsFormat)}
+                        </div>
+                        {fairBook && (
+                          <div className="text-xs text-gray-500" title="Fair odds (margin removed)">
+                            {formatDecimalOdds(fairPrice('X', bm.id)?.fairOdds, oddsFormat)}
                           </div>
+                        )}
+                      </div>
+                      <div className="text-center">
+                        <div className="text-xs text-gray-500">Away</div>
+                        <div className="font-bold text-red-600">
+                          {formatOdds(resultPrice('2', bm.id), oddsFormat)}
                         </div>
+                        {fairBook && (
+                          <div className="text-xs text-gray-500" title="Fair odds (margin removed)">
+                            {formatDecimalOdds(fairPrice('2', bm.id)?.fairOdds, oddsFormat)}
+                          </div>
+                        )}
                       </div>
-                    );
-                  })}
-                </div>
+                    </div>
+                  </div>
+                ))}
+
+                {/* Consensus: fair odds averaged over every bookmaker, and the
+                    edge of the best available price against them */}
+                {fairBook?.consensus && (
+                  <div className="flex items-center justify-between border border-gray-700 rounded-lg p-3">
+                    <div className="w-32">
+                      <span className="text-sm font-medium text-gray-300">Consensus</span>
+                      <div className="text-xs text-gray-500">
+                        {fairBook.consensus.bookmakerCount} bookmakers, avg margin {fairBook.consensus.averageOverround.toFixed(1)}%
+                      </div>
+                    </div>
+                    <div className="flex space-x-4">
+                      {['1', 'X', '2'].map(key => {
+                        const selection = fairBook.consensus.selections.find(s => s.key === key);
+                        return (
+                          <div key={key} className="text-center">
+                            <div className="text-xs text-gray-500">{key === '1' ? 'Home' : key === 'X' ? 'Draw' : 'Away'}</div>
+                            <div className="font-bold text-gray-200">
+                              {formatDecimalOdds(selection?.fairOdds, oddsFormat)}
+                            </div>
+                            {selection?.edge != null && (
+                              <div className={`text-xs ${selection.edge > 0 ? 'text-green-400' : 'text-gray-500'}`}>
+                                {selection.edge > 0 ? '+' : ''}{selection.edge.toFixed(1)}%
+                              </div>
+                            )}
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+                )}
               </div>
-            )}
+            </div>
           </div>
         ) : (
           <div className="text-center py-4 text-gray-500">
@@ -3096,6 +3154,12 @@ const FixtureDetail = () => {
         />
       )}
 
+      {/* ============================================ */}
+      {/* TEAM RATINGS SECTION */}
+      {/* ============================================ */}
+      {/* Elo ratings of both sides - before kick-off once the match is played */}
+      <TeamRatingsSection ratings={teamRatings} homeTeam={homeTeam} awayTeam={awayTeam} />
+
       {/* ============================================ */}
       {/* MATCH STATISTICS SECTION - LIVE ONLY (FIRST) */}
       {/* ============================================ */}
@@ -3267,11 +3331,12 @@ const FixtureDetail = () => {
         {isUpcoming && (
         <AccordionSection title="All Betting Markets" icon="stats">
           <AllBettingMarketsContent
-            odds={safeOdds}
-            bookmakers={bookmakers}
+            markets={oddsTree.markets}
+            bookmakers={oddsTree.bookmakers}
             oddsFormat={oddsFormat}
             formatOddLabel={formatOddLabel}
-            getMarketName={getMarketName}
+            oddsHistory={oddsHistory}
+            timezone={timezone}
           />
         </AccordionSection>
         )}
@@ -3,7 +3,8 @@
 // ============================================
 // Shows upcoming fixtures for Premier League, FA Cup, and Carabao Cup
 // from today through the end of the following week (second Sunday).
-// Includes search by team (with autocomplete) and by date functionality.
+// Includes search by team (with autocomplete) and by date functionality,
+// and a Value view ranking value bets across the same date range.
 // ============================================
 
 import { useState, useEffect, useRef } from 'react';
@@ -11,6 +12,7 @@ import { Link } from 'react-router-dom';
 import { dataApi } from '../api/client';
 import { useAuth } from '../context/AuthContext';
 import AppIcon from '../components/AppIcon';
+import ValueBets from '../components/ValueBets';
 import {
   formatTime as formatTimeUtil,
   formatDateOnly,
@@ -1766,6 +1768,10 @@ const Fixtures = () => {
   const timezone = user?.timezone || 'America/New_York';
   const dateFormat = user?.dateFormat || 'US';
   const temperatureUnit = user?.temperatureUnit || 'FAHRENHEIT';
+  const oddsFormat = user?.oddsFormat || 'AMERICAN';
+
+  // 'fixtures' (the list) or 'value' (value bets over the same range)
+  const [view, setView] = useState('fixtures');
 
   // ============================================
   // STATE: Default Fixtures View
@@ -2072,6 +2078,32 @@ const Fixtures = () => {
         </p>
       </div>
 
+      {/* View Tabs (the search results replace both views) */}
+      {!searchResults && (
+        <div className="flex space-x-2">
+          <button
+            onClick={() => setView('fixtures')}
+            className={`px-4 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2
+              ${view === 'fixtures'
+                ? 'bg-gray-700 text-amber-400 ring-2 ring-amber-500'
+                : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+              }`}
+          >
+            <AppIcon name="calendar" size="sm" /> Fixtures
+          </button>
+          <button
+            onClick={() => setView('value')}
+            className={`px-4 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2
+              ${view === 'value'
+                ? 'bg-gray-700 text-amber-400 ring-2 ring-amber-500'
+                : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+              }`}
+          >
+            <AppIcon name="trend-up" size="sm" /> Value
+          </button>
+        </div>
+      )}
+
       <SearchPanel 
         onSearchResults={handleSearchResults}
         onClearSearch={handleClearSearch}
@@ -2089,6 +2121,13 @@ const Fixtures = () => {
           dateFormat={dateFormat}
           temperatureUnit={temperatureUnit}
         />
+      ) : view === 'value' ? (
+        <ValueBets
+          dateRange={dateRange}
+          timezone={timezone}
+          dateFormat={dateFormat}
+          oddsFormat={oddsFormat}
+        />
       ) : (
         <DefaultFixtures
           fixtures={fixtures}
@@ -12,11 +12,17 @@
 // - Rating (High/Good/Medium/Poor based on differential)
 // - Accuracy (hit ratio)
 // - Trend (improving/declining/stable)
+//
+// Those figures are reported by SportsMonks itself. The "Our Tracking"
+// tab shows our own scoring of the predictions we recorded before
+// kick-off (Brier score, log loss, accuracy and reliability curves),
+// next to the reported figures.
 // ============================================
 
 import { useState, useEffect } from 'react';
 import { dataApi } from '../api/client';
 import AppIcon from '../components/AppIcon';
+import ReliabilityChart from '../components/ReliabilityChart';
 
 // ============================================
 // CONSTANTS
@@ -72,6 +78,7 @@ const MARKET_LABELS = {
   over_under_1_5: 'Over/Under 1.5 Goals',
   over_under_2_5: 'Over/Under 2.5 Goals',
   over_under_3_5: 'Over/Under 3.5 Goals',
+  over_under_4_5: 'Over/Under 4.5 Goals',
   home_over_under_0_5: 'Home Team O/U 0.5',
   home_over_under_1_5: 'Home Team O/U 1.5',
   away_over_under_0_5: 'Away Team O/U 0.5',
@@ -338,6 +345,11 @@ const ModelPerformance = () => {
   const [edgeSortColumn, setEdgeSortColumn] = useState('edge');
   const [edgeSortDirection, setEdgeSortDirection] = useState('desc');
 
+  // Our own calibration of the predictions (fetched when its tab is open)
+  const [calibration, setCalibration] = useState(null);
+  const [calibrationLoading, setCalibrationLoading] = useState(false);
+  const [calibrationError, setCalibrationError] = useState('');
+
   // ============================================
   // FETCH DATA WHEN COMPETITION CHANGES
   // ============================================
@@ -370,6 +382,31 @@ const ModelPerformance = () => {
     fetchPredictability();
   }, [selectedLeagueId]);
 
+  // ============================================
+  // FETCH OUR CALIBRATION WHEN ITS TAB IS OPEN
+  // ============================================
+
+  useEffect(() => {
+    if (activeTab !== 'calibration') return;
+
+    const fetchCalibration = async () => {
+      setCalibrationLoading(true);
+      setCalibrationError('');
+
+      try {
+        const result = await dataApi.getCalibration({ leagueId: selectedLeagueId });
+        setCalibration(result);
+      } catch (err) {
+        console.error('Failed to fetch calibration:', err);
+        setCalibrationError(err.message || 'Failed to load our prediction tracking');
+      } finally {
+        setCalibrationLoading(false);
+      }
+    };
+
+    fetchCalibration();
+  }, [activeTab, selectedLeagueId]);
+
   // ============================================
   // PARSE DATA BY TYPE
   // ============================================
@@ -407,6 +444,17 @@ const ModelPerformance = () => {
     return differential;
   };
   
+  // Our calibration figures: scores to 3 decimals, shares as percentages
+  const formatScore = (value) => (value === null || value === undefined ? '—' : value.toFixed(3));
+  const formatShare = (value) => (value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`);
+
+  // SportsMonks reports log loss as a negative number: shown as its
+  // magnitude next to ours, so lower = better in both columns
+  const reportedLogLoss = (marketKey) => {
+    const value = modelLogLoss?.[marketKey];
+    return value === undefined ? null : Math.abs(value);
+  };
+
   // Calculate edge over random chance (for Additional Analysis section)
   const calculateEdge = (marketKey, accuracy) => {
     const randomChance = RANDOM_CHANCE[marketKey] || 0.5;
@@ -651,6 +699,16 @@ const ModelPerformance = () => {
         >
           Deep Dive
         </button>
+        <button
+          onClick={() => setActiveTab('calibration')}
+          className={`pb-2 text-sm font-medium transition-colors ${
+            activeTab === 'calibration'
+              ? 'text-amber-400 border-b-2 border-amber-400'
+              : 'text-gray-400 hover:text-gray-200'
+          }`}
+        >
+          Our Tracking
+        </button>
       </div>
 
       {/* ============================================ */}
@@ -1446,6 +1504,184 @@ const ModelPerformance = () => {
         </div>
       )}
 
+      {/* ============================================ */}
+      {/* OUR TRACKING — LOADING / ERROR */}
+      {/* ============================================ */}
+      {activeTab === 'calibration' && calibrationLoading && (
+        <div className="text-center py-12 text-gray-400">
+          <div className="inline-block w-8 h-8 border-4 border-amber-500 border-t-transparent rounded-full animate-spin mb-4" />
+          <p>Loading our prediction tracking...</p>
+        </div>
+      )}
+
+      {activeTab === 'calibration' && calibrationError && (
+        <div className="bg-red-900/30 text-red-400 p-4 rounded-md">
+          {calibrationError}
+        </div>
+      )}
+
+      {/* ============================================ */}
+      {/* OUR TRACKING (own Brier / log loss / calibration) */}
+      {/* ============================================ */}
+      {activeTab === 'calibration' && !calibrationLoading && !calibrationError && calibration && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-400 max-w-3xl">
+            We record the AI predictions shortly before kick-off and score them against the 90-minute result
+            ourselves, so these figures don't rely on what the provider reports about its own model.
+            {' '}<span className="text-gray-300 font-medium">
+              {calibration.fixtures} settled {calibration.fixtures === 1 ? 'fixture' : 'fixtures'} in {getCompetitionName(selectedLeagueId)}.
+            </span>
+          </p>
+
+          {calibration.fixtures === 0 ? (
+            <div className="text-center py-12 bg-gray-800 rounded-lg shadow-md">
+              <p className="text-gray-400 text-lg">No settled predictions yet</p>
+              <p className="text-gray-400 text-sm mt-1">
+                Predictions are recorded before kick-off and scored once the match has finished
+              </p>
+            </div>
+          ) : (
+            <>
+              {/* Desktop Table - Hidden on mobile */}
+              <div className="hidden md:block bg-gray-800 rounded-lg shadow-md overflow-x-auto">
+                <table className="w-full">
+                  <thead className="bg-gray-700 border-b border-gray-700">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-semibold text-gray-400 uppercase tracking-wider">Market</th>
+                      <th className="px-4 py-3 text-center text-xs font-semibold text-gray-400 uppercase tracking-wider">Forecasts</th>
+                      <th className="px-4 py-3 text-center text-xs font-semibold text-gray-400 uppercase tracking-wider whitespace-nowrap">Reported LL</th>
+                      <th className="px-4 py-3 text-center text-xs font-semibold text-gray-400 uppercase tracking-wider whitespace-nowrap">Our LL</th>
+                      <th className="px-4 py-3 text-center text-xs font-semibold text-gray-400 uppercase tracking-wider whitespace-nowrap">Baseline LL</th>
+                      <th className="px-4 py-3 text-center text-xs font-semibold text-gray-400 uppercase tracking-wider">Brier</th>
+                      <th className="px-4 py-3 text-center text-xs font-semibold text-gray-400 uppercase tracking-wider whitespace-nowrap">Reported Acc.</th>
+                      <th className="px-4 py-3 text-center text-xs font-semibold text-gray-400 uppercase tracking-wider whitespace-nowrap">Our Acc.</th>
+                      <th className="px-4 py-3 text-center text-xs font-semibold text-gray-400 uppercase tracking-wider whitespace-nowrap">Calib. Error</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-700">
+                    {calibration.markets.map((market) => (
+                      <tr key={market.key} className="hover:bg-gray-700 transition-colors">
+                        <td className="px-4 py-4">
+                          <span className="font-medium text-gray-100">{MARKET_LABELS[market.key] || market.name}</span>
+                        </td>
+                        <td className="px-4 py-4 text-center text-sm text-gray-300">{market.predictions}</td>
+                        <td className="px-4 py-4 text-center">
+                          <span className="text-sm text-gray-400 font-mono">{formatScore(reportedLogLoss(market.key))}</span>
+                        </td>
+                        <td className="px-4 py-4 text-center">
+                          <span className="text-sm text-gray-100 font-mono font-semibold">{formatScore(market.logLoss)}</span>
+                        </td>
+                        <td className="px-4 py-4 text-center">
+                          <span className="text-sm text-gray-400 font-mono">{formatScore(market.baseline?.logLoss)}</span>
+                        </td>
+                        <td className="px-4 py-4 text-center">
+                          <span className="text-sm text-gray-100 font-mono">{formatScore(market.brier)}</span>
+                        </td>
+                        <td className="px-4 py-4 text-center text-sm text-gray-400">{formatShare(accuracyData?.[market.key])}</td>
+                        <td className="px-4 py-4 text-center text-sm font-semibold text-gray-300">{formatShare(market.accuracy)}</td>
+                        <td className="px-4 py-4 text-center text-sm text-gray-300">{formatShare(market.calibrationError)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {/* Mobile Cards - Hidden on desktop */}
+              <div className="md:hidden bg-gray-800 rounded-lg shadow-md divide-y divide-gray-700">
+                {calibration.markets.map((market) => (
+                  <div key={market.key} className="p-4 space-y-3">
+                    <div className="flex items-center justify-between">
+                      <span className="font-medium text-gray-100 text-sm">{MARKET_LABELS[market.key] || market.name}</span>
+                      <span className="text-xs text-gray-400">{market.predictions} forecasts</span>
+                    </div>
+                    <div className="grid grid-cols-3 gap-3 text-sm">
+                      <div>
+                        <span className="text-gray-500 text-xs block">Reported LL</span>
+                        <span className="text-gray-400 font-mono">{formatScore(reportedLogLoss(market.key))}</span>
+                      </div>
+                      <div>
+                        <span className="text-gray-500 text-xs block">Our LL</span>
+                        <span className="text-gray-100 font-mono font-semibold">{formatScore(market.logLoss)}</span>
+                      </div>
+                      <div>
+                        <span className="text-gray-500 text-xs block">Brier</span>
+                        <span className="text-gray-100 font-mono">{formatScore(market.brier)}</span>
+                      </div>
+                      <div>
+                        <span className="text-gray-500 text-xs block">Reported Acc.</span>
+                        <span className="text-gray-400">{formatShare(accuracyData?.[market.key])}</span>
+                      </div>
+                      <div>
+                        <span className="text-gray-500 text-xs block">Our Acc.</span>
+                        <span className="font-semibold text-gray-300">{formatShare(market.accuracy)}</span>
+                      </div>
+                      <div>
+                        <span className="text-gray-500 text-xs block">Calib. Error</span>
+                        <span className="text-gray-300">{formatShare(market.calibrationError)}</span>
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              {/* Reliability curves */}
+              <div className="bg-gray-800 rounded-lg shadow-md p-4">
+                <h3 className="text-lg font-semibold text-gray-100">Reliability Curves</h3>
+                <p className="text-sm text-gray-400 mt-1 mb-4">
+                  How often outcomes happened against how likely they were forecast to be. A well-calibrated
+                  model follows the diagonal; dots below it mean the outcome happened less often than forecast.
+                </p>
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+                  {calibration.markets.filter(market => market.predictions > 0).map((market) => (
+                    <div key={market.key}>
+                      <p className="text-sm font-medium text-amber-400">{MARKET_LABELS[market.key] || market.name}</p>
+                      <p className="text-xs text-gray-500 mb-2">
+                        {market.outcomes.length === 2
+                          ? `Forecast of "${market.key === 'both_teams_to_score' ? 'Yes' : 'Over'}", ${market.predictions} forecasts`
+                          : `Home, draw and away forecasts pooled, ${market.predictions} matches`}
+                      </p>
+                      <ReliabilityChart buckets={market.buckets} />
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {/* How to read it */}
+              <div className="bg-gray-800 rounded-lg shadow-md p-4">
+                <AccordionItem title="Reported vs. our figures">
+                  <p>
+                    <strong className="text-white">Reported</strong> columns are the provider's own figures over its
+                    last 100 matches, shown as positive numbers. <strong className="text-white">Our</strong> columns
+                    score every prediction we recorded before kick-off in this competition, so the samples differ
+                    and small samples swing a lot.
+                  </p>
+                </AccordionItem>
+                <AccordionItem title="Brier score">
+                  <p>
+                    The squared difference between the forecast probability and what happened (1 or 0), averaged
+                    over all matches. 0 is perfect. For yes/no markets it ranges 0-1 (always forecasting 50% scores
+                    0.25); for the match result it sums home, draw and away and ranges 0-2.
+                  </p>
+                </AccordionItem>
+                <AccordionItem title="Baseline log loss">
+                  <p>
+                    The log loss of always forecasting how often each outcome happened in this same sample. It's
+                    known only in hindsight, so a model that doesn't beat it adds nothing over the base rates.
+                  </p>
+                </AccordionItem>
+                <AccordionItem title="Calibration error">
+                  <p>
+                    The average gap between forecast and observed frequency across the reliability buckets,
+                    weighted by how many forecasts fall in each. A model whose 60% forecasts come in 60% of the
+                    time has no calibration error, however often its favourite loses.
+                  </p>
+                </AccordionItem>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
       {/* ============================================ */}
       {/* NO DATA STATE (DEEP DIVE) */}
       {/* ============================================ */}
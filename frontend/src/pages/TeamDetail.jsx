@@ -4,6 +4,7 @@
 // Shows team information including:
 // - Basic team info (name, logo, venue)
 // - Coach/Manager information
+// - Elo rating history and rating-implied chances in upcoming fixtures
 // - Home/Away Performance breakdown (all competitions)
 // - Win/Draw/Loss Distribution bars (Premier League only)
 // - Half & Timing Analysis (goals by half, comebacks, injury time)
@@ -20,6 +21,8 @@ import { useAuth } from '../context/AuthContext';
 import SquadRoster from '../components/SquadRoster';
 import FloatingNoteWidget from '../components/FloatingNoteWidget';
 import AppIcon from '../components/AppIcon';
+import RatingChart from '../components/RatingChart';
+import { formatShortDate } from '../utils/formatters';
 
 // ============================================
 // TYPE IDS FROM SPORTSMONKS
@@ -2010,12 +2013,144 @@ function CornersSection({ teamId }) {
   );
 }
 
+// ============================================
+// TEAM RATING COMPONENT
+// ============================================
+// Elo rating across all competitions (backend: /teams/:id/rating-history),
+// its history, and the win/draw/loss chances it gives in the team's next
+// fixtures - including cup ties against lower-league sides.
+
+// ISO timestamp -> SportsMonks format, for the date formatters
+const toSportsMonksTime = (iso) => iso?.replace('T', ' ').slice(0, 19);
+
+function TeamRatingSection({ teamId, timezone, dateFormat }) {
+  const [ratings, setRatings] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchRatings = async () => {
+      setLoading(true);
+      setError('');
+
+      try {
+        const data = await dataApi.getTeamRatingHistory(teamId);
+        setRatings(data);
+      } catch (err) {
+        setRatings(null);
+        setError(err.message || 'Failed to load rating');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRatings();
+  }, [teamId]);
+
+  const header = (
+    <h2 className="text-xl font-semibold text-gray-100 mb-4 flex items-center gap-2">
+      <AppIcon name="trend-up" size="lg" /> Team Rating
+      <span className="text-sm font-normal text-gray-500">(Elo, all competitions)</span>
+    </h2>
+  );
+
+  if (loading) {
+    return (
+      <div className="bg-gray-800 rounded-lg shadow-md p-6">
+        {header}
+        <div className="text-center py-4 text-gray-500">Loading rating...</div>
+      </div>
+    );
+  }
+
+  if (error || !ratings) {
+    return (
+      <div className="bg-gray-800 rounded-lg shadow-md p-6">
+        {header}
+        <div className="text-center py-4 text-gray-500">{error || 'No rating yet.'}</div>
+      </div>
+    );
+  }
+
+  const { team, history, upcoming } = ratings;
+  const recent = history.slice(-5);
+  const recentChange = recent.reduce((sum, change) => sum + change.change, 0);
+
+  return (
+    <div className="bg-gray-800 rounded-lg shadow-md p-6">
+      {header}
+
+      {/* Summary */}
+      <div className="grid grid-cols-3 gap-4 mb-6">
+        <div className="bg-gray-700 rounded-lg p-4 text-center">
+          <div className="text-3xl font-bold text-amber-500">{Math.round(team.rating)}</div>
+          <div className="text-sm text-gray-400">Rating</div>
+        </div>
+        <div className="bg-gray-700 rounded-lg p-4 text-center">
+          <div className={`text-3xl font-bold ${recentChange >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+            {recentChange >= 0 ? '+' : ''}{recentChange.toFixed(1)}
+          </div>
+          <div className="text-sm text-gray-400">Last {recent.length} fixtures</div>
+        </div>
+        <div className="bg-gray-700 rounded-lg p-4 text-center">
+          <div className="text-3xl font-bold text-gray-100">{team.fixtures}</div>
+          <div className="text-sm text-gray-400">Rated fixtures (from {Math.round(team.startingRating)})</div>
+        </div>
+      </div>
+
+      {/* History */}
+      <RatingChart history={history} startingRating={team.startingRating} timezone={timezone} />
+
+      {/* Upcoming fixtures with rating-implied chances */}
+      {upcoming.length > 0 && (
+        <div className="mt-6">
+          <h3 className="text-sm font-medium text-gray-300 mb-3">Next Fixtures</h3>
+          <div className="space-y-2">
+            {upcoming.map(fixture => (
+              <Link
+                key={fixture.fixtureId}
+                to={`/fixtures/${fixture.fixtureId}`}
+                className="block bg-gray-700 hover:bg-gray-600 rounded-lg p-3 transition-colors"
+              >
+                <div className="flex items-center justify-between text-sm mb-2">
+                  <span className="text-gray-200">
+                    {fixture.location === 'home' ? 'vs' : '@'} {fixture.opponent.name}{' '}
+                    <span className="text-gray-400">
+                      ({Math.round(fixture.opponent.rating)}{fixture.opponent.provisional ? ', provisional' : ''})
+                    </span>
+                  </span>
+                  <span className="text-xs text-gray-400">
+                    {fixture.leagueName} · {formatShortDate(toSportsMonksTime(fixture.startingAt), timezone, dateFormat)}
+                  </span>
+                </div>
+                <div className="flex h-4 rounded-full overflow-hidden text-[10px] font-medium">
+                  <div className="bg-green-600 flex items-center justify-center text-white" style={{ width: `${fixture.probabilities.win}%` }}>
+                    {fixture.probabilities.win >= 12 && `W ${Math.round(fixture.probabilities.win)}%`}
+                  </div>
+                  <div className="bg-gray-500 flex items-center justify-center text-white" style={{ width: `${fixture.probabilities.draw}%` }}>
+                    {fixture.probabilities.draw >= 12 && `D ${Math.round(fixture.probabilities.draw)}%`}
+                  </div>
+                  <div className="bg-red-600 flex items-center justify-center text-white" style={{ width: `${fixture.probabilities.loss}%` }}>
+                    {fixture.probabilities.loss >= 12 && `L ${Math.round(fixture.probabilities.loss)}%`}
+                  </div>
+                </div>
+              </Link>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
 // ============================================
 // MAIN TEAM DETAIL COMPONENT
 // ============================================
 const TeamDetail = () => {
   const { id } = useParams();
-  const { token, isAuthenticated } = useAuth();
+  const { token, user, isAuthenticated } = useAuth();
+  const timezone = user?.timezone || 'America/New_York';
+  const dateFormat = user?.dateFormat || 'US';
   
   const [team, setTeam] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -2111,6 +2246,9 @@ const TeamDetail = () => {
         </div>
       )}
 
+      {/* Team Rating Section - Elo across all competitions */}
+      <TeamRatingSection teamId={id} timezone={timezone} dateFormat={dateFormat} />
+
       {/* Home/Away Performance Section */}
       <HomeAwayPerformanceSection teamId={id} />
 
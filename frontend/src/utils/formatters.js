@@ -242,6 +242,38 @@ export function formatAmericanOdds(americanOdd) {
   return oddStr;
 }
 
+// ============================================
+// FORMAT DECIMAL ODDS
+// ============================================
+// Formats a computed decimal price (e.g. fair odds from the backend,
+// which has no SportsMonks american/fractional values) in the user's format.
+// 2.5 -> "2.50" (DECIMAL), "+150" (AMERICAN), "3/2" (FRACTIONAL)
+export function formatDecimalOdds(decimal, format = 'AMERICAN') {
+  if (!decimal || decimal <= 1) return '-';
+
+  switch (format) {
+    case 'DECIMAL':
+      return decimal.toFixed(2);
+    case 'FRACTIONAL': {
+      // Closest fraction with a denominator up to 20 (bookmaker style)
+      const target = decimal - 1;
+      let best = { numerator: Math.round(target), denominator: 1 };
+      for (let denominator = 1; denominator <= 20; denominator++) {
+        const numerator = Math.round(target * denominator);
+        if (Math.abs(numerator / denominator - target) < Math.abs(best.numerator / best.denominator - target) - 1e-9) {
+          best = { numerator, denominator };
+        }
+      }
+      return `${best.numerator}/${best.denominator}`;
+    }
+    case 'AMERICAN':
+    default:
+      return decimal >= 2
+        ? `+${Math.round((decimal - 1) * 100)}`
+        : `${Math.round(-100 / (decimal - 1))}`;
+  }
+}
+
 // ============================================
 // GET ODDS FORMAT LABEL
 // ============================================
@@ -293,5 +325,6 @@ export default {
   getOddsValue,
   formatOdds,
   formatAmericanOdds,
+  formatDecimalOdds,
   getOddsFormatLabel
 };
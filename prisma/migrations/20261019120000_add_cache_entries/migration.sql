@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "cache_entries" (
+    "key" TEXT NOT NULL,
+    "value" JSONB NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "cache_entries_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateIndex
+CREATE INDEX "cache_entries_expires_at_idx" ON "cache_entries"("expires_at");
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "sportsmonks_usage" (
+    "id" TEXT NOT NULL,
+    "hour" TIMESTAMP(3) NOT NULL,
+    "endpoint" TEXT NOT NULL,
+    "includes" TEXT NOT NULL DEFAULT '',
+    "route" TEXT NOT NULL,
+    "calls" INTEGER NOT NULL DEFAULT 0,
+    "requests" INTEGER NOT NULL DEFAULT 0,
+    "pages" INTEGER NOT NULL DEFAULT 0,
+    "errors" INTEGER NOT NULL DEFAULT 0,
+    "rate_limited" INTEGER NOT NULL DEFAULT 0,
+    "total_latency_ms" INTEGER NOT NULL DEFAULT 0,
+    "max_latency_ms" INTEGER NOT NULL DEFAULT 0,
+    "last_status" INTEGER,
+    "rate_limit_remaining" INTEGER,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "sportsmonks_usage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "sportsmonks_usage_hour_idx" ON "sportsmonks_usage"("hour");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "sportsmonks_usage_hour_endpoint_includes_route_key" ON "sportsmonks_usage"("hour", "endpoint", "includes", "route");
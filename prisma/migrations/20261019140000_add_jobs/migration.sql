@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "jobs" (
+    "name" TEXT NOT NULL,
+    "next_run_at" TIMESTAMP(3) NOT NULL,
+    "locked_until" TIMESTAMP(3),
+    "locked_by" TEXT,
+    "last_run_at" TIMESTAMP(3),
+    "last_finished_at" TIMESTAMP(3),
+    "last_status" TEXT,
+    "last_trigger" TEXT,
+    "last_duration_ms" INTEGER,
+    "last_result" JSONB,
+    "last_error" TEXT,
+    "run_count" INTEGER NOT NULL DEFAULT 0,
+    "failure_count" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "jobs_pkey" PRIMARY KEY ("name")
+);
@@ -0,0 +1,138 @@
+-- CreateTable
+CREATE TABLE "warehouse_seasons" (
+    "id" INTEGER NOT NULL,
+    "league_id" INTEGER NOT NULL,
+    "league_name" TEXT,
+    "name" TEXT NOT NULL,
+    "starting_at" DATE,
+    "ending_at" DATE,
+    "last_synced_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "warehouse_seasons_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "warehouse_fixtures" (
+    "id" INTEGER NOT NULL,
+    "season_id" INTEGER NOT NULL,
+    "league_id" INTEGER NOT NULL,
+    "league_name" TEXT,
+    "stage_id" INTEGER,
+    "round_id" INTEGER,
+    "name" TEXT NOT NULL,
+    "starting_at" TIMESTAMP(3) NOT NULL,
+    "state" TEXT,
+    "finished" BOOLEAN NOT NULL DEFAULT false,
+    "result_info" TEXT,
+    "home_team_id" INTEGER,
+    "away_team_id" INTEGER,
+    "home_goals" INTEGER,
+    "away_goals" INTEGER,
+    "synced_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "warehouse_fixtures_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "warehouse_participants" (
+    "fixture_id" INTEGER NOT NULL,
+    "team_id" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "short_code" TEXT,
+    "image_path" TEXT,
+    "location" TEXT,
+    "winner" BOOLEAN,
+    "position" INTEGER,
+
+    CONSTRAINT "warehouse_participants_pkey" PRIMARY KEY ("fixture_id","team_id")
+);
+
+-- CreateTable
+CREATE TABLE "warehouse_scores" (
+    "id" INTEGER NOT NULL,
+    "fixture_id" INTEGER NOT NULL,
+    "type_id" INTEGER NOT NULL,
+    "team_id" INTEGER,
+    "description" TEXT NOT NULL,
+    "participant" TEXT,
+    "goals" INTEGER NOT NULL,
+
+    CONSTRAINT "warehouse_scores_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "warehouse_statistics" (
+    "id" INTEGER NOT NULL,
+    "fixture_id" INTEGER NOT NULL,
+    "type_id" INTEGER NOT NULL,
+    "team_id" INTEGER,
+    "location" TEXT,
+    "value" DOUBLE PRECISION,
+
+    CONSTRAINT "warehouse_statistics_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "warehouse_events" (
+    "id" INTEGER NOT NULL,
+    "fixture_id" INTEGER NOT NULL,
+    "type_id" INTEGER NOT NULL,
+    "period_id" INTEGER,
+    "team_id" INTEGER,
+    "player_id" INTEGER,
+    "player_name" TEXT,
+    "related_player_id" INTEGER,
+    "related_player_name" TEXT,
+    "minute" INTEGER,
+    "extra_minute" INTEGER,
+    "result" TEXT,
+    "info" TEXT,
+    "addition" TEXT,
+    "sort_order" INTEGER,
+
+    CONSTRAINT "warehouse_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "warehouse_fixtures_season_id_idx" ON "warehouse_fixtures"("season_id");
+
+-- CreateIndex
+CREATE INDEX "warehouse_fixtures_home_team_id_idx" ON "warehouse_fixtures"("home_team_id");
+
+-- CreateIndex
+CREATE INDEX "warehouse_fixtures_away_team_id_idx" ON "warehouse_fixtures"("away_team_id");
+
+-- CreateIndex
+CREATE INDEX "warehouse_fixtures_starting_at_idx" ON "warehouse_fixtures"("starting_at");
+
+-- CreateIndex
+CREATE INDEX "warehouse_participants_team_id_idx" ON "warehouse_participants"("team_id");
+
+-- CreateIndex
+CREATE INDEX "warehouse_scores_fixture_id_idx" ON "warehouse_scores"("fixture_id");
+
+-- CreateIndex
+CREATE INDEX "warehouse_statistics_fixture_id_idx" ON "warehouse_statistics"("fixture_id");
+
+-- CreateIndex
+CREATE INDEX "warehouse_statistics_team_id_type_id_idx" ON "warehouse_statistics"("team_id", "type_id");
+
+-- CreateIndex
+CREATE INDEX "warehouse_events_fixture_id_idx" ON "warehouse_events"("fixture_id");
+
+-- AddForeignKey
+ALTER TABLE "warehouse_fixtures" ADD CONSTRAINT "warehouse_fixtures_season_id_fkey" FOREIGN KEY ("season_id") REFERENCES "warehouse_seasons"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "warehouse_participants" ADD CONSTRAINT "warehouse_participants_fixture_id_fkey" FOREIGN KEY ("fixture_id") REFERENCES "warehouse_fixtures"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "warehouse_scores" ADD CONSTRAINT "warehouse_scores_fixture_id_fkey" FOREIGN KEY ("fixture_id") REFERENCES "warehouse_fixtures"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "warehouse_statistics" ADD CONSTRAINT "warehouse_statistics_fixture_id_fkey" FOREIGN KEY ("fixture_id") REFERENCES "warehouse_fixtures"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "warehouse_events" ADD CONSTRAINT "warehouse_events_fixture_id_fkey" FOREIGN KEY ("fixture_id") REFERENCES "warehouse_fixtures"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "odds_snapshots" (
+    "id" TEXT NOT NULL,
+    "fixture_id" INTEGER NOT NULL,
+    "odd_id" BIGINT NOT NULL,
+    "bookmaker_id" INTEGER NOT NULL,
+    "market_id" INTEGER NOT NULL,
+    "market_description" TEXT,
+    "label" TEXT NOT NULL,
+    "name" TEXT,
+    "total" TEXT,
+    "handicap" TEXT,
+    "value" DOUBLE PRECISION NOT NULL,
+    "probability" DOUBLE PRECISION,
+    "bookmaker_updated_at" TIMESTAMP(3),
+    "kickoff_at" TIMESTAMP(3) NOT NULL,
+    "recorded_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "odds_snapshots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "odds_snapshots_fixture_id_recorded_at_idx" ON "odds_snapshots"("fixture_id", "recorded_at");
+
+-- CreateIndex
+CREATE INDEX "odds_snapshots_odd_id_recorded_at_idx" ON "odds_snapshots"("odd_id", "recorded_at");
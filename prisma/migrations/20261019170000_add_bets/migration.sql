@@ -0,0 +1,62 @@
+-- CreateEnum
+CREATE TYPE "BetStatus" AS ENUM ('OPEN', 'WON', 'LOST', 'VOID');
+
+-- CreateTable
+CREATE TABLE "bets" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "stake" DOUBLE PRECISION NOT NULL,
+    "odds" DOUBLE PRECISION NOT NULL,
+    "bookmaker_id" INTEGER,
+    "bookmaker_name" TEXT,
+    "placed_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "status" "BetStatus" NOT NULL DEFAULT 'OPEN',
+    "returns" DOUBLE PRECISION,
+    "profit" DOUBLE PRECISION,
+    "settled_at" TIMESTAMP(3),
+    "notes" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "bets_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "bet_selections" (
+    "id" TEXT NOT NULL,
+    "bet_id" TEXT NOT NULL,
+    "fixture_id" INTEGER NOT NULL,
+    "fixture_name" TEXT NOT NULL,
+    "kickoff_at" TIMESTAMP(3) NOT NULL,
+    "market_id" INTEGER NOT NULL,
+    "market_name" TEXT,
+    "selection_key" TEXT NOT NULL,
+    "selection_label" TEXT,
+    "odds" DOUBLE PRECISION NOT NULL,
+    "status" "BetStatus" NOT NULL DEFAULT 'OPEN',
+    "settled_at" TIMESTAMP(3),
+    "result_info" TEXT,
+
+    CONSTRAINT "bet_selections_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "bets_user_id_placed_at_idx" ON "bets"("user_id", "placed_at");
+
+-- CreateIndex
+CREATE INDEX "bets_status_idx" ON "bets"("status");
+
+-- CreateIndex
+CREATE INDEX "bet_selections_bet_id_idx" ON "bet_selections"("bet_id");
+
+-- CreateIndex
+CREATE INDEX "bet_selections_fixture_id_idx" ON "bet_selections"("fixture_id");
+
+-- CreateIndex
+CREATE INDEX "bet_selections_status_kickoff_at_idx" ON "bet_selections"("status", "kickoff_at");
+
+-- AddForeignKey
+ALTER TABLE "bets" ADD CONSTRAINT "bets_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bet_selections" ADD CONSTRAINT "bet_selections_bet_id_fkey" FOREIGN KEY ("bet_id") REFERENCES "bets"("id") ON DELETE CASCADE ON UPDATE CASCADE;
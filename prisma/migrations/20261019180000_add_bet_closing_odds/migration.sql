@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "bet_selections" ADD COLUMN     "league_id" INTEGER,
+ADD COLUMN     "league_name" TEXT,
+ADD COLUMN     "closing_odds" DOUBLE PRECISION,
+ADD COLUMN     "closing_bookmaker_id" INTEGER,
+ADD COLUMN     "closing_recorded_at" TIMESTAMP(3),
+ADD COLUMN     "clv" DOUBLE PRECISION;
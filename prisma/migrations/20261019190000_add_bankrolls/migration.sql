@@ -0,0 +1,58 @@
+-- CreateEnum
+CREATE TYPE "StakingPlan" AS ENUM ('FLAT', 'PERCENTAGE', 'KELLY');
+
+-- CreateEnum
+CREATE TYPE "BankrollTransactionType" AS ENUM ('DEPOSIT', 'WITHDRAWAL');
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "unit_size" DOUBLE PRECISION NOT NULL DEFAULT 10;
+
+-- AlterTable
+ALTER TABLE "bets" ADD COLUMN     "bankroll_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "bankrolls" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "staking_plan" "StakingPlan" NOT NULL DEFAULT 'FLAT',
+    "unit_size" DOUBLE PRECISION,
+    "stake_percent" DOUBLE PRECISION NOT NULL DEFAULT 2,
+    "kelly_fraction" DOUBLE PRECISION NOT NULL DEFAULT 0.25,
+    "max_stake_percent" DOUBLE PRECISION,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "bankrolls_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "bankroll_transactions" (
+    "id" TEXT NOT NULL,
+    "bankroll_id" TEXT NOT NULL,
+    "type" "BankrollTransactionType" NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "occurred_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "note" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "bankroll_transactions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "bets_bankroll_id_idx" ON "bets"("bankroll_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bankrolls_user_id_name_key" ON "bankrolls"("user_id", "name");
+
+-- CreateIndex
+CREATE INDEX "bankroll_transactions_bankroll_id_occurred_at_idx" ON "bankroll_transactions"("bankroll_id", "occurred_at");
+
+-- AddForeignKey
+ALTER TABLE "bets" ADD CONSTRAINT "bets_bankroll_id_fkey" FOREIGN KEY ("bankroll_id") REFERENCES "bankrolls"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bankrolls" ADD CONSTRAINT "bankrolls_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bankroll_transactions" ADD CONSTRAINT "bankroll_transactions_bankroll_id_fkey" FOREIGN KEY ("bankroll_id") REFERENCES "bankrolls"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,45 @@
+-- CreateTable
+CREATE TABLE "team_ratings" (
+    "team_id" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "short_code" TEXT,
+    "image_path" TEXT,
+    "rating" DOUBLE PRECISION NOT NULL,
+    "starting_rating" DOUBLE PRECISION NOT NULL,
+    "fixtures" INTEGER NOT NULL,
+    "last_played_at" TIMESTAMP(3) NOT NULL,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "team_ratings_pkey" PRIMARY KEY ("team_id")
+);
+
+-- CreateTable
+CREATE TABLE "team_rating_changes" (
+    "fixture_id" INTEGER NOT NULL,
+    "team_id" INTEGER NOT NULL,
+    "league_id" INTEGER NOT NULL,
+    "league_name" TEXT,
+    "season_id" INTEGER NOT NULL,
+    "played_at" TIMESTAMP(3) NOT NULL,
+    "location" TEXT NOT NULL,
+    "opponent_id" INTEGER NOT NULL,
+    "opponent_name" TEXT NOT NULL,
+    "opponent_rating" DOUBLE PRECISION NOT NULL,
+    "goals_for" INTEGER NOT NULL,
+    "goals_against" INTEGER NOT NULL,
+    "result" TEXT NOT NULL,
+    "expected" DOUBLE PRECISION NOT NULL,
+    "rating_before" DOUBLE PRECISION NOT NULL,
+    "rating_after" DOUBLE PRECISION NOT NULL,
+
+    CONSTRAINT "team_rating_changes_pkey" PRIMARY KEY ("fixture_id","team_id")
+);
+
+-- CreateIndex
+CREATE INDEX "team_rating_changes_team_id_played_at_idx" ON "team_rating_changes"("team_id", "played_at");
+
+-- CreateIndex
+CREATE INDEX "team_rating_changes_season_id_idx" ON "team_rating_changes"("season_id");
+
+-- AddForeignKey
+ALTER TABLE "team_rating_changes" ADD CONSTRAINT "team_rating_changes_team_id_fkey" FOREIGN KEY ("team_id") REFERENCES "team_ratings"("team_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "prediction_snapshots" (
+    "fixture_id" INTEGER NOT NULL,
+    "type_id" INTEGER NOT NULL,
+    "league_id" INTEGER NOT NULL,
+    "league_name" TEXT,
+    "season_id" INTEGER,
+    "kickoff_at" TIMESTAMP(3) NOT NULL,
+    "probabilities" JSONB NOT NULL,
+    "recorded_at" TIMESTAMP(3) NOT NULL,
+    "outcome" TEXT,
+    "settled_at" TIMESTAMP(3),
+
+    CONSTRAINT "prediction_snapshots_pkey" PRIMARY KEY ("fixture_id","type_id")
+);
+
+-- CreateIndex
+CREATE INDEX "prediction_snapshots_outcome_kickoff_at_idx" ON "prediction_snapshots"("outcome", "kickoff_at");
+
+-- CreateIndex
+CREATE INDEX "prediction_snapshots_league_id_kickoff_at_idx" ON "prediction_snapshots"("league_id", "kickoff_at");
@@ -0,0 +1,9 @@
+-- CreateTable
+CREATE TABLE "warehouse_head_to_heads" (
+    "team1_id" INTEGER NOT NULL,
+    "team2_id" INTEGER NOT NULL,
+    "fixture_ids" INTEGER[],
+    "checked_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "warehouse_head_to_heads_pkey" PRIMARY KEY ("team1_id","team2_id")
+);
@@ -11,6 +11,10 @@
 import 'dotenv/config';
 import { PrismaPg } from '@prisma/adapter-pg';
 import { PrismaClient } from './generated/prisma/client.js';
+import { createLogger } from './services/logger.js';
+import { observePrismaQuery } from './services/metrics.js';
+
+const log = createLogger('Prisma');
 
 // Get the database URL from environment variables
 const connectionString = process.env.DATABASE_URL;
@@ -18,8 +22,24 @@ const connectionString = process.env.DATABASE_URL;
 // Create the PostgreSQL adapter
 const adapter = new PrismaPg({ connectionString });
 
-// Create the Prisma client using the adapter
-const prisma = new PrismaClient({ adapter });
+// Create the Prisma client using the adapter.
+// Every query is timed for the metrics endpoint, and logged at debug level
+// (LOG_LEVELS=Prisma=debug) with the request ID of the request that caused
+// it. Query arguments are not logged since they can contain passwords and hashes.
+const prisma = new PrismaClient({ adapter }).$extends({
+  query: {
+    async $allOperations({ model, operation, args, query }) {
+      const startedAt = Date.now();
+      try {
+        return await query(args);
+      } finally {
+        const durationMs = Date.now() - startedAt;
+        observePrismaQuery({ model, operation, durationMs });
+        log.debug(`${model ?? 'raw'}.${operation}`, { model, operation, durationMs });
+      }
+    }
+  }
+});
 
 // Export it for use in other files
 export default prisma;
\ No newline at end of file
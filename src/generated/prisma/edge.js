@@ -102,6 +102,7 @@ exports.Prisma.UserScalarFieldEnum = {
   timezone: 'timezone',
   dateFormat: 'dateFormat',
   temperatureUnit: 'temperatureUnit',
+  unitSize: 'unitSize',
   securityQuestion: 'securityQuestion',
   securityAnswer: 'securityAnswer',
   isAdmin: 'isAdmin'
@@ -147,11 +148,275 @@ exports.Prisma.SportsMonksTypeScalarFieldEnum = {
   lastSyncedAt: 'lastSyncedAt'
 };
 
+exports.Prisma.CacheEntryScalarFieldEnum = {
+  key: 'key',
+  value: 'value',
+  expiresAt: 'expiresAt',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+exports.Prisma.SportsMonksUsageScalarFieldEnum = {
+  id: 'id',
+  hour: 'hour',
+  endpoint: 'endpoint',
+  includes: 'includes',
+  route: 'route',
+  calls: 'calls',
+  requests: 'requests',
+  pages: 'pages',
+  errors: 'errors',
+  rateLimited: 'rateLimited',
+  totalLatencyMs: 'totalLatencyMs',
+  maxLatencyMs: 'maxLatencyMs',
+  lastStatus: 'lastStatus',
+  rateLimitRemaining: 'rateLimitRemaining',
+  updatedAt: 'updatedAt'
+};
+
+exports.Prisma.JobScalarFieldEnum = {
+  name: 'name',
+  nextRunAt: 'nextRunAt',
+  lockedUntil: 'lockedUntil',
+  lockedBy: 'lockedBy',
+  lastRunAt: 'lastRunAt',
+  lastFinishedAt: 'lastFinishedAt',
+  lastStatus: 'lastStatus',
+  lastTrigger: 'lastTrigger',
+  lastDurationMs: 'lastDurationMs',
+  lastResult: 'lastResult',
+  lastError: 'lastError',
+  runCount: 'runCount',
+  failureCount: 'failureCount',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+exports.Prisma.WarehouseSeasonScalarFieldEnum = {
+  id: 'id',
+  leagueId: 'leagueId',
+  leagueName: 'leagueName',
+  name: 'name',
+  startingAt: 'startingAt',
+  endingAt: 'endingAt',
+  lastSyncedAt: 'lastSyncedAt',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+exports.Prisma.WarehouseFixtureScalarFieldEnum = {
+  id: 'id',
+  seasonId: 'seasonId',
+  leagueId: 'leagueId',
+  leagueName: 'leagueName',
+  stageId: 'stageId',
+  roundId: 'roundId',
+  name: 'name',
+  startingAt: 'startingAt',
+  state: 'state',
+  finished: 'finished',
+  resultInfo: 'resultInfo',
+  homeTeamId: 'homeTeamId',
+  awayTeamId: 'awayTeamId',
+  homeGoals: 'homeGoals',
+  awayGoals: 'awayGoals',
+  syncedAt: 'syncedAt'
+};
+
+exports.Prisma.WarehouseParticipantScalarFieldEnum = {
+  fixtureId: 'fixtureId',
+  teamId: 'teamId',
+  name: 'name',
+  shortCode: 'shortCode',
+  imagePath: 'imagePath',
+  location: 'location',
+  winner: 'winner',
+  position: 'position'
+};
+
+exports.Prisma.WarehouseScoreScalarFieldEnum = {
+  id: 'id',
+  fixtureId: 'fixtureId',
+  typeId: 'typeId',
+  teamId: 'teamId',
+  description: 'description',
+  participant: 'participant',
+  goals: 'goals'
+};
+
+exports.Prisma.WarehouseStatisticScalarFieldEnum = {
+  id: 'id',
+  fixtureId: 'fixtureId',
+  typeId: 'typeId',
+  teamId: 'teamId',
+  location: 'location',
+  value: 'value'
+};
+
+exports.Prisma.WarehouseEventScalarFieldEnum = {
+  id: 'id',
+  fixtureId: 'fixtureId',
+  typeId: 'typeId',
+  periodId: 'periodId',
+  teamId: 'teamId',
+  playerId: 'playerId',
+  playerName: 'playerName',
+  relatedPlayerId: 'relatedPlayerId',
+  relatedPlayerName: 'relatedPlayerName',
+  minute: 'minute',
+  extraMinute: 'extraMinute',
+  result: 'result',
+  info: 'info',
+  addition: 'addition',
+  sortOrder: 'sortOrder'
+};
+
+exports.Prisma.WarehouseHeadToHeadScalarFieldEnum = {
+  team1Id: 'team1Id',
+  team2Id: 'team2Id',
+  fixtureIds: 'fixtureIds',
+  checkedAt: 'checkedAt'
+};
+
+exports.Prisma.OddsSnapshotScalarFieldEnum = {
+  id: 'id',
+  fixtureId: 'fixtureId',
+  oddId: 'oddId',
+  bookmakerId: 'bookmakerId',
+  marketId: 'marketId',
+  marketDescription: 'marketDescription',
+  label: 'label',
+  name: 'name',
+  total: 'total',
+  handicap: 'handicap',
+  value: 'value',
+  probability: 'probability',
+  bookmakerUpdatedAt: 'bookmakerUpdatedAt',
+  kickoffAt: 'kickoffAt',
+  recordedAt: 'recordedAt'
+};
+
+exports.Prisma.BetScalarFieldEnum = {
+  id: 'id',
+  userId: 'userId',
+  bankrollId: 'bankrollId',
+  stake: 'stake',
+  odds: 'odds',
+  bookmakerId: 'bookmakerId',
+  bookmakerName: 'bookmakerName',
+  placedAt: 'placedAt',
+  status: 'status',
+  returns: 'returns',
+  profit: 'profit',
+  settledAt: 'settledAt',
+  notes: 'notes',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+exports.Prisma.BetSelectionScalarFieldEnum = {
+  id: 'id',
+  betId: 'betId',
+  fixtureId: 'fixtureId',
+  fixtureName: 'fixtureName',
+  kickoffAt: 'kickoffAt',
+  leagueId: 'leagueId',
+  leagueName: 'leagueName',
+  marketId: 'marketId',
+  marketName: 'marketName',
+  selectionKey: 'selectionKey',
+  selectionLabel: 'selectionLabel',
+  odds: 'odds',
+  closingOdds: 'closingOdds',
+  closingBookmakerId: 'closingBookmakerId',
+  closingRecordedAt: 'closingRecordedAt',
+  clv: 'clv',
+  status: 'status',
+  settledAt: 'settledAt',
+  resultInfo: 'resultInfo'
+};
+
+exports.Prisma.BankrollScalarFieldEnum = {
+  id: 'id',
+  userId: 'userId',
+  name: 'name',
+  stakingPlan: 'stakingPlan',
+  unitSize: 'unitSize',
+  stakePercent: 'stakePercent',
+  kellyFraction: 'kellyFraction',
+  maxStakePercent: 'maxStakePercent',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+exports.Prisma.BankrollTransactionScalarFieldEnum = {
+  id: 'id',
+  bankrollId: 'bankrollId',
+  type: 'type',
+  amount: 'amount',
+  occurredAt: 'occurredAt',
+  note: 'note',
+  createdAt: 'createdAt'
+};
+
+exports.Prisma.TeamRatingScalarFieldEnum = {
+  teamId: 'teamId',
+  name: 'name',
+  shortCode: 'shortCode',
+  imagePath: 'imagePath',
+  rating: 'rating',
+  startingRating: 'startingRating',
+  fixtures: 'fixtures',
+  lastPlayedAt: 'lastPlayedAt',
+  updatedAt: 'updatedAt'
+};
+
+exports.Prisma.TeamRatingChangeScalarFieldEnum = {
+  fixtureId: 'fixtureId',
+  teamId: 'teamId',
+  leagueId: 'leagueId',
+  leagueName: 'leagueName',
+  seasonId: 'seasonId',
+  playedAt: 'playedAt',
+  location: 'location',
+  opponentId: 'opponentId',
+  opponentName: 'opponentName',
+  opponentRating: 'opponentRating',
+  goalsFor: 'goalsFor',
+  goalsAgainst: 'goalsAgainst',
+  result: 'result',
+  expected: 'expected',
+  ratingBefore: 'ratingBefore',
+  ratingAfter: 'ratingAfter'
+};
+
+exports.Prisma.PredictionSnapshotScalarFieldEnum = {
+  fixtureId: 'fixtureId',
+  typeId: 'typeId',
+  leagueId: 'leagueId',
+  leagueName: 'leagueName',
+  seasonId: 'seasonId',
+  kickoffAt: 'kickoffAt',
+  probabilities: 'probabilities',
+  recordedAt: 'recordedAt',
+  outcome: 'outcome',
+  settledAt: 'settledAt'
+};
+
 exports.Prisma.SortOrder = {
   asc: 'asc',
   desc: 'desc'
 };
 
+exports.Prisma.JsonNullValueInput = {
+  JsonNull: Prisma.JsonNull
+};
+
+exports.Prisma.NullableJsonNullValueInput = {
+  DbNull: Prisma.DbNull,
+  JsonNull: Prisma.JsonNull
+};
+
 exports.Prisma.QueryMode = {
   default: 'default',
   insensitive: 'insensitive'
@@ -161,6 +426,12 @@ exports.Prisma.NullsOrder = {
   first: 'first',
   last: 'last'
 };
+
+exports.Prisma.JsonNullValueFilter = {
+  DbNull: Prisma.DbNull,
+  JsonNull: Prisma.JsonNull,
+  AnyNull: Prisma.AnyNull
+};
 exports.OddsFormat = exports.$Enums.OddsFormat = {
   AMERICAN: 'AMERICAN',
   DECIMAL: 'DECIMAL',
@@ -186,12 +457,48 @@ exports.ContextType = exports.$Enums.ContextType = {
   general: 'general'
 };
 
+exports.BetStatus = exports.$Enums.BetStatus = {
+  OPEN: 'OPEN',
+  WON: 'WON',
+  LOST: 'LOST',
+  VOID: 'VOID'
+};
+
+exports.StakingPlan = exports.$Enums.StakingPlan = {
+  FLAT: 'FLAT',
+  PERCENTAGE: 'PERCENTAGE',
+  KELLY: 'KELLY'
+};
+
+exports.BankrollTransactionType = exports.$Enums.BankrollTransactionType = {
+  DEPOSIT: 'DEPOSIT',
+  WITHDRAWAL: 'WITHDRAWAL'
+};
+
 exports.Prisma.ModelName = {
   User: 'User',
   Note: 'Note',
   NoteLink: 'NoteLink',
   PasswordReset: 'PasswordReset',
-  SportsMonksType: 'SportsMonksType'
+  SportsMonksType: 'SportsMonksType',
+  CacheEntry: 'CacheEntry',
+  SportsMonksUsage: 'SportsMonksUsage',
+  Job: 'Job',
+  WarehouseSeason: 'WarehouseSeason',
+  WarehouseFixture: 'WarehouseFixture',
+  WarehouseParticipant: 'WarehouseParticipant',
+  WarehouseScore: 'WarehouseScore',
+  WarehouseStatistic: 'WarehouseStatistic',
+  WarehouseEvent: 'WarehouseEvent',
+  WarehouseHeadToHead: 'WarehouseHeadToHead',
+  OddsSnapshot: 'OddsSnapshot',
+  Bet: 'Bet',
+  BetSelection: 'BetSelection',
+  Bankroll: 'Bankroll',
+  BankrollTransaction: 'BankrollTransaction',
+  TeamRating: 'TeamRating',
+  TeamRatingChange: 'TeamRatingChange',
+  PredictionSnapshot: 'PredictionSnapshot'
 };
 /**
  * Create the Client
@@ -201,10 +508,10 @@ const config = {
   "clientVersion": "7.2.0",
   "engineVersion": "0c8ef2ce45c83248ab3df073180d5eda9e8be7a3",
   "activeProvider": "postgresql",
-  "inlineSchema": "// This tells Prisma which database type to use\ndatasource db {\n  provider = \"postgresql\"\n  // Note: URL is now configured in prisma.config.ts\n}\n\n// This tells Prisma to generate a JavaScript/TypeScript client\ngenerator client {\n  provider = \"prisma-client-js\"\n  output   = \"../src/generated/prisma\"\n}\n\n// ============================================\n// ENUMS\n// ============================================\n\n// Odds display format preference\n// - AMERICAN: +150, -110 (US style)\n// - DECIMAL: 2.50, 1.91 (European style)\n// - FRACTIONAL: 3/2, 10/11 (UK style)\nenum OddsFormat {\n  AMERICAN\n  DECIMAL\n  FRACTIONAL\n}\n\n// Date display format preference\n// - US: MM/DD/YYYY (e.g., 01/25/2026)\n// - EU: DD/MM/YYYY (e.g., 25/01/2026)\nenum DateFormat {\n  US\n  EU\n}\n\n// Temperature unit preference\n// - FAHRENHEIT: °F (US style)\n// - CELSIUS: °C (International style)\nenum TemperatureUnit {\n  FAHRENHEIT\n  CELSIUS\n}\n\n// Defines the allowed context types for notes\n// These map to the categories users can tag notes with:\n//   - team: Team-related research (e.g., Arsenal form analysis)\n//   - fixture: Match-specific notes (e.g., Arsenal vs Chelsea preview)\n//   - player: Player-focused research (e.g., Haaland goal patterns)\n//   - league: League/competition notes (e.g., Premier League trends)\n//   - betting: Betting strategy/system notes (e.g., BTTS research)\n//   - general: Uncategorized notes\nenum ContextType {\n  team\n  fixture\n  player\n  league\n  betting\n  general\n}\n\n// ============================================\n// MODELS\n// ============================================\n\n// Our User table\nmodel User {\n  id        String   @id @default(uuid())\n  email     String   @unique\n  password  String\n  createdAt DateTime @default(now())\n  updatedAt DateTime @updatedAt\n\n  // ============================================\n  // USER PREFERENCES\n  // ============================================\n  // Odds format: how betting odds are displayed\n  // Default: AMERICAN (US-style odds like +150, -110)\n  oddsFormat OddsFormat @default(AMERICAN)\n\n  // Timezone: IANA timezone string (e.g., \"America/New_York\")\n  // Used for displaying match times in user's local time\n  // Default: Eastern Time (US)\n  timezone String @default(\"America/New_York\")\n\n  // Date format: how dates are displayed\n  // Default: US (MM/DD/YYYY)\n  dateFormat DateFormat @default(US) @map(\"date_format\")\n\n  // Temperature unit: how temperatures are displayed\n  // Default: FAHRENHEIT (US style)\n  temperatureUnit TemperatureUnit @default(FAHRENHEIT) @map(\"temperature_unit\")\n\n  // ============================================\n  // ACCOUNT RECOVERY (Optional)\n  // ============================================\n  // Security question for backup account recovery\n  // (in case user can't access their email)\n  securityQuestion String? // e.g., \"What was your first pet's name?\"\n  securityAnswer   String? // Hashed answer (like password)\n\n  // ============================================\n  // ADMIN ACCESS\n  // ============================================\n  // Admin users can access protected endpoints like /admin/types/sync\n  // Default is false - admins must be manually promoted via database\n  isAdmin Boolean @default(false) @map(\"is_admin\")\n\n  // ============================================\n  // RELATIONSHIPS\n  // ============================================\n  // A user can have many notes\n  notes Note[]\n\n  // A user can have many password reset requests\n  passwordResets PasswordReset[]\n}\n\n// Our Note table\nmodel Note {\n  id        String   @id @default(uuid())\n  title     String\n  content   String\n  createdAt DateTime @default(now())\n  updatedAt DateTime @updatedAt\n\n  // Relationship: Each note belongs to one user\n  userId String\n  user   User   @relation(fields: [userId], references: [id])\n\n  // Relationship: A note can have many context links\n  links NoteLink[]\n}\n\n// Junction table: Links notes to multiple contexts (teams, fixtures, etc.)\nmodel NoteLink {\n  id          String      @id @default(uuid())\n  noteId      String\n  note        Note        @relation(fields: [noteId], references: [id], onDelete: Cascade)\n  contextType ContextType\n  contextId   String // SportsMonks ID (empty string for general/category-only)\n  label       String? // Human-readable name (e.g., \"Arsenal\" instead of just \"19\")\n  isPrimary   Boolean     @default(false)\n  createdAt   DateTime    @default(now())\n\n  // Ensure a note doesn't link to the same context twice\n  @@unique([noteId, contextType, contextId])\n}\n\n// ============================================\n// PASSWORD RESET\n// ============================================\n// Stores password reset tokens for email-based account recovery.\n// Tokens are hashed (like passwords) for security.\n// Each token can only be used once and expires after 1 hour.\nmodel PasswordReset {\n  id String @id @default(uuid())\n\n  // The user requesting the password reset\n  userId String\n  user   User   @relation(fields: [userId], references: [id], onDelete: Cascade)\n\n  // The reset token (hashed for security)\n  // The unhashed token is sent to the user's email\n  token String\n\n  // When this token expires (typically 1 hour from creation)\n  expiresAt DateTime\n\n  // Whether this token has been used\n  // Once used, it cannot be used again\n  used Boolean @default(false)\n\n  // Timestamps\n  createdAt DateTime @default(now())\n}\n\n// ============================================\n// SPORTSMONKS TYPES (Reference/Lookup Data)\n// ============================================\n// Stores all SportsMonks type definitions locally.\n// This follows SportsMonks best practice: fetch types once and store locally\n// instead of including .type on every API call.\n//\n// Types are used throughout the SportsMonks API to identify:\n// - Event types (Goal, Yellow Card, Substitution)\n// - Statistic types (Corners, Shots On Target, Possession)\n// - Injury/suspension types (Hamstring Injury, Red Card Suspension)\n// - Position types (Goalkeeper, Midfielder, Centre Back)\n// - Prediction types (BTTS Probability, Over/Under)\n// - And many more categories...\n//\n// The 'id' field uses SportsMonks' ID (not auto-generated) so we can\n// directly look up types by the IDs returned from API responses.\nmodel SportsMonksType {\n  // SportsMonks type ID (NOT auto-generated - we use their IDs)\n  id Int @id\n\n  // Parent type ID for hierarchical relationships\n  // Example: \"Hamstring Injury\" (id: 535) has parentId: 629 (\"Injury\")\n  parentId Int? @map(\"parent_id\")\n\n  // Human-readable name (e.g., \"Shots On Target\")\n  name String\n\n  // Kebab-case code (e.g., \"shots-on-target\")\n  code String\n\n  // UPPER_SNAKE_CASE constant (e.g., \"SHOTS_ON_TARGET\")\n  developerName String @map(\"developer_name\")\n\n  // Category this type belongs to:\n  // event, statistic, injury_suspension, position, prediction,\n  // standings, standing_rule, period, referee, lineup, metadata,\n  // stage_type, sub_event, tie_breaker_rule, timeline, transfer, highlight\n  modelType String @map(\"model_type\")\n\n  // Sub-grouping within modelType (nullable)\n  // Examples: \"goals\", \"cards\", \"subs\" for events\n  //           \"offensive\", \"defensive\" for statistics\n  group String?\n\n  // Statistical grouping for standings/stats (nullable)\n  // Values: \"overall\", \"home\", \"away\", \"offensive\", \"defensive\"\n  statGroup String? @map(\"stat_group\")\n\n  // When this type was last synced from SportsMonks\n  lastSyncedAt DateTime @default(now()) @map(\"last_synced_at\")\n\n  // Self-referencing relationship for parent/child hierarchy\n  parent   SportsMonksType?  @relation(\"TypeHierarchy\", fields: [parentId], references: [id])\n  children SportsMonksType[] @relation(\"TypeHierarchy\")\n\n  // Indexes for fast lookups\n  @@index([modelType])\n  @@index([code])\n  @@index([developerName])\n  // Use snake_case table name (PostgreSQL convention)\n  @@map(\"sportsmonks_types\")\n}\n"
+  "inlineSchema": "// This tells Prisma which database type to use\ndatasource db {\n  provider = \"postgresql\"\n  // Note: URL is now configured in prisma.config.ts\n}\n\n// This tells Prisma to generate a JavaScript/TypeScript client\ngenerator client {\n  provider = \"prisma-client-js\"\n  output   = \"../src/generated/prisma\"\n}\n\n// ============================================\n// ENUMS\n// ============================================\n\n// Odds display format preference\n// - AMERICAN: +150, -110 (US style)\n// - DECIMAL: 2.50, 1.91 (European style)\n// - FRACTIONAL: 3/2, 10/11 (UK style)\nenum OddsFormat {\n  AMERICAN\n  DECIMAL\n  FRACTIONAL\n}\n\n// Date display format preference\n// - US: MM/DD/YYYY (e.g., 01/25/2026)\n// - EU: DD/MM/YYYY (e.g., 25/01/2026)\nenum DateFormat {\n  US\n  EU\n}\n\n// Temperature unit preference\n// - FAHRENHEIT: °F (US style)\n// - CELSIUS: °C (International style)\nenum TemperatureUnit {\n  FAHRENHEIT\n  CELSIUS\n}\n\n// Defines the allowed context types for notes\n// These map to the categories users can tag notes with:\n//   - team: Team-related research (e.g., Arsenal form analysis)\n//   - fixture: Match-specific notes (e.g., Arsenal vs Chelsea preview)\n//   - player: Player-focused research (e.g., Haaland goal patterns)\n//   - league: League/competition notes (e.g., Premier League trends)\n//   - betting: Betting strategy/system notes (e.g., BTTS research)\n//   - general: Uncategorized notes\nenum ContextType {\n  team\n  fixture\n  player\n  league\n  betting\n  general\n}\n\n// Result of a tracked bet, and of each of its selections (legs)\n// - OPEN: not settled yet\n// - WON / LOST: settled on the result\n// - VOID: stake returned (cancelled or abandoned fixture, push on a line)\nenum BetStatus {\n  OPEN\n  WON\n  LOST\n  VOID\n}\n\n// How a bankroll sizes stakes (see src/services/bankrolls.js)\n// - FLAT: a number of units of a fixed size\n// - PERCENTAGE: a share of the current balance\n// - KELLY: a fraction of the Kelly stake for the bet's edge\nenum StakingPlan {\n  FLAT\n  PERCENTAGE\n  KELLY\n}\n\n// Money moved in or out of a bankroll\nenum BankrollTransactionType {\n  DEPOSIT\n  WITHDRAWAL\n}\n\n// ============================================\n// MODELS\n// ============================================\n\n// Our User table\nmodel User {\n  id        String   @id @default(uuid())\n  email     String   @unique\n  password  String\n  createdAt DateTime @default(now())\n  updatedAt DateTime @updatedAt\n\n  // ============================================\n  // USER PREFERENCES\n  // ============================================\n  // Odds format: how betting odds are displayed\n  // Default: AMERICAN (US-style odds like +150, -110)\n  oddsFormat OddsFormat @default(AMERICAN)\n\n  // Timezone: IANA timezone string (e.g., \"America/New_York\")\n  // Used for displaying match times in user's local time\n  // Default: Eastern Time (US)\n  timezone String @default(\"America/New_York\")\n\n  // Date format: how dates are displayed\n  // Default: US (MM/DD/YYYY)\n  dateFormat DateFormat @default(US) @map(\"date_format\")\n\n  // Temperature unit: how temperatures are displayed\n  // Default: FAHRENHEIT (US style)\n  temperatureUnit TemperatureUnit @default(FAHRENHEIT) @map(\"temperature_unit\")\n\n  // Unit size: default stake of one unit for flat staking plans\n  // Default: 10 (in the user's own currency)\n  unitSize Float @default(10) @map(\"unit_size\")\n\n  // ============================================\n  // ACCOUNT RECOVERY (Optional)\n  // ============================================\n  // Security question for backup account recovery\n  // (in case user can't access their email)\n  securityQuestion String? // e.g., \"What was your first pet's name?\"\n  securityAnswer   String? // Hashed answer (like password)\n\n  // ============================================\n  // ADMIN ACCESS\n  // ============================================\n  // Admin users can access protected endpoints like /admin/types/sync\n  // Default is false - admins must be manually promoted via database\n  isAdmin Boolean @default(false) @map(\"is_admin\")\n\n  // ============================================\n  // RELATIONSHIPS\n  // ============================================\n  // A user can have many notes\n  notes Note[]\n\n  // A user can have many password reset requests\n  passwordResets PasswordReset[]\n\n  // A user can have many tracked bets\n  bets Bet[]\n\n  // A user can have many bankrolls\n  bankrolls Bankroll[]\n}\n\n// Our Note table\nmodel Note {\n  id        String   @id @default(uuid())\n  title     String\n  content   String\n  createdAt DateTime @default(now())\n  updatedAt DateTime @updatedAt\n\n  // Relationship: Each note belongs to one user\n  userId String\n  user   User   @relation(fields: [userId], references: [id])\n\n  // Relationship: A note can have many context links\n  links NoteLink[]\n}\n\n// Junction table: Links notes to multiple contexts (teams, fixtures, etc.)\nmodel NoteLink {\n  id          String      @id @default(uuid())\n  noteId      String\n  note        Note        @relation(fields: [noteId], references: [id], onDelete: Cascade)\n  contextType ContextType\n  contextId   String // SportsMonks ID (empty string for general/category-only)\n  label       String? // Human-readable name (e.g., \"Arsenal\" instead of just \"19\")\n  isPrimary   Boolean     @default(false)\n  createdAt   DateTime    @default(now())\n\n  // Ensure a note doesn't link to the same context twice\n  @@unique([noteId, contextType, contextId])\n}\n\n// ============================================\n// PASSWORD RESET\n// ============================================\n// Stores password reset tokens for email-based account recovery.\n// Tokens are hashed (like passwords) for security.\n// Each token can only be used once and expires after 1 hour.\nmodel PasswordReset {\n  id String @id @default(uuid())\n\n  // The user requesting the password reset\n  userId String\n  user   User   @relation(fields: [userId], references: [id], onDelete: Cascade)\n\n  // The reset token (hashed for security)\n  // The unhashed token is sent to the user's email\n  token String\n\n  // When this token expires (typically 1 hour from creation)\n  expiresAt DateTime\n\n  // Whether this token has been used\n  // Once used, it cannot be used again\n  used Boolean @default(false)\n\n  // Timestamps\n  createdAt DateTime @default(now())\n}\n\n// ============================================\n// SPORTSMONKS TYPES (Reference/Lookup Data)\n// ============================================\n// Stores all SportsMonks type definitions locally.\n// This follows SportsMonks best practice: fetch types once and store locally\n// instead of including .type on every API call.\n//\n// Types are used throughout the SportsMonks API to identify:\n// - Event types (Goal, Yellow Card, Substitution)\n// - Statistic types (Corners, Shots On Target, Possession)\n// - Injury/suspension types (Hamstring Injury, Red Card Suspension)\n// - Position types (Goalkeeper, Midfielder, Centre Back)\n// - Prediction types (BTTS Probability, Over/Under)\n// - And many more categories...\n//\n// The 'id' field uses SportsMonks' ID (not auto-generated) so we can\n// directly look up types by the IDs returned from API responses.\nmodel SportsMonksType {\n  // SportsMonks type ID (NOT auto-generated - we use their IDs)\n  id Int @id\n\n  // Parent type ID for hierarchical relationships\n  // Example: \"Hamstring Injury\" (id: 535) has parentId: 629 (\"Injury\")\n  parentId Int? @map(\"parent_id\")\n\n  // Human-readable name (e.g., \"Shots On Target\")\n  name String\n\n  // Kebab-case code (e.g., \"shots-on-target\")\n  code String\n\n  // UPPER_SNAKE_CASE constant (e.g., \"SHOTS_ON_TARGET\")\n  developerName String @map(\"developer_name\")\n\n  // Category this type belongs to:\n  // event, statistic, injury_suspension, position, prediction,\n  // standings, standing_rule, period, referee, lineup, metadata,\n  // stage_type, sub_event, tie_breaker_rule, timeline, transfer, highlight\n  modelType String @map(\"model_type\")\n\n  // Sub-grouping within modelType (nullable)\n  // Examples: \"goals\", \"cards\", \"subs\" for events\n  //           \"offensive\", \"defensive\" for statistics\n  group String?\n\n  // Statistical grouping for standings/stats (nullable)\n  // Values: \"overall\", \"home\", \"away\", \"offensive\", \"defensive\"\n  statGroup String? @map(\"stat_group\")\n\n  // When this type was last synced from SportsMonks\n  lastSyncedAt DateTime @default(now()) @map(\"last_synced_at\")\n\n  // Self-referencing relationship for parent/child hierarchy\n  parent   SportsMonksType?  @relation(\"TypeHierarchy\", fields: [parentId], references: [id])\n  children SportsMonksType[] @relation(\"TypeHierarchy\")\n\n  // Indexes for fast lookups\n  @@index([modelType])\n  @@index([code])\n  @@index([developerName])\n  // Use snake_case table name (PostgreSQL convention)\n  @@map(\"sportsmonks_types\")\n}\n\n// ============================================\n// CACHE ENTRIES (Postgres cache store)\n// ============================================\n// Backing table for the \"postgres\" cache store (CACHE_STORE=postgres).\n// Holds cached SportsMonks responses so they survive restarts and are\n// shared across API instances. Keys use the same \"type:id1:id2\" format\n// as the in-memory cache (see src/services/cache.js).\nmodel CacheEntry {\n  // Cache key (e.g., \"fixturesByDate:2026-01-24\")\n  key String @id\n\n  // The cached payload (SportsMonks response or computed result)\n  value Json\n\n  // When this entry stops being served\n  expiresAt DateTime @map(\"expires_at\")\n\n  // Timestamps\n  createdAt DateTime @default(now()) @map(\"created_at\")\n  updatedAt DateTime @updatedAt @map(\"updated_at\")\n\n  // Sweeping expired entries filters on expiresAt\n  @@index([expiresAt])\n  @@map(\"cache_entries\")\n}\n\n// ============================================\n// SPORTSMONKS USAGE (Quota Tracking)\n// ============================================\n// Hourly aggregates of every call made to the SportsMonks API, so we\n// can see what each endpoint and route costs before hitting the plan limit.\n//\n// One row per (hour, endpoint family, includes, route). Counters are\n// buffered in memory and flushed periodically (see services/usage.js).\nmodel SportsMonksUsage {\n  id String @id @default(uuid())\n\n  // Start of the hour this row aggregates (UTC)\n  hour DateTime\n\n  // Normalized endpoint (e.g., \"/fixtures/:id\", \"/fixtures/date/:date\")\n  endpoint String\n\n  // Includes requested, sorted and \";\"-joined (empty string for none)\n  includes String @default(\"\")\n\n  // Our route family that triggered the call (e.g., \"/teams\"), or \"background\"\n  route String\n\n  // A \"call\" is one makeRequest/makeRequestPaginated invocation.\n  // \"requests\" counts actual HTTP requests (pages and retries included).\n  calls       Int @default(0)\n  requests    Int @default(0)\n  pages       Int @default(0)\n  errors      Int @default(0)\n  rateLimited Int @default(0) @map(\"rate_limited\")\n\n  // Latency of whole calls in milliseconds\n  totalLatencyMs Int @default(0) @map(\"total_latency_ms\")\n  maxLatencyMs   Int @default(0) @map(\"max_latency_ms\")\n\n  // Most recent values seen in this bucket\n  lastStatus         Int? @map(\"last_status\")\n  rateLimitRemaining Int? @map(\"rate_limit_remaining\")\n\n  updatedAt DateTime @updatedAt @map(\"updated_at\")\n\n  @@unique([hour, endpoint, includes, route])\n  @@index([hour])\n  @@map(\"sportsmonks_usage\")\n}\n\n// ============================================\n// JOBS (background scheduler)\n// ============================================\n// One row per scheduled job (see src/services/scheduler.js and src/jobs).\n// Job definitions live in code; this table holds their state, so schedules\n// survive restarts and only one API instance runs a job at a time.\nmodel Job {\n  // Job name from its definition (e.g., \"prewarm-fixtures\")\n  name String @id\n\n  // When the job is due next\n  nextRunAt DateTime @map(\"next_run_at\")\n\n  // Set while an instance runs the job; an expired lock means it crashed\n  lockedUntil DateTime? @map(\"locked_until\")\n  lockedBy    String?   @map(\"locked_by\")\n\n  // Last run\n  lastRunAt      DateTime? @map(\"last_run_at\")\n  lastFinishedAt DateTime? @map(\"last_finished_at\")\n  lastStatus     String?   @map(\"last_status\") // \"success\" or \"error\"\n  lastTrigger    String?   @map(\"last_trigger\") // \"schedule\" or \"manual\"\n  lastDurationMs Int?      @map(\"last_duration_ms\")\n  lastResult     Json?     @map(\"last_result\") // Summary returned by the job\n  lastError      String?   @map(\"last_error\")\n\n  // Totals since the job was first registered\n  runCount     Int @default(0) @map(\"run_count\")\n  failureCount Int @default(0) @map(\"failure_count\")\n\n  createdAt DateTime @default(now()) @map(\"created_at\")\n  updatedAt DateTime @updatedAt @map(\"updated_at\")\n\n  @@map(\"jobs\")\n}\n\n// ============================================\n// FIXTURES WAREHOUSE (local copy of SportsMonks results)\n// ============================================\n// Fixtures, participants, scores, statistics and events for the seasons\n// we follow, so analytics (corner averages, head-to-head) can be computed\n// without re-downloading them. Filled and kept up to date by\n// src/services/warehouse.js (the \"sync-warehouse\" job).\n//\n// IDs are SportsMonks IDs. Finished fixtures are only written once;\n// unfinished ones are re-fetched until they finish.\n\n// A season being ingested\nmodel WarehouseSeason {\n  // SportsMonks season ID\n  id Int @id\n\n  leagueId   Int       @map(\"league_id\")\n  leagueName String?   @map(\"league_name\")\n  name       String // \"2024/2025\"\n  startingAt DateTime? @map(\"starting_at\") @db.Date\n  endingAt   DateTime? @map(\"ending_at\") @db.Date\n\n  // Last successful sync (null until the first one completes)\n  lastSyncedAt DateTime? @map(\"last_synced_at\")\n\n  createdAt DateTime @default(now()) @map(\"created_at\")\n  updatedAt DateTime @updatedAt @map(\"updated_at\")\n\n  fixtures WarehouseFixture[]\n\n  @@map(\"warehouse_seasons\")\n}\n\nmodel WarehouseFixture {\n  // SportsMonks fixture ID\n  id Int @id\n\n  seasonId   Int             @map(\"season_id\")\n  season     WarehouseSeason @relation(fields: [seasonId], references: [id], onDelete: Cascade)\n  leagueId   Int             @map(\"league_id\")\n  leagueName String?         @map(\"league_name\")\n  stageId    Int?            @map(\"stage_id\")\n  roundId    Int?            @map(\"round_id\")\n\n  name       String // \"Arsenal vs Chelsea\"\n  startingAt DateTime @map(\"starting_at\") // Kick-off (UTC)\n  state      String? // SportsMonks state: \"NS\", \"FT\", \"POSTP\", ...\n  finished   Boolean  @default(false) // FT, AET or FT_PEN\n  resultInfo String?  @map(\"result_info\") // \"Arsenal won after full-time.\"\n\n  // Denormalized for fast team/H2H queries\n  homeTeamId Int? @map(\"home_team_id\")\n  awayTeamId Int? @map(\"away_team_id\")\n  homeGoals  Int? @map(\"home_goals\")\n  awayGoals  Int? @map(\"away_goals\")\n\n  syncedAt DateTime @map(\"synced_at\")\n\n  participants WarehouseParticipant[]\n  scores       WarehouseScore[]\n  statistics   WarehouseStatistic[]\n  events       WarehouseEvent[]\n\n  @@index([seasonId])\n  @@index([homeTeamId])\n  @@index([awayTeamId])\n  @@index([startingAt])\n  @@map(\"warehouse_fixtures\")\n}\n\n// A team in a fixture\nmodel WarehouseParticipant {\n  fixtureId Int              @map(\"fixture_id\")\n  fixture   WarehouseFixture @relation(fields: [fixtureId], references: [id], onDelete: Cascade)\n  teamId    Int              @map(\"team_id\")\n\n  name      String\n  shortCode String?  @map(\"short_code\")\n  imagePath String?  @map(\"image_path\")\n  location  String? // \"home\" or \"away\"\n  winner    Boolean?\n  position  Int? // League position at kick-off\n\n  @@id([fixtureId, teamId])\n  @@index([teamId])\n  @@map(\"warehouse_participants\")\n}\n\n// One score line per period and side (\"CURRENT\", \"1ST_HALF\", ...)\nmodel WarehouseScore {\n  // SportsMonks score ID\n  id Int @id\n\n  fixtureId   Int              @map(\"fixture_id\")\n  fixture     WarehouseFixture @relation(fields: [fixtureId], references: [id], onDelete: Cascade)\n  typeId      Int              @map(\"type_id\")\n  teamId      Int?             @map(\"team_id\")\n  description String // \"CURRENT\", \"1ST_HALF\", \"2ND_HALF\", ...\n  participant String? // \"home\" or \"away\"\n  goals       Int\n\n  @@index([fixtureId])\n  @@map(\"warehouse_scores\")\n}\n\n// One match statistic per team (corners, shots, possession, ...)\nmodel WarehouseStatistic {\n  // SportsMonks statistic ID\n  id Int @id\n\n  fixtureId Int              @map(\"fixture_id\")\n  fixture   WarehouseFixture @relation(fields: [fixtureId], references: [id], onDelete: Cascade)\n  typeId    Int              @map(\"type_id\") // e.g. 34 = corners\n  teamId    Int?             @map(\"team_id\")\n  location  String? // \"home\" or \"away\"\n  value     Float?\n\n  @@index([fixtureId])\n  @@index([teamId, typeId])\n  @@map(\"warehouse_statistics\")\n}\n\n// Goals, cards, substitutions, ...\nmodel WarehouseEvent {\n  // SportsMonks event ID\n  id Int @id\n\n  fixtureId         Int              @map(\"fixture_id\")\n  fixture           WarehouseFixture @relation(fields: [fixtureId], references: [id], onDelete: Cascade)\n  typeId            Int              @map(\"type_id\")\n  periodId          Int?             @map(\"period_id\")\n  teamId            Int?             @map(\"team_id\")\n  playerId          Int?             @map(\"player_id\")\n  playerName        String?          @map(\"player_name\")\n  relatedPlayerId   Int?             @map(\"related_player_id\")\n  relatedPlayerName String?          @map(\"related_player_name\")\n  minute            Int?\n  extraMinute       Int?             @map(\"extra_minute\")\n  result            String? // Score after a goal, e.g. \"1-0\"\n  info              String?\n  addition          String?\n  sortOrder         Int?             @map(\"sort_order\")\n\n  @@index([fixtureId])\n  @@map(\"warehouse_events\")\n}\n\n// The finished meetings SportsMonks lists for a pair of teams, so the\n// H2H route can tell whether the warehouse holds all of them without\n// asking SportsMonks on every request\nmodel WarehouseHeadToHead {\n  // Lower team ID first, so a pair has one row whichever way round it's asked\n  team1Id Int @map(\"team1_id\")\n  team2Id Int @map(\"team2_id\")\n\n  fixtureIds Int[]    @map(\"fixture_ids\")\n  checkedAt  DateTime @map(\"checked_at\")\n\n  @@id([team1Id, team2Id])\n  @@map(\"warehouse_head_to_heads\")\n}\n\n// ============================================\n// ODDS SNAPSHOTS (line movement)\n// ============================================\n// Pre-match prices recorded over time for upcoming fixtures, because\n// SportsMonks only returns the current price. Written by the\n// \"snapshot-odds\" job (see src/services/oddsHistory.js): a row is only\n// added when a selection's price differs from its last recorded one,\n// so each row is a line move (or the opening price).\nmodel OddsSnapshot {\n  id String @id @default(uuid())\n\n  fixtureId Int @map(\"fixture_id\")\n\n  // SportsMonks odd ID - stable for one selection at one bookmaker\n  oddId BigInt @map(\"odd_id\")\n\n  bookmakerId       Int     @map(\"bookmaker_id\")\n  marketId          Int     @map(\"market_id\")\n  marketDescription String? @map(\"market_description\") // \"Fulltime Result\"\n  label             String // \"Home\", \"Draw\", \"Over\", ...\n  name              String? // Selection name, e.g. a team or \"2.5\"\n  total             String? // Goal line of totals markets\n  handicap          String? // Line of handicap markets\n\n  // Decimal price, and SportsMonks' implied probability in percent\n  value       Float\n  probability Float?\n\n  // When the bookmaker last changed the price (as reported by SportsMonks)\n  bookmakerUpdatedAt DateTime? @map(\"bookmaker_updated_at\")\n\n  // Kick-off at the time of recording; the closing price is the last\n  // snapshot before it\n  kickoffAt  DateTime @map(\"kickoff_at\")\n  recordedAt DateTime @default(now()) @map(\"recorded_at\")\n\n  @@index([fixtureId, recordedAt])\n  @@index([oddId, recordedAt])\n  @@map(\"odds_snapshots\")\n}\n\n// ============================================\n// BETS (bet tracking ledger)\n// ============================================\n// Bets users actually placed, logged so BetSmoke can settle them and\n// report profit/loss (see src/services/bets.js). A single has one\n// selection, a multiple (double, treble, accumulator) has several;\n// its odds are the product of the selections' odds.\n//\n// Open selections are settled by the \"settle-bets\" job from the final\n// score of their fixture; a bet is settled once all its selections are.\n// The \"capture-closing-odds\" job records each selection's closing price\n// for closing line value (CLV).\nmodel Bet {\n  id String @id @default(uuid())\n\n  userId String @map(\"user_id\")\n  user   User   @relation(fields: [userId], references: [id], onDelete: Cascade)\n\n  // Bankroll the stake came from (optional; deleting the bankroll keeps the bet)\n  bankrollId String?   @map(\"bankroll_id\")\n  bankroll   Bankroll? @relation(fields: [bankrollId], references: [id], onDelete: SetNull)\n\n  // Stake and total decimal odds (product of the selections' odds)\n  stake Float\n  odds  Float\n\n  // Where the bet was placed (SportsMonks bookmaker ID when known)\n  bookmakerId   Int?    @map(\"bookmaker_id\")\n  bookmakerName String? @map(\"bookmaker_name\")\n\n  placedAt DateTime @default(now()) @map(\"placed_at\")\n\n  // Result - returns and profit are set when the bet settles\n  status    BetStatus @default(OPEN)\n  returns   Float?\n  profit    Float?\n  settledAt DateTime? @map(\"settled_at\")\n\n  notes String?\n\n  createdAt DateTime @default(now()) @map(\"created_at\")\n  updatedAt DateTime @updatedAt @map(\"updated_at\")\n\n  selections BetSelection[]\n\n  @@index([userId, placedAt])\n  @@index([status])\n  @@index([bankrollId])\n  @@map(\"bets\")\n}\n\n// One selection (leg) of a bet\nmodel BetSelection {\n  id String @id @default(uuid())\n\n  betId String @map(\"bet_id\")\n  bet   Bet    @relation(fields: [betId], references: [id], onDelete: Cascade)\n\n  // SportsMonks fixture, and its name/kick-off when the bet was logged\n  // (kick-off is updated by settlement if the fixture is rescheduled)\n  fixtureId   Int      @map(\"fixture_id\")\n  fixtureName String   @map(\"fixture_name\") // \"Arsenal vs Chelsea\"\n  kickoffAt   DateTime @map(\"kickoff_at\")\n  leagueId    Int?     @map(\"league_id\")\n  leagueName  String?  @map(\"league_name\") // \"Premier League\"\n\n  // SportsMonks market, and the canonical selection key of the odds\n  // tree (services/odds.js): \"1\", \"X\", \"2\", \"over_2.5\", \"yes\", ...\n  marketId       Int     @map(\"market_id\")\n  marketName     String? @map(\"market_name\") // \"Fulltime Result\"\n  selectionKey   String  @map(\"selection_key\")\n  selectionLabel String? @map(\"selection_label\") // \"Home\", \"Over 2.5\", ...\n\n  // Decimal odds taken for this selection\n  odds Float\n\n  // Closing line (see services/clv.js): the last price before kick-off,\n  // at the bet's bookmaker when it priced the selection, else the best one\n  closingOdds        Float?    @map(\"closing_odds\")\n  closingBookmakerId Int?      @map(\"closing_bookmaker_id\")\n  closingRecordedAt  DateTime? @map(\"closing_recorded_at\")\n  clv                Float? // odds / closingOdds - 1, in percent\n\n  status     BetStatus @default(OPEN)\n  settledAt  DateTime? @map(\"settled_at\")\n  resultInfo String?   @map(\"result_info\") // \"Full time 2-1\", \"Fixture cancelled\", ...\n\n  @@index([betId])\n  @@index([fixtureId])\n  @@index([status, kickoffAt])\n  @@map(\"bet_selections\")\n}\n\n// ============================================\n// BANKROLLS (staking plans)\n// ============================================\n// Named pots of money a user bets from (see src/services/bankrolls.js).\n// The balance is deposits - withdrawals + profit of settled bets - stakes\n// of open bets; each bankroll has a staking plan used to suggest stakes.\nmodel Bankroll {\n  id String @id @default(uuid())\n\n  userId String @map(\"user_id\")\n  user   User   @relation(fields: [userId], references: [id], onDelete: Cascade)\n\n  name String // \"Main\", \"Cup accas\", ...\n\n  // Staking plan and its settings\n  stakingPlan     StakingPlan @default(FLAT) @map(\"staking_plan\")\n  unitSize        Float?      @map(\"unit_size\") // FLAT: size of one unit (null = the user's default)\n  stakePercent    Float       @default(2) @map(\"stake_percent\") // PERCENTAGE: share of the balance\n  kellyFraction   Float       @default(0.25) @map(\"kelly_fraction\") // KELLY: share of the full Kelly stake\n  maxStakePercent Float?      @map(\"max_stake_percent\") // Cap on any suggested stake, in % of the balance\n\n  createdAt DateTime @default(now()) @map(\"created_at\")\n  updatedAt DateTime @updatedAt @map(\"updated_at\")\n\n  transactions BankrollTransaction[]\n  bets         Bet[]\n\n  @@unique([userId, name])\n  @@map(\"bankrolls\")\n}\n\n// A deposit into or withdrawal from a bankroll\nmodel BankrollTransaction {\n  id String @id @default(uuid())\n\n  bankrollId String   @map(\"bankroll_id\")\n  bankroll   Bankroll @relation(fields: [bankrollId], references: [id], onDelete: Cascade)\n\n  type       BankrollTransactionType\n  amount     Float // Always positive\n  occurredAt DateTime                @default(now()) @map(\"occurred_at\")\n  note       String?\n\n  createdAt DateTime @default(now()) @map(\"created_at\")\n\n  @@index([bankrollId, occurredAt])\n  @@map(\"bankroll_transactions\")\n}\n\n// ============================================\n// TEAM RATINGS (Elo)\n// ============================================\n// Elo rating of every team in the warehouse's finished fixtures, across\n// all of its competitions (see src/services/ratings.js). Rebuilt from\n// scratch after each warehouse sync by replaying the fixtures in\n// kick-off order, so late or corrected results are always included.\n\n// A team's current rating\nmodel TeamRating {\n  // SportsMonks team ID\n  teamId Int @id @map(\"team_id\")\n\n  name      String\n  shortCode String? @map(\"short_code\")\n  imagePath String? @map(\"image_path\")\n\n  rating         Float\n  startingRating Float    @map(\"starting_rating\") // Set by the division it played in at first\n  fixtures       Int // Rated fixtures played\n  lastPlayedAt   DateTime @map(\"last_played_at\")\n\n  updatedAt DateTime @updatedAt @map(\"updated_at\")\n\n  changes TeamRatingChange[]\n\n  @@map(\"team_ratings\")\n}\n\n// A team's rating change from one fixture\nmodel TeamRatingChange {\n  fixtureId Int        @map(\"fixture_id\")\n  teamId    Int        @map(\"team_id\")\n  team      TeamRating @relation(fields: [teamId], references: [teamId], onDelete: Cascade)\n\n  leagueId   Int      @map(\"league_id\")\n  leagueName String?  @map(\"league_name\")\n  seasonId   Int      @map(\"season_id\")\n  playedAt   DateTime @map(\"played_at\")\n\n  location       String // \"home\" or \"away\"\n  opponentId     Int    @map(\"opponent_id\")\n  opponentName   String @map(\"opponent_name\")\n  opponentRating Float  @map(\"opponent_rating\") // Before kick-off\n  goalsFor       Int    @map(\"goals_for\")\n  goalsAgainst   Int    @map(\"goals_against\")\n  result         String // \"W\", \"D\" or \"L\" (a penalty shootout is a draw)\n  expected       Float // Expected score before kick-off (win 1, draw 0.5)\n\n  ratingBefore Float @map(\"rating_before\")\n  ratingAfter  Float @map(\"rating_after\")\n\n  @@id([fixtureId, teamId])\n  @@index([teamId, playedAt])\n  @@index([seasonId])\n  @@map(\"team_rating_changes\")\n}\n\n// ============================================\n// PREDICTION CALIBRATION\n// ============================================\n// SportsMonks' pre-kick-off predictions of followed fixtures, stored so\n// we can score them against the results ourselves (see\n// src/services/calibration.js) instead of relying on the vendor's own\n// predictability figures.\n\n// The last prediction of one market recorded before kick-off\nmodel PredictionSnapshot {\n  fixtureId Int @map(\"fixture_id\")\n  typeId    Int @map(\"type_id\") // SportsMonks prediction type (237 = Fulltime Result, ...)\n\n  leagueId   Int      @map(\"league_id\")\n  leagueName String?  @map(\"league_name\")\n  seasonId   Int?     @map(\"season_id\")\n  kickoffAt  DateTime @map(\"kickoff_at\")\n\n  // Outcome -> probability, normalized to sum to 1\n  // ({ home, draw, away } or { yes, no })\n  probabilities Json\n  recordedAt    DateTime @map(\"recorded_at\")\n\n  // Outcome that happened (\"home\", \"yes\", ...); null until settled\n  outcome   String?\n  settledAt DateTime? @map(\"settled_at\")\n\n  @@id([fixtureId, typeId])\n  @@index([outcome, kickoffAt])\n  @@index([leagueId, kickoffAt])\n  @@map(\"prediction_snapshots\")\n}\n"
 }
 
-config.runtimeDataModel = JSON.parse("{\"models\":{\"User\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"email\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"password\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"oddsFormat\",\"kind\":\"enum\",\"type\":\"OddsFormat\"},{\"name\":\"timezone\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"dateFormat\",\"kind\":\"enum\",\"type\":\"DateFormat\",\"dbName\":\"date_format\"},{\"name\":\"temperatureUnit\",\"kind\":\"enum\",\"type\":\"TemperatureUnit\",\"dbName\":\"temperature_unit\"},{\"name\":\"securityQuestion\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"securityAnswer\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"isAdmin\",\"kind\":\"scalar\",\"type\":\"Boolean\",\"dbName\":\"is_admin\"},{\"name\":\"notes\",\"kind\":\"object\",\"type\":\"Note\",\"relationName\":\"NoteToUser\"},{\"name\":\"passwordResets\",\"kind\":\"object\",\"type\":\"PasswordReset\",\"relationName\":\"PasswordResetToUser\"}],\"dbName\":null},\"Note\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"title\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"content\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"userId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"user\",\"kind\":\"object\",\"type\":\"User\",\"relationName\":\"NoteToUser\"},{\"name\":\"links\",\"kind\":\"object\",\"type\":\"NoteLink\",\"relationName\":\"NoteToNoteLink\"}],\"dbName\":null},\"NoteLink\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"noteId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"note\",\"kind\":\"object\",\"type\":\"Note\",\"relationName\":\"NoteToNoteLink\"},{\"name\":\"contextType\",\"kind\":\"enum\",\"type\":\"ContextType\"},{\"name\":\"contextId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"label\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"isPrimary\",\"kind\":\"scalar\",\"type\":\"Boolean\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"PasswordReset\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"userId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"user\",\"kind\":\"object\",\"type\":\"User\",\"relationName\":\"PasswordResetToUser\"},{\"name\":\"token\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"expiresAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"used\",\"kind\":\"scalar\",\"type\":\"Boolean\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"SportsMonksType\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"Int\"},{\"name\":\"parentId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"parent_id\"},{\"name\":\"name\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"code\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"developerName\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"developer_name\"},{\"name\":\"modelType\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"model_type\"},{\"name\":\"group\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"statGroup\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"stat_group\"},{\"name\":\"lastSyncedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"last_synced_at\"},{\"name\":\"parent\",\"kind\":\"object\",\"type\":\"SportsMonksType\",\"relationName\":\"TypeHierarchy\"},{\"name\":\"children\",\"kind\":\"object\",\"type\":\"SportsMonksType\",\"relationName\":\"TypeHierarchy\"}],\"dbName\":\"sportsmonks_types\"}},\"enums\":{},\"types\":{}}")
+config.runtimeDataModel = JSON.parse("{\"models\":{\"User\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"email\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"password\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"oddsFormat\",\"kind\":\"enum\",\"type\":\"OddsFormat\"},{\"name\":\"timezone\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"dateFormat\",\"kind\":\"enum\",\"type\":\"DateFormat\",\"dbName\":\"date_format\"},{\"name\":\"temperatureUnit\",\"kind\":\"enum\",\"type\":\"TemperatureUnit\",\"dbName\":\"temperature_unit\"},{\"name\":\"unitSize\",\"kind\":\"scalar\",\"type\":\"Float\",\"dbName\":\"unit_size\"},{\"name\":\"securityQuestion\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"securityAnswer\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"isAdmin\",\"kind\":\"scalar\",\"type\":\"Boolean\",\"dbName\":\"is_admin\"},{\"name\":\"notes\",\"kind\":\"object\",\"type\":\"Note\",\"relationName\":\"NoteToUser\"},{\"name\":\"passwordResets\",\"kind\":\"object\",\"type\":\"PasswordReset\",\"relationName\":\"PasswordResetToUser\"},{\"name\":\"bets\",\"kind\":\"object\",\"type\":\"Bet\",\"relationName\":\"BetToUser\"},{\"name\":\"bankrolls\",\"kind\":\"object\",\"type\":\"Bankroll\",\"relationName\":\"BankrollToUser\"}],\"dbName\":null},\"Note\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"title\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"content\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"userId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"user\",\"kind\":\"object\",\"type\":\"User\",\"relationName\":\"NoteToUser\"},{\"name\":\"links\",\"kind\":\"object\",\"type\":\"NoteLink\",\"relationName\":\"NoteToNoteLink\"}],\"dbName\":null},\"NoteLink\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"noteId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"note\",\"kind\":\"object\",\"type\":\"Note\",\"relationName\":\"NoteToNoteLink\"},{\"name\":\"contextType\",\"kind\":\"enum\",\"type\":\"ContextType\"},{\"name\":\"contextId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"label\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"isPrimary\",\"kind\":\"scalar\",\"type\":\"Boolean\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"PasswordReset\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"userId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"user\",\"kind\":\"object\",\"type\":\"User\",\"relationName\":\"PasswordResetToUser\"},{\"name\":\"token\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"expiresAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"used\",\"kind\":\"scalar\",\"type\":\"Boolean\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"SportsMonksType\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"Int\"},{\"name\":\"parentId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"parent_id\"},{\"name\":\"name\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"code\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"developerName\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"developer_name\"},{\"name\":\"modelType\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"model_type\"},{\"name\":\"group\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"statGroup\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"stat_group\"},{\"name\":\"lastSyncedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"last_synced_at\"},{\"name\":\"parent\",\"kind\":\"object\",\"type\":\"SportsMonksType\",\"relationName\":\"TypeHierarchy\"},{\"name\":\"children\",\"kind\":\"object\",\"type\":\"SportsMonksType\",\"relationName\":\"TypeHierarchy\"}],\"dbName\":\"sportsmonks_types\"},\"CacheEntry\":{\"fields\":[{\"name\":\"key\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"value\",\"kind\":\"scalar\",\"type\":\"Json\"},{\"name\":\"expiresAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"expires_at\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"created_at\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"updated_at\"}],\"dbName\":\"cache_entries\"},\"SportsMonksUsage\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"hour\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"endpoint\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"includes\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"route\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"calls\",\"kind\":\"scalar\",\"type\":\"Int\"},{\"name\":\"requests\",\"kind\":\"scalar\",\"type\":\"Int\"},{\"name\":\"pages\",\"kind\":\"scalar\",\"type\":\"Int\"},{\"name\":\"errors\",\"kind\":\"scalar\",\"type\":\"Int\"},{\"name\":\"rateLimited\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"rate_limited\"},{\"name\":\"totalLatencyMs\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"total_latency_ms\"},{\"name\":\"maxLatencyMs\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"max_latency_ms\"},{\"name\":\"lastStatus\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"last_status\"},{\"name\":\"rateLimitRemaining\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"rate_limit_remaining\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"updated_at\"}],\"dbName\":\"sportsmonks_usage\"},\"Job\":{\"fields\":[{\"name\":\"name\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"nextRunAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"next_run_at\"},{\"name\":\"lockedUntil\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"locked_until\"},{\"name\":\"lockedBy\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"locked_by\"},{\"name\":\"lastRunAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"last_run_at\"},{\"name\":\"lastFinishedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"last_finished_at\"},{\"name\":\"lastStatus\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"last_status\"},{\"name\":\"lastTrigger\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"last_trigger\"},{\"name\":\"lastDurationMs\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"last_duration_ms\"},{\"name\":\"lastResult\",\"kind\":\"scalar\",\"type\":\"Json\",\"dbName\":\"last_result\"},{\"name\":\"lastError\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"last_error\"},{\"name\":\"runCount\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"run_count\"},{\"name\":\"failureCount\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"failure_count\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"created_at\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"updated_at\"}],\"dbName\":\"jobs\"},\"WarehouseSeason\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"Int\"},{\"name\":\"leagueId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"league_id\"},{\"name\":\"leagueName\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"league_name\"},{\"name\":\"name\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"startingAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"starting_at\"},{\"name\":\"endingAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"ending_at\"},{\"name\":\"lastSyncedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"last_synced_at\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"created_at\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"updated_at\"},{\"name\":\"fixtures\",\"kind\":\"object\",\"type\":\"WarehouseFixture\",\"relationName\":\"WarehouseFixtureToWarehouseSeason\"}],\"dbName\":\"warehouse_seasons\"},\"WarehouseFixture\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"Int\"},{\"name\":\"seasonId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"season_id\"},{\"name\":\"season\",\"kind\":\"object\",\"type\":\"WarehouseSeason\",\"relationName\":\"WarehouseFixtureToWarehouseSeason\"},{\"name\":\"leagueId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"league_id\"},{\"name\":\"leagueName\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"league_name\"},{\"name\":\"stageId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"stage_id\"},{\"name\":\"roundId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"round_id\"},{\"name\":\"name\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"startingAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"starting_at\"},{\"name\":\"state\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"finished\",\"kind\":\"scalar\",\"type\":\"Boolean\"},{\"name\":\"resultInfo\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"result_info\"},{\"name\":\"homeTeamId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"home_team_id\"},{\"name\":\"awayTeamId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"away_team_id\"},{\"name\":\"homeGoals\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"home_goals\"},{\"name\":\"awayGoals\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"away_goals\"},{\"name\":\"syncedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"synced_at\"},{\"name\":\"participants\",\"kind\":\"object\",\"type\":\"WarehouseParticipant\",\"relationName\":\"WarehouseFixtureToWarehouseParticipant\"},{\"name\":\"scores\",\"kind\":\"object\",\"type\":\"WarehouseScore\",\"relationName\":\"WarehouseFixtureToWarehouseScore\"},{\"name\":\"statistics\",\"kind\":\"object\",\"type\":\"WarehouseStatistic\",\"relationName\":\"WarehouseFixtureToWarehouseStatistic\"},{\"name\":\"events\",\"kind\":\"object\",\"type\":\"WarehouseEvent\",\"relationName\":\"WarehouseEventToWarehouseFixture\"}],\"dbName\":\"warehouse_fixtures\"},\"WarehouseParticipant\":{\"fields\":[{\"name\":\"fixtureId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"fixture_id\"},{\"name\":\"fixture\",\"kind\":\"object\",\"type\":\"WarehouseFixture\",\"relationName\":\"WarehouseFixtureToWarehouseParticipant\"},{\"name\":\"teamId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"team_id\"},{\"name\":\"name\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"shortCode\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"short_code\"},{\"name\":\"imagePath\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"image_path\"},{\"name\":\"location\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"winner\",\"kind\":\"scalar\",\"type\":\"Boolean\"},{\"name\":\"position\",\"kind\":\"scalar\",\"type\":\"Int\"}],\"dbName\":\"warehouse_participants\"},\"WarehouseScore\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"Int\"},{\"name\":\"fixtureId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"fixture_id\"},{\"name\":\"fixture\",\"kind\":\"object\",\"type\":\"WarehouseFixture\",\"relationName\":\"WarehouseFixtureToWarehouseScore\"},{\"name\":\"typeId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"type_id\"},{\"name\":\"teamId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"team_id\"},{\"name\":\"description\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"participant\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"goals\",\"kind\":\"scalar\",\"type\":\"Int\"}],\"dbName\":\"warehouse_scores\"},\"WarehouseStatistic\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"Int\"},{\"name\":\"fixtureId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"fixture_id\"},{\"name\":\"fixture\",\"kind\":\"object\",\"type\":\"WarehouseFixture\",\"relationName\":\"WarehouseFixtureToWarehouseStatistic\"},{\"name\":\"typeId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"type_id\"},{\"name\":\"teamId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"team_id\"},{\"name\":\"location\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"value\",\"kind\":\"scalar\",\"type\":\"Float\"}],\"dbName\":\"warehouse_statistics\"},\"WarehouseEvent\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"Int\"},{\"name\":\"fixtureId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"fixture_id\"},{\"name\":\"fixture\",\"kind\":\"object\",\"type\":\"WarehouseFixture\",\"relationName\":\"WarehouseEventToWarehouseFixture\"},{\"name\":\"typeId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"type_id\"},{\"name\":\"periodId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"period_id\"},{\"name\":\"teamId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"team_id\"},{\"name\":\"playerId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"player_id\"},{\"name\":\"playerName\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"player_name\"},{\"name\":\"relatedPlayerId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"related_player_id\"},{\"name\":\"relatedPlayerName\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"related_player_name\"},{\"name\":\"minute\",\"kind\":\"scalar\",\"type\":\"Int\"},{\"name\":\"extraMinute\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"extra_minute\"},{\"name\":\"result\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"info\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"addition\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"sortOrder\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"sort_order\"}],\"dbName\":\"warehouse_events\"},\"WarehouseHeadToHead\":{\"fields\":[{\"name\":\"team1Id\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"team1_id\"},{\"name\":\"team2Id\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"team2_id\"},{\"name\":\"fixtureIds\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"fixture_ids\"},{\"name\":\"checkedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"checked_at\"}],\"dbName\":\"warehouse_head_to_heads\"},\"OddsSnapshot\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"fixtureId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"fixture_id\"},{\"name\":\"oddId\",\"kind\":\"scalar\",\"type\":\"BigInt\",\"dbName\":\"odd_id\"},{\"name\":\"bookmakerId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"bookmaker_id\"},{\"name\":\"marketId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"market_id\"},{\"name\":\"marketDescription\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"market_description\"},{\"name\":\"label\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"name\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"total\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"handicap\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"value\",\"kind\":\"scalar\",\"type\":\"Float\"},{\"name\":\"probability\",\"kind\":\"scalar\",\"type\":\"Float\"},{\"name\":\"bookmakerUpdatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"bookmaker_updated_at\"},{\"name\":\"kickoffAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"kickoff_at\"},{\"name\":\"recordedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"recorded_at\"}],\"dbName\":\"odds_snapshots\"},\"Bet\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"userId\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"user_id\"},{\"name\":\"user\",\"kind\":\"object\",\"type\":\"User\",\"relationName\":\"BetToUser\"},{\"name\":\"bankrollId\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"bankroll_id\"},{\"name\":\"bankroll\",\"kind\":\"object\",\"type\":\"Bankroll\",\"relationName\":\"BankrollToBet\"},{\"name\":\"stake\",\"kind\":\"scalar\",\"type\":\"Float\"},{\"name\":\"odds\",\"kind\":\"scalar\",\"type\":\"Float\"},{\"name\":\"bookmakerId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"bookmaker_id\"},{\"name\":\"bookmakerName\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"bookmaker_name\"},{\"name\":\"placedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"placed_at\"},{\"name\":\"status\",\"kind\":\"enum\",\"type\":\"BetStatus\"},{\"name\":\"returns\",\"kind\":\"scalar\",\"type\":\"Float\"},{\"name\":\"profit\",\"kind\":\"scalar\",\"type\":\"Float\"},{\"name\":\"settledAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"settled_at\"},{\"name\":\"notes\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"created_at\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"updated_at\"},{\"name\":\"selections\",\"kind\":\"object\",\"type\":\"BetSelection\",\"relationName\":\"BetToBetSelection\"}],\"dbName\":\"bets\"},\"BetSelection\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"betId\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"bet_id\"},{\"name\":\"bet\",\"kind\":\"object\",\"type\":\"Bet\",\"relationName\":\"BetToBetSelection\"},{\"name\":\"fixtureId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"fixture_id\"},{\"name\":\"fixtureName\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"fixture_name\"},{\"name\":\"kickoffAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"kickoff_at\"},{\"name\":\"leagueId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"league_id\"},{\"name\":\"leagueName\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"league_name\"},{\"name\":\"marketId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"market_id\"},{\"name\":\"marketName\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"market_name\"},{\"name\":\"selectionKey\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"selection_key\"},{\"name\":\"selectionLabel\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"selection_label\"},{\"name\":\"odds\",\"kind\":\"scalar\",\"type\":\"Float\"},{\"name\":\"closingOdds\",\"kind\":\"scalar\",\"type\":\"Float\",\"dbName\":\"closing_odds\"},{\"name\":\"closingBookmakerId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"closing_bookmaker_id\"},{\"name\":\"closingRecordedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"closing_recorded_at\"},{\"name\":\"clv\",\"kind\":\"scalar\",\"type\":\"Float\"},{\"name\":\"status\",\"kind\":\"enum\",\"type\":\"BetStatus\"},{\"name\":\"settledAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"settled_at\"},{\"name\":\"resultInfo\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"result_info\"}],\"dbName\":\"bet_selections\"},\"Bankroll\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"userId\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"user_id\"},{\"name\":\"user\",\"kind\":\"object\",\"type\":\"User\",\"relationName\":\"BankrollToUser\"},{\"name\":\"name\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"stakingPlan\",\"kind\":\"enum\",\"type\":\"StakingPlan\",\"dbName\":\"staking_plan\"},{\"name\":\"unitSize\",\"kind\":\"scalar\",\"type\":\"Float\",\"dbName\":\"unit_size\"},{\"name\":\"stakePercent\",\"kind\":\"scalar\",\"type\":\"Float\",\"dbName\":\"stake_percent\"},{\"name\":\"kellyFraction\",\"kind\":\"scalar\",\"type\":\"Float\",\"dbName\":\"kelly_fraction\"},{\"name\":\"maxStakePercent\",\"kind\":\"scalar\",\"type\":\"Float\",\"dbName\":\"max_stake_percent\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"created_at\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"updated_at\"},{\"name\":\"transactions\",\"kind\":\"object\",\"type\":\"BankrollTransaction\",\"relationName\":\"BankrollToBankrollTransaction\"},{\"name\":\"bets\",\"kind\":\"object\",\"type\":\"Bet\",\"relationName\":\"BankrollToBet\"}],\"dbName\":\"bankrolls\"},\"BankrollTransaction\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"bankrollId\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"bankroll_id\"},{\"name\":\"bankroll\",\"kind\":\"object\",\"type\":\"Bankroll\",\"relationName\":\"BankrollToBankrollTransaction\"},{\"name\":\"type\",\"kind\":\"enum\",\"type\":\"BankrollTransactionType\"},{\"name\":\"amount\",\"kind\":\"scalar\",\"type\":\"Float\"},{\"name\":\"occurredAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"occurred_at\"},{\"name\":\"note\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"created_at\"}],\"dbName\":\"bankroll_transactions\"},\"TeamRating\":{\"fields\":[{\"name\":\"teamId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"team_id\"},{\"name\":\"name\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"shortCode\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"short_code\"},{\"name\":\"imagePath\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"image_path\"},{\"name\":\"rating\",\"kind\":\"scalar\",\"type\":\"Float\"},{\"name\":\"startingRating\",\"kind\":\"scalar\",\"type\":\"Float\",\"dbName\":\"starting_rating\"},{\"name\":\"fixtures\",\"kind\":\"scalar\",\"type\":\"Int\"},{\"name\":\"lastPlayedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"last_played_at\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"updated_at\"},{\"name\":\"changes\",\"kind\":\"object\",\"type\":\"TeamRatingChange\",\"relationName\":\"TeamRatingToTeamRatingChange\"}],\"dbName\":\"team_ratings\"},\"TeamRatingChange\":{\"fields\":[{\"name\":\"fixtureId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"fixture_id\"},{\"name\":\"teamId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"team_id\"},{\"name\":\"team\",\"kind\":\"object\",\"type\":\"TeamRating\",\"relationName\":\"TeamRatingToTeamRatingChange\"},{\"name\":\"leagueId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"league_id\"},{\"name\":\"leagueName\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"league_name\"},{\"name\":\"seasonId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"season_id\"},{\"name\":\"playedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"played_at\"},{\"name\":\"location\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"opponentId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"opponent_id\"},{\"name\":\"opponentName\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"opponent_name\"},{\"name\":\"opponentRating\",\"kind\":\"scalar\",\"type\":\"Float\",\"dbName\":\"opponent_rating\"},{\"name\":\"goalsFor\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"goals_for\"},{\"name\":\"goalsAgainst\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"goals_against\"},{\"name\":\"result\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"expected\",\"kind\":\"scalar\",\"type\":\"Float\"},{\"name\":\"ratingBefore\",\"kind\":\"scalar\",\"type\":\"Float\",\"dbName\":\"rating_before\"},{\"name\":\"ratingAfter\",\"kind\":\"scalar\",\"type\":\"Float\",\"dbName\":\"rating_after\"}],\"dbName\":\"team_rating_changes\"},\"PredictionSnapshot\":{\"fields\":[{\"name\":\"fixtureId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"fixture_id\"},{\"name\":\"typeId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"type_id\"},{\"name\":\"leagueId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"league_id\"},{\"name\":\"leagueName\",\"kind\":\"scalar\",\"type\":\"String\",\"dbName\":\"league_name\"},{\"name\":\"seasonId\",\"kind\":\"scalar\",\"type\":\"Int\",\"dbName\":\"season_id\"},{\"name\":\"kickoffAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"kickoff_at\"},{\"name\":\"probabilities\",\"kind\":\"scalar\",\"type\":\"Json\"},{\"name\":\"recordedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"recorded_at\"},{\"name\":\"outcome\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"settledAt\",\"kind\":\"scalar\",\"type\":\"DateTime\",\"dbName\":\"settled_at\"}],\"dbName\":\"prediction_snapshots\"}},\"enums\":{},\"types\":{}}")
 defineDmmfProperty(exports.Prisma, config.runtimeDataModel)
 config.compilerWasm = {
   getRuntime: async () => require('./query_compiler_bg.js'),
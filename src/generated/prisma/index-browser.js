@@ -130,6 +130,7 @@ exports.Prisma.UserScalarFieldEnum = {
   timezone: 'timezone',
   dateFormat: 'dateFormat',
   temperatureUnit: 'temperatureUnit',
+  unitSize: 'unitSize',
   securityQuestion: 'securityQuestion',
   securityAnswer: 'securityAnswer',
   isAdmin: 'isAdmin'
@@ -175,11 +176,275 @@ exports.Prisma.SportsMonksTypeScalarFieldEnum = {
   lastSyncedAt: 'lastSyncedAt'
 };
 
+exports.Prisma.CacheEntryScalarFieldEnum = {
+  key: 'key',
+  value: 'value',
+  expiresAt: 'expiresAt',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+exports.Prisma.SportsMonksUsageScalarFieldEnum = {
+  id: 'id',
+  hour: 'hour',
+  endpoint: 'endpoint',
+  includes: 'includes',
+  route: 'route',
+  calls: 'calls',
+  requests: 'requests',
+  pages: 'pages',
+  errors: 'errors',
+  rateLimited: 'rateLimited',
+  totalLatencyMs: 'totalLatencyMs',
+  maxLatencyMs: 'maxLatencyMs',
+  lastStatus: 'lastStatus',
+  rateLimitRemaining: 'rateLimitRemaining',
+  updatedAt: 'updatedAt'
+};
+
+exports.Prisma.JobScalarFieldEnum = {
+  name: 'name',
+  nextRunAt: 'nextRunAt',
+  lockedUntil: 'lockedUntil',
+  lockedBy: 'lockedBy',
+  lastRunAt: 'lastRunAt',
+  lastFinishedAt: 'lastFinishedAt',
+  lastStatus: 'lastStatus',
+  lastTrigger: 'lastTrigger',
+  lastDurationMs: 'lastDurationMs',
+  lastResult: 'lastResult',
+  lastError: 'lastError',
+  runCount: 'runCount',
+  failureCount: 'failureCount',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+exports.Prisma.WarehouseSeasonScalarFieldEnum = {
+  id: 'id',
+  leagueId: 'leagueId',
+  leagueName: 'leagueName',
+  name: 'name',
+  startingAt: 'startingAt',
+  endingAt: 'endingAt',
+  lastSyncedAt: 'lastSyncedAt',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+exports.Prisma.WarehouseFixtureScalarFieldEnum = {
+  id: 'id',
+  seasonId: 'seasonId',
+  leagueId: 'leagueId',
+  leagueName: 'leagueName',
+  stageId: 'stageId',
+  roundId: 'roundId',
+  name: 'name',
+  startingAt: 'startingAt',
+  state: 'state',
+  finished: 'finished',
+  resultInfo: 'resultInfo',
+  homeTeamId: 'homeTeamId',
+  awayTeamId: 'awayTeamId',
+  homeGoals: 'homeGoals',
+  awayGoals: 'awayGoals',
+  syncedAt: 'syncedAt'
+};
+
+exports.Prisma.WarehouseParticipantScalarFieldEnum = {
+  fixtureId: 'fixtureId',
+  teamId: 'teamId',
+  name: 'name',
+  shortCode: 'shortCode',
+  imagePath: 'imagePath',
+  location: 'location',
+  winner: 'winner',
+  position: 'position'
+};
+
+exports.Prisma.WarehouseScoreScalarFieldEnum = {
+  id: 'id',
+  fixtureId: 'fixtureId',
+  typeId: 'typeId',
+  teamId: 'teamId',
+  description: 'description',
+  participant: 'participant',
+  goals: 'goals'
+};
+
+exports.Prisma.WarehouseStatisticScalarFieldEnum = {
+  id: 'id',
+  fixtureId: 'fixtureId',
+  typeId: 'typeId',
+  teamId: 'teamId',
+  location: 'location',
+  value: 'value'
+};
+
+exports.Prisma.WarehouseEventScalarFieldEnum = {
+  id: 'id',
+  fixtureId: 'fixtureId',
+  typeId: 'typeId',
+  periodId: 'periodId',
+  teamId: 'teamId',
+  playerId: 'playerId',
+  playerName: 'playerName',
+  relatedPlayerId: 'relatedPlayerId',
+  relatedPlayerName: 'relatedPlayerName',
+  minute: 'minute',
+  extraMinute: 'extraMinute',
+  result: 'result',
+  info: 'info',
+  addition: 'addition',
+  sortOrder: 'sortOrder'
+};
+
+exports.Prisma.WarehouseHeadToHeadScalarFieldEnum = {
+  team1Id: 'team1Id',
+  team2Id: 'team2Id',
+  fixtureIds: 'fixtureIds',
+  checkedAt: 'checkedAt'
+};
+
+exports.Prisma.OddsSnapshotScalarFieldEnum = {
+  id: 'id',
+  fixtureId: 'fixtureId',
+  oddId: 'oddId',
+  bookmakerId: 'bookmakerId',
+  marketId: 'marketId',
+  marketDescription: 'marketDescription',
+  label: 'label',
+  name: 'name',
+  total: 'total',
+  handicap: 'handicap',
+  value: 'value',
+  probability: 'probability',
+  bookmakerUpdatedAt: 'bookmakerUpdatedAt',
+  kickoffAt: 'kickoffAt',
+  recordedAt: 'recordedAt'
+};
+
+exports.Prisma.BetScalarFieldEnum = {
+  id: 'id',
+  userId: 'userId',
+  bankrollId: 'bankrollId',
+  stake: 'stake',
+  odds: 'odds',
+  bookmakerId: 'bookmakerId',
+  bookmakerName: 'bookmakerName',
+  placedAt: 'placedAt',
+  status: 'status',
+  returns: 'returns',
+  profit: 'profit',
+  settledAt: 'settledAt',
+  notes: 'notes',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+exports.Prisma.BetSelectionScalarFieldEnum = {
+  id: 'id',
+  betId: 'betId',
+  fixtureId: 'fixtureId',
+  fixtureName: 'fixtureName',
+  kickoffAt: 'kickoffAt',
+  leagueId: 'leagueId',
+  leagueName: 'leagueName',
+  marketId: 'marketId',
+  marketName: 'marketName',
+  selectionKey: 'selectionKey',
+  selectionLabel: 'selectionLabel',
+  odds: 'odds',
+  closingOdds: 'closingOdds',
+  closingBookmakerId: 'closingBookmakerId',
+  closingRecordedAt: 'closingRecordedAt',
+  clv: 'clv',
+  status: 'status',
+  settledAt: 'settledAt',
+  resultInfo: 'resultInfo'
+};
+
+exports.Prisma.BankrollScalarFieldEnum = {
+  id: 'id',
+  userId: 'userId',
+  name: 'name',
+  stakingPlan: 'stakingPlan',
+  unitSize: 'unitSize',
+  stakePercent: 'stakePercent',
+  kellyFraction: 'kellyFraction',
+  maxStakePercent: 'maxStakePercent',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+exports.Prisma.BankrollTransactionScalarFieldEnum = {
+  id: 'id',
+  bankrollId: 'bankrollId',
+  type: 'type',
+  amount: 'amount',
+  occurredAt: 'occurredAt',
+  note: 'note',
+  createdAt: 'createdAt'
+};
+
+exports.Prisma.TeamRatingScalarFieldEnum = {
+  teamId: 'teamId',
+  name: 'name',
+  shortCode: 'shortCode',
+  imagePath: 'imagePath',
+  rating: 'rating',
+  startingRating: 'startingRating',
+  fixtures: 'fixtures',
+  lastPlayedAt: 'lastPlayedAt',
+  updatedAt: 'updatedAt'
+};
+
+exports.Prisma.TeamRatingChangeScalarFieldEnum = {
+  fixtureId: 'fixtureId',
+  teamId: 'teamId',
+  leagueId: 'leagueId',
+  leagueName: 'leagueName',
+  seasonId: 'seasonId',
+  playedAt: 'playedAt',
+  location: 'location',
+  opponentId: 'opponentId',
+  opponentName: 'opponentName',
+  opponentRating: 'opponentRating',
+  goalsFor: 'goalsFor',
+  goalsAgainst: 'goalsAgainst',
+  result: 'result',
+  expected: 'expected',
+  ratingBefore: 'ratingBefore',
+  ratingAfter: 'ratingAfter'
+};
+
+exports.Prisma.PredictionSnapshotScalarFieldEnum = {
+  fixtureId: 'fixtureId',
+  typeId: 'typeId',
+  leagueId: 'leagueId',
+  leagueName: 'leagueName',
+  seasonId: 'seasonId',
+  kickoffAt: 'kickoffAt',
+  probabilities: 'probabilities',
+  recordedAt: 'recordedAt',
+  outcome: 'outcome',
+  settledAt: 'settledAt'
+};
+
 exports.Prisma.SortOrder = {
   asc: 'asc',
   desc: 'desc'
 };
 
+exports.Prisma.JsonNullValueInput = {
+  JsonNull: Prisma.JsonNull
+};
+
+exports.Prisma.NullableJsonNullValueInput = {
+  DbNull: Prisma.DbNull,
+  JsonNull: Prisma.JsonNull
+};
+
 exports.Prisma.QueryMode = {
   default: 'default',
   insensitive: 'insensitive'
@@ -189,6 +454,12 @@ exports.Prisma.NullsOrder = {
   first: 'first',
   last: 'last'
 };
+
+exports.Prisma.JsonNullValueFilter = {
+  DbNull: Prisma.DbNull,
+  JsonNull: Prisma.JsonNull,
+  AnyNull: Prisma.AnyNull
+};
 exports.OddsFormat = exports.$Enums.OddsFormat = {
   AMERICAN: 'AMERICAN',
   DECIMAL: 'DECIMAL',
@@ -214,12 +485,48 @@ exports.ContextType = exports.$Enums.ContextType = {
   general: 'general'
 };
 
+exports.BetStatus = exports.$Enums.BetStatus = {
+  OPEN: 'OPEN',
+  WON: 'WON',
+  LOST: 'LOST',
+  VOID: 'VOID'
+};
+
+exports.StakingPlan = exports.$Enums.StakingPlan = {
+  FLAT: 'FLAT',
+  PERCENTAGE: 'PERCENTAGE',
+  KELLY: 'KELLY'
+};
+
+exports.BankrollTransactionType = exports.$Enums.BankrollTransactionType = {
+  DEPOSIT: 'DEPOSIT',
+  WITHDRAWAL: 'WITHDRAWAL'
+};
+
 exports.Prisma.ModelName = {
   User: 'User',
   Note: 'Note',
   NoteLink: 'NoteLink',
   PasswordReset: 'PasswordReset',
-  SportsMonksType: 'SportsMonksType'
+  SportsMonksType: 'SportsMonksType',
+  CacheEntry: 'CacheEntry',
+  SportsMonksUsage: 'SportsMonksUsage',
+  Job: 'Job',
+  WarehouseSeason: 'WarehouseSeason',
+  WarehouseFixture: 'WarehouseFixture',
+  WarehouseParticipant: 'WarehouseParticipant',
+  WarehouseScore: 'WarehouseScore',
+  WarehouseStatistic: 'WarehouseStatistic',
+  WarehouseEvent: 'WarehouseEvent',
+  WarehouseHeadToHead: 'WarehouseHeadToHead',
+  OddsSnapshot: 'OddsSnapshot',
+  Bet: 'Bet',
+  BetSelection: 'BetSelection',
+  Bankroll: 'Bankroll',
+  BankrollTransaction: 'BankrollTransaction',
+  TeamRating: 'TeamRating',
+  TeamRatingChange: 'TeamRatingChange',
+  PredictionSnapshot: 'PredictionSnapshot'
 };
 
 /**
@@ -3,12 +3,18 @@
 // ============================================
 
 import express from 'express';     // Web framework
+import path from 'node:path';      // Detect whether this file was run directly
+import { fileURLToPath } from 'node:url';
 import cors from 'cors';           // Allows frontend to talk to backend
+import compression from 'compression';  // gzip/brotli response bodies
+import swaggerUi from 'swagger-ui-express';  // Interactive API explorer at /docs
 import dotenv from 'dotenv';       // Loads .env variables
 import prisma from './db.js';     // Database client
 
 import authRoutes from './routes/auth.js';  // Authentication routes
 import notesRoutes from './routes/notes.js';  // Notes CRUD routes
+import betsRoutes from './routes/bets.js';  // Bet tracking ledger
+import bankrollsRoutes from './routes/bankrolls.js';  // Bankrolls and staking plans
 import teamsRoutes from './routes/teams.js';  // SportsMonks team data
 import fixturesRoutes from './routes/fixtures.js';  // SportsMonks fixture data
 import playersRoutes from './routes/players.js';  // SportsMonks player data
@@ -19,10 +25,25 @@ import leaguesRoutes from './routes/leagues.js';  // SportsMonks leagues data
 import seasonsRoutes from './routes/seasons.js';  // SportsMonks seasons data
 import topscorersRoutes from './routes/topscorers.js';  // SportsMonks top scorers
 import predictionsRoutes from './routes/predictions.js';  // SportsMonks predictions
+import valueRoutes from './routes/value.js';  // Value bets (predictions vs. odds)
+import ratingsRoutes from './routes/ratings.js';  // Team Elo ratings
 import authMiddleware, { adminMiddleware } from './middleware/auth.js';  // Protects routes
+import requestContextMiddleware from './middleware/requestContext.js';  // Per-request context (data status flags)
+import httpCacheMiddleware from './middleware/httpCache.js';  // ETag / 304 / Cache-Control for cached data
+import validateRequest from './middleware/validate.js';  // Validates requests against the OpenAPI spec
 import { globalLimiter, authLimiter, dataLimiter, livescoresLimiter } from './middleware/rateLimiter.js';  // Rate limiting
 import { loadTypesCache, getCacheStatus, syncTypesFromAPI } from './services/types.js';  // Types cache
 import cache from './services/cache.js';  // Data cache (for admin endpoints)
+import { getUpstreamStatus } from './services/sportsmonks.js';  // SportsMonks client health
+import { getUsageReport } from './services/usage.js';  // SportsMonks usage tracking
+import { createLogger } from './services/logger.js';  // Structured JSON logging
+import { renderMetrics } from './services/metrics.js';  // Prometheus metrics
+import { startScheduler, listJobs, getJob, triggerJob } from './services/scheduler.js';  // Background jobs
+import './jobs/index.js';  // Registers the background jobs with the scheduler
+import { listStoredSeasons } from './services/warehouse.js';  // Fixtures warehouse
+import openapiDocument from './openapi/index.js';  // OpenAPI spec for all routes
+import { notFoundHandler, errorHandler } from './middleware/errorHandler.js';  // Error envelope for every failure
+import { AppError, NotFoundError, UnauthorizedError } from './services/errors.js';  // Typed errors
 
 // ============================================
 // CONFIGURATION
@@ -37,15 +58,33 @@ const app = express();
 // Define the port (use .env value or default to 3001)
 const PORT = process.env.PORT || 3001;
 
+// Loggers (see services/logger.js)
+const log = createLogger('Server');
+const adminLog = createLogger('Admin');
+
 // ============================================
 // MIDDLEWARE
 // ============================================
 
+// Compress responses (brotli or gzip, whichever the client prefers).
+// Large payloads like full squads and odds shrink by ~90%.
+app.use(compression());
+
 // Parse JSON request bodies (so we can read req.body)
 app.use(express.json());
 
+// Per-request context so services can flag stale/degraded data on the response
+// (must come after express.json - see middleware/requestContext.js)
+app.use(requestContextMiddleware);
+
+// ETag, 304 Not Modified and Cache-Control for responses served from the data cache
+app.use(httpCacheMiddleware);
+
 // Enable CORS (so React frontend can call this API)
-app.use(cors());
+// Expose X-Data-Status so the frontend can tell when data is stale/degraded,
+// X-Request-Id so errors can be matched to server logs,
+// and ETag so the frontend can make conditional requests
+app.use(cors({ exposedHeaders: ['X-Data-Status', 'X-Request-Id', 'ETag'] }));
 
 // Global rate limiter - baseline protection for all routes
 // 300 requests per 15 minutes per IP
@@ -54,82 +93,119 @@ app.use(globalLimiter);
 // ============================================
 // ROUTES
 // ============================================
+// Each router is mounted with validateRequest, which checks path params,
+// query strings and bodies against the OpenAPI document (src/openapi)
+// before the route runs.
 
 // Health check route - confirms the server is running
 app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     message: 'BetSmoke API is running',
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
+    sportsmonks: getUpstreamStatus()
   });
 });
 
+// Prometheus metrics - scraped by Prometheus, not for the frontend.
+// Public by default for local use; set METRICS_TOKEN to require
+// "Authorization: Bearer <METRICS_TOKEN>" (e.g. when deployed).
+app.get('/metrics', async (req, res) => {
+  const metricsToken = process.env.METRICS_TOKEN;
+  if (metricsToken && req.get('Authorization') !== `Bearer ${metricsToken}`) {
+    throw new UnauthorizedError('Access denied. Invalid metrics token.');
+  }
+
+  const { contentType, body } = await renderMetrics();
+  res.set('Content-Type', contentType);
+  res.send(body);
+});
+
+// OpenAPI document - machine-readable description of every route.
+// Also used to validate requests (see middleware/validate.js).
+app.get('/openapi.json', (req, res) => {
+  res.json(openapiDocument);
+});
+
+// Interactive explorer for the OpenAPI document
+app.use('/docs', swaggerUi.serve, swaggerUi.setup(openapiDocument, {
+  customSiteTitle: 'BetSmoke API'
+}));
+
 // Database check route - confirms we can reach Postgres
 app.get('/db-health', async (req, res) => {
-  try {
-    // Try to count users (will be 0, but proves connection works)
-    const userCount = await prisma.user.count();
-    res.json({
-      status: 'ok',
-      message: 'Database connected',
-      userCount: userCount
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'error',
-      message: 'Database connection failed',
-      error: error.message
-    });
-  }
+  // Try to count users (will be 0, but proves connection works)
+  const userCount = await prisma.user.count().catch(error => {
+    throw new AppError('Database connection failed', { status: 503, code: 'DATABASE_UNAVAILABLE', cause: error });
+  });
+  res.json({
+    status: 'ok',
+    message: 'Database connected',
+    userCount: userCount
+  });
 });
 
 // Authentication routes (public - no middleware needed)
 // Tight rate limit to prevent brute force attacks
-app.use('/auth', authLimiter, authRoutes);
+app.use('/auth', authLimiter, validateRequest, authRoutes);
 
 // Notes routes (protected - all routes require valid token)
 // By putting authMiddleware here, ALL /notes/* routes are protected
-app.use('/notes', authMiddleware, notesRoutes);
+app.use('/notes', authMiddleware, validateRequest, notesRoutes);
+
+// Bets routes (protected - each user's own bet ledger)
+app.use('/bets', authMiddleware, validateRequest, betsRoutes);
+
+// Bankrolls routes (protected - each user's own bankrolls and staking plans)
+app.use('/bankrolls', authMiddleware, validateRequest, bankrollsRoutes);
 
 // Teams routes (public - SportsMonks data proxy)
 // These don't require auth since they're just fetching public football data
-app.use('/teams', dataLimiter, teamsRoutes);
+app.use('/teams', dataLimiter, validateRequest, teamsRoutes);
 
 // Fixtures routes (public - SportsMonks data proxy)
 // Access match data: by ID, by date, by date range, by team+date range
-app.use('/fixtures', dataLimiter, fixturesRoutes);
+app.use('/fixtures', dataLimiter, validateRequest, fixturesRoutes);
 
 // Players routes (public - SportsMonks data proxy)
 // Search players, get player details
-app.use('/players', dataLimiter, playersRoutes);
+app.use('/players', dataLimiter, validateRequest, playersRoutes);
 
 // Odds routes (public - SportsMonks data proxy)
 // Pre-match odds, bookmakers, betting markets
-app.use('/odds', dataLimiter, oddsRoutes);
+app.use('/odds', dataLimiter, validateRequest, oddsRoutes);
 
 // Standings routes (public - SportsMonks data proxy)
 // League tables by season or league, live standings
-app.use('/standings', dataLimiter, standingsRoutes);
+app.use('/standings', dataLimiter, validateRequest, standingsRoutes);
 
 // Live scores routes (public - SportsMonks data proxy)
 // Real-time match scores - generous limit since users poll frequently
-app.use('/livescores', livescoresLimiter, livescoresRoutes);
+app.use('/livescores', livescoresLimiter, validateRequest, livescoresRoutes);
 
 // Leagues routes (public - SportsMonks data proxy)
 // List and search competitions
-app.use('/leagues', dataLimiter, leaguesRoutes);
+app.use('/leagues', dataLimiter, validateRequest, leaguesRoutes);
 
 // Seasons routes (public - SportsMonks data proxy)
 // Navigate historical data by season
-app.use('/seasons', dataLimiter, seasonsRoutes);
+app.use('/seasons', dataLimiter, validateRequest, seasonsRoutes);
 
 // Top scorers routes (public - SportsMonks data proxy)
 // Player leaderboards by season
-app.use('/topscorers', dataLimiter, topscorersRoutes);
+app.use('/topscorers', dataLimiter, validateRequest, topscorersRoutes);
 
 // Predictions routes (public - SportsMonks data proxy)
 // AI prediction model performance/accuracy by league
-app.use('/predictions', dataLimiter, predictionsRoutes);
+app.use('/predictions', dataLimiter, validateRequest, predictionsRoutes);
+
+// Value routes (public - computed from cached SportsMonks data)
+// Predictions compared with the best bookmaker prices across a slate
+app.use('/value', dataLimiter, validateRequest, valueRoutes);
+
+// Ratings routes (public - computed from the fixtures warehouse)
+// Team Elo ratings by competition and per fixture
+app.use('/ratings', dataLimiter, validateRequest, ratingsRoutes);
 
 // ============================================
 // PROTECTED TEST ROUTE
@@ -139,36 +215,30 @@ app.use('/predictions', dataLimiter, predictionsRoutes);
 // If the token is valid, req.user will contain { userId: '...' }
 
 app.get('/me', authMiddleware, async (req, res) => {
-  try {
-    // req.user.userId was set by the authMiddleware
-    const userId = req.user.userId;
-
-    // Fetch the user from the database (without the password!)
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-      select: {
-        id: true,
-        email: true,
-        createdAt: true
-        // Note: we do NOT select password
-      }
-    });
-
-    // If user not found (shouldn't happen if token is valid)
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+  // req.user.userId was set by the authMiddleware
+  const userId = req.user.userId;
+
+  // Fetch the user from the database (without the password!)
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      email: true,
+      createdAt: true
+      // Note: we do NOT select password
     }
+  });
 
-    // Return the user info
-    res.json({
-      message: 'Token is valid! Here is your profile:',
-      user: user
-    });
-
-  } catch (error) {
-    console.error('Error fetching user:', error);
-    res.status(500).json({ error: 'Server error' });
+  // If user not found (shouldn't happen if token is valid)
+  if (!user) {
+    throw new NotFoundError('User not found');
   }
+
+  // Return the user info
+  res.json({
+    message: 'Token is valid! Here is your profile:',
+    user: user
+  });
 });
 
 // ============================================
@@ -177,19 +247,11 @@ app.get('/me', authMiddleware, async (req, res) => {
 // Check the status of the SportsMonks types cache
 
 app.get('/types/status', async (req, res) => {
-  try {
-    const status = await getCacheStatus();
-    res.json({
-      status: 'ok',
-      cache: status
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to get cache status',
-      error: error.message
-    });
-  }
+  const status = await getCacheStatus();
+  res.json({
+    status: 'ok',
+    cache: status
+  });
 });
 
 // ============================================
@@ -201,24 +263,15 @@ app.get('/types/status', async (req, res) => {
 // POST /admin/types/sync - Sync types from SportsMonks API
 // Fetches latest types and updates our local database
 app.post('/admin/types/sync', authMiddleware, adminMiddleware, async (req, res) => {
-  try {
-    console.log('[Admin] Types sync requested');
+  adminLog.info('Types sync requested');
 
-    const result = await syncTypesFromAPI();
+  const result = await syncTypesFromAPI();
 
-    res.json({
-      status: 'ok',
-      message: 'Types synced successfully',
-      result
-    });
-  } catch (error) {
-    console.error('[Admin] Types sync failed:', error.message);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to sync types',
-      error: error.message
-    });
-  }
+  res.json({
+    status: 'ok',
+    message: 'Types synced successfully',
+    result
+  });
 });
 
 // ============================================
@@ -228,60 +281,115 @@ app.post('/admin/types/sync', authMiddleware, adminMiddleware, async (req, res)
 
 // GET /admin/cache/stats - Cache hit/miss counts, hit rate, keys by category
 app.get('/admin/cache/stats', authMiddleware, adminMiddleware, async (req, res) => {
-  try {
-    const stats = cache.detailedStats();
-    res.json({ status: 'ok', data: stats });
-  } catch (error) {
-    console.error('[Admin] Cache stats error:', error.message);
-    res.status(500).json({ error: 'Failed to get cache stats' });
-  }
+  const stats = await cache.detailedStats();
+  res.json({ status: 'ok', data: stats });
 });
 
 // GET /admin/cache/keys - All cached keys with remaining TTL
 app.get('/admin/cache/keys', authMiddleware, adminMiddleware, async (req, res) => {
-  try {
-    const allKeys = cache.listKeys();
+  const allKeys = await cache.listKeys();
 
-    // Build key list with remaining TTL for each
-    const keysWithTtl = allKeys.map(key => ({
-      key,
-      ttlRemaining: cache.getTtl(key)
-    }));
+  // Build key list with remaining TTL for each
+  const keysWithTtl = await Promise.all(allKeys.map(async key => ({
+    key,
+    ttlRemaining: await cache.getTtl(key)
+  })));
 
-    res.json({ status: 'ok', data: { count: keysWithTtl.length, keys: keysWithTtl } });
-  } catch (error) {
-    console.error('[Admin] Cache keys error:', error.message);
-    res.status(500).json({ error: 'Failed to get cache keys' });
-  }
+  res.json({ status: 'ok', data: { count: keysWithTtl.length, keys: keysWithTtl } });
 });
 
 // DELETE /admin/cache/flush - Flush entire cache
 app.delete('/admin/cache/flush', authMiddleware, adminMiddleware, async (req, res) => {
-  try {
-    cache.flush();
-    res.json({ status: 'ok', message: 'Cache flushed successfully' });
-  } catch (error) {
-    console.error('[Admin] Cache flush error:', error.message);
-    res.status(500).json({ error: 'Failed to flush cache' });
-  }
+  await cache.flush();
+  res.json({ status: 'ok', message: 'Cache flushed successfully' });
 });
 
 // DELETE /admin/cache/prefix/:prefix - Flush keys matching a prefix
-app.delete('/admin/cache/prefix/:prefix', authMiddleware, adminMiddleware, async (req, res) => {
-  try {
-    const { prefix } = req.params;
-    const deletedCount = cache.flushByPrefix(prefix);
-    res.json({
-      status: 'ok',
-      message: `Flushed ${deletedCount} keys matching prefix "${prefix}"`,
-      deletedCount
-    });
-  } catch (error) {
-    console.error('[Admin] Cache prefix flush error:', error.message);
-    res.status(500).json({ error: 'Failed to flush cache by prefix' });
-  }
+app.delete('/admin/cache/prefix/:prefix', authMiddleware, adminMiddleware, validateRequest, async (req, res) => {
+  const { prefix } = req.params;
+  const deletedCount = await cache.flushByPrefix(prefix);
+  res.json({
+    status: 'ok',
+    message: `Flushed ${deletedCount} keys matching prefix "${prefix}"`,
+    deletedCount
+  });
+});
+
+// ============================================
+// SPORTSMONKS USAGE ADMIN ENDPOINT
+// ============================================
+
+// GET /admin/sportsmonks/usage - Upstream calls per endpoint/route, rate limits, cache hit rates
+// Query params:
+//   - granularity: "hour" (default) or "day"
+//   - days: how many days back to include (1-90, default 1)
+app.get('/admin/sportsmonks/usage', authMiddleware, adminMiddleware, validateRequest, async (req, res) => {
+  // Already validated against the OpenAPI spec
+  const granularity = req.query.granularity || 'hour';
+  const days = req.query.days ? parseInt(req.query.days, 10) : 1;
+
+  const usage = await getUsageReport({ granularity, days });
+
+  res.json({
+    status: 'ok',
+    data: {
+      ...usage,
+      cacheByFamily: cache.familyStats()
+    }
+  });
 });
 
+// ============================================
+// JOBS ADMIN ENDPOINTS
+// ============================================
+// Background jobs (cache pre-warming, nightly types sync) - see services/scheduler.js
+
+// GET /admin/jobs - Every job with its schedule and last run
+app.get('/admin/jobs', authMiddleware, adminMiddleware, async (req, res) => {
+  const jobs = await listJobs();
+  res.json({ status: 'ok', data: jobs });
+});
+
+// GET /admin/jobs/:name - One job with its last run and result
+app.get('/admin/jobs/:name', authMiddleware, adminMiddleware, validateRequest, async (req, res) => {
+  const job = await getJob(req.params.name);
+  res.json({ status: 'ok', data: job });
+});
+
+// POST /admin/jobs/:name/run - Run a job now (returns immediately, poll GET /admin/jobs/:name)
+app.post('/admin/jobs/:name/run', authMiddleware, adminMiddleware, validateRequest, async (req, res) => {
+  adminLog.info(`Job run requested: ${req.params.name}`, { job: req.params.name });
+
+  const job = await triggerJob(req.params.name);
+
+  res.status(202).json({
+    status: 'ok',
+    message: `Job "${job.name}" started`,
+    data: job
+  });
+});
+
+// ============================================
+// FIXTURES WAREHOUSE ADMIN ENDPOINT
+// ============================================
+// Seasons stored locally by the sync-warehouse job - see services/warehouse.js
+
+// GET /admin/warehouse/seasons - Stored seasons with fixture counts and last sync
+app.get('/admin/warehouse/seasons', authMiddleware, adminMiddleware, async (req, res) => {
+  const seasons = await listStoredSeasons();
+  res.json({ status: 'ok', data: seasons });
+});
+
+// ============================================
+// ERROR HANDLING
+// ============================================
+// Must come after every route. Unknown routes get a 404, and every
+// error (thrown in a route or passed to next) is sent as
+// { error: { code, message, requestId } } - see middleware/errorHandler.js
+
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 // ============================================
 // START SERVER
 // ============================================
@@ -290,24 +398,32 @@ const startServer = async () => {
   try {
     // Pre-load the SportsMonks types cache
     // This ensures fast type lookups from the first request
-    console.log('Loading SportsMonks types cache...');
+    log.info('Loading SportsMonks types cache...');
     await loadTypesCache();
 
+    // Start background jobs (cache pre-warming, nightly types sync)
+    await startScheduler();
+
     // Start the Express server
     app.listen(PORT, () => {
-      console.log(`BetSmoke API running on http://localhost:${PORT}`);
-      console.log(`Health check: http://localhost:${PORT}/health`);
-      console.log(`Types cache: http://localhost:${PORT}/types/status`);
-      console.log(`Teams search: http://localhost:${PORT}/teams/search/{query}`);
-      console.log(`Fixtures by date: http://localhost:${PORT}/fixtures/date/{YYYY-MM-DD}`);
-      console.log(`Standings: http://localhost:${PORT}/standings/seasons/{seasonId}`);
-      console.log(`Live scores: http://localhost:${PORT}/livescores`);
+      log.info(`BetSmoke API running on http://localhost:${PORT}`, {
+        port: PORT,
+        health: `http://localhost:${PORT}/health`,
+        typesCache: `http://localhost:${PORT}/types/status`
+      });
     });
   } catch (error) {
-    console.error('Failed to start server:', error);
+    log.error('Failed to start server', { error });
     process.exit(1);
   }
 };
 
-// Start the server
-startServer();
+// Start the server when run directly (npm start / npm run dev).
+// When imported (e.g. by an HTTP test harness), only the app is exported
+// so the caller can bind it to its own port.
+if (path.resolve(process.argv[1] || '') === fileURLToPath(import.meta.url)) {
+  startServer();
+}
+
+export { startServer };
+export default app;
@@ -0,0 +1,103 @@
+// ============================================
+// BET JOBS
+// ============================================
+// Settlement: settles logged bets (services/bets.js) once their fixtures
+// are over. Looks at fixtures with open selections that kicked off at
+// least SETTLE_AFTER_HOURS ago - long enough for a match with extra time
+// to finish - and at most SETTLE_WITHIN_DAYS ago, those with markets it
+// can grade first. Other markets are only voided with their fixture;
+// they, and anything older, are left for the user to settle.
+//
+// Closing odds: records the closing price of bet selections
+// (services/clv.js) for fixtures kicking off within CLOSING_WINDOW_MINUTES,
+// and catches up on fixtures that kicked off in the last
+// CLOSING_CATCH_UP_HOURS without one. Runs every 5 minutes, so the
+// captured price is at most 5 minutes older than the real close.
+//
+// Fixtures are done one at a time; one failing doesn't stop the others.
+// ============================================
+
+import { fixturesToSettle, settleFixtureSelections } from '../services/bets.js';
+import { fixturesNeedingClosingOdds, captureClosingOdds } from '../services/clv.js';
+import { createLogger } from '../services/logger.js';
+
+const log = createLogger('Jobs');
+
+const SETTLE_AFTER_HOURS = 2;
+const SETTLE_WITHIN_DAYS = 7;
+
+const CLOSING_WINDOW_MINUTES = 10;
+const CLOSING_CATCH_UP_HOURS = 24;
+
+// Cap on fixture fetches per run
+const MAX_FIXTURES = 40;
+
+/**
+ * Settle open bets on fixtures that have finished
+ * @returns {Promise<object>} - Per-fixture summaries
+ */
+async function settleBets() {
+  const now = Date.now();
+  const fixtureIds = await fixturesToSettle(
+    new Date(now - SETTLE_WITHIN_DAYS * 24 * 60 * 60 * 1000),
+    new Date(now - SETTLE_AFTER_HOURS * 60 * 60 * 1000),
+    MAX_FIXTURES
+  );
+  const fixtures = [];
+  const failed = [];
+
+  for (const fixtureId of fixtureIds) {
+    try {
+      fixtures.push(await settleFixtureSelections(fixtureId));
+    } catch (error) {
+      log.error(`Bet settlement failed for fixture ${fixtureId}`, { fixtureId, error });
+      failed.push(fixtureId);
+    }
+  }
+
+  if (failed.length > 0) {
+    throw new Error(`Bet settlement failed for fixture(s) ${failed.join(', ')}`);
+  }
+
+  return {
+    fixtures: fixtures.length,
+    settled: fixtures.reduce((sum, fixture) => sum + fixture.settled, 0),
+    bets: fixtures.reduce((sum, fixture) => sum + fixture.bets, 0),
+    details: fixtures
+  };
+}
+
+/**
+ * Record closing prices of bet selections on fixtures kicking off now
+ * @returns {Promise<object>} - Per-fixture summaries
+ */
+async function recordClosingOdds() {
+  const now = Date.now();
+  const fixtureIds = await fixturesNeedingClosingOdds({
+    upcomingUntil: new Date(now + CLOSING_WINDOW_MINUTES * 60 * 1000),
+    missedSince: new Date(now - CLOSING_CATCH_UP_HOURS * 60 * 60 * 1000)
+  });
+  const fixtures = [];
+  const failed = [];
+
+  for (const fixtureId of fixtureIds.slice(0, MAX_FIXTURES)) {
+    try {
+      fixtures.push(await captureClosingOdds(fixtureId));
+    } catch (error) {
+      log.error(`Closing odds capture failed for fixture ${fixtureId}`, { fixtureId, error });
+      failed.push(fixtureId);
+    }
+  }
+
+  if (failed.length > 0) {
+    throw new Error(`Closing odds capture failed for fixture(s) ${failed.join(', ')}`);
+  }
+
+  return {
+    fixtures: fixtures.length,
+    captured: fixtures.reduce((sum, fixture) => sum + fixture.captured, 0),
+    details: fixtures
+  };
+}
+
+export { settleBets, recordClosingOdds };
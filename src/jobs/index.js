@@ -0,0 +1,114 @@
+// ============================================
+// JOB DEFINITIONS
+// ============================================
+// Every background job, registered with the scheduler
+// (services/scheduler.js). Import this module once, before
+// startScheduler() runs.
+//
+// Pre-warm intervals are a few minutes shorter than the cache TTL of
+// the data they warm, so entries are replaced before they expire.
+// ============================================
+
+import { registerJob } from '../services/scheduler.js';
+import { syncTypesFromAPI } from '../services/types.js';
+import cache from '../services/cache.js';
+import {
+  prewarmFixtures,
+  prewarmStandings,
+  prewarmTopScorers,
+  prewarmPredictions
+} from './prewarm.js';
+import { syncWarehouse } from './warehouse.js';
+import { snapshotOdds } from './odds.js';
+import { settleBets, recordClosingOdds } from './bets.js';
+import { snapshotPredictions, settlePredictions } from './predictions.js';
+
+/**
+ * Interval for a pre-warm job: TTL minus a small margin
+ * @param {number} ttl - Cache TTL in seconds
+ * @returns {number} - Minutes
+ */
+const beforeExpiry = (ttl) => Math.max(5, Math.floor(ttl / 60) - 5);
+
+registerJob({
+  name: 'prewarm-fixtures',
+  description: 'Fetch fixtures for the next 3 days and the Fixtures page range',
+  schedule: { everyMinutes: beforeExpiry(cache.TTL.FIXTURE_LIST) },
+  runOnStart: true,
+  run: prewarmFixtures
+});
+
+registerJob({
+  name: 'prewarm-standings',
+  description: 'Fetch current standings of the followed competitions',
+  schedule: { everyMinutes: beforeExpiry(cache.TTL.STANDINGS) },
+  runOnStart: true,
+  run: prewarmStandings
+});
+
+registerJob({
+  name: 'prewarm-topscorers',
+  description: 'Fetch current top scorers of the followed competitions',
+  schedule: { everyMinutes: beforeExpiry(cache.TTL.STANDINGS) },
+  runOnStart: true,
+  run: prewarmTopScorers
+});
+
+registerJob({
+  name: 'prewarm-predictions',
+  description: 'Fetch predictions for followed fixtures kicking off in the next 48 hours',
+  schedule: { everyMinutes: beforeExpiry(cache.TTL.PREDICTIONS) },
+  runOnStart: true,
+  run: prewarmPredictions
+});
+
+registerJob({
+  name: 'sync-warehouse',
+  description: 'Store new and updated fixtures of the followed seasons in the fixtures warehouse, then rebuild team ratings',
+  schedule: { everyMinutes: 60 },
+  timeoutMinutes: 60,
+  run: syncWarehouse
+});
+
+registerJob({
+  name: 'snapshot-odds',
+  description: 'Record pre-match odds movement for followed fixtures kicking off soon',
+  schedule: { everyMinutes: 15 },
+  run: snapshotOdds
+});
+
+registerJob({
+  name: 'settle-bets',
+  description: 'Settle logged bets on fixtures that have finished',
+  schedule: { everyMinutes: 30 },
+  run: settleBets
+});
+
+registerJob({
+  name: 'capture-closing-odds',
+  description: 'Record the closing price of logged bets on fixtures kicking off now (for CLV)',
+  schedule: { everyMinutes: 5 },
+  run: recordClosingOdds
+});
+
+registerJob({
+  name: 'snapshot-predictions',
+  description: 'Record the pre-kick-off predictions of followed fixtures kicking off soon (for calibration)',
+  schedule: { everyMinutes: 15 },
+  run: snapshotPredictions
+});
+
+registerJob({
+  name: 'settle-predictions',
+  description: 'Grade recorded predictions of fixtures that have finished',
+  schedule: { everyMinutes: 30 },
+  run: settlePredictions
+});
+
+registerJob({
+  name: 'sync-types',
+  description: 'Sync SportsMonks types into the database (same as POST /admin/types/sync)',
+  schedule: { dailyAt: '03:00' },
+  timeoutMinutes: 30,
+  run: syncTypesFromAPI
+});
@@ -0,0 +1,50 @@
+// ============================================
+// ODDS SNAPSHOT JOB
+// ============================================
+// Records pre-match line movement (services/oddsHistory.js) for followed
+// fixtures kicking off within ODDS_SNAPSHOT_HOURS (default 72). Runs every
+// 15 minutes, so the closing price is at most 15 minutes old at kick-off.
+// Fixtures are done one at a time; one failing doesn't stop the others.
+// ============================================
+
+import { recordOddsSnapshot } from '../services/oddsHistory.js';
+import { createLogger } from '../services/logger.js';
+import { upcomingFollowedFixtures } from './prewarm.js';
+
+const log = createLogger('Jobs');
+
+const ODDS_SNAPSHOT_HOURS = parseInt(process.env.ODDS_SNAPSHOT_HOURS, 10) || 72;
+
+// Cap on odds fetches per run
+const MAX_FIXTURES = 40;
+
+/**
+ * Snapshot the odds of every upcoming followed fixture
+ * @returns {Promise<object>} - Per-fixture summaries
+ */
+async function snapshotOdds() {
+  const upcoming = await upcomingFollowedFixtures(ODDS_SNAPSHOT_HOURS, MAX_FIXTURES);
+  const fixtures = [];
+  const failed = [];
+
+  for (const fixture of upcoming) {
+    try {
+      fixtures.push(await recordOddsSnapshot(fixture.id, fixture.kickoffAt));
+    } catch (error) {
+      log.error(`Odds snapshot failed for fixture ${fixture.id}`, { fixtureId: fixture.id, error });
+      failed.push(fixture.id);
+    }
+  }
+
+  if (failed.length > 0) {
+    throw new Error(`Odds snapshot failed for fixture(s) ${failed.join(', ')}`);
+  }
+
+  return {
+    fixtures: fixtures.length,
+    recorded: fixtures.reduce((sum, fixture) => sum + fixture.recorded, 0),
+    details: fixtures
+  };
+}
+
+export { snapshotOdds };
@@ -0,0 +1,101 @@
+// ============================================
+// PREDICTION CALIBRATION JOBS
+// ============================================
+// Snapshots: records SportsMonks' predictions (services/calibration.js)
+// for followed fixtures kicking off within PREDICTION_SNAPSHOT_HOURS.
+// Each run overwrites the previous snapshot, and fixtures drop out at
+// kick-off, so the stored forecast is at most 15 minutes older than the
+// last one before kick-off.
+//
+// Settlement: grades the snapshots of fixtures that kicked off between
+// SETTLE_AFTER_HOURS and SETTLE_WITHIN_DAYS ago, as the bet settlement
+// job does (jobs/bets.js).
+//
+// Fixtures are done one at a time; one failing doesn't stop the others.
+// ============================================
+
+import {
+  recordPredictionSnapshot,
+  fixturesToGrade,
+  settlePredictionSnapshots
+} from '../services/calibration.js';
+import { createLogger } from '../services/logger.js';
+import { upcomingFollowedFixtures } from './prewarm.js';
+
+const log = createLogger('Jobs');
+
+// Only the last snapshot before kick-off counts. Fixtures this close are
+// among those the prewarm-predictions job keeps cached.
+const PREDICTION_SNAPSHOT_HOURS = 6;
+
+const SETTLE_AFTER_HOURS = 2;
+const SETTLE_WITHIN_DAYS = 7;
+
+// Cap on fixtures per run
+const MAX_FIXTURES = 40;
+
+/**
+ * Snapshot the predictions of every upcoming followed fixture
+ * @returns {Promise<object>} - Per-fixture summaries
+ */
+async function snapshotPredictions() {
+  const upcoming = await upcomingFollowedFixtures(PREDICTION_SNAPSHOT_HOURS, MAX_FIXTURES);
+  const fixtures = [];
+  const failed = [];
+
+  for (const fixture of upcoming) {
+    try {
+      fixtures.push(await recordPredictionSnapshot(fixture));
+    } catch (error) {
+      log.error(`Prediction snapshot failed for fixture ${fixture.id}`, { fixtureId: fixture.id, error });
+      failed.push(fixture.id);
+    }
+  }
+
+  if (failed.length > 0) {
+    throw new Error(`Prediction snapshot failed for fixture(s) ${failed.join(', ')}`);
+  }
+
+  return {
+    fixtures: fixtures.length,
+    recorded: fixtures.reduce((sum, fixture) => sum + fixture.recorded, 0),
+    details: fixtures
+  };
+}
+
+/**
+ * Settle prediction snapshots of fixtures that have finished
+ * @returns {Promise<object>} - Per-fixture summaries
+ */
+async function settlePredictions() {
+  const now = Date.now();
+  const fixtureIds = await fixturesToGrade(
+    new Date(now - SETTLE_WITHIN_DAYS * 24 * 60 * 60 * 1000),
+    new Date(now - SETTLE_AFTER_HOURS * 60 * 60 * 1000),
+    MAX_FIXTURES
+  );
+  const fixtures = [];
+  const failed = [];
+
+  for (const fixtureId of fixtureIds) {
+    try {
+      fixtures.push(await settlePredictionSnapshots(fixtureId));
+    } catch (error) {
+      log.error(`Prediction settlement failed for fixture ${fixtureId}`, { fixtureId, error });
+      failed.push(fixtureId);
+    }
+  }
+
+  if (failed.length > 0) {
+    throw new Error(`Prediction settlement failed for fixture(s) ${failed.join(', ')}`);
+  }
+
+  return {
+    fixtures: fixtures.length,
+    settled: fixtures.reduce((sum, fixture) => sum + fixture.settled, 0),
+    deleted: fixtures.reduce((sum, fixture) => sum + fixture.deleted, 0),
+    details: fixtures
+  };
+}
+
+export { snapshotPredictions, settlePredictions };
@@ -0,0 +1,194 @@
+// ============================================
+// CACHE PRE-WARMING JOBS
+// ============================================
+// Fetch the data the frontend asks for first (upcoming fixtures,
+// standings, top scorers, predictions) before anyone asks, so the first
+// visitor of the day doesn't wait on cold SportsMonks calls.
+//
+// Every fetch uses skipCache, so it always goes upstream and replaces the
+// entry with a fresh one - the same way an authenticated request does.
+// Calls are made one at a time to stay well inside the rate limits.
+//
+// The cache keys must match what the routes use: same function, same
+// arguments, no extra includes.
+// ============================================
+
+import {
+  getFixturesByDate,
+  getFixturesByDateRange,
+  getSeasonsByLeague,
+  getStandingsBySeason,
+  getTopScorersBySeason,
+  getFixturePredictions
+} from '../services/sportsmonks.js';
+import { createLogger } from '../services/logger.js';
+
+const log = createLogger('Jobs');
+
+// Competitions followed by the frontend (ALLOWED_LEAGUE_IDS in Fixtures.jsx):
+// Premier League, FA Cup, Carabao Cup
+const PREWARM_LEAGUE_IDS = (process.env.PREWARM_LEAGUE_IDS || '8,24,27')
+  .split(',')
+  .map(id => parseInt(id.trim(), 10))
+  .filter(Number.isInteger);
+
+// Days of fixtures-by-date to warm, starting today
+const FIXTURE_DAYS = 3;
+
+// Predictions are warmed for fixtures kicking off within this window
+const PREDICTION_HOURS = 48;
+
+// Cap on prediction fetches per run
+const MAX_PREDICTIONS = 20;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Format a date as YYYY-MM-DD (UTC)
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * The range the Fixtures page loads: today until the Sunday after next
+ * (must match getDateRange in frontend/src/pages/Fixtures.jsx)
+ * @returns {{ startDate: string, endDate: string }}
+ */
+function fixturesPageRange() {
+  const today = new Date();
+  const dayOfWeek = today.getUTCDay();
+  const daysUntilSunday = dayOfWeek === 0 ? 0 : 7 - dayOfWeek;
+
+  const secondSunday = new Date(today);
+  secondSunday.setUTCDate(today.getUTCDate() + daysUntilSunday + 7);
+
+  return { startDate: toDateString(today), endDate: toDateString(secondSunday) };
+}
+
+/**
+ * Current season ID of each followed league
+ * @returns {Promise<number[]>}
+ */
+async function currentSeasonIds() {
+  const seasonIds = [];
+
+  for (const leagueId of PREWARM_LEAGUE_IDS) {
+    const result = await getSeasonsByLeague(leagueId, { skipCache: true });
+    const current = (result.data?.seasons || []).find(season => season.is_current);
+
+    if (current) {
+      seasonIds.push(current.id);
+    } else {
+      log.warn(`No current season for league ${leagueId}`, { leagueId });
+    }
+  }
+
+  return seasonIds;
+}
+
+/**
+ * Followed fixtures kicking off within the next few hours, soonest first
+ * @param {number} hours - Window from now
+ * @param {number} limit - Maximum number of fixtures
+ * @returns {Promise<object[]>} - SportsMonks fixtures (with kickoffAt added)
+ */
+async function upcomingFollowedFixtures(hours, limit) {
+  const now = Date.now();
+  const until = now + hours * 60 * 60 * 1000;
+
+  // Served from the cache prewarm-fixtures keeps warm
+  const { startDate, endDate } = fixturesPageRange();
+  const range = await getFixturesByDateRange(startDate, endDate);
+
+  // SportsMonks times are UTC: "2024-12-26 15:00:00"
+  return (range.data || [])
+    .filter(fixture => PREWARM_LEAGUE_IDS.includes(fixture.league_id))
+    .map(fixture => ({ ...fixture, kickoffAt: new Date(fixture.starting_at?.replace(' ', 'T') + 'Z') }))
+    .filter(fixture => fixture.kickoffAt.getTime() >= now && fixture.kickoffAt.getTime() <= until)
+    .sort((a, b) => a.kickoffAt - b.kickoffAt)
+    .slice(0, limit);
+}
+
+// ============================================
+// JOBS
+// ============================================
+
+/**
+ * Warm fixture lists: the next few days, and the Fixtures page range
+ * @returns {Promise<object>} - Summary for the jobs table
+ */
+async function prewarmFixtures() {
+  const dates = [];
+
+  for (let day = 0; day < FIXTURE_DAYS; day++) {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() + day);
+    dates.push(toDateString(date));
+    await getFixturesByDate(dates[day], { skipCache: true });
+  }
+
+  const { startDate, endDate } = fixturesPageRange();
+  const range = await getFixturesByDateRange(startDate, endDate, { skipCache: true });
+
+  return { dates, range: { startDate, endDate, fixtures: range.data?.length || 0 } };
+}
+
+/**
+ * Warm the current standings of each followed league
+ * @returns {Promise<object>}
+ */
+async function prewarmStandings() {
+  const seasonIds = await currentSeasonIds();
+
+  for (const seasonId of seasonIds) {
+    await getStandingsBySeason(seasonId, { skipCache: true });
+  }
+
+  return { leagueIds: PREWARM_LEAGUE_IDS, seasonIds };
+}
+
+/**
+ * Warm the current top scorers of each followed league
+ * @returns {Promise<object>}
+ */
+async function prewarmTopScorers() {
+  const seasonIds = await currentSeasonIds();
+
+  for (const seasonId of seasonIds) {
+    await getTopScorersBySeason(seasonId, { skipCache: true });
+  }
+
+  return { leagueIds: PREWARM_LEAGUE_IDS, seasonIds };
+}
+
+/**
+ * Warm predictions for followed fixtures kicking off soon
+ * @returns {Promise<object>}
+ */
+async function prewarmPredictions() {
+  const upcoming = await upcomingFollowedFixtures(PREDICTION_HOURS, MAX_PREDICTIONS);
+
+  for (const fixture of upcoming) {
+    await getFixturePredictions(fixture.id, { skipCache: true });
+  }
+
+  return { fixtureIds: upcoming.map(fixture => fixture.id) };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export {
+  currentSeasonIds,
+  upcomingFollowedFixtures,
+  prewarmFixtures,
+  prewarmStandings,
+  prewarmTopScorers,
+  prewarmPredictions
+};
@@ -0,0 +1,54 @@
+// ============================================
+// FIXTURES WAREHOUSE JOB
+// ============================================
+// Keeps the fixtures warehouse (services/warehouse.js) up to date for:
+//   - the current season of each followed competition (PREWARM_LEAGUE_IDS)
+//   - any extra seasons in WAREHOUSE_SEASON_IDS (e.g. past seasons,
+//     for deeper head-to-head history)
+// Seasons are synced one at a time; one failing doesn't stop the others.
+// Team ratings (services/ratings.js) are then rebuilt from what's stored,
+// so they take in new results as soon as they arrive.
+// ============================================
+
+import { syncSeason } from '../services/warehouse.js';
+import { rebuildRatings } from '../services/ratings.js';
+import { createLogger } from '../services/logger.js';
+import { currentSeasonIds } from './prewarm.js';
+
+const log = createLogger('Jobs');
+
+const WAREHOUSE_SEASON_IDS = (process.env.WAREHOUSE_SEASON_IDS || '')
+  .split(',')
+  .map(id => parseInt(id.trim(), 10))
+  .filter(Number.isInteger);
+
+/**
+ * Sync every configured season, then rebuild team ratings
+ * @returns {Promise<object>} - Per-season summaries and the ratings summary
+ */
+async function syncWarehouse() {
+  const seasonIds = [...new Set([...WAREHOUSE_SEASON_IDS, ...await currentSeasonIds()])];
+  const seasons = [];
+  const failed = [];
+
+  for (const seasonId of seasonIds) {
+    try {
+      seasons.push(await syncSeason(seasonId));
+    } catch (error) {
+      log.error(`Warehouse sync failed for season ${seasonId}`, { seasonId, error });
+      failed.push({ seasonId, error: error.message });
+    }
+  }
+
+  // Even after a failure: the other seasons may have new results
+  const ratings = await rebuildRatings();
+
+  // Let the scheduler record the run as failed, with the summary in the logs
+  if (failed.length > 0) {
+    throw new Error(`Warehouse sync failed for season(s) ${failed.map(f => f.seasonId).join(', ')}`);
+  }
+
+  return { seasons, ratings };
+}
+
+export { syncWarehouse };
@@ -3,19 +3,25 @@
 // ============================================
 // This middleware protects routes by verifying JWT tokens.
 // If the token is valid, it adds the userId to the request.
-// If not, it rejects the request with a 401 error.
+// If not, it passes an UnauthorizedError on (sent as a 401 by the
+// error handler - see middleware/errorHandler.js).
 // ============================================
 
 import jwt from 'jsonwebtoken';
 import prisma from '../db.js';
+import { createLogger } from '../services/logger.js';
+import { UnauthorizedError, ForbiddenError } from '../services/errors.js';
+
+const log = createLogger('Auth');
 
 // ============================================
 // THE MIDDLEWARE FUNCTION
 // ============================================
 // Express middleware functions receive 3 parameters:
 //   - req: the incoming request object
-//   - res: the response object (to send errors)
+//   - res: the response object
 //   - next: a function to call the next middleware/route
+//           (or, called with an error, the error handler)
 // ============================================
 
 const authMiddleware = (req, res, next) => {
@@ -34,9 +40,7 @@ const authMiddleware = (req, res, next) => {
   // If there's no Authorization header, the user didn't send a token
   
   if (!authHeader) {
-    return res.status(401).json({
-      error: 'Access denied. No token provided.'
-    });
+    return next(new UnauthorizedError('Access denied. No token provided.'));
   }
 
   // -----------------------------------------
@@ -49,9 +53,7 @@ const authMiddleware = (req, res, next) => {
   
   // Validate the format: should be exactly 2 parts, first part should be "Bearer"
   if (parts.length !== 2 || parts[0] !== 'Bearer') {
-    return res.status(401).json({
-      error: 'Access denied. Invalid token format. Use: Bearer <token>'
-    });
+    return next(new UnauthorizedError('Access denied. Invalid token format. Use: Bearer <token>'));
   }
 
   const token = parts[1]; // This is the actual JWT token
@@ -87,11 +89,9 @@ const authMiddleware = (req, res, next) => {
 
   } catch (error) {
     // Token verification failed (invalid signature or expired)
-    console.error('Token verification failed:', error.message);
+    log.warn('Token verification failed', { error: error.message });
     
-    return res.status(401).json({
-      error: 'Access denied. Invalid or expired token.'
-    });
+    return next(new UnauthorizedError('Access denied. Invalid or expired token.'));
   }
 };
 
@@ -105,44 +105,32 @@ const authMiddleware = (req, res, next) => {
 //   app.post('/admin/something', authMiddleware, adminMiddleware, handler);
 // ============================================
 
+// (A database failure rejects the promise, which Express 5 passes to
+// the error handler like any thrown error.)
 const adminMiddleware = async (req, res, next) => {
-  try {
-    // Get user ID from the auth middleware
-    const userId = req.user?.userId;
-
-    if (!userId) {
-      return res.status(401).json({
-        error: 'Access denied. Not authenticated.'
-      });
-    }
-
-    // Look up the user to check isAdmin flag
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-      select: { isAdmin: true }
-    });
-
-    if (!user) {
-      return res.status(401).json({
-        error: 'Access denied. User not found.'
-      });
-    }
-
-    if (!user.isAdmin) {
-      return res.status(403).json({
-        error: 'Access denied. Admin privileges required.'
-      });
-    }
-
-    // User is admin - continue to the route handler
-    next();
+  // Get user ID from the auth middleware
+  const userId = req.user?.userId;
 
-  } catch (error) {
-    console.error('Admin check failed:', error.message);
-    return res.status(500).json({
-      error: 'Server error during admin verification.'
-    });
+  if (!userId) {
+    throw new UnauthorizedError('Access denied. Not authenticated.');
   }
+
+  // Look up the user to check isAdmin flag
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { isAdmin: true }
+  });
+
+  if (!user) {
+    throw new UnauthorizedError('Access denied. User not found.');
+  }
+
+  if (!user.isAdmin) {
+    throw new ForbiddenError('Access denied. Admin privileges required.');
+  }
+
+  // User is admin - continue to the route handler
+  next();
 };
 
 // ============================================
@@ -0,0 +1,80 @@
+// ============================================
+// ERROR HANDLER MIDDLEWARE
+// ============================================
+// Every error response has the same shape:
+//
+//   {
+//     "error": {
+//       "code": "NOT_FOUND",
+//       "message": "Fixture not found",
+//       "requestId": "3f1c..."
+//     }
+//   }
+//
+// Validation errors also carry "details" (one entry per problem).
+//
+// Routes and middleware throw (or pass to next) the typed errors from
+// services/errors.js. Anything else is a bug or an unexpected failure:
+// it is logged in full and the client only gets a generic 500.
+//
+// Mount both handlers after all routes:
+//   app.use(notFoundHandler);
+//   app.use(errorHandler);
+// ============================================
+
+import { AppError, NotFoundError, ValidationError } from '../services/errors.js';
+import { getRequestContext } from '../services/requestContext.js';
+import { createLogger } from '../services/logger.js';
+
+const log = createLogger('HTTP');
+
+/**
+ * Turn whatever was thrown into an AppError
+ * @param {any} err
+ * @returns {AppError}
+ */
+function toAppError(err) {
+  if (err instanceof AppError) return err;
+
+  // express.json() couldn't parse the body
+  if (err?.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON');
+  }
+
+  // Other body-parser errors (body too large, bad charset, ...) are safe to show
+  if (err?.expose && err.status >= 400 && err.status < 500) {
+    return new AppError(err.message, { status: err.status, code: 'BAD_REQUEST' });
+  }
+
+  return new AppError('Something went wrong. Please try again later.', { cause: err });
+}
+
+// Catch-all for requests that matched no route
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.path} not found`));
+};
+
+// Express recognises error middleware by its 4 arguments - keep "next"
+const errorHandler = (err, req, res, next) => {
+  // Too late to send an error response - let Express close the connection
+  if (res.headersSent) return next(err);
+
+  const error = toAppError(err);
+
+  if (error.status >= 500) {
+    log.error(`${req.method} ${req.originalUrl} failed`, { error: error.cause ?? error });
+  } else {
+    log.debug(`${req.method} ${req.originalUrl} -> ${error.status} ${error.code}`, { message: error.message });
+  }
+
+  res.status(error.status).json({
+    error: {
+      code: error.code,
+      message: error.message,
+      requestId: getRequestContext()?.requestId ?? res.get('X-Request-Id'),
+      ...(error.details !== undefined && { details: error.details })
+    }
+  });
+};
+
+export { notFoundHandler, errorHandler };
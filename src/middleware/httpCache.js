@@ -0,0 +1,117 @@
+// ============================================
+// HTTP CACHE MIDDLEWARE
+// ============================================
+// ETag, conditional GET and Cache-Control for responses built from the
+// data cache (services/cache.js).
+//
+// The cache reports every entry a request is served from (with its
+// freshness). On 200 GET responses built from at least one entry this
+// middleware sets:
+//
+//   - ETag: a strong ETag hashing the serialized body and the data
+//     status. Routes also mix in data that isn't in the cache (e.g. the
+//     fixtures warehouse in Postgres), so the entries alone can't tell
+//     whether the body changed - the body can
+//   - Cache-Control, from the TTL tier of the entries:
+//       anonymous:     public, max-age=<seconds until the first entry
+//                      expires>, stale-while-revalidate=<tier grace>
+//       authenticated: private, no-cache  (they always get fresh data,
+//                      so the browser must revalidate every time)
+//       degraded:      no-cache
+//
+// A request whose If-None-Match matches gets a 304 with no body - the
+// payload is serialized once to hash it, but never compressed or sent.
+//
+// Responses that don't come from the cache (notes, auth, admin) are
+// left alone.
+//
+// Must be mounted AFTER the request context middleware.
+// ============================================
+
+import { createHash } from 'node:crypto';
+import { getRequestContext } from '../services/requestContext.js';
+
+/**
+ * Build the Cache-Control header for a cached response
+ * @param {object[]} cacheUse - Entries the response was built from
+ * @param {object} context - Request context
+ * @param {boolean} authenticated - Whether the request carried a token
+ * @returns {string}
+ */
+function cacheControlFor(cacheUse, context, authenticated) {
+  if (context.dataStatus?.degraded) return 'no-cache';
+  if (authenticated) return 'private, no-cache';
+
+  const freshUntil = Math.min(...cacheUse.map(use => use.freshUntil));
+  const maxAge = Math.max(0, Math.floor((freshUntil - Date.now()) / 1000));
+  const staleGrace = Math.min(...cacheUse.map(use => use.staleGrace));
+
+  return staleGrace > 0
+    ? `public, max-age=${maxAge}, stale-while-revalidate=${staleGrace}`
+    : `public, max-age=${maxAge}`;
+}
+
+/**
+ * Build a strong ETag for a cached response
+ * @param {string} payload - Serialized response body
+ * @param {object} context - Request context
+ * @returns {string}
+ */
+function etagFor(payload, context) {
+  const hash = createHash('sha1');
+  hash.update(payload);
+  if (context.dataStatus) hash.update(`|${JSON.stringify(context.dataStatus)}`);
+  return `"${hash.digest('base64url')}"`;
+}
+
+/**
+ * Check an If-None-Match header against our ETag.
+ * Done here rather than with req.fresh: browsers add "Cache-Control: no-cache"
+ * to requests that bypass their HTTP cache (like ours, see client.js), and
+ * req.fresh treats that as "never fresh".
+ * @param {string|undefined} ifNoneMatch - Request header
+ * @param {string} etag - Our ETag
+ * @returns {boolean}
+ */
+function matchesEtag(ifNoneMatch, etag) {
+  if (!ifNoneMatch) return false;
+  if (ifNoneMatch.trim() === '*') return true;
+
+  // Weak comparison, as RFC 9110 requires for If-None-Match
+  return ifNoneMatch
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .includes(etag);
+}
+
+const httpCacheMiddleware = (req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    const context = getRequestContext();
+    const cacheUse = context?.cacheUse || [];
+
+    if (res.statusCode !== 200 || cacheUse.length === 0) {
+      return originalJson(body);
+    }
+
+    const payload = JSON.stringify(body);
+    const etag = etagFor(payload, context);
+    res.set('ETag', etag);
+    res.set('Cache-Control', cacheControlFor(cacheUse, context, !!req.headers.authorization));
+    res.vary('Authorization');
+
+    if (matchesEtag(req.get('If-None-Match'), etag)) {
+      return res.status(304).end();
+    }
+
+    // Already serialized - send it as res.json would
+    if (!res.get('Content-Type')) res.type('json');
+    return res.send(payload);
+  };
+
+  next();
+};
+
+export default httpCacheMiddleware;
@@ -9,10 +9,16 @@
 //   - livescoresLimiter: Generous limit for frequently-polled live data
 //   - adminLimiter: Tight limit on admin operations
 //
-// Returns standard RateLimit-* headers and 429 JSON on limit exceeded.
+// Returns standard RateLimit-* headers, and a RATE_LIMITED error (429)
+// on limit exceeded.
 // ============================================
 
 import rateLimit from 'express-rate-limit';
+import { createLogger } from '../services/logger.js';
+import { observeRateLimitRejection } from '../services/metrics.js';
+import { RateLimitedError } from '../services/errors.js';
+
+const log = createLogger('RateLimit');
 
 // ============================================
 // LIMITER FACTORY
@@ -25,12 +31,11 @@ const createLimiter = (windowMs, max, name) => {
     max,
     standardHeaders: true,   // Return RateLimit-* headers
     legacyHeaders: false,    // Disable X-RateLimit-* headers
-    message: {
-      error: `Rate limit exceeded. You can make ${max} requests per ${Math.round(windowMs / 60000)} minute(s). Please try again later.`
-    },
+    message: `Rate limit exceeded. You can make ${max} requests per ${Math.round(windowMs / 60000)} minute(s). Please try again later.`,
     handler: (req, res, next, options) => {
-      console.log(`[RateLimit] ${name}: Limit exceeded for ${req.ip} on ${req.originalUrl}`);
-      res.status(429).json(options.message);
+      log.warn(`${name}: Limit exceeded for ${req.ip} on ${req.originalUrl}`, { limiter: name, ip: req.ip, path: req.originalUrl });
+      observeRateLimitRejection(name);
+      next(new RateLimitedError(options.message));
     }
   });
 };
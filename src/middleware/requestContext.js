@@ -0,0 +1,83 @@
+// ============================================
+// REQUEST CONTEXT MIDDLEWARE
+// ============================================
+// Gives every request its own context (see services/requestContext.js)
+// so deeper layers like the cache can report back on the response.
+//
+// Each request gets a correlation ID (taken from an incoming X-Request-Id
+// header, or generated). It is returned in the X-Request-Id response header
+// and added to every log line written while handling the request.
+// When the response is sent, an access log line and the request
+// metrics (services/metrics.js) are recorded.
+//
+// When a service marks the data as stale or degraded (e.g. SportsMonks
+// is down and we served the last cached copy), this middleware:
+//   - adds a "dataStatus" field to JSON object responses
+//   - sets the X-Data-Status header ("stale" or "degraded")
+//
+// Must be mounted AFTER express.json(), otherwise the body parser's
+// stream callbacks run outside the context.
+// ============================================
+
+import { randomUUID } from 'node:crypto';
+import { runWithContext } from '../services/requestContext.js';
+import { createLogger } from '../services/logger.js';
+import { observeHttpRequest } from '../services/metrics.js';
+
+const log = createLogger('HTTP');
+
+// Accept a caller's request ID only if it looks like one (no log injection)
+const VALID_REQUEST_ID = /^[A-Za-z0-9\-_.]{1,100}$/;
+
+const requestContextMiddleware = (req, res, next) => {
+  const incomingId = req.get('X-Request-Id');
+
+  const context = {
+    requestId: incomingId && VALID_REQUEST_ID.test(incomingId) ? incomingId : randomUUID(),
+    // Top-level route (e.g. "/fixtures"), used to attribute SportsMonks usage
+    route: '/' + (req.path.split('/')[1] || ''),
+    dataStatus: null,
+    // Cache entries the response is built from (see middleware/httpCache.js)
+    cacheUse: []
+  };
+
+  res.set('X-Request-Id', context.requestId);
+
+  // Wrap res.json so the data status is attached right before sending
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    const isPlainObject = body && typeof body === 'object' && !Array.isArray(body);
+
+    if (context.dataStatus && isPlainObject) {
+      res.set('X-Data-Status', context.dataStatus.degraded ? 'degraded' : 'stale');
+      return originalJson({ ...body, dataStatus: context.dataStatus });
+    }
+
+    return originalJson(body);
+  };
+
+  // Access log and request metrics once the response is sent
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    const durationMs = Date.now() - startedAt;
+
+    runWithContext(context, () => {
+      log.info(`${req.method} ${req.originalUrl} ${res.statusCode}`, {
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        durationMs
+      });
+    });
+
+    // Label by router mount path (e.g. "/teams"), or the route pattern for
+    // routes defined on the app itself. Never the raw URL, which would let
+    // any request create a new time series.
+    const router = req.baseUrl || req.route?.path || 'unmatched';
+    observeHttpRequest({ router, method: req.method, status: res.statusCode, durationMs });
+  });
+
+  runWithContext(context, next);
+};
+
+export default requestContextMiddleware;
@@ -0,0 +1,257 @@
+// ============================================
+// REQUEST VALIDATION MIDDLEWARE
+// ============================================
+// Validates path params, query strings and JSON bodies against the
+// OpenAPI document (see openapi/index.js) before the route runs.
+//
+// Invalid requests get a 400 VALIDATION_ERROR listing every problem found:
+//
+//   {
+//     "error": {
+//       "code": "VALIDATION_ERROR",
+//       "message": "id must be an integer",
+//       "requestId": "...",
+//       "details": [{ "location": "path", "field": "id", "message": "id must be an integer" }]
+//     }
+//   }
+//
+// Requests are only checked, never changed: routes still read the
+// original strings from req.params / req.query.
+//
+// Mount it after the router's limiter/auth middleware, e.g.
+//   app.use('/teams', dataLimiter, validateRequest, teamsRoutes);
+// Requests that don't match any documented path pass straight through.
+// ============================================
+
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import openapiDocument from '../openapi/index.js';
+import { ValidationError } from '../services/errors.js';
+
+// Path params and query strings always arrive as strings,
+// so "11" has to count as an integer there (but not in JSON bodies)
+// (verbose keeps the failing schema on each error, for its example)
+const paramAjv = new Ajv({ allErrors: true, strict: false, verbose: true, coerceTypes: true });
+const bodyAjv = new Ajv({ allErrors: true, strict: false, verbose: true });
+addFormats(paramAjv);
+addFormats(bodyAjv);
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Replace "#/components/schemas/X" references with the schema itself,
+ * so each schema can be compiled on its own
+ * @param {any} schema
+ * @returns {any}
+ */
+function resolveRefs(schema) {
+  if (Array.isArray(schema)) return schema.map(resolveRefs);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  if (schema.$ref) {
+    const name = schema.$ref.replace('#/components/schemas/', '');
+    return resolveRefs(openapiDocument.components.schemas[name]);
+  }
+
+  return Object.fromEntries(
+    Object.entries(schema).map(([key, value]) => [key, resolveRefs(value)])
+  );
+}
+
+/**
+ * Compile the params of one location ("path" or "query") into a validator
+ * @param {object[]} parameters - OpenAPI parameters of the operation
+ * @param {string} location
+ * @returns {Function|null}
+ */
+function compileParams(parameters, location) {
+  const params = parameters.filter(param => param.in === location);
+  if (params.length === 0) return null;
+
+  return paramAjv.compile({
+    type: 'object',
+    properties: Object.fromEntries(params.map(param => [param.name, resolveRefs(param.schema)])),
+    required: params.filter(param => param.required).map(param => param.name)
+  });
+}
+
+/**
+ * Turn an ajv error into a readable message
+ * @param {object} error - ajv error object
+ * @param {string} location - "path", "query" or "body"
+ * @returns {object} - { location, field, message }
+ */
+function describeError(error, location) {
+  const path = error.instancePath.split('/').slice(1);
+  if (error.keyword === 'required') path.push(error.params.missingProperty);
+
+  const field = path.join('.');
+  const name = field || location;
+  let message;
+
+  switch (error.keyword) {
+    case 'required':
+      message = `${name} is required`;
+      break;
+    case 'type':
+      message = `${name} must be ${/^[aeiou]/.test(error.params.type) ? 'an' : 'a'} ${error.params.type}`;
+      break;
+    case 'enum':
+      message = `${name} must be one of: ${error.params.allowedValues.join(', ')}`;
+      break;
+    case 'format':
+      message = error.params.format === 'date'
+        ? `${name} must be a valid date (YYYY-MM-DD)`
+        : `${name} must be a valid ${error.params.format}`;
+      break;
+    case 'minLength':
+      message = `${name} must be at least ${error.params.limit} characters`;
+      break;
+    case 'pattern':
+      message = error.parentSchema.example
+        ? `${name} must look like "${error.parentSchema.example}"`
+        : `${name} is not in the expected format`;
+      break;
+    case 'minItems':
+      message = `${name} must have at least ${error.params.limit} item${error.params.limit === 1 ? '' : 's'}`;
+      break;
+    default:
+      message = `${name} ${error.message}`;
+  }
+
+  return { location, ...(field && { field }), message };
+}
+
+/**
+ * Run a validator and collect readable errors
+ * @param {Function|null} validator
+ * @param {any} data
+ * @param {string} location
+ * @returns {object[]}
+ */
+function check(validator, data, location) {
+  if (!validator || validator(data)) return [];
+  return validator.errors.map(error => describeError(error, location));
+}
+
+// ============================================
+// ROUTE TABLE
+// ============================================
+// Built once at startup. Literal segments are tried before params, so
+// "/teams/search/{query}" wins over "/teams/{id}/stats", as in Express.
+
+const routes = [];
+
+for (const [specPath, pathItem] of Object.entries(openapiDocument.paths)) {
+  const segments = specPath.split('/').slice(1);
+  const paramNames = [];
+
+  const pattern = segments.map(segment => {
+    const param = segment.match(/^\{(.+)\}$/);
+    if (param) {
+      paramNames.push(param[1]);
+      return '/([^/]+)';
+    }
+    return '/' + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+
+  for (const method of METHODS) {
+    const operation = pathItem[method];
+    if (!operation) continue;
+
+    const parameters = operation.parameters || [];
+    const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+
+    routes.push({
+      method: method.toUpperCase(),
+      regex: new RegExp(`^${pattern}/?$`),
+      segments,
+      paramNames,
+      validatePath: compileParams(parameters, 'path'),
+      validateQuery: compileParams(parameters, 'query'),
+      validateBody: bodySchema ? bodyAjv.compile(resolveRefs(bodySchema)) : null,
+      bodyRequired: !!operation.requestBody?.required
+    });
+  }
+}
+
+const isParam = (segment) => segment.startsWith('{');
+
+// Paths with different segment counts can never match the same URL
+routes.sort((a, b) => {
+  if (a.segments.length !== b.segments.length) {
+    return a.segments.length - b.segments.length;
+  }
+  for (let i = 0; i < a.segments.length; i++) {
+    if (isParam(a.segments[i]) !== isParam(b.segments[i])) {
+      return isParam(a.segments[i]) ? 1 : -1;
+    }
+  }
+  return 0;
+});
+
+/**
+ * Find the documented operation for a request
+ * @param {string} method - HTTP method
+ * @param {string} path - Full path without the query string
+ * @returns {{ route: object, params: object }|null}
+ */
+function findRoute(method, path) {
+  for (const route of routes) {
+    if (route.method !== method) continue;
+
+    const match = path.match(route.regex);
+    if (!match) continue;
+
+    const params = {};
+    route.paramNames.forEach((name, i) => {
+      try {
+        params[name] = decodeURIComponent(match[i + 1]);
+      } catch {
+        params[name] = match[i + 1];
+      }
+    });
+
+    return { route, params };
+  }
+  return null;
+}
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+const validateRequest = (req, res, next) => {
+  const found = findRoute(req.method, req.baseUrl + req.path);
+  if (!found) return next();
+
+  const { route, params } = found;
+
+  // Validate copies - coercion must not leak into req
+  const errors = [
+    ...check(route.validatePath, { ...params }, 'path'),
+    ...check(route.validateQuery, { ...req.query }, 'query')
+  ];
+
+  if (route.validateBody) {
+    if (req.body === undefined) {
+      if (route.bodyRequired) {
+        errors.push({ location: 'body', message: 'A JSON request body is required' });
+      }
+    } else {
+      errors.push(...check(route.validateBody, req.body, 'body'));
+    }
+  }
+
+  if (errors.length > 0) {
+    return next(new ValidationError(errors[0].message, errors));
+  }
+
+  next();
+};
+
+export default validateRequest;
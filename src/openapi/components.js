@@ -0,0 +1,814 @@
+// ============================================
+// OPENAPI COMPONENTS & HELPERS
+// ============================================
+// Shared pieces of the OpenAPI document (see openapi/index.js):
+//   - Reusable schemas (errors, users, notes, SportsMonks objects)
+//   - Parameter builders (IDs, dates, search queries, includes)
+//   - operation() to build a path operation with the standard
+//     error responses, so each paths/*.js file stays short
+//
+// SportsMonks objects are passed through as-is, so their schemas only
+// list the fields we rely on and allow anything else.
+// ============================================
+
+// ============================================
+// ENUMS (same values as routes/auth.js, routes/notes.js and the BetStatus,
+// StakingPlan and BankrollTransactionType enums of the Prisma schema)
+// ============================================
+
+const ODDS_FORMATS = ['AMERICAN', 'DECIMAL', 'FRACTIONAL'];
+const DATE_FORMATS = ['US', 'EU'];
+const TEMPERATURE_UNITS = ['FAHRENHEIT', 'CELSIUS'];
+const CONTEXT_TYPES = ['team', 'fixture', 'player', 'league', 'betting', 'general'];
+const BET_STATUSES = ['OPEN', 'WON', 'LOST', 'VOID'];
+const STAKING_PLANS = ['FLAT', 'PERCENTAGE', 'KELLY'];
+const TRANSACTION_TYPES = ['DEPOSIT', 'WITHDRAWAL'];
+
+// ============================================
+// SCHEMA HELPERS
+// ============================================
+
+/**
+ * Reference a schema in components.schemas
+ * @param {string} name - Schema name (e.g. "Note")
+ * @returns {object}
+ */
+export const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Object schema (extra properties are allowed)
+ * @param {object} properties - Property schemas
+ * @param {string[]} required - Required property names
+ * @returns {object}
+ */
+export const object = (properties, required = []) => ({
+  type: 'object',
+  properties,
+  ...(required.length > 0 && { required })
+});
+
+/**
+ * Array schema
+ * @param {object} items - Item schema
+ * @returns {object}
+ */
+export const array = (items) => ({ type: 'array', items });
+
+// Common property schemas
+export const string = { type: 'string' };
+export const integer = { type: 'integer' };
+export const number = { type: 'number' };
+export const boolean = { type: 'boolean' };
+export const dateTime = { type: 'string', format: 'date-time' };
+export const message = { type: 'string', description: 'Human-readable summary' };
+
+/**
+ * SportsMonks object passed through unchanged
+ * @param {string} description
+ * @param {object} properties - Fields we rely on
+ * @returns {object}
+ */
+const sportsMonks = (description, properties = {}) => ({
+  type: 'object',
+  description,
+  properties: { id: integer, ...properties },
+  additionalProperties: true
+});
+
+// ============================================
+// PARAMETER BUILDERS
+// ============================================
+
+/**
+ * Numeric ID path parameter (SportsMonks IDs are positive integers)
+ * @param {string} name - Parameter name as in the Express route
+ * @param {string} description
+ * @returns {object}
+ */
+export const idParam = (name, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'integer', minimum: 1 }
+});
+
+/**
+ * Date path parameter (YYYY-MM-DD)
+ * @param {string} name
+ * @param {string} description
+ * @returns {object}
+ */
+export const dateParam = (name, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'string', format: 'date', example: '2024-12-26' }
+});
+
+/**
+ * Optional date query parameter (YYYY-MM-DD)
+ * @param {string} name
+ * @param {string} description
+ * @returns {object}
+ */
+export const dateQuery = (name, description) => ({
+  name,
+  in: 'query',
+  required: false,
+  description,
+  schema: { type: 'string', format: 'date', example: '2024-12-26' }
+});
+
+// Search term path parameter - SportsMonks needs at least 2 characters
+export const searchParam = {
+  name: 'query',
+  in: 'path',
+  required: true,
+  description: 'Search term (at least 2 characters)',
+  schema: { type: 'string', minLength: 2 }
+};
+
+// ?include=odds,sidelined on fixture routes (unknown values are ignored)
+export const includeQuery = {
+  name: 'include',
+  in: 'query',
+  required: false,
+  description: 'Optional extra data, comma-separated: odds, sidelined',
+  schema: { type: 'string', pattern: '^[A-Za-z]+(,[A-Za-z]+)*$', example: 'odds,sidelined' }
+};
+
+/**
+ * Comma-separated ID list query parameter (e.g. ?markets=1,14)
+ * @param {string} name
+ * @param {string} description
+ * @returns {object}
+ */
+export const idListQuery = (name, description) => ({
+  name,
+  in: 'query',
+  required: false,
+  description,
+  schema: { type: 'string', pattern: '^[1-9][0-9]*(,[1-9][0-9]*)*$', example: '1,14' }
+});
+
+// ============================================
+// OPERATION BUILDER
+// ============================================
+
+const ERROR_RESPONSES = {
+  400: { description: 'Invalid request', content: { 'application/json': { schema: ref('ValidationError') } } },
+  401: { description: 'Missing or invalid token', content: { 'application/json': { schema: ref('Error') } } },
+  403: { description: 'Not allowed', content: { 'application/json': { schema: ref('Error') } } },
+  404: { description: 'Not found', content: { 'application/json': { schema: ref('Error') } } },
+  409: { description: 'Conflicts with the current state', content: { 'application/json': { schema: ref('Error') } } },
+  429: { description: 'Rate limit exceeded', content: { 'application/json': { schema: ref('Error') } } },
+  500: { description: 'Unexpected server error', content: { 'application/json': { schema: ref('Error') } } },
+  502: { description: 'SportsMonks returned an unusable response', content: { 'application/json': { schema: ref('Error') } } },
+  503: { description: 'SportsMonks unavailable and nothing cached', content: { 'application/json': { schema: ref('Error') } } }
+};
+
+// Who can call an operation
+const SECURITY = {
+  public: [],
+  optional: [{}, { bearerAuth: [] }],   // Anonymous or logged in (logged in skips the cache)
+  user: [{ bearerAuth: [] }],
+  admin: [{ bearerAuth: [] }]
+};
+
+/**
+ * Build an OpenAPI operation
+ *
+ * @param {object} options
+ * @param {string} options.tag - Group in the explorer (e.g. "Teams")
+ * @param {string} options.summary - One line description
+ * @param {string} [options.description] - Longer notes
+ * @param {string} [options.auth] - "public" (default), "optional", "user" or "admin"
+ * @param {object[]} [options.parameters] - Path and query parameters
+ * @param {object} [options.body] - JSON request body schema
+ * @param {object} [options.response] - JSON response schema
+ * @param {number} [options.status] - Success status code (default 200)
+ * @param {number[]} [options.errors] - Extra error codes (400/401/403/429/500, and
+ *   404/502/503 for SportsMonks data routes, are added as needed)
+ * @returns {object}
+ */
+export function operation({
+  tag,
+  summary,
+  description,
+  auth = 'public',
+  parameters = [],
+  body,
+  response = ref('Object'),
+  status = 200,
+  errors = []
+}) {
+  const errorCodes = new Set(errors);
+  if (parameters.length > 0 || body) errorCodes.add(400);
+  if (auth === 'user' || auth === 'admin') errorCodes.add(401);
+  if (auth === 'admin') errorCodes.add(403);
+  // Optional auth means a SportsMonks data route: any of them can hit
+  // a missing SportsMonks resource or an upstream outage
+  if (auth === 'optional') [404, 502, 503].forEach(code => errorCodes.add(code));
+  errorCodes.add(429);
+  errorCodes.add(500);
+
+  return {
+    tags: [tag],
+    summary,
+    ...(description && { description }),
+    ...(auth !== 'public' && { security: SECURITY[auth] }),
+    ...(parameters.length > 0 && { parameters }),
+    ...(body && {
+      requestBody: { required: true, content: { 'application/json': { schema: body } } }
+    }),
+    responses: {
+      [status]: { description: 'Success', content: { 'application/json': { schema: response } } },
+      ...Object.fromEntries([...errorCodes].sort().map(code => [code, ERROR_RESPONSES[code]]))
+    }
+  };
+}
+
+// Scores of a set of settled prediction forecasts (null when there are
+// none), shared by CalibrationMarket and CalibrationCompetition
+const CALIBRATION_STATS = {
+  predictions: { type: 'integer', description: 'Settled forecasts' },
+  brier: { type: ['number', 'null'], description: 'Mean Brier score, lower = better (1X2: 0-2, yes/no: 0-1)' },
+  logLoss: { type: ['number', 'null'], description: 'Mean -ln(p of the outcome that happened), lower = better' },
+  accuracy: { type: ['number', 'null'], description: 'Share where the most likely outcome happened (0-1)' },
+  calibrationError: { type: ['number', 'null'], description: 'Bucket-weighted mean |forecast - observed|' },
+  baseline: {
+    type: ['object', 'null'],
+    description: 'Scores of always forecasting the sample\'s own outcome frequencies',
+    properties: { brier: number, logLoss: number }
+  },
+  buckets: array(ref('CalibrationBucket'))
+};
+
+// ============================================
+// COMPONENTS
+// ============================================
+
+export const components = {
+  securitySchemes: {
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      bearerFormat: 'JWT',
+      description: 'Token from POST /auth/login'
+    },
+    metricsToken: {
+      type: 'http',
+      scheme: 'bearer',
+      description: 'METRICS_TOKEN (only when set on the server)'
+    }
+  },
+
+  schemas: {
+    // Catch-all for loosely shaped responses
+    Object: { type: 'object', additionalProperties: true },
+
+    // Every error response (see middleware/errorHandler.js)
+    Error: object({
+      error: object({
+        code: {
+          type: 'string',
+          description: 'Stable, machine-readable',
+          enum: [
+            'VALIDATION_ERROR', 'BAD_REQUEST', 'UNAUTHORIZED', 'FORBIDDEN', 'NOT_FOUND', 'CONFLICT',
+            'RATE_LIMITED', 'INTERNAL_ERROR', 'DATABASE_UNAVAILABLE', 'UPSTREAM_ERROR', 'UPSTREAM_UNAVAILABLE'
+          ]
+        },
+        message: { type: 'string', description: 'Readable, safe to show to users' },
+        requestId: { type: 'string', description: 'Same as the X-Request-Id header' },
+        details: { description: 'Extra data for some codes' }
+      }, ['code', 'message'])
+    }, ['error']),
+
+    ValidationError: object({
+      error: object({
+        code: { type: 'string', const: 'VALIDATION_ERROR' },
+        message: { type: 'string', description: 'First problem found, readable' },
+        requestId: string,
+        details: {
+          description: 'Every problem found (business rules may send an object instead)',
+          oneOf: [
+            array(object({
+              location: { type: 'string', enum: ['path', 'query', 'body'] },
+              field: string,
+              message: string
+            }, ['location', 'message'])),
+            { type: 'object' }
+          ]
+        }
+      }, ['code', 'message'])
+    }, ['error']),
+
+    // Background job with its last run (see services/scheduler.js)
+    Job: object({
+      name: string,
+      description: string,
+      schedule: { type: 'string', example: 'every 25 minutes' },
+      running: boolean,
+      nextRunAt: { type: ['string', 'null'], format: 'date-time' },
+      lastRunAt: { type: ['string', 'null'], format: 'date-time' },
+      lastFinishedAt: { type: ['string', 'null'], format: 'date-time' },
+      lastStatus: { type: ['string', 'null'], enum: ['success', 'error', null] },
+      lastTrigger: { type: ['string', 'null'], enum: ['schedule', 'manual', null] },
+      lastDurationMs: { type: ['integer', 'null'] },
+      lastResult: { description: 'Summary returned by the job' },
+      lastError: { type: ['string', 'null'] },
+      runCount: integer,
+      failureCount: integer
+    }, ['name', 'schedule', 'running']),
+
+    // Where a computed response got its fixtures (see services/warehouse.js)
+    DataSource: {
+      type: 'string',
+      enum: ['warehouse', 'sportsmonks'],
+      description: '"warehouse" = local fixtures store in Postgres, "sportsmonks" = fetched from the API'
+    },
+
+    DataStatus: object({
+      stale: boolean,
+      degraded: boolean,
+      cachedAt: dateTime,
+      reason: string
+    }),
+
+    // -----------------------------------------
+    // USERS & NOTES (our database)
+    // -----------------------------------------
+
+    User: object({
+      id: string,
+      email: { type: 'string', format: 'email' },
+      oddsFormat: { type: 'string', enum: ODDS_FORMATS },
+      timezone: string,
+      dateFormat: { type: 'string', enum: DATE_FORMATS },
+      temperatureUnit: { type: 'string', enum: TEMPERATURE_UNITS },
+      unitSize: { type: 'number', description: 'Default stake of one unit (flat staking)' },
+      hasSecurityQuestion: boolean,
+      isAdmin: boolean,
+      createdAt: dateTime
+    }, ['id', 'email']),
+
+    ContextType: { type: 'string', enum: CONTEXT_TYPES },
+
+    NoteLinkInput: object({
+      contextType: ref('ContextType'),
+      contextId: { type: ['string', 'null'], description: 'SportsMonks ID (optional)' },
+      label: { type: ['string', 'null'], description: 'Human-readable name (e.g. "Arsenal")' },
+      isPrimary: boolean
+    }, ['contextType']),
+
+    NoteLink: object({
+      id: string,
+      contextType: ref('ContextType'),
+      contextId: string,
+      label: { type: ['string', 'null'] },
+      isPrimary: boolean
+    }),
+
+    Note: object({
+      id: string,
+      title: string,
+      content: string,
+      links: array(ref('NoteLink')),
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }, ['id', 'title', 'content']),
+
+    // -----------------------------------------
+    // BETS (our database, see services/bets.js)
+    // -----------------------------------------
+
+    BetStatus: { type: 'string', enum: BET_STATUSES },
+
+    BetSelectionInput: object({
+      fixtureId: { type: 'integer', minimum: 1 },
+      marketId: { type: 'integer', minimum: 1 },
+      marketName: string,
+      selectionKey: { type: 'string', minLength: 1, description: 'Selection key of the odds tree, e.g. "1", "X", "over_2.5", "yes"' },
+      selectionLabel: string,
+      odds: { type: 'number', exclusiveMinimum: 1, description: 'Decimal odds taken' }
+    }, ['fixtureId', 'marketId', 'selectionKey', 'odds']),
+
+    BetSelection: object({
+      id: string,
+      fixtureId: integer,
+      fixtureName: string,
+      kickoffAt: dateTime,
+      marketId: integer,
+      marketName: { type: ['string', 'null'] },
+      selectionKey: string,
+      selectionLabel: { type: ['string', 'null'] },
+      leagueId: { type: ['integer', 'null'] },
+      leagueName: { type: ['string', 'null'] },
+      odds: number,
+      closingOdds: { type: ['number', 'null'], description: 'Last price before kick-off (null until captured)' },
+      closingBookmakerId: { type: ['integer', 'null'], description: 'Bookmaker of the closing price: the bet\'s own when it priced the selection, else the best' },
+      closingRecordedAt: { type: ['string', 'null'], format: 'date-time' },
+      clv: { type: ['number', 'null'], description: 'Closing line value: odds / closingOdds - 1, in percent' },
+      status: ref('BetStatus'),
+      settledAt: { type: ['string', 'null'], format: 'date-time' },
+      resultInfo: { type: ['string', 'null'], description: 'e.g. "Full time 2-1", "Fixture cancelled"' }
+    }, ['id', 'fixtureId', 'marketId', 'selectionKey', 'odds', 'status']),
+
+    Bet: object({
+      id: string,
+      type: { type: 'string', enum: ['single', 'multiple'] },
+      stake: number,
+      odds: { type: 'number', description: 'Product of the selections\' odds' },
+      bookmakerId: { type: ['integer', 'null'] },
+      bookmakerName: { type: ['string', 'null'] },
+      bankrollId: { type: ['string', 'null'], format: 'uuid' },
+      placedAt: dateTime,
+      status: ref('BetStatus'),
+      returns: { type: ['number', 'null'], description: 'Paid out (null while open)' },
+      profit: { type: ['number', 'null'], description: 'Returns minus stake (null while open)' },
+      settledAt: { type: ['string', 'null'], format: 'date-time' },
+      notes: { type: ['string', 'null'] },
+      clv: { type: ['number', 'null'], description: 'Bet odds against the product of the closing odds, in percent (null until every selection has one)' },
+      selections: array(ref('BetSelection')),
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }, ['id', 'type', 'stake', 'odds', 'status', 'selections']),
+
+    BetSummary: object({
+      total: integer,
+      open: integer,
+      won: integer,
+      lost: integer,
+      void: integer,
+      openStake: { type: 'number', description: 'Stake on open bets' },
+      staked: { type: 'number', description: 'Stake on settled bets' },
+      returns: number,
+      profit: number,
+      roi: { type: ['number', 'null'], description: 'Profit / staked, in percent (null before the first settled bet)' }
+    }),
+
+    StakingPlan: { type: 'string', enum: STAKING_PLANS },
+
+    BankrollTransaction: object({
+      id: string,
+      bankrollId: string,
+      type: { type: 'string', enum: TRANSACTION_TYPES },
+      amount: number,
+      occurredAt: dateTime,
+      note: { type: ['string', 'null'] },
+      createdAt: dateTime
+    }, ['id', 'type', 'amount', 'occurredAt']),
+
+    Bankroll: object({
+      id: string,
+      name: string,
+      stakingPlan: ref('StakingPlan'),
+      unitSize: { type: 'number', description: 'Size of one unit (flat plans)' },
+      usesDefaultUnitSize: { type: 'boolean', description: 'unitSize is the user\'s default' },
+      stakePercent: { type: 'number', description: 'Share of the balance (percentage plans)' },
+      kellyFraction: { type: 'number', description: 'Share of the full Kelly stake (Kelly plans)' },
+      maxStakePercent: { type: ['number', 'null'], description: 'Cap on suggested stakes, in % of the balance' },
+      betCount: integer,
+      deposited: number,
+      withdrawn: number,
+      profit: { type: 'number', description: 'Profit of settled bets' },
+      balance: { type: 'number', description: 'Deposited - withdrawn + profit' },
+      openStake: { type: 'number', description: 'Stake on open bets' },
+      available: { type: 'number', description: 'Balance - open stake' },
+      transactions: { ...array(ref('BankrollTransaction')), description: 'Newest first (single bankroll only)' },
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }, ['id', 'name', 'stakingPlan', 'balance', 'available']),
+
+    // Average CLV of a group of selections
+    ClvStats: object({
+      id: { type: ['integer', 'null'], description: 'League, market or bookmaker ID (in breakdowns)' },
+      name: { type: 'string', description: 'In breakdowns' },
+      selections: integer,
+      averageClv: { type: ['number', 'null'], description: 'In percent' },
+      beatClosingRate: { type: ['number', 'null'], description: 'Share of selections with positive CLV, in percent' }
+    }, ['selections', 'averageClv']),
+
+    // Results of a group of settled bets (see services/betAnalytics.js)
+    BetAnalyticsStats: object({
+      id: { type: ['integer', 'null'], description: 'In breakdowns: league, market or bookmaker ID, odds band (1 = lowest) or ISO weekday (1 = Monday)' },
+      name: { type: 'string', description: 'In breakdowns' },
+      bets: { type: 'integer', description: 'Settled bets' },
+      won: integer,
+      lost: integer,
+      void: integer,
+      staked: number,
+      returns: number,
+      profit: number,
+      roi: { type: ['number', 'null'], description: 'Profit / staked, in percent' },
+      yield: { type: ['number', 'null'], description: 'Average profit / stake per bet (level stakes), in percent' },
+      strikeRate: { type: ['number', 'null'], description: 'Won / (won + lost), in percent' },
+      averageOdds: { type: ['number', 'null'], description: 'Of won and lost bets' },
+      averageStake: { type: ['number', 'null'], description: 'Overall only' },
+      open: { type: 'integer', description: 'Open bets, not in the figures (overall only)' },
+      openStake: { type: 'number', description: 'Overall only' }
+    }, ['bets', 'profit', 'roi']),
+
+    // -----------------------------------------
+    // ODDS TREE (normalized odds, see services/odds.js)
+    // -----------------------------------------
+
+    OddsPrice: object({
+      oddId: integer,
+      bookmakerId: integer,
+      value: { type: ['string', 'null'], description: 'Decimal odds as sent by SportsMonks ("2.10")' },
+      decimal: { type: ['number', 'null'] },
+      fractional: { type: ['string', 'null'] },
+      american: { type: ['string', 'integer', 'null'] },
+      probability: { type: ['string', 'null'], description: 'Implied probability, e.g. "47.62%"' },
+      stopped: boolean,
+      updatedAt: { type: ['string', 'null'], description: 'Last bookmaker update (UTC)' }
+    }, ['bookmakerId', 'value']),
+
+    OddsMarket: object({
+      id: integer,
+      name: string,
+      bookmakerCount: integer,
+      selections: array(object({
+        key: { type: 'string', description: 'Same for every bookmaker, e.g. "1", "X", "over_2.5", "yes"' },
+        label: string,
+        name: { type: ['string', 'null'] },
+        total: { type: ['string', 'null'] },
+        handicap: { type: ['string', 'null'] },
+        best: {
+          description: 'Highest available price (null if every price is stopped)',
+          oneOf: [ref('OddsPrice'), { type: 'null' }]
+        },
+        prices: array(ref('OddsPrice'))
+      }, ['key', 'label', 'prices']))
+    }, ['id', 'name', 'selections']),
+
+    OddsBookmaker: object({ id: integer, name: string }, ['id', 'name']),
+
+    // One book (complete set of outcomes) with margins and fair odds
+    FairOddsBook: object({
+      line: { type: ['string', 'null'], description: 'Total or home handicap; null for markets without lines' },
+      selections: array(object({ key: string, label: string }, ['key', 'label'])),
+      bookmakers: array(object({
+        bookmakerId: integer,
+        bookmakerName: string,
+        overround: { type: 'number', description: 'Margin in percent' },
+        method: { type: 'string', description: 'Method used (proportional when the chosen one has no solution)' },
+        prices: array(object({
+          key: string,
+          decimal: number,
+          impliedProbability: number,
+          fairProbability: number,
+          fairOdds: number
+        }))
+      }, ['bookmakerId', 'overround', 'prices'])),
+      consensus: {
+        description: 'Average fair line across bookmakers (null if none prices the whole book)',
+        oneOf: [
+          object({
+            bookmakerCount: integer,
+            averageOverround: number,
+            selections: array(object({
+              key: string,
+              fairProbability: number,
+              fairOdds: number,
+              best: { type: ['object', 'null'], properties: { bookmakerId: integer, decimal: number } },
+              edge: { type: ['number', 'null'], description: 'Expected return of the best price against the consensus, in percent' }
+            }))
+          }),
+          { type: 'null' }
+        ]
+      }
+    }, ['line', 'selections', 'bookmakers']),
+
+    // Surebet: best prices of every outcome of a book, across bookmakers
+    Arbitrage: object({
+      fixtureId: { type: 'integer', description: 'Only in slate scans' },
+      fixtureName: { type: 'string', description: 'Only in slate scans' },
+      startingAt: { type: 'string', description: 'Only in slate scans: kick-off (UTC), as SportsMonks sends it' },
+      league: object({ id: integer, name: { type: ['string', 'null'] } }),
+      marketId: integer,
+      marketName: string,
+      line: { type: ['string', 'null'], description: 'Total for Over/Under; null otherwise' },
+      impliedTotal: { type: 'number', description: 'Sum of the implied probabilities of the best prices (below 1)' },
+      profitMargin: { type: 'number', description: 'Guaranteed return in percent' },
+      bankroll: number,
+      payout: { type: 'number', description: 'Return whichever outcome wins' },
+      profit: number,
+      legs: array(object({
+        key: string,
+        label: string,
+        bookmakerId: integer,
+        bookmakerName: string,
+        decimal: number,
+        stake: { type: 'number', description: 'Share of the bankroll to put on this outcome' },
+        updatedAt: { type: ['string', 'null'], description: 'Last bookmaker update of the price' }
+      }, ['key', 'bookmakerId', 'decimal', 'stake']))
+    }, ['marketId', 'impliedTotal', 'profitMargin', 'payout', 'legs']),
+
+    // -----------------------------------------
+    // ODDS HISTORY (our snapshots, see services/oddsHistory.js)
+    // -----------------------------------------
+
+    OddsPoint: object({
+      value: { type: 'number', description: 'Decimal odds' },
+      probability: { type: ['number', 'null'], description: 'Implied probability in percent' },
+      recordedAt: dateTime
+    }, ['value', 'recordedAt']),
+
+    OddsHistoryMarket: object({
+      marketId: integer,
+      marketDescription: { type: ['string', 'null'] },
+      selections: array(object({
+        label: string,
+        name: { type: ['string', 'null'] },
+        total: { type: ['string', 'null'] },
+        handicap: { type: ['string', 'null'] },
+        bookmakers: array(object({
+          bookmakerId: integer,
+          opening: ref('OddsPoint'),
+          latest: ref('OddsPoint'),
+          closing: {
+            description: 'Last price before kick-off (null until the match has kicked off)',
+            oneOf: [ref('OddsPoint'), { type: 'null' }]
+          },
+          points: array(ref('OddsPoint'))
+        }, ['bookmakerId', 'points']))
+      }, ['label', 'bookmakers']))
+    }, ['marketId', 'selections']),
+
+    // -----------------------------------------
+    // VALUE BETS (predictions vs. odds, see services/value.js)
+    // -----------------------------------------
+
+    ValueBet: object({
+      fixtureId: integer,
+      fixtureName: string,
+      startingAt: { type: 'string', description: 'Kick-off (UTC), as SportsMonks sends it' },
+      league: object({ id: integer, name: { type: ['string', 'null'] } }),
+      marketId: integer,
+      marketName: string,
+      selection: object({ key: string, label: string, total: { type: ['string', 'null'] } }),
+      best: object({ bookmakerId: integer, bookmakerName: string, decimal: number }),
+      bookmakerCount: { type: 'integer', description: 'Bookmakers with a live price for the selection' },
+      modelProbability: { type: 'number', description: 'SportsMonks prediction, as a fraction' },
+      impliedProbability: { type: 'number', description: '1 / best decimal price' },
+      edge: { type: 'number', description: 'Model minus implied probability, in percentage points' },
+      expectedValue: { type: 'number', description: 'Expected return of a 1 unit stake at the best price, in percent' }
+    }, ['fixtureId', 'marketId', 'selection', 'best', 'edge', 'expectedValue']),
+
+    // -----------------------------------------
+    // MATCH MODEL (ours, see services/matchModel.js)
+    // -----------------------------------------
+
+    // Fitted strengths: attack 1 = league average; defence 1 = average,
+    // higher concedes more
+    ModelTeam: object({
+      id: integer,
+      name: string,
+      attack: number,
+      defence: number,
+      fixtures: { type: 'integer', description: 'Finished fixtures of the team the model was fitted on' }
+    }, ['id', 'attack', 'defence']),
+
+    MatchModel: object({
+      fixtureId: integer,
+      fixtureName: string,
+      startingAt: string,
+      model: object({
+        name: { type: 'string', enum: ['dixon-coles'] },
+        seasonId: integer,
+        source: ref('DataSource'),
+        fixtures: { type: 'integer', description: 'Finished fixtures fitted on (all before kick-off)' },
+        from: dateTime,
+        to: dateTime,
+        halfLifeDays: { type: 'number', description: 'A fixture this long before kick-off weighs half' },
+        homeAdvantage: { type: 'number', description: 'Home goals multiplier' },
+        rho: { type: 'number', description: 'Dixon-Coles low-score dependence' },
+        averageGoals: object({ home: number, away: number })
+      }, ['fixtures', 'homeAdvantage', 'rho']),
+      teams: object({ home: ref('ModelTeam'), away: ref('ModelTeam') }, ['home', 'away']),
+      expectedGoals: object({ home: number, away: number }, ['home', 'away']),
+      markets: object({
+        fulltimeResult: object({ home: number, draw: number, away: number }, ['home', 'draw', 'away']),
+        overUnder: array(object({ line: number, over: number, under: number }, ['line', 'over', 'under'])),
+        btts: object({ yes: number, no: number }, ['yes', 'no']),
+        correctScore: object({
+          matrix: {
+            ...array(array(number)),
+            description: 'matrix[homeGoals][awayGoals], 0-5 goals a side'
+          },
+          other: { type: 'number', description: 'Any score outside the matrix' },
+          mostLikely: array(object({ score: string, home: integer, away: integer, probability: number }))
+        }, ['matrix', 'mostLikely']),
+        asianHandicap: array(object({
+          line: { type: 'number', description: 'Home handicap' },
+          homeWin: number,
+          push: number,
+          awayWin: number,
+          homeOdds: { type: ['number', 'null'], description: 'Fair decimal odds (zero expected profit)' },
+          awayOdds: { type: ['number', 'null'] }
+        }, ['line', 'homeWin', 'awayWin']))
+      }, ['fulltimeResult', 'overUnder', 'btts', 'correctScore', 'asianHandicap'])
+    }, ['fixtureId', 'model', 'teams', 'expectedGoals', 'markets']),
+
+    // -----------------------------------------
+    // TEAM RATINGS (Elo, see services/ratings.js)
+    // -----------------------------------------
+
+    // Rating-implied chances of each result, in percent
+    RatingProbabilities: object({ home: number, draw: number, away: number }, ['home', 'draw', 'away']),
+
+    // How one fixture changed a team's rating
+    TeamRatingChange: object({
+      fixtureId: integer,
+      playedAt: dateTime,
+      leagueId: integer,
+      leagueName: { type: ['string', 'null'] },
+      seasonId: integer,
+      location: { type: 'string', enum: ['home', 'away'] },
+      opponent: object({ id: integer, name: string, rating: { type: 'number', description: 'Before kick-off' } }),
+      goalsFor: { type: 'integer', description: 'After extra time' },
+      goalsAgainst: integer,
+      result: { type: 'string', enum: ['W', 'D', 'L'], description: 'A penalty shootout is a draw' },
+      expected: { type: 'number', description: 'Expected score before kick-off, in percent (win 100, draw 50)' },
+      ratingBefore: number,
+      ratingAfter: number,
+      change: number
+    }, ['fixtureId', 'playedAt', 'result', 'ratingBefore', 'ratingAfter', 'change']),
+
+    // One side of a fixture
+    FixtureRatingSide: object({
+      teamId: integer,
+      name: { type: ['string', 'null'] },
+      rating: { type: 'number', description: 'Before kick-off for a played fixture, else current' },
+      provisional: { ...boolean, description: 'Not rated yet: the starting rating of its division' },
+      fixtures: { type: 'integer', description: 'Rated fixtures played (fixtures not played yet)' },
+      ratingAfter: { type: 'number', description: 'Played fixtures only' },
+      change: { type: 'number', description: 'Played fixtures only' }
+    }, ['teamId', 'rating', 'provisional']),
+
+    FixtureRatings: object({
+      fixtureId: integer,
+      startingAt: dateTime,
+      played: { ...boolean, description: 'Already rated: ratings are from before kick-off' },
+      homeAdvantage: { type: 'number', description: 'Rating points added to the home side' },
+      home: ref('FixtureRatingSide'),
+      away: ref('FixtureRatingSide'),
+      probabilities: ref('RatingProbabilities')
+    }, ['fixtureId', 'played', 'home', 'away', 'probabilities']),
+
+    // -----------------------------------------
+    // PREDICTION CALIBRATION (see services/calibration.js)
+    // -----------------------------------------
+
+    // One 10% bucket of a reliability curve
+    CalibrationBucket: object({
+      from: { type: 'number', description: 'Lower bound of predicted probability (0-1)' },
+      to: number,
+      count: { type: 'integer', description: 'Forecasts in the bucket' },
+      meanPredicted: { type: ['number', 'null'], description: 'Mean forecast probability (0-1)' },
+      observed: { type: ['number', 'null'], description: 'Share of those forecasts that happened (0-1)' }
+    }, ['from', 'to', 'count', 'meanPredicted', 'observed']),
+
+    CalibrationCompetition: object({
+      leagueId: integer,
+      leagueName: { type: ['string', 'null'] },
+      ...CALIBRATION_STATS
+    }, ['leagueId', 'predictions', 'buckets']),
+
+    CalibrationMarket: object({
+      typeId: { type: 'integer', description: 'SportsMonks prediction type ID' },
+      key: { type: 'string', description: 'Market key of SportsMonks\' predictability figures' },
+      name: string,
+      outcomes: array(string),
+      ...CALIBRATION_STATS,
+      byCompetition: array(ref('CalibrationCompetition'))
+    }, ['typeId', 'key', 'name', 'predictions', 'buckets', 'byCompetition']),
+
+    // -----------------------------------------
+    // SPORTSMONKS OBJECTS (passed through)
+    // -----------------------------------------
+
+    Team: sportsMonks('SportsMonks team', { name: string, short_code: { type: ['string', 'null'] }, image_path: string }),
+    Player: sportsMonks('SportsMonks player', { name: string, display_name: string }),
+    Coach: sportsMonks('SportsMonks coach', { name: string }),
+    Fixture: sportsMonks('SportsMonks fixture', { name: string, starting_at: string, league_id: integer, season_id: integer }),
+    League: sportsMonks('SportsMonks league', { name: string }),
+    Season: sportsMonks('SportsMonks season', { name: string, league_id: integer, is_current: boolean }),
+    Standing: sportsMonks('SportsMonks standing row', { participant_id: integer, position: integer, points: integer }),
+    TopScorer: sportsMonks('SportsMonks top scorer entry', { player_id: integer, position: integer }),
+    Odd: sportsMonks('SportsMonks odd', { fixture_id: integer, market_id: integer, bookmaker_id: integer, value: string, label: string }),
+    Bookmaker: sportsMonks('SportsMonks bookmaker', { name: string }),
+    Market: sportsMonks('SportsMonks betting market', { name: string }),
+    Prediction: sportsMonks('SportsMonks prediction', { type_id: integer, predictions: { type: 'object' } }),
+    Transfer: sportsMonks('SportsMonks transfer', { player_id: integer, from_team_id: integer, to_team_id: integer }),
+
+    FixtureIncludes: object({
+      odds: boolean,
+      sidelined: boolean
+    })
+  }
+};
@@ -0,0 +1,95 @@
+// ============================================
+// OPENAPI DOCUMENT
+// ============================================
+// Machine-readable description of every route mounted in src/index.js.
+//   - Served at GET /openapi.json, browsable at /docs
+//   - Also the source of truth for request validation
+//     (see middleware/validate.js): path params, query strings and
+//     JSON bodies are checked against it before a route runs
+//
+// One file per router in ./paths, mirroring src/routes.
+// When adding or changing a route, update its paths file too.
+// ============================================
+
+import { components } from './components.js';
+import systemPaths from './paths/system.js';
+import authPaths from './paths/auth.js';
+import notesPaths from './paths/notes.js';
+import betsPaths from './paths/bets.js';
+import bankrollsPaths from './paths/bankrolls.js';
+import teamsPaths from './paths/teams.js';
+import fixturesPaths from './paths/fixtures.js';
+import playersPaths from './paths/players.js';
+import oddsPaths from './paths/odds.js';
+import standingsPaths from './paths/standings.js';
+import livescoresPaths from './paths/livescores.js';
+import leaguesPaths from './paths/leagues.js';
+import seasonsPaths from './paths/seasons.js';
+import topscorersPaths from './paths/topscorers.js';
+import predictionsPaths from './paths/predictions.js';
+import valuePaths from './paths/value.js';
+import ratingsPaths from './paths/ratings.js';
+import adminPaths from './paths/admin.js';
+
+const openapiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'BetSmoke API',
+    version: '1.0.0',
+    description: [
+      'Football data (proxied from SportsMonks), notes, bet tracking and account management for BetSmoke.',
+      '',
+      'Data routes work anonymously (cached data) or with a token (fresh data).',
+      'When SportsMonks data is served from an old cache entry, responses carry an',
+      '`X-Data-Status` header and a `dataStatus` field (see the DataStatus schema).',
+      'Every response has an `X-Request-Id` header to match it with server logs.',
+      '',
+      'Cached data responses carry a strong `ETag` and a `Cache-Control` header derived from',
+      'the cache tier; send `If-None-Match` to get `304 Not Modified` when nothing changed.'
+    ].join('\n')
+  },
+  servers: [{ url: '/' }],
+  tags: [
+    { name: 'System' },
+    { name: 'Auth' },
+    { name: 'Notes' },
+    { name: 'Bets' },
+    { name: 'Bankrolls' },
+    { name: 'Teams' },
+    { name: 'Fixtures' },
+    { name: 'Players' },
+    { name: 'Odds' },
+    { name: 'Standings' },
+    { name: 'Live Scores' },
+    { name: 'Leagues' },
+    { name: 'Seasons' },
+    { name: 'Top Scorers' },
+    { name: 'Predictions' },
+    { name: 'Value' },
+    { name: 'Ratings' },
+    { name: 'Admin' }
+  ],
+  paths: {
+    ...systemPaths,
+    ...authPaths,
+    ...notesPaths,
+    ...betsPaths,
+    ...bankrollsPaths,
+    ...teamsPaths,
+    ...fixturesPaths,
+    ...playersPaths,
+    ...oddsPaths,
+    ...standingsPaths,
+    ...livescoresPaths,
+    ...leaguesPaths,
+    ...seasonsPaths,
+    ...topscorersPaths,
+    ...predictionsPaths,
+    ...valuePaths,
+    ...ratingsPaths,
+    ...adminPaths
+  },
+  components
+};
+
+export default openapiDocument;
@@ -0,0 +1,162 @@
+// ============================================
+// OPENAPI PATHS: ADMIN
+// ============================================
+// All admin routes require a logged-in user with isAdmin = true.
+// ============================================
+
+import { operation, object, array, string, integer, ref } from '../components.js';
+
+const tag = 'Admin';
+
+// { status: 'ok', data: {...} } wrapper used by the admin endpoints
+const okData = (data) => object({ status: string, data }, ['status', 'data']);
+
+// Job name, as listed by GET /admin/jobs
+const jobNameParam = {
+  name: 'name',
+  in: 'path',
+  required: true,
+  description: 'Job name (e.g. "prewarm-fixtures")',
+  schema: { type: 'string', pattern: '^[a-z0-9-]+$', example: 'prewarm-fixtures' }
+};
+
+export default {
+  '/admin/types/sync': {
+    post: operation({
+      tag,
+      summary: 'Sync SportsMonks types into the database',
+      auth: 'admin',
+      errors: [502, 503],
+      response: object({ status: string, message: string, result: { type: 'object' } }, ['status'])
+    })
+  },
+
+  '/admin/cache/stats': {
+    get: operation({
+      tag,
+      summary: 'Cache hit/miss counts, hit rate and keys by category',
+      auth: 'admin',
+      response: okData({ type: 'object' })
+    })
+  },
+
+  '/admin/cache/keys': {
+    get: operation({
+      tag,
+      summary: 'All cached keys with remaining TTL',
+      auth: 'admin',
+      response: okData(object({
+        count: integer,
+        keys: array(object({ key: string, ttlRemaining: integer }))
+      }))
+    })
+  },
+
+  '/admin/cache/flush': {
+    delete: operation({
+      tag,
+      summary: 'Flush the entire cache',
+      auth: 'admin',
+      response: object({ status: string, message: string }, ['status'])
+    })
+  },
+
+  '/admin/cache/prefix/{prefix}': {
+    delete: operation({
+      tag,
+      summary: 'Flush cached keys starting with a prefix',
+      auth: 'admin',
+      parameters: [{
+        name: 'prefix',
+        in: 'path',
+        required: true,
+        description: 'Key prefix (e.g. "fixtures:date")',
+        schema: { type: 'string', minLength: 1 }
+      }],
+      response: object({ status: string, message: string, deletedCount: integer }, ['status'])
+    })
+  },
+
+  '/admin/sportsmonks/usage': {
+    get: operation({
+      tag,
+      summary: 'SportsMonks calls per endpoint and route, rate limits and cache hit rates',
+      auth: 'admin',
+      parameters: [
+        {
+          name: 'granularity',
+          in: 'query',
+          description: 'Bucket size',
+          schema: { type: 'string', enum: ['hour', 'day'], default: 'hour' }
+        },
+        {
+          name: 'days',
+          in: 'query',
+          description: 'How many days back to include',
+          schema: { type: 'integer', minimum: 1, maximum: 90, default: 1 }
+        }
+      ],
+      response: okData(object({
+        period: { type: 'object' },
+        totals: { type: 'object' },
+        buckets: array({ type: 'object' }),
+        byEndpoint: array({ type: 'object' }),
+        byRoute: array({ type: 'object' }),
+        rateLimits: { type: 'object' },
+        cacheByFamily: { type: 'object' }
+      }))
+    })
+  },
+
+  '/admin/jobs': {
+    get: operation({
+      tag,
+      summary: 'Background jobs with their schedule and last run',
+      auth: 'admin',
+      response: okData(array(ref('Job')))
+    })
+  },
+
+  '/admin/jobs/{name}': {
+    get: operation({
+      tag,
+      summary: 'One background job with its last run and result',
+      auth: 'admin',
+      parameters: [jobNameParam],
+      errors: [404],
+      response: okData(ref('Job'))
+    })
+  },
+
+  '/admin/jobs/{name}/run': {
+    post: operation({
+      tag,
+      summary: 'Start a background job now',
+      description: 'Returns as soon as the job has started; poll GET /admin/jobs/{name} for the result.',
+      auth: 'admin',
+      parameters: [jobNameParam],
+      errors: [404, 409],
+      status: 202,
+      response: object({ status: string, message: string, data: ref('Job') }, ['status', 'data'])
+    })
+  },
+
+  '/admin/warehouse/seasons': {
+    get: operation({
+      tag,
+      summary: 'Seasons in the fixtures warehouse with fixture counts and last sync',
+      auth: 'admin',
+      response: okData(array(object({
+        id: integer,
+        name: string,
+        leagueId: integer,
+        leagueName: { type: ['string', 'null'] },
+        startingAt: { type: ['string', 'null'], format: 'date-time' },
+        endingAt: { type: ['string', 'null'], format: 'date-time' },
+        lastSyncedAt: { type: ['string', 'null'], format: 'date-time' },
+        fixtures: integer,
+        finished: integer
+      })))
+    })
+  }
+};
@@ -0,0 +1,149 @@
+// ============================================
+// OPENAPI PATHS: AUTHENTICATION
+// ============================================
+// Business rules (email already registered, wrong password, expired
+// reset token) are still checked in routes/auth.js - the schemas here
+// only cover the shape of each request.
+// ============================================
+
+import { operation, object, string, ref } from '../components.js';
+
+const tag = 'Auth';
+
+const password = { type: 'string', minLength: 6 };
+const nonEmpty = { type: 'string', minLength: 1 };
+
+// Same values as VALID_*_FORMATS in routes/auth.js
+const preferences = {
+  oddsFormat: { type: 'string', enum: ['AMERICAN', 'DECIMAL', 'FRACTIONAL'] },
+  timezone: string,
+  dateFormat: { type: 'string', enum: ['US', 'EU'] },
+  temperatureUnit: { type: 'string', enum: ['FAHRENHEIT', 'CELSIUS'] },
+  unitSize: { type: 'number', exclusiveMinimum: 0, description: 'Default stake of one unit (flat staking)' }
+};
+
+const userResponse = object({ message: string, user: ref('User') }, ['user']);
+const messageResponse = object({ message: string }, ['message']);
+
+export default {
+  '/auth/register': {
+    post: operation({
+      tag,
+      summary: 'Create an account',
+      status: 201,
+      body: object({
+        email: nonEmpty,
+        password,
+        ...preferences,
+        securityQuestion: string,
+        securityAnswer: string
+      }, ['email', 'password']),
+      response: userResponse
+    })
+  },
+
+  '/auth/login': {
+    post: operation({
+      tag,
+      summary: 'Log in and get a JWT',
+      body: object({ email: nonEmpty, password: nonEmpty }, ['email', 'password']),
+      errors: [401],
+      response: object({ message: string, token: string, user: ref('User') }, ['token', 'user'])
+    })
+  },
+
+  '/auth/me': {
+    get: operation({
+      tag,
+      summary: 'Current user profile',
+      auth: 'user',
+      errors: [404],
+      response: object({ user: ref('User') }, ['user'])
+    })
+  },
+
+  '/auth/preferences': {
+    patch: operation({
+      tag,
+      summary: 'Update display preferences',
+      auth: 'user',
+      body: object(preferences),
+      response: userResponse
+    })
+  },
+
+  '/auth/email': {
+    patch: operation({
+      tag,
+      summary: 'Change email (requires current password)',
+      auth: 'user',
+      body: object({ newEmail: nonEmpty, password: nonEmpty }, ['newEmail', 'password']),
+      errors: [401, 404],
+      response: userResponse
+    })
+  },
+
+  '/auth/password': {
+    patch: operation({
+      tag,
+      summary: 'Change password (requires current password)',
+      auth: 'user',
+      body: object({ currentPassword: nonEmpty, newPassword: password }, ['currentPassword', 'newPassword']),
+      errors: [401, 404],
+      response: messageResponse
+    })
+  },
+
+  '/auth/security-question': {
+    patch: operation({
+      tag,
+      summary: 'Set, change or remove the security question (requires current password)',
+      description: 'Send securityQuestion and securityAnswer as null (or leave them out) to remove it.',
+      auth: 'user',
+      body: object({
+        securityQuestion: { type: ['string', 'null'] },
+        securityAnswer: { type: ['string', 'null'] },
+        password: nonEmpty
+      }, ['password']),
+      errors: [401, 404],
+      response: userResponse
+    })
+  },
+
+  '/auth/forgot-password': {
+    post: operation({
+      tag,
+      summary: 'Email a password reset link (same response whether or not the account exists)',
+      body: object({ email: nonEmpty }, ['email']),
+      response: messageResponse
+    })
+  },
+
+  '/auth/reset-password': {
+    post: operation({
+      tag,
+      summary: 'Set a new password with a reset token',
+      body: object({ token: nonEmpty, newPassword: password }, ['token', 'newPassword']),
+      response: messageResponse
+    })
+  },
+
+  '/auth/get-security-question': {
+    post: operation({
+      tag,
+      summary: 'Get the security question for an account',
+      body: object({ email: nonEmpty }, ['email']),
+      errors: [404],
+      response: object({ securityQuestion: string }, ['securityQuestion'])
+    })
+  },
+
+  '/auth/verify-security-answer': {
+    post: operation({
+      tag,
+      summary: 'Answer the security question to get a reset token',
+      body: object({ email: nonEmpty, securityAnswer: nonEmpty }, ['email', 'securityAnswer']),
+      response: object({ message: string, resetToken: string }, ['resetToken'])
+    })
+  }
+};
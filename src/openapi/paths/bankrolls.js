@@ -0,0 +1,221 @@
+// ============================================
+// OPENAPI PATHS: BANKROLLS
+// ============================================
+// All bankrolls routes require a logged-in user. Ownership, unique names
+// and the stake calculation are checked in services/bankrolls.js.
+// ============================================
+
+import { operation, object, array, string, integer, number, boolean, dateTime, ref } from '../components.js';
+
+const tag = 'Bankrolls';
+
+const uuidParam = (name, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'string', format: 'uuid' }
+});
+
+const bankrollIdParam = uuidParam('id', 'Bankroll ID');
+
+const queryParam = (name, schema, description, required = false) => ({
+  name,
+  in: 'query',
+  required,
+  description,
+  schema
+});
+
+const name = { type: 'string', minLength: 1, maxLength: 100 };
+const positive = { type: 'number', exclusiveMinimum: 0 };
+const planSettings = {
+  stakingPlan: ref('StakingPlan'),
+  unitSize: { type: ['number', 'null'], exclusiveMinimum: 0, description: 'Null uses your default unit size' },
+  stakePercent: { type: 'number', exclusiveMinimum: 0, maximum: 100 },
+  kellyFraction: { type: 'number', exclusiveMinimum: 0, maximum: 1 },
+  maxStakePercent: { type: ['number', 'null'], exclusiveMinimum: 0, maximum: 100 }
+};
+
+const bankrollResponse = object({ message: string, bankroll: ref('Bankroll') }, ['bankroll']);
+
+export default {
+  '/bankrolls': {
+    get: operation({
+      tag,
+      summary: 'List your bankrolls with their balances',
+      auth: 'user',
+      response: object({
+        unitSize: { type: 'number', description: 'Your default unit size' },
+        count: integer,
+        bankrolls: array(ref('Bankroll'))
+      }, ['count', 'bankrolls'])
+    }),
+
+    post: operation({
+      tag,
+      summary: 'Create a bankroll',
+      description: 'Staking plans: FLAT (units x unit size), PERCENTAGE (stakePercent of the balance) ' +
+        'or KELLY (kellyFraction x the Kelly stake). Names are unique per user.',
+      auth: 'user',
+      status: 201,
+      body: object({
+        name,
+        ...planSettings,
+        initialDeposit: positive
+      }, ['name']),
+      errors: [409],
+      response: bankrollResponse
+    })
+  },
+
+  '/bankrolls/{id}': {
+    get: operation({
+      tag,
+      summary: 'Get one of your bankrolls with its deposits and withdrawals',
+      auth: 'user',
+      parameters: [bankrollIdParam],
+      errors: [403, 404],
+      response: object({ bankroll: ref('Bankroll') }, ['bankroll'])
+    }),
+
+    put: operation({
+      tag,
+      summary: 'Rename a bankroll or change its staking plan',
+      auth: 'user',
+      parameters: [bankrollIdParam],
+      body: object({ name, ...planSettings }),
+      errors: [403, 404, 409],
+      response: bankrollResponse
+    }),
+
+    delete: operation({
+      tag,
+      summary: 'Delete a bankroll',
+      description: 'Its bets are kept, without a bankroll.',
+      auth: 'user',
+      parameters: [bankrollIdParam],
+      errors: [403, 404],
+      response: object({ message: string, deletedBankrollId: string }, ['deletedBankrollId'])
+    })
+  },
+
+  '/bankrolls/{id}/transactions': {
+    post: operation({
+      tag,
+      summary: 'Record a deposit or withdrawal',
+      description: 'A withdrawal can\'t be more than the available money (balance less open stakes).',
+      auth: 'user',
+      status: 201,
+      parameters: [bankrollIdParam],
+      body: object({
+        type: { type: 'string', enum: ['DEPOSIT', 'WITHDRAWAL'] },
+        amount: positive,
+        occurredAt: { type: 'string', format: 'date-time', description: 'Default now' },
+        note: { type: ['string', 'null'] }
+      }, ['type', 'amount']),
+      errors: [403, 404],
+      response: bankrollResponse
+    })
+  },
+
+  '/bankrolls/{id}/transactions/{transactionId}': {
+    delete: operation({
+      tag,
+      summary: 'Delete a deposit or withdrawal',
+      auth: 'user',
+      parameters: [bankrollIdParam, uuidParam('transactionId', 'Transaction ID')],
+      errors: [403, 404],
+      response: bankrollResponse
+    })
+  },
+
+  '/bankrolls/{id}/history': {
+    get: operation({
+      tag,
+      summary: 'Balance over time, with growth and drawdown',
+      description: 'One point per deposit, withdrawal and settled bet (at settlement). ' +
+        'Drawdown is measured from the running peak; deposits and withdrawals move the peak ' +
+        'with the balance, so only betting losses count.',
+      auth: 'user',
+      parameters: [bankrollIdParam],
+      errors: [403, 404],
+      response: object({
+        bankrollId: string,
+        name: string,
+        growth: object({
+          deposited: number,
+          withdrawn: number,
+          profit: number,
+          balance: number,
+          growthPercent: { type: ['number', 'null'], description: 'Profit / deposited, in percent' }
+        }),
+        drawdown: object({
+          current: number,
+          currentPercent: number,
+          max: number,
+          maxPercent: number,
+          maxAt: { type: ['string', 'null'], format: 'date-time' }
+        }),
+        points: array(object({
+          at: dateTime,
+          type: { type: 'string', enum: ['DEPOSIT', 'WITHDRAWAL', 'BET'] },
+          change: number,
+          balance: number,
+          peak: number,
+          drawdown: number,
+          drawdownPercent: number,
+          transactionId: { type: ['string', 'null'] },
+          betId: { type: ['string', 'null'] }
+        }))
+      }, ['growth', 'drawdown', 'points'])
+    })
+  },
+
+  '/bankrolls/{id}/stake-suggestion': {
+    get: operation({
+      tag,
+      summary: 'Suggest a stake for a price with the bankroll\'s staking plan',
+      description: 'The win probability is `probability` (your estimate), else the SportsMonks prediction ' +
+        'for `fixtureId`/`marketId`/`selectionKey` (fulltime result, double chance, BTTS and goals ' +
+        'over/under). Kelly plans need one. Stakes are capped at maxStakePercent of the balance and ' +
+        'at the available money.',
+      auth: 'user',
+      parameters: [
+        bankrollIdParam,
+        queryParam('odds', { type: 'number', exclusiveMinimum: 1 }, 'Decimal price on offer', true),
+        queryParam('probability', { type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 1 }, 'Your win probability estimate (0-1)'),
+        queryParam('fixtureId', { type: 'integer', minimum: 1 }, 'Fixture, for the SportsMonks prediction'),
+        queryParam('marketId', { type: 'integer', minimum: 1 }, 'Market, for the SportsMonks prediction'),
+        queryParam('selectionKey', { type: 'string' }, 'Odds tree selection key, for the SportsMonks prediction'),
+        queryParam('units', { type: 'number', exclusiveMinimum: 0 }, 'Flat plans: number of units (default 1)')
+      ],
+      errors: [403, 404],
+      response: object({
+        bankrollId: string,
+        stakingPlan: ref('StakingPlan'),
+        balance: number,
+        available: number,
+        odds: number,
+        probability: {
+          ...object({ value: number, source: { type: 'string', enum: ['estimate', 'prediction'] } }),
+          type: ['object', 'null']
+        },
+        edge: { type: ['number', 'null'], description: 'Expected value at this price, in percent' },
+        kelly: {
+          ...object({
+            full: { type: 'number', description: 'Full Kelly stake, in % of the balance (negative: no edge)' },
+            fraction: number,
+            applied: { type: 'number', description: 'Fraction of Kelly, in % of the balance' }
+          }),
+          type: ['object', 'null']
+        },
+        planStake: { type: 'number', description: 'Stake before caps' },
+        stake: number,
+        capped: boolean,
+        units: number,
+        unitSize: number
+      }, ['stakingPlan', 'stake'])
+    })
+  }
+};
@@ -0,0 +1,209 @@
+// ============================================
+// OPENAPI PATHS: BETS
+// ============================================
+// All bets routes require a logged-in user. Ownership, duplicate
+// selections and the fixture lookup are checked in services/bets.js.
+// ============================================
+
+import { operation, object, array, string, integer, number, dateTime, ref, dateQuery } from '../components.js';
+
+const tag = 'Bets';
+
+const uuidParam = (name, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'string', format: 'uuid' }
+});
+
+const betIdParam = uuidParam('id', 'Bet ID');
+
+const stake = { type: 'number', exclusiveMinimum: 0 };
+const placedAt = { type: 'string', format: 'date-time', description: 'When the bet was placed (default now)' };
+const bookmakerId = { type: ['integer', 'null'], minimum: 1, description: 'SportsMonks bookmaker ID' };
+const bookmakerName = { type: ['string', 'null'] };
+const notes = { type: ['string', 'null'] };
+const bankrollId = { type: ['string', 'null'], format: 'uuid', description: 'One of your bankrolls' };
+
+const betResponse = object({ message: string, bet: ref('Bet') }, ['bet']);
+
+export default {
+  '/bets': {
+    get: operation({
+      tag,
+      summary: 'List your bets (most recently placed first)',
+      description: 'The summary (profit/loss, ROI) covers all of your bets (or the bankroll\'s), whatever the status filter.',
+      auth: 'user',
+      parameters: [
+        {
+          name: 'status',
+          in: 'query',
+          description: '"open", "settled" (won, lost or void), or one status',
+          schema: { type: 'string', enum: ['open', 'settled', 'WON', 'LOST', 'VOID'] }
+        },
+        {
+          name: 'bankrollId',
+          in: 'query',
+          description: 'Only this bankroll\'s bets (the summary too)',
+          schema: { type: 'string', format: 'uuid' }
+        }
+      ],
+      response: object({
+        summary: ref('BetSummary'),
+        count: integer,
+        bets: array(ref('Bet'))
+      }, ['summary', 'count', 'bets'])
+    }),
+
+    post: operation({
+      tag,
+      summary: 'Log a bet (one selection for a single, several for a multiple)',
+      description: 'Fixture names and kick-off times are looked up on SportsMonks. ' +
+        'Open selections are settled automatically after full time (settle-bets job) ' +
+        'for result, double chance, BTTS, goals over/under and odd/even markets.',
+      auth: 'user',
+      status: 201,
+      body: object({
+        stake,
+        selections: { ...array(ref('BetSelectionInput')), minItems: 1, maxItems: 20 },
+        bookmakerId,
+        bookmakerName,
+        bankrollId,
+        placedAt,
+        notes
+      }, ['stake', 'selections']),
+      errors: [403, 404],
+      response: betResponse
+    })
+  },
+
+  '/bets/clv': {
+    get: operation({
+      tag,
+      summary: 'Closing line value (CLV) of your bets',
+      description: 'CLV of each selection against its closing price, captured at kick-off by the ' +
+        'capture-closing-odds job: overall, by competition, market and bookmaker, and over time. ' +
+        'Selections without a closing price count as untracked.',
+      auth: 'user',
+      parameters: [
+        dateQuery('from', 'Bets placed on or after this date (UTC)'),
+        dateQuery('to', 'Bets placed on or before this date (UTC)')
+      ],
+      response: object({
+        message: string,
+        filters: object({ from: { type: ['string', 'null'] }, to: { type: ['string', 'null'] } }),
+        overall: object({
+          selections: integer,
+          averageClv: { type: ['number', 'null'] },
+          beatClosingRate: { type: ['number', 'null'] },
+          untracked: { type: 'integer', description: 'Selections without a closing price' }
+        }),
+        byCompetition: array(ref('ClvStats')),
+        byMarket: array(ref('ClvStats')),
+        byBookmaker: array(ref('ClvStats')),
+        timeline: array(object({
+          kickoffAt: dateTime,
+          fixtureName: string,
+          selectionLabel: string,
+          clv: number,
+          averageClv: { type: 'number', description: 'Running average up to this selection' }
+        }))
+      }, ['overall', 'byCompetition', 'byMarket', 'byBookmaker', 'timeline'])
+    })
+  },
+
+  '/bets/analytics': {
+    get: operation({
+      tag,
+      summary: 'Performance analytics of your settled bets',
+      description: 'ROI (profit / staked), yield (average profit per unit staked, level stakes), strike rate ' +
+        '(won / won + lost), average odds, win/loss streaks and drawdown of cumulative profit, in settlement order. ' +
+        'Broken down by competition, market, bookmaker, odds band and day of week (the last kick-off, in your timezone). ' +
+        'Multiples spanning several competitions or markets are grouped as "Mixed".',
+      auth: 'user',
+      parameters: [
+        dateQuery('from', 'Bets placed on or after this date (UTC)'),
+        dateQuery('to', 'Bets placed on or before this date (UTC)'),
+        {
+          name: 'bankrollId',
+          in: 'query',
+          description: 'Only this bankroll\'s bets',
+          schema: { type: 'string', format: 'uuid' }
+        }
+      ],
+      response: object({
+        message: string,
+        filters: object({
+          from: { type: ['string', 'null'] },
+          to: { type: ['string', 'null'] },
+          bankrollId: { type: ['string', 'null'] }
+        }),
+        overall: ref('BetAnalyticsStats'),
+        streaks: object({
+          longestWinning: integer,
+          longestLosing: integer,
+          current: object({
+            type: { type: ['string', 'null'], enum: ['WON', 'LOST', null] },
+            length: integer
+          })
+        }),
+        drawdown: object({
+          max: { type: 'number', description: 'Largest fall of cumulative profit from its peak' },
+          peakAt: { type: ['string', 'null'], format: 'date-time' },
+          troughAt: { type: ['string', 'null'], format: 'date-time' },
+          current: { type: 'number', description: 'Below the peak now' }
+        }),
+        byCompetition: array(ref('BetAnalyticsStats')),
+        byMarket: array(ref('BetAnalyticsStats')),
+        byBookmaker: array(ref('BetAnalyticsStats')),
+        byOddsBand: array(ref('BetAnalyticsStats')),
+        byDayOfWeek: array(ref('BetAnalyticsStats'))
+      }, ['overall', 'streaks', 'drawdown', 'byCompetition', 'byMarket', 'byBookmaker', 'byOddsBand', 'byDayOfWeek'])
+    })
+  },
+
+  '/bets/{id}': {
+    get: operation({
+      tag,
+      summary: 'Get one of your bets',
+      auth: 'user',
+      parameters: [betIdParam],
+      errors: [403, 404],
+      response: object({ bet: ref('Bet') }, ['bet'])
+    }),
+
+    put: operation({
+      tag,
+      summary: 'Update a bet\'s stake, bookmaker, placed time or notes',
+      description: 'Selections can\'t be changed: delete the bet and log it again.',
+      auth: 'user',
+      parameters: [betIdParam],
+      body: object({ stake, bookmakerId, bookmakerName, bankrollId, placedAt, notes }),
+      errors: [403, 404],
+      response: betResponse
+    }),
+
+    delete: operation({
+      tag,
+      summary: 'Delete a bet',
+      auth: 'user',
+      parameters: [betIdParam],
+      errors: [403, 404],
+      response: object({ message: string, deletedBetId: string }, ['deletedBetId'])
+    })
+  },
+
+  '/bets/{id}/selections/{selectionId}': {
+    put: operation({
+      tag,
+      summary: 'Settle a selection by hand (or re-open it with OPEN)',
+      description: 'For markets the settlement job can\'t grade, or to correct a result.',
+      auth: 'user',
+      parameters: [betIdParam, uuidParam('selectionId', 'Selection ID')],
+      body: object({ status: ref('BetStatus'), resultInfo: string }, ['status']),
+      errors: [403, 404],
+      response: betResponse
+    })
+  }
+};
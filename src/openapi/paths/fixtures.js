@@ -0,0 +1,121 @@
+// ============================================
+// OPENAPI PATHS: FIXTURES
+// ============================================
+// Date range rules (start before end, 100 days max without a team)
+// are business rules and stay in routes/fixtures.js.
+// ============================================
+
+import {
+  operation, object, array, string, integer, message, ref,
+  idParam, dateParam, searchParam, includeQuery
+} from '../components.js';
+
+const tag = 'Fixtures';
+const auth = 'optional';
+
+const fixtureId = idParam('id', 'SportsMonks fixture ID');
+const startDate = dateParam('startDate', 'First day (YYYY-MM-DD)');
+const endDate = dateParam('endDate', 'Last day (YYYY-MM-DD)');
+
+const dateRange = object({ startDate: string, endDate: string, days: integer });
+const includes = ref('FixtureIncludes');
+const fixtures = array(ref('Fixture'));
+
+export default {
+  '/fixtures/date/{date}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Fixtures on a date',
+      parameters: [dateParam('date', 'Match day (YYYY-MM-DD)'), includeQuery],
+      response: object({ message, date: string, includes, fixtures }, ['fixtures'])
+    })
+  },
+
+  '/fixtures/between/{startDate}/{endDate}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Fixtures in a date range (100 days max)',
+      parameters: [startDate, endDate, includeQuery],
+      response: object({ message, dateRange, includes, fixtures }, ['fixtures'])
+    })
+  },
+
+  '/fixtures/between/{startDate}/{endDate}/team/{teamId}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'A team\'s fixtures in a date range (no day limit)',
+      parameters: [startDate, endDate, idParam('teamId', 'SportsMonks team ID'), includeQuery],
+      response: object({ message, teamId: integer, dateRange, includes, fixtures }, ['fixtures'])
+    })
+  },
+
+  '/fixtures/search/{query}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Search fixtures by name (e.g. "Arsenal vs")',
+      parameters: [searchParam, includeQuery],
+      response: object({ message, query: string, includes, fixtures }, ['fixtures'])
+    })
+  },
+
+  '/fixtures/seasons/{seasonId}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'All fixtures of a season, grouped by stage',
+      parameters: [idParam('seasonId', 'SportsMonks season ID')],
+      response: object({
+        seasonId: integer,
+        totalStages: integer,
+        totalFixtures: integer,
+        stages: array({ type: 'object' })
+      }, ['stages'])
+    })
+  },
+
+  '/fixtures/{id}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Fixture details (lineups, events, statistics, weather)',
+      parameters: [fixtureId, includeQuery],
+      errors: [404],
+      response: object({ includes, fixture: ref('Fixture') }, ['fixture'])
+    })
+  },
+
+  '/fixtures/{id}/predictions': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'SportsMonks predictions for a fixture',
+      parameters: [fixtureId],
+      errors: [404],
+      response: object({
+        fixtureId: integer,
+        fixtureName: string,
+        startingAt: string,
+        predictionsCount: integer,
+        predictions: array(ref('Prediction'))
+      }, ['predictions'])
+    })
+  },
+
+  '/fixtures/{id}/model': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Our Poisson / Dixon-Coles model\'s probabilities for a fixture',
+      description: 'Team attack and defence strengths, with home advantage, fitted on the season\'s finished fixtures ' +
+        'before kick-off (older fixtures weigh less; 90-minute scores), with the Dixon-Coles low-score correction. ' +
+        'Probabilities are percentages. 400 when the season has too few finished fixtures.',
+      parameters: [fixtureId],
+      errors: [400, 404],
+      response: ref('MatchModel')
+    })
+  }
+};
@@ -0,0 +1,40 @@
+// ============================================
+// OPENAPI PATHS: LEAGUES
+// ============================================
+
+import { operation, object, array, string, integer, message, ref, idParam, searchParam } from '../components.js';
+
+const tag = 'Leagues';
+const auth = 'optional';
+
+export default {
+  '/leagues': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'All leagues in our subscription',
+      response: object({ message, count: integer, leagues: array(ref('League')) }, ['leagues'])
+    })
+  },
+
+  '/leagues/search/{query}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Search leagues by name',
+      parameters: [searchParam],
+      response: object({ message, query: string, count: integer, leagues: array(ref('League')) }, ['leagues'])
+    })
+  },
+
+  '/leagues/{id}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'League details',
+      parameters: [idParam('id', 'SportsMonks league ID')],
+      errors: [404],
+      response: object({ league: ref('League') }, ['league'])
+    })
+  }
+};
@@ -0,0 +1,30 @@
+// ============================================
+// OPENAPI PATHS: LIVE SCORES
+// ============================================
+
+import { operation, object, array, integer, message, ref } from '../components.js';
+
+const tag = 'Live Scores';
+const auth = 'optional';
+
+const liveFixtures = object({ message, count: integer, fixtures: array(ref('Fixture')) }, ['fixtures']);
+
+export default {
+  '/livescores': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Today\'s live and about-to-start fixtures (subscribed leagues)',
+      response: liveFixtures
+    })
+  },
+
+  '/livescores/inplay': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Fixtures currently in play',
+      response: liveFixtures
+    })
+  }
+};
@@ -0,0 +1,88 @@
+// ============================================
+// OPENAPI PATHS: NOTES
+// ============================================
+// All notes routes require a logged-in user. Ownership and the
+// "exactly one primary link" rule are checked in routes/notes.js.
+// ============================================
+
+import { operation, object, array, string, integer, ref } from '../components.js';
+
+const tag = 'Notes';
+
+const noteIdParam = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  description: 'Note ID',
+  schema: { type: 'string', format: 'uuid' }
+};
+
+const links = { ...array(ref('NoteLinkInput')), minItems: 1 };
+const nonEmpty = { type: 'string', minLength: 1 };
+
+const noteResponse = object({ message: string, note: ref('Note') }, ['note']);
+
+export default {
+  '/notes': {
+    get: operation({
+      tag,
+      summary: 'List your notes (most recently updated first)',
+      description: 'Filters match notes where ANY link has the given context.',
+      auth: 'user',
+      parameters: [
+        {
+          name: 'contextType',
+          in: 'query',
+          description: 'Only notes linked to this context type',
+          schema: ref('ContextType')
+        },
+        {
+          name: 'contextId',
+          in: 'query',
+          description: 'Only notes linked to this SportsMonks ID',
+          schema: string
+        }
+      ],
+      response: object({ count: integer, notes: array(ref('Note')) }, ['count', 'notes'])
+    }),
+
+    post: operation({
+      tag,
+      summary: 'Create a note',
+      auth: 'user',
+      status: 201,
+      body: object({ title: nonEmpty, content: nonEmpty, links }, ['title', 'content', 'links']),
+      response: noteResponse
+    })
+  },
+
+  '/notes/{id}': {
+    get: operation({
+      tag,
+      summary: 'Get one of your notes',
+      auth: 'user',
+      parameters: [noteIdParam],
+      errors: [403, 404],
+      response: object({ note: ref('Note') }, ['note'])
+    }),
+
+    put: operation({
+      tag,
+      summary: 'Update a note (links, if given, replace all existing links)',
+      auth: 'user',
+      parameters: [noteIdParam],
+      body: object({ title: nonEmpty, content: nonEmpty, links }),
+      errors: [403, 404],
+      response: noteResponse
+    }),
+
+    delete: operation({
+      tag,
+      summary: 'Delete a note',
+      auth: 'user',
+      parameters: [noteIdParam],
+      errors: [403, 404],
+      response: object({ message: string, deletedNoteId: string }, ['deletedNoteId'])
+    })
+  }
+};
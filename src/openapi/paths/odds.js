@@ -0,0 +1,252 @@
+// ============================================
+// OPENAPI PATHS: ODDS, BOOKMAKERS & MARKETS
+// ============================================
+
+import {
+  operation, object, array, string, integer, boolean, message, ref,
+  idParam, idListQuery, dateQuery, searchParam
+} from '../components.js';
+
+const tag = 'Odds';
+const auth = 'optional';
+
+const fixtureId = idParam('fixtureId', 'SportsMonks fixture ID');
+
+// Same values as services/margin.js
+const MARGIN_METHODS = ['proportional', 'shin', 'power', 'odds-ratio'];
+
+// Markets the arbitrage check covers (same values as services/arbitrage.js)
+const arbitrageOptions = [
+  idListQuery('markets', 'Market IDs, comma-separated (default all): 1 (Fulltime Result), 12 (Goals Over/Under), 14 (Both Teams To Score)'),
+  {
+    name: 'bankroll',
+    in: 'query',
+    required: false,
+    description: 'Total to split across the outcomes (default 100)',
+    schema: { type: 'number', exclusiveMinimum: 0 }
+  },
+  {
+    name: 'minProfit',
+    in: 'query',
+    required: false,
+    description: 'Minimum profit margin in percent (default 0)',
+    schema: { type: 'number', minimum: 0 }
+  }
+];
+
+// Fixture odds come back as a market -> selection -> price tree
+const filters = [
+  idListQuery('markets', 'Only these market IDs, comma-separated'),
+  idListQuery('bookmakers', 'Only these bookmaker IDs, comma-separated')
+];
+const tree = {
+  filters: object({
+    markets: { type: ['array', 'null'], items: integer },
+    bookmakers: { type: ['array', 'null'], items: integer }
+  }),
+  bookmakers: array(ref('OddsBookmaker')),
+  markets: array(ref('OddsMarket'))
+};
+const treeDescription = 'Odds grouped by market and selection, with one price per bookmaker and the best price ' +
+  'per selection. Market and bookmaker names are resolved on the server. Filters are applied to the cached odds.';
+
+export default {
+  '/odds/fixtures/{fixtureId}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'All pre-match odds for a fixture',
+      description: treeDescription,
+      parameters: [fixtureId, ...filters],
+      response: object({ message, fixtureId: integer, ...tree }, ['markets'])
+    })
+  },
+
+  '/odds/fixtures/{fixtureId}/history': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Recorded line movement of a fixture\'s pre-match odds',
+      description: [
+        'Prices recorded by the `snapshot-odds` job, per market, selection and bookmaker.',
+        'A point is stored only when a price changes. `opening` is the first price recorded,',
+        '`latest` the most recent, `closing` the last one before kick-off.',
+        'Fixtures the job never picked up have no markets.'
+      ].join(' '),
+      parameters: [
+        fixtureId,
+        {
+          name: 'marketId',
+          in: 'query',
+          description: 'Only this market (e.g. 1 = Fulltime Result)',
+          schema: { type: 'integer', minimum: 1 }
+        },
+        {
+          name: 'bookmakerId',
+          in: 'query',
+          description: 'Only this bookmaker',
+          schema: { type: 'integer', minimum: 1 }
+        }
+      ],
+      response: object({
+        message,
+        fixtureId: integer,
+        kickoffAt: { type: ['string', 'null'], format: 'date-time' },
+        snapshots: integer,
+        firstRecordedAt: { type: ['string', 'null'], format: 'date-time' },
+        lastRecordedAt: { type: ['string', 'null'], format: 'date-time' },
+        markets: array(ref('OddsHistoryMarket'))
+      }, ['fixtureId', 'snapshots', 'markets'])
+    })
+  },
+
+  '/odds/fixtures/{fixtureId}/bookmakers/{bookmakerId}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Pre-match odds for a fixture from one bookmaker',
+      description: treeDescription,
+      parameters: [fixtureId, idParam('bookmakerId', 'SportsMonks bookmaker ID'), ...filters],
+      response: object({ message, fixtureId: integer, bookmakerId: integer, ...tree }, ['markets'])
+    })
+  },
+
+  '/odds/fixtures/{fixtureId}/markets/{marketId}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Pre-match odds for a fixture in one market',
+      description: treeDescription,
+      parameters: [fixtureId, idParam('marketId', 'SportsMonks market ID'), ...filters],
+      response: object({ message, fixtureId: integer, marketId: integer, ...tree }, ['markets'])
+    })
+  },
+
+  '/odds/fixtures/{fixtureId}/markets/{marketId}/fair': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Bookmaker margins and fair odds for one market',
+      description: [
+        'Each bookmaker\'s overround and fair (de-margined) probabilities, plus a consensus fair line',
+        '(average of the bookmakers\' fair probabilities) with the edge of the best price against it.',
+        'Markets with lines are split into one book per line; bookmakers missing an outcome of a book are left out of it.'
+      ].join(' '),
+      parameters: [
+        fixtureId,
+        idParam('marketId', 'SportsMonks market ID'),
+        {
+          name: 'method',
+          in: 'query',
+          description: 'How the margin is removed',
+          schema: { type: 'string', enum: MARGIN_METHODS, default: 'proportional' }
+        },
+        idListQuery('bookmakers', 'Only these bookmaker IDs, comma-separated')
+      ],
+      response: object({
+        message,
+        fixtureId: integer,
+        marketId: integer,
+        marketName: string,
+        method: { type: 'string', enum: MARGIN_METHODS },
+        books: array(ref('FairOddsBook'))
+      }, ['marketId', 'method', 'books'])
+    })
+  },
+
+  '/odds/fixtures/{fixtureId}/arbitrage': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Arbitrage (surebets) across bookmakers in a fixture',
+      description: [
+        'Books (1X2, Over/Under per line, BTTS) whose best prices across bookmakers have implied probabilities',
+        'adding up to less than 1, with the stake split that pays the same whichever outcome wins.'
+      ].join(' '),
+      parameters: [fixtureId, ...arbitrageOptions],
+      response: object({
+        message,
+        fixtureId: integer,
+        filters: { type: 'object' },
+        opportunities: array(ref('Arbitrage'))
+      }, ['fixtureId', 'opportunities'])
+    })
+  },
+
+  '/odds/arbitrage': {
+    get: operation({
+      tag,
+      summary: 'Scan upcoming fixtures for arbitrage',
+      description: [
+        'Checks the upcoming fixtures of a date range and competitions, best profit margin first.',
+        'Only odds already in the cache are used, for every caller; fixtures without cached odds are counted',
+        'in `fixturesNotCached` instead of being fetched.'
+      ].join(' '),
+      parameters: [
+        dateQuery('startDate', 'First day (default today)'),
+        dateQuery('endDate', 'Last day (default a week after startDate, 14 days max)'),
+        idListQuery('leagues', 'League IDs, comma-separated (default 8,24,27)'),
+        ...arbitrageOptions
+      ],
+      errors: [502, 503],
+      response: object({
+        message,
+        filters: { type: 'object' },
+        fixturesScanned: { type: 'integer', description: 'Fixtures whose odds were in the cache' },
+        fixturesNotCached: integer,
+        truncated: { ...boolean, description: 'More fixtures matched than were looked up' },
+        opportunities: array(ref('Arbitrage'))
+      }, ['opportunities'])
+    })
+  },
+
+  '/odds/bookmakers': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'All bookmakers',
+      response: object({ message, bookmakers: array(ref('Bookmaker')) }, ['bookmakers'])
+    })
+  },
+
+  '/odds/bookmakers/{id}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Bookmaker details',
+      parameters: [idParam('id', 'SportsMonks bookmaker ID')],
+      errors: [404],
+      response: object({ bookmaker: ref('Bookmaker') }, ['bookmaker'])
+    })
+  },
+
+  '/odds/markets': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'All betting markets',
+      response: object({ message, markets: array(ref('Market')) }, ['markets'])
+    })
+  },
+
+  '/odds/markets/search/{query}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Search betting markets by name',
+      parameters: [searchParam],
+      response: object({ message, query: string, markets: array(ref('Market')) }, ['markets'])
+    })
+  },
+
+  '/odds/markets/{id}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Betting market details',
+      parameters: [idParam('id', 'SportsMonks market ID')],
+      errors: [404],
+      response: object({ market: ref('Market') }, ['market'])
+    })
+  }
+};
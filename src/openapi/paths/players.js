@@ -0,0 +1,31 @@
+// ============================================
+// OPENAPI PATHS: PLAYERS
+// ============================================
+
+import { operation, object, array, string, message, ref, idParam, searchParam } from '../components.js';
+
+const tag = 'Players';
+const auth = 'optional';
+
+export default {
+  '/players/search/{query}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Search players by name',
+      parameters: [searchParam],
+      response: object({ message, query: string, players: array(ref('Player')) }, ['players'])
+    })
+  },
+
+  '/players/{id}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Player details',
+      parameters: [idParam('id', 'SportsMonks player ID')],
+      errors: [404],
+      response: object({ player: ref('Player') }, ['player'])
+    })
+  }
+};
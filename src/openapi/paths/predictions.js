@@ -0,0 +1,48 @@
+// ============================================
+// OPENAPI PATHS: PREDICTIONS
+// ============================================
+
+import { operation, object, array, ref, integer, message, idParam, dateQuery } from '../components.js';
+
+export default {
+  '/predictions/predictability/leagues/{leagueId}': {
+    get: operation({
+      tag: 'Predictions',
+      auth: 'optional',
+      summary: 'How well the SportsMonks prediction model performs in a league',
+      parameters: [idParam('leagueId', 'SportsMonks league ID')],
+      response: object({ message, leagueId: integer, data: array({ type: 'object' }) }, ['data'])
+    })
+  },
+
+  '/predictions/calibration': {
+    get: operation({
+      tag: 'Predictions',
+      auth: 'optional',
+      summary: 'Our own scoring of the SportsMonks predictions',
+      description: 'Brier score, log loss, accuracy and reliability curve (10% buckets) of the predictions we ' +
+        'recorded before kick-off of followed fixtures, settled on the 90-minute score. Per market, overall and ' +
+        'per competition. Markets: fulltime result, both teams to score, over/under 1.5 to 4.5 goals.',
+      parameters: [
+        {
+          name: 'leagueId',
+          in: 'query',
+          description: 'Only this competition',
+          schema: { type: 'integer', minimum: 1 }
+        },
+        dateQuery('from', 'Fixtures kicking off on or after this date (UTC)'),
+        dateQuery('to', 'Fixtures kicking off on or before this date (UTC)')
+      ],
+      response: object({
+        message,
+        filters: object({
+          leagueId: { type: ['integer', 'null'] },
+          from: { type: ['string', 'null'] },
+          to: { type: ['string', 'null'] }
+        }),
+        fixtures: { type: 'integer', description: 'Settled fixtures in the report' },
+        markets: array(ref('CalibrationMarket'))
+      }, ['fixtures', 'markets'])
+    })
+  }
+};
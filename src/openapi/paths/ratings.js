@@ -0,0 +1,58 @@
+// ============================================
+// OPENAPI PATHS: TEAM RATINGS
+// ============================================
+
+import { operation, object, array, string, integer, number, boolean, message, ref, idParam } from '../components.js';
+
+const tag = 'Ratings';
+const auth = 'optional';
+
+export default {
+  '/ratings/leagues/{leagueId}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Elo ratings table of a competition',
+      description: [
+        'Every team in the competition\'s latest season in the fixtures warehouse, highest rated first.',
+        'Ratings span every competition in the warehouse, so a cup\'s lower-league sides are rated on the same scale.',
+        'Teams without a rated fixture yet get their division\'s starting rating (`provisional`).'
+      ].join(' '),
+      parameters: [idParam('leagueId', 'SportsMonks league ID')],
+      errors: [404],
+      response: object({
+        message,
+        leagueId: integer,
+        leagueName: { type: ['string', 'null'] },
+        season: object({ id: integer, name: string }),
+        teams: array(object({
+          rank: integer,
+          teamId: integer,
+          name: string,
+          shortCode: { type: ['string', 'null'] },
+          imagePath: { type: ['string', 'null'] },
+          rating: number,
+          provisional: boolean,
+          seasonChange: { type: 'number', description: 'Since the team\'s first fixture of the season' },
+          seasonFixtures: integer,
+          lastPlayedAt: { type: ['string', 'null'], format: 'date-time' }
+        }, ['rank', 'teamId', 'rating']))
+      }, ['season', 'teams'])
+    })
+  },
+
+  '/ratings/fixtures/{fixtureId}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Both sides\' Elo ratings and the chances they imply',
+      description: [
+        'A played fixture shows the ratings from before kick-off and how it changed them.',
+        'Teams come from the fixtures warehouse, or SportsMonks for fixtures it doesn\'t hold.'
+      ].join(' '),
+      parameters: [idParam('fixtureId', 'SportsMonks fixture ID')],
+      errors: [404],
+      response: ref('FixtureRatings')
+    })
+  }
+};
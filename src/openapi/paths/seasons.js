@@ -0,0 +1,47 @@
+// ============================================
+// OPENAPI PATHS: SEASONS
+// ============================================
+
+import { operation, object, array, string, integer, message, ref, idParam } from '../components.js';
+
+const tag = 'Seasons';
+const auth = 'optional';
+
+export default {
+  '/seasons': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'All seasons',
+      response: object({ message, count: integer, seasons: array(ref('Season')) }, ['seasons'])
+    })
+  },
+
+  '/seasons/leagues/{leagueId}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Seasons of a league',
+      parameters: [idParam('leagueId', 'SportsMonks league ID')],
+      errors: [404],
+      response: object({
+        message,
+        leagueId: integer,
+        leagueName: string,
+        count: integer,
+        seasons: array(ref('Season'))
+      }, ['seasons'])
+    })
+  },
+
+  '/seasons/{id}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Season details',
+      parameters: [idParam('id', 'SportsMonks season ID')],
+      errors: [404],
+      response: object({ season: ref('Season') }, ['season'])
+    })
+  }
+};
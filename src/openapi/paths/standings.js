@@ -0,0 +1,17 @@
+// ============================================
+// OPENAPI PATHS: STANDINGS
+// ============================================
+
+import { operation, object, array, integer, message, ref, idParam } from '../components.js';
+
+export default {
+  '/standings/seasons/{seasonId}': {
+    get: operation({
+      tag: 'Standings',
+      auth: 'optional',
+      summary: 'League table for a season',
+      parameters: [idParam('seasonId', 'SportsMonks season ID')],
+      response: object({ message, seasonId: integer, standings: array(ref('Standing')) }, ['standings'])
+    })
+  }
+};
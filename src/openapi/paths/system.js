@@ -0,0 +1,74 @@
+// ============================================
+// OPENAPI PATHS: HEALTH, STATUS & DOCS
+// ============================================
+
+import { operation, object, string, integer, dateTime, ref } from '../components.js';
+
+const tag = 'System';
+
+export default {
+  '/health': {
+    get: operation({
+      tag,
+      summary: 'Check the server is running',
+      description: 'Includes SportsMonks client health (circuit breaker, rate limit, mode).',
+      response: object({
+        status: string,
+        message: string,
+        timestamp: dateTime,
+        sportsmonks: { type: 'object' }
+      }, ['status'])
+    })
+  },
+
+  '/metrics': {
+    get: {
+      tags: [tag],
+      summary: 'Prometheus metrics',
+      description: 'Prometheus text format. Requires a Bearer token only when METRICS_TOKEN is set.',
+      security: [{}, { metricsToken: [] }],
+      responses: {
+        200: { description: 'Success', content: { 'text/plain': { schema: string } } },
+        401: { description: 'Invalid metrics token', content: { 'application/json': { schema: ref('Error') } } }
+      }
+    }
+  },
+
+  '/db-health': {
+    get: operation({
+      tag,
+      summary: 'Check the database connection',
+      errors: [503],
+      response: object({ status: string, message: string, userCount: integer }, ['status'])
+    })
+  },
+
+  '/me': {
+    get: operation({
+      tag,
+      summary: 'Check a token (returns a minimal profile)',
+      auth: 'user',
+      errors: [404],
+      response: object({
+        message: string,
+        user: object({ id: string, email: string, createdAt: dateTime })
+      }, ['user'])
+    })
+  },
+
+  '/types/status': {
+    get: operation({
+      tag,
+      summary: 'SportsMonks types cache status',
+      response: object({ status: string, cache: { type: 'object' } }, ['status'])
+    })
+  },
+
+  '/openapi.json': {
+    get: operation({
+      tag,
+      summary: 'This OpenAPI document',
+      description: 'Browse it interactively at /docs.'
+    })
+  }
+};
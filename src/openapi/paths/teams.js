@@ -0,0 +1,270 @@
+// ============================================
+// OPENAPI PATHS: TEAMS & COACHES
+// ============================================
+
+import {
+  operation, object, array, string, integer, number, boolean, dateTime, message, ref,
+  idParam, searchParam, includeQuery
+} from '../components.js';
+
+const tag = 'Teams';
+const auth = 'optional';
+
+const teamId = idParam('id', 'SportsMonks team ID');
+const seasonId = idParam('seasonId', 'SportsMonks season ID');
+
+// Corner totals for one venue (home / away / overall)
+const cornerTotals = object({ total: integer, games: integer, average: number });
+
+export default {
+  '/teams/search/{query}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Search teams by name',
+      parameters: [searchParam],
+      response: object({ message, teams: array(ref('Team')) }, ['teams'])
+    })
+  },
+
+  '/teams/h2h/{team1Id}/{team2Id}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Head-to-head fixtures between two teams',
+      description: [
+        'The two team IDs must be different.',
+        'Without `include`, the finished meetings stored in the fixtures warehouse are returned',
+        '(`source: "warehouse"`, no SportsMonks call) when it holds every finished meeting',
+        'SportsMonks listed for the pair at its last check (at most 7 days ago);',
+        'otherwise (e.g. meetings in seasons it doesn\'t sync) they come from SportsMonks.',
+        'Warehouse fixtures have `venue: null` and a `season` with only `id` and `name`.'
+      ].join(' '),
+      parameters: [
+        idParam('team1Id', 'First team (wins are counted from this side)'),
+        idParam('team2Id', 'Second team'),
+        includeQuery
+      ],
+      response: object({
+        message,
+        source: ref('DataSource'),
+        includes: ref('FixtureIncludes'),
+        summary: object({ totalMatches: integer, team1Wins: integer, team2Wins: integer, draws: integer }),
+        fixtures: array(ref('Fixture'))
+      }, ['summary', 'fixtures'])
+    })
+  },
+
+  '/teams/{id}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Team details',
+      parameters: [teamId],
+      errors: [404],
+      response: object({ team: ref('Team') }, ['team'])
+    })
+  },
+
+  '/teams/{id}/stats': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Team with statistics for all seasons',
+      parameters: [teamId],
+      errors: [404],
+      response: object({ team: ref('Team') }, ['team'])
+    })
+  },
+
+  '/teams/{id}/stats/seasons/{seasonId}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Team statistics for one season',
+      description: [
+        'For seasons synced into the fixtures warehouse the statistics are computed from the',
+        'stored fixtures in the SportsMonks shape (`source: "warehouse"`); otherwise they come',
+        'from SportsMonks.'
+      ].join(' '),
+      parameters: [teamId, seasonId],
+      errors: [404],
+      response: object({ teamId: integer, seasonId: integer, source: ref('DataSource'), team: ref('Team') }, ['team'])
+    })
+  },
+
+  '/teams/{id}/squad': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Current squad',
+      parameters: [teamId],
+      response: object({ message, teamId: integer, squad: array({ type: 'object' }) }, ['squad'])
+    })
+  },
+
+  '/teams/{id}/squad/seasons/{seasonId}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Squad for a season',
+      parameters: [teamId, seasonId],
+      response: object({ message, teamId: integer, seasonId: integer, squad: array({ type: 'object' }) }, ['squad'])
+    })
+  },
+
+  '/teams/{id}/fullsquad/seasons/{seasonId}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Squad for a season with each player\'s season statistics',
+      parameters: [teamId, seasonId],
+      response: object({
+        teamId: integer,
+        seasonId: integer,
+        totalPlayers: integer,
+        players: array({ type: 'object' })
+      }, ['players'])
+    })
+  },
+
+  '/teams/{id}/topstats/seasons/{seasonId}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Team\'s top scorers and top assists for a season',
+      parameters: [teamId, seasonId],
+      response: object({
+        teamId: integer,
+        seasonId: integer,
+        totalPlayers: integer,
+        topScorers: array({ type: 'object' }),
+        topAssists: array({ type: 'object' })
+      }, ['topScorers', 'topAssists'])
+    })
+  },
+
+  '/teams/{id}/transfers': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Transfer history',
+      parameters: [teamId],
+      response: object({ message, teamId: integer, transfers: array(ref('Transfer')) }, ['transfers'])
+    })
+  },
+
+  '/teams/{id}/seasons': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Seasons the team has played in',
+      parameters: [teamId],
+      response: object({ message, teamId: integer, seasons: array(ref('Season')) }, ['seasons'])
+    })
+  },
+
+  '/teams/{id}/schedule': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Upcoming schedule',
+      parameters: [teamId],
+      response: object({ message, teamId: integer, schedule: array({ type: 'object' }) }, ['schedule'])
+    })
+  },
+
+  '/teams/{id}/corners/seasons/{seasonId}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Corner averages (home, away, overall) for a season',
+      description: [
+        'Computed from every fixture of the season, so results are cached for 12 hours.',
+        'Seasons in the fixtures warehouse are computed from Postgres instead of SportsMonks.'
+      ].join(' '),
+      parameters: [teamId, seasonId],
+      errors: [404],
+      response: object({
+        teamId: integer,
+        seasonId: integer,
+        seasonName: string,
+        leagueName: string,
+        corners: object({ home: cornerTotals, away: cornerTotals, overall: cornerTotals }),
+        source: ref('DataSource'),
+        cachedAt: dateTime,
+        fromCache: boolean
+      }, ['corners'])
+    })
+  },
+
+  '/teams/{id}/corners/seasons/{seasonId}/cache': {
+    delete: operation({
+      tag,
+      auth,
+      summary: 'Clear the cached corner averages for a season',
+      parameters: [teamId, seasonId],
+      response: object({ message, cacheKey: string, deleted: boolean }, ['deleted'])
+    })
+  },
+
+  '/teams/{id}/rating-history': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Elo rating history and rating-implied chances in upcoming fixtures',
+      description: [
+        'One rating across every competition in the fixtures warehouse, rebuilt after each sync.',
+        'History is oldest first; upcoming lists the next 5 stored fixtures (opponents not rated yet are `provisional`).'
+      ].join(' '),
+      parameters: [teamId],
+      errors: [404],
+      response: object({
+        message,
+        team: object({
+          id: integer,
+          name: string,
+          shortCode: { type: ['string', 'null'] },
+          imagePath: { type: ['string', 'null'] },
+          rating: number,
+          startingRating: { type: 'number', description: 'Set by the division it played in at its first fixture' },
+          fixtures: integer,
+          lastPlayedAt: dateTime,
+          updatedAt: dateTime
+        }, ['id', 'rating']),
+        history: array(ref('TeamRatingChange')),
+        upcoming: array(object({
+          fixtureId: integer,
+          name: string,
+          startingAt: dateTime,
+          leagueId: integer,
+          leagueName: { type: ['string', 'null'] },
+          location: { type: 'string', enum: ['home', 'away'] },
+          opponent: object({ id: integer, name: { type: ['string', 'null'] }, rating: number, provisional: boolean }),
+          probabilities: object({ win: number, draw: number, loss: number }, ['win', 'draw', 'loss'])
+        }, ['fixtureId', 'opponent', 'probabilities']))
+      }, ['team', 'history', 'upcoming'])
+    })
+  },
+
+  '/teams/coaches/search/{query}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Search coaches by name',
+      parameters: [searchParam],
+      response: object({ message, query: string, coaches: array(ref('Coach')) }, ['coaches'])
+    })
+  },
+
+  '/teams/coaches/{id}': {
+    get: operation({
+      tag,
+      auth,
+      summary: 'Coach details',
+      parameters: [idParam('id', 'SportsMonks coach ID')],
+      errors: [404],
+      response: object({ coach: ref('Coach') }, ['coach'])
+    })
+  }
+};
@@ -0,0 +1,17 @@
+// ============================================
+// OPENAPI PATHS: TOP SCORERS
+// ============================================
+
+import { operation, object, array, integer, message, ref, idParam } from '../components.js';
+
+export default {
+  '/topscorers/seasons/{seasonId}': {
+    get: operation({
+      tag: 'Top Scorers',
+      auth: 'optional',
+      summary: 'Top scorers for a season',
+      parameters: [idParam('seasonId', 'SportsMonks season ID')],
+      response: object({ message, seasonId: integer, count: integer, topscorers: array(ref('TopScorer')) }, ['topscorers'])
+    })
+  }
+};
@@ -0,0 +1,54 @@
+// ============================================
+// OPENAPI PATHS: VALUE BETS
+// ============================================
+
+import { operation, object, array, integer, boolean, message, ref, idListQuery, dateQuery } from '../components.js';
+
+// Markets the value scan supports (same values as services/value.js)
+const VALUE_MARKET_IDS = '1 (Fulltime Result), 63 (Double Chance), 14 (Both Teams To Score), 12 (Goals Over/Under)';
+
+const oddsQuery = (name, description) => ({
+  name,
+  in: 'query',
+  required: false,
+  description,
+  schema: { type: 'number', minimum: 1 }
+});
+
+export default {
+  '/value': {
+    get: operation({
+      tag: 'Value',
+      summary: 'Value bets: selections priced above the SportsMonks prediction model',
+      description: [
+        'Compares the SportsMonks prediction of each selection with its best bookmaker price across upcoming',
+        'fixtures, and ranks the selections with a positive edge by expected value.',
+        'Always served from cached predictions and odds; at most 30 fixtures (soonest first) are scanned.'
+      ].join(' '),
+      parameters: [
+        dateQuery('startDate', 'First day (default today)'),
+        dateQuery('endDate', 'Last day (default a week after startDate, 14 days max)'),
+        idListQuery('leagues', 'League IDs, comma-separated (default 8,24,27)'),
+        idListQuery('markets', `Market IDs, comma-separated (default all): ${VALUE_MARKET_IDS}`),
+        {
+          name: 'minEdge',
+          in: 'query',
+          required: false,
+          description: 'Minimum edge in percentage points (default 0)',
+          schema: { type: 'number', minimum: 0 }
+        },
+        oddsQuery('minOdds', 'Minimum best decimal price'),
+        oddsQuery('maxOdds', 'Maximum best decimal price')
+      ],
+      errors: [502, 503],
+      response: object({
+        message,
+        filters: { type: 'object' },
+        fixturesScanned: integer,
+        fixturesSkipped: { type: 'integer', description: 'Fixtures without predictions, or that failed to load' },
+        truncated: { ...boolean, description: 'More fixtures matched than were scanned' },
+        opportunities: array(ref('ValueBet'))
+      }, ['opportunities'])
+    })
+  }
+};
@@ -15,6 +15,10 @@ import crypto from 'crypto';
 import prisma from '../db.js';
 import authMiddleware from '../middleware/auth.js';
 import { sendPasswordResetEmail } from '../services/email.js';
+import { createLogger } from '../services/logger.js';
+import { NotFoundError, UnauthorizedError, ValidationError } from '../services/errors.js';
+
+const log = createLogger('Auth');
 
 const router = express.Router();
 
@@ -53,6 +57,7 @@ const sanitizeUser = (user) => {
     timezone: user.timezone,
     dateFormat: user.dateFormat,
     temperatureUnit: user.temperatureUnit,
+    unitSize: user.unitSize,
     hasSecurityQuestion: !!user.securityQuestion,
     isAdmin: user.isAdmin || false,
     createdAt: user.createdAt
@@ -68,126 +73,114 @@ const sanitizeUser = (user) => {
 //   password: string (required),
 //   oddsFormat: 'AMERICAN' | 'DECIMAL' | 'FRACTIONAL' (optional),
 //   timezone: string (optional, IANA timezone),
+//   unitSize: number (optional, default stake of one unit),
 //   securityQuestion: string (optional),
 //   securityAnswer: string (optional, required if question provided)
 // }
 // ============================================
 
 router.post('/register', async (req, res) => {
-  try {
-    const {
-      email,
-      password,
-      oddsFormat,
-      timezone,
-      dateFormat,
-      temperatureUnit,
-      securityQuestion,
-      securityAnswer
-    } = req.body;
-
-    // -----------------------------------------
-    // VALIDATION
-    // -----------------------------------------
-
-    // Required fields
-    if (!email || !password) {
-      return res.status(400).json({
-        error: 'Email and password are required'
-      });
-    }
-
-    // Password length
-    if (password.length < 6) {
-      return res.status(400).json({
-        error: 'Password must be at least 6 characters'
-      });
-    }
-
-    // Odds format validation (if provided)
-    if (oddsFormat && !VALID_ODDS_FORMATS.includes(oddsFormat)) {
-      return res.status(400).json({
-        error: `Invalid odds format. Must be one of: ${VALID_ODDS_FORMATS.join(', ')}`
-      });
-    }
-
-    // Date format validation (if provided)
-    if (dateFormat && !VALID_DATE_FORMATS.includes(dateFormat)) {
-      return res.status(400).json({
-        error: `Invalid date format. Must be one of: ${VALID_DATE_FORMATS.join(', ')}`
-      });
-    }
+  const {
+    email,
+    password,
+    oddsFormat,
+    timezone,
+    dateFormat,
+    temperatureUnit,
+    unitSize,
+    securityQuestion,
+    securityAnswer
+  } = req.body;
+
+  // -----------------------------------------
+  // VALIDATION
+  // -----------------------------------------
+
+  // Required fields
+  if (!email || !password) {
+    throw new ValidationError('Email and password are required');
+  }
 
-    // Temperature unit validation (if provided)
-    if (temperatureUnit && !VALID_TEMPERATURE_UNITS.includes(temperatureUnit)) {
-      return res.status(400).json({
-        error: `Invalid temperature unit. Must be one of: ${VALID_TEMPERATURE_UNITS.join(', ')}`
-      });
-    }
+  // Password length
+  if (password.length < 6) {
+    throw new ValidationError('Password must be at least 6 characters');
+  }
 
-    // Security question requires an answer
-    if (securityQuestion && !securityAnswer) {
-      return res.status(400).json({
-        error: 'Security answer is required when providing a security question'
-      });
-    }
+  // Odds format validation (if provided)
+  if (oddsFormat && !VALID_ODDS_FORMATS.includes(oddsFormat)) {
+    throw new ValidationError(`Invalid odds format. Must be one of: ${VALID_ODDS_FORMATS.join(', ')}`);
+  }
 
-    // Check if user already exists
-    const existingUser = await prisma.user.findUnique({
-      where: { email }
-    });
+  // Date format validation (if provided)
+  if (dateFormat && !VALID_DATE_FORMATS.includes(dateFormat)) {
+    throw new ValidationError(`Invalid date format. Must be one of: ${VALID_DATE_FORMATS.join(', ')}`);
+  }
 
-    if (existingUser) {
-      return res.status(400).json({
-        error: 'Email already registered'
-      });
-    }
+  // Temperature unit validation (if provided)
+  if (temperatureUnit && !VALID_TEMPERATURE_UNITS.includes(temperatureUnit)) {
+    throw new ValidationError(`Invalid temperature unit. Must be one of: ${VALID_TEMPERATURE_UNITS.join(', ')}`);
+  }
 
-    // -----------------------------------------
-    // CREATE USER
-    // -----------------------------------------
+  // Unit size validation (if provided)
+  if (unitSize !== undefined && (typeof unitSize !== 'number' || !(unitSize > 0))) {
+    throw new ValidationError('Unit size must be a positive number');
+  }
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
+  // Security question requires an answer
+  if (securityQuestion && !securityAnswer) {
+    throw new ValidationError('Security answer is required when providing a security question');
+  }
 
-    // Hash security answer if provided
-    let hashedSecurityAnswer = null;
-    if (securityAnswer) {
-      // Normalize answer: lowercase, trim whitespace
-      const normalizedAnswer = securityAnswer.toLowerCase().trim();
-      hashedSecurityAnswer = await bcrypt.hash(normalizedAnswer, SALT_ROUNDS);
-    }
+  // Check if user already exists
+  const existingUser = await prisma.user.findUnique({
+    where: { email }
+  });
 
-    // Build user data object
-    const userData = {
-      email,
-      password: hashedPassword
-    };
+  if (existingUser) {
+    throw new ValidationError('Email already registered');
+  }
 
-    // Add optional fields if provided
-    if (oddsFormat) userData.oddsFormat = oddsFormat;
-    if (timezone) userData.timezone = timezone;
-    if (dateFormat) userData.dateFormat = dateFormat;
-    if (temperatureUnit) userData.temperatureUnit = temperatureUnit;
-    if (securityQuestion) userData.securityQuestion = securityQuestion;
-    if (hashedSecurityAnswer) userData.securityAnswer = hashedSecurityAnswer;
+  // -----------------------------------------
+  // CREATE USER
+  // -----------------------------------------
 
-    // Create the user
-    const user = await prisma.user.create({ data: userData });
+  // Hash password
+  const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
 
-    // -----------------------------------------
-    // RESPONSE
-    // -----------------------------------------
+  // Hash security answer if provided
+  let hashedSecurityAnswer = null;
+  if (securityAnswer) {
+    // Normalize answer: lowercase, trim whitespace
+    const normalizedAnswer = securityAnswer.toLowerCase().trim();
+    hashedSecurityAnswer = await bcrypt.hash(normalizedAnswer, SALT_ROUNDS);
+  }
 
-    res.status(201).json({
-      message: 'User registered successfully',
-      user: sanitizeUser(user)
-    });
+  // Build user data object
+  const userData = {
+    email,
+    password: hashedPassword
+  };
 
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Server error' });
-  }
+  // Add optional fields if provided
+  if (oddsFormat) userData.oddsFormat = oddsFormat;
+  if (timezone) userData.timezone = timezone;
+  if (dateFormat) userData.dateFormat = dateFormat;
+  if (temperatureUnit) userData.temperatureUnit = temperatureUnit;
+  if (unitSize) userData.unitSize = unitSize;
+  if (securityQuestion) userData.securityQuestion = securityQuestion;
+  if (hashedSecurityAnswer) userData.securityAnswer = hashedSecurityAnswer;
+
+  // Create the user
+  const user = await prisma.user.create({ data: userData });
+
+  // -----------------------------------------
+  // RESPONSE
+  // -----------------------------------------
+
+  res.status(201).json({
+    message: 'User registered successfully',
+    user: sanitizeUser(user)
+  });
 });
 
 // ============================================
@@ -199,54 +192,42 @@ router.post('/register', async (req, res) => {
 // ============================================
 
 router.post('/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    // Validation
-    if (!email || !password) {
-      return res.status(400).json({
-        error: 'Email and password are required'
-      });
-    }
-
-    // Find user
-    const user = await prisma.user.findUnique({
-      where: { email }
-    });
-
-    if (!user) {
-      return res.status(401).json({
-        error: 'Invalid email or password'
-      });
-    }
+  const { email, password } = req.body;
 
-    // Verify password
-    const passwordMatch = await bcrypt.compare(password, user.password);
+  // Validation
+  if (!email || !password) {
+    throw new ValidationError('Email and password are required');
+  }
 
-    if (!passwordMatch) {
-      return res.status(401).json({
-        error: 'Invalid email or password'
-      });
-    }
+  // Find user
+  const user = await prisma.user.findUnique({
+    where: { email }
+  });
 
-    // Create JWT token
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+  if (!user) {
+    throw new UnauthorizedError('Invalid email or password');
+  }
 
-    // Return token and user info (including preferences)
-    res.json({
-      message: 'Login successful',
-      token,
-      user: sanitizeUser(user)
-    });
+  // Verify password
+  const passwordMatch = await bcrypt.compare(password, user.password);
 
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Server error' });
+  if (!passwordMatch) {
+    throw new UnauthorizedError('Invalid email or password');
   }
+
+  // Create JWT token
+  const token = jwt.sign(
+    { userId: user.id },
+    process.env.JWT_SECRET,
+    { expiresIn: '7d' }
+  );
+
+  // Return token and user info (including preferences)
+  res.json({
+    message: 'Login successful',
+    token,
+    user: sanitizeUser(user)
+  });
 });
 
 // ============================================
@@ -257,92 +238,80 @@ router.post('/login', async (req, res) => {
 // ============================================
 
 router.get('/me', authMiddleware, async (req, res) => {
-  try {
-    const user = await prisma.user.findUnique({
-      where: { id: req.user.userId }
-    });
-
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    res.json({ user: sanitizeUser(user) });
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.userId }
+  });
 
-  } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ error: 'Server error' });
+  if (!user) {
+    throw new NotFoundError('User not found');
   }
+
+  res.json({ user: sanitizeUser(user) });
 });
 
 // ============================================
 // UPDATE PREFERENCES (Protected)
 // PATCH /auth/preferences
 // ============================================
-// Body: { oddsFormat?, timezone?, dateFormat?, temperatureUnit? }
+// Body: { oddsFormat?, timezone?, dateFormat?, temperatureUnit?, unitSize? }
 // ============================================
 
 router.patch('/preferences', authMiddleware, async (req, res) => {
-  try {
-    const { oddsFormat, timezone, dateFormat, temperatureUnit } = req.body;
-    const updateData = {};
-
-    // Validate and add odds format
-    if (oddsFormat !== undefined) {
-      if (!VALID_ODDS_FORMATS.includes(oddsFormat)) {
-        return res.status(400).json({
-          error: `Invalid odds format. Must be one of: ${VALID_ODDS_FORMATS.join(', ')}`
-        });
-      }
-      updateData.oddsFormat = oddsFormat;
-    }
+  const { oddsFormat, timezone, dateFormat, temperatureUnit, unitSize } = req.body;
+  const updateData = {};
 
-    // Add timezone (we trust the frontend to send valid IANA timezones)
-    if (timezone !== undefined) {
-      updateData.timezone = timezone;
+  // Validate and add odds format
+  if (oddsFormat !== undefined) {
+    if (!VALID_ODDS_FORMATS.includes(oddsFormat)) {
+      throw new ValidationError(`Invalid odds format. Must be one of: ${VALID_ODDS_FORMATS.join(', ')}`);
     }
+    updateData.oddsFormat = oddsFormat;
+  }
 
-    // Validate and add date format
-    if (dateFormat !== undefined) {
-      if (!VALID_DATE_FORMATS.includes(dateFormat)) {
-        return res.status(400).json({
-          error: `Invalid date format. Must be one of: ${VALID_DATE_FORMATS.join(', ')}`
-        });
-      }
-      updateData.dateFormat = dateFormat;
+  // Add timezone (we trust the frontend to send valid IANA timezones)
+  if (timezone !== undefined) {
+    updateData.timezone = timezone;
+  }
+
+  // Validate and add date format
+  if (dateFormat !== undefined) {
+    if (!VALID_DATE_FORMATS.includes(dateFormat)) {
+      throw new ValidationError(`Invalid date format. Must be one of: ${VALID_DATE_FORMATS.join(', ')}`);
     }
+    updateData.dateFormat = dateFormat;
+  }
 
-    // Validate and add temperature unit
-    if (temperatureUnit !== undefined) {
-      if (!VALID_TEMPERATURE_UNITS.includes(temperatureUnit)) {
-        return res.status(400).json({
-          error: `Invalid temperature unit. Must be one of: ${VALID_TEMPERATURE_UNITS.join(', ')}`
-        });
-      }
-      updateData.temperatureUnit = temperatureUnit;
+  // Validate and add temperature unit
+  if (temperatureUnit !== undefined) {
+    if (!VALID_TEMPERATURE_UNITS.includes(temperatureUnit)) {
+      throw new ValidationError(`Invalid temperature unit. Must be one of: ${VALID_TEMPERATURE_UNITS.join(', ')}`);
     }
+    updateData.temperatureUnit = temperatureUnit;
+  }
 
-    // Check if there's anything to update
-    if (Object.keys(updateData).length === 0) {
-      return res.status(400).json({
-        error: 'No preferences provided to update'
-      });
+  // Validate and add unit size (default stake of one unit, see services/bankrolls.js)
+  if (unitSize !== undefined) {
+    if (typeof unitSize !== 'number' || !(unitSize > 0)) {
+      throw new ValidationError('Unit size must be a positive number');
     }
+    updateData.unitSize = unitSize;
+  }
 
-    // Update user
-    const user = await prisma.user.update({
-      where: { id: req.user.userId },
-      data: updateData
-    });
+  // Check if there's anything to update
+  if (Object.keys(updateData).length === 0) {
+    throw new ValidationError('No preferences provided to update');
+  }
 
-    res.json({
-      message: 'Preferences updated successfully',
-      user: sanitizeUser(user)
-    });
+  // Update user
+  const user = await prisma.user.update({
+    where: { id: req.user.userId },
+    data: updateData
+  });
 
-  } catch (error) {
-    console.error('Update preferences error:', error);
-    res.status(500).json({ error: 'Server error' });
-  }
+  res.json({
+    message: 'Preferences updated successfully',
+    user: sanitizeUser(user)
+  });
 });
 
 // ============================================
@@ -354,55 +323,47 @@ router.patch('/preferences', authMiddleware, async (req, res) => {
 // ============================================
 
 router.patch('/email', authMiddleware, async (req, res) => {
-  try {
-    const { newEmail, password } = req.body;
-
-    // Validation
-    if (!newEmail || !password) {
-      return res.status(400).json({
-        error: 'New email and current password are required'
-      });
-    }
+  const { newEmail, password } = req.body;
 
-    // Get current user
-    const user = await prisma.user.findUnique({
-      where: { id: req.user.userId }
-    });
+  // Validation
+  if (!newEmail || !password) {
+    throw new ValidationError('New email and current password are required');
+  }
 
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+  // Get current user
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.userId }
+  });
 
-    // Verify password
-    const passwordMatch = await bcrypt.compare(password, user.password);
-    if (!passwordMatch) {
-      return res.status(401).json({ error: 'Incorrect password' });
-    }
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
 
-    // Check if new email is already taken
-    const existingUser = await prisma.user.findUnique({
-      where: { email: newEmail }
-    });
+  // Verify password
+  const passwordMatch = await bcrypt.compare(password, user.password);
+  if (!passwordMatch) {
+    throw new UnauthorizedError('Incorrect password');
+  }
 
-    if (existingUser) {
-      return res.status(400).json({ error: 'Email already in use' });
-    }
+  // Check if new email is already taken
+  const existingUser = await prisma.user.findUnique({
+    where: { email: newEmail }
+  });
 
-    // Update email
-    const updatedUser = await prisma.user.update({
-      where: { id: req.user.userId },
-      data: { email: newEmail }
-    });
+  if (existingUser) {
+    throw new ValidationError('Email already in use');
+  }
 
-    res.json({
-      message: 'Email updated successfully',
-      user: sanitizeUser(updatedUser)
-    });
+  // Update email
+  const updatedUser = await prisma.user.update({
+    where: { id: req.user.userId },
+    data: { email: newEmail }
+  });
 
-  } catch (error) {
-    console.error('Change email error:', error);
-    res.status(500).json({ error: 'Server error' });
-  }
+  res.json({
+    message: 'Email updated successfully',
+    user: sanitizeUser(updatedUser)
+  });
 });
 
 // ============================================
@@ -413,51 +374,41 @@ router.patch('/email', authMiddleware, async (req, res) => {
 // ============================================
 
 router.patch('/password', authMiddleware, async (req, res) => {
-  try {
-    const { currentPassword, newPassword } = req.body;
-
-    // Validation
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({
-        error: 'Current password and new password are required'
-      });
-    }
+  const { currentPassword, newPassword } = req.body;
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({
-        error: 'New password must be at least 6 characters'
-      });
-    }
+  // Validation
+  if (!currentPassword || !newPassword) {
+    throw new ValidationError('Current password and new password are required');
+  }
 
-    // Get current user
-    const user = await prisma.user.findUnique({
-      where: { id: req.user.userId }
-    });
+  if (newPassword.length < 6) {
+    throw new ValidationError('New password must be at least 6 characters');
+  }
 
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+  // Get current user
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.userId }
+  });
 
-    // Verify current password
-    const passwordMatch = await bcrypt.compare(currentPassword, user.password);
-    if (!passwordMatch) {
-      return res.status(401).json({ error: 'Current password is incorrect' });
-    }
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
 
-    // Hash and update new password
-    const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
-    
-    await prisma.user.update({
-      where: { id: req.user.userId },
-      data: { password: hashedPassword }
-    });
+  // Verify current password
+  const passwordMatch = await bcrypt.compare(currentPassword, user.password);
+  if (!passwordMatch) {
+    throw new UnauthorizedError('Current password is incorrect');
+  }
 
-    res.json({ message: 'Password updated successfully' });
+  // Hash and update new password
+  const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
+  
+  await prisma.user.update({
+    where: { id: req.user.userId },
+    data: { password: hashedPassword }
+  });
 
-  } catch (error) {
-    console.error('Change password error:', error);
-    res.status(500).json({ error: 'Server error' });
-  }
+  res.json({ message: 'Password updated successfully' });
 });
 
 // ============================================
@@ -469,68 +420,60 @@ router.patch('/password', authMiddleware, async (req, res) => {
 // ============================================
 
 router.patch('/security-question', authMiddleware, async (req, res) => {
-  try {
-    const { securityQuestion, securityAnswer, password } = req.body;
-
-    // Password required for this operation
-    if (!password) {
-      return res.status(400).json({
-        error: 'Password is required to change security question'
-      });
-    }
+  const { securityQuestion, securityAnswer, password } = req.body;
 
-    // Get current user
-    const user = await prisma.user.findUnique({
-      where: { id: req.user.userId }
-    });
-
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+  // Password required for this operation
+  if (!password) {
+    throw new ValidationError('Password is required to change security question');
+  }
 
-    // Verify password
-    const passwordMatch = await bcrypt.compare(password, user.password);
-    if (!passwordMatch) {
-      return res.status(401).json({ error: 'Incorrect password' });
-    }
+  // Get current user
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.userId }
+  });
 
-    // Prepare update data
-    let updateData = {};
-
-    if (!securityQuestion || !securityAnswer) {
-      // Remove security question
-      updateData = {
-        securityQuestion: null,
-        securityAnswer: null
-      };
-    } else {
-      // Set/update security question
-      const normalizedAnswer = securityAnswer.toLowerCase().trim();
-      const hashedAnswer = await bcrypt.hash(normalizedAnswer, SALT_ROUNDS);
-      
-      updateData = {
-        securityQuestion,
-        securityAnswer: hashedAnswer
-      };
-    }
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
 
-    // Update user
-    const updatedUser = await prisma.user.update({
-      where: { id: req.user.userId },
-      data: updateData
-    });
+  // Verify password
+  const passwordMatch = await bcrypt.compare(password, user.password);
+  if (!passwordMatch) {
+    throw new UnauthorizedError('Incorrect password');
+  }
 
-    res.json({
-      message: securityQuestion 
-        ? 'Security question updated successfully' 
-        : 'Security question removed',
-      user: sanitizeUser(updatedUser)
-    });
+  // Prepare update data
+  let updateData = {};
 
-  } catch (error) {
-    console.error('Update security question error:', error);
-    res.status(500).json({ error: 'Server error' });
+  if (!securityQuestion || !securityAnswer) {
+    // Remove security question
+    updateData = {
+      securityQuestion: null,
+      securityAnswer: null
+    };
+  } else {
+    // Set/update security question
+    const normalizedAnswer = securityAnswer.toLowerCase().trim();
+    const hashedAnswer = await bcrypt.hash(normalizedAnswer, SALT_ROUNDS);
+    
+    updateData = {
+      securityQuestion,
+      securityAnswer: hashedAnswer
+    };
   }
+
+  // Update user
+  const updatedUser = await prisma.user.update({
+    where: { id: req.user.userId },
+    data: updateData
+  });
+
+  res.json({
+    message: securityQuestion 
+      ? 'Security question updated successfully' 
+      : 'Security question removed',
+    user: sanitizeUser(updatedUser)
+  });
 });
 
 // ============================================
@@ -542,67 +485,61 @@ router.patch('/security-question', authMiddleware, async (req, res) => {
 // ============================================
 
 router.post('/forgot-password', async (req, res) => {
-  try {
-    const { email } = req.body;
+  const { email } = req.body;
 
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
-    }
+  if (!email) {
+    throw new ValidationError('Email is required');
+  }
 
-    // Find user (but don't reveal if account exists)
-    const user = await prisma.user.findUnique({
-      where: { email }
-    });
+  // Find user (but don't reveal if account exists)
+  const user = await prisma.user.findUnique({
+    where: { email }
+  });
 
-    // Always return success message (to prevent email enumeration)
-    const successMessage = 'If an account with that email exists, a password reset link has been sent.';
+  // Always return success message (to prevent email enumeration)
+  const successMessage = 'If an account with that email exists, a password reset link has been sent.';
 
-    if (!user) {
-      // Don't reveal that account doesn't exist
-      return res.json({ message: successMessage });
-    }
-
-    // Generate reset token
-    const resetToken = generateResetToken();
-    const hashedToken = hashToken(resetToken);
-    const expiresAt = new Date(Date.now() + RESET_TOKEN_EXPIRY_HOURS * 60 * 60 * 1000);
-
-    // Invalidate any existing reset tokens for this user
-    await prisma.passwordReset.updateMany({
-      where: { 
-        userId: user.id,
-        used: false
-      },
-      data: { used: true }
-    });
-
-    // Create new reset token
-    await prisma.passwordReset.create({
-      data: {
-        userId: user.id,
-        token: hashedToken,
-        expiresAt
-      }
-    });
-
-    // Send reset email
-    const emailResult = await sendPasswordResetEmail(
-      user.email,
-      null, // We don't store names currently
-      resetToken // Send the unhashed token in the email
-    );
-
-    if (!emailResult.success && !emailResult.devMode) {
-      console.error('Failed to send reset email:', emailResult.error);
-      // Still return success to prevent enumeration
-    }
-
-    res.json({ message: successMessage });
+  if (!user) {
+    // Don't reveal that account doesn't exist
+    return res.json({ message: successMessage });
+  }
 
-  } catch (error) {
-    console.error('Forgot password error:', error);
-    res.status(500).json({ error: 'Server error' });
+  // Generate reset token
+  const resetToken = generateResetToken();
+  const hashedToken = hashToken(resetToken);
+  const expiresAt = new Date(Date.now() + RESET_TOKEN_EXPIRY_HOURS * 60 * 60 * 1000);
+
+  // Invalidate any existing reset tokens for this user
+  await prisma.passwordReset.updateMany({
+    where: { 
+      userId: user.id,
+      used: false
+    },
+    data: { used: true }
+  });
+
+  // Create new reset token
+  await prisma.passwordReset.create({
+    data: {
+      userId: user.id,
+      token: hashedToken,
+      expiresAt
+    }
+  });
+
+  // Send reset email
+  const emailResult = await sendPasswordResetEmail(
+    user.email,
+    null, // We don't store names currently
+    resetToken // Send the unhashed token in the email
+  );
+
+  if (!emailResult.success && !emailResult.devMode) {
+    log.error('Failed to send reset email', { error: emailResult.error });
+    // Still return success to prevent enumeration
   }
+
+  res.json({ message: successMessage });
 });
 
 // ============================================
@@ -613,61 +550,49 @@ router.post('/forgot-password', async (req, res) => {
 // ============================================
 
 router.post('/reset-password', async (req, res) => {
-  try {
-    const { token, newPassword } = req.body;
+  const { token, newPassword } = req.body;
 
-    if (!token || !newPassword) {
-      return res.status(400).json({
-        error: 'Token and new password are required'
-      });
-    }
-
-    if (newPassword.length < 6) {
-      return res.status(400).json({
-        error: 'Password must be at least 6 characters'
-      });
-    }
+  if (!token || !newPassword) {
+    throw new ValidationError('Token and new password are required');
+  }
 
-    // Hash the provided token to compare with stored hash
-    const hashedToken = hashToken(token);
-
-    // Find valid reset token
-    const resetRecord = await prisma.passwordReset.findFirst({
-      where: {
-        token: hashedToken,
-        used: false,
-        expiresAt: { gt: new Date() }
-      },
-      include: { user: true }
-    });
-
-    if (!resetRecord) {
-      return res.status(400).json({
-        error: 'Invalid or expired reset token'
-      });
-    }
+  if (newPassword.length < 6) {
+    throw new ValidationError('Password must be at least 6 characters');
+  }
 
-    // Hash new password
-    const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
+  // Hash the provided token to compare with stored hash
+  const hashedToken = hashToken(token);
+
+  // Find valid reset token
+  const resetRecord = await prisma.passwordReset.findFirst({
+    where: {
+      token: hashedToken,
+      used: false,
+      expiresAt: { gt: new Date() }
+    },
+    include: { user: true }
+  });
+
+  if (!resetRecord) {
+    throw new ValidationError('Invalid or expired reset token');
+  }
 
-    // Update password and mark token as used
-    await prisma.$transaction([
-      prisma.user.update({
-        where: { id: resetRecord.userId },
-        data: { password: hashedPassword }
-      }),
-      prisma.passwordReset.update({
-        where: { id: resetRecord.id },
-        data: { used: true }
-      })
-    ]);
+  // Hash new password
+  const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
 
-    res.json({ message: 'Password reset successfully. You can now log in.' });
+  // Update password and mark token as used
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { id: resetRecord.userId },
+      data: { password: hashedPassword }
+    }),
+    prisma.passwordReset.update({
+      where: { id: resetRecord.id },
+      data: { used: true }
+    })
+  ]);
 
-  } catch (error) {
-    console.error('Reset password error:', error);
-    res.status(500).json({ error: 'Server error' });
-  }
+  res.json({ message: 'Password reset successfully. You can now log in.' });
 });
 
 // ============================================
@@ -679,30 +604,22 @@ router.post('/reset-password', async (req, res) => {
 // ============================================
 
 router.post('/get-security-question', async (req, res) => {
-  try {
-    const { email } = req.body;
-
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
-    }
-
-    const user = await prisma.user.findUnique({
-      where: { email },
-      select: { securityQuestion: true }
-    });
+  const { email } = req.body;
 
-    if (!user || !user.securityQuestion) {
-      return res.status(404).json({
-        error: 'No security question found for this account'
-      });
-    }
+  if (!email) {
+    throw new ValidationError('Email is required');
+  }
 
-    res.json({ securityQuestion: user.securityQuestion });
+  const user = await prisma.user.findUnique({
+    where: { email },
+    select: { securityQuestion: true }
+  });
 
-  } catch (error) {
-    console.error('Get security question error:', error);
-    res.status(500).json({ error: 'Server error' });
+  if (!user || !user.securityQuestion) {
+    throw new NotFoundError('No security question found for this account');
   }
+
+  res.json({ securityQuestion: user.securityQuestion });
 });
 
 // ============================================
@@ -714,68 +631,56 @@ router.post('/get-security-question', async (req, res) => {
 // ============================================
 
 router.post('/verify-security-answer', async (req, res) => {
-  try {
-    const { email, securityAnswer } = req.body;
-
-    if (!email || !securityAnswer) {
-      return res.status(400).json({
-        error: 'Email and security answer are required'
-      });
-    }
+  const { email, securityAnswer } = req.body;
 
-    const user = await prisma.user.findUnique({
-      where: { email }
-    });
+  if (!email || !securityAnswer) {
+    throw new ValidationError('Email and security answer are required');
+  }
 
-    if (!user || !user.securityAnswer) {
-      return res.status(400).json({
-        error: 'Invalid email or security answer'
-      });
-    }
+  const user = await prisma.user.findUnique({
+    where: { email }
+  });
 
-    // Normalize and verify answer
-    const normalizedAnswer = securityAnswer.toLowerCase().trim();
-    const answerMatch = await bcrypt.compare(normalizedAnswer, user.securityAnswer);
+  if (!user || !user.securityAnswer) {
+    throw new ValidationError('Invalid email or security answer');
+  }
 
-    if (!answerMatch) {
-      return res.status(400).json({
-        error: 'Invalid email or security answer'
-      });
-    }
+  // Normalize and verify answer
+  const normalizedAnswer = securityAnswer.toLowerCase().trim();
+  const answerMatch = await bcrypt.compare(normalizedAnswer, user.securityAnswer);
 
-    // Generate reset token (same as email flow)
-    const resetToken = generateResetToken();
-    const hashedToken = hashToken(resetToken);
-    const expiresAt = new Date(Date.now() + RESET_TOKEN_EXPIRY_HOURS * 60 * 60 * 1000);
-
-    // Invalidate existing tokens
-    await prisma.passwordReset.updateMany({
-      where: { 
-        userId: user.id,
-        used: false
-      },
-      data: { used: true }
-    });
-
-    // Create new reset token
-    await prisma.passwordReset.create({
-      data: {
-        userId: user.id,
-        token: hashedToken,
-        expiresAt
-      }
-    });
-
-    // Return the token directly (since they proved identity via security question)
-    res.json({
-      message: 'Security answer verified',
-      resetToken
-    });
-
-  } catch (error) {
-    console.error('Verify security answer error:', error);
-    res.status(500).json({ error: 'Server error' });
+  if (!answerMatch) {
+    throw new ValidationError('Invalid email or security answer');
   }
+
+  // Generate reset token (same as email flow)
+  const resetToken = generateResetToken();
+  const hashedToken = hashToken(resetToken);
+  const expiresAt = new Date(Date.now() + RESET_TOKEN_EXPIRY_HOURS * 60 * 60 * 1000);
+
+  // Invalidate existing tokens
+  await prisma.passwordReset.updateMany({
+    where: { 
+      userId: user.id,
+      used: false
+    },
+    data: { used: true }
+  });
+
+  // Create new reset token
+  await prisma.passwordReset.create({
+    data: {
+      userId: user.id,
+      token: hashedToken,
+      expiresAt
+    }
+  });
+
+  // Return the token directly (since they proved identity via security question)
+  res.json({
+    message: 'Security answer verified',
+    resetToken
+  });
 });
 
 // Export the router
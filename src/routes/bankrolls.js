@@ -0,0 +1,167 @@
+// ============================================
+// BANKROLLS ROUTES
+// ============================================
+// Named bankrolls with deposits/withdrawals, staking plans, stake
+// suggestions and balance history (see services/bankrolls.js).
+// All routes are protected by authMiddleware (applied in index.js).
+// Users can only access their own bankrolls.
+// ============================================
+
+import express from 'express';
+import {
+  listBankrolls,
+  createBankroll,
+  getBankroll,
+  updateBankroll,
+  deleteBankroll,
+  addTransaction,
+  deleteTransaction,
+  getBankrollHistory,
+  suggestStake
+} from '../services/bankrolls.js';
+
+// Create a router
+const router = express.Router();
+
+// Bodies and query parameters are validated against the OpenAPI spec
+// before these routes run (see middleware/validate.js)
+
+// Optional number from the query string (already validated)
+const queryNumber = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+// ============================================
+// LIST BANKROLLS
+// GET /bankrolls
+// ============================================
+
+router.get('/', async (req, res) => {
+  const result = await listBankrolls(req.user.userId);
+
+  res.json(result);
+});
+
+// ============================================
+// CREATE BANKROLL
+// POST /bankrolls
+// Body: { name, stakingPlan?, unitSize?, stakePercent?, kellyFraction?, maxStakePercent?, initialDeposit? }
+// ============================================
+
+router.post('/', async (req, res) => {
+  const bankroll = await createBankroll(req.user.userId, req.body);
+
+  res.status(201).json({
+    message: 'Bankroll created successfully',
+    bankroll
+  });
+});
+
+// ============================================
+// GET SINGLE BANKROLL
+// GET /bankrolls/:id
+// ============================================
+
+router.get('/:id', async (req, res) => {
+  const bankroll = await getBankroll(req.user.userId, req.params.id);
+
+  res.json({ bankroll });
+});
+
+// ============================================
+// UPDATE BANKROLL
+// PUT /bankrolls/:id
+// Body: { name?, stakingPlan?, unitSize?, stakePercent?, kellyFraction?, maxStakePercent? }
+// ============================================
+
+router.put('/:id', async (req, res) => {
+  const bankroll = await updateBankroll(req.user.userId, req.params.id, req.body);
+
+  res.json({
+    message: 'Bankroll updated successfully',
+    bankroll
+  });
+});
+
+// ============================================
+// DELETE BANKROLL
+// DELETE /bankrolls/:id
+// ============================================
+// Its bets are kept, without a bankroll
+
+router.delete('/:id', async (req, res) => {
+  await deleteBankroll(req.user.userId, req.params.id);
+
+  res.json({
+    message: 'Bankroll deleted successfully',
+    deletedBankrollId: req.params.id
+  });
+});
+
+// ============================================
+// DEPOSIT / WITHDRAW
+// POST /bankrolls/:id/transactions
+// Body: { type: DEPOSIT|WITHDRAWAL, amount, occurredAt?, note? }
+// ============================================
+
+router.post('/:id/transactions', async (req, res) => {
+  const bankroll = await addTransaction(req.user.userId, req.params.id, req.body);
+
+  res.status(201).json({
+    message: req.body.type === 'DEPOSIT' ? 'Deposit recorded' : 'Withdrawal recorded',
+    bankroll
+  });
+});
+
+// ============================================
+// DELETE A TRANSACTION
+// DELETE /bankrolls/:id/transactions/:transactionId
+// ============================================
+
+router.delete('/:id/transactions/:transactionId', async (req, res) => {
+  const bankroll = await deleteTransaction(req.user.userId, req.params.id, req.params.transactionId);
+
+  res.json({
+    message: 'Transaction deleted successfully',
+    bankroll
+  });
+});
+
+// ============================================
+// BALANCE HISTORY
+// GET /bankrolls/:id/history
+// ============================================
+// Balance after each deposit, withdrawal and settled bet, with growth
+// and drawdown
+
+router.get('/:id/history', async (req, res) => {
+  const history = await getBankrollHistory(req.user.userId, req.params.id);
+
+  res.json(history);
+});
+
+// ============================================
+// STAKE SUGGESTION
+// GET /bankrolls/:id/stake-suggestion
+// Query: ?odds=2.1&probability=0.5 or ?odds=2.1&fixtureId=..&marketId=..&selectionKey=..
+//        &units=2 (flat plans)
+// ============================================
+
+router.get('/:id/stake-suggestion', async (req, res) => {
+  const { odds, probability, fixtureId, marketId, selectionKey, units } = req.query;
+
+  const suggestion = await suggestStake(req.user.userId, req.params.id, {
+    odds: Number(odds),
+    probability: queryNumber(probability),
+    fixtureId: queryNumber(fixtureId),
+    marketId: queryNumber(marketId),
+    selectionKey,
+    units: queryNumber(units)
+  });
+
+  res.json(suggestion);
+});
+
+// ============================================
+// EXPORT THE ROUTER
+// ============================================
+
+export default router;
@@ -0,0 +1,186 @@
+// ============================================
+// BETS ROUTES
+// ============================================
+// Ledger of bets the user placed elsewhere (singles and multiples),
+// settled automatically from final scores (see services/bets.js).
+// All routes are protected by authMiddleware (applied in index.js).
+// Users can only access their own bets.
+//
+// NOTE: BetSmoke does NOT place bets or integrate with sportsbooks -
+// bets are logged by hand to track results.
+// ============================================
+
+import express from 'express';
+import {
+  createBet,
+  listBets,
+  getBet,
+  updateBet,
+  deleteBet,
+  settleSelection
+} from '../services/bets.js';
+import { getClvReport } from '../services/clv.js';
+import { getBetAnalytics } from '../services/betAnalytics.js';
+import { ValidationError } from '../services/errors.js';
+
+// Create a router
+const router = express.Router();
+
+// Bodies and query parameters are validated against the OpenAPI spec
+// before these routes run (see middleware/validate.js)
+
+/**
+ * Placed-date range from ?from=YYYY-MM-DD&to=YYYY-MM-DD (whole UTC days,
+ * inclusive)
+ * @param {object} query - req.query
+ * @returns {{ from: Date|undefined, to: Date|undefined }}
+ */
+function placedRange({ from, to }) {
+  if (from && to && from > to) {
+    throw new ValidationError('from must not be after to', { from, to });
+  }
+
+  return {
+    from: from ? new Date(`${from}T00:00:00.000Z`) : undefined,
+    to: to ? new Date(`${to}T23:59:59.999Z`) : undefined
+  };
+}
+
+// ============================================
+// LOG A BET
+// POST /bets
+// Body: { stake, selections: [{ fixtureId, marketId, selectionKey, odds, ... }], bookmakerId?, bookmakerName?, bankrollId?, placedAt?, notes? }
+// ============================================
+
+router.post('/', async (req, res) => {
+  // 1. Get the userId from the token (set by authMiddleware)
+  const userId = req.user.userId;
+
+  // 2. Create the bet (fixture names and kick-offs come from SportsMonks)
+  const bet = await createBet(userId, req.body);
+
+  // 3. Return the created bet
+  res.status(201).json({
+    message: 'Bet logged successfully',
+    bet
+  });
+});
+
+// ============================================
+// LIST BETS
+// GET /bets
+// Optional query params: ?status=open|settled|WON|LOST|VOID&bankrollId=uuid
+// The summary (profit/loss, ROI) covers all of the user's bets (or all
+// of the bankroll's), whatever the status
+// ============================================
+
+router.get('/', async (req, res) => {
+  const { status, bankrollId } = req.query;
+  const result = await listBets(req.user.userId, { status, bankrollId });
+
+  res.json(result);
+});
+
+// ============================================
+// CLOSING LINE VALUE REPORT
+// GET /bets/clv
+// Optional query params: ?from=YYYY-MM-DD&to=YYYY-MM-DD (placed date, UTC)
+// ============================================
+// CLV of each selection against its closing price (captured by the
+// capture-closing-odds job), overall and by competition, market and
+// bookmaker, plus a running average over time for the chart.
+
+router.get('/clv', async (req, res) => {
+  const { from, to } = req.query;
+  const report = await getClvReport(req.user.userId, placedRange(req.query));
+
+  res.json({
+    message: `CLV of ${report.overall.selections} selections`,
+    ...report,
+    filters: { from: from || null, to: to || null }
+  });
+});
+
+// ============================================
+// PERFORMANCE ANALYTICS
+// GET /bets/analytics
+// Optional query params: ?from=YYYY-MM-DD&to=YYYY-MM-DD (placed date, UTC)
+//                        &bankrollId=uuid
+// ============================================
+// ROI, yield, strike rate, streaks and drawdown of settled bets, with
+// breakdowns by competition, market, bookmaker, odds band and day of week.
+
+router.get('/analytics', async (req, res) => {
+  const { from, to, bankrollId } = req.query;
+  const report = await getBetAnalytics(req.user.userId, { ...placedRange(req.query), bankrollId });
+
+  res.json({
+    message: `Analytics of ${report.overall.bets} settled bets`,
+    filters: { from: from || null, to: to || null, bankrollId: bankrollId || null },
+    ...report
+  });
+});
+
+// ============================================
+// GET SINGLE BET
+// GET /bets/:id
+// ============================================
+
+router.get('/:id', async (req, res) => {
+  const bet = await getBet(req.user.userId, req.params.id);
+
+  res.json({ bet });
+});
+
+// ============================================
+// UPDATE BET
+// PUT /bets/:id
+// Body: { stake?, bookmakerId?, bookmakerName?, bankrollId?, placedAt?, notes? }
+// Selections can't be changed: delete the bet and log it again
+// ============================================
+
+router.put('/:id', async (req, res) => {
+  const bet = await updateBet(req.user.userId, req.params.id, req.body);
+
+  res.json({
+    message: 'Bet updated successfully',
+    bet
+  });
+});
+
+// ============================================
+// DELETE BET
+// DELETE /bets/:id
+// ============================================
+
+router.delete('/:id', async (req, res) => {
+  await deleteBet(req.user.userId, req.params.id);
+
+  res.json({
+    message: 'Bet deleted successfully',
+    deletedBetId: req.params.id
+  });
+});
+
+// ============================================
+// SETTLE A SELECTION BY HAND
+// PUT /bets/:id/selections/:selectionId
+// Body: { status: OPEN|WON|LOST|VOID, resultInfo? }
+// ============================================
+// For markets the settlement job can't grade (corners, handicaps, ...)
+// or to correct a result. OPEN re-opens the selection.
+
+router.put('/:id/selections/:selectionId', async (req, res) => {
+  const bet = await settleSelection(req.user.userId, req.params.id, req.params.selectionId, req.body);
+
+  res.json({
+    message: 'Selection updated successfully',
+    bet
+  });
+});
+
+// ============================================
+// EXPORT THE ROUTER
+// ============================================
+
+export default router;
@@ -31,9 +31,13 @@ import {
 // so the frontend doesn't need hardcoded type_id mappings
 import { enrichFixtureWithTypes } from '../services/types.js';
 
+// Our own Poisson / Dixon-Coles model (next to SportsMonks predictions)
+import { getFixtureModel } from '../services/matchModel.js';
+
 // Import optional auth middleware - sets req.user if token present, but allows anonymous access
 // Authenticated users get fresh data (skipCache), anonymous users get cached data
 import { optionalAuthMiddleware } from '../middleware/auth.js';
+import { NotFoundError, ValidationError } from '../services/errors.js';
 
 // Create a router
 const router = express.Router();
@@ -41,22 +45,8 @@ const router = express.Router();
 // Apply optional auth to all routes - allows both authenticated and anonymous access
 router.use(optionalAuthMiddleware);
 
-// ============================================
-// HELPER: Validate Date Format
-// ============================================
-// Checks if a string is a valid YYYY-MM-DD date
-
-function isValidDate(dateString) {
-  // Check format with regex
-  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-  if (!dateRegex.test(dateString)) {
-    return false;
-  }
-  
-  // Check if it's an actual valid date
-  const date = new Date(dateString);
-  return date instanceof Date && !isNaN(date);
-}
+// IDs, dates and search terms in the URL are validated against the
+// OpenAPI spec before these routes run (see middleware/validate.js)
 
 // ============================================
 // HELPER: Calculate Days Between Dates
@@ -111,44 +101,26 @@ function parseIncludeOptions(query) {
 // NOTE: This route must come BEFORE /:id to avoid conflicts
 
 router.get('/date/:date', async (req, res) => {
-  try {
-    const { date } = req.params;
-    
-    // Parse optional includes from query string
-    const options = parseIncludeOptions(req.query);
-    
-    // Validate date format
-    if (!isValidDate(date)) {
-      return res.status(400).json({
-        error: 'Invalid date format',
-        expected: 'YYYY-MM-DD',
-        received: date
-      });
-    }
-    
-    // Call the SportsMonks service with options
-    // Authenticated users bypass cache for fresh data
-    options.skipCache = !!req.user;
-    const result = await getFixturesByDate(date, options);
-    
-    // Return the fixtures
-    res.json({
-      message: `Found ${result.data?.length || 0} fixtures on ${date}`,
-      date: date,
-      includes: {
-        odds: options.includeOdds,
-        sidelined: options.includeSidelined
-      },
-      fixtures: result.data || []
-    });
-    
-  } catch (error) {
-    console.error('Fixtures by date error:', error);
-    res.status(500).json({ 
-      error: 'Failed to get fixtures',
-      details: error.message 
-    });
-  }
+  const { date } = req.params;
+  
+  // Parse optional includes from query string
+  const options = parseIncludeOptions(req.query);
+  
+  // Call the SportsMonks service with options
+  // Authenticated users bypass cache for fresh data
+  options.skipCache = !!req.user;
+  const result = await getFixturesByDate(date, options);
+  
+  // Return the fixtures
+  res.json({
+    message: `Found ${result.data?.length || 0} fixtures on ${date}`,
+    date: date,
+    includes: {
+      odds: options.includeOdds,
+      sidelined: options.includeSidelined
+    },
+    fixtures: result.data || []
+  });
 });
 
 // ============================================
@@ -159,72 +131,40 @@ router.get('/date/:date', async (req, res) => {
 // NOTE: Maximum 100 days range (SportsMonks limit)
 
 router.get('/between/:startDate/:endDate', async (req, res) => {
-  try {
-    const { startDate, endDate } = req.params;
-    
-    // Parse optional includes from query string
-    const options = parseIncludeOptions(req.query);
-    
-    // Validate both dates
-    if (!isValidDate(startDate)) {
-      return res.status(400).json({
-        error: 'Invalid start date format',
-        expected: 'YYYY-MM-DD',
-        received: startDate
-      });
-    }
-    
-    if (!isValidDate(endDate)) {
-      return res.status(400).json({
-        error: 'Invalid end date format',
-        expected: 'YYYY-MM-DD',
-        received: endDate
-      });
-    }
-    
-    // Check that start date is before end date
-    if (new Date(startDate) > new Date(endDate)) {
-      return res.status(400).json({
-        error: 'Start date must be before end date',
-        startDate,
-        endDate
-      });
-    }
-    
-    // Check the 100-day limit
-    const days = daysBetween(startDate, endDate);
-    if (days > 100) {
-      return res.status(400).json({
-        error: 'Date range too large',
-        maxDays: 100,
-        requestedDays: days,
-        tip: 'Break your request into smaller chunks'
-      });
-    }
-    
-    // Call the SportsMonks service with options
-    // Authenticated users bypass cache for fresh data
-    options.skipCache = !!req.user;
-    const result = await getFixturesByDateRange(startDate, endDate, options);
-    
-    // Return the fixtures
-    res.json({
-      message: `Found ${result.data?.length || 0} fixtures between ${startDate} and ${endDate}`,
-      dateRange: { startDate, endDate, days },
-      includes: {
-        odds: options.includeOdds,
-        sidelined: options.includeSidelined
-      },
-      fixtures: result.data || []
-    });
-    
-  } catch (error) {
-    console.error('Fixtures by date range error:', error);
-    res.status(500).json({ 
-      error: 'Failed to get fixtures',
-      details: error.message 
+  const { startDate, endDate } = req.params;
+  
+  // Parse optional includes from query string
+  const options = parseIncludeOptions(req.query);
+  
+  // Check that start date is before end date
+  if (new Date(startDate) > new Date(endDate)) {
+    throw new ValidationError('Start date must be before end date', { startDate, endDate });
+  }
+  
+  // Check the 100-day limit
+  const days = daysBetween(startDate, endDate);
+  if (days > 100) {
+    throw new ValidationError('Date range too large (100 days max). Break your request into smaller chunks.', {
+      maxDays: 100,
+      requestedDays: days
     });
   }
+  
+  // Call the SportsMonks service with options
+  // Authenticated users bypass cache for fresh data
+  options.skipCache = !!req.user;
+  const result = await getFixturesByDateRange(startDate, endDate, options);
+  
+  // Return the fixtures
+  res.json({
+    message: `Found ${result.data?.length || 0} fixtures between ${startDate} and ${endDate}`,
+    dateRange: { startDate, endDate, days },
+    includes: {
+      odds: options.includeOdds,
+      sidelined: options.includeSidelined
+    },
+    fixtures: result.data || []
+  });
 });
 
 // ============================================
@@ -235,75 +175,37 @@ router.get('/between/:startDate/:endDate', async (req, res) => {
 // Returns only fixtures for a specific team within the date range
 
 router.get('/between/:startDate/:endDate/team/:teamId', async (req, res) => {
-  try {
-    const { startDate, endDate, teamId } = req.params;
-    
-    // Parse optional includes from query string
-    const options = parseIncludeOptions(req.query);
-    
-    // Validate both dates
-    if (!isValidDate(startDate)) {
-      return res.status(400).json({
-        error: 'Invalid start date format',
-        expected: 'YYYY-MM-DD',
-        received: startDate
-      });
-    }
-    
-    if (!isValidDate(endDate)) {
-      return res.status(400).json({
-        error: 'Invalid end date format',
-        expected: 'YYYY-MM-DD',
-        received: endDate
-      });
-    }
-    
-    // Validate team ID
-    if (isNaN(teamId)) {
-      return res.status(400).json({
-        error: 'Team ID must be a number',
-        received: teamId
-      });
-    }
-    
-    // Check that start date is before end date
-    if (new Date(startDate) > new Date(endDate)) {
-      return res.status(400).json({
-        error: 'Start date must be before end date',
-        startDate,
-        endDate
-      });
-    }
-    
-    // NOTE: No 100-day limit for team-specific queries
-    // Team fixtures return fewer results, so larger date ranges are OK
-    // This allows searching entire seasons for a single team
-    const days = daysBetween(startDate, endDate);
-    
-    // Call the SportsMonks service with options
-    // Authenticated users bypass cache for fresh data
-    options.skipCache = !!req.user;
-    const result = await getTeamFixturesByDateRange(startDate, endDate, teamId, options);
-    
-    // Return the fixtures
-    res.json({
-      message: `Found ${result.data?.length || 0} fixtures for team ${teamId} between ${startDate} and ${endDate}`,
-      teamId: parseInt(teamId),
-      dateRange: { startDate, endDate, days },
-      includes: {
-        odds: options.includeOdds,
-        sidelined: options.includeSidelined
-      },
-      fixtures: result.data || []
-    });
-    
-  } catch (error) {
-    console.error('Team fixtures by date range error:', error);
-    res.status(500).json({ 
-      error: 'Failed to get fixtures',
-      details: error.message 
-    });
+  const { startDate, endDate, teamId } = req.params;
+  
+  // Parse optional includes from query string
+  const options = parseIncludeOptions(req.query);
+  
+  // Check that start date is before end date
+  if (new Date(startDate) > new Date(endDate)) {
+    throw new ValidationError('Start date must be before end date', { startDate, endDate });
   }
+  
+  // NOTE: No 100-day limit for team-specific queries
+  // Team fixtures return fewer results, so larger date ranges are OK
+  // This allows searching entire seasons for a single team
+  const days = daysBetween(startDate, endDate);
+  
+  // Call the SportsMonks service with options
+  // Authenticated users bypass cache for fresh data
+  options.skipCache = !!req.user;
+  const result = await getTeamFixturesByDateRange(startDate, endDate, teamId, options);
+  
+  // Return the fixtures
+  res.json({
+    message: `Found ${result.data?.length || 0} fixtures for team ${teamId} between ${startDate} and ${endDate}`,
+    teamId: parseInt(teamId),
+    dateRange: { startDate, endDate, days },
+    includes: {
+      odds: options.includeOdds,
+      sidelined: options.includeSidelined
+    },
+    fixtures: result.data || []
+  });
 });
 
 // ============================================
@@ -314,42 +216,26 @@ router.get('/between/:startDate/:endDate/team/:teamId', async (req, res) => {
 // Searches fixtures by team name - useful when you know the teams but not fixture ID
 
 router.get('/search/:query', async (req, res) => {
-  try {
-    const searchQuery = req.params.query;
-    
-    // Parse optional includes from query string
-    const options = parseIncludeOptions(req.query);
-    
-    // Validate: query must be at least 2 characters
-    if (!searchQuery || searchQuery.length < 2) {
-      return res.status(400).json({
-        error: 'Search query must be at least 2 characters'
-      });
-    }
-    
-    // Call the SportsMonks service with options
-    // Authenticated users bypass cache for fresh data
-    options.skipCache = !!req.user;
-    const result = await searchFixtures(searchQuery, options);
-    
-    // Return the fixtures
-    res.json({
-      message: `Found ${result.data?.length || 0} fixtures matching "${searchQuery}"`,
-      query: searchQuery,
-      includes: {
-        odds: options.includeOdds,
-        sidelined: options.includeSidelined
-      },
-      fixtures: result.data || []
-    });
-    
-  } catch (error) {
-    console.error('Fixture search error:', error);
-    res.status(500).json({ 
-      error: 'Failed to search fixtures',
-      details: error.message 
-    });
-  }
+  const searchQuery = req.params.query;
+  
+  // Parse optional includes from query string
+  const options = parseIncludeOptions(req.query);
+  
+  // Call the SportsMonks service with options
+  // Authenticated users bypass cache for fresh data
+  options.skipCache = !!req.user;
+  const result = await searchFixtures(searchQuery, options);
+  
+  // Return the fixtures
+  res.json({
+    message: `Found ${result.data?.length || 0} fixtures matching "${searchQuery}"`,
+    query: searchQuery,
+    includes: {
+      odds: options.includeOdds,
+      sidelined: options.includeSidelined
+    },
+    fixtures: result.data || []
+  });
 });
 
 // ============================================
@@ -362,45 +248,29 @@ router.get('/search/:query', async (req, res) => {
 // Each stage contains its fixtures with teams, scores, and venues
 
 router.get('/seasons/:seasonId', async (req, res) => {
-  try {
-    const { seasonId } = req.params;
-    
-    // Validate: seasonId must be a number
-    if (isNaN(seasonId)) {
-      return res.status(400).json({
-        error: 'Season ID must be a number'
-      });
-    }
-    
-    // Call the SportsMonks service
-    // This uses /stages/seasons/{seasonId} with fixtures include
-    const result = await getStagesBySeason(seasonId, { skipCache: !!req.user });
-    
-    // The response.data is an array of stages
-    // Each stage has: id, name, sort_order, finished, is_current, starting_at, ending_at, fixtures[]
-    const stages = result.data || [];
-    
-    // Count total fixtures across all stages
-    const totalFixtures = stages.reduce((total, stage) => {
-      return total + (stage.fixtures?.length || 0);
-    }, 0);
-    
-    // Return the stages with fixtures
-    // NOTE: Frontend expects "rounds" key for backward compatibility
-    res.json({
-      seasonId: parseInt(seasonId),
-      totalStages: stages.length,
-      totalFixtures: totalFixtures,
-      stages: stages
-    });
-    
-  } catch (error) {
-    console.error('Get stages error:', error);
-    res.status(500).json({ 
-      error: 'Failed to get stages',
-      details: error.message 
-    });
-  }
+  const { seasonId } = req.params;
+  
+  // Call the SportsMonks service
+  // This uses /stages/seasons/{seasonId} with fixtures include
+  const result = await getStagesBySeason(seasonId, { skipCache: !!req.user });
+  
+  // The response.data is an array of stages
+  // Each stage has: id, name, sort_order, finished, is_current, starting_at, ending_at, fixtures[]
+  const stages = result.data || [];
+  
+  // Count total fixtures across all stages
+  const totalFixtures = stages.reduce((total, stage) => {
+    return total + (stage.fixtures?.length || 0);
+  }, 0);
+  
+  // Return the stages with fixtures
+  // NOTE: Frontend expects "rounds" key for backward compatibility
+  res.json({
+    seasonId: parseInt(seasonId),
+    totalStages: stages.length,
+    totalFixtures: totalFixtures,
+    stages: stages
+  });
 });
 
 // ============================================
@@ -412,45 +282,42 @@ router.get('/seasons/:seasonId', async (req, res) => {
 // Includes: Match result, BTTS, Over/Under, Corners, Correct Score, etc.
 
 router.get('/:id/predictions', async (req, res) => {
-  try {
-    const fixtureId = req.params.id;
-    
-    // Validate: ID must be a number
-    if (isNaN(fixtureId)) {
-      return res.status(400).json({
-        error: 'Fixture ID must be a number'
-      });
-    }
-    
-    // Call the SportsMonks service
-    const result = await getFixturePredictions(fixtureId, { skipCache: !!req.user });
-    
-    // Check if fixture was found
-    if (!result.data) {
-      return res.status(404).json({
-        error: `Fixture with ID ${fixtureId} not found`
-      });
-    }
-    
-    // Extract predictions from the response
-    const predictions = result.data.predictions || [];
-    
-    // Return the predictions
-    res.json({
-      fixtureId: parseInt(fixtureId),
-      fixtureName: result.data.name,
-      startingAt: result.data.starting_at,
-      predictionsCount: predictions.length,
-      predictions: predictions
-    });
-    
-  } catch (error) {
-    console.error('Get predictions error:', error);
-    res.status(500).json({ 
-      error: 'Failed to get predictions',
-      details: error.message 
-    });
+  const fixtureId = req.params.id;
+  
+  // Call the SportsMonks service
+  const result = await getFixturePredictions(fixtureId, { skipCache: !!req.user });
+  
+  // Check if fixture was found
+  if (!result.data) {
+    throw new NotFoundError(`Fixture with ID ${fixtureId} not found`);
   }
+  
+  // Extract predictions from the response
+  const predictions = result.data.predictions || [];
+  
+  // Return the predictions
+  res.json({
+    fixtureId: parseInt(fixtureId),
+    fixtureName: result.data.name,
+    startingAt: result.data.starting_at,
+    predictionsCount: predictions.length,
+    predictions: predictions
+  });
+});
+
+// ============================================
+// GET OUR MODEL'S PROBABILITIES FOR A FIXTURE
+// GET /fixtures/:id/model
+// Example: GET /fixtures/19427635/model
+// ============================================
+// Poisson / Dixon-Coles model fitted on the season's finished fixtures
+// before kick-off: expected goals, 1X2, over/under, BTTS, correct score
+// and Asian handicap (see services/matchModel.js)
+
+router.get('/:id/model', async (req, res) => {
+  const model = await getFixtureModel(req.params.id, { skipCache: !!req.user });
+
+  res.json(model);
 });
 
 // ============================================
@@ -461,57 +328,39 @@ router.get('/:id/predictions', async (req, res) => {
 // NOTE: This route MUST come LAST to avoid catching other routes
 
 router.get('/:id', async (req, res) => {
-  try {
-    const fixtureId = req.params.id;
-    
-    // Parse optional includes from query string
-    const options = parseIncludeOptions(req.query);
-    
-    // Validate: ID must be a number
-    if (isNaN(fixtureId)) {
-      return res.status(400).json({
-        error: 'Fixture ID must be a number'
-      });
-    }
-    
-    // Call the SportsMonks service with options
-    // Authenticated users bypass cache for fresh data
-    options.skipCache = !!req.user;
-    const result = await getFixtureById(fixtureId, options);
-    
-    // Check if fixture was found
-    if (!result.data) {
-      return res.status(404).json({
-        error: `Fixture with ID ${fixtureId} not found`
-      });
-    }
-    
-    // ============================================
-    // ENRICH WITH TYPE NAMES
-    // ============================================
-    // Add human-readable type names to:
-    // - statistics (e.g., type_id: 34 → typeName: "Corners")
-    // - events (e.g., type_id: 14 → typeName: "Goal")
-    // - sidelined (e.g., type_id: 535 → typeName: "Hamstring Injury")
-    // This uses our local database cache instead of extra API calls.
-    await enrichFixtureWithTypes(result.data);
-    
-    // Return the fixture
-    res.json({
-      includes: {
-        odds: options.includeOdds,
-        sidelined: options.includeSidelined
-      },
-      fixture: result.data
-    });
-    
-  } catch (error) {
-    console.error('Get fixture error:', error);
-    res.status(500).json({ 
-      error: 'Failed to get fixture',
-      details: error.message 
-    });
+  const fixtureId = req.params.id;
+  
+  // Parse optional includes from query string
+  const options = parseIncludeOptions(req.query);
+  
+  // Call the SportsMonks service with options
+  // Authenticated users bypass cache for fresh data
+  options.skipCache = !!req.user;
+  const result = await getFixtureById(fixtureId, options);
+  
+  // Check if fixture was found
+  if (!result.data) {
+    throw new NotFoundError(`Fixture with ID ${fixtureId} not found`);
   }
+  
+  // ============================================
+  // ENRICH WITH TYPE NAMES
+  // ============================================
+  // Add human-readable type names to:
+  // - statistics (e.g., type_id: 34 → typeName: "Corners")
+  // - events (e.g., type_id: 14 → typeName: "Goal")
+  // - sidelined (e.g., type_id: 535 → typeName: "Hamstring Injury")
+  // This uses our local database cache instead of extra API calls.
+  await enrichFixtureWithTypes(result.data);
+  
+  // Return the fixture
+  res.json({
+    includes: {
+      odds: options.includeOdds,
+      sidelined: options.includeSidelined
+    },
+    fixture: result.data
+  });
 });
 
 // ============================================
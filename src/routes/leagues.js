@@ -18,6 +18,7 @@ import {
 // Import optional auth middleware - sets req.user if token present, but allows anonymous access
 // Authenticated users get fresh data (skipCache), anonymous users get cached data
 import { optionalAuthMiddleware } from '../middleware/auth.js';
+import { NotFoundError } from '../services/errors.js';
 
 // Create a router
 const router = express.Router();
@@ -34,26 +35,17 @@ router.use(optionalAuthMiddleware);
 // Includes: country info, current season
 
 router.get('/', async (req, res) => {
-  try {
-    // Call the SportsMonks service
-    const result = await getAllLeagues({ skipCache: !!req.user });
-
-    const leagues = result.data || [];
-
-    // Return the leagues
-    res.json({
-      message: `Found ${leagues.length} leagues`,
-      count: leagues.length,
-      leagues: leagues
-    });
-
-  } catch (error) {
-    console.error('Get all leagues error:', error);
-    res.status(500).json({
-      error: 'Failed to get leagues',
-      details: error.message
-    });
-  }
+  // Call the SportsMonks service
+  const result = await getAllLeagues({ skipCache: !!req.user });
+
+  const leagues = result.data || [];
+
+  // Return the leagues
+  res.json({
+    message: `Found ${leagues.length} leagues`,
+    count: leagues.length,
+    leagues: leagues
+  });
 });
 
 // ============================================
@@ -65,36 +57,20 @@ router.get('/', async (req, res) => {
 // Note: This must come BEFORE /:id route
 
 router.get('/search/:query', async (req, res) => {
-  try {
-    const { query } = req.params;
-
-    // Validate: query must be at least 2 characters
-    if (!query || query.length < 2) {
-      return res.status(400).json({
-        error: 'Search query must be at least 2 characters'
-      });
-    }
-
-    // Call the SportsMonks service
-    const result = await searchLeagues(query, { skipCache: !!req.user });
-
-    const leagues = result.data || [];
-
-    // Return the leagues
-    res.json({
-      message: `Found ${leagues.length} leagues matching "${query}"`,
-      query: query,
-      count: leagues.length,
-      leagues: leagues
-    });
-
-  } catch (error) {
-    console.error('Search leagues error:', error);
-    res.status(500).json({
-      error: 'Failed to search leagues',
-      details: error.message
-    });
-  }
+  const { query } = req.params;
+
+  // Call the SportsMonks service
+  const result = await searchLeagues(query, { skipCache: !!req.user });
+
+  const leagues = result.data || [];
+
+  // Return the leagues
+  res.json({
+    message: `Found ${leagues.length} leagues matching "${query}"`,
+    query: query,
+    count: leagues.length,
+    leagues: leagues
+  });
 });
 
 // ============================================
@@ -111,38 +87,20 @@ router.get('/search/:query', async (req, res) => {
 //   - 27: Carabao Cup
 
 router.get('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    // Validate: id must be a number
-    if (isNaN(id)) {
-      return res.status(400).json({
-        error: 'League ID must be a number'
-      });
-    }
-
-    // Call the SportsMonks service
-    const result = await getLeagueById(id, { skipCache: !!req.user });
-
-    // Check if league was found
-    if (!result.data) {
-      return res.status(404).json({
-        error: `League with ID ${id} not found`
-      });
-    }
-
-    // Return the league
-    res.json({
-      league: result.data
-    });
-
-  } catch (error) {
-    console.error('Get league by ID error:', error);
-    res.status(500).json({
-      error: 'Failed to get league',
-      details: error.message
-    });
+  const { id } = req.params;
+
+  // Call the SportsMonks service
+  const result = await getLeagueById(id, { skipCache: !!req.user });
+
+  // Check if league was found
+  if (!result.data) {
+    throw new NotFoundError(`League with ID ${id} not found`);
   }
+
+  // Return the league
+  res.json({
+    league: result.data
+  });
 });
 
 // ============================================
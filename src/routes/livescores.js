@@ -33,26 +33,17 @@ router.use(optionalAuthMiddleware);
 // Includes: teams, current score, league info
 
 router.get('/', async (req, res) => {
-  try {
-    // Call the SportsMonks service
-    const result = await getLivescores({ skipCache: !!req.user });
+  // Call the SportsMonks service
+  const result = await getLivescores({ skipCache: !!req.user });
 
-    const fixtures = result.data || [];
+  const fixtures = result.data || [];
 
-    // Return the live scores
-    res.json({
-      message: `Found ${fixtures.length} live/upcoming fixtures`,
-      count: fixtures.length,
-      fixtures: fixtures
-    });
-
-  } catch (error) {
-    console.error('Get live scores error:', error);
-    res.status(500).json({
-      error: 'Failed to get live scores',
-      details: error.message
-    });
-  }
+  // Return the live scores
+  res.json({
+    message: `Found ${fixtures.length} live/upcoming fixtures`,
+    count: fixtures.length,
+    fixtures: fixtures
+  });
 });
 
 // ============================================
@@ -64,26 +55,17 @@ router.get('/', async (req, res) => {
 // Includes: teams, current score, league info, match events (goals, cards)
 
 router.get('/inplay', async (req, res) => {
-  try {
-    // Call the SportsMonks service
-    const result = await getLivescoresInplay({ skipCache: !!req.user });
-
-    const fixtures = result.data || [];
+  // Call the SportsMonks service
+  const result = await getLivescoresInplay({ skipCache: !!req.user });
 
-    // Return the in-play fixtures
-    res.json({
-      message: `Found ${fixtures.length} matches currently in play`,
-      count: fixtures.length,
-      fixtures: fixtures
-    });
+  const fixtures = result.data || [];
 
-  } catch (error) {
-    console.error('Get in-play scores error:', error);
-    res.status(500).json({
-      error: 'Failed to get in-play scores',
-      details: error.message
-    });
-  }
+  // Return the in-play fixtures
+  res.json({
+    message: `Found ${fixtures.length} matches currently in play`,
+    count: fixtures.length,
+    fixtures: fixtures
+  });
 });
 
 // ============================================
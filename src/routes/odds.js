@@ -10,19 +10,20 @@
 
 import express from 'express';
 import {
-  getOddsByFixture,
-  getOddsByFixtureAndBookmaker,
-  getOddsByFixtureAndMarket,
   getAllBookmakers,
   getBookmakerById,
   getAllMarkets,
   getMarketById,
   searchMarkets
 } from '../services/sportsmonks.js';
+import { getFixtureOddsTree, getFairOdds } from '../services/odds.js';
+import { getOddsHistory } from '../services/oddsHistory.js';
+import { getFixtureArbitrage, scanArbitrage } from '../services/arbitrage.js';
 
 // Import optional auth middleware - sets req.user if token present, but allows anonymous access
 // Authenticated users get fresh data (skipCache), anonymous users get cached data
 import { optionalAuthMiddleware } from '../middleware/auth.js';
+import { NotFoundError } from '../services/errors.js';
 
 // Create a router
 const router = express.Router();
@@ -30,9 +31,23 @@ const router = express.Router();
 // Apply optional auth to all routes - allows both authenticated and anonymous access
 router.use(optionalAuthMiddleware);
 
+// IDs, dates and search terms in the URL are validated against the
+// OpenAPI spec before these routes run (see middleware/validate.js)
+
 // ============================================
 // PRE-MATCH ODDS ROUTES
 // ============================================
+// Fixture odds are returned as a tree (see services/odds.js):
+//
+//   {
+//     "bookmakers": [{ "id": 2, "name": "bet365" }],
+//     "markets": [{
+//       "id": 1, "name": "Fulltime Result", "bookmakerCount": 12,
+//       "selections": [{ "key": "1", "label": "Home", "best": {...}, "prices": [...] }]
+//     }]
+//   }
+//
+// All of them accept ?markets=1,14 and ?bookmakers=2,9 to trim the tree.
 
 /**
  * GET /odds/fixtures/:fixtureId
@@ -40,35 +55,46 @@ router.use(optionalAuthMiddleware);
  * 
  * Example: GET /odds/fixtures/18535517
  * Returns odds from all bookmakers for all markets
+ *
+ * Example: GET /odds/fixtures/18535517?markets=1,14&bookmakers=2,9
+ * Returns only 1X2 and BTTS from bet365 and Unibet
  */
 router.get('/fixtures/:fixtureId', async (req, res) => {
-  try {
-    const { fixtureId } = req.params;
-    
-    // Validate: ID must be a number
-    if (isNaN(fixtureId)) {
-      return res.status(400).json({
-        error: 'Fixture ID must be a number'
-      });
-    }
-    
-    // Call the SportsMonks service
-    const result = await getOddsByFixture(fixtureId, { skipCache: !!req.user });
-    
-    // Return the odds
-    res.json({
-      message: `Found ${result.data?.length || 0} odds for fixture ${fixtureId}`,
-      fixtureId: parseInt(fixtureId),
-      odds: result.data || []
-    });
-    
-  } catch (error) {
-    console.error('Get odds by fixture error:', error);
-    res.status(500).json({ 
-      error: 'Failed to get odds',
-      details: error.message 
-    });
-  }
+  const { fixtureId } = req.params;
+  
+  const tree = await getFixtureOddsTree(fixtureId, { query: req.query, skipCache: !!req.user });
+  
+  res.json({
+    message: `Found ${tree.markets.length} markets from ${tree.bookmakers.length} bookmakers for fixture ${fixtureId}`,
+    fixtureId: parseInt(fixtureId),
+    ...tree
+  });
+});
+
+/**
+ * GET /odds/fixtures/:fixtureId/history
+ * Get the recorded line movement of a fixture's pre-match odds
+ *
+ * Optional query params: marketId, bookmakerId
+ *
+ * Example: GET /odds/fixtures/18535517/history?marketId=1
+ * Returns Fulltime Result prices over time, per selection and bookmaker,
+ * with opening, latest and (after kick-off) closing prices.
+ * Only fixtures picked up by the snapshot-odds job have a history;
+ * for others, markets is empty.
+ */
+router.get('/fixtures/:fixtureId/history', async (req, res) => {
+  const { fixtureId } = req.params;
+  const marketId = req.query.marketId ? parseInt(req.query.marketId, 10) : undefined;
+  const bookmakerId = req.query.bookmakerId ? parseInt(req.query.bookmakerId, 10) : undefined;
+
+  // Read from our own snapshots - never from SportsMonks
+  const history = await getOddsHistory(fixtureId, { marketId, bookmakerId });
+
+  res.json({
+    message: `Found ${history.snapshots} odds snapshots for fixture ${fixtureId}`,
+    ...history
+  });
 });
 
 /**
@@ -79,40 +105,16 @@ router.get('/fixtures/:fixtureId', async (req, res) => {
  * Returns only bet365 (id: 2) odds for the fixture
  */
 router.get('/fixtures/:fixtureId/bookmakers/:bookmakerId', async (req, res) => {
-  try {
-    const { fixtureId, bookmakerId } = req.params;
-    
-    // Validate IDs
-    if (isNaN(fixtureId)) {
-      return res.status(400).json({
-        error: 'Fixture ID must be a number'
-      });
-    }
-    
-    if (isNaN(bookmakerId)) {
-      return res.status(400).json({
-        error: 'Bookmaker ID must be a number'
-      });
-    }
-    
-    // Call the SportsMonks service
-    const result = await getOddsByFixtureAndBookmaker(fixtureId, bookmakerId, { skipCache: !!req.user });
-    
-    // Return the odds
-    res.json({
-      message: `Found ${result.data?.length || 0} odds for fixture ${fixtureId} from bookmaker ${bookmakerId}`,
-      fixtureId: parseInt(fixtureId),
-      bookmakerId: parseInt(bookmakerId),
-      odds: result.data || []
-    });
-    
-  } catch (error) {
-    console.error('Get odds by fixture and bookmaker error:', error);
-    res.status(500).json({ 
-      error: 'Failed to get odds',
-      details: error.message 
-    });
-  }
+  const { fixtureId, bookmakerId } = req.params;
+  
+  const tree = await getFixtureOddsTree(fixtureId, { bookmakerId, query: req.query, skipCache: !!req.user });
+  
+  res.json({
+    message: `Found ${tree.markets.length} markets for fixture ${fixtureId} from bookmaker ${bookmakerId}`,
+    fixtureId: parseInt(fixtureId),
+    bookmakerId: parseInt(bookmakerId),
+    ...tree
+  });
 });
 
 /**
@@ -130,40 +132,92 @@ router.get('/fixtures/:fixtureId/bookmakers/:bookmakerId', async (req, res) => {
  * Returns only Fulltime Result (1X2) odds
  */
 router.get('/fixtures/:fixtureId/markets/:marketId', async (req, res) => {
-  try {
-    const { fixtureId, marketId } = req.params;
-    
-    // Validate IDs
-    if (isNaN(fixtureId)) {
-      return res.status(400).json({
-        error: 'Fixture ID must be a number'
-      });
-    }
-    
-    if (isNaN(marketId)) {
-      return res.status(400).json({
-        error: 'Market ID must be a number'
-      });
-    }
-    
-    // Call the SportsMonks service
-    const result = await getOddsByFixtureAndMarket(fixtureId, marketId, { skipCache: !!req.user });
-    
-    // Return the odds
-    res.json({
-      message: `Found ${result.data?.length || 0} odds for fixture ${fixtureId} in market ${marketId}`,
-      fixtureId: parseInt(fixtureId),
-      marketId: parseInt(marketId),
-      odds: result.data || []
-    });
-    
-  } catch (error) {
-    console.error('Get odds by fixture and market error:', error);
-    res.status(500).json({ 
-      error: 'Failed to get odds',
-      details: error.message 
-    });
-  }
+  const { fixtureId, marketId } = req.params;
+  
+  const tree = await getFixtureOddsTree(fixtureId, { marketId, query: req.query, skipCache: !!req.user });
+  
+  res.json({
+    message: `Found ${tree.markets[0]?.selections.length || 0} selections for fixture ${fixtureId} in market ${marketId}`,
+    fixtureId: parseInt(fixtureId),
+    marketId: parseInt(marketId),
+    ...tree
+  });
+});
+
+/**
+ * GET /odds/fixtures/:fixtureId/markets/:marketId/fair
+ * Get each bookmaker's margin (overround) and de-margined fair odds
+ * for one market, plus a consensus fair line across bookmakers
+ *
+ * Optional query params:
+ * - method: proportional (default), shin, power or odds-ratio
+ * - bookmakers: only these bookmaker IDs (e.g. 2,9)
+ *
+ * Markets with lines (Over/Under, handicaps) are split into one book per line.
+ *
+ * Example: GET /odds/fixtures/18535517/markets/1/fair?method=shin
+ */
+router.get('/fixtures/:fixtureId/markets/:marketId/fair', async (req, res) => {
+  const { fixtureId, marketId } = req.params;
+  const method = req.query.method || 'proportional';
+
+  const fair = await getFairOdds(fixtureId, marketId, { method, query: req.query, skipCache: !!req.user });
+
+  res.json({
+    message: `Fair odds for market ${marketId} of fixture ${fixtureId} (${method})`,
+    fixtureId: parseInt(fixtureId),
+    ...fair
+  });
+});
+
+/**
+ * GET /odds/fixtures/:fixtureId/arbitrage
+ * Find arbitrage (surebets) in a fixture: the best prices of every outcome
+ * of a 1X2, Over/Under (per line) or BTTS market, across bookmakers,
+ * adding up to less than 100% implied probability
+ *
+ * Optional query params:
+ * - markets: 1, 12 and/or 14 (default all three)
+ * - bankroll: total to split across the outcomes (default 100)
+ * - minProfit: minimum profit margin in percent (default 0)
+ *
+ * Example: GET /odds/fixtures/18535517/arbitrage?bankroll=250
+ */
+router.get('/fixtures/:fixtureId/arbitrage', async (req, res) => {
+  const { fixtureId } = req.params;
+
+  const result = await getFixtureArbitrage(fixtureId, { query: req.query, skipCache: !!req.user });
+
+  res.json({
+    message: `Found ${result.opportunities.length} arbitrage opportunities for fixture ${fixtureId}`,
+    ...result
+  });
+});
+
+// ============================================
+// ARBITRAGE SCANNER
+// ============================================
+
+/**
+ * GET /odds/arbitrage
+ * Scan upcoming fixtures for arbitrage, best profit margin first
+ *
+ * Optional query params: startDate, endDate, leagues (the slate),
+ * plus markets, bankroll and minProfit as above
+ *
+ * Only reads odds already in the cache (for anonymous and logged-in
+ * users alike) - fixtures without cached odds are counted, not fetched,
+ * so a scan never multiplies SportsMonks calls.
+ *
+ * Example: GET /odds/arbitrage?leagues=8&minProfit=0.5
+ */
+router.get('/arbitrage', async (req, res) => {
+  const result = await scanArbitrage(req.query);
+
+  res.json({
+    message: `Found ${result.opportunities.length} arbitrage opportunities in ${result.fixturesScanned} fixtures`,
+    ...result
+  });
 });
 
 // ============================================
@@ -178,23 +232,14 @@ router.get('/fixtures/:fixtureId/markets/:marketId', async (req, res) => {
  * Returns list of all bookmakers (bet365, Betfair, etc.)
  */
 router.get('/bookmakers', async (req, res) => {
-  try {
-    // Call the SportsMonks service
-    const result = await getAllBookmakers({ skipCache: !!req.user });
-    
-    // Return the bookmakers
-    res.json({
-      message: `Found ${result.data?.length || 0} bookmakers`,
-      bookmakers: result.data || []
-    });
-    
-  } catch (error) {
-    console.error('Get all bookmakers error:', error);
-    res.status(500).json({ 
-      error: 'Failed to get bookmakers',
-      details: error.message 
-    });
-  }
+  // Call the SportsMonks service
+  const result = await getAllBookmakers({ skipCache: !!req.user });
+  
+  // Return the bookmakers
+  res.json({
+    message: `Found ${result.data?.length || 0} bookmakers`,
+    bookmakers: result.data || []
+  });
 });
 
 /**
@@ -205,38 +250,20 @@ router.get('/bookmakers', async (req, res) => {
  * Returns bet365 details
  */
 router.get('/bookmakers/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    // Validate ID
-    if (isNaN(id)) {
-      return res.status(400).json({
-        error: 'Bookmaker ID must be a number'
-      });
-    }
-    
-    // Call the SportsMonks service
-    const result = await getBookmakerById(id, { skipCache: !!req.user });
-    
-    // Check if bookmaker was found
-    if (!result.data) {
-      return res.status(404).json({
-        error: `Bookmaker with ID ${id} not found`
-      });
-    }
-    
-    // Return the bookmaker
-    res.json({
-      bookmaker: result.data
-    });
-    
-  } catch (error) {
-    console.error('Get bookmaker by ID error:', error);
-    res.status(500).json({ 
-      error: 'Failed to get bookmaker',
-      details: error.message 
-    });
+  const { id } = req.params;
+  
+  // Call the SportsMonks service
+  const result = await getBookmakerById(id, { skipCache: !!req.user });
+  
+  // Check if bookmaker was found
+  if (!result.data) {
+    throw new NotFoundError(`Bookmaker with ID ${id} not found`);
   }
+  
+  // Return the bookmaker
+  res.json({
+    bookmaker: result.data
+  });
 });
 
 // ============================================
@@ -251,23 +278,14 @@ router.get('/bookmakers/:id', async (req, res) => {
  * Returns list of all markets (Fulltime Result, BTTS, Over/Under, etc.)
  */
 router.get('/markets', async (req, res) => {
-  try {
-    // Call the SportsMonks service
-    const result = await getAllMarkets({ skipCache: !!req.user });
-    
-    // Return the markets
-    res.json({
-      message: `Found ${result.data?.length || 0} markets`,
-      markets: result.data || []
-    });
-    
-  } catch (error) {
-    console.error('Get all markets error:', error);
-    res.status(500).json({ 
-      error: 'Failed to get markets',
-      details: error.message 
-    });
-  }
+  // Call the SportsMonks service
+  const result = await getAllMarkets({ skipCache: !!req.user });
+  
+  // Return the markets
+  res.json({
+    message: `Found ${result.data?.length || 0} markets`,
+    markets: result.data || []
+  });
 });
 
 /**
@@ -278,33 +296,17 @@ router.get('/markets', async (req, res) => {
  * Returns markets with "goals" in the name
  */
 router.get('/markets/search/:query', async (req, res) => {
-  try {
-    const { query } = req.params;
-    
-    // Validate query
-    if (!query || query.length < 2) {
-      return res.status(400).json({
-        error: 'Search query must be at least 2 characters'
-      });
-    }
-    
-    // Call the SportsMonks service
-    const result = await searchMarkets(query, { skipCache: !!req.user });
-    
-    // Return the markets
-    res.json({
-      message: `Found ${result.data?.length || 0} markets matching "${query}"`,
-      query: query,
-      markets: result.data || []
-    });
-    
-  } catch (error) {
-    console.error('Search markets error:', error);
-    res.status(500).json({ 
-      error: 'Failed to search markets',
-      details: error.message 
-    });
-  }
+  const { query } = req.params;
+  
+  // Call the SportsMonks service
+  const result = await searchMarkets(query, { skipCache: !!req.user });
+  
+  // Return the markets
+  res.json({
+    message: `Found ${result.data?.length || 0} markets matching "${query}"`,
+    query: query,
+    markets: result.data || []
+  });
 });
 
 /**
@@ -315,38 +317,20 @@ router.get('/markets/search/:query', async (req, res) => {
  * Returns Fulltime Result market details
  */
 router.get('/markets/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    // Validate ID
-    if (isNaN(id)) {
-      return res.status(400).json({
-        error: 'Market ID must be a number'
-      });
-    }
-    
-    // Call the SportsMonks service
-    const result = await getMarketById(id, { skipCache: !!req.user });
-    
-    // Check if market was found
-    if (!result.data) {
-      return res.status(404).json({
-        error: `Market with ID ${id} not found`
-      });
-    }
-    
-    // Return the market
-    res.json({
-      market: result.data
-    });
-    
-  } catch (error) {
-    console.error('Get market by ID error:', error);
-    res.status(500).json({ 
-      error: 'Failed to get market',
-      details: error.message 
-    });
+  const { id } = req.params;
+  
+  // Call the SportsMonks service
+  const result = await getMarketById(id, { skipCache: !!req.user });
+  
+  // Check if market was found
+  if (!result.data) {
+    throw new NotFoundError(`Market with ID ${id} not found`);
   }
+  
+  // Return the market
+  res.json({
+    market: result.data
+  });
 });
 
 // ============================================
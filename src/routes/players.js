@@ -10,6 +10,7 @@ import { searchPlayers, getPlayerById } from '../services/sportsmonks.js';
 // Import optional auth middleware - sets req.user if token present, but allows anonymous access
 // Authenticated users get fresh data (skipCache), anonymous users get cached data
 import { optionalAuthMiddleware } from '../middleware/auth.js';
+import { NotFoundError } from '../services/errors.js';
 
 // Create a router
 const router = express.Router();
@@ -25,33 +26,17 @@ router.use(optionalAuthMiddleware);
 // Searches for players by name - useful for finding player IDs
 
 router.get('/search/:query', async (req, res) => {
-  try {
-    const searchQuery = req.params.query;
-    
-    // Validate: query must be at least 2 characters
-    if (!searchQuery || searchQuery.length < 2) {
-      return res.status(400).json({
-        error: 'Search query must be at least 2 characters'
-      });
-    }
-    
-    // Call the SportsMonks service
-    const result = await searchPlayers(searchQuery, { skipCache: !!req.user });
-    
-    // Return the players
-    res.json({
-      message: `Found ${result.data?.length || 0} players matching "${searchQuery}"`,
-      query: searchQuery,
-      players: result.data || []
-    });
-    
-  } catch (error) {
-    console.error('Player search error:', error);
-    res.status(500).json({ 
-      error: 'Failed to search players',
-      details: error.message 
-    });
-  }
+  const searchQuery = req.params.query;
+  
+  // Call the SportsMonks service
+  const result = await searchPlayers(searchQuery, { skipCache: !!req.user });
+  
+  // Return the players
+  res.json({
+    message: `Found ${result.data?.length || 0} players matching "${searchQuery}"`,
+    query: searchQuery,
+    players: result.data || []
+  });
 });
 
 // ============================================
@@ -63,38 +48,20 @@ router.get('/search/:query', async (req, res) => {
 // NOTE: This route MUST come AFTER /search to avoid conflicts
 
 router.get('/:id', async (req, res) => {
-  try {
-    const playerId = req.params.id;
-    
-    // Validate: ID must be a number
-    if (isNaN(playerId)) {
-      return res.status(400).json({
-        error: 'Player ID must be a number'
-      });
-    }
-    
-    // Call the SportsMonks service
-    const result = await getPlayerById(playerId, { skipCache: !!req.user });
-    
-    // Check if player was found
-    if (!result.data) {
-      return res.status(404).json({
-        error: `Player with ID ${playerId} not found`
-      });
-    }
-    
-    // Return the player
-    res.json({
-      player: result.data
-    });
-    
-  } catch (error) {
-    console.error('Get player error:', error);
-    res.status(500).json({ 
-      error: 'Failed to get player',
-      details: error.message 
-    });
+  const playerId = req.params.id;
+  
+  // Call the SportsMonks service
+  const result = await getPlayerById(playerId, { skipCache: !!req.user });
+  
+  // Check if player was found
+  if (!result.data) {
+    throw new NotFoundError(`Player with ID ${playerId} not found`);
   }
+  
+  // Return the player
+  res.json({
+    player: result.data
+  });
 });
 
 // ============================================
@@ -2,11 +2,14 @@
 // PREDICTIONS ROUTES (SportsMonks Integration)
 // ============================================
 // These routes provide access to SportsMonks prediction model data.
-// Includes model performance/accuracy stats by league.
+// Includes model performance/accuracy stats by league, as reported by
+// SportsMonks and as measured by us from stored forecasts.
 // ============================================
 
 import express from 'express';
 import { getPredictabilityByLeague } from '../services/sportsmonks.js';
+import { getCalibration } from '../services/calibration.js';
+import { ValidationError } from '../services/errors.js';
 
 // Import optional auth middleware - sets req.user if token present, but allows anonymous access
 // Authenticated users get fresh data (skipCache), anonymous users get cached data
@@ -39,33 +42,47 @@ router.use(optionalAuthMiddleware);
 //   - And more...
 
 router.get('/predictability/leagues/:leagueId', async (req, res) => {
-  try {
-    const { leagueId } = req.params;
+  const { leagueId } = req.params;
 
-    // Validate: leagueId must be a number
-    if (isNaN(leagueId)) {
-      return res.status(400).json({
-        error: 'League ID must be a number'
-      });
-    }
+  // Call the SportsMonks service
+  const result = await getPredictabilityByLeague(leagueId, { skipCache: !!req.user });
 
-    // Call the SportsMonks service
-    const result = await getPredictabilityByLeague(leagueId, { skipCache: !!req.user });
+  // Return the predictability data
+  res.json({
+    message: `Prediction model performance for league ${leagueId}`,
+    leagueId: parseInt(leagueId),
+    data: result.data || []
+  });
+});
+
+// ============================================
+// OUR CALIBRATION OF THE PREDICTIONS
+// GET /predictions/calibration
+// Optional query params: ?leagueId=8&from=YYYY-MM-DD&to=YYYY-MM-DD (kick-off date, UTC)
+// ============================================
+// Brier score, log loss, accuracy and reliability curve of the
+// SportsMonks predictions we recorded before kick-off and settled
+// ourselves (see services/calibration.js), per market and competition.
 
-    // Return the predictability data
-    res.json({
-      message: `Prediction model performance for league ${leagueId}`,
-      leagueId: parseInt(leagueId),
-      data: result.data || []
-    });
+router.get('/calibration', async (req, res) => {
+  const { from, to } = req.query;
+  const leagueId = req.query.leagueId ? parseInt(req.query.leagueId) : null;
 
-  } catch (error) {
-    console.error('Get predictability by league error:', error);
-    res.status(500).json({
-      error: 'Failed to get prediction model performance',
-      details: error.message
-    });
+  if (from && to && from > to) {
+    throw new ValidationError('from must not be after to', { from, to });
   }
+
+  const report = await getCalibration({
+    leagueId,
+    from: from ? new Date(`${from}T00:00:00.000Z`) : undefined,
+    to: to ? new Date(`${to}T23:59:59.999Z`) : undefined
+  });
+
+  res.json({
+    message: `Calibration of predictions for ${report.fixtures} settled fixtures`,
+    filters: { leagueId, from: from || null, to: to || null },
+    ...report
+  });
 });
 
 // ============================================
@@ -0,0 +1,57 @@
+// ============================================
+// RATINGS ROUTES
+// ============================================
+// Team Elo ratings, computed from the fixtures warehouse across the
+// Premier League and both domestic cups (see services/ratings.js).
+// Ratings are read from Postgres; only a fixture missing from the
+// warehouse is looked up in SportsMonks.
+// ============================================
+
+import express from 'express';
+import { getLeagueRatings, getFixtureRatings } from '../services/ratings.js';
+
+// Import optional auth middleware - sets req.user if token present, but allows anonymous access
+import { optionalAuthMiddleware } from '../middleware/auth.js';
+
+// Create a router
+const router = express.Router();
+
+// Apply optional auth to all routes - logged-in users get fresh fixture data
+router.use(optionalAuthMiddleware);
+
+// ============================================
+// GET LEAGUE RATINGS TABLE
+// GET /ratings/leagues/:leagueId
+// Example: GET /ratings/leagues/24
+// ============================================
+// Every team in the competition's latest synced season, highest rated
+// first. For a cup this includes the lower-league sides it drew.
+
+router.get('/leagues/:leagueId', async (req, res) => {
+  const table = await getLeagueRatings(req.params.leagueId);
+
+  res.json({
+    message: `Ratings of ${table.teams.length} teams in ${table.leagueName || `league ${table.leagueId}`} ${table.season.name}`,
+    ...table
+  });
+});
+
+// ============================================
+// GET FIXTURE RATINGS
+// GET /ratings/fixtures/:fixtureId
+// Example: GET /ratings/fixtures/19134567
+// ============================================
+// Both sides' ratings and the win/draw/loss chances they imply.
+// A played fixture shows the ratings from before kick-off.
+
+router.get('/fixtures/:fixtureId', async (req, res) => {
+  const ratings = await getFixtureRatings(req.params.fixtureId, { skipCache: !!req.user });
+
+  res.json(ratings);
+});
+
+// ============================================
+// EXPORT THE ROUTER
+// ============================================
+
+export default router;
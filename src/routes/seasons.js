@@ -15,6 +15,7 @@ import {
 // Import optional auth middleware - sets req.user if token present, but allows anonymous access
 // Authenticated users get fresh data (skipCache), anonymous users get cached data
 import { optionalAuthMiddleware } from '../middleware/auth.js';
+import { NotFoundError } from '../services/errors.js';
 
 // Create a router
 const router = express.Router();
@@ -31,26 +32,17 @@ router.use(optionalAuthMiddleware);
 // Includes: league info for each season
 
 router.get('/', async (req, res) => {
-  try {
-    // Call the SportsMonks service
-    const result = await getAllSeasons({ skipCache: !!req.user });
-
-    const seasons = result.data || [];
-
-    // Return the seasons
-    res.json({
-      message: `Found ${seasons.length} seasons`,
-      count: seasons.length,
-      seasons: seasons
-    });
-
-  } catch (error) {
-    console.error('Get all seasons error:', error);
-    res.status(500).json({
-      error: 'Failed to get seasons',
-      details: error.message
-    });
-  }
+  // Call the SportsMonks service
+  const result = await getAllSeasons({ skipCache: !!req.user });
+
+  const seasons = result.data || [];
+
+  // Return the seasons
+  res.json({
+    message: `Found ${seasons.length} seasons`,
+    count: seasons.length,
+    seasons: seasons
+  });
 });
 
 // ============================================
@@ -67,44 +59,26 @@ router.get('/', async (req, res) => {
 //   - 27: Carabao Cup
 
 router.get('/leagues/:leagueId', async (req, res) => {
-  try {
-    const { leagueId } = req.params;
-
-    // Validate: leagueId must be a number
-    if (isNaN(leagueId)) {
-      return res.status(400).json({
-        error: 'League ID must be a number'
-      });
-    }
-
-    // Call the SportsMonks service (gets league with seasons included)
-    const result = await getSeasonsByLeague(leagueId, { skipCache: !!req.user });
-
-    // Check if league was found
-    if (!result.data) {
-      return res.status(404).json({
-        error: `League with ID ${leagueId} not found`
-      });
-    }
-
-    const seasons = result.data.seasons || [];
-
-    // Return the seasons
-    res.json({
-      message: `Found ${seasons.length} seasons for league ${leagueId}`,
-      leagueId: parseInt(leagueId),
-      leagueName: result.data.name,
-      count: seasons.length,
-      seasons: seasons
-    });
-
-  } catch (error) {
-    console.error('Get seasons by league error:', error);
-    res.status(500).json({
-      error: 'Failed to get seasons for league',
-      details: error.message
-    });
+  const { leagueId } = req.params;
+
+  // Call the SportsMonks service (gets league with seasons included)
+  const result = await getSeasonsByLeague(leagueId, { skipCache: !!req.user });
+
+  // Check if league was found
+  if (!result.data) {
+    throw new NotFoundError(`League with ID ${leagueId} not found`);
   }
+
+  const seasons = result.data.seasons || [];
+
+  // Return the seasons
+  res.json({
+    message: `Found ${seasons.length} seasons for league ${leagueId}`,
+    leagueId: parseInt(leagueId),
+    leagueName: result.data.name,
+    count: seasons.length,
+    seasons: seasons
+  });
 });
 
 // ============================================
@@ -120,38 +94,20 @@ router.get('/leagues/:leagueId', async (req, res) => {
 //   - Use /seasons/leagues/:leagueId to find season IDs
 
 router.get('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    // Validate: id must be a number
-    if (isNaN(id)) {
-      return res.status(400).json({
-        error: 'Season ID must be a number'
-      });
-    }
-
-    // Call the SportsMonks service
-    const result = await getSeasonById(id, { skipCache: !!req.user });
-
-    // Check if season was found
-    if (!result.data) {
-      return res.status(404).json({
-        error: `Season with ID ${id} not found`
-      });
-    }
-
-    // Return the season
-    res.json({
-      season: result.data
-    });
-
-  } catch (error) {
-    console.error('Get season by ID error:', error);
-    res.status(500).json({
-      error: 'Failed to get season',
-      details: error.message
-    });
+  const { id } = req.params;
+
+  // Call the SportsMonks service
+  const result = await getSeasonById(id, { skipCache: !!req.user });
+
+  // Check if season was found
+  if (!result.data) {
+    throw new NotFoundError(`Season with ID ${id} not found`);
   }
+
+  // Return the season
+  res.json({
+    season: result.data
+  });
 });
 
 // ============================================
@@ -31,34 +31,18 @@ router.use(optionalAuthMiddleware);
 //   - Use /teams/:id/seasons to find season IDs for a team
 
 router.get('/seasons/:seasonId', async (req, res) => {
-  try {
-    const { seasonId } = req.params;
-
-    // Validate: seasonId must be a number
-    if (isNaN(seasonId)) {
-      return res.status(400).json({
-        error: 'Season ID must be a number'
-      });
-    }
-
-    // Call the SportsMonks service
-    const result = await getStandingsBySeason(seasonId, { skipCache: !!req.user });
-
-    // Return the standings
-    // Note: Some older seasons (e.g., 2005/2006) may not have standings data in SportsMonks
-    res.json({
-      message: `Standings for season ${seasonId}`,
-      seasonId: parseInt(seasonId),
-      standings: result.data || []
-    });
-
-  } catch (error) {
-    console.error('Get standings by season error:', error);
-    res.status(500).json({
-      error: 'Failed to get standings',
-      details: error.message
-    });
-  }
+  const { seasonId } = req.params;
+
+  // Call the SportsMonks service
+  const result = await getStandingsBySeason(seasonId, { skipCache: !!req.user });
+
+  // Return the standings
+  // Note: Some older seasons (e.g., 2005/2006) may not have standings data in SportsMonks
+  res.json({
+    message: `Standings for season ${seasonId}`,
+    seasonId: parseInt(seasonId),
+    standings: result.data || []
+  });
 });
 
 // ============================================
@@ -31,36 +31,20 @@ router.use(optionalAuthMiddleware);
 //   - Use /seasons/leagues/:leagueId to find season IDs
 
 router.get('/seasons/:seasonId', async (req, res) => {
-  try {
-    const { seasonId } = req.params;
+  const { seasonId } = req.params;
 
-    // Validate: seasonId must be a number
-    if (isNaN(seasonId)) {
-      return res.status(400).json({
-        error: 'Season ID must be a number'
-      });
-    }
+  // Call the SportsMonks service
+  const result = await getTopScorersBySeason(seasonId, { skipCache: !!req.user });
 
-    // Call the SportsMonks service
-    const result = await getTopScorersBySeason(seasonId, { skipCache: !!req.user });
+  const scorers = result.data || [];
 
-    const scorers = result.data || [];
-
-    // Return the top scorers
-    res.json({
-      message: `Found ${scorers.length} top scorers for season ${seasonId}`,
-      seasonId: parseInt(seasonId),
-      count: scorers.length,
-      topscorers: scorers
-    });
-
-  } catch (error) {
-    console.error('Get top scorers error:', error);
-    res.status(500).json({
-      error: 'Failed to get top scorers',
-      details: error.message
-    });
-  }
+  // Return the top scorers
+  res.json({
+    message: `Found ${scorers.length} top scorers for season ${seasonId}`,
+    seasonId: parseInt(seasonId),
+    count: scorers.length,
+    topscorers: scorers
+  });
 });
 
 // ============================================
@@ -0,0 +1,44 @@
+// ============================================
+// VALUE ROUTES
+// ============================================
+// Value bets: selections whose best bookmaker price beats the
+// SportsMonks prediction model (see services/value.js).
+//
+// NOTE: This is for RESEARCH purposes only.
+// BetSmoke does NOT place bets or integrate with sportsbooks.
+// ============================================
+
+import express from 'express';
+import { findValueBets } from '../services/value.js';
+
+// Create a router
+const router = express.Router();
+
+// Query parameters are validated against the OpenAPI spec
+// before these routes run (see middleware/validate.js)
+
+// ============================================
+// FIND VALUE BETS
+// GET /value
+// Example: GET /value?startDate=2026-10-24&endDate=2026-10-26&minEdge=3&maxOdds=5
+// ============================================
+// Ranks opportunities across the slate by expected value.
+//
+// Always served from the cache, for anonymous and logged-in users alike:
+// a scan makes two SportsMonks calls per fixture, which would be too
+// many to repeat uncached on every request.
+
+router.get('/', async (req, res) => {
+  const result = await findValueBets(req.query);
+
+  res.json({
+    message: `Found ${result.opportunities.length} value bets in ${result.fixturesScanned} fixtures`,
+    ...result
+  });
+});
+
+// ============================================
+// EXPORT THE ROUTER
+// ============================================
+
+export default router;
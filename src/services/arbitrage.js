@@ -0,0 +1,211 @@
+// ============================================
+// ARBITRAGE SERVICE
+// ============================================
+// An arbitrage (surebet) exists when the best prices of every outcome of
+// a market, each taken from whichever bookmaker offers it, have implied
+// probabilities adding up to less than 1:
+//
+//   implied total = sum of 1 / best decimal price
+//   profit margin = 1 / implied total - 1
+//
+// Splitting a bankroll across the outcomes in proportion to their implied
+// probabilities returns the same payout whichever outcome wins:
+//
+//   stake of outcome i = bankroll * (1 / price i) / implied total
+//   payout             = bankroll / implied total
+//
+// Scanning a slate reads each fixture's odds from the cache only (fresh
+// entries), so it never adds SportsMonks calls; fixtures whose odds
+// aren't cached right now are counted, not fetched.
+// ============================================
+
+import cache from './cache.js';
+import { buildOddsTree, getFixtureOddsTree, splitIntoBooks } from './odds.js';
+import { parseSlate, upcomingSlateFixtures } from './slate.js';
+import { ValidationError } from './errors.js';
+
+// Markets checked, with the outcomes a complete book must have
+const ARBITRAGE_MARKETS = {
+  1: ['1', 'X', '2'],   // Fulltime Result (3-way)
+  12: ['over', 'under'], // Goals Over/Under, per line (2-way)
+  14: ['yes', 'no']      // Both Teams To Score (2-way)
+};
+const ARBITRAGE_MARKET_IDS = Object.keys(ARBITRAGE_MARKETS).map(Number);
+
+// Default bankroll for the stake split
+const DEFAULT_BANKROLL = 100;
+
+// Fixtures looked up per scan (cache reads only, so this can be generous)
+const MAX_FIXTURES = 100;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Round to a number of decimal places
+ * @param {number} value
+ * @param {number} places
+ * @returns {number}
+ */
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Resolve and check the arbitrage options
+ * @param {object} query - req.query
+ * @returns {{ marketIds: number[], bankroll: number, minProfit: number }}
+ */
+function parseOptions(query) {
+  const marketIds = query.markets ? query.markets.split(',').map(Number) : ARBITRAGE_MARKET_IDS;
+  const unsupported = marketIds.filter(id => !ARBITRAGE_MARKET_IDS.includes(id));
+  if (unsupported.length > 0) {
+    throw new ValidationError(`markets must be among ${ARBITRAGE_MARKET_IDS.join(', ')}`, { unsupported });
+  }
+
+  return {
+    marketIds,
+    bankroll: query.bankroll !== undefined ? Number(query.bankroll) : DEFAULT_BANKROLL,
+    minProfit: query.minProfit !== undefined ? Number(query.minProfit) : 0
+  };
+}
+
+/**
+ * Whether a book has exactly the outcomes its market needs
+ * (a 1X2 book without a draw price is not an arbitrage)
+ * @param {number} marketId
+ * @param {object} book - { line, selections }
+ * @returns {boolean}
+ */
+function isCompleteBook(marketId, book) {
+  const outcomes = book.selections.map(selection => selection.key.split('_')[0]).sort();
+  return outcomes.join() === [...ARBITRAGE_MARKETS[marketId]].sort().join();
+}
+
+/**
+ * Arbitrage opportunities in one fixture's odds tree
+ * @param {object} tree - Odds tree (see services/odds.js)
+ * @param {object} options - Parsed options
+ * @returns {object[]}
+ */
+function treeArbitrage(tree, { marketIds, bankroll, minProfit }) {
+  const bookmakerNames = new Map(tree.bookmakers.map(bm => [bm.id, bm.name]));
+  const opportunities = [];
+
+  for (const market of tree.markets) {
+    if (!marketIds.includes(market.id)) continue;
+
+    for (const book of splitIntoBooks(market)) {
+      if (!isCompleteBook(market.id, book) || book.selections.some(selection => !selection.best)) continue;
+
+      const impliedTotal = book.selections.reduce((total, selection) => total + 1 / selection.best.decimal, 0);
+      const profitMargin = (1 / impliedTotal - 1) * 100;
+      if (impliedTotal >= 1 || profitMargin < minProfit) continue;
+
+      const payout = bankroll / impliedTotal;
+
+      opportunities.push({
+        marketId: market.id,
+        marketName: market.name,
+        line: book.line,
+        impliedTotal: round(impliedTotal, 4),
+        profitMargin: round(profitMargin, 2),
+        bankroll,
+        payout: round(payout, 2),
+        profit: round(payout - bankroll, 2),
+        legs: book.selections.map(({ key, label, best }) => ({
+          key,
+          label,
+          bookmakerId: best.bookmakerId,
+          bookmakerName: bookmakerNames.get(best.bookmakerId) || `Bookmaker ${best.bookmakerId}`,
+          decimal: best.decimal,
+          stake: round(bankroll / best.decimal / impliedTotal, 2),
+          updatedAt: best.updatedAt
+        }))
+      });
+    }
+  }
+
+  return opportunities;
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Arbitrage opportunities in one fixture
+ *
+ * @param {number|string} fixtureId
+ * @param {object} [options]
+ * @param {object} [options.query] - req.query (markets, bankroll, minProfit)
+ * @param {boolean} [options.skipCache]
+ * @returns {Promise<{ fixtureId: number, opportunities: object[] }>}
+ */
+async function getFixtureArbitrage(fixtureId, { query = {}, skipCache } = {}) {
+  const options = parseOptions(query);
+
+  // Same cached odds as GET /odds/fixtures/:fixtureId, trimmed to the markets
+  const tree = await getFixtureOddsTree(fixtureId, {
+    query: { markets: options.marketIds.join(',') },
+    skipCache
+  });
+
+  return {
+    fixtureId: parseInt(fixtureId),
+    filters: options,
+    opportunities: treeArbitrage(tree, options).sort((a, b) => b.profitMargin - a.profitMargin)
+  };
+}
+
+/**
+ * Scan a slate of upcoming fixtures for arbitrage, from cached odds only
+ *
+ * @param {object} [query] - req.query: slate (startDate, endDate, leagues)
+ *   plus markets, bankroll and minProfit
+ * @returns {Promise<object>} - { filters, fixturesScanned, fixturesNotCached, opportunities }
+ */
+async function scanArbitrage(query = {}) {
+  const slate = parseSlate(query);
+  const options = parseOptions(query);
+  const { fixtures, truncated } = await upcomingSlateFixtures(slate, MAX_FIXTURES);
+
+  const opportunities = [];
+  let notCached = 0;
+
+  for (const fixture of fixtures) {
+    const odds = await cache.peek(cache.keys.oddsByFixture(fixture.id));
+    if (!odds) {
+      notCached++;
+      continue;
+    }
+
+    const tree = await buildOddsTree(odds.data || [], { markets: options.marketIds });
+    for (const opportunity of treeArbitrage(tree, options)) {
+      opportunities.push({
+        fixtureId: fixture.id,
+        fixtureName: fixture.name,
+        startingAt: fixture.starting_at,
+        league: { id: fixture.league_id, name: fixture.league?.name ?? null },
+        ...opportunity
+      });
+    }
+  }
+
+  return {
+    filters: { ...slate, ...options },
+    fixturesScanned: fixtures.length - notCached,
+    fixturesNotCached: notCached,
+    truncated,
+    opportunities: opportunities.sort((a, b) => b.profitMargin - a.profitMargin)
+  };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export {
+  getFixtureArbitrage,
+  scanArbitrage,
+  treeArbitrage
+};
@@ -0,0 +1,521 @@
+// ============================================
+// BANKROLLS SERVICE
+// ============================================
+// Named bankrolls a user bets from (Bankroll and BankrollTransaction in
+// the Prisma schema). Bets logged against a bankroll (services/bets.js)
+// move its balance:
+//
+//   balance   = deposits - withdrawals + profit of settled bets
+//   available = balance - stakes of open bets
+//
+// Staking plans (suggestStake):
+//   - FLAT: units x unit size (the bankroll's, else the user's default)
+//   - PERCENTAGE: stakePercent of the balance
+//   - KELLY: kellyFraction x the Kelly stake, balance x (b·p - q) / b
+//     with b = odds - 1, p = win probability, q = 1 - p. The probability
+//     is the user's estimate, else the SportsMonks prediction for the
+//     selection (services/value.js)
+// Any plan is capped at maxStakePercent of the balance (when set) and at
+// the available money.
+//
+// History (getBankrollHistory): the balance after every deposit,
+// withdrawal and settled bet, with drawdown from the running peak.
+// Deposits and withdrawals move the peak with the balance, so only
+// betting losses count as drawdown.
+// ============================================
+
+import prisma from '../db.js';
+import { getModelProbability } from './value.js';
+import { ConflictError, ForbiddenError, NotFoundError, ValidationError } from './errors.js';
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Round to a number of decimal places
+ * @param {number} value
+ * @param {number} places
+ * @returns {number}
+ */
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Signed effect of a transaction on the balance
+ * @param {object} transaction - BankrollTransaction row
+ * @returns {number}
+ */
+const signedAmount = (transaction) => (transaction.type === 'DEPOSIT' ? transaction.amount : -transaction.amount);
+
+/**
+ * Money in a bankroll
+ * @param {object[]} transactions - BankrollTransaction rows
+ * @param {object[]} bets - Bet rows (stake, status, profit)
+ * @returns {object} - { deposited, withdrawn, profit, balance, openStake, available }
+ */
+function balances(transactions, bets) {
+  const total = (rows, value) => rows.reduce((sum, row) => sum + value(row), 0);
+
+  const deposited = total(transactions.filter(t => t.type === 'DEPOSIT'), t => t.amount);
+  const withdrawn = total(transactions.filter(t => t.type === 'WITHDRAWAL'), t => t.amount);
+  const profit = total(bets.filter(bet => bet.status !== 'OPEN'), bet => bet.profit);
+  const openStake = total(bets.filter(bet => bet.status === 'OPEN'), bet => bet.stake);
+  const balance = deposited - withdrawn + profit;
+
+  return {
+    deposited: round(deposited, 2),
+    withdrawn: round(withdrawn, 2),
+    profit: round(profit, 2),
+    balance: round(balance, 2),
+    openStake: round(openStake, 2),
+    available: round(balance - openStake, 2)
+  };
+}
+
+/**
+ * Bankroll as returned by the API
+ * @param {object} bankroll - Bankroll row with transactions and bets
+ * @param {number} defaultUnitSize - The user's unit size
+ * @returns {object}
+ */
+function formatBankroll(bankroll, defaultUnitSize) {
+  const { transactions, bets, ...rest } = bankroll;
+
+  return {
+    ...rest,
+    unitSize: bankroll.unitSize ?? defaultUnitSize,
+    usesDefaultUnitSize: bankroll.unitSize === null,
+    betCount: bets.length,
+    ...balances(transactions, bets)
+  };
+}
+
+/**
+ * The user's default unit size
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+async function userUnitSize(userId) {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { unitSize: true } });
+  return user?.unitSize ?? 10;
+}
+
+/**
+ * Find one of the user's bankrolls, with what its balance needs
+ * @param {string} userId
+ * @param {string} bankrollId
+ * @returns {Promise<object>} - Bankroll with transactions and bets
+ */
+async function findOwnBankroll(userId, bankrollId) {
+  const bankroll = await prisma.bankroll.findUnique({
+    where: { id: bankrollId },
+    include: {
+      transactions: { orderBy: { occurredAt: 'asc' } },
+      bets: { select: { id: true, stake: true, odds: true, status: true, profit: true, placedAt: true, settledAt: true } }
+    }
+  });
+
+  if (!bankroll) {
+    throw new NotFoundError('Bankroll not found');
+  }
+  if (bankroll.userId !== userId) {
+    throw new ForbiddenError('Access denied. This bankroll belongs to another user.');
+  }
+  return bankroll;
+}
+
+/**
+ * Reject a name already used by another of the user's bankrolls
+ * @param {string} userId
+ * @param {string} name
+ * @param {string} [exceptId] - The bankroll being renamed
+ * @returns {Promise<void>}
+ */
+async function assertNameFree(userId, name, exceptId) {
+  const existing = await prisma.bankroll.findFirst({ where: { userId, name } });
+  if (existing && existing.id !== exceptId) {
+    throw new ConflictError(`You already have a bankroll named "${name}"`);
+  }
+}
+
+/**
+ * Kelly fraction of the balance for a price and win probability
+ * @param {number} odds - Decimal odds
+ * @param {number} probability - 0-1
+ * @returns {number} - Negative when the price has no edge
+ */
+function kellyFraction(odds, probability) {
+  const b = odds - 1;
+  return (b * probability - (1 - probability)) / b;
+}
+
+// ============================================
+// PUBLIC API - BANKROLLS
+// ============================================
+
+/**
+ * List the user's bankrolls with their balances
+ * @param {string} userId
+ * @returns {Promise<{ unitSize: number, count: number, bankrolls: object[] }>}
+ */
+async function listBankrolls(userId) {
+  const [bankrolls, unitSize] = await Promise.all([
+    prisma.bankroll.findMany({
+      where: { userId },
+      include: {
+        transactions: true,
+        bets: { select: { stake: true, status: true, profit: true } }
+      },
+      orderBy: { createdAt: 'asc' }
+    }),
+    userUnitSize(userId)
+  ]);
+
+  return {
+    unitSize,
+    count: bankrolls.length,
+    bankrolls: bankrolls.map(bankroll => formatBankroll(bankroll, unitSize))
+  };
+}
+
+/**
+ * Create a bankroll, optionally with an opening deposit
+ *
+ * @param {string} userId
+ * @param {object} data - Request body
+ * @param {string} data.name
+ * @param {string} [data.stakingPlan] - FLAT (default), PERCENTAGE or KELLY
+ * @param {number|null} [data.unitSize] - Null uses the user's default
+ * @param {number} [data.stakePercent]
+ * @param {number} [data.kellyFraction]
+ * @param {number|null} [data.maxStakePercent]
+ * @param {number} [data.initialDeposit]
+ * @returns {Promise<object>}
+ */
+async function createBankroll(userId, { name, stakingPlan, unitSize, stakePercent, kellyFraction: fraction, maxStakePercent, initialDeposit }) {
+  const trimmed = name.trim();
+  await assertNameFree(userId, trimmed);
+
+  const bankroll = await prisma.bankroll.create({
+    data: {
+      userId,
+      name: trimmed,
+      stakingPlan,
+      unitSize: unitSize ?? null,
+      stakePercent,
+      kellyFraction: fraction,
+      maxStakePercent: maxStakePercent ?? null,
+      ...(initialDeposit && {
+        transactions: { create: { type: 'DEPOSIT', amount: initialDeposit, note: 'Opening deposit' } }
+      })
+    }
+  });
+
+  return getBankroll(userId, bankroll.id);
+}
+
+/**
+ * Get one of the user's bankrolls with its transactions
+ * @param {string} userId
+ * @param {string} bankrollId
+ * @returns {Promise<object>}
+ */
+async function getBankroll(userId, bankrollId) {
+  const [bankroll, unitSize] = await Promise.all([
+    findOwnBankroll(userId, bankrollId),
+    userUnitSize(userId)
+  ]);
+
+  return {
+    ...formatBankroll(bankroll, unitSize),
+    transactions: [...bankroll.transactions].reverse()
+  };
+}
+
+/**
+ * Update a bankroll's name or staking plan
+ * @param {string} userId
+ * @param {string} bankrollId
+ * @param {object} data - { name?, stakingPlan?, unitSize?, stakePercent?, kellyFraction?, maxStakePercent? }
+ * @returns {Promise<object>}
+ */
+async function updateBankroll(userId, bankrollId, { name, stakingPlan, unitSize, stakePercent, kellyFraction: fraction, maxStakePercent }) {
+  await findOwnBankroll(userId, bankrollId);
+
+  const data = {};
+  if (name !== undefined) {
+    data.name = name.trim();
+    await assertNameFree(userId, data.name, bankrollId);
+  }
+  if (stakingPlan !== undefined) data.stakingPlan = stakingPlan;
+  if (unitSize !== undefined) data.unitSize = unitSize;
+  if (stakePercent !== undefined) data.stakePercent = stakePercent;
+  if (fraction !== undefined) data.kellyFraction = fraction;
+  if (maxStakePercent !== undefined) data.maxStakePercent = maxStakePercent;
+
+  if (Object.keys(data).length === 0) {
+    throw new ValidationError('Nothing to update. Provide a name or staking plan settings.');
+  }
+
+  await prisma.bankroll.update({ where: { id: bankrollId }, data });
+  return getBankroll(userId, bankrollId);
+}
+
+/**
+ * Delete one of the user's bankrolls (its bets are kept, unassigned)
+ * @param {string} userId
+ * @param {string} bankrollId
+ * @returns {Promise<void>}
+ */
+async function deleteBankroll(userId, bankrollId) {
+  await findOwnBankroll(userId, bankrollId);
+  await prisma.bankroll.delete({ where: { id: bankrollId } });
+}
+
+/**
+ * Check a bankroll ID given with a bet belongs to the user
+ * @param {string} userId
+ * @param {string} bankrollId
+ * @returns {Promise<void>}
+ */
+async function assertOwnBankroll(userId, bankrollId) {
+  const bankroll = await prisma.bankroll.findUnique({ where: { id: bankrollId }, select: { userId: true } });
+  if (!bankroll) {
+    throw new NotFoundError('Bankroll not found');
+  }
+  if (bankroll.userId !== userId) {
+    throw new ForbiddenError('Access denied. This bankroll belongs to another user.');
+  }
+}
+
+// ============================================
+// PUBLIC API - TRANSACTIONS
+// ============================================
+
+/**
+ * Record a deposit or withdrawal
+ *
+ * A withdrawal can't take out more than the available money (the balance
+ * less open stakes).
+ *
+ * @param {string} userId
+ * @param {string} bankrollId
+ * @param {object} data - { type, amount, occurredAt?, note? }
+ * @returns {Promise<object>} - Updated bankroll
+ */
+async function addTransaction(userId, bankrollId, { type, amount, occurredAt, note }) {
+  const bankroll = await findOwnBankroll(userId, bankrollId);
+
+  if (type === 'WITHDRAWAL') {
+    const { available } = balances(bankroll.transactions, bankroll.bets);
+    if (amount > available) {
+      throw new ValidationError(`Withdrawal is more than the available ${available}`, { available });
+    }
+  }
+
+  await prisma.bankrollTransaction.create({
+    data: {
+      bankrollId,
+      type,
+      amount,
+      occurredAt: occurredAt ? new Date(occurredAt) : undefined,
+      note: note || null
+    }
+  });
+
+  return getBankroll(userId, bankrollId);
+}
+
+/**
+ * Delete a deposit or withdrawal
+ * @param {string} userId
+ * @param {string} bankrollId
+ * @param {string} transactionId
+ * @returns {Promise<object>} - Updated bankroll
+ */
+async function deleteTransaction(userId, bankrollId, transactionId) {
+  const bankroll = await findOwnBankroll(userId, bankrollId);
+  if (!bankroll.transactions.some(t => t.id === transactionId)) {
+    throw new NotFoundError('Transaction not found in this bankroll');
+  }
+
+  await prisma.bankrollTransaction.delete({ where: { id: transactionId } });
+  return getBankroll(userId, bankrollId);
+}
+
+// ============================================
+// PUBLIC API - HISTORY
+// ============================================
+
+/**
+ * Balance over time, with growth and drawdown
+ *
+ * One point per deposit, withdrawal and settled bet (at settlement time).
+ *
+ * @param {string} userId
+ * @param {string} bankrollId
+ * @returns {Promise<object>} - { bankrollId, name, growth, drawdown, points }
+ */
+async function getBankrollHistory(userId, bankrollId) {
+  const bankroll = await findOwnBankroll(userId, bankrollId);
+
+  const events = [
+    ...bankroll.transactions.map(t => ({
+      at: t.occurredAt,
+      type: t.type,
+      change: signedAmount(t),
+      transactionId: t.id,
+      betId: null
+    })),
+    ...bankroll.bets
+      .filter(bet => bet.status !== 'OPEN')
+      .map(bet => ({
+        at: bet.settledAt ?? bet.placedAt,
+        type: 'BET',
+        change: bet.profit,
+        transactionId: null,
+        betId: bet.id
+      }))
+  ].sort((a, b) => a.at - b.at || (a.type === 'BET') - (b.type === 'BET'));
+
+  let balance = 0;
+  let peak = 0;
+  let maxDrawdown = { amount: 0, percent: 0, at: null };
+
+  const points = events.map(event => {
+    balance += event.change;
+    // Money moved in or out shifts the peak too: it isn't a gain or a loss
+    peak = event.type === 'BET' ? Math.max(peak, balance) : Math.max(peak + event.change, balance);
+
+    const drawdown = peak - balance;
+    const drawdownPercent = peak > 0 ? drawdown / peak * 100 : 0;
+    if (drawdown > maxDrawdown.amount) {
+      maxDrawdown = { amount: drawdown, percent: drawdownPercent, at: event.at };
+    }
+
+    return {
+      ...event,
+      change: round(event.change, 2),
+      balance: round(balance, 2),
+      peak: round(peak, 2),
+      drawdown: round(drawdown, 2),
+      drawdownPercent: round(drawdownPercent, 2)
+    };
+  });
+
+  const totals = balances(bankroll.transactions, bankroll.bets);
+  const last = points[points.length - 1];
+
+  return {
+    bankrollId,
+    name: bankroll.name,
+    growth: {
+      deposited: totals.deposited,
+      withdrawn: totals.withdrawn,
+      profit: totals.profit,
+      balance: totals.balance,
+      growthPercent: totals.deposited > 0 ? round(totals.profit / totals.deposited * 100, 2) : null
+    },
+    drawdown: {
+      current: last?.drawdown ?? 0,
+      currentPercent: last?.drawdownPercent ?? 0,
+      max: round(maxDrawdown.amount, 2),
+      maxPercent: round(maxDrawdown.percent, 2),
+      maxAt: maxDrawdown.at
+    },
+    points
+  };
+}
+
+// ============================================
+// PUBLIC API - STAKE SUGGESTION
+// ============================================
+
+/**
+ * Suggest a stake for a price with the bankroll's staking plan
+ *
+ * @param {string} userId
+ * @param {string} bankrollId
+ * @param {object} params - Parsed query
+ * @param {number} params.odds - Decimal price on offer
+ * @param {number} [params.probability] - The user's win probability estimate (0-1)
+ * @param {number} [params.fixtureId] - With marketId and selectionKey: use the SportsMonks prediction
+ * @param {number} [params.marketId]
+ * @param {string} [params.selectionKey]
+ * @param {number} [params.units] - FLAT plans: number of units (default 1)
+ * @returns {Promise<object>}
+ */
+async function suggestStake(userId, bankrollId, { odds, probability, fixtureId, marketId, selectionKey, units = 1 }) {
+  const [bankroll, defaultUnitSize] = await Promise.all([
+    findOwnBankroll(userId, bankrollId),
+    userUnitSize(userId)
+  ]);
+  const { balance, available } = balances(bankroll.transactions, bankroll.bets);
+
+  // 1. Win probability: the user's estimate, else the model's
+  let source = null;
+  if (probability !== undefined) {
+    source = 'estimate';
+  } else if (fixtureId !== undefined && marketId !== undefined && selectionKey) {
+    probability = await getModelProbability(fixtureId, marketId, selectionKey);
+    if (probability !== null) source = 'prediction';
+  }
+  if (source === null) probability = null;
+
+  if (bankroll.stakingPlan === 'KELLY' && source === null) {
+    throw new ValidationError(
+      'Kelly staking needs a probability: send probability, or fixtureId, marketId and selectionKey of a market SportsMonks predicts'
+    );
+  }
+
+  // 2. Stake from the plan
+  const unitSize = bankroll.unitSize ?? defaultUnitSize;
+  const kelly = source ? kellyFraction(odds, probability) : null;
+  const planStake = {
+    FLAT: () => units * unitSize,
+    PERCENTAGE: () => balance * bankroll.stakePercent / 100,
+    KELLY: () => balance * Math.max(kelly, 0) * bankroll.kellyFraction
+  }[bankroll.stakingPlan]();
+
+  // 3. Caps: the bankroll's maximum, and the money that's there
+  const caps = [Math.max(available, 0)];
+  if (bankroll.maxStakePercent) caps.push(Math.max(balance, 0) * bankroll.maxStakePercent / 100);
+  const stake = Math.max(0, Math.min(planStake, ...caps));
+
+  return {
+    bankrollId,
+    stakingPlan: bankroll.stakingPlan,
+    balance,
+    available,
+    odds,
+    probability: source ? { value: probability, source } : null,
+    edge: source ? round((probability * odds - 1) * 100, 2) : null,
+    kelly: kelly === null ? null : {
+      full: round(kelly * 100, 2),
+      fraction: bankroll.kellyFraction,
+      applied: round(Math.max(kelly, 0) * bankroll.kellyFraction * 100, 2)
+    },
+    planStake: round(planStake, 2),
+    stake: round(stake, 2),
+    capped: stake < planStake,
+    units: bankroll.stakingPlan === 'FLAT' ? units : round(stake / unitSize, 2),
+    unitSize
+  };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export {
+  listBankrolls,
+  createBankroll,
+  getBankroll,
+  updateBankroll,
+  deleteBankroll,
+  assertOwnBankroll,
+  addTransaction,
+  deleteTransaction,
+  getBankrollHistory,
+  suggestStake
+};
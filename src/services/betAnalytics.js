@@ -0,0 +1,286 @@
+// ============================================
+// BET ANALYTICS SERVICE
+// ============================================
+// Performance report over a user's settled bets (services/bets.js):
+//
+//   ROI          = profit / total staked            (stake-weighted)
+//   Yield        = average of profit / stake per bet (level stakes: what
+//                  1 unit on every bet would have made)
+//   Strike rate  = won / (won + lost)               (voids left out)
+//   Average odds = of won and lost bets
+//
+// Streaks and drawdown follow settlement order. Drawdown is the largest
+// fall of cumulative profit from its running peak (starting at 0).
+//
+// Breakdowns group bets by competition, market, bookmaker, odds band and
+// day of week. A multiple whose selections span several competitions
+// (or markets) goes into a "Mixed" group. The day of week is the one the
+// bet was decided on - its last kick-off - in the user's timezone.
+// ============================================
+
+import prisma from '../db.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Decimal odds bands (upper bound exclusive), in display order
+const ODDS_BANDS = [
+  { id: 1, name: 'Under 1.50', below: 1.5 },
+  { id: 2, name: '1.50 - 1.99', below: 2 },
+  { id: 3, name: '2.00 - 2.99', below: 3 },
+  { id: 4, name: '3.00 - 4.99', below: 5 },
+  { id: 5, name: '5.00 - 9.99', below: 10 },
+  { id: 6, name: '10.00+', below: Infinity }
+];
+
+// ISO weekday numbers (Monday = 1)
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Round to a number of decimal places
+ * @param {number} value
+ * @param {number} places
+ * @returns {number}
+ */
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Average of a list, or null when empty
+ * @param {number[]} values
+ * @returns {number|null}
+ */
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+/**
+ * Figures shared by the overall report and every breakdown row
+ * @param {object[]} bets - Settled Bet rows
+ * @returns {object} - { bets, won, lost, void, staked, returns, profit, roi, yield, strikeRate, averageOdds }
+ */
+function betStats(bets) {
+  const count = (status) => bets.filter(bet => bet.status === status).length;
+  const won = count('WON');
+  const lost = count('LOST');
+  const staked = bets.reduce((sum, bet) => sum + bet.stake, 0);
+  const returns = bets.reduce((sum, bet) => sum + bet.returns, 0);
+  const yieldPercent = average(bets.map(bet => bet.profit / bet.stake));
+  const averageOdds = average(bets.filter(bet => bet.status !== 'VOID').map(bet => bet.odds));
+
+  return {
+    bets: bets.length,
+    won,
+    lost,
+    void: count('VOID'),
+    staked: round(staked, 2),
+    returns: round(returns, 2),
+    profit: round(returns - staked, 2),
+    roi: staked > 0 ? round((returns - staked) / staked * 100, 2) : null,
+    yield: yieldPercent === null ? null : round(yieldPercent * 100, 2),
+    strikeRate: won + lost > 0 ? round(won / (won + lost) * 100, 1) : null,
+    averageOdds: averageOdds === null ? null : round(averageOdds, 2)
+  };
+}
+
+/**
+ * Group bets and compute each group's figures
+ * @param {object[]} bets - Settled Bet rows
+ * @param {Function} keyOf - bet -> { id, name }
+ * @returns {object[]} - Unsorted rows
+ */
+function groupStats(bets, keyOf) {
+  const groups = new Map();
+
+  for (const bet of bets) {
+    const { id, name } = keyOf(bet);
+    const key = id ?? name;
+    if (!groups.has(key)) groups.set(key, { id, name, bets: [] });
+    groups.get(key).bets.push(bet);
+  }
+
+  return [...groups.values()].map(({ id, name, bets: grouped }) => ({ id, name, ...betStats(grouped) }));
+}
+
+/**
+ * Most bets first, then most profit
+ * @param {object[]} rows
+ * @returns {object[]}
+ */
+const byVolume = (rows) => rows.sort((a, b) => b.bets - a.bets || b.profit - a.profit);
+
+/**
+ * Group of a bet whose selections may disagree (competition, market)
+ * @param {object} bet - Bet row with selections
+ * @param {Function} keyOf - selection -> { id, name }
+ * @param {string} mixedName - Name of the group for bets that disagree
+ * @returns {{ id: number|null, name: string }}
+ */
+function sharedKey(bet, keyOf, mixedName) {
+  const keys = bet.selections.map(keyOf);
+  const first = keys[0];
+  const same = keys.every(key => (key.id ?? key.name) === (first.id ?? first.name));
+  return same ? first : { id: null, name: mixedName };
+}
+
+/**
+ * Odds band of a price
+ * @param {number} odds
+ * @returns {{ id: number, name: string }}
+ */
+function oddsBand(odds) {
+  const { id, name } = ODDS_BANDS.find(band => odds < band.below);
+  return { id, name };
+}
+
+/**
+ * Day of week a bet was decided on (its last kick-off), in a timezone
+ * @param {object} bet - Bet row with selections
+ * @param {string} timezone - IANA timezone
+ * @returns {{ id: number, name: string }} - ISO weekday number and name
+ */
+function decidedWeekday(bet, timezone) {
+  const lastKickoff = new Date(Math.max(...bet.selections.map(s => s.kickoffAt.getTime())));
+
+  let name;
+  try {
+    name = new Intl.DateTimeFormat('en-US', { weekday: 'long', timeZone: timezone }).format(lastKickoff);
+  } catch {
+    // Preferences aren't checked against the IANA list: fall back to UTC
+    name = new Intl.DateTimeFormat('en-US', { weekday: 'long', timeZone: 'UTC' }).format(lastKickoff);
+  }
+
+  return { id: WEEKDAYS.indexOf(name) + 1, name };
+}
+
+/**
+ * Longest runs of wins and losses, and the run the last bet belongs to
+ * (void bets neither extend nor break a run)
+ * @param {object[]} bets - Settled Bet rows in settlement order
+ * @returns {object} - { longestWinning, longestLosing, current: { type, length } }
+ */
+function streaks(bets) {
+  let longestWinning = 0;
+  let longestLosing = 0;
+  let current = { type: null, length: 0 };
+
+  for (const bet of bets) {
+    if (bet.status === 'VOID') continue;
+
+    current = current.type === bet.status
+      ? { type: bet.status, length: current.length + 1 }
+      : { type: bet.status, length: 1 };
+
+    if (bet.status === 'WON') longestWinning = Math.max(longestWinning, current.length);
+    else longestLosing = Math.max(longestLosing, current.length);
+  }
+
+  return { longestWinning, longestLosing, current };
+}
+
+/**
+ * Largest fall of cumulative profit from its running peak
+ * @param {object[]} bets - Settled Bet rows in settlement order
+ * @returns {object} - { max, peakAt, troughAt, current }
+ */
+function profitDrawdown(bets) {
+  let profit = 0;
+  let peak = { profit: 0, at: null };
+  let max = { amount: 0, peakAt: null, troughAt: null };
+
+  for (const bet of bets) {
+    const at = bet.settledAt ?? bet.placedAt;
+    profit += bet.profit;
+
+    if (profit > peak.profit) {
+      peak = { profit, at };
+    } else if (peak.profit - profit > max.amount) {
+      max = { amount: peak.profit - profit, peakAt: peak.at, troughAt: at };
+    }
+  }
+
+  return {
+    max: round(max.amount, 2),
+    peakAt: max.peakAt,
+    troughAt: max.troughAt,
+    current: round(peak.profit - profit, 2)
+  };
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Performance report over a list of bets
+ *
+ * Open bets are only counted (open, openStake); every figure is over the
+ * settled ones.
+ *
+ * @param {object[]} bets - Bet rows with selections
+ * @param {string} timezone - IANA timezone of the day-of-week breakdown
+ * @returns {object} - { overall, streaks, drawdown, byCompetition, byMarket, byBookmaker, byOddsBand, byDayOfWeek }
+ */
+function betReport(bets, timezone) {
+  const open = bets.filter(bet => bet.status === 'OPEN');
+  const settled = bets
+    .filter(bet => bet.status !== 'OPEN')
+    .sort((a, b) => (a.settledAt ?? a.placedAt) - (b.settledAt ?? b.placedAt));
+
+  return {
+    overall: {
+      ...betStats(settled),
+      averageStake: settled.length > 0 ? round(average(settled.map(bet => bet.stake)), 2) : null,
+      open: open.length,
+      openStake: round(open.reduce((sum, bet) => sum + bet.stake, 0), 2)
+    },
+    streaks: streaks(settled),
+    drawdown: profitDrawdown(settled),
+    byCompetition: byVolume(groupStats(settled, bet =>
+      sharedKey(bet, s => ({ id: s.leagueId, name: s.leagueName || 'Unknown' }), 'Mixed competitions')
+    )),
+    byMarket: byVolume(groupStats(settled, bet =>
+      sharedKey(bet, s => ({ id: s.marketId, name: s.marketName || `Market ${s.marketId}` }), 'Mixed markets')
+    )),
+    byBookmaker: byVolume(groupStats(settled, bet => ({ id: bet.bookmakerId, name: bet.bookmakerName || 'Unknown' }))),
+    byOddsBand: groupStats(settled, bet => oddsBand(bet.odds)).sort((a, b) => a.id - b.id),
+    byDayOfWeek: groupStats(settled, bet => decidedWeekday(bet, timezone)).sort((a, b) => a.id - b.id)
+  };
+}
+
+/**
+ * Performance report over a user's settled bets
+ *
+ * @param {string} userId
+ * @param {object} [filters]
+ * @param {Date} [filters.from] - Bets placed on or after
+ * @param {Date} [filters.to] - Bets placed on or before
+ * @param {string} [filters.bankrollId] - Only this bankroll's bets
+ * @returns {Promise<object>} - See betReport
+ */
+async function getBetAnalytics(userId, { from, to, bankrollId } = {}) {
+  const [user, bets] = await Promise.all([
+    prisma.user.findUnique({ where: { id: userId }, select: { timezone: true } }),
+    prisma.bet.findMany({
+      where: {
+        userId,
+        ...(bankrollId && { bankrollId }),
+        ...((from || to) && { placedAt: { ...(from && { gte: from }), ...(to && { lte: to }) } })
+      },
+      include: { selections: true }
+    })
+  ]);
+
+  return betReport(bets, user?.timezone || 'UTC');
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export {
+  betReport,
+  getBetAnalytics
+};
@@ -0,0 +1,594 @@
+// ============================================
+// BETS SERVICE
+// ============================================
+// Ledger of bets users placed (Bet and BetSelection in the Prisma
+// schema). A single has one selection, a multiple several; its odds are
+// the product of the selections' odds.
+//
+// Settlement (settleFixtureSelections, run by the "settle-bets" job):
+//   - Finished fixtures: each open selection on the fixture is graded
+//     from the score after 90 minutes (extra time doesn't count), or the
+//     1st/2nd half score for half markets
+//   - Cancelled, abandoned or walkover fixtures: selections are void
+//   - Markets we can't grade are left open for the user to settle
+//
+// A bet is LOST as soon as one selection loses, and otherwise settles
+// once every selection has: void selections count at odds 1, and a bet
+// whose selections are all void is VOID (stake returned).
+// ============================================
+
+import prisma from '../db.js';
+import { getFixtureById } from './sportsmonks.js';
+import { FINISHED_STATES } from './warehouse.js';
+import { assertOwnBankroll } from './bankrolls.js';
+import { ForbiddenError, NotFoundError, ValidationError } from './errors.js';
+
+// Selections per bet (an accumulator can't be longer than this)
+const MAX_SELECTIONS = 20;
+
+// SportsMonks states whose bets are void
+const VOID_STATES = {
+  CANCELLED: 'Fixture cancelled',
+  ABANDONED: 'Fixture abandoned',
+  WO: 'Walkover'
+};
+
+// ============================================
+// SETTLEMENT MARKETS (SportsMonks market IDs)
+// ============================================
+// Which period of the match each gradable market is settled on
+// (selection keys as in services/odds.js)
+
+const SETTLEMENT_MARKETS = {
+  1: { type: 'result', period: 'fulltime' },       // Fulltime Result
+  28075: { type: 'result', period: 'fulltime' },   // Fulltime Result (alt)
+  37: { type: 'result', period: 'firstHalf' },     // 1st Half Result
+  80: { type: 'result', period: 'secondHalf' },    // 2nd Half Result
+  63: { type: 'doubleChance', period: 'fulltime' },
+  14: { type: 'btts', period: 'fulltime' },
+  12: { type: 'totals', period: 'fulltime' },      // Goals Over/Under
+  5: { type: 'totals', period: 'fulltime' },       // Alternative Match Goals
+  38: { type: 'totals', period: 'secondHalf' },    // 2nd Half Over/Under
+  47: { type: 'totals', period: 'secondHalf' },
+  99: { type: 'oddEven', period: 'fulltime' }
+};
+
+const PERIOD_NAMES = {
+  fulltime: 'Full time',
+  firstHalf: 'Half time',
+  secondHalf: '2nd half'
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Round to a number of decimal places
+ * @param {number} value
+ * @param {number} places
+ * @returns {number}
+ */
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Parse a SportsMonks UTC time ("2024-12-26 15:00:00")
+ * @param {string} value
+ * @returns {Date|null}
+ */
+function parseSportsMonksTime(value) {
+  if (!value) return null;
+  const date = new Date(value.replace(' ', 'T') + 'Z');
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Home and away goals of one score description ("CURRENT", "1ST_HALF", ...)
+ * @param {object[]} scores - SportsMonks fixture scores
+ * @param {string} description
+ * @returns {{ home: number, away: number }|null}
+ */
+function scoreLine(scores, description) {
+  const goals = (side) => scores.find(
+    s => s.description === description && s.score?.participant === side
+  )?.score?.goals;
+
+  const home = goals('home');
+  const away = goals('away');
+  return Number.isInteger(home) && Number.isInteger(away) ? { home, away } : null;
+}
+
+/**
+ * Goals of a finished fixture in one period
+ *
+ * "2ND_HALF" is the cumulative score after 90 minutes; "CURRENT" only
+ * equals it when there was no extra time.
+ *
+ * @param {object} fixture - SportsMonks fixture with scores and state
+ * @param {string} period - fulltime, firstHalf or secondHalf
+ * @returns {{ home: number, away: number }|null}
+ */
+function periodGoals(fixture, period) {
+  const scores = fixture.scores || [];
+  const regularTime = scoreLine(scores, '2ND_HALF') ||
+    (fixture.state?.state === 'FT' ? scoreLine(scores, 'CURRENT') : null);
+  const firstHalf = scoreLine(scores, '1ST_HALF');
+
+  if (period === 'firstHalf') return firstHalf;
+  if (period === 'secondHalf') {
+    return regularTime && firstHalf
+      ? { home: regularTime.home - firstHalf.home, away: regularTime.away - firstHalf.away }
+      : null;
+  }
+  return regularTime;
+}
+
+/**
+ * Grade a selection against the goals of its period
+ * @param {string} type - Settlement type of the market
+ * @param {string} key - Canonical selection key
+ * @param {{ home: number, away: number }} goals
+ * @returns {string|null} - WON, LOST or VOID; null if the key can't be graded
+ */
+function gradeSelection(type, key, { home, away }) {
+  const outcome = home > away ? '1' : home < away ? '2' : 'X';
+  const total = home + away;
+
+  switch (type) {
+    case 'result':
+      return ['1', 'X', '2'].includes(key) ? (key === outcome ? 'WON' : 'LOST') : null;
+
+    case 'doubleChance':
+      return ['1X', '12', 'X2'].includes(key) ? (key.includes(outcome) ? 'WON' : 'LOST') : null;
+
+    case 'btts':
+      if (key !== 'yes' && key !== 'no') return null;
+      return (home > 0 && away > 0) === (key === 'yes') ? 'WON' : 'LOST';
+
+    case 'totals': {
+      // "over_2.5": whole lines push on the line, quarter lines aren't graded
+      const [side, lineText] = key.split('_');
+      const line = parseFloat(lineText);
+      if (!['over', 'under'].includes(side) || !Number.isFinite(line) || !Number.isInteger(line * 2)) return null;
+      if (total === line) return 'VOID';
+      return (total > line) === (side === 'over') ? 'WON' : 'LOST';
+    }
+
+    case 'oddEven':
+      if (key !== 'odd' && key !== 'even') return null;
+      return (total % 2 === 1) === (key === 'odd') ? 'WON' : 'LOST';
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether settlement can ever grade a selection (a supported market and
+ * selection key) - the others are left to the user
+ * @param {object} selection - BetSelection row
+ * @returns {boolean}
+ */
+function isGradable(selection) {
+  const market = SETTLEMENT_MARKETS[selection.marketId];
+  return !!market && gradeSelection(market.type, selection.selectionKey, { home: 0, away: 0 }) !== null;
+}
+
+/**
+ * Result of a selection from its fixture
+ * @param {object} selection - BetSelection row
+ * @param {object} fixture - SportsMonks fixture with scores and state
+ * @returns {{ status: string, resultInfo: string }|null} - Null while it can't be settled
+ */
+function selectionResult(selection, fixture) {
+  const state = fixture.state?.state;
+
+  if (VOID_STATES[state]) {
+    return { status: 'VOID', resultInfo: VOID_STATES[state] };
+  }
+  if (!FINISHED_STATES.includes(state)) return null;
+
+  const market = SETTLEMENT_MARKETS[selection.marketId];
+  if (!market) return null;
+
+  const goals = periodGoals(fixture, market.period);
+  if (!goals) return null;
+
+  const status = gradeSelection(market.type, selection.selectionKey, goals);
+  if (!status) return null;
+
+  return { status, resultInfo: `${PERIOD_NAMES[market.period]} ${goals.home}-${goals.away}` };
+}
+
+/**
+ * Status, returns and profit of a bet from its selections
+ * @param {number} stake
+ * @param {object[]} selections - With status and odds
+ * @returns {{ status: string, returns: number|null, profit: number|null }}
+ */
+function betOutcome(stake, selections) {
+  if (selections.some(s => s.status === 'LOST')) {
+    return { status: 'LOST', returns: 0, profit: -stake };
+  }
+  if (selections.some(s => s.status === 'OPEN')) {
+    return { status: 'OPEN', returns: null, profit: null };
+  }
+  if (selections.every(s => s.status === 'VOID')) {
+    return { status: 'VOID', returns: stake, profit: 0 };
+  }
+
+  const odds = selections
+    .filter(s => s.status === 'WON')
+    .reduce((product, s) => product * s.odds, 1);
+  const returns = round(stake * odds, 2);
+  return { status: 'WON', returns, profit: round(returns - stake, 2) };
+}
+
+/**
+ * Store a bet's outcome after its stake or a selection changed
+ * @param {string} betId
+ * @returns {Promise<object>} - Updated bet with selections
+ */
+async function refreshBet(betId) {
+  const bet = await prisma.bet.findUnique({ where: { id: betId }, include: { selections: true } });
+  const outcome = betOutcome(bet.stake, bet.selections);
+
+  return prisma.bet.update({
+    where: { id: betId },
+    data: {
+      ...outcome,
+      // Keep the original settlement time unless the bet re-opens
+      settledAt: outcome.status === 'OPEN' ? null : bet.settledAt ?? new Date()
+    },
+    include: { selections: true }
+  });
+}
+
+/**
+ * Bet as returned by the API: single or multiple, selections by kick-off,
+ * and the bet's CLV once every selection has a closing price
+ * (services/clv.js)
+ * @param {object} bet - Bet row with selections
+ * @returns {object}
+ */
+function formatBet(bet) {
+  const closed = bet.selections.every(s => s.closingOdds);
+  const closingOdds = bet.selections.reduce((product, s) => product * s.closingOdds, 1);
+
+  return {
+    ...bet,
+    type: bet.selections.length > 1 ? 'multiple' : 'single',
+    clv: closed ? round((bet.odds / closingOdds - 1) * 100, 2) : null,
+    selections: [...bet.selections].sort((a, b) => a.kickoffAt - b.kickoffAt)
+  };
+}
+
+/**
+ * Find one of the user's bets
+ * @param {string} userId
+ * @param {string} betId
+ * @returns {Promise<object>} - Bet with selections
+ */
+async function findOwnBet(userId, betId) {
+  const bet = await prisma.bet.findUnique({ where: { id: betId }, include: { selections: true } });
+
+  if (!bet) {
+    throw new NotFoundError('Bet not found');
+  }
+  if (bet.userId !== userId) {
+    throw new ForbiddenError('Access denied. This bet belongs to another user.');
+  }
+  return bet;
+}
+
+/**
+ * Totals of a list of bets
+ * @param {object[]} bets
+ * @returns {object}
+ */
+function summarize(bets) {
+  const settled = bets.filter(bet => bet.status !== 'OPEN');
+  const staked = settled.reduce((sum, bet) => sum + bet.stake, 0);
+  const returns = settled.reduce((sum, bet) => sum + bet.returns, 0);
+  const count = (status) => bets.filter(bet => bet.status === status).length;
+
+  return {
+    total: bets.length,
+    open: count('OPEN'),
+    won: count('WON'),
+    lost: count('LOST'),
+    void: count('VOID'),
+    openStake: round(bets.filter(bet => bet.status === 'OPEN').reduce((sum, bet) => sum + bet.stake, 0), 2),
+    staked: round(staked, 2),
+    returns: round(returns, 2),
+    profit: round(returns - staked, 2),
+    roi: staked > 0 ? round((returns - staked) / staked * 100, 2) : null
+  };
+}
+
+// ============================================
+// PUBLIC API - LEDGER
+// ============================================
+
+/**
+ * Log a bet
+ *
+ * Fixture names and kick-off times are taken from SportsMonks (cached
+ * fixture details), so a selection can't point at an unknown fixture.
+ *
+ * @param {string} userId
+ * @param {object} data - Request body
+ * @param {number} data.stake
+ * @param {object[]} data.selections - { fixtureId, marketId, marketName?, selectionKey, selectionLabel?, odds }
+ * @param {number} [data.bookmakerId]
+ * @param {string} [data.bookmakerName]
+ * @param {string} [data.bankrollId] - One of the user's bankrolls (services/bankrolls.js)
+ * @param {string} [data.placedAt] - ISO date-time (default now)
+ * @param {string} [data.notes]
+ * @returns {Promise<object>}
+ */
+async function createBet(userId, { stake, selections, bookmakerId, bookmakerName, bankrollId, placedAt, notes }) {
+  if (selections.length > MAX_SELECTIONS) {
+    throw new ValidationError(`A bet can have at most ${MAX_SELECTIONS} selections`);
+  }
+  if (bankrollId) {
+    await assertOwnBankroll(userId, bankrollId);
+  }
+
+  const legKeys = selections.map(s => `${s.fixtureId}:${s.marketId}:${s.selectionKey}`);
+  if (new Set(legKeys).size !== legKeys.length) {
+    throw new ValidationError('The same selection appears twice in this bet');
+  }
+
+  // One lookup per fixture (cached)
+  const fixtures = new Map();
+  for (const fixtureId of new Set(selections.map(s => s.fixtureId))) {
+    const result = await getFixtureById(fixtureId);
+    const kickoffAt = parseSportsMonksTime(result.data?.starting_at);
+    if (!kickoffAt) {
+      throw new ValidationError(`Fixture ${fixtureId} has no kick-off time`);
+    }
+    fixtures.set(fixtureId, {
+      name: result.data.name,
+      kickoffAt,
+      leagueId: result.data.league_id ?? null,
+      leagueName: result.data.league?.name ?? null
+    });
+  }
+
+  const odds = selections.reduce((product, s) => product * s.odds, 1);
+
+  const bet = await prisma.bet.create({
+    data: {
+      userId,
+      stake,
+      odds: round(odds, 3),
+      bookmakerId: bookmakerId ?? null,
+      bookmakerName: bookmakerName || null,
+      bankrollId: bankrollId || null,
+      placedAt: placedAt ? new Date(placedAt) : undefined,
+      notes: notes || null,
+      selections: {
+        create: selections.map(s => ({
+          fixtureId: s.fixtureId,
+          fixtureName: fixtures.get(s.fixtureId).name,
+          kickoffAt: fixtures.get(s.fixtureId).kickoffAt,
+          leagueId: fixtures.get(s.fixtureId).leagueId,
+          leagueName: fixtures.get(s.fixtureId).leagueName,
+          marketId: s.marketId,
+          marketName: s.marketName || null,
+          selectionKey: s.selectionKey,
+          selectionLabel: s.selectionLabel || null,
+          odds: s.odds
+        }))
+      }
+    },
+    include: { selections: true }
+  });
+
+  return formatBet(bet);
+}
+
+/**
+ * List the user's bets (newest first) with totals over all of them
+ * @param {string} userId
+ * @param {object} [filters]
+ * @param {string} [filters.status] - open, settled, or a BetStatus
+ * @param {string} [filters.bankrollId] - Only this bankroll's bets (totals too)
+ * @returns {Promise<{ summary: object, count: number, bets: object[] }>}
+ */
+async function listBets(userId, { status, bankrollId } = {}) {
+  const bets = await prisma.bet.findMany({
+    where: { userId, ...(bankrollId && { bankrollId }) },
+    include: { selections: true },
+    orderBy: { placedAt: 'desc' }
+  });
+
+  const matches =
+    !status ? () => true
+      : status === 'open' ? bet => bet.status === 'OPEN'
+        : status === 'settled' ? bet => bet.status !== 'OPEN'
+          : bet => bet.status === status;
+  const listed = bets.filter(matches).map(formatBet);
+
+  return { summary: summarize(bets), count: listed.length, bets: listed };
+}
+
+/**
+ * Get one of the user's bets
+ * @param {string} userId
+ * @param {string} betId
+ * @returns {Promise<object>}
+ */
+async function getBet(userId, betId) {
+  return formatBet(await findOwnBet(userId, betId));
+}
+
+/**
+ * Update a bet's details (selections can't be changed - delete and re-log)
+ * @param {string} userId
+ * @param {string} betId
+ * @param {object} data - { stake?, bookmakerId?, bookmakerName?, bankrollId?, placedAt?, notes? }
+ * @returns {Promise<object>}
+ */
+async function updateBet(userId, betId, { stake, bookmakerId, bookmakerName, bankrollId, placedAt, notes }) {
+  await findOwnBet(userId, betId);
+
+  const data = {};
+  if (stake !== undefined) data.stake = stake;
+  if (bookmakerId !== undefined) data.bookmakerId = bookmakerId;
+  if (bookmakerName !== undefined) data.bookmakerName = bookmakerName || null;
+  if (bankrollId !== undefined) {
+    if (bankrollId) await assertOwnBankroll(userId, bankrollId);
+    data.bankrollId = bankrollId || null;
+  }
+  if (placedAt !== undefined) data.placedAt = new Date(placedAt);
+  if (notes !== undefined) data.notes = notes || null;
+
+  if (Object.keys(data).length === 0) {
+    throw new ValidationError('Nothing to update. Provide stake, bookmaker, bankroll, placedAt or notes.');
+  }
+
+  await prisma.bet.update({ where: { id: betId }, data });
+
+  // A new stake changes returns and profit
+  return formatBet(await refreshBet(betId));
+}
+
+/**
+ * Delete one of the user's bets
+ * @param {string} userId
+ * @param {string} betId
+ * @returns {Promise<void>}
+ */
+async function deleteBet(userId, betId) {
+  await findOwnBet(userId, betId);
+  await prisma.bet.delete({ where: { id: betId } });
+}
+
+/**
+ * Settle (or re-open) a selection by hand - for markets the settlement
+ * job can't grade, or to correct a result
+ * @param {string} userId
+ * @param {string} betId
+ * @param {string} selectionId
+ * @param {object} data - { status, resultInfo? }
+ * @returns {Promise<object>} - Updated bet
+ */
+async function settleSelection(userId, betId, selectionId, { status, resultInfo }) {
+  const bet = await findOwnBet(userId, betId);
+  if (!bet.selections.some(s => s.id === selectionId)) {
+    throw new NotFoundError('Selection not found in this bet');
+  }
+
+  await prisma.betSelection.update({
+    where: { id: selectionId },
+    data: {
+      status,
+      settledAt: status === 'OPEN' ? null : new Date(),
+      resultInfo: status === 'OPEN' ? null : resultInfo || 'Settled manually'
+    }
+  });
+
+  return formatBet(await refreshBet(betId));
+}
+
+// ============================================
+// PUBLIC API - SETTLEMENT
+// ============================================
+
+/**
+ * Fixtures with open selections that kicked off in a time window
+ *
+ * Fixtures with a selection settlement can grade come first, earliest
+ * kick-off first. Fixtures whose open selections are all ungradable
+ * follow: only a cancelled, abandoned or walkover fixture (VOID_STATES)
+ * settles them, so they get the run's leftover fixture fetches rather
+ * than crowding out gradable ones.
+ *
+ * @param {Date} from - Oldest kick-off still looked at (older ones are left to the user)
+ * @param {Date} to - Latest kick-off (a match needs time to finish)
+ * @param {number} limit
+ * @returns {Promise<number[]>} - Fixture IDs
+ */
+async function fixturesToSettle(from, to, limit) {
+  const open = await prisma.betSelection.findMany({
+    where: { status: 'OPEN', kickoffAt: { gte: from, lte: to } },
+    select: { fixtureId: true, marketId: true, selectionKey: true },
+    orderBy: { kickoffAt: 'asc' }
+  });
+
+  const gradable = new Set(open.filter(isGradable).map(selection => selection.fixtureId));
+  const voidOnly = new Set(open.map(selection => selection.fixtureId).filter(id => !gradable.has(id)));
+  return [...gradable, ...voidOnly].slice(0, limit);
+}
+
+/**
+ * Settle the open selections of one fixture, then their bets
+ *
+ * Fetches the fixture bypassing the cache, so a result is never graded
+ * from a copy cached before full time. A rescheduled fixture gets its new
+ * kick-off time stored instead.
+ *
+ * @param {number} fixtureId
+ * @returns {Promise<object>} - { fixtureId, state, settled, unsupported, bets }
+ */
+async function settleFixtureSelections(fixtureId) {
+  const result = await getFixtureById(fixtureId, { skipCache: true });
+  const fixture = result.data;
+  const state = fixture?.state?.state ?? null;
+
+  const open = await prisma.betSelection.findMany({ where: { fixtureId, status: 'OPEN' } });
+
+  const kickoffAt = parseSportsMonksTime(fixture?.starting_at);
+  if (kickoffAt && !FINISHED_STATES.includes(state) && !VOID_STATES[state]) {
+    await prisma.betSelection.updateMany({
+      where: { fixtureId, status: 'OPEN', kickoffAt: { not: kickoffAt } },
+      data: { kickoffAt }
+    });
+    return { fixtureId, state, settled: 0, unsupported: 0, bets: 0 };
+  }
+
+  const settledAt = new Date();
+  const betIds = new Set();
+  let unsupported = 0;
+
+  for (const selection of open) {
+    const outcome = selectionResult(selection, fixture);
+    if (!outcome) {
+      unsupported++;
+      continue;
+    }
+
+    await prisma.betSelection.update({
+      where: { id: selection.id },
+      data: { ...outcome, settledAt }
+    });
+    betIds.add(selection.betId);
+  }
+
+  for (const betId of betIds) {
+    await refreshBet(betId);
+  }
+
+  return { fixtureId, state, settled: open.length - unsupported, unsupported, bets: betIds.size };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export {
+  createBet,
+  listBets,
+  getBet,
+  updateBet,
+  deleteBet,
+  settleSelection,
+  fixturesToSettle,
+  settleFixtureSelections,
+  periodGoals,
+  gradeSelection,
+  betOutcome,
+  VOID_STATES
+};
@@ -1,14 +1,24 @@
 // ============================================
 // CACHE SERVICE
 // ============================================
-// In-memory caching using node-cache to reduce SportsMonks API calls.
+// Caching layer to reduce SportsMonks API calls.
 // Provides TTL tiers based on data volatility, key builders for
 // all cacheable entities, and a getOrFetch helper pattern.
 //
+// The actual storage is pluggable (see cacheStores.js): in-memory,
+// Postgres or a Redis-protocol server, selected via CACHE_STORE.
+// All operations are async because remote stores are.
+//
 // Cache Keys use colon-delimited format: "type:id1:id2"
 // ============================================
 
-import NodeCache from 'node-cache';
+import { createStore } from './cacheStores.js';
+import { markDataStatus, markCacheUse } from './requestContext.js';
+import { createLogger } from './logger.js';
+import { observeCacheLookup, observeCacheFallback } from './metrics.js';
+import { UpstreamUnavailableError } from './errors.js';
+
+const log = createLogger('Cache');
 
 // ============================================
 // TTL TIERS (in seconds)
@@ -52,14 +62,66 @@ const TTL = {
 };
 
 // ============================================
-// CREATE CACHE INSTANCE
+// STALE GRACE WINDOWS (in seconds)
+// ============================================
+// How long an expired entry may still be served while getOrFetch
+// refreshes it in the background (stale-while-revalidate).
+// Keyed by TTL tier; live data gets no grace at all.
+
+const STALE_GRACE = {
+  REFERENCE: 24 * 60 * 60,          // 1 day
+  LEAGUE: 6 * 60 * 60,              // 6 hours
+  SEMI_STATIC: 2 * 60 * 60,         // 2 hours
+  STANDINGS: 30 * 60,               // 30 minutes
+  FIXTURE_LIST: 10 * 60,            // 10 minutes
+  FIXTURE_DETAIL: 5 * 60,           // 5 minutes
+  PREDICTIONS: 10 * 60,             // 10 minutes
+  H2H: 10 * 60,                     // 10 minutes
+  ODDS: 2 * 60,                     // 2 minutes
+  LIVESCORES: 0,                    // Never serve stale live scores
+  LIVESCORES_INPLAY: 0,
+  DEFAULT: 2 * 60 * 60              // 2 hours
+};
+
+// Set CACHE_STALE_WHILE_REVALIDATE=false to disable serving stale data
+const STALE_WHILE_REVALIDATE = process.env.CACHE_STALE_WHILE_REVALIDATE !== 'false';
+
+// How long entries are kept beyond TTL + grace, purely as a fallback
+// for when SportsMonks is down (see getOrFetch). Never served otherwise.
+const FALLBACK_RETENTION = 24 * 60 * 60;   // 24 hours
+
+/**
+ * Find the stale grace window for a TTL by matching it to its tier
+ * @param {number} ttl - TTL in seconds
+ * @returns {number} - Grace window in seconds (0 for unknown TTLs)
+ */
+function staleGraceFor(ttl) {
+  const tier = Object.keys(TTL).find(name => TTL[name] === ttl);
+  return tier ? STALE_GRACE[tier] : 0;
+}
+
+// ============================================
+// CREATE CACHE STORE
 // ============================================
 
-const cache = new NodeCache({
-  stdTTL: TTL.DEFAULT,
-  checkperiod: 120,   // Check for expired keys every 2 minutes
-  useClones: false     // Better performance - we won't mutate cached objects
-});
+const store = createStore({ defaultTtl: TTL.DEFAULT });
+
+log.info(`Using ${store.name} store`, { store: store.name });
+
+// Hit/miss counters for this process (stores only hold data)
+const counters = {
+  hits: 0,
+  misses: 0,
+  staleHits: 0,   // Expired entries served while refreshing
+  coalesced: 0,   // Requests that joined an in-flight fetch
+  fallbacks: 0    // Old entries served because SportsMonks was unavailable
+};
+
+// Hit/miss counters per key family (the prefix before the first colon)
+const familyCounters = {};
+
+// Fetches currently running, by cache key (for request coalescing)
+const inFlight = new Map();
 
 // ============================================
 // CACHE KEY BUILDERS
@@ -144,20 +206,124 @@ const keys = {
 // ============================================
 // CACHE OPERATIONS
 // ============================================
+// A failing store (e.g. Redis down) must never fail the request:
+// reads degrade to a miss and writes are skipped, with an error log.
+//
+// Values are stored as { value, storedAt, freshUntil } entries. The
+// store keeps them for TTL + stale grace + fallback retention, but only
+// getOrFetch serves them once freshUntil has passed.
+//
+// Entries served to a request are reported to the request context, and
+// the HTTP cache middleware builds the response's Cache-Control from them.
+
+/**
+ * Build a new entry for a value
+ * @param {any} value - The value to cache
+ * @param {number} ttl - Time-to-live in seconds
+ * @returns {object} - { value, storedAt, freshUntil }
+ */
+function createEntry(value, ttl) {
+  const now = Date.now();
+  return { value, storedAt: now, freshUntil: now + ttl * 1000 };
+}
+
+/**
+ * Report an entry to the current request (for Cache-Control)
+ * and unwrap its value
+ * @param {object} entry - Entry being served
+ * @returns {any} - The entry's value
+ */
+function useEntry(entry) {
+  const ttl = Math.round((entry.freshUntil - entry.storedAt) / 1000);
+  markCacheUse({
+    freshUntil: entry.freshUntil,
+    staleGrace: staleGraceFor(ttl)
+  });
+  return entry.value;
+}
+
+/**
+ * Read a raw entry from the store, including stale ones
+ * @param {string} key - The cache key
+ * @returns {Promise<object|undefined>} - { value, storedAt, freshUntil } or undefined
+ */
+async function readEntry(key) {
+  try {
+    return await store.get(key);
+  } catch (error) {
+    log.error(`GET failed for ${key}`, { key, error: error.message });
+    return undefined;
+  }
+}
+
+/**
+ * Count a cache lookup, overall, for the key's family and in the metrics
+ * @param {string} key - The cache key
+ * @param {string} result - "hit", "miss" or "stale" (a stale hit counts as a hit)
+ */
+function countLookup(key, result) {
+  const outcome = result === 'miss' ? 'misses' : 'hits';
+  counters[outcome]++;
+  if (result === 'stale') counters.staleHits++;
+
+  const family = key.split(':')[0];
+  if (!familyCounters[family]) {
+    familyCounters[family] = { hits: 0, misses: 0 };
+  }
+  familyCounters[family][outcome]++;
+
+  observeCacheLookup(family, result);
+}
 
 /**
  * Get a value from cache
  * @param {string} key - The cache key
- * @returns {any|undefined} - Cached value or undefined if not found/expired
+ * @returns {Promise<any|undefined>} - Cached value or undefined if not found/expired
+ */
+async function get(key) {
+  const entry = await readEntry(key);
+
+  if (entry !== undefined && entry.freshUntil > Date.now()) {
+    countLookup(key, 'hit');
+    log.debug(`HIT: ${key}`, { key });
+    return useEntry(entry);
+  }
+
+  countLookup(key, 'miss');
+  log.debug(`MISS: ${key}`, { key });
+  return undefined;
+}
+
+/**
+ * Get a fresh value without counting a lookup or reporting the entry to
+ * the current request - for scans over many keys (e.g. arbitrage), which
+ * would otherwise skew the hit ratio and the metrics
+ * @param {string} key - The cache key
+ * @returns {Promise<any|undefined>} - Cached value or undefined if not found/expired
+ */
+async function peek(key) {
+  const entry = await readEntry(key);
+  return entry !== undefined && entry.freshUntil > Date.now() ? entry.value : undefined;
+}
+
+/**
+ * Write an entry to the store
+ * @param {string} key - The cache key
+ * @param {object} entry - Entry from createEntry
+ * @param {number} ttl - Time-to-live in seconds
+ * @returns {Promise<boolean>} - True if successful
  */
-function get(key) {
-  const value = cache.get(key);
-  if (value !== undefined) {
-    console.log(`[Cache] HIT: ${key}`);
-  } else {
-    console.log(`[Cache] MISS: ${key}`);
+async function writeEntry(key, entry, ttl) {
+  try {
+    const success = await store.set(key, entry, ttl + staleGraceFor(ttl) + FALLBACK_RETENTION);
+    if (success) {
+      log.debug(`SET: ${key} (TTL: ${ttl}s)`, { key, ttl });
+    }
+    return success;
+  } catch (error) {
+    log.error(`SET failed for ${key}`, { key, error: error.message });
+    return false;
   }
-  return value;
 }
 
 /**
@@ -165,61 +331,66 @@ function get(key) {
  * @param {string} key - The cache key
  * @param {any} value - The value to cache
  * @param {number} ttl - Time-to-live in seconds (optional, uses default if not provided)
- * @returns {boolean} - True if successful
+ * @returns {Promise<boolean>} - True if successful
  */
-function set(key, value, ttl) {
-  const success = cache.set(key, value, ttl);
-  if (success) {
-    console.log(`[Cache] SET: ${key} (TTL: ${ttl || TTL.DEFAULT}s)`);
-  }
-  return success;
+async function set(key, value, ttl = TTL.DEFAULT) {
+  return writeEntry(key, createEntry(value, ttl), ttl);
 }
 
 /**
  * Delete a specific key from cache
  * @param {string} key - The cache key to delete
- * @returns {number} - Number of deleted entries
+ * @returns {Promise<number>} - Number of deleted entries
  */
-function del(key) {
-  const count = cache.del(key);
-  console.log(`[Cache] DEL: ${key} (deleted: ${count})`);
+async function del(key) {
+  const count = await store.del(key);
+  log.debug(`DEL: ${key} (deleted: ${count})`, { key, count });
   return count;
 }
 
 /**
  * Clear all cached data
  */
-function flush() {
-  cache.flushAll();
-  console.log('[Cache] FLUSH: All cache cleared');
+async function flush() {
+  await store.flush();
+  log.info('FLUSH: All cache cleared');
 }
 
 /**
  * Get cache statistics
- * @returns {object} - Stats including hits, misses, keys count
+ * @returns {Promise<object>} - Stats including hits, misses, keys count
  */
-function stats() {
-  return cache.getStats();
+async function stats() {
+  const allKeys = await store.keys();
+  return {
+    store: store.name,
+    hits: counters.hits,
+    misses: counters.misses,
+    keys: allKeys.length
+  };
 }
 
 /**
  * List all current cache keys
- * @returns {string[]} - Array of all keys currently in cache
+ * @returns {Promise<string[]>} - Array of all keys currently in cache
  */
-function listKeys() {
-  return cache.keys();
+async function listKeys() {
+  return store.keys();
 }
 
 /**
  * Get remaining TTL for a key
+ * Includes the stale grace and fallback windows, i.e. how long the store keeps the entry.
+ *
  * @param {string} key - The cache key
- * @returns {number} - Remaining TTL in seconds, or -1 if not found
+ * @returns {Promise<number>} - Remaining TTL in seconds, 0 if it never expires, or -1 if not found
  */
-function getTtl(key) {
-  const ttl = cache.getTtl(key);
-  if (ttl === undefined) return -1;
-  // getTtl returns timestamp, convert to remaining seconds
-  return Math.round((ttl - Date.now()) / 1000);
+async function getTtl(key) {
+  const expiresAt = await store.getTtl(key);
+  if (expiresAt === undefined) return -1;
+  if (expiresAt === Infinity) return 0;  // Key never expires
+  // Stores return an expiry timestamp, convert to remaining seconds
+  return Math.round((expiresAt - Date.now()) / 1000);
 }
 
 /**
@@ -227,29 +398,28 @@ function getTtl(key) {
  * Useful for targeted clearing (e.g., flush all odds for a fixture)
  *
  * @param {string} prefix - The key prefix to match (e.g., "odds:", "team:19")
- * @returns {number} - Number of deleted entries
+ * @returns {Promise<number>} - Number of deleted entries
  */
-function flushByPrefix(prefix) {
-  const allKeys = cache.keys();
+async function flushByPrefix(prefix) {
+  const allKeys = await store.keys();
   const matchingKeys = allKeys.filter(key => key.startsWith(prefix));
 
   if (matchingKeys.length === 0) {
-    console.log(`[Cache] FLUSH PREFIX: "${prefix}" - no matching keys`);
+    log.info(`FLUSH PREFIX: "${prefix}" - no matching keys`, { prefix, count: 0 });
     return 0;
   }
 
-  const count = cache.del(matchingKeys);
-  console.log(`[Cache] FLUSH PREFIX: "${prefix}" - deleted ${count} keys`);
+  const count = await store.del(matchingKeys);
+  log.info(`FLUSH PREFIX: "${prefix}" - deleted ${count} keys`, { prefix, count });
   return count;
 }
 
 /**
  * Get detailed cache stats grouped by key category
- * @returns {object} - Stats with hit rate and key counts by category
+ * @returns {Promise<object>} - Stats with hit rate and key counts by category
  */
-function detailedStats() {
-  const baseStats = cache.getStats();
-  const allKeys = cache.keys();
+async function detailedStats() {
+  const allKeys = await store.keys();
 
   // Group keys by their prefix (everything before the first colon)
   const keysByCategory = {};
@@ -262,14 +432,19 @@ function detailedStats() {
   }
 
   // Calculate hit rate
-  const totalRequests = baseStats.hits + baseStats.misses;
+  const totalRequests = counters.hits + counters.misses;
   const hitRate = totalRequests > 0
-    ? Math.round((baseStats.hits / totalRequests) * 10000) / 100
+    ? Math.round((counters.hits / totalRequests) * 10000) / 100
     : 0;
 
   return {
-    hits: baseStats.hits,
-    misses: baseStats.misses,
+    store: store.name,
+    hits: counters.hits,
+    misses: counters.misses,
+    staleHits: counters.staleHits,
+    coalesced: counters.coalesced,
+    fallbacks: counters.fallbacks,
+    inFlight: inFlight.size,
     totalRequests,
     hitRate: `${hitRate}%`,
     totalKeys: allKeys.length,
@@ -277,10 +452,100 @@ function detailedStats() {
   };
 }
 
+/**
+ * Get hit/miss counts and hit rate per key family (e.g. "fixture", "standings").
+ * Families match the prefixes produced by the key builders in `keys`.
+ * @returns {object} - { [family]: { hits, misses, hitRate } }
+ */
+function familyStats() {
+  const result = {};
+
+  for (const [family, { hits, misses }] of Object.entries(familyCounters)) {
+    const total = hits + misses;
+    result[family] = {
+      hits,
+      misses,
+      hitRate: total > 0 ? `${Math.round((hits / total) * 10000) / 100}%` : '0%'
+    };
+  }
+
+  return result;
+}
+
 // ============================================
 // HELPER: Get or Fetch Pattern
 // ============================================
-// Common pattern: check cache first, fetch if missing, then cache result
+// Common pattern: check cache first, fetch if missing, then cache result.
+//
+// Two protections for the SportsMonks quota:
+//   - Coalescing: concurrent misses for the same key share ONE fetch
+//   - Stale-while-revalidate: an expired entry still inside its grace
+//     window is returned immediately and refreshed in the background
+//
+// And one for availability:
+//   - Fallback: if the fetch fails because SportsMonks is unavailable
+//     (UpstreamUnavailableError), the last cached value is served even
+//     if expired, and the response is flagged as degraded
+
+/**
+ * Fetch a key and cache the result, joining an in-flight fetch if one exists
+ * @param {string} key - The cache key
+ * @param {function} fetchFn - Async function that produces the value
+ * @param {number} ttl - TTL for cached result
+ * @returns {Promise<object>} - The freshly stored entry
+ */
+function fetchAndStore(key, fetchFn, ttl) {
+  const pending = inFlight.get(key);
+  if (pending) {
+    counters.coalesced++;
+    log.debug(`JOIN: ${key} (fetch already in flight)`, { key });
+    return pending;
+  }
+
+  const fetchPromise = (async () => {
+    try {
+      const entry = createEntry(await fetchFn(), ttl);
+      await writeEntry(key, entry, ttl);
+      return entry;
+    } finally {
+      inFlight.delete(key);
+    }
+  })();
+
+  inFlight.set(key, fetchPromise);
+  return fetchPromise;
+}
+
+/**
+ * Fetch and store, falling back to the last cached entry if SportsMonks is unavailable
+ * @param {string} key - The cache key
+ * @param {function} fetchFn - Async function that produces the value
+ * @param {number} ttl - TTL for cached result
+ * @param {object|undefined} entry - Entry already read from the store, if any
+ * @returns {Promise<object>} - Fresh entry, or the last cached entry when degraded
+ */
+async function fetchWithFallback(key, fetchFn, ttl, entry) {
+  try {
+    return await fetchAndStore(key, fetchFn, ttl);
+  } catch (error) {
+    if (!(error instanceof UpstreamUnavailableError)) throw error;
+
+    const fallback = entry ?? await readEntry(key);
+    if (fallback === undefined) throw error;
+
+    counters.fallbacks++;
+    observeCacheFallback(key.split(':')[0]);
+    log.warn(`FALLBACK: ${key} (serving last cached value)`, { key, error: error.message });
+    markDataStatus({
+      degraded: true,
+      stale: true,
+      cachedAt: new Date(fallback.storedAt).toISOString(),
+      reason: 'SportsMonks is currently unavailable'
+    });
+
+    return fallback;
+  }
+}
 
 /**
  * Get from cache or fetch using provided function
@@ -289,31 +554,48 @@ function detailedStats() {
  * @param {number} ttl - TTL for cached result (optional)
  * @param {object} options - Additional options
  * @param {boolean} options.skipCache - If true, always fetch fresh (for authenticated users)
+ * @param {boolean} options.staleWhileRevalidate - Set false to never serve an expired value
  * @returns {Promise<any>} - Cached or freshly fetched value
  */
 async function getOrFetch(key, fetchFn, ttl = TTL.DEFAULT, options = {}) {
-  // Authenticated users bypass cache entirely - always get fresh data
+  // Authenticated users bypass the cache read - always get fresh data.
+  // If a fetch for this key is already running, its result IS fresh, so join it.
+  // The result is still cached so anonymous users benefit.
   if (options.skipCache) {
-    console.log(`[Cache] SKIP: ${key} (authenticated user)`);
-    const freshData = await fetchFn();
-    // Still cache the result so anonymous users benefit
-    set(key, freshData, ttl);
-    return freshData;
+    log.debug(`SKIP: ${key} (authenticated user)`, { key });
+    return useEntry(await fetchWithFallback(key, fetchFn, ttl));
   }
 
   // Try cache first
-  const cached = get(key);
-  if (cached !== undefined) {
-    return cached;
+  const entry = await readEntry(key);
+
+  if (entry !== undefined && entry.freshUntil > Date.now()) {
+    countLookup(key, 'hit');
+    log.debug(`HIT: ${key}`, { key });
+    return useEntry(entry);
   }
 
-  // Cache miss - fetch fresh data
-  const freshData = await fetchFn();
+  // Expired but still within the grace window - serve it and refresh behind the scenes
+  const allowStale = STALE_WHILE_REVALIDATE && options.staleWhileRevalidate !== false;
+  const withinGrace = entry !== undefined &&
+    entry.freshUntil + staleGraceFor(ttl) * 1000 > Date.now();
+
+  if (withinGrace && allowStale) {
+    countLookup(key, 'stale');
+    log.info(`STALE: ${key} (refreshing in background)`, { key });
+    markDataStatus({ stale: true, cachedAt: new Date(entry.storedAt).toISOString() });
 
-  // Cache the result
-  set(key, freshData, ttl);
+    fetchAndStore(key, fetchFn, ttl).catch(error => {
+      log.error(`Background refresh failed for ${key}`, { key, error: error.message });
+    });
+
+    return useEntry(entry);
+  }
 
-  return freshData;
+  // Cache miss - fetch fresh data (or wait for the fetch already running)
+  countLookup(key, 'miss');
+  log.debug(`MISS: ${key}`, { key });
+  return useEntry(await fetchWithFallback(key, fetchFn, ttl, entry));
 }
 
 // ============================================
@@ -326,9 +608,11 @@ export {
 
   // TTL constants
   TTL,
+  STALE_GRACE,
 
   // Basic operations
   get,
+  peek,
   set,
   del,
   flush,
@@ -339,6 +623,7 @@ export {
   getTtl,
   flushByPrefix,
   detailedStats,
+  familyStats,
 
   // Helper patterns
   getOrFetch
@@ -348,7 +633,9 @@ export {
 export default {
   keys,
   TTL,
+  STALE_GRACE,
   get,
+  peek,
   set,
   del,
   flush,
@@ -357,5 +644,6 @@ export default {
   getTtl,
   flushByPrefix,
   detailedStats,
+  familyStats,
   getOrFetch
 };
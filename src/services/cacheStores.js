@@ -0,0 +1,294 @@
+// ============================================
+// CACHE STORES
+// ============================================
+// Swappable storage backends for the cache service (cache.js).
+// Every store exposes the same async interface, so cache.js does not
+// care where the data actually lives:
+//
+//   get(key)              -> value, or undefined if missing/expired
+//   set(key, value, ttl)  -> true if stored (ttl in seconds)
+//   del(keys)             -> number of deleted entries (string or string[])
+//   flush()               -> remove every entry owned by this store
+//   keys()                -> array of live keys
+//   getTtl(key)           -> expiry timestamp (ms), or undefined if missing
+//
+// Available stores (selected with the CACHE_STORE env variable):
+//   - memory:   In-process node-cache (default, lost on restart)
+//   - postgres: "cache_entries" table via Prisma (survives restarts)
+//   - redis:    Any Redis-protocol server (shared across API instances)
+// ============================================
+
+import NodeCache from 'node-cache';
+import { createClient } from 'redis';
+import prisma from '../db.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Cache');
+
+// ============================================
+// MEMORY STORE (node-cache)
+// ============================================
+// Same behaviour the cache service always had: fast, but per-process.
+
+function createMemoryStore({ defaultTtl }) {
+  const nodeCache = new NodeCache({
+    stdTTL: defaultTtl,
+    checkperiod: 120,   // Check for expired keys every 2 minutes
+    useClones: false     // Better performance - we won't mutate cached objects
+  });
+
+  return {
+    name: 'memory',
+    get: async (key) => nodeCache.get(key),
+    set: async (key, value, ttl) => nodeCache.set(key, value, ttl),
+    del: async (keys) => nodeCache.del(keys),
+    flush: async () => nodeCache.flushAll(),
+    keys: async () => nodeCache.keys(),
+    getTtl: async (key) => {
+      // node-cache returns 0 for keys without expiry, undefined if missing
+      const ttl = nodeCache.getTtl(key);
+      return ttl === 0 ? Infinity : ttl;
+    }
+  };
+}
+
+// ============================================
+// POSTGRES STORE (Prisma)
+// ============================================
+// Entries live in the "cache_entries" table so cached SportsMonks data
+// survives restarts and is shared by every instance using the same DB.
+// Expired rows are ignored on read and swept periodically.
+
+function createPostgresStore({ cleanupInterval = 10 * 60 }) {
+  // Periodically delete expired rows so the table doesn't grow forever
+  const sweepTimer = setInterval(async () => {
+    try {
+      const { count } = await prisma.cacheEntry.deleteMany({
+        where: { expiresAt: { lte: new Date() } }
+      });
+      if (count > 0) {
+        log.info(`Postgres sweep removed ${count} expired entries`, { count });
+      }
+    } catch (error) {
+      log.error('Postgres sweep failed', { error: error.message });
+    }
+  }, cleanupInterval * 1000);
+
+  // Don't keep the process alive just for the sweeper
+  sweepTimer.unref();
+
+  return {
+    name: 'postgres',
+
+    get: async (key) => {
+      const entry = await prisma.cacheEntry.findUnique({ where: { key } });
+      if (!entry || entry.expiresAt <= new Date()) return undefined;
+      return entry.value;
+    },
+
+    set: async (key, value, ttl) => {
+      const expiresAt = new Date(Date.now() + ttl * 1000);
+      await prisma.cacheEntry.upsert({
+        where: { key },
+        create: { key, value, expiresAt },
+        update: { value, expiresAt }
+      });
+      return true;
+    },
+
+    del: async (keys) => {
+      const keyList = Array.isArray(keys) ? keys : [keys];
+      const { count } = await prisma.cacheEntry.deleteMany({
+        where: { key: { in: keyList } }
+      });
+      return count;
+    },
+
+    flush: async () => {
+      await prisma.cacheEntry.deleteMany();
+    },
+
+    keys: async () => {
+      const entries = await prisma.cacheEntry.findMany({
+        where: { expiresAt: { gt: new Date() } },
+        select: { key: true }
+      });
+      return entries.map(entry => entry.key);
+    },
+
+    getTtl: async (key) => {
+      const entry = await prisma.cacheEntry.findUnique({
+        where: { key },
+        select: { expiresAt: true }
+      });
+      if (!entry || entry.expiresAt <= new Date()) return undefined;
+      return entry.expiresAt.getTime();
+    }
+  };
+}
+
+// ============================================
+// REDIS STORE
+// ============================================
+// Works with any Redis-protocol server (Redis, Valkey, KeyDB, ...).
+// All keys are namespaced with a prefix so flush() and keys() only
+// touch BetSmoke's entries, even on a shared server.
+//
+// The store fails fast while Redis is unreachable, so cache.js treats
+// reads as misses and skips writes instead of waiting for it:
+//   - Commands are rejected while disconnected (no offline queue)
+//   - A first connection that fails gives up after CONNECT_TIMEOUT_MS,
+//     and is tried again on use at most every CONNECT_RETRY_MS
+//   - Once connected, a dropped connection is re-established in the
+//     background with backoff
+
+// How long the first connection may take before it gives up
+const CONNECT_TIMEOUT_MS = 2000;
+
+// Wait between attempts after a failed first connection
+const CONNECT_RETRY_MS = 30 * 1000;
+
+function createRedisStore({ url, namespace = 'betsmoke:' }) {
+  let connectedOnce = false;
+
+  const client = createClient({
+    url,
+    disableOfflineQueue: true,
+    socket: {
+      connectTimeout: CONNECT_TIMEOUT_MS,
+      reconnectStrategy: (retries, cause) => (connectedOnce ? Math.min(retries * 200, 5000) : cause)
+    }
+  });
+
+  client.on('ready', () => {
+    connectedOnce = true;
+  });
+
+  client.on('error', (error) => {
+    log.error('Redis error', { error: error.message });
+  });
+
+  // Connect lazily on first use; concurrent callers share the attempt
+  let connecting = null;
+  let failedAt = 0;
+  const ready = async () => {
+    if (client.isReady) return client;
+
+    if (!connecting && !client.isOpen && Date.now() - failedAt >= CONNECT_RETRY_MS) {
+      log.info('Connecting to Redis...', { url });
+      connecting = client.connect()
+        .catch(() => {
+          // The cause was already logged by the error listener
+          failedAt = Date.now();
+        })
+        .finally(() => {
+          connecting = null;
+        });
+    }
+    if (connecting) await connecting;
+
+    if (!client.isReady) throw new Error('Redis is not connected');
+    return client;
+  };
+
+  // Collect every key in our namespace using SCAN (non-blocking, unlike KEYS)
+  const scanKeys = async () => {
+    const redis = await ready();
+    const found = [];
+    for await (const batch of redis.scanIterator({ MATCH: `${namespace}*`, COUNT: 500 })) {
+      found.push(...batch);
+    }
+    return found;
+  };
+
+  return {
+    name: 'redis',
+
+    get: async (key) => {
+      const redis = await ready();
+      const raw = await redis.get(namespace + key);
+      return raw === null ? undefined : JSON.parse(raw);
+    },
+
+    set: async (key, value, ttl) => {
+      const redis = await ready();
+      const reply = await redis.set(namespace + key, JSON.stringify(value), {
+        expiration: { type: 'EX', value: ttl }
+      });
+      return reply === 'OK';
+    },
+
+    del: async (keys) => {
+      const keyList = Array.isArray(keys) ? keys : [keys];
+      if (keyList.length === 0) return 0;
+      const redis = await ready();
+      return redis.del(keyList.map(key => namespace + key));
+    },
+
+    flush: async () => {
+      const namespacedKeys = await scanKeys();
+      if (namespacedKeys.length > 0) {
+        const redis = await ready();
+        await redis.del(namespacedKeys);
+      }
+    },
+
+    keys: async () => {
+      const namespacedKeys = await scanKeys();
+      return namespacedKeys.map(key => key.slice(namespace.length));
+    },
+
+    getTtl: async (key) => {
+      const redis = await ready();
+      // PTTL: -2 = missing, -1 = no expiry, otherwise remaining milliseconds
+      const pttl = await redis.pTTL(namespace + key);
+      if (pttl === -2) return undefined;
+      if (pttl === -1) return Infinity;
+      return Date.now() + pttl;
+    }
+  };
+}
+
+// ============================================
+// STORE FACTORY
+// ============================================
+
+/**
+ * Create the cache store selected by configuration.
+ *
+ * Environment variables:
+ *   CACHE_STORE - "memory" (default), "postgres" or "redis"
+ *   REDIS_URL   - Redis connection URL (default: redis://localhost:6379)
+ *
+ * @param {object} options
+ * @param {number} options.defaultTtl - Default TTL in seconds (memory store)
+ * @returns {object} - A store implementing the interface described above
+ */
+function createStore({ defaultTtl }) {
+  const storeName = (process.env.CACHE_STORE || 'memory').toLowerCase();
+
+  switch (storeName) {
+    case 'postgres':
+      return createPostgresStore({});
+    case 'redis':
+      return createRedisStore({
+        url: process.env.REDIS_URL || 'redis://localhost:6379'
+      });
+    case 'memory':
+      return createMemoryStore({ defaultTtl });
+    default:
+      log.warn(`Unknown CACHE_STORE "${storeName}", falling back to memory`);
+      return createMemoryStore({ defaultTtl });
+  }
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export {
+  createStore,
+  createMemoryStore,
+  createPostgresStore,
+  createRedisStore
+};
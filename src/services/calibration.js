@@ -0,0 +1,435 @@
+// ============================================
+// PREDICTION CALIBRATION SERVICE
+// ============================================
+// SportsMonks' predictability figures (GET /predictions/predictability)
+// are self-reported. This service keeps its own record of the vendor's
+// forecasts and scores them against the results:
+//
+// Recording (recordPredictionSnapshot, run by the "snapshot-predictions"
+// job):
+//   - Stores the fixture's predictions of each tracked market
+//     (PredictionSnapshot in the Prisma schema), overwriting the previous
+//     snapshot, so the last one recorded before kick-off is what's scored
+//
+// Settlement (settlePredictionSnapshots, run by the "settle-predictions"
+// job):
+//   - Finished fixtures: the outcome of each market from the score after
+//     90 minutes (extra time doesn't count, as in services/bets.js)
+//   - Cancelled, abandoned or walkover fixtures: snapshots are deleted
+//   - Fixtures moved to a later kick-off: snapshots are deleted, and
+//     recorded again before the new kick-off
+//
+// Scoring (getCalibration), per market, overall and per competition:
+//   Brier score  = Σ over outcomes of (p - o)²  (o = 1 if it happened)
+//                  For yes/no markets only the "yes" side is counted, so
+//                  it's (p - o)² in 0-1; for 1X2 the sum runs over home,
+//                  draw and away and ranges 0-2
+//   Log loss     = -ln(p of the outcome that happened), lower = better
+//   Accuracy     = share where the most likely outcome happened
+//   Calibration  = forecasts grouped in 10% buckets of predicted
+//                  probability; each bucket's mean forecast against how
+//                  often the outcome happened (the reliability curve).
+//                  Yes/no markets use the "yes" probability, 1X2 pools
+//                  the home, draw and away probabilities.
+//   Calibration error = bucket-weighted mean |forecast - observed|
+//   Baseline     = the same scores for always forecasting the outcome
+//                  frequencies of the sample itself (hindsight, so a
+//                  model has to beat it to add anything)
+// ============================================
+
+import prisma from '../db.js';
+import { getFixturePredictions, getFixtureById } from './sportsmonks.js';
+import { FINISHED_STATES } from './warehouse.js';
+import { periodGoals, VOID_STATES } from './bets.js';
+
+// ============================================
+// TRACKED MARKETS (SportsMonks prediction type IDs)
+// ============================================
+// Keys match the market keys of SportsMonks' predictability figures, so
+// both can be shown side by side. Over/under predictions give the
+// probability of "over" as "yes".
+
+const overUnder = (typeId, line) => ({
+  typeId,
+  key: `over_under_${String(line).replace('.', '_')}`,
+  name: `Over/Under ${line} Goals`,
+  outcomes: ['yes', 'no'],
+  grade: ({ home, away }) => (home + away > line ? 'yes' : 'no')
+});
+
+// In display order
+const CALIBRATION_MARKETS = [
+  {
+    typeId: 237,
+    key: 'fulltime_result',
+    name: 'Match Result (1X2)',
+    outcomes: ['home', 'draw', 'away'],
+    grade: ({ home, away }) => (home > away ? 'home' : home < away ? 'away' : 'draw')
+  },
+  {
+    typeId: 231,
+    key: 'both_teams_to_score',
+    name: 'Both Teams to Score',
+    outcomes: ['yes', 'no'],
+    grade: ({ home, away }) => (home > 0 && away > 0 ? 'yes' : 'no')
+  },
+  overUnder(234, 1.5),
+  overUnder(235, 2.5),
+  overUnder(236, 3.5),
+  overUnder(1679, 4.5)
+];
+
+const MARKETS_BY_TYPE = new Map(CALIBRATION_MARKETS.map(market => [market.typeId, market]));
+
+// Reliability curve buckets (10% wide)
+const BUCKETS = 10;
+
+// Log loss of a 0% forecast that happened would be infinite
+const MIN_PROBABILITY = 1e-6;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Round to a number of decimal places
+ * @param {number} value
+ * @param {number} places
+ * @returns {number}
+ */
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Parse a SportsMonks UTC time ("2024-12-26 15:00:00")
+ * @param {string} value
+ * @returns {Date|null}
+ */
+function parseSportsMonksTime(value) {
+  if (!value) return null;
+  const date = new Date(value.replace(' ', 'T') + 'Z');
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Turn a SportsMonks prediction (percentages) into probabilities
+ * summing to 1
+ * @param {object} prediction - SportsMonks prediction
+ * @param {string[]} outcomes - Fields of the market
+ * @returns {object|null} - Outcome -> probability; null if unusable
+ */
+function toProbabilities(prediction, outcomes) {
+  const percents = outcomes.map(outcome => parseFloat(prediction.predictions?.[outcome]));
+  if (percents.some(percent => !Number.isFinite(percent) || percent < 0)) return null;
+
+  const total = percents.reduce((sum, percent) => sum + percent, 0);
+  if (total <= 0) return null;
+
+  return Object.fromEntries(outcomes.map((outcome, i) => [outcome, percents[i] / total]));
+}
+
+/**
+ * Forecasts that make up a reliability curve: [probability, happened]
+ * @param {object} market - CALIBRATION_MARKETS entry
+ * @param {object} snapshot - Settled PredictionSnapshot row
+ * @returns {Array<[number, boolean]>}
+ */
+function curvePoints(market, snapshot) {
+  const outcomes = market.outcomes.length === 2 ? ['yes'] : market.outcomes;
+  return outcomes.map(outcome => [snapshot.probabilities[outcome] ?? 0, snapshot.outcome === outcome]);
+}
+
+/**
+ * Brier score and log loss of one forecast
+ * @param {object} market - CALIBRATION_MARKETS entry
+ * @param {object} probabilities - Outcome -> probability
+ * @param {string} outcome - Outcome that happened
+ * @returns {{ brier: number, logLoss: number }}
+ */
+function forecastScores(market, probabilities, outcome) {
+  const brierOutcomes = market.outcomes.length === 2 ? ['yes'] : market.outcomes;
+  const brier = brierOutcomes.reduce(
+    (sum, key) => sum + ((probabilities[key] ?? 0) - (key === outcome ? 1 : 0)) ** 2,
+    0
+  );
+  const logLoss = -Math.log(Math.max(probabilities[outcome] ?? 0, MIN_PROBABILITY));
+
+  return { brier, logLoss };
+}
+
+/**
+ * Reliability curve buckets
+ * @param {Array<[number, boolean]>} points - [probability, happened]
+ * @returns {object[]} - { from, to, count, meanPredicted, observed } (nulls when empty)
+ */
+function reliabilityBuckets(points) {
+  const buckets = Array.from({ length: BUCKETS }, (_, i) => ({ count: 0, predicted: 0, happened: 0, index: i }));
+
+  for (const [probability, happened] of points) {
+    const bucket = buckets[Math.min(Math.floor(probability * BUCKETS), BUCKETS - 1)];
+    bucket.count++;
+    bucket.predicted += probability;
+    bucket.happened += happened ? 1 : 0;
+  }
+
+  return buckets.map(({ count, predicted, happened, index }) => ({
+    from: index / BUCKETS,
+    to: (index + 1) / BUCKETS,
+    count,
+    meanPredicted: count > 0 ? round(predicted / count, 4) : null,
+    observed: count > 0 ? round(happened / count, 4) : null
+  }));
+}
+
+/**
+ * Scores of a set of settled forecasts of one market
+ * @param {object} market - CALIBRATION_MARKETS entry
+ * @param {object[]} snapshots - Settled PredictionSnapshot rows
+ * @returns {object} - { predictions, brier, logLoss, accuracy, calibrationError, baseline, buckets }
+ */
+function marketStats(market, snapshots) {
+  const count = snapshots.length;
+  if (count === 0) {
+    return {
+      predictions: 0,
+      brier: null,
+      logLoss: null,
+      accuracy: null,
+      calibrationError: null,
+      baseline: null,
+      buckets: reliabilityBuckets([])
+    };
+  }
+
+  // Outcome frequencies of the sample, as the baseline forecast
+  const frequencies = Object.fromEntries(market.outcomes.map(outcome => [
+    outcome,
+    snapshots.filter(snapshot => snapshot.outcome === outcome).length / count
+  ]));
+
+  let brier = 0;
+  let logLoss = 0;
+  let baselineBrier = 0;
+  let baselineLogLoss = 0;
+  let hits = 0;
+  const points = [];
+
+  for (const snapshot of snapshots) {
+    const scores = forecastScores(market, snapshot.probabilities, snapshot.outcome);
+    const baseline = forecastScores(market, frequencies, snapshot.outcome);
+    brier += scores.brier;
+    logLoss += scores.logLoss;
+    baselineBrier += baseline.brier;
+    baselineLogLoss += baseline.logLoss;
+
+    const favourite = market.outcomes.reduce((best, outcome) =>
+      (snapshot.probabilities[outcome] ?? 0) > (snapshot.probabilities[best] ?? 0) ? outcome : best
+    );
+    if (favourite === snapshot.outcome) hits++;
+
+    points.push(...curvePoints(market, snapshot));
+  }
+
+  const buckets = reliabilityBuckets(points);
+  const calibrationError = buckets
+    .filter(bucket => bucket.count > 0)
+    .reduce((sum, bucket) => sum + (bucket.count / points.length) * Math.abs(bucket.meanPredicted - bucket.observed), 0);
+
+  return {
+    predictions: count,
+    brier: round(brier / count, 4),
+    logLoss: round(logLoss / count, 4),
+    accuracy: round(hits / count, 4),
+    calibrationError: round(calibrationError, 4),
+    baseline: {
+      brier: round(baselineBrier / count, 4),
+      logLoss: round(baselineLogLoss / count, 4)
+    },
+    buckets
+  };
+}
+
+// ============================================
+// PUBLIC API - RECORDING
+// ============================================
+
+/**
+ * Record a fixture's current predictions of the tracked markets
+ *
+ * Served from the cache the "prewarm-predictions" job keeps fresh, so it
+ * costs no extra API calls for followed fixtures.
+ *
+ * @param {object} fixture - Fixture from the fixtures list (with league), plus kickoffAt
+ * @returns {Promise<{ fixtureId: number, recorded: number }>}
+ */
+async function recordPredictionSnapshot(fixture) {
+  const result = await getFixturePredictions(fixture.id);
+  const predictions = result.data?.predictions || [];
+  const recordedAt = new Date();
+  let recorded = 0;
+
+  for (const prediction of predictions) {
+    const market = MARKETS_BY_TYPE.get(prediction.type_id);
+    if (!market) continue;
+
+    const probabilities = toProbabilities(prediction, market.outcomes);
+    if (!probabilities) continue;
+
+    const data = {
+      leagueId: fixture.league_id,
+      leagueName: fixture.league?.name ?? null,
+      seasonId: fixture.season_id ?? null,
+      kickoffAt: fixture.kickoffAt,
+      probabilities,
+      recordedAt
+    };
+    await prisma.predictionSnapshot.upsert({
+      where: { fixtureId_typeId: { fixtureId: fixture.id, typeId: prediction.type_id } },
+      create: { fixtureId: fixture.id, typeId: prediction.type_id, ...data },
+      update: data
+    });
+    recorded++;
+  }
+
+  return { fixtureId: fixture.id, recorded };
+}
+
+// ============================================
+// PUBLIC API - SETTLEMENT
+// ============================================
+
+/**
+ * Fixtures with unsettled snapshots that kicked off in a time window,
+ * earliest kick-off first
+ * @param {Date} from - Oldest kick-off still looked at
+ * @param {Date} to - Latest kick-off (a match needs time to finish)
+ * @param {number} limit
+ * @returns {Promise<number[]>} - Fixture IDs
+ */
+async function fixturesToGrade(from, to, limit) {
+  const rows = await prisma.predictionSnapshot.groupBy({
+    by: ['fixtureId'],
+    where: { outcome: null, kickoffAt: { gte: from, lte: to } },
+    _min: { kickoffAt: true },
+    orderBy: { _min: { kickoffAt: 'asc' } },
+    take: limit
+  });
+  return rows.map(row => row.fixtureId);
+}
+
+/**
+ * Settle the snapshots of one fixture against its result
+ *
+ * Fetches the fixture bypassing the cache, so a result is never graded
+ * from a copy cached before full time.
+ *
+ * @param {number} fixtureId
+ * @returns {Promise<object>} - { fixtureId, state, settled, deleted }
+ */
+async function settlePredictionSnapshots(fixtureId) {
+  const result = await getFixtureById(fixtureId, { skipCache: true });
+  const fixture = result.data;
+  const state = fixture?.state?.state ?? null;
+
+  if (VOID_STATES[state]) {
+    const { count } = await prisma.predictionSnapshot.deleteMany({ where: { fixtureId } });
+    return { fixtureId, state, settled: 0, deleted: count };
+  }
+
+  if (!FINISHED_STATES.includes(state)) {
+    // Postponed to a later date: the snapshots are no longer the
+    // pre-kick-off forecast
+    const kickoffAt = parseSportsMonksTime(fixture?.starting_at);
+    if (kickoffAt && kickoffAt > new Date()) {
+      const { count } = await prisma.predictionSnapshot.deleteMany({ where: { fixtureId, outcome: null } });
+      return { fixtureId, state, settled: 0, deleted: count };
+    }
+    return { fixtureId, state, settled: 0, deleted: 0 };
+  }
+
+  const goals = periodGoals(fixture, 'fulltime');
+  if (!goals) return { fixtureId, state, settled: 0, deleted: 0 };
+
+  const snapshots = await prisma.predictionSnapshot.findMany({ where: { fixtureId, outcome: null } });
+  const settledAt = new Date();
+
+  for (const snapshot of snapshots) {
+    await prisma.predictionSnapshot.update({
+      where: { fixtureId_typeId: { fixtureId, typeId: snapshot.typeId } },
+      data: { outcome: MARKETS_BY_TYPE.get(snapshot.typeId).grade(goals), settledAt }
+    });
+  }
+
+  return { fixtureId, state, settled: snapshots.length, deleted: 0 };
+}
+
+// ============================================
+// PUBLIC API - SCORING
+// ============================================
+
+/**
+ * Brier score, log loss, accuracy and reliability curve of SportsMonks'
+ * settled predictions, per market, overall and per competition
+ *
+ * @param {object} [filters]
+ * @param {number} [filters.leagueId] - Only this competition
+ * @param {Date} [filters.from] - Kick-off on or after
+ * @param {Date} [filters.to] - Kick-off on or before
+ * @returns {Promise<object>} - { fixtures, markets: [{ ...stats, byCompetition }] }
+ */
+async function getCalibration({ leagueId, from, to } = {}) {
+  const snapshots = await prisma.predictionSnapshot.findMany({
+    where: {
+      outcome: { not: null },
+      typeId: { in: CALIBRATION_MARKETS.map(market => market.typeId) },
+      ...(leagueId && { leagueId }),
+      ...((from || to) && { kickoffAt: { ...(from && { gte: from }), ...(to && { lte: to }) } })
+    },
+    orderBy: { kickoffAt: 'asc' }
+  });
+
+  const markets = CALIBRATION_MARKETS.map(market => {
+    const rows = snapshots.filter(snapshot => snapshot.typeId === market.typeId);
+
+    const competitions = new Map();
+    for (const row of rows) {
+      if (!competitions.has(row.leagueId)) {
+        competitions.set(row.leagueId, { leagueId: row.leagueId, leagueName: row.leagueName, rows: [] });
+      }
+      competitions.get(row.leagueId).rows.push(row);
+    }
+
+    return {
+      typeId: market.typeId,
+      key: market.key,
+      name: market.name,
+      outcomes: market.outcomes,
+      ...marketStats(market, rows),
+      byCompetition: [...competitions.values()]
+        .map(({ rows: competitionRows, ...competition }) => ({
+          ...competition,
+          ...marketStats(market, competitionRows)
+        }))
+        .sort((a, b) => b.predictions - a.predictions)
+    };
+  });
+
+  return {
+    fixtures: new Set(snapshots.map(snapshot => snapshot.fixtureId)).size,
+    markets
+  };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export {
+  CALIBRATION_MARKETS,
+  forecastScores,
+  reliabilityBuckets,
+  marketStats,
+  recordPredictionSnapshot,
+  fixturesToGrade,
+  settlePredictionSnapshots,
+  getCalibration
+};
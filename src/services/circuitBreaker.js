@@ -0,0 +1,99 @@
+// ============================================
+// CIRCUIT BREAKER
+// ============================================
+// Stops hammering an upstream API that is clearly down.
+//
+// States:
+//   - closed:    Normal operation, requests go through
+//   - open:      Too many consecutive failures, requests are refused
+//                immediately until the cooldown has passed
+//   - half-open: Cooldown over, ONE trial request is let through.
+//                Success closes the circuit, failure re-opens it.
+// ============================================
+
+import { createLogger } from './logger.js';
+import { setCircuitState } from './metrics.js';
+
+/**
+ * Create a circuit breaker
+ * @param {object} options
+ * @param {string} options.name - Logger subsystem (e.g. "SportsMonks")
+ * @param {number} options.failureThreshold - Consecutive failures before opening
+ * @param {number} options.cooldownMs - How long to stay open before a trial request
+ * @returns {object} - { canRequest, recordSuccess, recordFailure, status }
+ */
+const createCircuitBreaker = ({ name, failureThreshold = 5, cooldownMs = 30 * 1000 }) => {
+  const log = createLogger(name);
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  // Keep the exported metric in step with the state
+  const setState = (next) => {
+    state = next;
+    setCircuitState(name, next);
+  };
+  setCircuitState(name, state);
+
+  const open = () => {
+    setState('open');
+    openedAt = Date.now();
+    trialInFlight = false;
+    log.warn(`Circuit OPEN after ${consecutiveFailures} consecutive failures (retry in ${cooldownMs / 1000}s)`, { consecutiveFailures });
+  };
+
+  return {
+    /**
+     * Check whether a request may be sent right now
+     * @returns {boolean}
+     */
+    canRequest() {
+      if (state === 'open' && Date.now() - openedAt >= cooldownMs) {
+        setState('half-open');
+        log.info('Circuit HALF-OPEN, sending trial request');
+      }
+
+      if (state === 'open') return false;
+
+      if (state === 'half-open') {
+        if (trialInFlight) return false;
+        trialInFlight = true;
+      }
+
+      return true;
+    },
+
+    recordSuccess() {
+      if (state !== 'closed') {
+        log.info('Circuit CLOSED, upstream recovered');
+      }
+      setState('closed');
+      consecutiveFailures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+
+    recordFailure() {
+      consecutiveFailures++;
+      if (state === 'half-open' || consecutiveFailures >= failureThreshold) {
+        open();
+      }
+    },
+
+    /**
+     * Current breaker state for monitoring
+     * @returns {object}
+     */
+    status() {
+      return {
+        state,
+        consecutiveFailures,
+        openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+        retryAt: state === 'open' ? new Date(openedAt + cooldownMs).toISOString() : null
+      };
+    }
+  };
+};
+
+export { createCircuitBreaker };
@@ -0,0 +1,300 @@
+// ============================================
+// CLOSING LINE VALUE (CLV) SERVICE
+// ============================================
+// Beating the closing line - taking a better price than the market's
+// last one before kick-off - is the best long-run sign of a good bet,
+// whatever its result:
+//
+//   CLV = odds taken / closing odds - 1   (in percent)
+//
+// Capturing (captureClosingOdds, run by the "capture-closing-odds" job):
+//   - Fixtures kicking off in the next few minutes: the closing price is
+//     read from the live odds tree (services/odds.js, uncached); later
+//     runs overwrite it until kick-off, so the last one wins
+//   - Fixtures that kicked off without a capture (job down, bet logged
+//     late): the last price recorded by the snapshot-odds job before
+//     kick-off (services/oddsHistory.js), if the fixture was followed
+//
+// The closing price is the bet's bookmaker's when it priced the
+// selection, else the best price across bookmakers.
+//
+// Reporting (getClvReport): per-selection CLV averaged overall and by
+// competition, market and bookmaker, plus a running average over time.
+// ============================================
+
+import prisma from '../db.js';
+import { getFixtureOddsTree, selectionKey } from './odds.js';
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Round to a number of decimal places
+ * @param {number} value
+ * @param {number} places
+ * @returns {number}
+ */
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * CLV of a price against the closing price, in percent
+ * @param {number} odds
+ * @param {number} closingOdds
+ * @returns {number}
+ */
+const clvPercent = (odds, closingOdds) => round((odds / closingOdds - 1) * 100, 2);
+
+/**
+ * Pick the closing price of a selection among bookmaker prices
+ * @param {{ bookmakerId: number, decimal: number }[]} prices - Available prices
+ * @param {number|null} bookmakerId - The bet's bookmaker
+ * @returns {{ bookmakerId: number, decimal: number }|null}
+ */
+function pickClosingPrice(prices, bookmakerId) {
+  const own = prices.find(price => price.bookmakerId === bookmakerId);
+  if (own) return own;
+  return prices.reduce((best, price) => (!best || price.decimal > best.decimal ? price : best), null);
+}
+
+/**
+ * Store a selection's closing price and CLV
+ * @param {object} selection - BetSelection row
+ * @param {{ bookmakerId: number, decimal: number }} price
+ * @param {Date} recordedAt - When the price was seen
+ * @returns {Promise<void>}
+ */
+async function storeClosingPrice(selection, price, recordedAt) {
+  await prisma.betSelection.update({
+    where: { id: selection.id },
+    data: {
+      closingOdds: price.decimal,
+      closingBookmakerId: price.bookmakerId,
+      closingRecordedAt: recordedAt,
+      clv: clvPercent(selection.odds, price.decimal)
+    }
+  });
+}
+
+/**
+ * Closing prices from the live odds tree (fixture not kicked off yet)
+ * @param {number} fixtureId
+ * @param {object[]} selections - BetSelection rows with bet.bookmakerId
+ * @returns {Promise<number>} - Selections captured
+ */
+async function captureFromOddsTree(fixtureId, selections) {
+  const marketIds = [...new Set(selections.map(s => s.marketId))];
+  const tree = await getFixtureOddsTree(fixtureId, { query: { markets: marketIds.join(',') }, skipCache: true });
+  const recordedAt = new Date();
+  let captured = 0;
+
+  for (const selection of selections) {
+    const market = tree.markets.find(m => m.id === selection.marketId);
+    const treeSelection = market?.selections.find(s => s.key === selection.selectionKey);
+    const prices = (treeSelection?.prices || []).filter(price => price.decimal && !price.stopped);
+
+    const price = pickClosingPrice(prices, selection.bet.bookmakerId);
+    if (!price) continue;
+
+    await storeClosingPrice(selection, price, recordedAt);
+    captured++;
+  }
+
+  return captured;
+}
+
+/**
+ * Closing prices from recorded odds snapshots (fixture already kicked off)
+ * @param {number} fixtureId
+ * @param {object[]} selections - BetSelection rows with bet.bookmakerId
+ * @returns {Promise<number>} - Selections captured
+ */
+async function captureFromSnapshots(fixtureId, selections) {
+  const kickoffAt = selections[0].kickoffAt;
+  const rows = await prisma.oddsSnapshot.findMany({
+    where: {
+      fixtureId,
+      marketId: { in: [...new Set(selections.map(s => s.marketId))] },
+      recordedAt: { lte: kickoffAt }
+    },
+    orderBy: { recordedAt: 'asc' }
+  });
+
+  // Last price before kick-off, per market, selection key and bookmaker
+  const closing = new Map();
+  for (const row of rows) {
+    const key = selectionKey({ market_id: row.marketId, label: row.label, name: row.name, total: row.total, handicap: row.handicap });
+    closing.set(`${row.marketId}|${key}|${row.bookmakerId}`, row);
+  }
+
+  let captured = 0;
+
+  for (const selection of selections) {
+    const prefix = `${selection.marketId}|${selection.selectionKey}|`;
+    const candidates = [...closing.entries()]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([, row]) => ({ bookmakerId: row.bookmakerId, decimal: row.value, recordedAt: row.recordedAt }));
+
+    const price = pickClosingPrice(candidates, selection.bet.bookmakerId);
+    if (!price) continue;
+
+    await storeClosingPrice(selection, price, price.recordedAt);
+    captured++;
+  }
+
+  return captured;
+}
+
+/**
+ * Group tracked selections and average their CLV
+ * @param {object[]} selections - Selections with clv
+ * @param {Function} keyOf - selection -> { id, name }
+ * @returns {object[]} - Most selections first
+ */
+function groupClv(selections, keyOf) {
+  const groups = new Map();
+
+  for (const selection of selections) {
+    const { id, name } = keyOf(selection);
+    const key = id ?? name;
+    if (!groups.has(key)) groups.set(key, { id, name, values: [] });
+    groups.get(key).values.push(selection.clv);
+  }
+
+  return [...groups.values()]
+    .map(({ id, name, values }) => ({ id, name, ...clvStats(values) }))
+    .sort((a, b) => b.selections - a.selections || b.averageClv - a.averageClv);
+}
+
+/**
+ * Average CLV and share of selections that beat the closing line
+ * @param {number[]} values - CLV percentages
+ * @returns {{ selections: number, averageClv: number|null, beatClosingRate: number|null }}
+ */
+function clvStats(values) {
+  if (values.length === 0) return { selections: 0, averageClv: null, beatClosingRate: null };
+
+  return {
+    selections: values.length,
+    averageClv: round(values.reduce((sum, value) => sum + value, 0) / values.length, 2),
+    beatClosingRate: round(values.filter(value => value > 0).length / values.length * 100, 1)
+  };
+}
+
+// ============================================
+// PUBLIC API - CAPTURE
+// ============================================
+
+/**
+ * Fixtures whose bet selections need a closing price
+ * @param {object} windows
+ * @param {Date} windows.upcomingUntil - Fixtures kicking off from now until then
+ * @param {Date} windows.missedSince - Kicked-off fixtures without a capture, since then
+ * @returns {Promise<number[]>} - Fixture IDs
+ */
+async function fixturesNeedingClosingOdds({ upcomingUntil, missedSince }) {
+  const now = new Date();
+  const rows = await prisma.betSelection.findMany({
+    where: {
+      OR: [
+        { kickoffAt: { gt: now, lte: upcomingUntil } },
+        { kickoffAt: { gte: missedSince, lte: now }, closingOdds: null }
+      ]
+    },
+    distinct: ['fixtureId'],
+    select: { fixtureId: true }
+  });
+  return rows.map(row => row.fixtureId);
+}
+
+/**
+ * Capture the closing price of every bet selection on a fixture
+ *
+ * Before kick-off the price comes from the live odds; afterwards only
+ * selections still without one are looked up in the odds snapshots.
+ *
+ * @param {number} fixtureId
+ * @returns {Promise<{ fixtureId: number, source: string, selections: number, captured: number }>}
+ */
+async function captureClosingOdds(fixtureId) {
+  const now = new Date();
+  const selections = await prisma.betSelection.findMany({
+    where: { fixtureId },
+    include: { bet: { select: { bookmakerId: true } } }
+  });
+
+  const kickedOff = selections.length > 0 && selections[0].kickoffAt <= now;
+  const pending = kickedOff ? selections.filter(s => s.closingOdds === null) : selections;
+  if (pending.length === 0) {
+    return { fixtureId, source: null, selections: 0, captured: 0 };
+  }
+
+  const captured = kickedOff
+    ? await captureFromSnapshots(fixtureId, pending)
+    : await captureFromOddsTree(fixtureId, pending);
+
+  return { fixtureId, source: kickedOff ? 'snapshots' : 'odds', selections: pending.length, captured };
+}
+
+// ============================================
+// PUBLIC API - REPORT
+// ============================================
+
+/**
+ * CLV report over a user's bet selections
+ *
+ * @param {string} userId
+ * @param {object} [range] - Bets placed in this range (inclusive)
+ * @param {Date} [range.from]
+ * @param {Date} [range.to]
+ * @returns {Promise<object>} - { overall, byCompetition, byMarket, byBookmaker, timeline }
+ */
+async function getClvReport(userId, { from, to } = {}) {
+  const selections = await prisma.betSelection.findMany({
+    where: {
+      bet: {
+        userId,
+        ...((from || to) && { placedAt: { ...(from && { gte: from }), ...(to && { lte: to }) } })
+      }
+    },
+    include: { bet: { select: { bookmakerId: true, bookmakerName: true } } },
+    orderBy: { kickoffAt: 'asc' }
+  });
+
+  const tracked = selections.filter(s => s.clv !== null);
+
+  // Running average, in kick-off order
+  let sum = 0;
+  const timeline = tracked.map((selection, index) => {
+    sum += selection.clv;
+    return {
+      kickoffAt: selection.kickoffAt,
+      fixtureName: selection.fixtureName,
+      selectionLabel: selection.selectionLabel || selection.selectionKey,
+      clv: selection.clv,
+      averageClv: round(sum / (index + 1), 2)
+    };
+  });
+
+  return {
+    filters: { from: from ?? null, to: to ?? null },
+    overall: {
+      ...clvStats(tracked.map(s => s.clv)),
+      untracked: selections.length - tracked.length
+    },
+    byCompetition: groupClv(tracked, s => ({ id: s.leagueId, name: s.leagueName || 'Unknown' })),
+    byMarket: groupClv(tracked, s => ({ id: s.marketId, name: s.marketName || `Market ${s.marketId}` })),
+    byBookmaker: groupClv(tracked, s => ({ id: s.bet.bookmakerId, name: s.bet.bookmakerName || 'Unknown' })),
+    timeline
+  };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export {
+  fixturesNeedingClosingOdds,
+  captureClosingOdds,
+  getClvReport
+};
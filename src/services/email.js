@@ -12,6 +12,9 @@
 // ============================================
 
 import Mailjet from 'node-mailjet';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Email');
 
 // ============================================
 // INITIALIZE MAILJET CLIENT
@@ -24,7 +27,7 @@ const getMailjetClient = () => {
   if (!mailjetClient) {
     // Check if credentials are configured
     if (!process.env.MAILJET_API_KEY || !process.env.MAILJET_SECRET_KEY) {
-      console.warn('⚠️  Mailjet credentials not configured. Email sending disabled.');
+      log.warn('Mailjet credentials not configured. Email sending disabled.');
       return null;
     }
 
@@ -54,9 +57,13 @@ export const sendPasswordResetEmail = async (toEmail, toName, resetToken) => {
   
   // If Mailjet isn't configured, log the token for development
   if (!client) {
-    console.log('📧 [DEV MODE] Password reset email would be sent to:', toEmail);
-    console.log('📧 [DEV MODE] Reset token:', resetToken);
-    console.log('📧 [DEV MODE] Reset link:', `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`);
+    log.info('[DEV MODE] Password reset email not sent (Mailjet not configured)', { toEmail });
+
+    // Deliberately printed outside the logger (which would redact it) so the
+    // reset flow can be completed locally. Never printed in production.
+    if (process.env.NODE_ENV !== 'production') {
+      console.log(`📧 [DEV MODE] Reset link: ${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`);
+    }
     return { success: true, devMode: true };
   }
 
@@ -144,11 +151,11 @@ If you didn't request this, you can safely ignore this email.
         ]
       });
 
-    console.log('✅ Password reset email sent to:', toEmail);
+    log.info('Password reset email sent', { toEmail });
     return { success: true };
 
   } catch (error) {
-    console.error('❌ Failed to send password reset email:', error.message);
+    log.error('Failed to send password reset email', { error: error.message });
     return { 
       success: false, 
       error: error.message || 'Failed to send email'
@@ -0,0 +1,111 @@
+// ============================================
+// ERROR TYPES
+// ============================================
+// Typed errors for routes, middleware and services to throw.
+// The central error handler (middleware/errorHandler.js) turns them
+// into one response shape:
+//
+//   { "error": { "code": "NOT_FOUND", "message": "...", "requestId": "..." } }
+//
+// Routes just throw - Express 5 passes errors from async handlers
+// to the error handler automatically:
+//
+//   if (!note) throw new NotFoundError('Note not found');
+//
+// Anything that isn't an AppError becomes a 500 INTERNAL_ERROR with a
+// generic message, so internal and upstream details never leak.
+// ============================================
+
+/**
+ * Base class for errors that are safe to show to the client
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Shown to the client
+   * @param {object} options
+   * @param {number} options.status - HTTP status code
+   * @param {string} options.code - Stable machine-readable code
+   * @param {any} [options.details] - Extra data for the client (e.g. validation problems)
+   * @param {Error} [options.cause] - Underlying error, logged but never sent
+   */
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+// 400 - The request itself is wrong (bad params, failed business rule)
+class ValidationError extends AppError {
+  constructor(message, details) {
+    super(message, { status: 400, code: 'VALIDATION_ERROR', details });
+  }
+}
+
+// 401 - Missing, invalid or expired credentials
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required') {
+    super(message, { status: 401, code: 'UNAUTHORIZED' });
+  }
+}
+
+// 403 - Logged in, but not allowed
+class ForbiddenError extends AppError {
+  constructor(message = 'Access denied') {
+    super(message, { status: 403, code: 'FORBIDDEN' });
+  }
+}
+
+// 404 - Route, record or SportsMonks resource doesn't exist
+class NotFoundError extends AppError {
+  constructor(message = 'Not found') {
+    super(message, { status: 404, code: 'NOT_FOUND' });
+  }
+}
+
+// 409 - The request clashes with the current state (e.g. job already running)
+class ConflictError extends AppError {
+  constructor(message = 'Conflict') {
+    super(message, { status: 409, code: 'CONFLICT' });
+  }
+}
+
+// 429 - One of our own rate limiters said no
+class RateLimitedError extends AppError {
+  constructor(message = 'Too many requests. Please try again later.') {
+    super(message, { status: 429, code: 'RATE_LIMITED' });
+  }
+}
+
+// 502 - SportsMonks answered, but not with something we can use
+class UpstreamError extends AppError {
+  constructor(message = 'SportsMonks returned an unexpected response', { status = 502, code = 'UPSTREAM_ERROR', cause } = {}) {
+    super(message, { status, code, cause });
+  }
+}
+
+// 503 - SportsMonks is down, timing out, rate limiting us, or the
+// circuit breaker is open. The cache falls back to old data on these.
+class UpstreamUnavailableError extends UpstreamError {
+  constructor(message = 'SportsMonks is temporarily unavailable', { cause } = {}) {
+    super(message, { status: 503, code: 'UPSTREAM_UNAVAILABLE', cause });
+  }
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitedError,
+  UpstreamError,
+  UpstreamUnavailableError
+};
@@ -0,0 +1,167 @@
+// ============================================
+// LOGGER SERVICE
+// ============================================
+// Structured JSON logging. Each line is one JSON object:
+//
+//   {"time":"...","level":"info","subsystem":"SportsMonks",
+//    "requestId":"...","message":"Requesting /fixtures/123"}
+//
+// - requestId comes from the request context (see middleware/requestContext.js),
+//   so every line logged while handling a request can be correlated
+// - Secrets are redacted automatically: fields named like tokens, passwords,
+//   secrets or security answers, "api_token=" / "token=" in URLs, Bearer
+//   headers, credentials in connection URLs, and the literal values of
+//   our API keys and secrets
+// - Levels are configurable globally and per subsystem:
+//     LOG_LEVEL=info
+//     LOG_LEVELS=SportsMonks=debug,Cache=warn,RateLimit=error
+// ============================================
+
+import 'dotenv/config';
+import { getRequestContext } from './requestContext.js';
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+const DEFAULT_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+
+// "SportsMonks=debug,Cache=warn" -> { SportsMonks: 'debug', Cache: 'warn' }
+const SUBSYSTEM_LEVELS = Object.fromEntries(
+  (process.env.LOG_LEVELS || '')
+    .split(',')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([subsystem, level]) => subsystem && LEVELS[level])
+);
+
+// ============================================
+// REDACTION
+// ============================================
+
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are never logged
+const SENSITIVE_KEY = /password|token|secret|securityanswer|authorization|api[_-]?key|^cookie$/i;
+
+// Secrets that might end up inside strings (URLs, error messages)
+const SECRET_VALUES = [
+  process.env.SPORTSMONKS_API_KEY,
+  process.env.JWT_SECRET,
+  process.env.MAILJET_API_KEY,
+  process.env.MAILJET_SECRET_KEY
+].filter(value => value && value.length >= 8);
+
+/**
+ * Redact secrets inside a string
+ * @param {string} text
+ * @returns {string}
+ */
+function redactString(text) {
+  let result = text
+    .replace(/([?&](?:api_)?token=)[^&\s"']+/gi, `$1${REDACTED}`)
+    .replace(/(Bearer\s+)[A-Za-z0-9\-._~+/]+=*/g, `$1${REDACTED}`)
+    .replace(/(:\/\/)[^/\s:@]*:[^/\s@]+@/g, `$1${REDACTED}@`);
+
+  for (const secret of SECRET_VALUES) {
+    result = result.split(secret).join(REDACTED);
+  }
+
+  return result;
+}
+
+/**
+ * Deep-copy a value with secrets redacted. Errors become plain objects.
+ * @param {any} value
+ * @param {WeakSet} seen - Guards against circular references
+ * @returns {any}
+ */
+function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return redact({
+      name: value.name,
+      message: value.message,
+      ...(value.status && { status: value.status }),
+      ...(value.code && { code: value.code }),
+      stack: value.stack,
+      ...(value.cause && { cause: value.cause })
+    }, seen);
+  }
+
+  if (value instanceof Date) return value.toISOString();
+
+  if (Array.isArray(value)) return value.map(item => redact(item, seen));
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(item, seen);
+  }
+  return result;
+}
+
+// ============================================
+// LOGGER FACTORY
+// ============================================
+
+/**
+ * Create a logger for a subsystem
+ *
+ * @param {string} subsystem - e.g. "SportsMonks", "Cache", "Corners"
+ * @returns {object} - { debug, info, warn, error, isLevelEnabled }
+ *
+ * @example
+ * const log = createLogger('SportsMonks');
+ * log.info('Requesting /fixtures/123');
+ * log.error('Request failed', { error, endpoint });
+ */
+const createLogger = (subsystem) => {
+  const threshold = LEVELS[SUBSYSTEM_LEVELS[subsystem] || DEFAULT_LEVEL];
+
+  const write = (level, message, fields = {}) => {
+    if (LEVELS[level] < threshold) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      subsystem,
+      requestId: getRequestContext()?.requestId,
+      message: redactString(String(message)),
+      ...redact(fields)
+    };
+
+    const line = JSON.stringify(entry) + '\n';
+    if (LEVELS[level] >= LEVELS.warn) {
+      process.stderr.write(line);
+    } else {
+      process.stdout.write(line);
+    }
+  };
+
+  return {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+
+    /**
+     * Check a level before doing expensive work to build a log line
+     * @param {string} level
+     * @returns {boolean}
+     */
+    isLevelEnabled: (level) => LEVELS[level] >= threshold
+  };
+};
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export { createLogger, redact };
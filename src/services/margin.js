@@ -0,0 +1,133 @@
+// ============================================
+// MARGIN SERVICE
+// ============================================
+// Bookmaker margin (overround) and "fair" probabilities with the
+// margin taken out. A book is a complete set of outcomes priced by one
+// bookmaker (Home/Draw/Away, Over 2.5/Under 2.5, ...): its implied
+// probabilities (1 / decimal odds) add up to more than 1, and the excess
+// is the bookmaker's margin.
+//
+// Methods to remove the margin (all return probabilities summing to 1):
+//   - proportional: scale every implied probability down by the same
+//     factor (simple, but over-prices longshots)
+//   - shin: Shin's model - assumes part of the money comes from insiders,
+//     which puts more of the margin on longshots
+//   - power: raise implied probabilities to a power k > 1
+//   - odds-ratio: apply one odds ratio to every outcome (Cheung)
+//
+// The non-proportional methods are solved numerically (bisection).
+// ============================================
+
+const MARGIN_METHODS = ['proportional', 'shin', 'power', 'odds-ratio'];
+
+// Bisection stops after this many steps, or once within TOLERANCE
+const MAX_ITERATIONS = 100;
+const TOLERANCE = 1e-10;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Find x in [lo, hi] where a monotonic function crosses zero
+ * @param {function(number): number} f
+ * @param {number} lo
+ * @param {number} hi
+ * @returns {number|null} - Null if f doesn't change sign in the range
+ */
+function bisect(f, lo, hi) {
+  let fLo = f(lo);
+  if (Math.sign(fLo) === Math.sign(f(hi))) return null;
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = f(mid);
+    if (Math.abs(fMid) < TOLERANCE) return mid;
+
+    if (Math.sign(fMid) === Math.sign(fLo)) {
+      lo = mid;
+      fLo = fMid;
+    } else {
+      hi = mid;
+    }
+  }
+
+  return (lo + hi) / 2;
+}
+
+/**
+ * Sum of an array
+ * @param {number[]} values
+ * @returns {number}
+ */
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// ============================================
+// METHODS
+// ============================================
+// Each takes implied probabilities (1 / odds) and returns fair ones,
+// or null if it can't be solved (the caller then falls back to proportional)
+
+const methods = {
+  proportional(implied) {
+    const total = sum(implied);
+    return implied.map(p => p / total);
+  },
+
+  shin(implied) {
+    const total = sum(implied);
+    const fair = (z) => implied.map(p =>
+      (Math.sqrt(z * z + 4 * (1 - z) * (p * p) / total) - z) / (2 * (1 - z))
+    );
+    // z is the share of insider money; 0 when there's no margin
+    const z = bisect(z => sum(fair(z)) - 1, -0.5, 0.99);
+    return z === null ? null : fair(z);
+  },
+
+  power(implied) {
+    const k = bisect(k => sum(implied.map(p => p ** k)) - 1, 0.01, 50);
+    return k === null ? null : implied.map(p => p ** k);
+  },
+
+  'odds-ratio'(implied) {
+    const fair = (c) => implied.map(p => p / (c + p - c * p));
+    const c = bisect(c => sum(fair(c)) - 1, 0.01, 100);
+    return c === null ? null : fair(c);
+  }
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Margin and fair probabilities of one bookmaker's book
+ *
+ * @param {number[]} decimalOdds - One price per outcome of the book
+ * @param {string} [method] - One of MARGIN_METHODS (default "proportional")
+ * @returns {{ overround: number, probabilities: number[], method: string }}
+ *   overround is the margin as a fraction (0.05 = 5%); method is the one
+ *   actually used (proportional if the chosen one couldn't be solved)
+ */
+function removeMargin(decimalOdds, method = 'proportional') {
+  const implied = decimalOdds.map(odds => 1 / odds);
+  const overround = sum(implied) - 1;
+
+  let probabilities = methods[method](implied);
+  let used = method;
+  if (!probabilities || probabilities.some(p => !Number.isFinite(p))) {
+    probabilities = methods.proportional(implied);
+    used = 'proportional';
+  }
+
+  return { overround, probabilities, method: used };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export {
+  MARGIN_METHODS,
+  removeMargin
+};
@@ -0,0 +1,497 @@
+// ============================================
+// MATCH MODEL SERVICE (Poisson / Dixon-Coles)
+// ============================================
+// Our own match-outcome model, next to the SportsMonks predictions.
+// Each team has an attack and a defence strength, fitted from the
+// finished fixtures of the season played before kick-off:
+//
+//   home goals ~ Poisson(homeAdvantage x attack[home] x defence[away])
+//   away goals ~ Poisson(attack[away] x defence[home])
+//
+// Attack is relative to the league (mean 1); defence is the goals an
+// average attack scores against the team away from home, so higher means
+// weaker. Older fixtures count less: a fixture HALF_LIFE_DAYS before
+// kick-off weighs half as much as one played the day before.
+//
+// Dixon-Coles adjusts the low scores (0-0, 1-0, 0-1, 1-1), which plain
+// Poisson gets wrong, with a dependence parameter rho. Strengths are the
+// weighted Poisson maximum likelihood (iterated closed-form updates);
+// rho is then fitted on top with the strengths held fixed.
+//
+// Fixtures come from the warehouse when the season is synced
+// (services/warehouse.js), else from one SportsMonks call for the whole
+// season (stages with fixtures, cached). Goals are the score after 90
+// minutes.
+//
+// Every market is derived from one score matrix (0-MAX_GOALS goals a
+// side): 1X2, over/under, BTTS, correct score and Asian handicap.
+// Probabilities are percentages, like SportsMonks predictions.
+// ============================================
+
+import { getFixtureById, getStagesBySeason } from './sportsmonks.js';
+import { getStoredSeason, getStoredSeasonFixtures } from './warehouse.js';
+import { periodGoals } from './bets.js';
+import { NotFoundError, ValidationError } from './errors.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// A fixture this long before kick-off counts half
+const HALF_LIFE_DAYS = 120;
+
+// Not enough to fit below these
+const MIN_FIXTURES = 30;
+const MIN_TEAM_FIXTURES = 3;
+
+// Score matrix size (goals per side) and the part of it returned
+const MAX_GOALS = 10;
+const MATRIX_GOALS = 5;
+
+// Fitting
+const MAX_ITERATIONS = 500;
+const TOLERANCE = 1e-8;
+const RHO_RANGE = [-0.3, 0.3];
+
+// Markets
+const GOAL_LINES = [0.5, 1.5, 2.5, 3.5, 4.5, 5.5];
+const HANDICAP_LINES = Array.from({ length: 21 }, (_, i) => -2.5 + i * 0.25);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Round to a number of decimal places
+ * @param {number} value
+ * @param {number} places
+ * @returns {number}
+ */
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// 0.4567 -> 45.67
+const percent = (probability) => round(probability * 100, 2);
+
+/**
+ * Parse a SportsMonks UTC time ("2024-12-26 15:00:00")
+ * @param {string} value
+ * @returns {Date}
+ */
+function parseSportsMonksTime(value) {
+  return new Date(value.replace(' ', 'T') + 'Z');
+}
+
+/**
+ * Poisson probabilities of 0..max goals
+ * @param {number} rate
+ * @param {number} max
+ * @returns {number[]}
+ */
+function poisson(rate, max) {
+  const probabilities = [Math.exp(-rate)];
+  for (let goals = 1; goals <= max; goals++) {
+    probabilities.push(probabilities[goals - 1] * rate / goals);
+  }
+  return probabilities;
+}
+
+/**
+ * Dixon-Coles low-score adjustment
+ * @param {number} home - Home goals
+ * @param {number} away - Away goals
+ * @param {number} homeRate
+ * @param {number} awayRate
+ * @param {number} rho
+ * @returns {number}
+ */
+function tau(home, away, homeRate, awayRate, rho) {
+  if (home === 0 && away === 0) return 1 - homeRate * awayRate * rho;
+  if (home === 0 && away === 1) return 1 + homeRate * rho;
+  if (home === 1 && away === 0) return 1 + awayRate * rho;
+  if (home === 1 && away === 1) return 1 - rho;
+  return 1;
+}
+
+/**
+ * Home and away team of a SportsMonks fixture
+ * @param {object} fixture - With participants
+ * @returns {{ home: object|undefined, away: object|undefined }}
+ */
+function teamsOf(fixture) {
+  const participants = fixture.participants || [];
+  return {
+    home: participants.find(p => p.meta?.location === 'home'),
+    away: participants.find(p => p.meta?.location === 'away')
+  };
+}
+
+// ============================================
+// FIXTURE DATA
+// ============================================
+
+/**
+ * Finished fixtures of a season with their 90-minute score
+ * @param {number} seasonId
+ * @param {object} [options]
+ * @param {boolean} [options.skipCache]
+ * @returns {Promise<{ source: string, results: object[] }>} - results: { fixtureId, homeId, awayId, homeGoals, awayGoals, playedAt }
+ */
+async function getSeasonResults(seasonId, { skipCache } = {}) {
+  let source;
+  let fixtures;
+
+  if (await getStoredSeason(seasonId)) {
+    source = 'warehouse';
+    fixtures = await getStoredSeasonFixtures(seasonId);
+  } else {
+    source = 'sportsmonks';
+    const result = await getStagesBySeason(seasonId, { skipCache });
+    fixtures = (result.data || []).flatMap(stage => stage.fixtures || []);
+  }
+
+  const results = [];
+  for (const fixture of fixtures) {
+    const goals = periodGoals(fixture, 'fulltime');
+    const { home, away } = teamsOf(fixture);
+    if (!goals || !home || !away || !fixture.starting_at) continue;
+
+    results.push({
+      fixtureId: fixture.id,
+      homeId: home.id,
+      awayId: away.id,
+      homeGoals: goals.home,
+      awayGoals: goals.away,
+      playedAt: parseSportsMonksTime(fixture.starting_at)
+    });
+  }
+
+  return { source, results };
+}
+
+// ============================================
+// FITTING
+// ============================================
+
+/**
+ * Fit attack/defence strengths, home advantage and rho
+ * @param {object[]} results - From getSeasonResults, all before `at`
+ * @param {Date} at - Weights decay from this time
+ * @returns {object} - { attack: Map, defence: Map, homeAdvantage, rho, iterations }
+ */
+function fitModel(results, at) {
+  const decay = Math.LN2 / HALF_LIFE_DAYS;
+  const matches = results.map(result => ({
+    ...result,
+    weight: Math.exp(-decay * Math.max(0, (at - result.playedAt) / DAY_MS))
+  }));
+
+  const teamIds = [...new Set(matches.flatMap(m => [m.homeId, m.awayId]))];
+  const attack = new Map(teamIds.map(id => [id, 1]));
+  const defence = new Map(teamIds.map(id => [id, 1]));
+  let homeAdvantage = 1;
+  let iterations = 0;
+
+  // Weighted sums per team: goals scored and conceded, and their expected
+  // counts without the team's own strength
+  const sums = () => new Map(teamIds.map(id => [id, { value: 0, rate: 0 }]));
+
+  for (; iterations < MAX_ITERATIONS; iterations++) {
+    let change = 0;
+
+    const scored = sums();
+    for (const m of matches) {
+      scored.get(m.homeId).value += m.weight * m.homeGoals;
+      scored.get(m.homeId).rate += m.weight * homeAdvantage * defence.get(m.awayId);
+      scored.get(m.awayId).value += m.weight * m.awayGoals;
+      scored.get(m.awayId).rate += m.weight * defence.get(m.homeId);
+    }
+    for (const [id, { value, rate }] of scored) {
+      const next = Math.max(value / rate, 1e-3);
+      change = Math.max(change, Math.abs(next - attack.get(id)));
+      attack.set(id, next);
+    }
+
+    const conceded = sums();
+    for (const m of matches) {
+      conceded.get(m.awayId).value += m.weight * m.homeGoals;
+      conceded.get(m.awayId).rate += m.weight * homeAdvantage * attack.get(m.homeId);
+      conceded.get(m.homeId).value += m.weight * m.awayGoals;
+      conceded.get(m.homeId).rate += m.weight * attack.get(m.awayId);
+    }
+    for (const [id, { value, rate }] of conceded) {
+      const next = Math.max(value / rate, 1e-3);
+      change = Math.max(change, Math.abs(next - defence.get(id)));
+      defence.set(id, next);
+    }
+
+    let homeGoals = 0;
+    let homeRate = 0;
+    for (const m of matches) {
+      homeGoals += m.weight * m.homeGoals;
+      homeRate += m.weight * attack.get(m.homeId) * defence.get(m.awayId);
+    }
+    const nextHome = homeGoals / homeRate;
+    change = Math.max(change, Math.abs(nextHome - homeAdvantage));
+    homeAdvantage = nextHome;
+
+    // Attack averages 1; defence carries the scale
+    const scale = teamIds.reduce((sum, id) => sum + attack.get(id), 0) / teamIds.length;
+    for (const id of teamIds) {
+      attack.set(id, attack.get(id) / scale);
+      defence.set(id, defence.get(id) * scale);
+    }
+
+    if (change < TOLERANCE) break;
+  }
+
+  const rho = fitRho(matches, attack, defence, homeAdvantage);
+
+  return { attack, defence, homeAdvantage, rho, iterations };
+}
+
+/**
+ * Dixon-Coles rho with the strengths held fixed (golden-section search
+ * of the weighted log-likelihood of the adjustment)
+ * @param {object[]} matches - With weight
+ * @param {Map} attack
+ * @param {Map} defence
+ * @param {number} homeAdvantage
+ * @returns {number}
+ */
+function fitRho(matches, attack, defence, homeAdvantage) {
+  const lowScores = matches
+    .filter(m => m.homeGoals <= 1 && m.awayGoals <= 1)
+    .map(m => ({
+      ...m,
+      homeRate: homeAdvantage * attack.get(m.homeId) * defence.get(m.awayId),
+      awayRate: attack.get(m.awayId) * defence.get(m.homeId)
+    }));
+
+  const logLikelihood = (rho) => {
+    let total = 0;
+    for (const m of lowScores) {
+      const adjustment = tau(m.homeGoals, m.awayGoals, m.homeRate, m.awayRate, rho);
+      if (adjustment <= 0) return -Infinity;
+      total += m.weight * Math.log(adjustment);
+    }
+    return total;
+  };
+
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let [low, high] = RHO_RANGE;
+  while (high - low > 1e-5) {
+    const a = high - ratio * (high - low);
+    const b = low + ratio * (high - low);
+    if (logLikelihood(a) >= logLikelihood(b)) high = b;
+    else low = a;
+  }
+
+  return (low + high) / 2;
+}
+
+// ============================================
+// MARKETS
+// ============================================
+
+/**
+ * Probability of every score, Dixon-Coles adjusted
+ * @param {number} homeRate - Expected home goals
+ * @param {number} awayRate - Expected away goals
+ * @param {number} rho
+ * @returns {number[][]} - [homeGoals][awayGoals], summing to 1
+ */
+function scoreMatrix(homeRate, awayRate, rho) {
+  const home = poisson(homeRate, MAX_GOALS);
+  const away = poisson(awayRate, MAX_GOALS);
+
+  const matrix = home.map((p, h) => away.map((q, a) => Math.max(tau(h, a, homeRate, awayRate, rho), 0) * p * q));
+  const total = matrix.flat().reduce((sum, p) => sum + p, 0);
+  return matrix.map(row => row.map(p => p / total));
+}
+
+/**
+ * Sum the matrix over the scores matching a condition
+ * @param {number[][]} matrix
+ * @param {Function} condition - (homeGoals, awayGoals) -> boolean
+ * @returns {number}
+ */
+function sumWhere(matrix, condition) {
+  let total = 0;
+  matrix.forEach((row, h) => row.forEach((p, a) => {
+    if (condition(h, a)) total += p;
+  }));
+  return total;
+}
+
+/**
+ * Asian handicap on the home team
+ *
+ * Quarter lines are two bets on the neighbouring lines (-0.75 = half on
+ * -0.5, half on -1), so their win and push chances are averaged. Fair
+ * odds make the expected profit zero: 1 + P(lose) / P(win).
+ *
+ * @param {number[][]} matrix
+ * @param {number} line - Home handicap (-1.5, -0.25, +0.5, ...)
+ * @returns {object} - { line, homeWin, push, awayWin, homeOdds, awayOdds }
+ */
+function asianHandicap(matrix, line) {
+  const halves = line % 0.5 === 0 ? [line] : [line - 0.25, line + 0.25];
+  let win = 0;
+  let push = 0;
+  let lose = 0;
+
+  for (const half of halves) {
+    win += sumWhere(matrix, (h, a) => h - a + half > 0) / halves.length;
+    push += sumWhere(matrix, (h, a) => h - a + half === 0) / halves.length;
+    lose += sumWhere(matrix, (h, a) => h - a + half < 0) / halves.length;
+  }
+
+  const fairOdds = (p, q) => (p > 0 ? round(1 + q / p, 2) : null);
+
+  return {
+    line,
+    homeWin: percent(win),
+    push: percent(push),
+    awayWin: percent(lose),
+    homeOdds: fairOdds(win, lose),
+    awayOdds: fairOdds(lose, win)
+  };
+}
+
+/**
+ * Every market from the score matrix
+ * @param {number[][]} matrix
+ * @returns {object} - { fulltimeResult, overUnder, btts, correctScore, asianHandicap }
+ */
+function marketsFrom(matrix) {
+  const scores = matrix.flatMap((row, h) => row.map((p, a) => ({ score: `${h}-${a}`, home: h, away: a, probability: p })));
+  const shown = matrix.slice(0, MATRIX_GOALS + 1).map(row => row.slice(0, MATRIX_GOALS + 1));
+
+  return {
+    fulltimeResult: {
+      home: percent(sumWhere(matrix, (h, a) => h > a)),
+      draw: percent(sumWhere(matrix, (h, a) => h === a)),
+      away: percent(sumWhere(matrix, (h, a) => h < a))
+    },
+    overUnder: GOAL_LINES.map(line => {
+      const over = sumWhere(matrix, (h, a) => h + a > line);
+      return { line, over: percent(over), under: percent(1 - over) };
+    }),
+    btts: (() => {
+      const yes = sumWhere(matrix, (h, a) => h > 0 && a > 0);
+      return { yes: percent(yes), no: percent(1 - yes) };
+    })(),
+    correctScore: {
+      matrix: shown.map(row => row.map(percent)),
+      other: percent(1 - shown.flat().reduce((sum, p) => sum + p, 0)),
+      mostLikely: scores
+        .sort((a, b) => b.probability - a.probability)
+        .slice(0, 5)
+        .map(score => ({ ...score, probability: percent(score.probability) }))
+    },
+    asianHandicap: HANDICAP_LINES.map(line => asianHandicap(matrix, line))
+  };
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Our model's probabilities for a fixture
+ *
+ * @param {number|string} fixtureId
+ * @param {object} [options]
+ * @param {boolean} [options.skipCache] - Fresh SportsMonks data
+ * @returns {Promise<object>} - { fixtureId, fixtureName, startingAt, model, teams, expectedGoals, markets }
+ */
+async function getFixtureModel(fixtureId, { skipCache } = {}) {
+  // 1. The fixture: teams, season and kick-off
+  const result = await getFixtureById(fixtureId, { skipCache });
+  const fixture = result.data;
+  if (!fixture) {
+    throw new NotFoundError(`Fixture with ID ${fixtureId} not found`);
+  }
+
+  const { home, away } = teamsOf(fixture);
+  if (!home || !away) {
+    throw new ValidationError('Fixture has no home and away teams yet');
+  }
+  const kickoff = parseSportsMonksTime(fixture.starting_at);
+
+  // 2. The season's finished fixtures before kick-off
+  const { source, results: seasonResults } = await getSeasonResults(fixture.season_id, { skipCache });
+  const results = seasonResults.filter(r => r.playedAt < kickoff && r.fixtureId !== fixture.id);
+
+  const played = (teamId) => results.filter(r => r.homeId === teamId || r.awayId === teamId).length;
+  const homePlayed = played(home.id);
+  const awayPlayed = played(away.id);
+
+  if (results.length < MIN_FIXTURES || homePlayed < MIN_TEAM_FIXTURES || awayPlayed < MIN_TEAM_FIXTURES) {
+    throw new ValidationError(
+      `Not enough finished fixtures this season to fit the model (${MIN_FIXTURES} needed, ` +
+      `and ${MIN_TEAM_FIXTURES} for each team)`,
+      { seasonFixtures: results.length, homeTeamFixtures: homePlayed, awayTeamFixtures: awayPlayed }
+    );
+  }
+
+  // 3. Fit, then score probabilities for this pairing
+  const fit = fitModel(results, kickoff);
+  const homeRate = fit.homeAdvantage * fit.attack.get(home.id) * fit.defence.get(away.id);
+  const awayRate = fit.attack.get(away.id) * fit.defence.get(home.id);
+  const matrix = scoreMatrix(homeRate, awayRate, fit.rho);
+
+  const defences = [...fit.defence.values()];
+  const averageDefence = defences.reduce((sum, value) => sum + value, 0) / defences.length;
+  const rating = (team, fixtures) => ({
+    id: team.id,
+    name: team.name,
+    attack: round(fit.attack.get(team.id), 3),
+    defence: round(fit.defence.get(team.id) / averageDefence, 3),
+    fixtures
+  });
+
+  return {
+    fixtureId: fixture.id,
+    fixtureName: fixture.name,
+    startingAt: fixture.starting_at,
+    model: {
+      name: 'dixon-coles',
+      seasonId: fixture.season_id,
+      source,
+      fixtures: results.length,
+      from: results.reduce((min, r) => (r.playedAt < min ? r.playedAt : min), kickoff),
+      to: results.reduce((max, r) => (r.playedAt > max ? r.playedAt : max), new Date(0)),
+      halfLifeDays: HALF_LIFE_DAYS,
+      homeAdvantage: round(fit.homeAdvantage, 3),
+      rho: round(fit.rho, 4),
+      averageGoals: {
+        home: round(fit.homeAdvantage * averageDefence, 2),
+        away: round(averageDefence, 2)
+      }
+    },
+    teams: {
+      home: rating(home, homePlayed),
+      away: rating(away, awayPlayed)
+    },
+    expectedGoals: {
+      home: round(homeRate, 2),
+      away: round(awayRate, 2)
+    },
+    markets: marketsFrom(matrix)
+  };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export {
+  fitModel,
+  fitRho,
+  scoreMatrix,
+  asianHandicap,
+  getFixtureModel
+};
@@ -0,0 +1,212 @@
+// ============================================
+// METRICS SERVICE
+// ============================================
+// Prometheus metrics, served at GET /metrics (see index.js).
+//
+// What we measure:
+//   - HTTP requests and latency per router (/teams, /fixtures, ...)
+//   - Cache lookups by key family (hit / miss / stale) and fallbacks
+//   - SportsMonks call latency and errors per endpoint family
+//   - Circuit breaker state
+//   - Rate limiter rejections per limiter
+//   - Prisma query timings per model/operation
+//   - Background job runs and durations per job
+//
+// Plus Node.js process metrics (memory, event loop lag, GC).
+// All metric names are prefixed with "betsmoke_".
+// ============================================
+
+import client from 'prom-client';
+
+const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry, prefix: 'betsmoke_' });
+
+// Latency buckets in seconds: fast cache hits up to slow paginated upstream calls
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// Database queries are usually much faster
+const QUERY_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+// ============================================
+// METRIC DEFINITIONS
+// ============================================
+
+const httpRequests = new client.Counter({
+  name: 'betsmoke_http_requests_total',
+  help: 'HTTP requests handled, by router, method and status code',
+  labelNames: ['router', 'method', 'status'],
+  registers: [registry]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'betsmoke_http_request_duration_seconds',
+  help: 'HTTP request latency, by router and method',
+  labelNames: ['router', 'method'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry]
+});
+
+const cacheLookups = new client.Counter({
+  name: 'betsmoke_cache_lookups_total',
+  help: 'Cache lookups by key family and result (hit, miss, stale)',
+  labelNames: ['family', 'result'],
+  registers: [registry]
+});
+
+const cacheFallbacks = new client.Counter({
+  name: 'betsmoke_cache_fallbacks_total',
+  help: 'Expired cache entries served because SportsMonks was unavailable',
+  labelNames: ['family'],
+  registers: [registry]
+});
+
+const upstreamDuration = new client.Histogram({
+  name: 'betsmoke_sportsmonks_request_duration_seconds',
+  help: 'SportsMonks call latency (all pages and retries), by endpoint family and status',
+  labelNames: ['endpoint', 'status'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry]
+});
+
+const upstreamErrors = new client.Counter({
+  name: 'betsmoke_sportsmonks_errors_total',
+  help: 'Failed SportsMonks calls, by endpoint family and status ("none" if no response)',
+  labelNames: ['endpoint', 'status'],
+  registers: [registry]
+});
+
+const circuitState = new client.Gauge({
+  name: 'betsmoke_circuit_breaker_state',
+  help: 'Circuit breaker state: 0 = closed, 1 = half-open, 2 = open',
+  labelNames: ['name'],
+  registers: [registry]
+});
+
+const rateLimitRejections = new client.Counter({
+  name: 'betsmoke_rate_limit_rejections_total',
+  help: 'Requests rejected with 429 by our own rate limiters',
+  labelNames: ['limiter'],
+  registers: [registry]
+});
+
+const prismaDuration = new client.Histogram({
+  name: 'betsmoke_prisma_query_duration_seconds',
+  help: 'Prisma query latency, by model and operation',
+  labelNames: ['model', 'operation'],
+  buckets: QUERY_BUCKETS,
+  registers: [registry]
+});
+
+const jobDuration = new client.Histogram({
+  name: 'betsmoke_job_duration_seconds',
+  help: 'Background job run time, by job and outcome (success, error)',
+  labelNames: ['job', 'status'],
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600],
+  registers: [registry]
+});
+
+// ============================================
+// RECORDING HELPERS
+// ============================================
+// Small wrappers so other modules don't need to know label names.
+
+/**
+ * Record a finished HTTP request
+ * @param {object} request - { router, method, status, durationMs }
+ */
+function observeHttpRequest({ router, method, status, durationMs }) {
+  httpRequests.inc({ router, method, status });
+  httpDuration.observe({ router, method }, durationMs / 1000);
+}
+
+/**
+ * Record a cache lookup
+ * @param {string} family - Key family (prefix before the first colon)
+ * @param {string} result - "hit", "miss" or "stale"
+ */
+function observeCacheLookup(family, result) {
+  cacheLookups.inc({ family, result });
+}
+
+/**
+ * Record a fallback to an expired cache entry
+ * @param {string} family - Key family
+ */
+function observeCacheFallback(family) {
+  cacheFallbacks.inc({ family });
+}
+
+/**
+ * Record a SportsMonks call
+ * @param {object} call - { endpoint (family), status (null if no response), latencyMs }
+ */
+function observeUpstreamCall({ endpoint, status, latencyMs }) {
+  const statusLabel = status === null ? 'none' : String(status);
+  upstreamDuration.observe({ endpoint, status: statusLabel }, latencyMs / 1000);
+
+  if (status === null || status >= 400) {
+    upstreamErrors.inc({ endpoint, status: statusLabel });
+  }
+}
+
+/**
+ * Record a circuit breaker state change
+ * @param {string} name - Breaker name (e.g. "SportsMonks")
+ * @param {string} state - "closed", "half-open" or "open"
+ */
+function setCircuitState(name, state) {
+  const values = { closed: 0, 'half-open': 1, open: 2 };
+  circuitState.set({ name }, values[state]);
+}
+
+/**
+ * Record a rate limiter rejection
+ * @param {string} limiter - Limiter name from createLimiter
+ */
+function observeRateLimitRejection(limiter) {
+  rateLimitRejections.inc({ limiter });
+}
+
+/**
+ * Record a Prisma query
+ * @param {object} query - { model, operation, durationMs }
+ */
+function observePrismaQuery({ model, operation, durationMs }) {
+  prismaDuration.observe({ model: model ?? 'raw', operation }, durationMs / 1000);
+}
+
+/**
+ * Record a finished background job run
+ * @param {object} run - { job, status ("success" or "error"), durationMs }
+ */
+function observeJobRun({ job, status, durationMs }) {
+  jobDuration.observe({ job, status }, durationMs / 1000);
+}
+
+/**
+ * Render all metrics in the Prometheus text format
+ * @returns {Promise<{ contentType: string, body: string }>}
+ */
+async function renderMetrics() {
+  return {
+    contentType: registry.contentType,
+    body: await registry.metrics()
+  };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export {
+  observeHttpRequest,
+  observeCacheLookup,
+  observeCacheFallback,
+  observeUpstreamCall,
+  setCircuitState,
+  observeRateLimitRejection,
+  observePrismaQuery,
+  observeJobRun,
+  renderMetrics
+};
@@ -0,0 +1,474 @@
+// ============================================
+// ODDS SERVICE
+// ============================================
+// Turns SportsMonks' flat pre-match odds array (one entry per market,
+// selection and bookmaker) into a tree the frontend can render directly:
+//
+//   markets[] -> selections[] -> prices[] (one per bookmaker)
+//
+// - Market and bookmaker names come from getAllMarkets/getAllBookmakers
+//   (reference data, cached for days)
+// - Selections are matched across bookmakers by a canonical key, so
+//   "1" from one bookmaker and "Home" from another end up in one row
+// - Each selection gets its best (highest) available price
+//
+// Filters (?markets=1,14&bookmakers=2,9) are applied here, to the full
+// odds list from the cache - so filtered requests don't cost extra
+// SportsMonks calls or cache entries.
+//
+// Fair odds (getFairOdds) split a market into books (one per line) and
+// take each bookmaker's margin out with services/margin.js.
+// ============================================
+
+import {
+  getOddsByFixture,
+  getOddsByFixtureAndBookmaker,
+  getOddsByFixtureAndMarket,
+  getAllMarkets,
+  getAllBookmakers
+} from './sportsmonks.js';
+import { removeMargin } from './margin.js';
+import { createLogger } from './logger.js';
+import { NotFoundError, ValidationError } from './errors.js';
+
+const log = createLogger('Odds');
+
+// ============================================
+// MARKET GROUPS (SportsMonks market IDs)
+// ============================================
+
+// Home / Draw / Away markets: Fulltime Result, 1st Half, 2nd Half, Fulltime Result (alt)
+const RESULT_MARKETS = [1, 37, 80, 28075];
+const DOUBLE_CHANCE_MARKET = 63;
+const BTTS_MARKET = 14;
+// Over/Under goals: Over/Under, 2nd Half O/U (x2), Alternative Match Goals
+const TOTALS_MARKETS = [12, 38, 47, 5];
+// Team to Score First / Last
+const TEAM_TO_SCORE_MARKETS = [69, 75];
+const ODD_EVEN_MARKET = 99;
+
+// Display order of canonical selection keys, per market
+const SELECTION_ORDER = {
+  result: ['1', 'X', '2'],
+  doubleChance: ['1X', '12', 'X2'],
+  btts: ['yes', 'no'],
+  teamToScore: ['1', '2', 'X'],
+  oddEven: ['odd', 'even']
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Parse a comma-separated ID list from the query string
+ * @param {string|undefined} value - e.g. "1,14,80"
+ * @param {string} name - Parameter name for the error message
+ * @returns {number[]|null} - Null when not given
+ */
+function parseIdList(value, name) {
+  if (value === undefined || value === '') return null;
+
+  const ids = String(value).split(',').map(id => parseInt(id.trim(), 10));
+  if (ids.some(id => !Number.isInteger(id) || id < 1)) {
+    throw new ValidationError(`${name} must be a comma-separated list of IDs`);
+  }
+  return ids;
+}
+
+/**
+ * Canonical key of a selection, the same for every bookmaker
+ * @param {object} odd - SportsMonks odd
+ * @returns {string} - e.g. "1", "X", "over_2.5", "yes"
+ */
+function selectionKey(odd) {
+  const marketId = odd.market_id;
+  const label = String(odd.label || odd.name || '').toLowerCase().trim();
+
+  if (RESULT_MARKETS.includes(marketId)) {
+    if (label === '1' || label === 'home' || label.includes('home win')) return '1';
+    if (label === 'x' || label === 'draw') return 'X';
+    if (label === '2' || label === 'away' || label.includes('away win')) return '2';
+  }
+
+  if (marketId === DOUBLE_CHANCE_MARKET) {
+    if (label === '1x' || label.includes('home or draw') || label.includes('home/draw')) return '1X';
+    if (label === 'x2' || label.includes('draw or away') || label.includes('draw/away')) return 'X2';
+    if (label === '12' || label.includes('home or away') || label.includes('home/away') || label.includes('no draw')) return '12';
+  }
+
+  if (marketId === BTTS_MARKET) {
+    if (label === 'yes' || label === 'btts yes') return 'yes';
+    if (label === 'no' || label === 'btts no') return 'no';
+  }
+
+  // "Over 2.5", or "Over" with total "2.5"
+  if (TOTALS_MARKETS.includes(marketId)) {
+    const side = label.startsWith('over') || label.startsWith('more') ? 'over'
+      : label.startsWith('under') || label.startsWith('less') ? 'under'
+        : null;
+    const line = label.match(/[\d.]+/)?.[0] ?? odd.total;
+    if (side && line) return `${side}_${line}`;
+  }
+
+  if (TEAM_TO_SCORE_MARKETS.includes(marketId)) {
+    if (label === '1' || label === 'home') return '1';
+    if (label === '2' || label === 'away') return '2';
+    if (label === 'x' || label === 'none' || label === 'no goal') return 'X';
+  }
+
+  if (marketId === ODD_EVEN_MARKET && (label === 'odd' || label === 'even')) return label;
+
+  // Anything else: the label plus its line, if any
+  return [label, odd.total, odd.handicap].filter(part => part != null && part !== '').join('_');
+}
+
+/**
+ * Sort selections into their natural order
+ * (Home/Draw/Away, Yes/No, overs then unders by line, ...)
+ * @param {number} marketId
+ * @param {object[]} selections - Selections with a key
+ * @returns {object[]}
+ */
+function sortSelections(marketId, selections) {
+  const order =
+    RESULT_MARKETS.includes(marketId) ? SELECTION_ORDER.result
+      : marketId === DOUBLE_CHANCE_MARKET ? SELECTION_ORDER.doubleChance
+        : marketId === BTTS_MARKET ? SELECTION_ORDER.btts
+          : TEAM_TO_SCORE_MARKETS.includes(marketId) ? SELECTION_ORDER.teamToScore
+            : marketId === ODD_EVEN_MARKET ? SELECTION_ORDER.oddEven
+              : null;
+
+  if (order) {
+    const rank = (key) => (order.includes(key) ? order.indexOf(key) : order.length);
+    return selections.sort((a, b) => rank(a.key) - rank(b.key));
+  }
+
+  if (TOTALS_MARKETS.includes(marketId)) {
+    const line = (key) => parseFloat(key.split('_')[1] || '0');
+    return selections.sort((a, b) => {
+      const aOver = a.key.startsWith('over');
+      const bOver = b.key.startsWith('over');
+      if (aOver !== bOver) return aOver ? -1 : 1;
+      return line(a.key) - line(b.key);
+    });
+  }
+
+  return selections.sort((a, b) => a.key.localeCompare(b.key, undefined, { numeric: true }));
+}
+
+/**
+ * One bookmaker's price for a selection
+ * @param {object} odd - SportsMonks odd
+ * @returns {object}
+ */
+function toPrice(odd) {
+  const decimal = parseFloat(odd.value);
+  return {
+    oddId: odd.id,
+    bookmakerId: odd.bookmaker_id,
+    value: odd.value ?? null,                   // Decimal, as SportsMonks sends it ("2.10")
+    decimal: Number.isFinite(decimal) ? decimal : null,
+    fractional: odd.fractional ?? null,
+    american: odd.american ?? null,
+    probability: odd.probability ?? null,
+    stopped: !!odd.stopped,
+    updatedAt: odd.latest_bookmaker_update ?? null
+  };
+}
+
+/**
+ * Map of ID -> name from a reference list, or an empty map if it can't
+ * be loaded (names then fall back to what the odds carry)
+ * @param {function} fetchList - getAllMarkets or getAllBookmakers
+ * @param {string} what - For the log message
+ * @returns {Promise<Map<number, string>>}
+ */
+async function loadNames(fetchList, what) {
+  try {
+    const result = await fetchList();
+    return new Map((result.data || []).map(item => [item.id, item.name]));
+  } catch (error) {
+    log.warn(`Could not load ${what} names, using fallbacks`, { error });
+    return new Map();
+  }
+}
+
+// ============================================
+// TREE
+// ============================================
+
+/**
+ * Build the market -> selection -> price tree from flat SportsMonks odds
+ *
+ * @param {object[]} odds - SportsMonks odds
+ * @param {object} [filters]
+ * @param {number[]|null} [filters.markets] - Keep only these market IDs
+ * @param {number[]|null} [filters.bookmakers] - Keep only these bookmaker IDs
+ * @returns {Promise<{ bookmakers: object[], markets: object[] }>}
+ */
+async function buildOddsTree(odds, { markets: marketIds, bookmakers: bookmakerIds } = {}) {
+  const filtered = odds.filter(odd =>
+    (!marketIds || marketIds.includes(odd.market_id)) &&
+    (!bookmakerIds || bookmakerIds.includes(odd.bookmaker_id))
+  );
+
+  const [marketNames, bookmakerNames] = await Promise.all([
+    loadNames(getAllMarkets, 'market'),
+    loadNames(getAllBookmakers, 'bookmaker')
+  ]);
+
+  const markets = new Map();
+  const bookmakers = new Map();
+
+  for (const odd of filtered) {
+    if (!bookmakers.has(odd.bookmaker_id)) {
+      bookmakers.set(odd.bookmaker_id, {
+        id: odd.bookmaker_id,
+        name: bookmakerNames.get(odd.bookmaker_id) || odd.bookmaker?.name || `Bookmaker ${odd.bookmaker_id}`
+      });
+    }
+
+    if (!markets.has(odd.market_id)) {
+      markets.set(odd.market_id, {
+        id: odd.market_id,
+        name: marketNames.get(odd.market_id) || odd.market?.name || odd.market_description || `Market ${odd.market_id}`,
+        bookmakerIds: new Set(),
+        selections: new Map()
+      });
+    }
+    const market = markets.get(odd.market_id);
+    market.bookmakerIds.add(odd.bookmaker_id);
+
+    const key = selectionKey(odd);
+    if (!market.selections.has(key)) {
+      market.selections.set(key, {
+        key,
+        label: odd.label || odd.name || key,
+        name: odd.name ?? null,
+        total: odd.total ?? null,
+        handicap: odd.handicap ?? null,
+        prices: []
+      });
+    }
+
+    // A bookmaker may list a selection twice - keep its first price
+    const selection = market.selections.get(key);
+    if (!selection.prices.some(price => price.bookmakerId === odd.bookmaker_id)) {
+      selection.prices.push(toPrice(odd));
+    }
+  }
+
+  return {
+    bookmakers: [...bookmakers.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    markets: [...markets.values()]
+      .sort((a, b) => a.id - b.id)
+      .map(({ bookmakerIds: ids, selections, ...market }) => ({
+        ...market,
+        bookmakerCount: ids.size,
+        selections: sortSelections(market.id, [...selections.values()]).map(selection => {
+          const available = selection.prices.filter(price => price.decimal && !price.stopped);
+          const best = available.reduce((top, price) => (!top || price.decimal > top.decimal ? price : top), null);
+          return { ...selection, best };
+        })
+      }))
+  };
+}
+
+// ============================================
+// FIXTURE ODDS
+// ============================================
+
+/**
+ * Pre-match odds of a fixture as a tree
+ *
+ * Uses the narrowest SportsMonks endpoint for the route (all odds, one
+ * bookmaker, or one market), then applies the query filters.
+ *
+ * @param {number|string} fixtureId
+ * @param {object} [options]
+ * @param {number|string} [options.bookmakerId] - Route param (/bookmakers/:bookmakerId)
+ * @param {number|string} [options.marketId] - Route param (/markets/:marketId)
+ * @param {object} [options.query] - req.query with optional markets/bookmakers lists
+ * @param {boolean} [options.skipCache]
+ * @returns {Promise<{ filters: object, bookmakers: object[], markets: object[] }>}
+ */
+async function getFixtureOddsTree(fixtureId, { bookmakerId, marketId, query = {}, skipCache } = {}) {
+  const filters = {
+    markets: parseIdList(query.markets, 'markets'),
+    bookmakers: parseIdList(query.bookmakers, 'bookmakers')
+  };
+
+  const result = bookmakerId
+    ? await getOddsByFixtureAndBookmaker(fixtureId, bookmakerId, { skipCache })
+    : marketId
+      ? await getOddsByFixtureAndMarket(fixtureId, marketId, { skipCache })
+      : await getOddsByFixture(fixtureId, { skipCache });
+
+  const tree = await buildOddsTree(result.data || [], filters);
+  return { filters, ...tree };
+}
+
+// ============================================
+// FAIR ODDS
+// ============================================
+
+/**
+ * Round to a number of decimal places
+ * @param {number} value
+ * @param {number} places
+ * @returns {number}
+ */
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * The line a selection belongs to: its total (Over/Under 2.5 -> "2.5"),
+ * or its handicap from the home side's point of view (Home -0.5 and
+ * Away +0.5 -> "-0.5"). Null for markets without lines (1X2, BTTS, ...).
+ * @param {object} selection - Tree selection
+ * @returns {string|null}
+ */
+function bookLine(selection) {
+  if (selection.total != null) return String(selection.total);
+
+  const keyLine = selection.key.match(/^(over|under)_([\d.]+)$/)?.[2];
+  if (keyLine) return keyLine;
+
+  if (selection.handicap != null) {
+    const handicap = parseFloat(selection.handicap);
+    const isAway = selection.key.startsWith('2') || /away/i.test(selection.label);
+    return Number.isFinite(handicap) ? String(isAway ? -handicap : handicap) : String(selection.handicap);
+  }
+
+  return null;
+}
+
+/**
+ * Split a market's selections into books: complete sets of outcomes
+ * @param {object} market - Tree market
+ * @returns {Array<{ line: string|null, selections: object[] }>}
+ */
+function splitIntoBooks(market) {
+  const books = new Map();
+
+  for (const selection of market.selections) {
+    const line = bookLine(selection);
+    if (!books.has(line)) books.set(line, { line, selections: [] });
+    books.get(line).selections.push(selection);
+  }
+
+  // A single outcome isn't a book (e.g. a line only one side is priced for)
+  return [...books.values()].filter(book => book.selections.length >= 2);
+}
+
+/**
+ * Margin and fair prices of one book, per bookmaker and as a consensus
+ * @param {object} book - { line, selections }
+ * @param {Map<number, string>} bookmakerNames
+ * @param {string} method - Margin method
+ * @returns {object}
+ */
+function priceBook(book, bookmakerNames, method) {
+  const bookmakerIds = [...new Set(book.selections.flatMap(s => s.prices.map(p => p.bookmakerId)))];
+  const bookmakers = [];
+
+  for (const bookmakerId of bookmakerIds) {
+    const prices = book.selections.map(s => s.prices.find(p => p.bookmakerId === bookmakerId));
+
+    // Only bookmakers pricing every outcome, with live prices
+    if (prices.some(price => !price || !price.decimal || price.decimal <= 1 || price.stopped)) continue;
+
+    const decimals = prices.map(price => price.decimal);
+    const { overround, probabilities, method: used } = removeMargin(decimals, method);
+
+    bookmakers.push({
+      bookmakerId,
+      bookmakerName: bookmakerNames.get(bookmakerId) || `Bookmaker ${bookmakerId}`,
+      overround: round(overround * 100, 2),
+      method: used,
+      prices: book.selections.map((selection, i) => ({
+        key: selection.key,
+        decimal: decimals[i],
+        impliedProbability: round(1 / decimals[i], 4),
+        fairProbability: round(probabilities[i], 4),
+        fairOdds: round(1 / probabilities[i], 3)
+      })),
+      probabilities
+    });
+  }
+
+  // Consensus: average fair probability across bookmakers, renormalized
+  const averages = book.selections.map((_, i) =>
+    bookmakers.length > 0 ? bookmakers.reduce((total, bm) => total + bm.probabilities[i], 0) / bookmakers.length : null
+  );
+  const averageTotal = averages.reduce((total, p) => total + (p ?? 0), 0);
+
+  return {
+    line: book.line,
+    selections: book.selections.map(({ key, label, name, total, handicap }) => ({ key, label, name, total, handicap })),
+    bookmakers: bookmakers
+      .map(({ probabilities, ...bm }) => bm)
+      .sort((a, b) => a.overround - b.overround),
+    consensus: bookmakers.length === 0 ? null : {
+      bookmakerCount: bookmakers.length,
+      averageOverround: round(bookmakers.reduce((total, bm) => total + bm.overround, 0) / bookmakers.length, 2),
+      selections: book.selections.map((selection, i) => {
+        const probability = averages[i] / averageTotal;
+        const best = selection.best;
+        return {
+          key: selection.key,
+          fairProbability: round(probability, 4),
+          fairOdds: round(1 / probability, 3),
+          best: best ? { bookmakerId: best.bookmakerId, decimal: best.decimal } : null,
+          // Expected return of 1 unit at the best price, if the consensus is right
+          edge: best ? round((best.decimal * probability - 1) * 100, 2) : null
+        };
+      })
+    }
+  };
+}
+
+/**
+ * Bookmaker margins and fair odds for one market of a fixture
+ *
+ * @param {number|string} fixtureId
+ * @param {number|string} marketId
+ * @param {object} [options]
+ * @param {string} [options.method] - Margin method (default "proportional")
+ * @param {object} [options.query] - req.query (optional bookmakers list)
+ * @param {boolean} [options.skipCache]
+ * @returns {Promise<object>}
+ */
+async function getFairOdds(fixtureId, marketId, { method = 'proportional', query = {}, skipCache } = {}) {
+  // Same cached odds as GET /odds/fixtures/:fixtureId, trimmed to the market
+  const tree = await getFixtureOddsTree(fixtureId, {
+    query: { bookmakers: query.bookmakers, markets: String(marketId) },
+    skipCache
+  });
+
+  const market = tree.markets[0];
+  if (!market) {
+    throw new NotFoundError(`No odds for market ${marketId} in fixture ${fixtureId}`);
+  }
+
+  const bookmakerNames = new Map(tree.bookmakers.map(bm => [bm.id, bm.name]));
+
+  return {
+    marketId: market.id,
+    marketName: market.name,
+    method,
+    books: splitIntoBooks(market).map(book => priceBook(book, bookmakerNames, method))
+  };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export {
+  selectionKey,
+  buildOddsTree,
+  getFixtureOddsTree,
+  splitIntoBooks,
+  getFairOdds
+};
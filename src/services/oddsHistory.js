@@ -0,0 +1,214 @@
+// ============================================
+// ODDS HISTORY SERVICE
+// ============================================
+// SportsMonks only gives us the current pre-match price of each
+// selection, so line movement is recorded here:
+//
+// Recording (recordOddsSnapshot, run by the "snapshot-odds" job):
+//   - Fetches the fixture's pre-match odds, bypassing the cache
+//   - Stores a row for every selection whose price differs from its last
+//     stored one (the first row of a selection is its opening price)
+//
+// Reading (getOddsHistory):
+//   - Time series per market -> selection -> bookmaker
+//   - Opening price = first snapshot, latest = last snapshot,
+//     closing = last snapshot before kick-off (only once it has passed)
+//
+// Snapshots are "as first seen by us": the opening price is the first
+// price we recorded, not necessarily the bookmaker's first price.
+// ============================================
+
+import prisma from '../db.js';
+import { getOddsByFixture } from './sportsmonks.js';
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Parse a SportsMonks UTC time ("2024-12-26 15:00:00")
+ * @param {string} value
+ * @returns {Date|null}
+ */
+function parseSportsMonksTime(value) {
+  if (!value) return null;
+  const date = new Date(value.replace(' ', 'T') + 'Z');
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse a number SportsMonks sends as a string ("2.10", "47.62%")
+ * @param {any} value
+ * @returns {number|null}
+ */
+function parseNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Turn a SportsMonks odd into a snapshot row
+ * @param {object} odd - SportsMonks odd
+ * @param {number} fixtureId
+ * @param {Date} kickoffAt
+ * @param {Date} recordedAt
+ * @returns {object|null} - Null if the odd has no usable price
+ */
+function toSnapshot(odd, fixtureId, kickoffAt, recordedAt) {
+  const value = parseNumber(odd.value);
+  if (!odd.id || !value || value <= 1) return null;
+
+  return {
+    fixtureId,
+    oddId: BigInt(odd.id),
+    bookmakerId: odd.bookmaker_id,
+    marketId: odd.market_id,
+    marketDescription: odd.market_description ?? null,
+    label: odd.label || '',
+    name: odd.name ?? null,
+    total: odd.total != null ? String(odd.total) : null,
+    handicap: odd.handicap != null ? String(odd.handicap) : null,
+    value,
+    probability: parseNumber(odd.probability),
+    bookmakerUpdatedAt: parseSportsMonksTime(odd.latest_bookmaker_update),
+    kickoffAt,
+    recordedAt
+  };
+}
+
+/**
+ * One point of a time series
+ * @param {object} row - OddsSnapshot row
+ * @returns {{ value: number, probability: number|null, recordedAt: Date }}
+ */
+function toPoint(row) {
+  return { value: row.value, probability: row.probability, recordedAt: row.recordedAt };
+}
+
+// ============================================
+// RECORDING
+// ============================================
+
+/**
+ * Record the current pre-match odds of a fixture (changed prices only)
+ * @param {number} fixtureId - SportsMonks fixture ID
+ * @param {Date} kickoffAt - Kick-off time
+ * @returns {Promise<{ fixtureId: number, odds: number, recorded: number }>}
+ */
+async function recordOddsSnapshot(fixtureId, kickoffAt) {
+  const result = await getOddsByFixture(fixtureId, { skipCache: true });
+  const odds = result.data || [];
+  if (odds.length === 0) return { fixtureId, odds: 0, recorded: 0 };
+
+  // Last stored price of each selection
+  const previous = await prisma.oddsSnapshot.findMany({
+    where: { fixtureId },
+    distinct: ['oddId'],
+    orderBy: [{ oddId: 'asc' }, { recordedAt: 'desc' }],
+    select: { oddId: true, value: true }
+  });
+  const lastValue = new Map(previous.map(row => [row.oddId, row.value]));
+
+  const recordedAt = new Date();
+  const changed = odds
+    .map(odd => toSnapshot(odd, fixtureId, kickoffAt, recordedAt))
+    .filter(row => row && lastValue.get(row.oddId) !== row.value);
+
+  if (changed.length > 0) {
+    await prisma.oddsSnapshot.createMany({ data: changed });
+  }
+
+  return { fixtureId, odds: odds.length, recorded: changed.length };
+}
+
+// ============================================
+// READING
+// ============================================
+
+/**
+ * Line movement of a fixture's pre-match odds
+ *
+ * @param {number|string} fixtureId - SportsMonks fixture ID
+ * @param {object} [filters]
+ * @param {number} [filters.marketId] - Only this market
+ * @param {number} [filters.bookmakerId] - Only this bookmaker
+ * @returns {Promise<object>} - { kickoffAt, snapshots, markets: [{ selections: [{ bookmakers: [{ points }] }] }] }
+ */
+async function getOddsHistory(fixtureId, { marketId, bookmakerId } = {}) {
+  const rows = await prisma.oddsSnapshot.findMany({
+    where: {
+      fixtureId: parseInt(fixtureId),
+      ...(marketId && { marketId }),
+      ...(bookmakerId && { bookmakerId })
+    },
+    orderBy: { recordedAt: 'asc' }
+  });
+
+  // Kick-off can move (postponements) - the latest recording knows best
+  const kickoffAt = rows.length > 0 ? rows[rows.length - 1].kickoffAt : null;
+  const kickedOff = !!kickoffAt && kickoffAt <= new Date();
+
+  // market -> selection -> bookmaker, in order of first appearance
+  const markets = new Map();
+
+  for (const row of rows) {
+    if (!markets.has(row.marketId)) {
+      markets.set(row.marketId, {
+        marketId: row.marketId,
+        marketDescription: row.marketDescription,
+        selections: new Map()
+      });
+    }
+    const market = markets.get(row.marketId);
+
+    const selectionKey = [row.label, row.total ?? '', row.handicap ?? ''].join('|');
+    if (!market.selections.has(selectionKey)) {
+      market.selections.set(selectionKey, {
+        label: row.label,
+        name: row.name,
+        total: row.total,
+        handicap: row.handicap,
+        bookmakers: new Map()
+      });
+    }
+    const selection = market.selections.get(selectionKey);
+
+    if (!selection.bookmakers.has(row.bookmakerId)) {
+      selection.bookmakers.set(row.bookmakerId, { bookmakerId: row.bookmakerId, points: [] });
+    }
+    selection.bookmakers.get(row.bookmakerId).points.push(toPoint(row));
+  }
+
+  return {
+    fixtureId: parseInt(fixtureId),
+    kickoffAt,
+    snapshots: rows.length,
+    firstRecordedAt: rows[0]?.recordedAt ?? null,
+    lastRecordedAt: rows[rows.length - 1]?.recordedAt ?? null,
+    markets: [...markets.values()].map(market => ({
+      ...market,
+      selections: [...market.selections.values()].map(selection => ({
+        ...selection,
+        bookmakers: [...selection.bookmakers.values()].map(({ bookmakerId, points }) => {
+          const beforeKickoff = points.filter(point => point.recordedAt <= kickoffAt);
+          return {
+            bookmakerId,
+            opening: points[0],
+            latest: points[points.length - 1],
+            closing: kickedOff ? beforeKickoff[beforeKickoff.length - 1] ?? null : null,
+            points
+          };
+        })
+      }))
+    }))
+  };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export {
+  recordOddsSnapshot,
+  getOddsHistory
+};
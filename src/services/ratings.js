@@ -0,0 +1,563 @@
+// ============================================
+// TEAM RATINGS SERVICE (Elo)
+// ============================================
+// One rating per team across every competition in the fixtures
+// warehouse (services/warehouse.js) - Premier League, FA Cup and
+// Carabao Cup by default - so cup ties against lower-league sides have
+// strength context too.
+//
+// After each fixture both teams move by the same amount, in opposite
+// directions:
+//
+//   expected = 1 / (1 + 10^((away - home - HOME_ADVANTAGE) / 400))
+//   change   = K x margin multiplier x (result - expected)
+//
+// where result is 1 for a home win, 0.5 for a draw and 0 for an away
+// win. The score after extra time decides; a penalty shootout counts as
+// a draw. Bigger wins move ratings more (1 goal x1, 2 goals x1.5,
+// N >= 3 goals x(11 + N) / 8, as on eloratings.net).
+//
+// A team starts from the rating of the division it played in around its
+// first fixture: a Premier League side at 1500. Teams we only see in the
+// cups are from lower divisions and start lower. Teams yet to play a
+// rated fixture get that starting rating as a provisional one.
+//
+// Building (rebuildRatings, run after each warehouse sync):
+//   - Replays every finished fixture in kick-off order, from scratch,
+//     so late or corrected results are always taken into account
+//   - Replaces the team_ratings and team_rating_changes tables
+//
+// Win/draw/loss chances come from the expected score. Draws are likeliest
+// between evenly matched sides (DRAW_RATE) and rarer as the gap grows.
+// ============================================
+
+import prisma from '../db.js';
+import { getFixtureById } from './sportsmonks.js';
+import { createLogger } from './logger.js';
+import { NotFoundError } from './errors.js';
+
+const log = createLogger('Ratings');
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Rating points per unit of (result - expected)
+const K_FACTOR = 20;
+
+// Rating points the home side gets for playing at home
+const HOME_ADVANTAGE = 60;
+
+// Draw chance between two evenly matched sides (after home advantage)
+const DRAW_RATE = 0.28;
+
+// Starting rating by league of the division a team plays in
+// (SportsMonks league IDs): Premier League, Championship
+const DIVISION_RATINGS = { 8: 1500, 9: 1350 };
+
+// Starting rating of a team not seen in any of those divisions
+const CUP_ONLY_RATING = 1250;
+
+// A team's division is looked up this close to the date of its fixture
+const DIVISION_WINDOW_DAYS = 120;
+
+// Upcoming fixtures listed with a team's rating history
+const UPCOMING_FIXTURES = 5;
+
+// SportsMonks states of fixtures that won't be played as scheduled
+const NOT_PLAYED_STATES = ['POSTPONED', 'CANCELLED', 'ABANDONED', 'WO'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DIVISION_LEAGUE_IDS = Object.keys(DIVISION_RATINGS).map(Number);
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Round to a number of decimal places
+ * @param {number} value
+ * @param {number} places
+ * @returns {number}
+ */
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Expected score of the home side (win 1, draw 0.5)
+ * @param {number} homeRating
+ * @param {number} awayRating
+ * @returns {number}
+ */
+function expectedScore(homeRating, awayRating) {
+  return 1 / (1 + 10 ** ((awayRating - homeRating - HOME_ADVANTAGE) / 400));
+}
+
+/**
+ * Rating-implied chances of each result, in percent
+ * @param {number} homeRating
+ * @param {number} awayRating
+ * @returns {{ home: number, draw: number, away: number }}
+ */
+function outcomeProbabilities(homeRating, awayRating) {
+  const expected = expectedScore(homeRating, awayRating);
+  const draw = DRAW_RATE * (1 - Math.abs(2 * expected - 1));
+
+  return {
+    home: round((expected - draw / 2) * 100, 1),
+    draw: round(draw * 100, 1),
+    away: round((1 - expected - draw / 2) * 100, 1)
+  };
+}
+
+/**
+ * Weight of a win by its goal margin
+ * @param {number} margin - Goal difference (0 for a draw)
+ * @returns {number}
+ */
+function marginMultiplier(margin) {
+  if (margin <= 1) return 1;
+  if (margin === 2) return 1.5;
+  return (11 + margin) / 8;
+}
+
+/**
+ * Starting rating of a team, from the divisions it played in near a date
+ * @param {Array<{ leagueId: number, at: Date }>} divisionFixtures - The team's division fixtures
+ * @param {Date} at
+ * @returns {number}
+ */
+function startingRating(divisionFixtures, at) {
+  const nearby = divisionFixtures.filter(f => Math.abs(f.at - at) <= DIVISION_WINDOW_DAYS * DAY_MS);
+  return nearby.length > 0
+    ? Math.max(...nearby.map(f => DIVISION_RATINGS[f.leagueId]))
+    : CUP_ONLY_RATING;
+}
+
+/**
+ * Provisional ratings of teams with no rated fixture yet
+ * @param {number[]} teamIds
+ * @param {Date} at - Date to look up their division around
+ * @returns {Promise<Map<number, number>>} - teamId -> starting rating
+ */
+async function provisionalRatings(teamIds, at) {
+  if (teamIds.length === 0) return new Map();
+
+  const window = DIVISION_WINDOW_DAYS * DAY_MS;
+  const fixtures = await prisma.warehouseFixture.findMany({
+    where: {
+      leagueId: { in: DIVISION_LEAGUE_IDS },
+      startingAt: { gte: new Date(at.getTime() - window), lte: new Date(at.getTime() + window) },
+      OR: [{ homeTeamId: { in: teamIds } }, { awayTeamId: { in: teamIds } }]
+    },
+    select: { leagueId: true, startingAt: true, homeTeamId: true, awayTeamId: true }
+  });
+
+  return new Map(teamIds.map(teamId => [
+    teamId,
+    startingRating(
+      fixtures
+        .filter(f => f.homeTeamId === teamId || f.awayTeamId === teamId)
+        .map(f => ({ leagueId: f.leagueId, at: f.startingAt })),
+      at
+    )
+  ]));
+}
+
+/**
+ * Current rating of teams, provisional for those not rated yet
+ * @param {number[]} teamIds
+ * @param {Date} at - Kick-off the ratings are wanted for
+ * @returns {Promise<Map<number, object>>} - teamId -> { rating, provisional, fixtures, row }
+ */
+async function currentRatings(teamIds, at) {
+  const rows = await prisma.teamRating.findMany({ where: { teamId: { in: teamIds } } });
+  const rated = new Map(rows.map(row => [row.teamId, row]));
+  const provisional = await provisionalRatings(teamIds.filter(id => !rated.has(id)), at);
+
+  return new Map(teamIds.map(teamId => {
+    const row = rated.get(teamId);
+    return [teamId, row
+      ? { rating: row.rating, provisional: false, fixtures: row.fixtures, row }
+      : { rating: provisional.get(teamId), provisional: true, fixtures: 0, row: null }];
+  }));
+}
+
+// ============================================
+// BUILDING
+// ============================================
+
+/**
+ * Recompute every team's rating from the warehouse's finished fixtures
+ * @returns {Promise<object>} - Summary: { fixtures, teams }
+ */
+async function rebuildRatings() {
+  const fixtures = await prisma.warehouseFixture.findMany({
+    select: {
+      id: true,
+      leagueId: true,
+      leagueName: true,
+      seasonId: true,
+      startingAt: true,
+      state: true,
+      finished: true,
+      homeTeamId: true,
+      awayTeamId: true,
+      homeGoals: true,
+      awayGoals: true,
+      participants: { select: { teamId: true, name: true, shortCode: true, imagePath: true } }
+    },
+    orderBy: [{ startingAt: 'asc' }, { id: 'asc' }]
+  });
+
+  // Division fixtures of each team (played or not), for starting ratings
+  const divisions = new Map();
+  for (const fixture of fixtures) {
+    if (!DIVISION_RATINGS[fixture.leagueId]) continue;
+    for (const teamId of [fixture.homeTeamId, fixture.awayTeamId]) {
+      if (teamId === null) continue;
+      if (!divisions.has(teamId)) divisions.set(teamId, []);
+      divisions.get(teamId).push({ leagueId: fixture.leagueId, at: fixture.startingAt });
+    }
+  }
+
+  const teams = new Map();
+  const changes = [];
+
+  // The team's entry, created at its first fixture
+  const teamOf = (participant, at) => {
+    if (!teams.has(participant.teamId)) {
+      const rating = startingRating(divisions.get(participant.teamId) || [], at);
+      teams.set(participant.teamId, { teamId: participant.teamId, rating, startingRating: rating, fixtures: 0 });
+    }
+    // Names follow the latest fixture
+    return Object.assign(teams.get(participant.teamId), {
+      name: participant.name,
+      shortCode: participant.shortCode,
+      imagePath: participant.imagePath
+    });
+  };
+
+  for (const fixture of fixtures) {
+    if (!fixture.finished || fixture.homeGoals === null || fixture.awayGoals === null) continue;
+
+    const homeParticipant = fixture.participants.find(p => p.teamId === fixture.homeTeamId);
+    const awayParticipant = fixture.participants.find(p => p.teamId === fixture.awayTeamId);
+    if (!homeParticipant || !awayParticipant) continue;
+
+    const home = teamOf(homeParticipant, fixture.startingAt);
+    const away = teamOf(awayParticipant, fixture.startingAt);
+
+    const shootout = fixture.state === 'FT_PEN';
+    const margin = shootout ? 0 : fixture.homeGoals - fixture.awayGoals;
+    const result = margin > 0 ? 1 : margin < 0 ? 0 : 0.5;
+    const expected = expectedScore(home.rating, away.rating);
+    const change = K_FACTOR * marginMultiplier(Math.abs(margin)) * (result - expected);
+
+    const sides = [
+      { team: home, opponent: away, location: 'home', goalsFor: fixture.homeGoals, goalsAgainst: fixture.awayGoals, result, expected, change },
+      { team: away, opponent: home, location: 'away', goalsFor: fixture.awayGoals, goalsAgainst: fixture.homeGoals, result: 1 - result, expected: 1 - expected, change: -change }
+    ];
+
+    for (const side of sides) {
+      changes.push({
+        fixtureId: fixture.id,
+        teamId: side.team.teamId,
+        leagueId: fixture.leagueId,
+        leagueName: fixture.leagueName,
+        seasonId: fixture.seasonId,
+        playedAt: fixture.startingAt,
+        location: side.location,
+        opponentId: side.opponent.teamId,
+        opponentName: side.opponent.name,
+        opponentRating: side.opponent.rating,
+        goalsFor: side.goalsFor,
+        goalsAgainst: side.goalsAgainst,
+        result: side.result === 1 ? 'W' : side.result === 0 ? 'L' : 'D',
+        expected: side.expected,
+        ratingBefore: side.team.rating,
+        ratingAfter: side.team.rating + side.change
+      });
+    }
+
+    home.rating += change;
+    away.rating -= change;
+    home.fixtures++;
+    away.fixtures++;
+    home.lastPlayedAt = fixture.startingAt;
+    away.lastPlayedAt = fixture.startingAt;
+  }
+
+  // Replace wholesale: every rating depends on every earlier result
+  await prisma.$transaction([
+    prisma.teamRatingChange.deleteMany(),
+    prisma.teamRating.deleteMany(),
+    prisma.teamRating.createMany({ data: [...teams.values()] }),
+    prisma.teamRatingChange.createMany({ data: changes })
+  ]);
+
+  const summary = { fixtures: changes.length / 2, teams: teams.size };
+  log.info(`Ratings rebuilt from ${summary.fixtures} fixtures (${summary.teams} teams)`, summary);
+  return summary;
+}
+
+// ============================================
+// QUERIES
+// ============================================
+
+/**
+ * A team's rating, every change to it, and its upcoming fixtures
+ * with rating-implied chances
+ *
+ * @param {number|string} teamId
+ * @returns {Promise<object>} - { team, history, upcoming }
+ */
+async function getTeamRatingHistory(teamId) {
+  const id = parseInt(teamId);
+  const team = await prisma.teamRating.findUnique({
+    where: { teamId: id },
+    include: { changes: { orderBy: { playedAt: 'asc' } } }
+  });
+
+  if (!team) {
+    throw new NotFoundError(`No rating for team ${id} yet (it has no finished fixtures in the warehouse)`);
+  }
+
+  const now = new Date();
+  const scheduled = await prisma.warehouseFixture.findMany({
+    where: {
+      finished: false,
+      startingAt: { gte: now },
+      AND: [
+        { OR: [{ homeTeamId: id }, { awayTeamId: id }] },
+        { OR: [{ state: null }, { state: { notIn: NOT_PLAYED_STATES } }] }
+      ]
+    },
+    include: { participants: true },
+    orderBy: { startingAt: 'asc' },
+    take: UPCOMING_FIXTURES
+  });
+
+  const opponentIds = [...new Set(scheduled.map(f => (f.homeTeamId === id ? f.awayTeamId : f.homeTeamId)).filter(Boolean))];
+  const opponents = await currentRatings(opponentIds, now);
+
+  const upcoming = scheduled
+    .filter(fixture => fixture.homeTeamId && fixture.awayTeamId)
+    .map(fixture => {
+      const location = fixture.homeTeamId === id ? 'home' : 'away';
+      const opponentId = location === 'home' ? fixture.awayTeamId : fixture.homeTeamId;
+      const opponent = opponents.get(opponentId);
+      const chances = location === 'home'
+        ? outcomeProbabilities(team.rating, opponent.rating)
+        : outcomeProbabilities(opponent.rating, team.rating);
+
+      return {
+        fixtureId: fixture.id,
+        name: fixture.name,
+        startingAt: fixture.startingAt,
+        leagueId: fixture.leagueId,
+        leagueName: fixture.leagueName,
+        location,
+        opponent: {
+          id: opponentId,
+          name: fixture.participants.find(p => p.teamId === opponentId)?.name ?? null,
+          rating: round(opponent.rating, 1),
+          provisional: opponent.provisional
+        },
+        probabilities: {
+          win: location === 'home' ? chances.home : chances.away,
+          draw: chances.draw,
+          loss: location === 'home' ? chances.away : chances.home
+        }
+      };
+    });
+
+  return {
+    team: {
+      id: team.teamId,
+      name: team.name,
+      shortCode: team.shortCode,
+      imagePath: team.imagePath,
+      rating: round(team.rating, 1),
+      startingRating: team.startingRating,
+      fixtures: team.fixtures,
+      lastPlayedAt: team.lastPlayedAt,
+      updatedAt: team.updatedAt
+    },
+    history: team.changes.map(change => ({
+      fixtureId: change.fixtureId,
+      playedAt: change.playedAt,
+      leagueId: change.leagueId,
+      leagueName: change.leagueName,
+      seasonId: change.seasonId,
+      location: change.location,
+      opponent: { id: change.opponentId, name: change.opponentName, rating: round(change.opponentRating, 1) },
+      goalsFor: change.goalsFor,
+      goalsAgainst: change.goalsAgainst,
+      result: change.result,
+      expected: round(change.expected * 100, 1),
+      ratingBefore: round(change.ratingBefore, 1),
+      ratingAfter: round(change.ratingAfter, 1),
+      change: round(change.ratingAfter - change.ratingBefore, 1)
+    })),
+    upcoming
+  };
+}
+
+/**
+ * Ratings table of the teams in a competition's latest synced season
+ *
+ * @param {number|string} leagueId
+ * @returns {Promise<object>} - { leagueId, leagueName, season, teams }
+ */
+async function getLeagueRatings(leagueId) {
+  const id = parseInt(leagueId);
+  const season = await prisma.warehouseSeason.findFirst({
+    where: { leagueId: id, lastSyncedAt: { not: null } },
+    orderBy: [{ startingAt: 'desc' }, { id: 'desc' }]
+  });
+
+  if (!season) {
+    throw new NotFoundError(`League ${id} has no season in the fixtures warehouse`);
+  }
+
+  const [participants, changes] = await Promise.all([
+    prisma.warehouseParticipant.findMany({
+      where: { fixture: { seasonId: season.id } },
+      distinct: ['teamId'],
+      select: { teamId: true, name: true, shortCode: true, imagePath: true }
+    }),
+    prisma.teamRatingChange.findMany({
+      where: { seasonId: season.id },
+      orderBy: { playedAt: 'asc' },
+      select: { teamId: true, ratingBefore: true }
+    })
+  ]);
+
+  const ratings = await currentRatings(participants.map(p => p.teamId), new Date());
+
+  const teams = participants
+    .map(participant => {
+      const { rating, provisional, row } = ratings.get(participant.teamId);
+      const seasonChanges = changes.filter(change => change.teamId === participant.teamId);
+
+      return {
+        teamId: participant.teamId,
+        name: row?.name ?? participant.name,
+        shortCode: row?.shortCode ?? participant.shortCode,
+        imagePath: row?.imagePath ?? participant.imagePath,
+        rating: round(rating, 1),
+        provisional,
+        // Since the team's first fixture of this season
+        seasonChange: seasonChanges.length > 0 ? round(rating - seasonChanges[0].ratingBefore, 1) : 0,
+        seasonFixtures: seasonChanges.length,
+        lastPlayedAt: row?.lastPlayedAt ?? null
+      };
+    })
+    .sort((a, b) => b.rating - a.rating || a.name.localeCompare(b.name))
+    .map((team, index) => ({ rank: index + 1, ...team }));
+
+  return {
+    leagueId: id,
+    leagueName: season.leagueName,
+    season: { id: season.id, name: season.name },
+    teams
+  };
+}
+
+/**
+ * Both sides' ratings for a fixture and the rating-implied chances.
+ * Played fixtures use the ratings from before kick-off.
+ *
+ * @param {number|string} fixtureId
+ * @param {object} [options]
+ * @param {boolean} [options.skipCache] - Fresh SportsMonks data (fixtures not in the warehouse)
+ * @returns {Promise<object>} - { fixtureId, startingAt, played, homeAdvantage, home, away, probabilities }
+ */
+async function getFixtureRatings(fixtureId, { skipCache } = {}) {
+  const id = parseInt(fixtureId);
+
+  // 1. Rated already: the ratings it was played at
+  const changes = await prisma.teamRatingChange.findMany({ where: { fixtureId: id } });
+  const homeChange = changes.find(change => change.location === 'home');
+  const awayChange = changes.find(change => change.location === 'away');
+
+  if (homeChange && awayChange) {
+    // Each row names the other side
+    const side = (change, other) => ({
+      teamId: change.teamId,
+      name: other.opponentName,
+      rating: round(change.ratingBefore, 1),
+      provisional: false,
+      ratingAfter: round(change.ratingAfter, 1),
+      change: round(change.ratingAfter - change.ratingBefore, 1)
+    });
+
+    return {
+      fixtureId: id,
+      startingAt: homeChange.playedAt,
+      played: true,
+      homeAdvantage: HOME_ADVANTAGE,
+      home: side(homeChange, awayChange),
+      away: side(awayChange, homeChange),
+      probabilities: outcomeProbabilities(homeChange.ratingBefore, awayChange.ratingBefore)
+    };
+  }
+
+  // 2. Not rated: the teams' current ratings
+  const stored = await prisma.warehouseFixture.findUnique({ where: { id }, include: { participants: true } });
+  let teams;
+  let startingAt;
+
+  if (stored) {
+    const participant = (teamId) => stored.participants.find(p => p.teamId === teamId);
+    teams = { home: participant(stored.homeTeamId), away: participant(stored.awayTeamId) };
+    startingAt = stored.startingAt;
+  } else {
+    const result = await getFixtureById(id, { skipCache });
+    const fixture = result.data;
+    if (!fixture) {
+      throw new NotFoundError(`Fixture with ID ${id} not found`);
+    }
+    const participant = (location) => {
+      const team = fixture.participants?.find(p => p.meta?.location === location);
+      return team && { teamId: team.id, name: team.name };
+    };
+    teams = { home: participant('home'), away: participant('away') };
+    startingAt = fixture.starting_at ? new Date(fixture.starting_at.replace(' ', 'T') + 'Z') : new Date();
+  }
+
+  if (!teams.home || !teams.away) {
+    throw new NotFoundError(`Fixture ${id} has no home and away teams yet`);
+  }
+
+  const ratings = await currentRatings([teams.home.teamId, teams.away.teamId], startingAt);
+  const side = (team) => {
+    const { rating, provisional, fixtures } = ratings.get(team.teamId);
+    return { teamId: team.teamId, name: team.name, rating: round(rating, 1), provisional, fixtures };
+  };
+
+  return {
+    fixtureId: id,
+    startingAt,
+    played: false,
+    homeAdvantage: HOME_ADVANTAGE,
+    home: side(teams.home),
+    away: side(teams.away),
+    probabilities: outcomeProbabilities(ratings.get(teams.home.teamId).rating, ratings.get(teams.away.teamId).rating)
+  };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export {
+  expectedScore,
+  marginMultiplier,
+  outcomeProbabilities,
+  rebuildRatings,
+  getTeamRatingHistory,
+  getLeagueRatings,
+  getFixtureRatings
+};
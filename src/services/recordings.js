@@ -0,0 +1,133 @@
+// ============================================
+// SPORTSMONKS RECORDINGS SERVICE
+// ============================================
+// Record/replay support so the backend can run without SportsMonks
+// (offline development, demos, deterministic tests).
+//
+// Controlled by SPORTSMONKS_MODE:
+//   - live (default): Call SportsMonks as normal
+//   - record:         Call SportsMonks and save every response to disk
+//   - replay:         Serve saved responses only, never touch the network
+//
+// Each recording is one JSON file in SPORTSMONKS_RECORDINGS_DIR
+// (default: recordings/sportsmonks), keyed by API, endpoint, includes
+// and page. The API token is never part of the key or the file.
+// ============================================
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Recordings');
+
+const MODES = ['live', 'record', 'replay'];
+
+const MODE = process.env.SPORTSMONKS_MODE || 'live';
+
+if (!MODES.includes(MODE)) {
+  throw new Error(`Invalid SPORTSMONKS_MODE "${MODE}" (expected one of: ${MODES.join(', ')})`);
+}
+
+// Default directory is relative to the project root, not the working directory
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const RECORDINGS_DIR = process.env.SPORTSMONKS_RECORDINGS_DIR
+  ? path.resolve(process.env.SPORTSMONKS_RECORDINGS_DIR)
+  : path.join(PROJECT_ROOT, 'recordings', 'sportsmonks');
+
+if (MODE !== 'live') {
+  log.info(`SportsMonks ${MODE} mode`, { mode: MODE, dir: RECORDINGS_DIR });
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Build the file path for a request's recording.
+ * Includes are sorted so ["a", "b"] and ["b", "a"] share a recording.
+ *
+ * @param {object} request
+ * @param {string} request.api - "football", "odds" or "core"
+ * @param {string} request.endpoint - e.g. "/fixtures/19134454"
+ * @param {string[]} request.includes - Includes requested
+ * @param {number|null} request.page - Page number for paginated requests
+ * @returns {string} - Absolute path of the recording file
+ */
+function recordingPath({ api, endpoint, includes = [], page = null }) {
+  const identity = [api, endpoint, [...includes].sort().join(';'), page ?? ''].join('|');
+  const hash = createHash('sha1').update(identity).digest('hex').slice(0, 10);
+
+  // Readable prefix so recordings can be found by eye, hash keeps them unique
+  const slug = `${api}${endpoint}`
+    .replace(/[^a-zA-Z0-9-]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 80);
+
+  return path.join(RECORDINGS_DIR, `${slug}${page ? `_p${page}` : ''}_${hash}.json`);
+}
+
+// ============================================
+// PUBLIC FUNCTIONS
+// ============================================
+
+/**
+ * Get the current SportsMonks mode
+ * @returns {string} - "live", "record" or "replay"
+ */
+function getRecordingMode() {
+  return MODE;
+}
+
+/**
+ * Load a recorded response
+ * @param {object} request - See recordingPath()
+ * @returns {Promise<object|undefined>} - The recorded response body, or undefined if none
+ */
+async function loadRecording(request) {
+  try {
+    const file = await readFile(recordingPath(request), 'utf8');
+    return JSON.parse(file).response;
+  } catch (error) {
+    if (error.code === 'ENOENT') return undefined;
+    throw error;
+  }
+}
+
+/**
+ * Save a response to disk (errors are logged, never thrown, so a
+ * failed write doesn't break the live request)
+ *
+ * @param {object} request - See recordingPath()
+ * @param {object} response - Parsed JSON response from SportsMonks
+ */
+async function saveRecording(request, response) {
+  const filePath = recordingPath(request);
+
+  try {
+    await mkdir(RECORDINGS_DIR, { recursive: true });
+    await writeFile(filePath, JSON.stringify({
+      api: request.api,
+      endpoint: request.endpoint,
+      includes: request.includes || [],
+      page: request.page ?? null,
+      recordedAt: new Date().toISOString(),
+      response
+    }, null, 2));
+    log.info(`Saved ${request.endpoint} -> ${path.basename(filePath)}`, { endpoint: request.endpoint });
+  } catch (error) {
+    log.error(`Failed to save ${request.endpoint}`, { endpoint: request.endpoint, error: error.message });
+  }
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export {
+  getRecordingMode,
+  loadRecording,
+  saveRecording,
+  recordingPath
+};
@@ -0,0 +1,71 @@
+// ============================================
+// REQUEST CONTEXT SERVICE
+// ============================================
+// Per-request state that services can reach without it being passed
+// through every function call. Built on Node's AsyncLocalStorage:
+// everything awaited while handling a request sees the same context.
+//
+// The Express side lives in middleware/requestContext.js, which
+// creates the context for each request.
+// ============================================
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function inside a new request context
+ * @param {object} context - The context object for this request
+ * @param {function} fn - Function to run (everything it awaits shares the context)
+ * @returns {any} - Whatever fn returns
+ */
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Get the context of the request currently being handled
+ * @returns {object|undefined} - The context, or undefined outside a request
+ */
+function getRequestContext() {
+  return storage.getStore();
+}
+
+/**
+ * Flag that the current response contains stale or degraded data.
+ * Merged into ctx.dataStatus and added to the JSON response by the middleware.
+ *
+ * @param {object} status - e.g. { stale: true } or { degraded: true, cachedAt }
+ *
+ * @example
+ * markDataStatus({ degraded: true, reason: 'SportsMonks unavailable' });
+ */
+function markDataStatus(status) {
+  const context = storage.getStore();
+  if (!context) return;
+  context.dataStatus = { ...context.dataStatus, ...status };
+}
+
+/**
+ * Record that the current response is built from a cache entry.
+ * The HTTP cache middleware only sets ETag and Cache-Control when there
+ * are some, and derives Cache-Control from them.
+ *
+ * @param {object} use - { freshUntil, staleGrace } of the entry
+ */
+function markCacheUse(use) {
+  const context = storage.getStore();
+  if (!context) return;
+  context.cacheUse = [...(context.cacheUse || []), use];
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export {
+  runWithContext,
+  getRequestContext,
+  markDataStatus,
+  markCacheUse
+};
@@ -0,0 +1,344 @@
+// ============================================
+// SCHEDULER SERVICE
+// ============================================
+// Runs background jobs (cache pre-warming, nightly types sync) inside the
+// API process. Job definitions live in src/jobs; their state lives in the
+// "jobs" table, so:
+//   - schedules survive restarts (a job due while the API was down runs
+//     on the next tick)
+//   - with several API instances, a job runs on only one of them: an
+//     instance claims a job by setting lockedUntil in a single UPDATE
+//   - admins can see the last run and result (GET /admin/jobs)
+//
+// Schedules are either { everyMinutes: 25 } or { dailyAt: '03:00' } (UTC).
+//
+// Set JOBS_ENABLED=false to never run jobs on schedule (e.g. on extra
+// instances or in development). Manual runs via the admin API still work.
+// ============================================
+
+import { randomUUID } from 'node:crypto';
+import { hostname } from 'node:os';
+import prisma from '../db.js';
+import { runWithContext } from './requestContext.js';
+import { createLogger } from './logger.js';
+import { observeJobRun } from './metrics.js';
+import { ConflictError, NotFoundError } from './errors.js';
+
+const log = createLogger('Scheduler');
+
+const JOBS_ENABLED = process.env.JOBS_ENABLED !== 'false';
+
+// How often due jobs are checked for
+const TICK_MS = 30 * 1000;
+
+// A run holding its lock longer than this is assumed dead
+const DEFAULT_TIMEOUT_MINUTES = 15;
+
+// Identifies this process in lockedBy
+const INSTANCE_ID = `${hostname()}:${process.pid}`;
+
+// Registered job definitions, by name
+const jobs = new Map();
+
+let timer = null;
+let ticking = false;
+
+// ============================================
+// SCHEDULES
+// ============================================
+
+/**
+ * When a job is due next
+ * @param {object} schedule - { everyMinutes } or { dailyAt: 'HH:MM' } (UTC)
+ * @param {Date} from - Time of the last run (or now)
+ * @returns {Date}
+ */
+function nextRunAfter(schedule, from) {
+  if (schedule.everyMinutes) {
+    return new Date(from.getTime() + schedule.everyMinutes * 60 * 1000);
+  }
+
+  const [hours, minutes] = schedule.dailyAt.split(':').map(Number);
+  const next = new Date(from);
+  next.setUTCHours(hours, minutes, 0, 0);
+  if (next <= from) next.setUTCDate(next.getUTCDate() + 1);
+  return next;
+}
+
+/**
+ * Describe a schedule for the admin API
+ * @param {object} schedule
+ * @returns {string} - e.g. "every 25 minutes", "daily at 03:00 UTC"
+ */
+function describeSchedule(schedule) {
+  return schedule.everyMinutes
+    ? `every ${schedule.everyMinutes} minutes`
+    : `daily at ${schedule.dailyAt} UTC`;
+}
+
+// ============================================
+// REGISTRATION
+// ============================================
+
+/**
+ * Register a job definition
+ *
+ * @param {object} definition
+ * @param {string} definition.name - Unique, kebab-case (e.g. "prewarm-fixtures")
+ * @param {string} definition.description - One line, shown in the admin API
+ * @param {object} definition.schedule - { everyMinutes } or { dailyAt: 'HH:MM' } (UTC)
+ * @param {boolean} [definition.runOnStart] - Run on the first tick after a restart
+ *   if it isn't due yet (cache pre-warming: the in-memory cache starts empty)
+ * @param {number} [definition.timeoutMinutes] - Lock duration (default 15)
+ * @param {function} definition.run - Async function returning a JSON summary
+ */
+function registerJob(definition) {
+  if (jobs.has(definition.name)) {
+    throw new Error(`Job "${definition.name}" is already registered`);
+  }
+  jobs.set(definition.name, definition);
+}
+
+// ============================================
+// RUNNING
+// ============================================
+
+/**
+ * Try to take the lock of a job
+ * @param {object} job - Job definition
+ * @param {boolean} onlyIfDue - Scheduled runs also require nextRunAt to have passed
+ * @returns {Promise<boolean>} - True if this instance now owns the run
+ */
+async function claim(job, onlyIfDue) {
+  const now = new Date();
+  const { count } = await prisma.job.updateMany({
+    where: {
+      name: job.name,
+      OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }],
+      ...(onlyIfDue && { nextRunAt: { lte: now } })
+    },
+    data: {
+      lockedUntil: new Date(now.getTime() + (job.timeoutMinutes ?? DEFAULT_TIMEOUT_MINUTES) * 60 * 1000),
+      lockedBy: INSTANCE_ID
+    }
+  });
+  return count === 1;
+}
+
+/**
+ * Run a claimed job and record the outcome
+ * @param {object} job - Job definition
+ * @param {string} trigger - "schedule" or "manual"
+ * @returns {Promise<void>}
+ */
+async function execute(job, trigger) {
+  const startedAt = new Date();
+  let status = 'success';
+  let result = null;
+  let error = null;
+
+  await prisma.job.update({
+    where: { name: job.name },
+    data: { lastRunAt: startedAt, lastTrigger: trigger }
+  });
+
+  log.info(`Running ${job.name} (${trigger})`, { job: job.name, trigger });
+
+  // Own context: log lines get a job-specific ID, and SportsMonks usage
+  // is attributed to "background" rather than whichever request was running
+  const context = {
+    requestId: `job-${job.name}-${randomUUID().slice(0, 8)}`,
+    route: 'background',
+    dataStatus: null,
+    cacheUse: []
+  };
+
+  try {
+    result = await runWithContext(context, () => job.run()) ?? null;
+  } catch (err) {
+    status = 'error';
+    error = err;
+  }
+
+  const finishedAt = new Date();
+  const durationMs = finishedAt - startedAt;
+  observeJobRun({ job: job.name, status, durationMs });
+
+  if (error) {
+    log.error(`${job.name} failed after ${durationMs}ms`, { job: job.name, durationMs, error });
+  } else {
+    log.info(`${job.name} finished in ${durationMs}ms`, { job: job.name, durationMs, result });
+  }
+
+  await prisma.job.update({
+    where: { name: job.name },
+    data: {
+      lockedUntil: null,
+      lockedBy: null,
+      lastFinishedAt: finishedAt,
+      lastStatus: status,
+      lastDurationMs: durationMs,
+      lastResult: result,
+      lastError: error ? error.message : null,
+      nextRunAt: nextRunAfter(job.schedule, finishedAt),
+      runCount: { increment: 1 },
+      ...(error && { failureCount: { increment: 1 } })
+    }
+  });
+}
+
+/**
+ * Run every job that is due (one at a time, to go easy on SportsMonks)
+ */
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    for (const job of jobs.values()) {
+      if (await claim(job, true)) {
+        await execute(job, 'schedule');
+      }
+    }
+  } catch (error) {
+    log.error('Scheduler tick failed', { error });
+  } finally {
+    ticking = false;
+  }
+}
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+/**
+ * Create missing job rows, then start checking for due jobs.
+ * Called from startServer (index.js).
+ */
+async function startScheduler() {
+  const now = new Date();
+
+  for (const job of jobs.values()) {
+    const firstRun = job.runOnStart ? now : nextRunAfter(job.schedule, now);
+
+    await prisma.job.upsert({
+      where: { name: job.name },
+      create: { name: job.name, nextRunAt: firstRun },
+      update: job.runOnStart ? { nextRunAt: firstRun } : {}
+    });
+  }
+
+  if (!JOBS_ENABLED) {
+    log.info('Scheduled jobs disabled (JOBS_ENABLED=false)');
+    return;
+  }
+
+  timer = setInterval(tick, TICK_MS);
+  timer.unref();  // Never keep the process alive just for jobs
+
+  log.info(`Scheduler started with ${jobs.size} jobs`, { jobs: [...jobs.keys()] });
+
+  // Don't wait a whole tick for jobs due at startup
+  setImmediate(tick);
+}
+
+/**
+ * Stop running jobs on schedule (runs in progress finish on their own)
+ */
+function stopScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+// ============================================
+// ADMIN API
+// ============================================
+
+/**
+ * Format a job and its state for the admin API
+ * @param {object} job - Job definition
+ * @param {object|null} state - Row from the jobs table
+ * @returns {object}
+ */
+function describeJob(job, state) {
+  return {
+    name: job.name,
+    description: job.description,
+    schedule: describeSchedule(job.schedule),
+    running: !!state?.lockedUntil && state.lockedUntil > new Date(),
+    nextRunAt: state?.nextRunAt ?? null,
+    lastRunAt: state?.lastRunAt ?? null,
+    lastFinishedAt: state?.lastFinishedAt ?? null,
+    lastStatus: state?.lastStatus ?? null,
+    lastTrigger: state?.lastTrigger ?? null,
+    lastDurationMs: state?.lastDurationMs ?? null,
+    lastResult: state?.lastResult ?? null,
+    lastError: state?.lastError ?? null,
+    runCount: state?.runCount ?? 0,
+    failureCount: state?.failureCount ?? 0
+  };
+}
+
+/**
+ * List all jobs with their state
+ * @returns {Promise<object[]>}
+ */
+async function listJobs() {
+  const states = await prisma.job.findMany({ where: { name: { in: [...jobs.keys()] } } });
+  const byName = new Map(states.map(state => [state.name, state]));
+
+  return [...jobs.values()].map(job => describeJob(job, byName.get(job.name)));
+}
+
+/**
+ * Get one job with its state
+ * @param {string} name - Job name
+ * @returns {Promise<object>}
+ */
+async function getJob(name) {
+  const job = jobs.get(name);
+  if (!job) throw new NotFoundError(`Job "${name}" not found`);
+
+  const state = await prisma.job.findUnique({ where: { name } });
+  return describeJob(job, state);
+}
+
+/**
+ * Start a job now, without waiting for it to finish
+ * @param {string} name - Job name
+ * @returns {Promise<object>} - The job, marked as running
+ */
+async function triggerJob(name) {
+  const job = jobs.get(name);
+  if (!job) throw new NotFoundError(`Job "${name}" not found`);
+
+  // The row may not exist yet if the scheduler hasn't started
+  await prisma.job.upsert({
+    where: { name },
+    create: { name, nextRunAt: nextRunAfter(job.schedule, new Date()) },
+    update: {}
+  });
+
+  if (!await claim(job, false)) {
+    throw new ConflictError(`Job "${name}" is already running`);
+  }
+
+  execute(job, 'manual').catch(error => {
+    log.error(`Failed to record the outcome of ${name}`, { job: name, error });
+  });
+
+  return getJob(name);
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export {
+  registerJob,
+  startScheduler,
+  stopScheduler,
+  listJobs,
+  getJob,
+  triggerJob
+};
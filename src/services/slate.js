@@ -0,0 +1,96 @@
+// ============================================
+// SLATE SERVICE
+// ============================================
+// The "slate" is the set of upcoming fixtures a scanner looks at
+// (value bets, arbitrage): a date range and a list of competitions,
+// taken from the query string, resolved to the fixtures that haven't
+// kicked off yet, soonest first.
+//
+// The fixture list comes from the same cached date-range call the
+// Fixtures page uses, so resolving a slate rarely costs an upstream call.
+// ============================================
+
+import { getFixturesByDateRange } from './sportsmonks.js';
+import { ValidationError } from './errors.js';
+
+// Competitions followed by the frontend (ALLOWED_LEAGUE_IDS in Fixtures.jsx)
+const DEFAULT_LEAGUE_IDS = [8, 24, 27];
+
+// Default window, and the longest one allowed
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 14;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Format a date as YYYY-MM-DD (UTC)
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Resolve and check the slate part of a scanner's query string
+ *
+ * @param {object} query - req.query
+ * @param {string} [query.startDate] - YYYY-MM-DD (default today)
+ * @param {string} [query.endDate] - YYYY-MM-DD (default a week after startDate)
+ * @param {string} [query.leagues] - Comma-separated league IDs (default the followed ones)
+ * @returns {{ startDate: string, endDate: string, leagueIds: number[] }}
+ */
+function parseSlate(query = {}) {
+  const startDate = query.startDate || toDateString(new Date());
+  const defaultEnd = new Date(`${startDate}T00:00:00Z`);
+  defaultEnd.setUTCDate(defaultEnd.getUTCDate() + DEFAULT_DAYS);
+  const endDate = query.endDate || toDateString(defaultEnd);
+
+  if (startDate > endDate) {
+    throw new ValidationError('Start date must be before end date', { startDate, endDate });
+  }
+  const days = Math.round((new Date(endDate) - new Date(startDate)) / (24 * 60 * 60 * 1000));
+  if (days > MAX_DAYS) {
+    throw new ValidationError(`Date range too large (${MAX_DAYS} days max)`, { maxDays: MAX_DAYS, requestedDays: days });
+  }
+
+  const leagueIds = query.leagues ? query.leagues.split(',').map(Number) : DEFAULT_LEAGUE_IDS;
+
+  return { startDate, endDate, leagueIds };
+}
+
+/**
+ * Fixtures of a slate that haven't kicked off yet, soonest first
+ *
+ * @param {object} slate - From parseSlate
+ * @param {number} limit - Maximum number of fixtures
+ * @returns {Promise<{ fixtures: object[], truncated: boolean }>}
+ *   fixtures have kickoffAt (Date) added; truncated is true when more matched
+ */
+async function upcomingSlateFixtures({ startDate, endDate, leagueIds }, limit) {
+  const now = Date.now();
+
+  const range = await getFixturesByDateRange(startDate, endDate);
+  const upcoming = (range.data || [])
+    .filter(fixture => leagueIds.includes(fixture.league_id))
+    .map(fixture => ({ ...fixture, kickoffAt: new Date(fixture.starting_at?.replace(' ', 'T') + 'Z') }))
+    .filter(fixture => fixture.kickoffAt.getTime() > now)
+    .sort((a, b) => a.kickoffAt - b.kickoffAt);
+
+  return { fixtures: upcoming.slice(0, limit), truncated: upcoming.length > limit };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export {
+  parseSlate,
+  upcomingSlateFixtures
+};
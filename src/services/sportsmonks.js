@@ -14,6 +14,14 @@
 // ============================================
 
 import cache from './cache.js';
+import { createCircuitBreaker } from './circuitBreaker.js';
+import { recordCall, endpointFamily } from './usage.js';
+import { observeUpstreamCall } from './metrics.js';
+import { getRecordingMode, loadRecording, saveRecording } from './recordings.js';
+import { createLogger } from './logger.js';
+import { NotFoundError, UpstreamError, UpstreamUnavailableError } from './errors.js';
+
+const log = createLogger('SportsMonks');
 
 // ============================================
 // CONFIGURATION
@@ -28,6 +36,232 @@ const ODDS_BASE_URL = 'https://api.sportmonks.com/v3/odds';
 // Get the API key from environment variables
 const API_KEY = process.env.SPORTSMONKS_API_KEY;
 
+// ============================================
+// RESILIENCE SETTINGS
+// ============================================
+// Transient failures (429, 5xx, network blips, timeouts) are retried
+// with exponential backoff. If SportsMonks keeps failing, the circuit
+// breaker opens and requests fail fast, letting the cache fall back to
+// the last value it has (see cache.getOrFetch).
+
+// Abort a request that takes longer than this
+const REQUEST_TIMEOUT_MS = parseInt(process.env.SPORTSMONKS_TIMEOUT_MS) || 10 * 1000;
+
+// Retries after the first attempt (so up to 4 attempts in total)
+const MAX_RETRIES = 3;
+
+// Backoff: 500ms, 1s, 2s, ... capped at 8s (with jitter)
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 8 * 1000;
+
+// Only wait for a rate limit reset if it's this close; otherwise give up
+const MAX_RATE_LIMIT_WAIT_MS = 15 * 1000;
+
+// Open the circuit after 5 consecutive failed requests, retry after 30s
+const circuit = createCircuitBreaker({
+  name: 'SportsMonks',
+  failureThreshold: 5,
+  cooldownMs: 30 * 1000
+});
+
+// ============================================
+// HELPER FUNCTIONS: Retry Support
+// ============================================
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Build an error meaning "SportsMonks could not serve this right now".
+ * The cache falls back to old data on these (see cache.getOrFetch).
+ *
+ * @param {string} message - Safe to show to the client
+ * @param {number} upstreamStatus - SportsMonks status (or 502/504 for network errors/timeouts)
+ * @param {object} extra - Optional { cause, upstreamMessage } for the logs
+ * @returns {UpstreamUnavailableError}
+ */
+function upstreamError(message, upstreamStatus, { cause, upstreamMessage } = {}) {
+  const error = new UpstreamUnavailableError(message, { cause });
+  error.upstreamStatus = upstreamStatus;
+  if (upstreamMessage) error.upstreamMessage = upstreamMessage;
+  return error;
+}
+
+/**
+ * Exponential backoff delay with jitter for a given retry attempt
+ * @param {number} attempt - 0 for the first retry
+ * @returns {number} - Delay in milliseconds
+ */
+function backoffDelay(attempt) {
+  const delay = Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * How long SportsMonks asks us to wait after a 429.
+ * Uses the Retry-After header, or the rate_limit.resets_in_seconds
+ * field SportsMonks includes in its response body.
+ *
+ * @returns {number|null} - Milliseconds to wait, or null if not reported
+ */
+function rateLimitDelay(response, data) {
+  const retryAfter = response.headers.get('retry-after');
+  if (retryAfter && !isNaN(retryAfter)) {
+    return Number(retryAfter) * 1000;
+  }
+
+  const resetsIn = data?.rate_limit?.resets_in_seconds;
+  if (typeof resetsIn === 'number') {
+    return resetsIn * 1000;
+  }
+
+  return null;
+}
+
+/**
+ * Fetch a SportsMonks URL with timeout, retries and circuit breaker.
+ * NOTE: The URL contains the API token - never log it, log the endpoint.
+ *
+ * @param {string} url - Full request URL (including api_token)
+ * @param {string} endpoint - Endpoint path, for logging
+ * @param {object} usage - Optional usage accumulator ({ requests, status, rateLimit })
+ * @returns {Promise<object>} - Parsed JSON response
+ */
+async function fetchWithRetry(url, endpoint, usage = {}) {
+  if (!circuit.canRequest()) {
+    throw upstreamError('SportsMonks is temporarily unavailable (circuit open)', 503);
+  }
+
+  let lastError;
+
+  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    if (attempt > 0) {
+      log.warn(`Retry ${attempt}/${MAX_RETRIES} for ${endpoint}`, { endpoint, attempt, error: lastError.message });
+    }
+
+    let response;
+    let data;
+
+    try {
+      usage.requests = (usage.requests || 0) + 1;
+      response = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+      data = await response.json().catch(() => null);
+      usage.status = response.status;
+      if (data?.rate_limit) usage.rateLimit = data.rate_limit;
+    } catch (error) {
+      // Network failure or timeout - worth retrying
+      lastError = error.name === 'TimeoutError'
+        ? upstreamError(`SportsMonks did not respond within ${REQUEST_TIMEOUT_MS}ms`, 504, { cause: error })
+        : upstreamError('Could not reach SportsMonks', 502, { cause: error });
+
+      if (attempt < MAX_RETRIES) await sleep(backoffDelay(attempt));
+      continue;
+    }
+
+    // Success (a 2xx with an unreadable body counts as a server error)
+    if (response.ok && data !== null) {
+      circuit.recordSuccess();
+      return data;
+    }
+
+    // Rate limited - wait for the reset if it's soon, otherwise give up.
+    // SportsMonks is up, so this doesn't count against the circuit.
+    if (response.status === 429) {
+      const wait = rateLimitDelay(response, data) ?? backoffDelay(attempt);
+
+      if (attempt < MAX_RETRIES && wait <= MAX_RATE_LIMIT_WAIT_MS) {
+        lastError = upstreamError('SportsMonks rate limit reached, please try again later', 429);
+        await sleep(wait);
+        continue;
+      }
+
+      circuit.recordSuccess();
+      throw upstreamError('SportsMonks rate limit reached, please try again later', 429, { upstreamMessage: data?.message });
+    }
+
+    // Server error (or unreadable success body) - retry with backoff
+    if (response.status >= 500 || response.ok) {
+      lastError = response.ok
+        ? upstreamError('SportsMonks returned an invalid response', 502)
+        : upstreamError('SportsMonks is having problems, please try again later', response.status, { upstreamMessage: data?.message });
+      if (attempt < MAX_RETRIES) await sleep(backoffDelay(attempt));
+      continue;
+    }
+
+    // Any other 4xx is a problem with the request itself - don't retry.
+    // A 404 means the team/fixture/... doesn't exist, so the client gets a 404 too.
+    circuit.recordSuccess();
+    const error = response.status === 404
+      ? new NotFoundError('Not found in SportsMonks')
+      : new UpstreamError('SportsMonks rejected the request');
+    error.upstreamStatus = response.status;
+    if (data?.message) error.upstreamMessage = data.message;
+    throw error;
+  }
+
+  // Out of retries
+  circuit.recordFailure();
+  throw lastError;
+}
+
+/**
+ * Fetch from SportsMonks, or from disk in record/replay mode (see recordings.js)
+ *
+ * @param {string} url - Full request URL (including api_token)
+ * @param {object} request - Recording key: { api, endpoint, includes, page }
+ * @param {string} label - Endpoint label, for logging
+ * @param {object} usage - Usage accumulator passed on to fetchWithRetry
+ * @returns {Promise<object>} - Parsed JSON response
+ */
+async function fetchUpstream(url, request, label, usage) {
+  const mode = getRecordingMode();
+
+  if (mode === 'replay') {
+    const recorded = await loadRecording(request);
+    if (recorded === undefined) {
+      throw new UpstreamUnavailableError(`No recording for ${label} (SPORTSMONKS_MODE=replay)`);
+    }
+    return recorded;
+  }
+
+  const data = await fetchWithRetry(url, label, usage);
+
+  if (mode === 'record') {
+    await saveRecording(request, data);
+  }
+
+  return data;
+}
+
+/**
+ * Record a finished call in the usage stats and metrics.
+ * Replayed responses cost nothing, so they aren't tracked.
+ *
+ * @param {object} call - See usage.recordCall()
+ */
+function trackCall(call) {
+  if (getRecordingMode() === 'replay') return;
+
+  recordCall(call);
+  observeUpstreamCall({
+    endpoint: endpointFamily(call.endpoint),
+    status: call.status,
+    latencyMs: call.latencyMs
+  });
+}
+
+/**
+ * Get SportsMonks client health for monitoring
+ * @returns {object} - Mode, circuit breaker state and retry settings
+ */
+function getUpstreamStatus() {
+  return {
+    mode: getRecordingMode(),
+    circuit: circuit.status(),
+    timeoutMs: REQUEST_TIMEOUT_MS,
+    maxRetries: MAX_RETRIES
+  };
+}
+
 // ============================================
 // HELPER FUNCTION: Make API Requests
 // ============================================
@@ -51,27 +285,37 @@ async function makeRequest(endpoint, includes = [], useOddsBaseUrl = false) {
     url += `&include=${includes.join(';')}`;
   }
 
-  console.log(`[SportsMonks] Requesting: ${endpoint}`); // Log for debugging
-
-  try {
-    // Make the HTTP request using fetch (built into Node 18+)
-    const response = await fetch(url);
-
-    // Parse the JSON response
-    const data = await response.json();
+  log.info(`Requesting: ${endpoint}`, { endpoint, includes });
 
-    // Check if SportsMonks returned an error
-    if (!response.ok) {
-      throw new Error(data.message || `API error: ${response.status}`);
-    }
+  const startedAt = Date.now();
+  const usage = { requests: 0, status: null, rateLimit: null };
 
-    // Return the data
-    return data;
+  try {
+    // Fetch with timeout, retries and circuit breaker (or from a recording)
+    const request = { api: useOddsBaseUrl ? 'odds' : 'football', endpoint, includes };
+    return await fetchUpstream(url, request, endpoint, usage);
 
   } catch (error) {
-    // Log the error and re-throw for the route to handle
-    console.error(`[SportsMonks] Error: ${error.message}`);
+    // Log the error and re-throw for the error handler (middleware/errorHandler.js)
+    log.error(`Request failed: ${endpoint}`, {
+      endpoint,
+      status: error.upstreamStatus,
+      error: error.message,
+      upstreamMessage: error.upstreamMessage
+    });
+    usage.status = error.upstreamStatus ?? null;
     throw error;
+
+  } finally {
+    trackCall({
+      endpoint,
+      includes,
+      pages: 1,
+      requests: usage.requests,
+      latencyMs: Date.now() - startedAt,
+      status: usage.status,
+      rateLimit: usage.rateLimit
+    });
   }
 }
 
@@ -88,7 +332,21 @@ async function makeRequestPaginated(endpoint, includes = [], useOddsBaseUrl = fa
   let currentPage = 1;
   let hasMore = true;
 
-  console.log(`[SportsMonks] Requesting (paginated): ${endpoint}`);
+  log.info(`Requesting (paginated): ${endpoint}`, { endpoint, includes });
+
+  const startedAt = Date.now();
+  const usage = { requests: 0, status: null, rateLimit: null };
+
+  // Track the whole paginated call as one entry
+  const record = () => trackCall({
+    endpoint,
+    includes,
+    pages: currentPage - 1,
+    requests: usage.requests,
+    latencyMs: Date.now() - startedAt,
+    status: usage.status,
+    rateLimit: usage.rateLimit
+  });
 
   while (hasMore) {
     // Build URL with pagination params
@@ -101,12 +359,9 @@ async function makeRequestPaginated(endpoint, includes = [], useOddsBaseUrl = fa
     }
 
     try {
-      const response = await fetch(url);
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.message || `API error: ${response.status}`);
-      }
+      // Each page gets its own retries
+      const request = { api: useOddsBaseUrl ? 'odds' : 'football', endpoint, includes, page: currentPage };
+      const data = await fetchUpstream(url, request, `${endpoint} (page ${currentPage})`, usage);
 
       // Add this page's data to our collection
       if (data.data && Array.isArray(data.data)) {
@@ -119,16 +374,25 @@ async function makeRequestPaginated(endpoint, includes = [], useOddsBaseUrl = fa
 
       // Log progress for large requests
       if (hasMore) {
-        console.log(`[SportsMonks] Fetched page ${currentPage - 1}, ${allData.length} items so far...`);
+        log.debug(`Fetched page ${currentPage - 1}, ${allData.length} items so far...`, { endpoint });
       }
 
     } catch (error) {
-      console.error(`[SportsMonks] Error on page ${currentPage}: ${error.message}`);
+      log.error(`Request failed on page ${currentPage}: ${endpoint}`, {
+        endpoint,
+        page: currentPage,
+        status: error.upstreamStatus,
+        error: error.message,
+        upstreamMessage: error.upstreamMessage
+      });
+      usage.status = error.upstreamStatus ?? null;
+      record();
       throw error;
     }
   }
 
-  console.log(`[SportsMonks] Completed: ${allData.length} total items from ${currentPage - 1} page(s)`);
+  log.info(`Completed: ${allData.length} total items from ${currentPage - 1} page(s)`, { endpoint, items: allData.length, pages: currentPage - 1 });
+  record();
 
   // Return in the same format as makeRequest
   return { data: allData };
@@ -189,7 +453,7 @@ async function getHeadToHead(team1Id, team2Id, options = {}) {
   return cache.getOrFetch(
     cacheKey,
     () => {
-      const includes = ['participants', 'scores', 'venue', 'league', 'season'];
+      const includes = ['participants', 'scores', 'venue', 'league', 'season', 'state'];
       if (options.includeOdds) includes.push('odds');
       if (options.includeSidelined) {
         includes.push('sidelined.player', 'sidelined.sideline', 'sidelined.type');
@@ -986,11 +1250,33 @@ async function getTeamFixturesWithStats(startDate, endDate, teamId, { skipCache
   );
 }
 
+// ============================================
+// WAREHOUSE FUNCTIONS
+// ============================================
+
+/**
+ * Get all fixtures within a date range with scores, statistics and events.
+ * NOT cached: only used by the fixtures warehouse (services/warehouse.js),
+ * which stores the results in Postgres itself.
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format (100 days max after startDate)
+ * @returns {Promise<object>} - { data: fixtures }
+ */
+async function getFixturesWithDetailsByDateRange(startDate, endDate) {
+  return makeRequestPaginated(
+    `/fixtures/between/${startDate}/${endDate}`,
+    ['participants', 'scores', 'state', 'league', 'statistics', 'events']
+  );
+}
+
 // ============================================
 // EXPORT ALL FUNCTIONS
 // ============================================
 
 export {
+  // Client health
+  getUpstreamStatus,
+
   // Team functions
   searchTeams,
   getTeamById,
@@ -1061,6 +1347,9 @@ export {
   getFixturePredictions,
   getPredictabilityByLeague,
 
+  // Warehouse functions
+  getFixturesWithDetailsByDateRange,
+
   // Stages / Schedule functions (for cup competitions)
   getStagesBySeason,
 
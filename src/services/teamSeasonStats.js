@@ -0,0 +1,312 @@
+// ============================================
+// TEAM SEASON STATISTICS (from the fixtures warehouse)
+// ============================================
+// Rebuilds the SportsMonks team season statistics the TeamDetail
+// sections read (GET /teams/:id/stats/seasons/:seasonId) from a team's
+// stored fixtures, so synced seasons need no SportsMonks call.
+//
+// Same type IDs and value shapes as SportsMonks' "statistics.details":
+//   - 214/215/216 wins/draws/losses, 194 clean sheets, 575 failed to
+//     score, 192 both teams scored: { all, home, away } with
+//     { count, percentage } (percent of games played there)
+//   - 52 goals, 88 conceded: { all, home, away } with { count, average }
+//   - 27263 games played: { total, home, away }
+//   - 196/213 scoring/conceding minutes: { "0-15": { count, percentage }, ... }
+//   - 27250 most scored half, 27256 half results, 27260 injury time goals
+//   - 191 over goals: { over_0_5: { matches, team }, ... }
+//   - 34 corners: { count, average }
+//
+// Results and goals use the final score; halves use the score after
+// 90 minutes (services/bets.js periodGoals). Only finished fixtures count.
+// ============================================
+
+import { periodGoals } from './bets.js';
+import { FINISHED_STATES } from './warehouse.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// SportsMonks type IDs
+const TYPES = {
+  WIN: 214,
+  DRAW: 215,
+  LOST: 216,
+  GOALS: 52,
+  GOALS_CONCEDED: 88,
+  GAMES_PLAYED: 27263,
+  CLEANSHEET: 194,
+  BTTS: 192,
+  FAILED_TO_SCORE: 575,
+  SCORING_MINUTES: 196,
+  CONCEDED_SCORING_MINUTES: 213,
+  MOST_SCORED_HALF: 27250,
+  HALF_RESULTS: 27256,
+  INJURY_TIME_GOALS: 27260,
+  OVER_GOALS: 191,
+  CORNERS: 34
+};
+
+// Event types of a goal; an own goal counts for the other side
+const GOAL_EVENT = 14;
+const OWN_GOAL_EVENT = 15;
+const PENALTY_GOAL_EVENT = 16;
+
+// Upper minute of each SportsMonks scoring-minutes range (added time
+// belongs to the range it was added to)
+const MINUTE_RANGES = [
+  ['0-15', 15], ['15-30', 30], ['30-45', 45],
+  ['45-60', 60], ['60-75', 75], ['75-90', Infinity]
+];
+
+const OVER_LINES = [0.5, 1.5, 2.5, 3.5, 4.5, 5.5];
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Round to 2 decimal places
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Percentage of a count, 0 when there is nothing to divide by
+ * @param {number} count
+ * @param {number} total
+ * @returns {number}
+ */
+const percentage = (count, total) => (total > 0 ? round2((count / total) * 100) : 0);
+
+/**
+ * Home and away goals of the final score
+ * @param {object} fixture - SportsMonks-shaped fixture
+ * @returns {{ home: number, away: number }|null}
+ */
+function finalGoals(fixture) {
+  const goals = (side) => fixture.scores?.find(
+    s => s.description === 'CURRENT' && s.score?.participant === side
+  )?.score?.goals;
+
+  const home = goals('home');
+  const away = goals('away');
+  return Number.isInteger(home) && Number.isInteger(away) ? { home, away } : null;
+}
+
+/**
+ * Goal events with the side that scored them ("home" or "away")
+ *
+ * The side comes from the running score in the event's result ("2-1"),
+ * which is right for own goals too; without one, from the event's team.
+ *
+ * @param {object} fixture - SportsMonks-shaped fixture with events
+ * @param {{ home: number, away: number }} ids - Team IDs of each side
+ * @returns {Array<{ side: string, minute: number, extraMinute: number|null }>}
+ */
+function goalEvents(fixture, ids) {
+  const goals = (fixture.events || [])
+    .filter(e => [GOAL_EVENT, OWN_GOAL_EVENT, PENALTY_GOAL_EVENT].includes(e.type_id) && Number.isInteger(e.minute))
+    .sort((a, b) => a.minute - b.minute || (a.extra_minute ?? 0) - (b.extra_minute ?? 0));
+
+  let previous = { home: 0, away: 0 };
+  return goals.map(event => {
+    const [home, away] = (event.result || '').split('-').map(Number);
+    let side;
+
+    if (Number.isInteger(home) && Number.isInteger(away)) {
+      side = home > previous.home ? 'home' : 'away';
+      previous = { home, away };
+    } else {
+      const team = event.participant_id === ids.home ? 'home' : 'away';
+      side = event.type_id === OWN_GOAL_EVENT ? (team === 'home' ? 'away' : 'home') : team;
+    }
+
+    return { side, minute: event.minute, extraMinute: event.extra_minute ?? null };
+  });
+}
+
+/**
+ * Counters for all/home/away
+ * @returns {{ all: number, home: number, away: number }}
+ */
+const splitCounter = () => ({ all: 0, home: 0, away: 0 });
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Season statistics of one team from its fixtures
+ * @param {number|string} teamId
+ * @param {number|string} seasonId
+ * @param {object[]} fixtures - The team's SportsMonks-shaped fixtures of the season (with events)
+ * @returns {object|null} - SportsMonks-shaped team with statistics, or null if it played none
+ */
+function computeTeamSeasonStats(teamId, seasonId, fixtures) {
+  const id = parseInt(teamId);
+  const played = fixtures.filter(f => FINISHED_STATES.includes(f.state?.state) && finalGoals(f));
+  if (played.length === 0) return null;
+
+  const games = splitCounter();
+  const wins = splitCounter();
+  const draws = splitCounter();
+  const losses = splitCounter();
+  const cleanSheets = splitCounter();
+  const failedToScore = splitCounter();
+  const bothScored = splitCounter();
+  const scored = splitCounter();
+  const conceded = splitCounter();
+  const scoringMinutes = Object.fromEntries(MINUTE_RANGES.map(([key]) => [key, 0]));
+  const concedingMinutes = Object.fromEntries(MINUTE_RANGES.map(([key]) => [key, 0]));
+  const halves = { first: 0, second: 0 };
+  const halfResults = { won_both_halves: 0, scored_both_halves: 0, comebacks: 0 };
+  const overs = OVER_LINES.map(() => ({ matches: 0, team: 0 }));
+  const corners = { count: 0, games: 0 };
+  let injuryTimeGoals = 0;
+  let team = null;
+
+  const add = (counter, location, amount = 1) => {
+    counter.all += amount;
+    counter[location] += amount;
+  };
+
+  for (const fixture of played) {
+    const participant = fixture.participants?.find(p => p.id === id);
+    const location = participant?.meta?.location;
+    if (location !== 'home' && location !== 'away') continue;
+
+    team = team ?? participant;
+    const opponent = location === 'home' ? 'away' : 'home';
+    const final = finalGoals(fixture);
+    const goalsFor = final[location];
+    const goalsAgainst = final[opponent];
+
+    add(games, location);
+    add(goalsFor > goalsAgainst ? wins : goalsFor < goalsAgainst ? losses : draws, location);
+    if (goalsAgainst === 0) add(cleanSheets, location);
+    if (goalsFor === 0) add(failedToScore, location);
+    if (goalsFor > 0 && goalsAgainst > 0) add(bothScored, location);
+    add(scored, location, goalsFor);
+    add(conceded, location, goalsAgainst);
+
+    OVER_LINES.forEach((line, i) => {
+      if (goalsFor + goalsAgainst > line) overs[i].matches++;
+      if (goalsFor > line) overs[i].team++;
+    });
+
+    // Halves (score after 90 minutes)
+    const firstHalf = periodGoals(fixture, 'firstHalf');
+    const secondHalf = periodGoals(fixture, 'secondHalf');
+    if (firstHalf && secondHalf) {
+      halves.first += firstHalf[location];
+      halves.second += secondHalf[location];
+      if (firstHalf[location] > firstHalf[opponent] && secondHalf[location] > secondHalf[opponent]) {
+        halfResults.won_both_halves++;
+      }
+      if (firstHalf[location] > 0 && secondHalf[location] > 0) halfResults.scored_both_halves++;
+      if (firstHalf[location] < firstHalf[opponent] && goalsFor > goalsAgainst) halfResults.comebacks++;
+    }
+
+    // Goal minutes
+    const ids = {
+      home: fixture.participants.find(p => p.meta?.location === 'home')?.id,
+      away: fixture.participants.find(p => p.meta?.location === 'away')?.id
+    };
+    for (const goal of goalEvents(fixture, ids)) {
+      const [range] = MINUTE_RANGES.find(([, upTo]) => goal.minute <= upTo);
+      if (goal.side === location) {
+        scoringMinutes[range]++;
+        if (goal.extraMinute > 0) injuryTimeGoals++;
+      } else {
+        concedingMinutes[range]++;
+      }
+    }
+
+    // Corners
+    const cornersStat = fixture.statistics?.find(s => s.type_id === TYPES.CORNERS && s.participant_id === id);
+    if (Number.isFinite(cornersStat?.data?.value)) {
+      corners.count += cornersStat.data.value;
+      corners.games++;
+    }
+  }
+
+  if (games.all === 0) return null;
+
+  const counts = (counter) => Object.fromEntries(['all', 'home', 'away'].map(key => [
+    key,
+    { count: counter[key], percentage: percentage(counter[key], games[key]) }
+  ]));
+  const totals = (counter) => Object.fromEntries(['all', 'home', 'away'].map(key => [
+    key,
+    { count: counter[key], average: games[key] > 0 ? round2(counter[key] / games[key]) : 0 }
+  ]));
+  const minutes = (ranges) => {
+    const total = Object.values(ranges).reduce((sum, count) => sum + count, 0);
+    return Object.fromEntries(Object.entries(ranges).map(([key, count]) => [
+      key,
+      { key, count, percentage: percentage(count, total) }
+    ]));
+  };
+
+  const details = [
+    { type_id: TYPES.GAMES_PLAYED, value: { total: games.all, home: games.home, away: games.away } },
+    { type_id: TYPES.WIN, value: counts(wins) },
+    { type_id: TYPES.DRAW, value: counts(draws) },
+    { type_id: TYPES.LOST, value: counts(losses) },
+    { type_id: TYPES.GOALS, value: totals(scored) },
+    { type_id: TYPES.GOALS_CONCEDED, value: totals(conceded) },
+    { type_id: TYPES.CLEANSHEET, value: counts(cleanSheets) },
+    { type_id: TYPES.FAILED_TO_SCORE, value: counts(failedToScore) },
+    { type_id: TYPES.BTTS, value: counts(bothScored) },
+    { type_id: TYPES.SCORING_MINUTES, value: minutes(scoringMinutes) },
+    { type_id: TYPES.CONCEDED_SCORING_MINUTES, value: minutes(concedingMinutes) },
+    {
+      type_id: TYPES.MOST_SCORED_HALF,
+      value: {
+        most_scored_half: halves.second > halves.first ? '2nd-half' : '1st-half',
+        most_scored_half_goals: Math.max(halves.first, halves.second),
+        details: {
+          '1st-half': { period: '1st-half', total: halves.first },
+          '2nd-half': { period: '2nd-half', total: halves.second }
+        }
+      }
+    },
+    { type_id: TYPES.HALF_RESULTS, value: halfResults },
+    { type_id: TYPES.INJURY_TIME_GOALS, value: { total: injuryTimeGoals, average: round2(injuryTimeGoals / games.all) } },
+    {
+      type_id: TYPES.OVER_GOALS,
+      value: Object.fromEntries(OVER_LINES.map((line, i) => [
+        `over_${String(line).replace('.', '_')}`,
+        {
+          matches: { count: overs[i].matches, percentage: percentage(overs[i].matches, games.all) },
+          team: { count: overs[i].team, percentage: percentage(overs[i].team, games.all) }
+        }
+      ]))
+    }
+  ];
+
+  if (corners.games > 0) {
+    details.push({ type_id: TYPES.CORNERS, value: { count: corners.count, average: round2(corners.count / corners.games) } });
+  }
+
+  return {
+    id,
+    name: team.name,
+    short_code: team.short_code ?? null,
+    image_path: team.image_path ?? null,
+    statistics: [{
+      team_id: id,
+      season_id: parseInt(seasonId),
+      has_values: true,
+      details
+    }]
+  };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export { computeTeamSeasonStats, TYPES };
@@ -10,6 +10,11 @@
 // ============================================
 
 import prisma from '../db.js';
+import { getRecordingMode, loadRecording, saveRecording } from './recordings.js';
+import { createLogger } from './logger.js';
+import { UpstreamError, UpstreamUnavailableError } from './errors.js';
+
+const log = createLogger('Types');
 
 // ============================================
 // IN-MEMORY CACHE
@@ -33,7 +38,7 @@ let cacheLoadedAt = null;    // When the cache was last loaded
  * @returns {Promise<number>} - Number of types loaded
  */
 const loadTypesCache = async () => {
-  console.log('[Types] Loading types cache from database...');
+  log.info('Loading types cache from database...');
 
   // Fetch all types from database
   const types = await prisma.sportsMonksType.findMany({
@@ -60,7 +65,7 @@ const loadTypesCache = async () => {
   }
 
   cacheLoadedAt = new Date();
-  console.log(`[Types] Cache loaded: ${types.length} types at ${cacheLoadedAt.toISOString()}`);
+  log.info(`Cache loaded: ${types.length} types`, { count: types.length, loadedAt: cacheLoadedAt });
 
   return types.length;
 };
@@ -204,8 +209,9 @@ const TYPES_API_URL = 'https://api.sportmonks.com/v3/core/types';
  */
 const fetchTypesFromAPI = async () => {
   const apiKey = process.env.SPORTSMONKS_API_KEY;
+  const mode = getRecordingMode();
 
-  if (!apiKey) {
+  if (!apiKey && mode !== 'replay') {
     throw new Error('SPORTSMONKS_API_KEY not configured');
   }
 
@@ -213,17 +219,32 @@ const fetchTypesFromAPI = async () => {
   let page = 1;
   let hasMore = true;
 
-  console.log('[Types] Fetching types from SportsMonks API...');
+  log.info('Fetching types from SportsMonks API...');
 
   while (hasMore) {
-    const url = `${TYPES_API_URL}?api_token=${apiKey}&page=${page}&per_page=100`;
-    const response = await fetch(url);
+    const request = { api: 'core', endpoint: '/types', page };
+    let data;
+
+    if (mode === 'replay') {
+      // Offline: serve the recorded page (see services/recordings.js)
+      data = await loadRecording(request);
+      if (data === undefined) {
+        throw new UpstreamUnavailableError(`No recording for /types page ${page} (SPORTSMONKS_MODE=replay)`);
+      }
+    } else {
+      const url = `${TYPES_API_URL}?api_token=${apiKey}&page=${page}&per_page=100`;
+      const response = await fetch(url);
 
-    if (!response.ok) {
-      throw new Error(`API error: ${response.status} ${response.statusText}`);
-    }
+      if (!response.ok) {
+        throw new UpstreamError(`SportsMonks types request failed with status ${response.status}`);
+      }
+
+      data = await response.json();
 
-    const data = await response.json();
+      if (mode === 'record') {
+        await saveRecording(request, data);
+      }
+    }
 
     if (data.data && data.data.length > 0) {
       allTypes = allTypes.concat(data.data);
@@ -238,7 +259,7 @@ const fetchTypesFromAPI = async () => {
     }
   }
 
-  console.log(`[Types] Fetched ${allTypes.length} types from API.`);
+  log.info(`Fetched ${allTypes.length} types from API`, { count: allTypes.length });
   return allTypes;
 };
 
@@ -303,7 +324,7 @@ const syncTypesFromAPI = async () => {
 
   const duration = Date.now() - startTime;
 
-  console.log(`[Types] Sync complete: ${inserted} inserted, ${updated} updated in ${duration}ms`);
+  log.info(`Sync complete: ${inserted} inserted, ${updated} updated in ${duration}ms`, { inserted, updated, durationMs: duration });
 
   return {
     totalFromAPI: apiTypes.length,
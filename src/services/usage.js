@@ -0,0 +1,279 @@
+// ============================================
+// SPORTSMONKS USAGE SERVICE
+// ============================================
+// Tracks every call made to the SportsMonks API so we know what each
+// endpoint and route costs against our plan limit.
+//
+// Calls are aggregated in memory into hourly buckets and flushed to the
+// "sportsmonks_usage" table every minute (and before each report).
+// The latest rate-limit figures reported by SportsMonks are kept in
+// memory per entity (SportsMonks limits are per entity, e.g. "Fixture").
+// ============================================
+
+import prisma from '../db.js';
+import { getRequestContext } from './requestContext.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Usage');
+
+// How often buffered counters are written to the database
+const FLUSH_INTERVAL_MS = 60 * 1000;
+
+// Buffered counters not yet written, by bucket key
+const buffer = new Map();
+
+// Latest rate limit reported by SportsMonks, by entity
+const rateLimits = {};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Normalize an endpoint into a family by replacing IDs, dates and
+ * search terms with placeholders.
+ *
+ * @param {string} endpoint - e.g. "/fixtures/between/2025-01-01/2025-01-31/19"
+ * @returns {string} - e.g. "/fixtures/between/:date/:date/:id"
+ */
+function endpointFamily(endpoint) {
+  const path = endpoint.split('?')[0];
+  const segments = path.split('/');
+
+  return segments.map((segment, index) => {
+    if (/^\d+$/.test(segment)) return ':id';
+    if (/^\d{4}-\d{2}-\d{2}$/.test(segment)) return ':date';
+    if (segments[index - 1] === 'search') return ':query';
+    return segment;
+  }).join('/');
+}
+
+/**
+ * Start of the UTC hour containing a date
+ * @param {Date} date
+ * @returns {Date}
+ */
+function startOfHour(date) {
+  const hour = new Date(date);
+  hour.setUTCMinutes(0, 0, 0);
+  return hour;
+}
+
+// ============================================
+// RECORDING
+// ============================================
+
+/**
+ * Record one SportsMonks call (a makeRequest or makeRequestPaginated invocation)
+ *
+ * @param {object} call
+ * @param {string} call.endpoint - Raw endpoint path
+ * @param {string[]} call.includes - Includes requested
+ * @param {number} call.pages - Pages fetched
+ * @param {number} call.requests - HTTP requests sent (pages + retries)
+ * @param {number} call.latencyMs - Total duration of the call
+ * @param {number|null} call.status - Final HTTP status (null if no response)
+ * @param {object|null} call.rateLimit - SportsMonks rate_limit object from the response
+ */
+function recordCall({ endpoint, includes = [], pages = 1, requests = 1, latencyMs, status, rateLimit }) {
+  const hour = startOfHour(new Date());
+  const family = endpointFamily(endpoint);
+  const includesKey = [...includes].sort().join(';');
+  const route = getRequestContext()?.route || 'background';
+
+  const bucketKey = `${hour.toISOString()}|${family}|${includesKey}|${route}`;
+
+  if (!buffer.has(bucketKey)) {
+    buffer.set(bucketKey, {
+      hour,
+      endpoint: family,
+      includes: includesKey,
+      route,
+      calls: 0,
+      requests: 0,
+      pages: 0,
+      errors: 0,
+      rateLimited: 0,
+      totalLatencyMs: 0,
+      maxLatencyMs: 0,
+      lastStatus: null,
+      rateLimitRemaining: null
+    });
+  }
+
+  const bucket = buffer.get(bucketKey);
+  bucket.calls++;
+  bucket.requests += requests;
+  bucket.pages += pages;
+  bucket.totalLatencyMs += latencyMs;
+  bucket.maxLatencyMs = Math.max(bucket.maxLatencyMs, latencyMs);
+  bucket.lastStatus = status;
+  if (status === null || status >= 400) bucket.errors++;
+  if (status === 429) bucket.rateLimited++;
+
+  // SportsMonks reports: { resets_in_seconds, remaining, requested_entity }
+  if (rateLimit && typeof rateLimit.remaining === 'number') {
+    bucket.rateLimitRemaining = rateLimit.remaining;
+    rateLimits[rateLimit.requested_entity || 'unknown'] = {
+      remaining: rateLimit.remaining,
+      resetsAt: new Date(Date.now() + (rateLimit.resets_in_seconds || 0) * 1000).toISOString(),
+      reportedAt: new Date().toISOString()
+    };
+  }
+}
+
+/**
+ * Write buffered counters to the database (incrementing existing rows)
+ * @returns {Promise<number>} - Number of buckets written
+ */
+async function flushUsage() {
+  if (buffer.size === 0) return 0;
+
+  // Take the current buffer so new calls go into a fresh one while we write
+  const buckets = [...buffer.values()];
+  buffer.clear();
+
+  for (const bucket of buckets) {
+    const { hour, endpoint, includes, route, ...counts } = bucket;
+    try {
+      await prisma.sportsMonksUsage.upsert({
+        where: {
+          hour_endpoint_includes_route: { hour, endpoint, includes, route }
+        },
+        create: { hour, endpoint, includes, route, ...counts },
+        update: {
+          calls: { increment: counts.calls },
+          requests: { increment: counts.requests },
+          pages: { increment: counts.pages },
+          errors: { increment: counts.errors },
+          rateLimited: { increment: counts.rateLimited },
+          totalLatencyMs: { increment: counts.totalLatencyMs },
+          // Not exact across flushes, but the max within this flush is close enough
+          maxLatencyMs: counts.maxLatencyMs,
+          lastStatus: counts.lastStatus,
+          ...(counts.rateLimitRemaining !== null && { rateLimitRemaining: counts.rateLimitRemaining })
+        }
+      });
+    } catch (error) {
+      log.error(`Failed to flush ${endpoint}`, { endpoint, error: error.message });
+    }
+  }
+
+  return buckets.length;
+}
+
+// Flush periodically, without keeping the process alive just for this
+const flushTimer = setInterval(() => {
+  flushUsage().catch(error => log.error('Flush failed', { error: error.message }));
+}, FLUSH_INTERVAL_MS);
+flushTimer.unref();
+
+// ============================================
+// REPORTING
+// ============================================
+
+/**
+ * Add a usage row's counters into an aggregate object
+ */
+function addCounts(target, row) {
+  target.calls += row.calls;
+  target.requests += row.requests;
+  target.pages += row.pages;
+  target.errors += row.errors;
+  target.rateLimited += row.rateLimited;
+  target.totalLatencyMs += row.totalLatencyMs;
+  target.maxLatencyMs = Math.max(target.maxLatencyMs, row.maxLatencyMs);
+}
+
+const emptyCounts = () => ({
+  calls: 0,
+  requests: 0,
+  pages: 0,
+  errors: 0,
+  rateLimited: 0,
+  totalLatencyMs: 0,
+  maxLatencyMs: 0
+});
+
+/**
+ * Turn raw aggregate counters into report fields
+ */
+function summarize(counts) {
+  const { totalLatencyMs, ...rest } = counts;
+  return {
+    ...rest,
+    avgLatencyMs: counts.calls > 0 ? Math.round(totalLatencyMs / counts.calls) : 0
+  };
+}
+
+/**
+ * Build a usage report for a recent period
+ *
+ * @param {object} options
+ * @param {string} options.granularity - "hour" or "day"
+ * @param {number} options.days - How many days back to include
+ * @returns {Promise<object>} - Totals, time buckets, per-endpoint and per-route breakdowns
+ */
+async function getUsageReport({ granularity = 'hour', days = 1 } = {}) {
+  // Make sure the latest calls are included
+  await flushUsage();
+
+  const to = new Date();
+  const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+
+  const rows = await prisma.sportsMonksUsage.findMany({
+    where: { hour: { gte: startOfHour(from) } },
+    orderBy: { hour: 'asc' }
+  });
+
+  const totals = emptyCounts();
+  const buckets = new Map();
+  const byEndpoint = new Map();
+  const byRoute = new Map();
+
+  for (const row of rows) {
+    addCounts(totals, row);
+
+    // Time bucket: the hour itself, or the UTC day it falls in
+    const bucketKey = granularity === 'day'
+      ? row.hour.toISOString().split('T')[0]
+      : row.hour.toISOString();
+    if (!buckets.has(bucketKey)) buckets.set(bucketKey, emptyCounts());
+    addCounts(buckets.get(bucketKey), row);
+
+    // Endpoint family (with includes, since they change the cost)
+    const endpointKey = `${row.endpoint}|${row.includes}`;
+    if (!byEndpoint.has(endpointKey)) {
+      byEndpoint.set(endpointKey, { endpoint: row.endpoint, includes: row.includes, ...emptyCounts() });
+    }
+    addCounts(byEndpoint.get(endpointKey), row);
+
+    // Route that triggered the call
+    if (!byRoute.has(row.route)) byRoute.set(row.route, { route: row.route, ...emptyCounts() });
+    addCounts(byRoute.get(row.route), row);
+  }
+
+  return {
+    period: {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      granularity
+    },
+    totals: summarize(totals),
+    buckets: [...buckets.entries()].map(([bucket, counts]) => ({ bucket, ...summarize(counts) })),
+    byEndpoint: [...byEndpoint.values()].map(summarize).sort((a, b) => b.requests - a.requests),
+    byRoute: [...byRoute.values()].map(summarize).sort((a, b) => b.requests - a.requests),
+    rateLimits
+  };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export {
+  recordCall,
+  flushUsage,
+  getUsageReport,
+  endpointFamily
+};
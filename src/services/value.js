@@ -0,0 +1,254 @@
+// ============================================
+// VALUE SERVICE
+// ============================================
+// Joins SportsMonks predictions (model probabilities) with bookmaker
+// prices to find selections priced higher than the model thinks they
+// should be:
+//
+//   implied probability = 1 / best decimal price
+//   edge                = model probability - implied probability
+//   expected value      = model probability * best decimal price - 1
+//
+// A positive edge means a positive expected value: at that price, a
+// 1 unit stake returns more than 1 unit on average - if the model is right.
+//
+// A scan fans out to two SportsMonks calls per fixture (predictions and
+// odds), so it always reads from the cache, one fixture at a time, and
+// stops after MAX_FIXTURES fixtures (soonest first).
+// ============================================
+
+import { getFixturePredictions } from './sportsmonks.js';
+import { getFixtureOddsTree } from './odds.js';
+import { parseSlate, upcomingSlateFixtures } from './slate.js';
+import { createLogger } from './logger.js';
+import { ValidationError } from './errors.js';
+
+const log = createLogger('Value');
+
+// Fixtures scanned per request
+const MAX_FIXTURES = 30;
+
+// ============================================
+// PREDICTION -> MARKET MAPPING
+// ============================================
+// Which odds market each SportsMonks prediction type prices, and which
+// prediction field gives the probability of each selection key
+// (see services/odds.js for the keys)
+
+const VALUE_MARKETS = [
+  {
+    marketId: 1, // Fulltime Result
+    predictionTypeId: 237,
+    selections: { 1: 'home', X: 'draw', 2: 'away' }
+  },
+  {
+    marketId: 63, // Double Chance
+    predictionTypeId: 239,
+    selections: { '1X': 'draw_home', 12: 'home_away', X2: 'draw_away' }
+  },
+  {
+    marketId: 14, // Both Teams To Score
+    predictionTypeId: 231,
+    selections: { yes: 'yes', no: 'no' }
+  },
+  // Goals Over/Under, one prediction type per line
+  ...[['1.5', 234], ['2.5', 235], ['3.5', 236], ['4.5', 1679]].map(([line, predictionTypeId]) => ({
+    marketId: 12,
+    predictionTypeId,
+    selections: { [`over_${line}`]: 'yes', [`under_${line}`]: 'no' }
+  }))
+];
+
+const VALUE_MARKET_IDS = [...new Set(VALUE_MARKETS.map(market => market.marketId))];
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Round to a number of decimals
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {number}
+ */
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Parse an optional number from the query string
+ * @param {any} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function parseNumber(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Resolve and check the scan options
+ * @param {object} query - req.query
+ * @returns {object}
+ */
+function parseOptions(query) {
+  const slate = parseSlate(query);
+
+  const marketIds = query.markets ? query.markets.split(',').map(Number) : VALUE_MARKET_IDS;
+  const unsupported = marketIds.filter(id => !VALUE_MARKET_IDS.includes(id));
+  if (unsupported.length > 0) {
+    throw new ValidationError(`markets must be among ${VALUE_MARKET_IDS.join(', ')}`, { unsupported });
+  }
+
+  const minOdds = parseNumber(query.minOdds, 1);
+  const maxOdds = parseNumber(query.maxOdds, Infinity);
+  if (minOdds > maxOdds) {
+    throw new ValidationError('minOdds must not be above maxOdds', { minOdds, maxOdds });
+  }
+
+  return {
+    ...slate,
+    marketIds,
+    minEdge: parseNumber(query.minEdge, 0),
+    minOdds,
+    maxOdds
+  };
+}
+
+/**
+ * Value opportunities of one fixture
+ * @param {object} fixture - SportsMonks fixture (with kickoffAt added)
+ * @param {object[]} predictions - SportsMonks predictions of the fixture
+ * @param {object} tree - Odds tree (see services/odds.js)
+ * @param {object} options - Parsed scan options
+ * @returns {object[]}
+ */
+function fixtureOpportunities(fixture, predictions, tree, options) {
+  const bookmakerNames = new Map(tree.bookmakers.map(bm => [bm.id, bm.name]));
+  const opportunities = [];
+
+  for (const valueMarket of VALUE_MARKETS) {
+    if (!options.marketIds.includes(valueMarket.marketId)) continue;
+
+    const prediction = predictions.find(p => p.type_id === valueMarket.predictionTypeId);
+    const market = tree.markets.find(m => m.id === valueMarket.marketId);
+    if (!prediction || !market) continue;
+
+    for (const [key, field] of Object.entries(valueMarket.selections)) {
+      const percent = parseFloat(prediction.predictions?.[field]);
+      const selection = market.selections.find(s => s.key === key);
+      if (!Number.isFinite(percent) || !selection?.best) continue;
+
+      const { decimal, bookmakerId } = selection.best;
+      if (decimal < options.minOdds || decimal > options.maxOdds) continue;
+
+      const modelProbability = percent / 100;
+      const impliedProbability = 1 / decimal;
+      const edge = (modelProbability - impliedProbability) * 100;
+      if (edge <= options.minEdge) continue;
+
+      opportunities.push({
+        fixtureId: fixture.id,
+        fixtureName: fixture.name,
+        startingAt: fixture.starting_at,
+        league: { id: fixture.league_id, name: fixture.league?.name ?? null },
+        marketId: market.id,
+        marketName: market.name,
+        selection: { key, label: selection.label, total: selection.total },
+        best: { bookmakerId, bookmakerName: bookmakerNames.get(bookmakerId) || `Bookmaker ${bookmakerId}`, decimal },
+        bookmakerCount: selection.prices.filter(price => !price.stopped).length,
+        modelProbability: round(modelProbability, 4),
+        impliedProbability: round(impliedProbability, 4),
+        edge: round(edge, 2),
+        expectedValue: round((modelProbability * decimal - 1) * 100, 2)
+      });
+    }
+  }
+
+  return opportunities;
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Find value bets across a slate of fixtures
+ *
+ * @param {object} [query] - req.query
+ * @param {string} [query.startDate] - YYYY-MM-DD (default today)
+ * @param {string} [query.endDate] - YYYY-MM-DD (default a week after startDate)
+ * @param {string} [query.leagues] - Comma-separated league IDs (default the followed ones)
+ * @param {string} [query.markets] - Comma-separated market IDs (default all supported)
+ * @param {string} [query.minEdge] - Minimum edge in percentage points (default 0)
+ * @param {string} [query.minOdds] - Minimum best decimal price
+ * @param {string} [query.maxOdds] - Maximum best decimal price
+ * @returns {Promise<object>} - { filters, fixturesScanned, truncated, opportunities }
+ */
+async function findValueBets(query = {}) {
+  const options = parseOptions(query);
+  const { fixtures, truncated } = await upcomingSlateFixtures(options, MAX_FIXTURES);
+
+  const opportunities = [];
+  let skipped = 0;
+
+  // One at a time: cold entries cost upstream calls
+  for (const fixture of fixtures) {
+    try {
+      const predictionResult = await getFixturePredictions(fixture.id);
+      const predictions = predictionResult.data?.predictions || [];
+      if (predictions.length === 0) {
+        skipped++;
+        continue;
+      }
+
+      const tree = await getFixtureOddsTree(fixture.id, { query: { markets: options.marketIds.join(',') } });
+      opportunities.push(...fixtureOpportunities(fixture, predictions, tree, options));
+    } catch (error) {
+      // One fixture failing shouldn't sink the whole scan
+      log.warn(`Value scan skipped fixture ${fixture.id}`, { fixtureId: fixture.id, error: error.message });
+      skipped++;
+    }
+  }
+
+  return {
+    filters: {
+      ...options,
+      maxOdds: Number.isFinite(options.maxOdds) ? options.maxOdds : null
+    },
+    fixturesScanned: fixtures.length,
+    fixturesSkipped: skipped,
+    truncated,
+    opportunities: opportunities.sort((a, b) => b.expectedValue - a.expectedValue)
+  };
+}
+
+/**
+ * Model probability of one selection, from the fixture's SportsMonks
+ * predictions (cached)
+ *
+ * @param {number} fixtureId
+ * @param {number} marketId
+ * @param {string} selectionKey - Odds tree key (services/odds.js)
+ * @returns {Promise<number|null>} - 0-1, or null when no prediction covers it
+ */
+async function getModelProbability(fixtureId, marketId, selectionKey) {
+  const valueMarket = VALUE_MARKETS.find(market =>
+    market.marketId === marketId && market.selections[selectionKey]
+  );
+  if (!valueMarket) return null;
+
+  const result = await getFixturePredictions(fixtureId);
+  const prediction = (result.data?.predictions || []).find(p => p.type_id === valueMarket.predictionTypeId);
+  const percent = parseFloat(prediction?.predictions?.[valueMarket.selections[selectionKey]]);
+
+  return Number.isFinite(percent) ? round(percent / 100, 4) : null;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export {
+  findValueBets,
+  getModelProbability
+};
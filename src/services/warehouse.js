@@ -0,0 +1,538 @@
+// ============================================
+// FIXTURES WAREHOUSE SERVICE
+// ============================================
+// Keeps a local copy of fixtures (participants, scores, statistics and
+// events) for the seasons we follow, so historical analysis doesn't
+// re-download them from SportsMonks on every cache miss.
+//
+// Ingestion (syncSeason, run by the "sync-warehouse" job):
+//   - First sync of a season: every fixture from its start to its end,
+//     in 100-day chunks (the SportsMonks limit for date ranges)
+//   - Later syncs: only the days since the last sync (with a margin for
+//     matches that were still in play), up to today
+//   - A fixture already stored as finished is never written again
+//
+// Queries return fixtures in the SportsMonks shape (participants with
+// meta.location, scores with score.goals, statistics with data.value),
+// so routes can use the same code for stored and fetched fixtures.
+// Venues aren't stored (venue is null) and the season has only its
+// ID and name.
+//
+// Head-to-head coverage: the finished meetings SportsMonks lists for a
+// pair are saved (recordHeadToHead), so getStoredHeadToHead can answer
+// without asking SportsMonks while the warehouse holds all of them.
+// ============================================
+
+import prisma from '../db.js';
+import { getSeasonById, getFixturesWithDetailsByDateRange } from './sportsmonks.js';
+import { createLogger } from './logger.js';
+import { NotFoundError } from './errors.js';
+
+const log = createLogger('Warehouse');
+
+// SportsMonks states of a match that has been played to the end
+const FINISHED_STATES = ['FT', 'AET', 'FT_PEN'];
+
+// SportsMonks rejects date ranges longer than this
+const MAX_RANGE_DAYS = 100;
+
+// Later syncs start this long before the previous one, to pick up
+// matches that were in play (or had late stats) at the time
+const RESYNC_MARGIN_DAYS = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A pair's head-to-head list from SportsMonks is trusted this long. New
+// meetings in synced seasons are stored anyway; this only bounds how long
+// one in a competition the warehouse doesn't sync can go unnoticed.
+const H2H_RECHECK_DAYS = 7;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Format a date as YYYY-MM-DD (UTC)
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Parse a SportsMonks UTC time ("2024-12-26 15:00:00")
+ * @param {string} value
+ * @returns {Date}
+ */
+function parseSportsMonksTime(value) {
+  return new Date(value.replace(' ', 'T') + 'Z');
+}
+
+/**
+ * Format a date the way SportsMonks does ("2024-12-26 15:00:00")
+ * @param {Date} date
+ * @returns {string}
+ */
+function toSportsMonksTime(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Split a date range into chunks SportsMonks accepts
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {Array<[string, string]>} - [startDate, endDate] pairs (inclusive)
+ */
+function dateChunks(start, end) {
+  const chunks = [];
+  let chunkStart = new Date(start);
+
+  while (chunkStart <= end) {
+    const chunkEnd = new Date(Math.min(chunkStart.getTime() + (MAX_RANGE_DAYS - 1) * DAY_MS, end.getTime()));
+    chunks.push([toDateString(chunkStart), toDateString(chunkEnd)]);
+    chunkStart = new Date(chunkEnd.getTime() + DAY_MS);
+  }
+
+  return chunks;
+}
+
+/**
+ * Numeric value of a SportsMonks statistic ({ value: 6 } or just 6)
+ * @param {any} data
+ * @returns {number|null}
+ */
+function statisticValue(data) {
+  const value = typeof data === 'number' ? data : data?.value;
+  return Number.isFinite(value) ? value : null;
+}
+
+// ============================================
+// STORING
+// ============================================
+
+/**
+ * Write one SportsMonks fixture (with its includes) to the warehouse
+ * @param {object} fixture - SportsMonks fixture
+ * @param {Date} syncedAt
+ * @returns {Promise<void>}
+ */
+async function storeFixture(fixture, syncedAt) {
+  const state = fixture.state?.state ?? null;
+  const participants = fixture.participants || [];
+  const home = participants.find(p => p.meta?.location === 'home');
+  const away = participants.find(p => p.meta?.location === 'away');
+  const currentGoals = (side) => fixture.scores?.find(
+    s => s.description === 'CURRENT' && s.score?.participant === side
+  )?.score?.goals ?? null;
+
+  const data = {
+    seasonId: fixture.season_id,
+    leagueId: fixture.league_id,
+    leagueName: fixture.league?.name ?? null,
+    stageId: fixture.stage_id ?? null,
+    roundId: fixture.round_id ?? null,
+    name: fixture.name || '',
+    startingAt: parseSportsMonksTime(fixture.starting_at),
+    state,
+    finished: FINISHED_STATES.includes(state),
+    resultInfo: fixture.result_info ?? null,
+    homeTeamId: home?.id ?? null,
+    awayTeamId: away?.id ?? null,
+    homeGoals: currentGoals('home'),
+    awayGoals: currentGoals('away'),
+    syncedAt
+  };
+
+  const fixtureId = fixture.id;
+
+  // Replace the children wholesale - SportsMonks may add or correct any of them
+  await prisma.$transaction([
+    prisma.warehouseFixture.upsert({
+      where: { id: fixtureId },
+      create: { id: fixtureId, ...data },
+      update: data
+    }),
+    prisma.warehouseParticipant.deleteMany({ where: { fixtureId } }),
+    prisma.warehouseScore.deleteMany({ where: { fixtureId } }),
+    prisma.warehouseStatistic.deleteMany({ where: { fixtureId } }),
+    prisma.warehouseEvent.deleteMany({ where: { fixtureId } }),
+    prisma.warehouseParticipant.createMany({
+      data: participants.map(p => ({
+        fixtureId,
+        teamId: p.id,
+        name: p.name || '',
+        shortCode: p.short_code ?? null,
+        imagePath: p.image_path ?? null,
+        location: p.meta?.location ?? null,
+        winner: p.meta?.winner ?? null,
+        position: p.meta?.position ?? null
+      }))
+    }),
+    prisma.warehouseScore.createMany({
+      data: (fixture.scores || []).map(s => ({
+        id: s.id,
+        fixtureId,
+        typeId: s.type_id,
+        teamId: s.participant_id ?? null,
+        description: s.description || '',
+        participant: s.score?.participant ?? null,
+        goals: s.score?.goals ?? 0
+      })),
+      skipDuplicates: true
+    }),
+    prisma.warehouseStatistic.createMany({
+      data: (fixture.statistics || []).map(s => ({
+        id: s.id,
+        fixtureId,
+        typeId: s.type_id,
+        teamId: s.participant_id ?? null,
+        location: s.location ?? null,
+        value: statisticValue(s.data)
+      })),
+      skipDuplicates: true
+    }),
+    prisma.warehouseEvent.createMany({
+      data: (fixture.events || []).map(e => ({
+        id: e.id,
+        fixtureId,
+        typeId: e.type_id,
+        periodId: e.period_id ?? null,
+        teamId: e.participant_id ?? null,
+        playerId: e.player_id ?? null,
+        playerName: e.player_name ?? null,
+        relatedPlayerId: e.related_player_id ?? null,
+        relatedPlayerName: e.related_player_name ?? null,
+        minute: e.minute ?? null,
+        extraMinute: e.extra_minute ?? null,
+        result: e.result ?? null,
+        info: e.info ?? null,
+        addition: e.addition ?? null,
+        sortOrder: e.sort_order ?? null
+      })),
+      skipDuplicates: true
+    })
+  ]);
+}
+
+/**
+ * Create the warehouse row of a season from SportsMonks
+ * @param {number} seasonId
+ * @returns {Promise<object>} - WarehouseSeason row
+ */
+async function registerSeason(seasonId) {
+  const result = await getSeasonById(seasonId, { skipCache: true });
+  const season = result.data;
+
+  if (!season) {
+    throw new NotFoundError(`Season ${seasonId} not found`);
+  }
+
+  return prisma.warehouseSeason.create({
+    data: {
+      id: season.id,
+      leagueId: season.league_id,
+      leagueName: season.league?.name ?? null,
+      name: season.name || String(season.id),
+      startingAt: season.starting_at ? new Date(season.starting_at) : null,
+      endingAt: season.ending_at ? new Date(season.ending_at) : null
+    }
+  });
+}
+
+/**
+ * Bring one season up to date
+ * @param {number} seasonId - SportsMonks season ID
+ * @returns {Promise<object>} - Summary: what was fetched and written
+ */
+async function syncSeason(seasonId) {
+  const season = await prisma.warehouseSeason.findUnique({ where: { id: seasonId } })
+    ?? await registerSeason(seasonId);
+
+  const now = new Date();
+  const today = new Date(toDateString(now));
+  const seasonStart = season.startingAt ?? today;
+  const seasonEnd = season.endingAt ?? today;
+
+  // First sync: the whole season (upcoming fixtures included).
+  // Later syncs: from just before the last one up to today.
+  const firstSync = !season.lastSyncedAt;
+  const start = firstSync
+    ? seasonStart
+    : new Date(Math.max(seasonStart.getTime(), new Date(toDateString(season.lastSyncedAt)).getTime() - RESYNC_MARGIN_DAYS * DAY_MS));
+  const end = firstSync ? seasonEnd : new Date(Math.min(today.getTime(), seasonEnd.getTime()));
+
+  const summary = { seasonId, name: season.name, fetched: 0, written: 0, skippedFinished: 0 };
+
+  if (start > end) {
+    // Season over and already fully synced
+    await prisma.warehouseSeason.update({ where: { id: seasonId }, data: { lastSyncedAt: now } });
+    return { ...summary, upToDate: true };
+  }
+
+  summary.range = { startDate: toDateString(start), endDate: toDateString(end) };
+
+  for (const [chunkStart, chunkEnd] of dateChunks(start, end)) {
+    const result = await getFixturesWithDetailsByDateRange(chunkStart, chunkEnd);
+
+    // The date range covers every subscribed league - keep this season only
+    const fixtures = (result.data || []).filter(f => f.season_id === seasonId);
+    summary.fetched += fixtures.length;
+
+    const alreadyFinished = new Set(
+      (await prisma.warehouseFixture.findMany({
+        where: { id: { in: fixtures.map(f => f.id) }, finished: true },
+        select: { id: true }
+      })).map(f => f.id)
+    );
+
+    for (const fixture of fixtures) {
+      if (alreadyFinished.has(fixture.id)) {
+        summary.skippedFinished++;
+        continue;
+      }
+      await storeFixture(fixture, now);
+      summary.written++;
+    }
+  }
+
+  await prisma.warehouseSeason.update({ where: { id: seasonId }, data: { lastSyncedAt: now } });
+
+  log.info(`Season ${seasonId} synced: ${summary.written} fixtures written`, summary);
+  return summary;
+}
+
+// ============================================
+// QUERIES
+// ============================================
+
+// Includes needed to rebuild the SportsMonks shape
+const FIXTURE_INCLUDE = {
+  season: true,
+  participants: true,
+  scores: true,
+  statistics: true
+};
+
+/**
+ * Turn a stored fixture back into the SportsMonks shape
+ *
+ * The warehouse keeps no venues, so stored fixtures have `venue: null`,
+ * and their season only has an ID and name.
+ *
+ * @param {object} row - WarehouseFixture with FIXTURE_INCLUDE (season, statistics and events optional)
+ * @returns {object}
+ */
+function toSportsMonksFixture(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    league_id: row.leagueId,
+    season_id: row.seasonId,
+    stage_id: row.stageId,
+    round_id: row.roundId,
+    starting_at: toSportsMonksTime(row.startingAt),
+    result_info: row.resultInfo,
+    state: { state: row.state },
+    league: { id: row.leagueId, name: row.leagueName },
+    season: { id: row.seasonId, name: row.season?.name ?? null },
+    venue: null,
+    participants: row.participants.map(p => ({
+      id: p.teamId,
+      name: p.name,
+      short_code: p.shortCode,
+      image_path: p.imagePath,
+      meta: { location: p.location, winner: p.winner, position: p.position }
+    })),
+    scores: row.scores.map(s => ({
+      id: s.id,
+      fixture_id: row.id,
+      type_id: s.typeId,
+      participant_id: s.teamId,
+      description: s.description,
+      score: { goals: s.goals, participant: s.participant }
+    })),
+    statistics: (row.statistics || []).map(s => ({
+      id: s.id,
+      fixture_id: row.id,
+      type_id: s.typeId,
+      participant_id: s.teamId,
+      location: s.location,
+      data: { value: s.value }
+    })),
+    events: (row.events || []).map(e => ({
+      id: e.id,
+      fixture_id: row.id,
+      type_id: e.typeId,
+      period_id: e.periodId,
+      participant_id: e.teamId,
+      player_id: e.playerId,
+      player_name: e.playerName,
+      minute: e.minute,
+      extra_minute: e.extraMinute,
+      result: e.result
+    }))
+  };
+}
+
+/**
+ * Get a season if it has been synced at least once
+ * @param {number|string} seasonId
+ * @returns {Promise<object|null>} - WarehouseSeason row
+ */
+async function getStoredSeason(seasonId) {
+  const season = await prisma.warehouseSeason.findUnique({ where: { id: parseInt(seasonId) } });
+  return season?.lastSyncedAt ? season : null;
+}
+
+/**
+ * A team's stored fixtures in a season, oldest first
+ * @param {number|string} teamId
+ * @param {number|string} seasonId
+ * @param {object} [options]
+ * @param {boolean} [options.events] - Include goals, cards, ...
+ * @returns {Promise<object[]>} - SportsMonks-shaped fixtures
+ */
+async function getStoredTeamFixtures(teamId, seasonId, { events = false } = {}) {
+  const id = parseInt(teamId);
+  const rows = await prisma.warehouseFixture.findMany({
+    where: {
+      seasonId: parseInt(seasonId),
+      OR: [{ homeTeamId: id }, { awayTeamId: id }]
+    },
+    include: { ...FIXTURE_INCLUDE, events },
+    orderBy: { startingAt: 'asc' }
+  });
+  return rows.map(toSportsMonksFixture);
+}
+
+/**
+ * A season's stored finished fixtures, oldest first (without statistics)
+ * @param {number|string} seasonId
+ * @returns {Promise<object[]>} - SportsMonks-shaped fixtures
+ */
+async function getStoredSeasonFixtures(seasonId) {
+  const rows = await prisma.warehouseFixture.findMany({
+    where: { seasonId: parseInt(seasonId), finished: true },
+    include: { participants: true, scores: true },
+    orderBy: { startingAt: 'asc' }
+  });
+  return rows.map(toSportsMonksFixture);
+}
+
+/**
+ * Key of a pair's head-to-head row (lower team ID first)
+ * @param {number|string} team1Id
+ * @param {number|string} team2Id
+ * @returns {{ team1Id: number, team2Id: number }}
+ */
+function headToHeadKey(team1Id, team2Id) {
+  const [low, high] = [parseInt(team1Id), parseInt(team2Id)].sort((x, y) => x - y);
+  return { team1Id: low, team2Id: high };
+}
+
+/**
+ * Remember which finished meetings SportsMonks lists for a pair, so
+ * later requests can be answered from the warehouse alone
+ * @param {number|string} team1Id
+ * @param {number|string} team2Id
+ * @param {object[]} fixtures - SportsMonks head-to-head fixtures (with state)
+ * @returns {Promise<void>}
+ */
+async function recordHeadToHead(team1Id, team2Id, fixtures) {
+  const key = headToHeadKey(team1Id, team2Id);
+  const data = {
+    fixtureIds: fixtures.filter(f => FINISHED_STATES.includes(f.state?.state)).map(f => f.id),
+    checkedAt: new Date()
+  };
+
+  await prisma.warehouseHeadToHead.upsert({
+    where: { team1Id_team2Id: key },
+    create: { ...key, ...data },
+    update: data
+  });
+}
+
+/**
+ * Stored finished meetings between two teams (any synced season), most
+ * recent first - or null when the warehouse may be missing some: the pair
+ * hasn't been checked against SportsMonks in the last H2H_RECHECK_DAYS,
+ * or a meeting SportsMonks listed isn't stored (e.g. it was in a season
+ * the warehouse doesn't sync)
+ * @param {number|string} team1Id
+ * @param {number|string} team2Id
+ * @returns {Promise<object[]|null>} - SportsMonks-shaped fixtures
+ */
+async function getStoredHeadToHead(team1Id, team2Id) {
+  const checked = await prisma.warehouseHeadToHead.findUnique({
+    where: { team1Id_team2Id: headToHeadKey(team1Id, team2Id) }
+  });
+  if (!checked || checked.checkedAt < new Date(Date.now() - H2H_RECHECK_DAYS * DAY_MS)) {
+    return null;
+  }
+
+  const a = parseInt(team1Id);
+  const b = parseInt(team2Id);
+  const rows = await prisma.warehouseFixture.findMany({
+    where: {
+      finished: true,
+      OR: [
+        { homeTeamId: a, awayTeamId: b },
+        { homeTeamId: b, awayTeamId: a }
+      ]
+    },
+    include: FIXTURE_INCLUDE,
+    orderBy: { startingAt: 'desc' }
+  });
+
+  const storedIds = new Set(rows.map(row => row.id));
+  if (!checked.fixtureIds.every(id => storedIds.has(id))) {
+    return null;
+  }
+
+  return rows.map(toSportsMonksFixture);
+}
+
+/**
+ * Every season in the warehouse with fixture counts
+ * @returns {Promise<object[]>}
+ */
+async function listStoredSeasons() {
+  const [seasons, counts] = await Promise.all([
+    prisma.warehouseSeason.findMany({ orderBy: [{ leagueId: 'asc' }, { id: 'desc' }] }),
+    prisma.warehouseFixture.groupBy({ by: ['seasonId', 'finished'], _count: { _all: true } })
+  ]);
+
+  return seasons.map(season => {
+    const count = (finished) => counts.find(
+      c => c.seasonId === season.id && c.finished === finished
+    )?._count._all ?? 0;
+
+    return {
+      id: season.id,
+      name: season.name,
+      leagueId: season.leagueId,
+      leagueName: season.leagueName,
+      startingAt: season.startingAt,
+      endingAt: season.endingAt,
+      lastSyncedAt: season.lastSyncedAt,
+      fixtures: count(true) + count(false),
+      finished: count(true)
+    };
+  });
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export {
+  FINISHED_STATES,
+  syncSeason,
+  getStoredSeason,
+  getStoredSeasonFixtures,
+  getStoredTeamFixtures,
+  getStoredHeadToHead,
+  recordHeadToHead,
+  listStoredSeasons
+};
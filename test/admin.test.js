@@ -0,0 +1,66 @@
+// ============================================
+// ADMIN GUARDS
+// ============================================
+// Admin endpoints (src/index.js) need a token, and a user with isAdmin
+// (middleware/auth.js adminMiddleware).
+// ============================================
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { startApp, createUser } from './helpers.js';
+
+describe('admin guards', () => {
+  let app;
+  let prisma;
+  let user;
+  let admin;
+
+  const auth = (account) => ({ Authorization: `Bearer ${account.token}` });
+
+  before(async () => {
+    ({ app, prisma } = await startApp());
+    user = await createUser(app);
+    admin = await createUser(app, { prisma, admin: true });
+  });
+
+  after(async () => {
+    await prisma.$disconnect();
+  });
+
+  it('rejects requests without a token', async () => {
+    const res = await request(app).get('/admin/cache/stats').expect(401);
+    assert.equal(res.body.error.code, 'UNAUTHORIZED');
+  });
+
+  it('rejects users who aren\'t admins', async () => {
+    for (const [method, url] of [
+      ['get', '/admin/cache/stats'],
+      ['get', '/admin/jobs'],
+      ['delete', '/admin/cache/flush'],
+      ['post', '/admin/jobs/sync-warehouse/run'],
+      ['get', '/admin/warehouse/seasons']
+    ]) {
+      const res = await request(app)[method](url).set(auth(user)).expect(403);
+      assert.equal(res.body.error.code, 'FORBIDDEN', `${method.toUpperCase()} ${url}`);
+    }
+  });
+
+  it('lets admins in', async () => {
+    const stats = await request(app).get('/admin/cache/stats').set(auth(admin)).expect(200);
+    assert.equal(stats.body.status, 'ok');
+
+    const jobs = await request(app).get('/admin/jobs').set(auth(admin)).expect(200);
+    assert.ok(jobs.body.data.some(job => job.name === 'sync-warehouse'));
+
+    await request(app).get('/admin/warehouse/seasons').set(auth(admin)).expect(200);
+  });
+
+  it('validates admin parameters', async () => {
+    const res = await request(app)
+      .get('/admin/sportsmonks/usage?granularity=minute')
+      .set(auth(admin))
+      .expect(400);
+    assert.equal(res.body.error.code, 'VALIDATION_ERROR');
+  });
+});
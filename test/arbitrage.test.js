@@ -0,0 +1,153 @@
+// ============================================
+// ARBITRAGE
+// ============================================
+// Surebet detection in services/arbitrage.js on hand-built odds trees
+// (best price of each selection, as services/odds.js builds them): the
+// implied total, profit margin and stake split of a known 3-way and
+// 2-way arbitrage, and books that aren't one. Plus cache.peek, which
+// the slate scan reads odds with. No database.
+// ============================================
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { treeArbitrage } from '../src/services/arbitrage.js';
+import cache from '../src/services/cache.js';
+import { runWithContext } from '../src/services/requestContext.js';
+
+const BOOKMAKERS = [
+  { id: 2, name: 'bet365' },
+  { id: 9, name: 'Betfair' },
+  { id: 20, name: 'Pinnacle' }
+];
+
+const OPTIONS = { marketIds: [1, 12, 14], bankroll: 100, minProfit: 0 };
+
+/**
+ * Tree selection with its best price
+ * @param {string} key
+ * @param {number} decimal
+ * @param {number} bookmakerId
+ * @returns {object}
+ */
+const selection = (key, decimal, bookmakerId) => ({ key, label: key, best: { bookmakerId, decimal, updatedAt: null } });
+
+const tree = (...markets) => ({ bookmakers: BOOKMAKERS, markets });
+
+describe('treeArbitrage', () => {
+  it('splits a bankroll across a known 3-way arbitrage', () => {
+    const [opportunity, ...others] = treeArbitrage(tree({
+      id: 1,
+      name: 'Fulltime Result',
+      selections: [selection('1', 2.2, 2), selection('X', 4, 9), selection('2', 4.4, 20)]
+    }), OPTIONS);
+
+    // 1/2.2 + 1/4 + 1/4.4 = 0.93182, so 1/0.93182 - 1 = 7.32%
+    assert.equal(others.length, 0);
+    assert.equal(opportunity.impliedTotal, 0.9318);
+    assert.equal(opportunity.profitMargin, 7.32);
+    assert.equal(opportunity.payout, 107.32);
+    assert.equal(opportunity.profit, 7.32);
+    assert.deepEqual(opportunity.legs.map(leg => [leg.key, leg.bookmakerName, leg.stake]), [
+      ['1', 'bet365', 48.78],
+      ['X', 'Betfair', 26.83],
+      ['2', 'Pinnacle', 24.39]
+    ]);
+
+    // Whichever outcome wins, the payout is the same
+    for (const leg of opportunity.legs) {
+      assert.ok(Math.abs(leg.stake * leg.decimal - opportunity.payout) < 0.02, `${leg.key}: ${leg.stake * leg.decimal}`);
+    }
+  });
+
+  it('finds a known 2-way arbitrage', () => {
+    const [opportunity] = treeArbitrage(tree({
+      id: 14,
+      name: 'Both Teams To Score',
+      selections: [selection('yes', 1.8, 2), selection('no', 2.5, 20)]
+    }), { ...OPTIONS, bankroll: 1000 });
+
+    // 1/1.8 + 1/2.5 = 0.95556
+    assert.equal(opportunity.impliedTotal, 0.9556);
+    assert.equal(opportunity.profitMargin, 4.65);
+    assert.deepEqual(opportunity.legs.map(leg => leg.stake), [581.4, 418.6]);
+    assert.equal(opportunity.payout, 1046.51);
+  });
+
+  it('checks each over/under line as its own book', () => {
+    const opportunities = treeArbitrage(tree({
+      id: 12,
+      name: 'Goals Over/Under',
+      selections: [
+        selection('over_2.5', 2.1, 9),
+        selection('under_2.5', 2, 2),
+        selection('over_3.5', 3.2, 9),
+        selection('under_3.5', 1.35, 2)
+      ]
+    }), OPTIONS);
+
+    // 2.5: 1/2.1 + 1/2 = 0.97619; 3.5: 1/3.2 + 1/1.35 = 1.053, no arbitrage
+    assert.deepEqual(opportunities.map(o => [o.line, o.profitMargin]), [['2.5', 2.44]]);
+  });
+
+  it('finds nothing in a book with a margin', () => {
+    const opportunities = treeArbitrage(tree({
+      id: 1,
+      name: 'Fulltime Result',
+      selections: [selection('1', 2.2, 2), selection('X', 3.5, 2), selection('2', 3.4, 2)]
+    }), OPTIONS);
+
+    assert.deepEqual(opportunities, []);
+  });
+
+  it('skips incomplete books, other markets and margins under the minimum', () => {
+    const noDraw = {
+      id: 1,
+      name: 'Fulltime Result',
+      selections: [selection('1', 3, 2), selection('2', 3, 9)]
+    };
+    const unpriced = {
+      id: 14,
+      name: 'Both Teams To Score',
+      selections: [selection('yes', 2.5, 2), { key: 'no', label: 'no', best: null }]
+    };
+    const btts = {
+      id: 14,
+      name: 'Both Teams To Score',
+      selections: [selection('yes', 1.8, 2), selection('no', 2.5, 20)]
+    };
+
+    assert.deepEqual(treeArbitrage(tree(noDraw, unpriced), OPTIONS), []);
+    assert.deepEqual(treeArbitrage(tree(btts), { ...OPTIONS, marketIds: [1] }), []);
+    assert.deepEqual(treeArbitrage(tree(btts), { ...OPTIONS, minProfit: 5 }), []);
+  });
+});
+
+describe('cache.peek', () => {
+  it('returns fresh values without counting a lookup or marking the request', async () => {
+    await cache.set('arbitrage-test:fresh', { data: [1] }, 60);
+    const before = await cache.stats();
+    const context = {};
+
+    const [hit, miss] = await runWithContext(context, () => Promise.all([
+      cache.peek('arbitrage-test:fresh'),
+      cache.peek('arbitrage-test:missing')
+    ]));
+
+    assert.deepEqual(hit, { data: [1] });
+    assert.equal(miss, undefined);
+
+    const after = await cache.stats();
+    assert.deepEqual([after.hits, after.misses], [before.hits, before.misses]);
+    assert.equal(context.cacheUse, undefined);
+  });
+
+  it('ignores entries past their TTL that are still kept as stale', async (t) => {
+    await cache.set('arbitrage-test:stale', { data: [1] }, 1);
+
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 2000);
+
+    assert.equal(await cache.peek('arbitrage-test:stale'), undefined);
+    assert.ok((await cache.listKeys()).includes('arbitrage-test:stale'));
+  });
+});
@@ -0,0 +1,79 @@
+// ============================================
+// AUTH ROUTES
+// ============================================
+// Registration, login and token checks (routes/auth.js,
+// middleware/auth.js). The auth limiter allows 15 requests per file.
+// ============================================
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { startApp } from './helpers.js';
+
+describe('auth', () => {
+  let app;
+  let prisma;
+  const email = 'auth@example.com';
+  const password = 'secret123';
+
+  before(async () => {
+    ({ app, prisma } = await startApp());
+  });
+
+  after(async () => {
+    await prisma.$disconnect();
+  });
+
+  it('registers a user without returning the password', async () => {
+    const res = await request(app)
+      .post('/auth/register')
+      .send({ email, password, oddsFormat: 'DECIMAL' })
+      .expect(201);
+
+    assert.equal(res.body.user.email, email);
+    assert.equal(res.body.user.oddsFormat, 'DECIMAL');
+    assert.equal(res.body.user.password, undefined);
+  });
+
+  it('rejects a second registration with the same email', async () => {
+    const res = await request(app).post('/auth/register').send({ email, password }).expect(400);
+    assert.equal(res.body.error.code, 'VALIDATION_ERROR');
+  });
+
+  it('rejects a password shorter than 6 characters', async () => {
+    const res = await request(app)
+      .post('/auth/register')
+      .send({ email: 'short@example.com', password: '123' })
+      .expect(400);
+    assert.equal(res.body.error.code, 'VALIDATION_ERROR');
+  });
+
+  it('rejects a registration without an email', async () => {
+    const res = await request(app).post('/auth/register').send({ password }).expect(400);
+    assert.equal(res.body.error.code, 'VALIDATION_ERROR');
+  });
+
+  it('logs in and returns a token that authenticates /auth/me', async () => {
+    const login = await request(app).post('/auth/login').send({ email, password }).expect(200);
+    assert.ok(login.body.token);
+
+    const me = await request(app)
+      .get('/auth/me')
+      .set('Authorization', `Bearer ${login.body.token}`)
+      .expect(200);
+    assert.equal(me.body.user.email, email);
+  });
+
+  it('rejects a wrong password', async () => {
+    const res = await request(app)
+      .post('/auth/login')
+      .send({ email, password: 'wrong-password' })
+      .expect(401);
+    assert.equal(res.body.error.code, 'UNAUTHORIZED');
+  });
+
+  it('rejects protected routes without a valid token', async () => {
+    await request(app).get('/auth/me').expect(401);
+    await request(app).get('/notes').set('Authorization', 'Bearer not-a-token').expect(401);
+  });
+});
@@ -0,0 +1,175 @@
+// ============================================
+// BET ANALYTICS
+// ============================================
+// The report of services/betAnalytics.js over a fixed ledger of seven
+// settled bets and one open one, with every figure worked out by hand.
+// Pure function - no database.
+// ============================================
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { betReport } from '../src/services/betAnalytics.js';
+
+const PREMIER_LEAGUE = { leagueId: 8, leagueName: 'Premier League' };
+const FA_CUP = { leagueId: 24, leagueName: 'FA Cup' };
+const RESULT = { marketId: 1, marketName: 'Fulltime Result' };
+const TOTALS = { marketId: 12, marketName: 'Goals Over/Under' };
+const BTTS = { marketId: 14, marketName: 'Both Teams To Score' };
+const BET365 = { bookmakerId: 2, bookmakerName: 'bet365' };
+const PINNACLE = { bookmakerId: 20, bookmakerName: 'Pinnacle' };
+const NO_BOOKMAKER = { bookmakerId: null, bookmakerName: null };
+
+// Saturday 20, Sunday 21 and Tuesday 23 April 2024 (UTC)
+const SAT = '2024-04-20T14:00:00Z';
+const SUN = '2024-04-21T15:30:00Z';
+const TUE = '2024-04-23T19:00:00Z';
+// Tuesday in UTC, Wednesday in London
+const TUE_LATE = '2024-04-23T23:30:00Z';
+
+/**
+ * Bet row, settled on a day in May 2024
+ * @param {number} day - Day of May it settled on (settlement order)
+ * @param {string} status
+ * @param {number} stake
+ * @param {number} odds
+ * @param {object} bookmaker
+ * @param {object[]} selections - { kickoffAt, leagueId, leagueName, marketId, marketName }
+ * @returns {object}
+ */
+function bet(day, status, stake, odds, bookmaker, selections) {
+  const returns = { WON: stake * odds, LOST: 0, VOID: stake, OPEN: null }[status];
+
+  return {
+    status,
+    stake,
+    odds,
+    returns,
+    profit: returns === null ? null : returns - stake,
+    placedAt: new Date('2024-04-01T12:00:00Z'),
+    settledAt: status === 'OPEN' ? null : new Date(Date.UTC(2024, 4, day)),
+    ...bookmaker,
+    selections: selections.map(s => ({ ...s, kickoffAt: new Date(s.kickoffAt) }))
+  };
+}
+
+const selection = (kickoffAt, competition, market) => ({ kickoffAt, ...competition, ...market });
+
+// Profit in settlement order: +10, -10, -20, 0, -5, +30, +4
+const LEDGER = [
+  bet(6, 'WON', 10, 4, NO_BOOKMAKER, [selection(TUE, PREMIER_LEAGUE, RESULT)]),
+  bet(1, 'WON', 10, 2, BET365, [selection(SAT, PREMIER_LEAGUE, RESULT)]),
+  bet(3, 'LOST', 20, 2.5, PINNACLE, [selection(SAT, FA_CUP, RESULT)]),
+  bet(2, 'LOST', 10, 1.8, BET365, [selection(SUN, PREMIER_LEAGUE, BTTS)]),
+  bet(4, 'VOID', 10, 1.9, PINNACLE, [selection(SUN, PREMIER_LEAGUE, TOTALS)]),
+  bet(5, 'LOST', 5, 3.8, PINNACLE, [selection(SAT, PREMIER_LEAGUE, RESULT), selection(TUE, FA_CUP, TOTALS)]),
+  bet(7, 'WON', 10, 1.4, BET365, [selection(TUE_LATE, PREMIER_LEAGUE, RESULT)]),
+  bet(8, 'OPEN', 15, 2, BET365, [selection('2024-05-04T14:00:00Z', PREMIER_LEAGUE, RESULT)])
+];
+
+describe('betReport', () => {
+  const report = betReport(LEDGER, 'UTC');
+  const rows = (breakdown) => breakdown.map(row => [row.name, row.bets, row.profit]);
+
+  it('sums the settled bets and counts the open ones', () => {
+    // Staked 75, returned 84; profit per stake 1, -1, -1, 0, -1, 3, 0.4
+    assert.deepEqual(report.overall, {
+      bets: 7,
+      won: 3,
+      lost: 3,
+      void: 1,
+      staked: 75,
+      returns: 84,
+      profit: 9,
+      roi: 12,
+      yield: 20,
+      strikeRate: 50,
+      averageOdds: 2.58,
+      averageStake: 10.71,
+      open: 1,
+      openStake: 15
+    });
+  });
+
+  it('finds streaks in settlement order, stepping over voids', () => {
+    // W L L (void) L W W
+    assert.deepEqual(report.streaks, { longestWinning: 2, longestLosing: 3, current: { type: 'WON', length: 2 } });
+  });
+
+  it('measures the drawdown from the running profit peak', () => {
+    // Cumulative profit 10, 0, -20, -20, -25, 5, 9: peak 10 after day 1, trough -25 on day 5
+    assert.deepEqual(report.drawdown, {
+      max: 35,
+      peakAt: new Date(Date.UTC(2024, 4, 1)),
+      troughAt: new Date(Date.UTC(2024, 4, 5)),
+      current: 1
+    });
+  });
+
+  it('breaks down by competition, market and bookmaker, most bets first', () => {
+    assert.deepEqual(rows(report.byCompetition), [
+      ['Premier League', 5, 34],
+      ['Mixed competitions', 1, -5],
+      ['FA Cup', 1, -20]
+    ]);
+    assert.deepEqual(rows(report.byMarket), [
+      ['Fulltime Result', 4, 24],
+      ['Goals Over/Under', 1, 0],
+      ['Mixed markets', 1, -5],
+      ['Both Teams To Score', 1, -10]
+    ]);
+    assert.deepEqual(rows(report.byBookmaker), [
+      ['bet365', 3, 4],
+      ['Pinnacle', 3, -25],
+      ['Unknown', 1, 30]
+    ]);
+    assert.deepEqual(report.byBookmaker[1], {
+      id: 20,
+      name: 'Pinnacle',
+      bets: 3,
+      won: 0,
+      lost: 2,
+      void: 1,
+      staked: 35,
+      returns: 10,
+      profit: -25,
+      roi: -71.43,
+      yield: -66.67,
+      strikeRate: 0,
+      averageOdds: 3.15
+    });
+  });
+
+  it('breaks down by odds band in band order', () => {
+    assert.deepEqual(rows(report.byOddsBand), [
+      ['Under 1.50', 1, 4],
+      ['1.50 - 1.99', 2, -10],
+      ['2.00 - 2.99', 2, -10],
+      ['3.00 - 4.99', 2, 25]
+    ]);
+  });
+
+  it('puts a bet on the day of its last kick-off in the user\'s timezone', () => {
+    assert.deepEqual(rows(report.byDayOfWeek), [
+      ['Tuesday', 3, 29],
+      ['Saturday', 2, -10],
+      ['Sunday', 2, -10]
+    ]);
+    assert.deepEqual(rows(betReport(LEDGER, 'Europe/London').byDayOfWeek), [
+      ['Tuesday', 2, 25],
+      ['Wednesday', 1, 4],
+      ['Saturday', 2, -10],
+      ['Sunday', 2, -10]
+    ]);
+  });
+
+  it('has nothing to average without settled bets', () => {
+    const empty = betReport([LEDGER[7]], 'UTC');
+
+    assert.deepEqual(
+      [empty.overall.roi, empty.overall.yield, empty.overall.strikeRate, empty.overall.averageStake],
+      [null, null, null, null]
+    );
+    assert.deepEqual(empty.drawdown, { max: 0, peakAt: null, troughAt: null, current: 0 });
+    assert.deepEqual(empty.byMarket, []);
+  });
+});
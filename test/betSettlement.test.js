@@ -0,0 +1,125 @@
+// ============================================
+// BET SETTLEMENT
+// ============================================
+// The grading rules of services/bets.js: which goals each period counts
+// (periodGoals), the outcome of a selection per market type
+// (gradeSelection) and of a bet from its selections (betOutcome).
+// Pure functions - no database.
+// ============================================
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { periodGoals, gradeSelection, betOutcome } from '../src/services/bets.js';
+
+/**
+ * SportsMonks fixture with the given score lines
+ * @param {string} state - e.g. "FT", "AET"
+ * @param {object} lines - Description -> [home, away]
+ * @returns {object}
+ */
+function fixture(state, lines) {
+  return {
+    state: { state },
+    scores: Object.entries(lines).flatMap(([description, [home, away]]) => [
+      { description, score: { participant: 'home', goals: home } },
+      { description, score: { participant: 'away', goals: away } }
+    ])
+  };
+}
+
+const goals = (home, away) => ({ home, away });
+
+describe('periodGoals', () => {
+  const regular = fixture('FT', { '1ST_HALF': [1, 0], '2ND_HALF': [3, 1], CURRENT: [3, 1] });
+
+  it('splits a finished match into halves', () => {
+    assert.deepEqual(periodGoals(regular, 'fulltime'), goals(3, 1));
+    assert.deepEqual(periodGoals(regular, 'firstHalf'), goals(1, 0));
+    assert.deepEqual(periodGoals(regular, 'secondHalf'), goals(2, 1));
+  });
+
+  it('leaves extra time out of the full-time score', () => {
+    const extraTime = fixture('AET', { '1ST_HALF': [0, 0], '2ND_HALF': [1, 1], CURRENT: [2, 1] });
+
+    assert.deepEqual(periodGoals(extraTime, 'fulltime'), goals(1, 1));
+    assert.deepEqual(periodGoals(extraTime, 'secondHalf'), goals(1, 1));
+  });
+
+  it('falls back to the current score only when the match ended in 90 minutes', () => {
+    assert.deepEqual(periodGoals(fixture('FT', { '1ST_HALF': [1, 0], CURRENT: [2, 0] }), 'secondHalf'), goals(1, 0));
+    assert.equal(periodGoals(fixture('AET', { '1ST_HALF': [1, 0], CURRENT: [2, 1] }), 'fulltime'), null);
+  });
+
+  it('has nothing to grade without scores', () => {
+    assert.equal(periodGoals({ state: { state: 'FT' } }, 'fulltime'), null);
+    assert.equal(periodGoals(fixture('FT', { CURRENT: [2, 0] }), 'firstHalf'), null);
+  });
+});
+
+describe('gradeSelection', () => {
+  it('grades the result and double chance', () => {
+    assert.deepEqual(['1', 'X', '2'].map(key => gradeSelection('result', key, goals(2, 1))), ['WON', 'LOST', 'LOST']);
+    assert.equal(gradeSelection('result', 'X', goals(1, 1)), 'WON');
+
+    assert.deepEqual(['1X', '12', 'X2'].map(key => gradeSelection('doubleChance', key, goals(1, 1))), ['WON', 'LOST', 'WON']);
+    assert.equal(gradeSelection('doubleChance', '12', goals(0, 2)), 'WON');
+  });
+
+  it('grades both teams to score', () => {
+    assert.equal(gradeSelection('btts', 'yes', goals(1, 1)), 'WON');
+    assert.equal(gradeSelection('btts', 'yes', goals(2, 0)), 'LOST');
+    assert.equal(gradeSelection('btts', 'no', goals(2, 0)), 'WON');
+    assert.equal(gradeSelection('btts', 'no', goals(0, 0)), 'WON');
+  });
+
+  it('grades goal lines and pushes on a whole line', () => {
+    assert.equal(gradeSelection('totals', 'over_2.5', goals(2, 1)), 'WON');
+    assert.equal(gradeSelection('totals', 'under_2.5', goals(2, 1)), 'LOST');
+    assert.equal(gradeSelection('totals', 'over_3', goals(2, 1)), 'VOID');
+    assert.equal(gradeSelection('totals', 'under_3', goals(1, 1)), 'WON');
+  });
+
+  it('grades odd and even totals', () => {
+    assert.equal(gradeSelection('oddEven', 'odd', goals(2, 1)), 'WON');
+    assert.equal(gradeSelection('oddEven', 'even', goals(2, 1)), 'LOST');
+    assert.equal(gradeSelection('oddEven', 'even', goals(0, 0)), 'WON');
+  });
+
+  it('leaves keys it doesn\'t know, quarter lines and other markets ungraded', () => {
+    assert.equal(gradeSelection('result', 'home', goals(1, 0)), null);
+    assert.equal(gradeSelection('doubleChance', '1', goals(1, 0)), null);
+    assert.equal(gradeSelection('btts', 'maybe', goals(1, 0)), null);
+    assert.equal(gradeSelection('totals', 'over_2.25', goals(2, 1)), null);
+    assert.equal(gradeSelection('totals', 'total_2.5', goals(2, 1)), null);
+    assert.equal(gradeSelection('corners', 'over_9.5', goals(2, 1)), null);
+  });
+});
+
+describe('betOutcome', () => {
+  const leg = (status, odds) => ({ status, odds });
+
+  it('pays a winning single at its odds', () => {
+    assert.deepEqual(betOutcome(10, [leg('WON', 2.5)]), { status: 'WON', returns: 25, profit: 15 });
+  });
+
+  it('loses as soon as one leg loses, even with others open', () => {
+    assert.deepEqual(betOutcome(10, [leg('OPEN', 2), leg('LOST', 1.5)]), { status: 'LOST', returns: 0, profit: -10 });
+  });
+
+  it('stays open while a leg is open', () => {
+    assert.deepEqual(betOutcome(10, [leg('WON', 2), leg('OPEN', 1.5)]), { status: 'OPEN', returns: null, profit: null });
+  });
+
+  it('returns the stake when every leg is void', () => {
+    assert.deepEqual(betOutcome(10, [leg('VOID', 2), leg('VOID', 1.5)]), { status: 'VOID', returns: 10, profit: 0 });
+  });
+
+  it('drops void legs from a winning multiple', () => {
+    assert.deepEqual(betOutcome(10, [leg('WON', 1.9), leg('VOID', 3)]), { status: 'WON', returns: 19, profit: 9 });
+    assert.deepEqual(betOutcome(5, [leg('WON', 2), leg('WON', 1.9)]), { status: 'WON', returns: 19, profit: 14 });
+  });
+
+  it('rounds returns to the penny', () => {
+    assert.deepEqual(betOutcome(3, [leg('WON', 1.333)]), { status: 'WON', returns: 4, profit: 1 });
+  });
+});
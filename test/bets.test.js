@@ -0,0 +1,345 @@
+// ============================================
+// BETS AND BANKROLLS ROUTES
+// ============================================
+// A small ledger on Arsenal 5-0 Chelsea (18841433, half time 1-0),
+// graded by the settlement service against its recording in
+// recordings/sportsmonks, then the list summary and analytics over it.
+// Bankrolls: a half-Kelly plan priced from the SportsMonks prediction
+// for Arsenal v Chelsea on 2099-08-15 (19900001, home 50%), the other
+// plans from the user's own probability, and the peak and drawdown of
+// a bankroll's history. The settlement queue: a corners bet on Brighton v Fulham, cancelled
+// (19900005), waits behind gradable fixtures and is voided with it.
+// ============================================
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { startApp, createUser } from './helpers.js';
+
+const ARSENAL_5_CHELSEA_0 = 18841433;
+const UPCOMING = 19900001;
+const CANCELLED = 19900005;
+
+describe('bets and bankrolls routes', () => {
+  let app;
+  let prisma;
+  let fixturesToSettle;
+  let settleFixtureSelections;
+
+  const auth = (user) => ({ Authorization: `Bearer ${user.token}` });
+
+  // One selection on the 5-0
+  const leg = (marketId, selectionKey, odds) => ({ fixtureId: ARSENAL_5_CHELSEA_0, marketId, selectionKey, odds });
+
+  before(async () => {
+    ({ app, prisma } = await startApp());
+    // Imported after startApp, which points the database at the test one
+    ({ fixturesToSettle, settleFixtureSelections } = await import('../src/services/bets.js'));
+  });
+
+  after(async () => {
+    await prisma.$disconnect();
+  });
+
+  describe('bets', () => {
+    let bettor;
+    let cornersBet;
+
+    before(async () => {
+      bettor = await createUser(app);
+    });
+
+    it('rejects bets without a token, selections or a distinct leg', async () => {
+      await request(app).post('/bets').send({ stake: 10, selections: [leg(1, '1', 2)] }).expect(401);
+
+      for (const body of [
+        { stake: 10, selections: [] },
+        { stake: 0, selections: [leg(1, '1', 2)] },
+        { stake: 10, selections: [leg(1, '1', 2), leg(1, '1', 2.1)] }
+      ]) {
+        const res = await request(app).post('/bets').set(auth(bettor)).send(body).expect(400);
+        assert.equal(res.body.error.code, 'VALIDATION_ERROR');
+      }
+    });
+
+    it('logs singles and multiples with the fixture from SportsMonks', async () => {
+      const bets = [
+        { stake: 10, selections: [leg(1, '1', 2)], bookmakerName: 'bet365' },
+        { stake: 10, selections: [leg(14, 'yes', 1.8)], bookmakerName: 'bet365' },
+        { stake: 5, selections: [leg(1, '1', 2), leg(12, 'over_2.5', 1.9)], bookmakerName: 'Pinnacle' },
+        // Corners: left to the user
+        { stake: 10, selections: [leg(67, 'over_10.5', 1.9)], bookmakerName: 'Pinnacle' }
+      ];
+
+      const created = [];
+      for (const bet of bets) {
+        const res = await request(app).post('/bets').set(auth(bettor)).send(bet).expect(201);
+        created.push(res.body.bet);
+      }
+
+      assert.deepEqual(created.map(bet => [bet.type, bet.odds, bet.status]), [
+        ['single', 2, 'OPEN'],
+        ['single', 1.8, 'OPEN'],
+        ['multiple', 3.8, 'OPEN'],
+        ['single', 1.9, 'OPEN']
+      ]);
+      assert.equal(created[0].selections[0].fixtureName, 'Arsenal vs Chelsea');
+      cornersBet = created[3];
+    });
+
+    it('grades the supported markets on the 90-minute score', async () => {
+      const result = await settleFixtureSelections(ARSENAL_5_CHELSEA_0);
+      assert.deepEqual(result, { fixtureId: ARSENAL_5_CHELSEA_0, state: 'FT', settled: 4, unsupported: 1, bets: 3 });
+
+      const res = await request(app).get('/bets?status=open').set(auth(bettor)).expect(200);
+      assert.deepEqual(res.body.bets.map(bet => bet.id), [cornersBet.id]);
+    });
+
+    it('settles the rest by hand', async () => {
+      const [selection] = cornersBet.selections;
+      const bad = await request(app)
+        .put(`/bets/${cornersBet.id}/selections/${selection.id}`)
+        .set(auth(bettor))
+        .send({ status: 'PUSHED' })
+        .expect(400);
+      assert.equal(bad.body.error.code, 'VALIDATION_ERROR');
+
+      const res = await request(app)
+        .put(`/bets/${cornersBet.id}/selections/${selection.id}`)
+        .set(auth(bettor))
+        .send({ status: 'VOID' })
+        .expect(200);
+      assert.deepEqual([res.body.bet.status, res.body.bet.returns, res.body.bet.profit], ['VOID', 10, 0]);
+    });
+
+    it('totals the ledger', async () => {
+      const res = await request(app).get('/bets').set(auth(bettor)).expect(200);
+
+      // Returns 20 + 0 + 5 x 3.8 + 10 (void) on 35 staked
+      assert.deepEqual(res.body.summary, {
+        total: 4,
+        open: 0,
+        won: 2,
+        lost: 1,
+        void: 1,
+        openStake: 0,
+        staked: 35,
+        returns: 49,
+        profit: 14,
+        roi: 40
+      });
+    });
+
+    it('breaks performance down by bookmaker and market', async () => {
+      const res = await request(app).get('/bets/analytics').set(auth(bettor)).expect(200);
+      const { overall } = res.body;
+
+      assert.equal(overall.bets, 4);
+      assert.equal(overall.roi, 40);
+      // Mean of 10/10, -10/10, 14/5 and 0/10
+      assert.equal(overall.yield, 70);
+      assert.equal(overall.strikeRate, 66.7);
+
+      // Same number of bets: the more profitable first
+      assert.deepEqual(res.body.byBookmaker.map(row => [row.name, row.bets, row.profit]), [
+        ['Pinnacle', 2, 14],
+        ['bet365', 2, 0]
+      ]);
+      assert.ok(res.body.byMarket.some(row => row.name === 'Mixed markets' && row.profit === 14));
+    });
+  });
+
+  describe('bankrolls', () => {
+    let owner;
+    let bankroll;
+
+    before(async () => {
+      owner = await createUser(app);
+      const res = await request(app)
+        .post('/bankrolls')
+        .set(auth(owner))
+        .send({ name: 'Main', stakingPlan: 'KELLY', kellyFraction: 0.5, initialDeposit: 1000 })
+        .expect(201);
+      bankroll = res.body.bankroll;
+    });
+
+    it('rejects bad plans and stake requests', async () => {
+      const plan = await request(app)
+        .post('/bankrolls')
+        .set(auth(owner))
+        .send({ name: 'Martingale', stakingPlan: 'MARTINGALE' })
+        .expect(400);
+      assert.equal(plan.body.error.code, 'VALIDATION_ERROR');
+
+      for (const query of ['', '?odds=1', '?odds=2.2']) {
+        const res = await request(app)
+          .get(`/bankrolls/${bankroll.id}/stake-suggestion${query}`)
+          .set(auth(owner))
+          .expect(400);
+        assert.equal(res.body.error.code, 'VALIDATION_ERROR', query);
+      }
+    });
+
+    it('sizes a Kelly stake from the SportsMonks prediction', async () => {
+      const res = await request(app)
+        .get(`/bankrolls/${bankroll.id}/stake-suggestion?odds=2.2&fixtureId=${UPCOMING}&marketId=1&selectionKey=1`)
+        .set(auth(owner))
+        .expect(200);
+
+      // (1.2 x 0.5 - 0.5) / 1.2 = 8.33% of the balance, halved
+      assert.deepEqual(res.body.probability, { value: 0.5, source: 'prediction' });
+      assert.equal(res.body.edge, 10);
+      assert.deepEqual(res.body.kelly, { full: 8.33, fraction: 0.5, applied: 4.17 });
+      assert.equal(res.body.stake, 41.67);
+    });
+
+    it('moves the balance with the bankroll\'s bets', async () => {
+      const logged = await request(app)
+        .post('/bets')
+        .set(auth(owner))
+        .send({ stake: 41.67, selections: [leg(1, '2', 9)], bankrollId: bankroll.id })
+        .expect(201);
+
+      const open = await request(app).get(`/bankrolls/${bankroll.id}`).set(auth(owner)).expect(200);
+      assert.deepEqual([open.body.bankroll.balance, open.body.bankroll.available], [1000, 958.33]);
+
+      await settleFixtureSelections(ARSENAL_5_CHELSEA_0);
+
+      const res = await request(app).get(`/bankrolls/${bankroll.id}/history`).set(auth(owner)).expect(200);
+      assert.deepEqual(res.body.points.map(point => [point.type, point.balance, point.peak]), [
+        ['DEPOSIT', 1000, 1000],
+        ['BET', 958.33, 1000]
+      ]);
+      assert.equal(res.body.points[1].betId, logged.body.bet.id);
+      assert.deepEqual([res.body.drawdown.max, res.body.drawdown.maxPercent], [41.67, 4.17]);
+      assert.equal(res.body.growth.growthPercent, -4.17);
+    });
+
+    it('sizes stakes with each plan from the user\'s probability', async () => {
+      let plans = 0;
+      const suggest = async (plan, query) => {
+        const created = await request(app)
+          .post('/bankrolls')
+          .set(auth(owner))
+          .send({ name: `Plan ${++plans}`, initialDeposit: 1000, ...plan })
+          .expect(201);
+        const res = await request(app)
+          .get(`/bankrolls/${created.body.bankroll.id}/stake-suggestion?${query}`)
+          .set(auth(owner))
+          .expect(200);
+        return res.body;
+      };
+
+      // b = 2, (2 x 0.4 - 0.6) / 2 = 10% of the balance
+      const full = await suggest({ stakingPlan: 'KELLY', kellyFraction: 1 }, 'odds=3&probability=0.4');
+      assert.deepEqual(full.probability, { value: 0.4, source: 'estimate' });
+      assert.equal(full.edge, 20);
+      assert.deepEqual([full.kelly, full.stake], [{ full: 10, fraction: 1, applied: 10 }, 100]);
+
+      const quarter = await suggest({ stakingPlan: 'KELLY', kellyFraction: 0.25 }, 'odds=3&probability=0.4');
+      assert.deepEqual([quarter.kelly, quarter.stake], [{ full: 10, fraction: 0.25, applied: 2.5 }, 25]);
+
+      // No edge: (1 x 0.4 - 0.6) / 1 = -20%, so nothing to stake
+      const against = await suggest({ stakingPlan: 'KELLY', kellyFraction: 1 }, 'odds=2&probability=0.4');
+      assert.equal(against.edge, -20);
+      assert.deepEqual([against.kelly, against.planStake, against.stake], [{ full: -20, fraction: 1, applied: 0 }, 0, 0]);
+
+      const percentage = await suggest({ stakingPlan: 'PERCENTAGE', stakePercent: 2.5 }, 'odds=2');
+      assert.deepEqual([percentage.probability, percentage.stake, percentage.capped], [null, 25, false]);
+
+      const maxed = await suggest({ stakingPlan: 'PERCENTAGE', stakePercent: 2.5, maxStakePercent: 1 }, 'odds=2');
+      assert.deepEqual([maxed.planStake, maxed.stake, maxed.capped], [25, 10, true]);
+
+      // Units of the bankroll's size, else the user's default of 10
+      const flat = await suggest({ stakingPlan: 'FLAT', unitSize: 20 }, 'odds=2&units=3');
+      assert.deepEqual([flat.units, flat.unitSize, flat.stake], [3, 20, 60]);
+      const byDefault = await suggest({ stakingPlan: 'FLAT' }, 'odds=2');
+      assert.deepEqual([byDefault.units, byDefault.unitSize, byDefault.stake], [1, 10, 10]);
+      const allIn = await suggest({ stakingPlan: 'FLAT', unitSize: 600 }, 'odds=2&units=2');
+      assert.deepEqual([allIn.planStake, allIn.stake, allIn.capped], [1200, 1000, true]);
+    });
+
+    it('tracks the peak through bets, deposits and withdrawals', async () => {
+      const created = await request(app)
+        .post('/bankrolls')
+        .set(auth(owner))
+        .send({ name: 'Drawdown', initialDeposit: 1000 })
+        .expect(201);
+      const id = created.body.bankroll.id;
+
+      // Log a single on the 5-0 and settle it by hand
+      const bet = async (stake, odds, status) => {
+        const logged = await request(app)
+          .post('/bets')
+          .set(auth(owner))
+          .send({ stake, selections: [leg(1, '1', odds)], bankrollId: id })
+          .expect(201);
+        const { id: betId, selections: [selection] } = logged.body.bet;
+        await request(app).put(`/bets/${betId}/selections/${selection.id}`).set(auth(owner)).send({ status }).expect(200);
+      };
+      const move = (type, amount) => request(app).post(`/bankrolls/${id}/transactions`).set(auth(owner)).send({ type, amount }).expect(201);
+
+      await bet(100, 2, 'WON');
+      await bet(200, 2, 'LOST');
+      await move('DEPOSIT', 500);
+      await move('WITHDRAWAL', 300);
+      await bet(100, 2.5, 'WON');
+
+      const res = await request(app).get(`/bankrolls/${id}/history`).set(auth(owner)).expect(200);
+
+      // Money moved in or out shifts the peak with the balance: the 200
+      // lost stays the drawdown until the last win wins back 150 of it
+      assert.deepEqual(res.body.points.map(point => [point.type, point.balance, point.peak, point.drawdown]), [
+        ['DEPOSIT', 1000, 1000, 0],
+        ['BET', 1100, 1100, 0],
+        ['BET', 900, 1100, 200],
+        ['DEPOSIT', 1400, 1600, 200],
+        ['WITHDRAWAL', 1100, 1300, 200],
+        ['BET', 1250, 1300, 50]
+      ]);
+      assert.deepEqual(res.body.drawdown, {
+        current: 50,
+        currentPercent: 3.85,
+        max: 200,
+        maxPercent: 18.18,
+        maxAt: res.body.points[2].at
+      });
+      assert.deepEqual(res.body.growth, { deposited: 1500, withdrawn: 300, profit: 50, balance: 1250, growthPercent: 3.33 });
+    });
+  });
+
+  describe('settlement queue', () => {
+    let bettor;
+    let cornersBet;
+
+    before(async () => {
+      bettor = await createUser(app);
+      // Only the cancellation can settle the corners bet; the result bet is gradable
+      const logged = await request(app)
+        .post('/bets')
+        .set(auth(bettor))
+        .send({ stake: 10, selections: [{ fixtureId: CANCELLED, marketId: 67, selectionKey: 'over_10.5', odds: 1.9 }] })
+        .expect(201);
+      cornersBet = logged.body.bet;
+      await request(app).post('/bets').set(auth(bettor)).send({ stake: 10, selections: [leg(1, '1', 2)] }).expect(201);
+    });
+
+    it('puts fixtures it can grade before ones only a cancellation settles', async () => {
+      const from = new Date('2024-04-01');
+      const to = new Date('2024-05-01');
+
+      // 19900005 kicked off first (20 April) but has nothing gradable
+      assert.deepEqual(await fixturesToSettle(from, to, 10), [ARSENAL_5_CHELSEA_0, CANCELLED]);
+      assert.deepEqual(await fixturesToSettle(from, to, 1), [ARSENAL_5_CHELSEA_0]);
+    });
+
+    it('voids every selection of a cancelled fixture, ungradable markets included', async () => {
+      const result = await settleFixtureSelections(CANCELLED);
+      assert.deepEqual(result, { fixtureId: CANCELLED, state: 'CANCELLED', settled: 1, unsupported: 0, bets: 1 });
+
+      const res = await request(app).get(`/bets/${cornersBet.id}`).set(auth(bettor)).expect(200);
+      assert.deepEqual([res.body.bet.status, res.body.bet.returns, res.body.bet.profit], ['VOID', 10, 0]);
+      assert.equal(res.body.bet.selections[0].resultInfo, 'Fixture cancelled');
+    });
+  });
+});
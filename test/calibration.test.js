@@ -0,0 +1,138 @@
+// ============================================
+// CALIBRATION SCORING
+// ============================================
+// How services/calibration.js scores SportsMonks' forecasts: the Brier
+// score and log loss of one forecast, the reliability buckets, and a
+// market's averages against the sample-frequency baseline, all checked
+// against values worked out by hand. Pure functions - no database.
+// ============================================
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CALIBRATION_MARKETS, forecastScores, reliabilityBuckets, marketStats } from '../src/services/calibration.js';
+
+const RESULT = CALIBRATION_MARKETS.find(market => market.key === 'fulltime_result');
+const BTTS = CALIBRATION_MARKETS.find(market => market.key === 'both_teams_to_score');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} != ${expected}`);
+
+// Settled snapshot of a forecast
+const snapshot = (probabilities, outcome) => ({ probabilities, outcome });
+
+describe('forecastScores', () => {
+  it('sums the Brier score over home, draw and away', () => {
+    const probabilities = { home: 0.5, draw: 0.3, away: 0.2 };
+
+    // (0.5 - 1)² + 0.3² + 0.2²
+    const home = forecastScores(RESULT, probabilities, 'home');
+    close(home.brier, 0.38);
+    close(home.logLoss, -Math.log(0.5));
+
+    // 0.5² + 0.3² + (0.2 - 1)²
+    const away = forecastScores(RESULT, probabilities, 'away');
+    close(away.brier, 0.98);
+    close(away.logLoss, 1.6094379);
+  });
+
+  it('counts only the "yes" side of a yes/no market', () => {
+    close(forecastScores(BTTS, { yes: 0.6, no: 0.4 }, 'yes').brier, 0.16);
+
+    const no = forecastScores(BTTS, { yes: 0.6, no: 0.4 }, 'no');
+    close(no.brier, 0.36);
+    close(no.logLoss, 0.9162907);
+  });
+
+  it('caps the log loss of a certain forecast that missed', () => {
+    const { brier, logLoss } = forecastScores(BTTS, { yes: 1, no: 0 }, 'no');
+
+    assert.equal(brier, 1);
+    close(logLoss, -Math.log(1e-6));
+  });
+});
+
+describe('reliabilityBuckets', () => {
+  it('groups forecasts in 10% buckets with how often they happened', () => {
+    const buckets = reliabilityBuckets([
+      [0.05, false],
+      [0.12, true],
+      [0.18, false],
+      [0.65, true],
+      [0.65, false],
+      [0.7, true],
+      // A certain forecast goes in the top bucket
+      [1, true]
+    ]);
+
+    assert.equal(buckets.length, 10);
+    assert.deepEqual(buckets.map(b => [b.from, b.to]).slice(0, 2), [[0, 0.1], [0.1, 0.2]]);
+    assert.deepEqual(buckets.map(b => [b.count, b.meanPredicted, b.observed]), [
+      [1, 0.05, 0],
+      [2, 0.15, 0.5],
+      [0, null, null],
+      [0, null, null],
+      [0, null, null],
+      [0, null, null],
+      [2, 0.65, 0.5],
+      [1, 0.7, 1],
+      [0, null, null],
+      [1, 1, 1]
+    ]);
+  });
+});
+
+describe('marketStats', () => {
+  it('scores a yes/no market against its outcome frequencies', () => {
+    const stats = marketStats(BTTS, [
+      snapshot({ yes: 0.7, no: 0.3 }, 'yes'),
+      snapshot({ yes: 0.6, no: 0.4 }, 'no'),
+      snapshot({ yes: 0.2, no: 0.8 }, 'no'),
+      snapshot({ yes: 0.55, no: 0.45 }, 'yes')
+    ]);
+
+    assert.equal(stats.predictions, 4);
+    // (0.09 + 0.36 + 0.04 + 0.2025) / 4
+    assert.equal(stats.brier, 0.1731);
+    // -(ln 0.7 + ln 0.4 + ln 0.8 + ln 0.55) / 4
+    assert.equal(stats.logLoss, 0.5235);
+    // The favourite came in three times out of four
+    assert.equal(stats.accuracy, 0.75);
+    // One "yes" forecast per bucket: |0.7 - 1|, |0.6 - 0|, |0.2 - 0|, |0.55 - 1|
+    assert.equal(stats.calibrationError, 0.3875);
+    // Always 50% (two of four happened): 0.25 and ln 2
+    assert.deepEqual(stats.baseline, { brier: 0.25, logLoss: 0.6931 });
+  });
+
+  it('pools home, draw and away in the 1X2 reliability curve', () => {
+    const stats = marketStats(RESULT, [
+      snapshot({ home: 0.5, draw: 0.3, away: 0.2 }, 'home'),
+      snapshot({ home: 0.4, draw: 0.35, away: 0.25 }, 'draw')
+    ]);
+
+    // (0.38 + 0.645) / 2 and -(ln 0.5 + ln 0.35) / 2
+    assert.deepEqual([stats.brier, stats.logLoss, stats.accuracy], [0.5125, 0.8715, 0.5]);
+    // Home and draw 50% each, away never: (0.25 + 0.25 + 0) both times
+    assert.deepEqual(stats.baseline, { brier: 0.5, logLoss: 0.6931 });
+
+    // Six points: 20-30% (2, none happened), 30-40% (2, one),
+    // 40-50% (1, no), 50-60% (1, yes)
+    const used = stats.buckets.filter(b => b.count > 0).map(b => [b.from, b.count, b.meanPredicted, b.observed]);
+    assert.deepEqual(used, [
+      [0.2, 2, 0.225, 0],
+      [0.3, 2, 0.325, 0.5],
+      [0.4, 1, 0.4, 0],
+      [0.5, 1, 0.5, 1]
+    ]);
+    // (2 x 0.225 + 2 x 0.175 + 0.4 + 0.5) / 6
+    assert.equal(stats.calibrationError, 0.2833);
+  });
+
+  it('has no scores without settled forecasts', () => {
+    const stats = marketStats(BTTS, []);
+
+    assert.deepEqual(
+      [stats.predictions, stats.brier, stats.logLoss, stats.accuracy, stats.calibrationError, stats.baseline],
+      [0, null, null, null, null, null]
+    );
+    assert.ok(stats.buckets.every(b => b.count === 0));
+  });
+});
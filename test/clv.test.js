@@ -0,0 +1,133 @@
+// ============================================
+// CLOSING LINE VALUE
+// ============================================
+// Closing prices captured by services/clv.js and the report over them.
+// Before kick-off the price comes from the live odds tree: Arsenal v
+// Chelsea on 2099-08-15 (19900001), replayed from recordings/sportsmonks
+// (1X2 at bet365 2.20 / 3.50 / 3.40, best draw 4.00 at Betfair). After
+// kick-off it's the last odds snapshot before it: Arsenal v Chelsea
+// (18841433, 2024-04-23 19:00 UTC), with snapshots seeded here.
+// ============================================
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { startApp, createUser } from './helpers.js';
+
+const UPCOMING = 19900001;
+const KICKED_OFF = 18841433;
+
+describe('closing line value', () => {
+  let app;
+  let prisma;
+  let captureClosingOdds;
+  let bettor;
+
+  const auth = (user) => ({ Authorization: `Bearer ${user.token}` });
+
+  /**
+   * Odds snapshot of 18841433 recorded at a time on match day
+   * @param {number} bookmakerId
+   * @param {number} marketId
+   * @param {string} label
+   * @param {number} value
+   * @param {string} time - HH:MM UTC
+   * @returns {object}
+   */
+  const snapshot = (bookmakerId, marketId, label, value, time) => ({
+    fixtureId: KICKED_OFF,
+    oddId: BigInt(bookmakerId * 1000 + marketId * 10 + label.length),
+    bookmakerId,
+    marketId,
+    label,
+    value,
+    kickoffAt: new Date('2024-04-23T19:00:00Z'),
+    recordedAt: new Date(`2024-04-23T${time}:00Z`)
+  });
+
+  // Closing bookmaker, price and CLV of every selection, lowest odds taken first
+  async function closing() {
+    const selections = await prisma.betSelection.findMany({ orderBy: { odds: 'asc' } });
+    return selections.map(s => [s.fixtureId, s.selectionKey, s.closingBookmakerId, s.closingOdds, s.clv]);
+  }
+
+  before(async () => {
+    ({ app, prisma } = await startApp());
+    // Imported after startApp, which points the database at the test one
+    ({ captureClosingOdds } = await import('../src/services/clv.js'));
+
+    bettor = await createUser(app);
+    const bets = [
+      { stake: 10, selections: [{ fixtureId: UPCOMING, marketId: 1, selectionKey: '1', odds: 2.3 }], bookmakerId: 2, bookmakerName: 'bet365' },
+      { stake: 10, selections: [{ fixtureId: UPCOMING, marketId: 1, selectionKey: 'X', odds: 3.8 }] },
+      { stake: 10, selections: [{ fixtureId: KICKED_OFF, marketId: 1, selectionKey: '1', odds: 2 }], bookmakerId: 20, bookmakerName: 'Pinnacle' },
+      { stake: 10, selections: [{ fixtureId: KICKED_OFF, marketId: 14, selectionKey: 'yes', odds: 1.7 }] }
+    ];
+    for (const bet of bets) {
+      await request(app).post('/bets').set(auth(bettor)).send(bet).expect(201);
+    }
+
+    await prisma.oddsSnapshot.createMany({
+      data: [
+        snapshot(20, 1, 'Home', 1.9, '17:00'),
+        snapshot(2, 1, 'Home', 1.95, '18:50'),
+        snapshot(20, 1, 'Home', 1.8, '18:55'),
+        // In play: after kick-off, so not the closing price
+        snapshot(20, 1, 'Home', 1.3, '19:30'),
+        snapshot(2, 14, 'Yes', 1.6, '18:55'),
+        snapshot(9, 14, 'Yes', 1.75, '18:55')
+      ]
+    });
+  });
+
+  after(async () => {
+    await prisma.$disconnect();
+  });
+
+  it('takes the closing price from the live odds before kick-off', async () => {
+    const result = await captureClosingOdds(UPCOMING);
+    assert.deepEqual(result, { fixtureId: UPCOMING, source: 'odds', selections: 2, captured: 2 });
+
+    // 2.3 / 2.2 - 1 at the bet's own bookmaker; 3.8 / 4 - 1 at the best price
+    const captured = (await closing()).filter(([fixtureId]) => fixtureId === UPCOMING);
+    assert.deepEqual(captured, [
+      [UPCOMING, '1', 2, 2.2, 4.55],
+      [UPCOMING, 'X', 9, 4, -5]
+    ]);
+  });
+
+  it('takes the last snapshot before kick-off once the fixture has started', async () => {
+    const result = await captureClosingOdds(KICKED_OFF);
+    assert.deepEqual(result, { fixtureId: KICKED_OFF, source: 'snapshots', selections: 2, captured: 2 });
+
+    // 2 / 1.8 - 1 at Pinnacle's 18:55 price; 1.7 / 1.75 - 1 at the best price
+    const captured = (await closing()).filter(([fixtureId]) => fixtureId === KICKED_OFF);
+    assert.deepEqual(captured, [
+      [KICKED_OFF, 'yes', 9, 1.75, -2.86],
+      [KICKED_OFF, '1', 20, 1.8, 11.11]
+    ]);
+
+    const pinnacle = await prisma.betSelection.findFirst({ where: { fixtureId: KICKED_OFF, selectionKey: '1' } });
+    assert.equal(pinnacle.closingRecordedAt.toISOString(), '2024-04-23T18:55:00.000Z');
+  });
+
+  it('leaves captured prices alone after kick-off', async () => {
+    const result = await captureClosingOdds(KICKED_OFF);
+    assert.deepEqual(result, { fixtureId: KICKED_OFF, source: null, selections: 0, captured: 0 });
+  });
+
+  it('averages CLV overall and by bookmaker', async () => {
+    const res = await request(app).get('/bets/clv').set(auth(bettor)).expect(200);
+
+    // (4.55 - 5 + 11.11 - 2.86) / 4; two of four beat the closing line
+    assert.deepEqual(res.body.overall, { selections: 4, averageClv: 1.95, beatClosingRate: 50, untracked: 0 });
+
+    // Most selections first, then the best average
+    assert.deepEqual(res.body.byBookmaker.map(row => [row.name, row.selections, row.averageClv]), [
+      ['Unknown', 2, -3.93],
+      ['Pinnacle', 1, 11.11],
+      ['bet365', 1, 4.55]
+    ]);
+    assert.equal(res.body.timeline.at(-1).averageClv, 1.95);
+  });
+});
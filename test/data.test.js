@@ -0,0 +1,282 @@
+// ============================================
+// DATA ROUTES
+// ============================================
+// Request validation and aggregation on the SportsMonks data routers,
+// replayed from recordings/sportsmonks (Arsenal's 2023/24 Premier League
+// season: fixture 18841433 is Arsenal 5-0 Chelsea).
+// ============================================
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { startApp } from './helpers.js';
+
+const ARSENAL = 19;
+const CHELSEA = 18;
+const SEASON = 21646;
+
+describe('data routes', () => {
+  let app;
+  let prisma;
+  let refreshCache;
+
+  before(async () => {
+    ({ app, prisma } = await startApp());
+    // Imported once startApp has pointed the app at the test database
+    ({ refreshCache } = await import('../src/services/types.js'));
+
+    // Type names come from the database (services/types.js)
+    await prisma.sportsMonksType.createMany({
+      data: [
+        { id: 14, name: 'Goal', code: 'goal', developerName: 'GOAL', modelType: 'event' },
+        { id: 34, name: 'Corners', code: 'corners', developerName: 'CORNERS', modelType: 'statistic' }
+      ]
+    });
+  });
+
+  after(async () => {
+    await prisma.$disconnect();
+  });
+
+  describe('validation', () => {
+    it('rejects IDs that aren\'t positive integers', async () => {
+      for (const url of ['/fixtures/abc', '/fixtures/0', '/teams/abc', `/teams/${ARSENAL}/corners/seasons/x`]) {
+        const res = await request(app).get(url).expect(400);
+        assert.equal(res.body.error.code, 'VALIDATION_ERROR', url);
+      }
+    });
+
+    it('rejects a head-to-head of a team with itself', async () => {
+      const res = await request(app).get(`/teams/h2h/${ARSENAL}/${ARSENAL}`).expect(400);
+      assert.equal(res.body.error.code, 'VALIDATION_ERROR');
+    });
+
+    it('answers 503 for data that was never recorded', async () => {
+      const res = await request(app).get('/fixtures/1').expect(503);
+      assert.equal(res.body.error.code, 'UPSTREAM_UNAVAILABLE');
+    });
+  });
+
+  describe('GET /fixtures/:id', () => {
+    it('returns the fixture with type names', async () => {
+      const res = await request(app).get('/fixtures/18841433').expect(200);
+      const { fixture } = res.body;
+
+      assert.equal(fixture.name, 'Arsenal vs Chelsea');
+      assert.deepEqual(res.body.includes, { odds: false, sidelined: false });
+
+      const corners = fixture.statistics.find(stat => stat.type_id === 34);
+      assert.equal(corners.typeName, 'Corners');
+      assert.equal(fixture.events.filter(event => event.typeName === 'Goal').length, 5);
+    });
+  });
+
+  describe('conditional GET', () => {
+    const url = '/fixtures/18841433';
+
+    it('answers 304 without a body when the ETag matches', async () => {
+      const first = await request(app).get(url).expect(200);
+      const { etag } = first.headers;
+      assert.match(etag, /^"[\w-]+"$/);
+      assert.match(first.headers['cache-control'], /^public, max-age=\d+/);
+
+      const res = await request(app).get(url).set('If-None-Match', etag).expect(304);
+      assert.equal(res.text, '');
+      assert.equal(res.headers.etag, etag);
+    });
+
+    it('changes the ETag when data outside the cache changes the body', async () => {
+      const { etag } = (await request(app).get(url).expect(200)).headers;
+
+      // Type names come from Postgres, not the cached fixture
+      await prisma.sportsMonksType.update({ where: { id: 34 }, data: { name: 'Corner Kicks' } });
+      await refreshCache();
+
+      try {
+        const res = await request(app).get(url).set('If-None-Match', etag).expect(200);
+        assert.notEqual(res.headers.etag, etag);
+        assert.equal(res.body.fixture.statistics.find(stat => stat.type_id === 34).typeName, 'Corner Kicks');
+      } finally {
+        await prisma.sportsMonksType.update({ where: { id: 34 }, data: { name: 'Corners' } });
+        await refreshCache();
+      }
+    });
+  });
+
+  describe('GET /teams/:id/corners/seasons/:seasonId', () => {
+    it('averages the season\'s corners at home and away', async () => {
+      const res = await request(app).get(`/teams/${ARSENAL}/corners/seasons/${SEASON}`).expect(200);
+
+      assert.equal(res.body.source, 'sportsmonks');
+      assert.equal(res.body.seasonName, '2023/2024');
+      assert.equal(res.body.leagueName, 'Premier League');
+      // Cup ties in the same dates belong to other seasons and are left out
+      assert.deepEqual(res.body.corners, {
+        home: { total: 113, games: 19, average: 5.95 },
+        away: { total: 78, games: 19, average: 4.11 },
+        overall: { total: 191, games: 38, average: 5.03 }
+      });
+    });
+
+    it('serves a repeat request from the cache', async () => {
+      const res = await request(app).get(`/teams/${ARSENAL}/corners/seasons/${SEASON}`).expect(200);
+      assert.equal(res.body.fromCache, true);
+      assert.equal(res.body.corners.overall.total, 191);
+    });
+  });
+
+  // A stored fixture with its participants and full-time score
+  const storeFixture = (id, seasonId, home, away, homeGoals, awayGoals, startingAt, state = 'FT') => {
+    const finished = state === 'FT';
+    return prisma.warehouseFixture.create({
+      data: {
+        id,
+        seasonId,
+        leagueId: 8,
+        name: `${home} vs ${away}`,
+        startingAt: new Date(startingAt),
+        state,
+        finished,
+        homeTeamId: home,
+        awayTeamId: away,
+        homeGoals,
+        awayGoals,
+        syncedAt: new Date(),
+        participants: {
+          create: [
+            { teamId: home, name: String(home), location: 'home' },
+            { teamId: away, name: String(away), location: 'away' }
+          ]
+        },
+        scores: finished
+          ? {
+              create: [
+                { id: id * 10 + 1, typeId: 1525, teamId: home, description: 'CURRENT', participant: 'home', goals: homeGoals },
+                { id: id * 10 + 2, typeId: 1525, teamId: away, description: 'CURRENT', participant: 'away', goals: awayGoals }
+              ]
+            }
+          : undefined
+      }
+    });
+  };
+
+  describe('GET /teams/h2h/:team1Id/:team2Id', () => {
+    const url = `/teams/h2h/${ARSENAL}/${CHELSEA}`;
+
+    it('summarises the meetings from SportsMonks and records which are finished', async () => {
+      const res = await request(app).get(url).expect(200);
+
+      assert.equal(res.body.source, 'sportsmonks');
+      assert.deepEqual(res.body.summary, { totalMatches: 3, team1Wins: 2, team2Wins: 0, draws: 1 });
+
+      // Stored lower team ID first
+      const checked = await prisma.warehouseHeadToHead.findUnique({
+        where: { team1Id_team2Id: { team1Id: CHELSEA, team2Id: ARSENAL } }
+      });
+      assert.deepEqual([...checked.fixtureIds].sort(), [18535605, 18841408, 18841433]);
+    });
+
+    it('uses SportsMonks while the warehouse misses older meetings', async () => {
+      await prisma.warehouseSeason.create({ data: { id: SEASON, leagueId: 8, name: '2023/2024' } });
+      await storeFixture(18841433, SEASON, ARSENAL, CHELSEA, 5, 0, '2024-04-23T19:00:00Z');
+      await storeFixture(18841408, SEASON, CHELSEA, ARSENAL, 2, 2, '2023-10-21T16:30:00Z');
+
+      const res = await request(app).get(url).expect(200);
+      assert.equal(res.body.source, 'sportsmonks');
+      assert.equal(res.body.summary.totalMatches, 3);
+    });
+
+    it('uses the warehouse once it holds every finished meeting, without unplayed ones', async () => {
+      await prisma.warehouseSeason.create({ data: { id: 19734, leagueId: 8, name: '2022/2023' } });
+      await storeFixture(18535605, 19734, CHELSEA, ARSENAL, 0, 1, '2022-11-06T12:00:00Z');
+      await storeFixture(18841500, SEASON, ARSENAL, CHELSEA, null, null, '2099-01-01T15:00:00Z', 'NS');
+
+      const res = await request(app).get(url).expect(200);
+      assert.equal(res.body.source, 'warehouse');
+      assert.deepEqual(res.body.summary, { totalMatches: 3, team1Wins: 2, team2Wins: 0, draws: 1 });
+      assert.ok(!res.body.fixtures.some(fixture => fixture.id === 18841500));
+
+      const latest = res.body.fixtures[0];
+      assert.equal(latest.id, 18841433);
+      assert.deepEqual(latest.season, { id: SEASON, name: '2023/2024' });
+      assert.equal(latest.venue, null);
+    });
+
+    it('answers from the warehouse alone for a covered pair', async () => {
+      // Nothing is recorded for Arsenal v Aston Villa, so a SportsMonks
+      // call would fail with 503
+      const VILLA = 15;
+      await storeFixture(18535601, 19734, ARSENAL, VILLA, 0, 2, '2023-04-14T15:30:00Z');
+      await prisma.warehouseHeadToHead.create({
+        data: { team1Id: VILLA, team2Id: ARSENAL, fixtureIds: [18535601], checkedAt: new Date() }
+      });
+
+      const res = await request(app).get(`/teams/h2h/${ARSENAL}/${VILLA}`).expect(200);
+      assert.equal(res.body.source, 'warehouse');
+      assert.deepEqual(res.body.summary, { totalMatches: 1, team1Wins: 0, team2Wins: 1, draws: 0 });
+    });
+  });
+
+  describe('GET /teams/:id/stats/seasons/:seasonId', () => {
+    it('computes the season statistics from the warehouse', async () => {
+      await prisma.warehouseSeason.update({ where: { id: SEASON }, data: { lastSyncedAt: new Date() } });
+
+      // Half-time scores and goals of the two stored Arsenal v Chelsea games
+      await prisma.warehouseScore.createMany({
+        data: [
+          { id: 184114331, typeId: 1, teamId: ARSENAL, fixtureId: 18841433, description: '1ST_HALF', participant: 'home', goals: 1 },
+          { id: 184114332, typeId: 1, teamId: CHELSEA, fixtureId: 18841433, description: '1ST_HALF', participant: 'away', goals: 0 },
+          { id: 184114081, typeId: 1, teamId: CHELSEA, fixtureId: 18841408, description: '1ST_HALF', participant: 'home', goals: 1 },
+          { id: 184114082, typeId: 1, teamId: ARSENAL, fixtureId: 18841408, description: '1ST_HALF', participant: 'away', goals: 0 }
+        ]
+      });
+      const goal = (id, fixtureId, teamId, minute, result) => ({ id, fixtureId, typeId: 14, teamId, minute, result });
+      await prisma.warehouseEvent.createMany({
+        data: [
+          goal(1, 18841433, ARSENAL, 4, '1-0'),
+          goal(2, 18841433, ARSENAL, 52, '2-0'),
+          goal(3, 18841433, ARSENAL, 57, '3-0'),
+          goal(4, 18841433, ARSENAL, 65, '4-0'),
+          goal(5, 18841433, ARSENAL, 70, '5-0'),
+          goal(6, 18841408, CHELSEA, 15, '1-0'),
+          goal(7, 18841408, CHELSEA, 48, '2-0'),
+          goal(8, 18841408, ARSENAL, 77, '2-1'),
+          goal(9, 18841408, ARSENAL, 84, '2-2')
+        ]
+      });
+
+      const res = await request(app).get(`/teams/${ARSENAL}/stats/seasons/${SEASON}`).expect(200);
+      assert.equal(res.body.source, 'warehouse');
+
+      const value = (typeId) => res.body.team.statistics[0].details.find(d => d.type_id === typeId)?.value;
+
+      // Played 5-0 at home and 2-2 away; the unplayed fixture doesn't count
+      assert.deepEqual(value(27263), { total: 2, home: 1, away: 1 });
+      assert.deepEqual(value(214).all, { count: 1, percentage: 50 });
+      assert.deepEqual(value(215).away, { count: 1, percentage: 100 });
+      assert.deepEqual(value(52), {
+        all: { count: 7, average: 3.5 },
+        home: { count: 5, average: 5 },
+        away: { count: 2, average: 2 }
+      });
+      assert.deepEqual(value(88).all, { count: 2, average: 1 });
+      assert.deepEqual(value(194).home, { count: 1, percentage: 100 });
+      assert.equal(value(196)['75-90'].count, 2);
+      assert.equal(value(196)['45-60'].percentage, 28.57);
+      assert.equal(value(213)['0-15'].count, 1);
+      assert.equal(value(27250).most_scored_half, '2nd-half');
+      assert.deepEqual(value(27250).details['1st-half'], { period: '1st-half', total: 1 });
+      assert.deepEqual(value(27256), { won_both_halves: 1, scored_both_halves: 1, comebacks: 0 });
+      assert.deepEqual(value(191).over_2_5, {
+        matches: { count: 2, percentage: 100 },
+        team: { count: 1, percentage: 50 }
+      });
+    });
+
+    it('uses SportsMonks for seasons that aren\'t synced', async () => {
+      // Nothing is recorded for this season
+      const res = await request(app).get(`/teams/${ARSENAL}/stats/seasons/19734`).expect(503);
+      assert.equal(res.body.error.code, 'UPSTREAM_UNAVAILABLE');
+    });
+  });
+});
@@ -0,0 +1,55 @@
+// ============================================
+// ELO RATINGS
+// ============================================
+// The formulas of services/ratings.js: the home side's expected score
+// (60 points of home advantage), the goal-margin weight and the
+// win/draw/loss chances, against hand-computed values. Pure functions -
+// no database.
+// ============================================
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { expectedScore, marginMultiplier, outcomeProbabilities } from '../src/services/ratings.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-5, `${actual} != ${expected}`);
+
+describe('expectedScore', () => {
+  it('gives the home side its advantage between equal ratings', () => {
+    // 1 / (1 + 10^(-60 / 400))
+    close(expectedScore(1500, 1500), 0.58550);
+  });
+
+  it('is even when the visitors are 60 points better', () => {
+    assert.equal(expectedScore(1440, 1500), 0.5);
+  });
+
+  it('falls with the gap', () => {
+    // 1 / (1 + 10^(340 / 400))
+    close(expectedScore(1500, 1900), 0.12377);
+    close(expectedScore(1900, 1500), 1 / (1 + 10 ** (-460 / 400)));
+  });
+});
+
+describe('marginMultiplier', () => {
+  it('weighs wins by their margin as eloratings.net does', () => {
+    assert.deepEqual([0, 1, 2, 3, 4, 6].map(marginMultiplier), [1, 1, 1.5, 1.75, 1.875, 2.125]);
+  });
+});
+
+describe('outcomeProbabilities', () => {
+  it('has the most draws between evenly matched sides', () => {
+    assert.deepEqual(outcomeProbabilities(1440, 1500), { home: 36, draw: 28, away: 36 });
+  });
+
+  it('takes draws equally out of both sides\' chances', () => {
+    // Expected 0.5855: draw 0.28 x (1 - 0.171) = 23.2%
+    assert.deepEqual(outcomeProbabilities(1500, 1500), { home: 46.9, draw: 23.2, away: 29.8 });
+  });
+
+  it('leaves few draws in a mismatch', () => {
+    const chances = outcomeProbabilities(1800, 1400);
+
+    assert.deepEqual(chances, { home: 91.5, draw: 3.7, away: 4.8 });
+    assert.ok(Math.abs(chances.home + chances.draw + chances.away - 100) < 0.2);
+  });
+});
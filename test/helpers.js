@@ -0,0 +1,106 @@
+// ============================================
+// TEST HELPERS
+// ============================================
+// Boots the exported Express app (src/index.js) for the HTTP tests:
+//   - Postgres: TEST_DATABASE_URL, a database the tests may wipe. Its
+//     public schema is dropped and rebuilt from prisma/migrations once
+//     per test file.
+//   - SportsMonks: replay mode, from the recordings committed under
+//     recordings/sportsmonks (see services/recordings.js), so no API key
+//     or network is needed.
+//   - Cache: in memory, so every test file starts cold.
+//
+// Without TEST_DATABASE_URL importing this module throws, so every HTTP
+// test file fails with the reason instead of passing without running.
+// ============================================
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import pg from 'pg';
+import request from 'supertest';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MIGRATIONS_DIR = path.join(ROOT, 'prisma', 'migrations');
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+if (!TEST_DATABASE_URL) {
+  throw new Error(
+    'TEST_DATABASE_URL is not set. The HTTP tests need a Postgres database whose tables they may drop ' +
+    '(see "Run the Tests" in docs/README.md).'
+  );
+}
+
+/**
+ * Drop the test database's tables and apply every migration in order
+ * @returns {Promise<void>}
+ */
+async function resetDatabase() {
+  const client = new pg.Client({ connectionString: TEST_DATABASE_URL });
+  await client.connect();
+
+  try {
+    await client.query('DROP SCHEMA IF EXISTS public CASCADE; CREATE SCHEMA public');
+
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+      .filter(name => fs.existsSync(path.join(MIGRATIONS_DIR, name, 'migration.sql')))
+      .sort();
+
+    for (const name of migrations) {
+      await client.query(fs.readFileSync(path.join(MIGRATIONS_DIR, name, 'migration.sql'), 'utf8'));
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+/**
+ * Reset the test database and import the app against it
+ * @returns {Promise<{ app: object, prisma: object }>}
+ */
+async function startApp() {
+  // Set before the app is imported - dotenv doesn't override them
+  Object.assign(process.env, {
+    DATABASE_URL: TEST_DATABASE_URL,
+    SPORTSMONKS_MODE: 'replay',
+    SPORTSMONKS_RECORDINGS_DIR: path.join(ROOT, 'recordings', 'sportsmonks'),
+    CACHE_STORE: 'memory',
+    JWT_SECRET: 'test-secret',
+    LOG_LEVEL: process.env.LOG_LEVEL || 'silent'
+  });
+
+  await resetDatabase();
+
+  const { default: app } = await import('../src/index.js');
+  const { default: prisma } = await import('../src/db.js');
+  return { app, prisma };
+}
+
+// Unique per call, so test files never collide on emails
+let userCount = 0;
+
+/**
+ * Register and log in a new user
+ * @param {object} app - The Express app
+ * @param {object} [options]
+ * @param {object} [options.prisma] - Needed to make the user an admin
+ * @param {boolean} [options.admin] - Promote the user to admin
+ * @returns {Promise<{ token: string, user: object, email: string, password: string }>}
+ */
+async function createUser(app, { prisma, admin = false } = {}) {
+  userCount++;
+  const email = `user${userCount}-${process.pid}@example.com`;
+  const password = 'secret123';
+
+  await request(app).post('/auth/register').send({ email, password }).expect(201);
+  const login = await request(app).post('/auth/login').send({ email, password }).expect(200);
+
+  if (admin) {
+    await prisma.user.update({ where: { email }, data: { isAdmin: true } });
+  }
+
+  return { token: login.body.token, user: login.body.user, email, password };
+}
+
+export { startApp, createUser };
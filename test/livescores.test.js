@@ -0,0 +1,58 @@
+// ============================================
+// LIVE SCORES ROUTES
+// ============================================
+// Today's fixtures and the ones in play, replayed from
+// recordings/sportsmonks: Arsenal v Chelsea (2-1) and Liverpool v
+// Everton (0-0) in the second half, Manchester City v Arsenal not
+// started. The routes take no input, so what they reject is polling
+// past the live scores limit (30 a minute).
+// ============================================
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { startApp } from './helpers.js';
+
+describe('live scores routes', () => {
+  let app;
+  let prisma;
+
+  before(async () => {
+    ({ app, prisma } = await startApp());
+  });
+
+  after(async () => {
+    await prisma.$disconnect();
+  });
+
+  it('counts today\'s live and upcoming fixtures', async () => {
+    const res = await request(app).get('/livescores').expect(200);
+
+    assert.equal(res.body.count, 3);
+    assert.equal(res.body.message, 'Found 3 live/upcoming fixtures');
+    assert.deepEqual(res.body.fixtures.map(f => f.state.state), ['INPLAY_2ND_HALF', 'INPLAY_2ND_HALF', 'NS']);
+  });
+
+  it('returns the fixtures in play with their score and goals', async () => {
+    const res = await request(app).get('/livescores/inplay').expect(200);
+
+    assert.equal(res.body.count, 2);
+    assert.equal(res.body.message, 'Found 2 matches currently in play');
+
+    const [arsenal] = res.body.fixtures;
+    const current = (side) => arsenal.scores.find(s => s.description === 'CURRENT' && s.score.participant === side).score.goals;
+    assert.equal(arsenal.name, 'Arsenal vs Chelsea');
+    assert.deepEqual([current('home'), current('away')], [2, 1]);
+    assert.equal(arsenal.events.length, current('home') + current('away'));
+  });
+
+  it('rejects polling past the limit with RATE_LIMITED', async () => {
+    // Two requests above came out of the same window
+    for (let i = 2; i < 30; i++) {
+      await request(app).get('/livescores').expect(200);
+    }
+
+    const res = await request(app).get('/livescores/inplay').expect(429);
+    assert.equal(res.body.error.code, 'RATE_LIMITED');
+  });
+});
@@ -0,0 +1,104 @@
+// ============================================
+// MARGIN REMOVAL
+// ============================================
+// services/margin.js on hand-checkable books: the overround, each
+// method's fair probabilities, and the fallback to proportional when a
+// method's bisection has no root. Pure functions - no database.
+// ============================================
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MARGIN_METHODS, removeMargin } from '../src/services/margin.js';
+
+// A 1X2 book with a 3.38% margin
+const BOOK = [2.6, 2.4, 4.3];
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Assert two arrays of numbers are equal to a number of decimal places
+ * @param {number[]} actual
+ * @param {number[]} expected
+ * @param {number} places
+ */
+function assertClose(actual, expected, places) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((value, i) => {
+    assert.ok(Math.abs(value - expected[i]) < 0.5 * 10 ** -places, `${value} != ${expected[i]} at ${i}`);
+  });
+}
+
+describe('removeMargin', () => {
+  it('measures the overround from the implied probabilities', () => {
+    // 1/2.6 + 1/2.4 + 1/4.3 = 1.03384
+    const { overround } = removeMargin(BOOK);
+    assert.ok(Math.abs(overround - 0.03384) < 1e-5);
+  });
+
+  it('scales every implied probability by the same factor (proportional)', () => {
+    const { probabilities, method } = removeMargin(BOOK);
+    const total = 1 / 2.6 + 1 / 2.4 + 1 / 4.3;
+
+    assert.equal(method, 'proportional');
+    assertClose(probabilities, BOOK.map(odds => 1 / odds / total), 12);
+  });
+
+  it('matches the published worked example of Shin\'s method', () => {
+    // README of the "shin" Python package (mberk/shin), odds 2.6 / 2.4 / 4.3
+    const { probabilities, method } = removeMargin(BOOK, 'shin');
+
+    assert.equal(method, 'shin');
+    assertClose(probabilities, [0.3729941, 0.4047794, 0.2222265], 7);
+  });
+
+  it('takes more of the margin off longshots than proportional does', () => {
+    const proportional = removeMargin(BOOK).probabilities;
+
+    for (const method of ['shin', 'power', 'odds-ratio']) {
+      const { probabilities } = removeMargin(BOOK, method);
+      assert.ok(probabilities[2] < proportional[2], `${method}: longshot ${probabilities[2]}`);
+      assert.ok(probabilities[1] > proportional[1], `${method}: favourite ${probabilities[1]}`);
+    }
+  });
+
+  it('raises implied probabilities to one power (power)', () => {
+    const { probabilities } = removeMargin(BOOK, 'power');
+    const k = Math.log(probabilities[0]) / Math.log(1 / 2.6);
+
+    assert.ok(k > 1);
+    assertClose(probabilities, BOOK.map(odds => (1 / odds) ** k), 9);
+  });
+
+  it('applies one odds ratio to every outcome (odds-ratio)', () => {
+    const { probabilities } = removeMargin(BOOK, 'odds-ratio');
+    const oddsRatio = (fair, odds) => (fair / (1 - fair)) / ((1 / odds) / (1 - 1 / odds));
+    const ratios = probabilities.map((p, i) => oddsRatio(p, BOOK[i]));
+
+    assertClose(ratios, [ratios[0], ratios[0], ratios[0]], 8);
+  });
+
+  it('gives fair probabilities that sum to 1 with every method', () => {
+    for (const book of [BOOK, [1.9, 1.9], [1.25, 5.5, 13], [2.2, 4, 4.4]]) {
+      for (const method of MARGIN_METHODS) {
+        const { probabilities } = removeMargin(book, method);
+        assert.ok(Math.abs(sum(probabilities) - 1) < 1e-8, `${method} on ${book}: ${sum(probabilities)}`);
+      }
+    }
+  });
+
+  it('leaves an even book without margin at evens', () => {
+    for (const method of MARGIN_METHODS) {
+      const { overround, probabilities } = removeMargin([2, 2], method);
+      assert.equal(overround, 0);
+      assertClose(probabilities, [0.5, 0.5], 8);
+    }
+  });
+
+  it('falls back to proportional when the bisection has no root', () => {
+    // Implied 0.995 + 0.990: no power in 0.01-50 brings the total down to 1
+    const { probabilities, method } = removeMargin([1.005, 1.01], 'power');
+
+    assert.equal(method, 'proportional');
+    assert.deepEqual(probabilities, removeMargin([1.005, 1.01]).probabilities);
+  });
+});
@@ -0,0 +1,161 @@
+// ============================================
+// MATCH MODEL
+// ============================================
+// The Dixon-Coles model of services/matchModel.js: the score matrix,
+// Asian handicap lines on a hand-built matrix, rho on low scores alone,
+// and the strength fit on synthetic results whose strengths are known.
+// Pure functions - no database.
+// ============================================
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fitModel, fitRho, scoreMatrix, asianHandicap } from '../src/services/matchModel.js';
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// P(goals) of a Poisson distribution
+const poisson = (rate, goals) => Math.exp(-rate) * rate ** goals / [1, 1, 2, 6, 24][goals];
+
+describe('scoreMatrix', () => {
+  it('sums to 1', () => {
+    for (const [homeRate, awayRate, rho] of [[1.5, 1.1, 0], [2.8, 0.4, -0.1], [0.6, 0.7, 0.15], [4, 3.5, -0.05]]) {
+      const total = sum(scoreMatrix(homeRate, awayRate, rho).flat());
+      assert.ok(Math.abs(total - 1) < 1e-12, `${homeRate} v ${awayRate}, rho ${rho}: ${total}`);
+    }
+  });
+
+  it('is two independent Poisson distributions when rho is 0', () => {
+    const matrix = scoreMatrix(1.5, 1.1, 0);
+
+    for (const [h, a] of [[0, 0], [1, 1], [2, 1], [0, 3]]) {
+      // Scores above 10 goals a side are cut off, under 1e-6 of the total
+      const expected = poisson(1.5, h) * poisson(1.1, a);
+      assert.ok(Math.abs(matrix[h][a] / expected - 1) < 1e-6, `${h}-${a}`);
+    }
+  });
+
+  it('moves probability between the low scores with rho', () => {
+    const plain = scoreMatrix(1.5, 1.1, 0);
+    const adjusted = scoreMatrix(1.5, 1.1, -0.1);
+
+    // Negative rho: more 0-0 and 1-1, fewer 1-0 and 0-1
+    assert.ok(adjusted[0][0] > plain[0][0]);
+    assert.ok(adjusted[1][1] > plain[1][1]);
+    assert.ok(adjusted[1][0] < plain[1][0]);
+    assert.ok(adjusted[0][1] < plain[0][1]);
+
+    // 1-1 is scaled by 1 - rho, 2-2 not at all
+    const ratio = (matrix) => matrix[1][1] / matrix[2][2];
+    assert.ok(Math.abs(ratio(adjusted) / ratio(plain) - 1.1) < 1e-12);
+  });
+});
+
+describe('asianHandicap', () => {
+  // [home goals][away goals]; home margin 2: 15%, 1: 30%, 0: 35%, -1: 15%, -2: 5%
+  const MATRIX = [
+    [0.1, 0.1, 0.05],
+    [0.2, 0.15, 0.05],
+    [0.15, 0.1, 0.1]
+  ];
+  const chances = ({ homeWin, push, awayWin }) => [homeWin, push, awayWin];
+
+  it('settles half lines without a push', () => {
+    const line = asianHandicap(MATRIX, -0.5);
+
+    assert.deepEqual(chances(line), [45, 0, 55]);
+    // 1 + 0.55 / 0.45 and 1 + 0.45 / 0.55
+    assert.deepEqual([line.homeOdds, line.awayOdds], [2.22, 1.82]);
+  });
+
+  it('pushes on a whole line when the margin matches it', () => {
+    assert.deepEqual(chances(asianHandicap(MATRIX, 0)), [45, 35, 20]);
+    assert.deepEqual(chances(asianHandicap(MATRIX, -1)), [15, 30, 55]);
+  });
+
+  it('splits a quarter line into the two lines next to it', () => {
+    // -0.75: half on -0.5 (45 / 0 / 55), half on -1 (15 / 30 / 55)
+    const minus = asianHandicap(MATRIX, -0.75);
+    assert.deepEqual(chances(minus), [30, 15, 55]);
+    assert.deepEqual([minus.homeOdds, minus.awayOdds], [2.83, 1.55]);
+
+    // +0.25: half on 0 (45 / 35 / 20), half on +0.5 (80 / 0 / 20)
+    assert.deepEqual(chances(asianHandicap(MATRIX, 0.25)), [62.5, 17.5, 20]);
+  });
+
+  it('has no fair price for a side that can\'t win', () => {
+    const line = asianHandicap(MATRIX, -2.5);
+    assert.deepEqual([line.homeWin, line.homeOdds, line.awayOdds], [0, null, 1]);
+  });
+});
+
+describe('fitRho', () => {
+  const EVEN = new Map([[1, 1], [2, 1]]);
+
+  /**
+   * Matches between two even teams (expected goals 1 a side)
+   * @param {string[]} scores - "1-0", ...
+   * @returns {object[]}
+   */
+  const matches = (scores) => scores.map(score => {
+    const [homeGoals, awayGoals] = score.split('-').map(Number);
+    return { homeId: 1, awayId: 2, homeGoals, awayGoals, weight: 1 };
+  });
+
+  it('goes negative when draws are the low scores', () => {
+    // Likelihood of 1-1 alone is log(1 - rho): as low as the range allows
+    assert.ok(Math.abs(fitRho(matches(['1-1', '1-1']), EVEN, EVEN, 1) + 0.3) < 1e-4);
+  });
+
+  it('goes positive when one-goal wins are', () => {
+    // log(1 + rho) for 1-0 (away rate 1)
+    assert.ok(Math.abs(fitRho(matches(['1-0', '3-2']), EVEN, EVEN, 1) - 0.3) < 1e-4);
+  });
+
+  it('balances opposite adjustments', () => {
+    // log(1 - rho) + log(1 + rho) = log(1 - rho²), highest at 0
+    assert.ok(Math.abs(fitRho(matches(['1-1', '1-0', '2-2']), EVEN, EVEN, 1)) < 1e-4);
+  });
+});
+
+describe('fitModel', () => {
+  // Attack averages 1, as the fit scales it
+  const ATTACK = [1.4, 1.2, 1, 0.9, 0.8, 0.7];
+  const DEFENCE = [0.8, 0.9, 1, 1.1, 1.2, 1.3];
+  const HOME_ADVANTAGE = 1.25;
+  const AT = new Date('2024-05-20T00:00:00Z');
+
+  // Double round robin scoring exactly the expected goals, a week apart
+  const RESULTS = [];
+  for (let home = 0; home < ATTACK.length; home++) {
+    for (let away = 0; away < ATTACK.length; away++) {
+      if (home === away) continue;
+      RESULTS.push({
+        fixtureId: RESULTS.length + 1,
+        homeId: home + 100,
+        awayId: away + 100,
+        homeGoals: HOME_ADVANTAGE * ATTACK[home] * DEFENCE[away],
+        awayGoals: ATTACK[away] * DEFENCE[home],
+        playedAt: new Date(AT.getTime() - (RESULTS.length + 1) * 7 * 24 * 60 * 60 * 1000)
+      });
+    }
+  }
+
+  it('recovers the strengths behind synthetic results', () => {
+    const fit = fitModel(RESULTS, AT);
+
+    assert.ok(fit.iterations < 500, `${fit.iterations} iterations`);
+    assert.ok(Math.abs(fit.homeAdvantage - HOME_ADVANTAGE) < 1e-6, `home advantage ${fit.homeAdvantage}`);
+    ATTACK.forEach((attack, i) => {
+      assert.ok(Math.abs(fit.attack.get(i + 100) - attack) < 1e-6, `attack of ${i + 100}: ${fit.attack.get(i + 100)}`);
+      assert.ok(Math.abs(fit.defence.get(i + 100) - DEFENCE[i]) < 1e-6, `defence of ${i + 100}: ${fit.defence.get(i + 100)}`);
+    });
+  });
+
+  it('keeps the average attack at 1', () => {
+    // Scores that fit no single set of strengths
+    const noisy = RESULTS.map((result, i) => ({ ...result, homeGoals: i % 4, awayGoals: (i * 7) % 3 }));
+    const { attack } = fitModel(noisy, AT);
+
+    assert.ok(Math.abs(sum([...attack.values()]) / attack.size - 1) < 1e-9);
+  });
+});
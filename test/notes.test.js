@@ -0,0 +1,108 @@
+// ============================================
+// NOTES ROUTES
+// ============================================
+// CRUD on a user's own notes (routes/notes.js), and that nobody else
+// can read, edit or delete them.
+// ============================================
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import request from 'supertest';
+import { startApp, createUser } from './helpers.js';
+
+describe('notes', () => {
+  let app;
+  let prisma;
+  let owner;
+  let other;
+  let noteId;
+
+  const auth = (user) => ({ Authorization: `Bearer ${user.token}` });
+
+  before(async () => {
+    ({ app, prisma } = await startApp());
+    owner = await createUser(app);
+    other = await createUser(app);
+  });
+
+  after(async () => {
+    await prisma.$disconnect();
+  });
+
+  it('creates a note with its links', async () => {
+    const res = await request(app)
+      .post('/notes')
+      .set(auth(owner))
+      .send({
+        title: 'Arsenal corners',
+        content: 'Averaging 6 at home',
+        links: [
+          { contextType: 'team', contextId: '19', label: 'Arsenal', isPrimary: true },
+          { contextType: 'betting', label: 'Corners' }
+        ]
+      })
+      .expect(201);
+
+    noteId = res.body.note.id;
+    assert.equal(res.body.note.title, 'Arsenal corners');
+    assert.equal(res.body.note.links.length, 2);
+  });
+
+  it('rejects a note without exactly one primary link', async () => {
+    const res = await request(app)
+      .post('/notes')
+      .set(auth(owner))
+      .send({ title: 'No primary', content: 'x', links: [{ contextType: 'general' }] })
+      .expect(400);
+    assert.equal(res.body.error.code, 'VALIDATION_ERROR');
+  });
+
+  it('rejects a note without a title', async () => {
+    await request(app)
+      .post('/notes')
+      .set(auth(owner))
+      .send({ content: 'x', links: [{ contextType: 'general', isPrimary: true }] })
+      .expect(400);
+  });
+
+  it('lists the user\'s notes, filtered by link', async () => {
+    const all = await request(app).get('/notes').set(auth(owner)).expect(200);
+    assert.equal(all.body.count, 1);
+
+    const team = await request(app).get('/notes?contextType=team&contextId=19').set(auth(owner)).expect(200);
+    assert.equal(team.body.count, 1);
+
+    const player = await request(app).get('/notes?contextType=player').set(auth(owner)).expect(200);
+    assert.equal(player.body.count, 0);
+
+    const theirs = await request(app).get('/notes').set(auth(other)).expect(200);
+    assert.equal(theirs.body.count, 0);
+  });
+
+  it('updates a note', async () => {
+    const res = await request(app)
+      .put(`/notes/${noteId}`)
+      .set(auth(owner))
+      .send({ title: 'Arsenal corners (home)' })
+      .expect(200);
+    assert.equal(res.body.note.title, 'Arsenal corners (home)');
+
+    const fetched = await request(app).get(`/notes/${noteId}`).set(auth(owner)).expect(200);
+    assert.equal(fetched.body.note.title, 'Arsenal corners (home)');
+  });
+
+  it('keeps other users out of the note', async () => {
+    await request(app).get(`/notes/${noteId}`).set(auth(other)).expect(403);
+    await request(app).put(`/notes/${noteId}`).set(auth(other)).send({ title: 'Mine now' }).expect(403);
+    await request(app).delete(`/notes/${noteId}`).set(auth(other)).expect(403);
+  });
+
+  it('deletes a note', async () => {
+    const res = await request(app).delete(`/notes/${noteId}`).set(auth(owner)).expect(200);
+    assert.equal(res.body.deletedNoteId, noteId);
+
+    await request(app).get(`/notes/${noteId}`).set(auth(owner)).expect(404);
+    await request(app).delete(`/notes/${randomUUID()}`).set(auth(owner)).expect(404);
+  });
+});
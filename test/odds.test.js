@@ -0,0 +1,151 @@
+// ============================================
+// ODDS AND VALUE ROUTES
+// ============================================
+// Odds trees, fair odds, arbitrage and value bets, replayed from
+// recordings/sportsmonks: a slate of fixtures on 2099-08-15 (far ahead,
+// so they never kick off). Arsenal v Chelsea (19900001) has odds from
+// bet365, Betfair and Pinnacle and SportsMonks predictions; its best 1X2
+// prices (2.20 / 4.00 / 4.40) make a 7.32% arbitrage. Liverpool v
+// Everton (19900002) has no predictions.
+// ============================================
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { startApp } from './helpers.js';
+
+const ARS_CHE = 19900001;
+const SLATE = 'startDate=2099-08-14&endDate=2099-08-16';
+
+describe('odds and value routes', () => {
+  let app;
+  let prisma;
+
+  before(async () => {
+    ({ app, prisma } = await startApp());
+  });
+
+  after(async () => {
+    await prisma.$disconnect();
+  });
+
+  describe('odds', () => {
+    it('rejects bad IDs, filters and options', async () => {
+      for (const url of [
+        '/odds/fixtures/abc',
+        `/odds/fixtures/${ARS_CHE}?markets=1,x`,
+        `/odds/fixtures/${ARS_CHE}/markets/1/fair?method=guess`,
+        `/odds/fixtures/${ARS_CHE}/arbitrage?markets=1,99`
+      ]) {
+        const res = await request(app).get(url).expect(400);
+        assert.equal(res.body.error.code, 'VALIDATION_ERROR', url);
+      }
+    });
+
+    it('finds no arbitrage in odds that aren\'t cached yet', async () => {
+      const res = await request(app).get(`/odds/arbitrage?${SLATE}`).expect(200);
+
+      // The Scottish fixture isn't in the followed competitions
+      assert.equal(res.body.fixturesScanned, 0);
+      assert.equal(res.body.fixturesNotCached, 2);
+      assert.deepEqual(res.body.opportunities, []);
+    });
+
+    it('groups prices by market and selection with the best price of each', async () => {
+      const res = await request(app).get(`/odds/fixtures/${ARS_CHE}`).expect(200);
+
+      assert.deepEqual(res.body.bookmakers.map(bm => bm.name), ['bet365', 'Betfair', 'Pinnacle']);
+      assert.deepEqual(res.body.markets.map(market => [market.name, market.bookmakerCount]), [
+        ['Fulltime Result', 3],
+        ['Goals Over/Under', 2],
+        ['Both Teams To Score', 2]
+      ]);
+
+      const result = res.body.markets[0];
+      assert.deepEqual(result.selections.map(s => [s.key, s.best.decimal, s.best.bookmakerId]), [
+        ['1', 2.2, 2],
+        ['X', 4, 9],
+        ['2', 4.4, 20]
+      ]);
+    });
+
+    it('trims the tree to the requested bookmakers', async () => {
+      const res = await request(app).get(`/odds/fixtures/${ARS_CHE}?bookmakers=9&markets=14`).expect(200);
+
+      assert.deepEqual(res.body.bookmakers.map(bm => bm.id), [9]);
+      assert.deepEqual(res.body.markets[0].selections.map(s => [s.key, s.best.decimal]), [['yes', 1.85], ['no', 1.95]]);
+    });
+
+    it('takes each bookmaker\'s margin out of its prices', async () => {
+      const res = await request(app).get(`/odds/fixtures/${ARS_CHE}/markets/1/fair?bookmakers=2`).expect(200);
+      const [book] = res.body.books;
+      const [bet365] = book.bookmakers;
+
+      // 1/2.20 + 1/3.50 + 1/3.40 = 1.0344
+      assert.equal(bet365.overround, 3.44);
+      assert.deepEqual(bet365.prices.map(price => price.fairProbability), [0.4394, 0.2762, 0.2843]);
+      assert.equal(book.consensus.bookmakerCount, 1);
+    });
+
+    it('splits a bankroll across a 3-way arbitrage', async () => {
+      const res = await request(app).get(`/odds/fixtures/${ARS_CHE}/arbitrage`).expect(200);
+
+      assert.equal(res.body.opportunities.length, 1);
+      const [opportunity] = res.body.opportunities;
+      assert.equal(opportunity.marketId, 1);
+      assert.equal(opportunity.impliedTotal, 0.9318);
+      assert.equal(opportunity.profitMargin, 7.32);
+      assert.equal(opportunity.payout, 107.32);
+      assert.deepEqual(opportunity.legs.map(leg => [leg.key, leg.bookmakerName, leg.stake]), [
+        ['1', 'bet365', 48.78],
+        ['X', 'Betfair', 26.83],
+        ['2', 'Pinnacle', 24.39]
+      ]);
+    });
+
+    it('scans the odds that are cached', async () => {
+      const res = await request(app).get(`/odds/arbitrage?${SLATE}&bankroll=250`).expect(200);
+
+      assert.equal(res.body.fixturesScanned, 1);
+      assert.equal(res.body.fixturesNotCached, 1);
+      assert.deepEqual(res.body.opportunities.map(o => [o.fixtureId, o.marketId, o.profit]), [[ARS_CHE, 1, 18.29]]);
+    });
+  });
+
+  describe('value', () => {
+    it('rejects bad slates and filters', async () => {
+      for (const query of [
+        'startDate=2099-08-16&endDate=2099-08-14',
+        'startDate=2099-08-01&endDate=2099-08-31',
+        `${SLATE}&markets=1,99`,
+        `${SLATE}&minOdds=3&maxOdds=2`
+      ]) {
+        const res = await request(app).get(`/value?${query}`).expect(400);
+        assert.equal(res.body.error.code, 'VALIDATION_ERROR', query);
+      }
+    });
+
+    it('ranks selections priced above the model by expected value', async () => {
+      const res = await request(app).get(`/value?${SLATE}`).expect(200);
+
+      assert.equal(res.body.fixturesScanned, 2);
+      assert.equal(res.body.fixturesSkipped, 1);
+
+      // The draw at 4.00 is exactly the model's 25%: no edge
+      assert.deepEqual(
+        res.body.opportunities.map(o => [o.selection.key, o.best.decimal, o.edge, o.expectedValue]),
+        [
+          ['yes', 1.85, 5.95, 11],
+          ['1', 2.2, 4.55, 10],
+          ['2', 4.4, 2.27, 10],
+          ['over_2.5', 1.9, 2.37, 4.5]
+        ]
+      );
+    });
+
+    it('keeps only opportunities above the minimum edge', async () => {
+      const res = await request(app).get(`/value?${SLATE}&minEdge=5`).expect(200);
+      assert.deepEqual(res.body.opportunities.map(o => o.selection.key), ['yes']);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+// ============================================
+// PREDICTIONS ROUTES
+// ============================================
+// SportsMonks' predictability figures, replayed from
+// recordings/sportsmonks, and our calibration report over stored
+// PredictionSnapshot rows. One Premier League fixture is settled
+// through the service against its recording (Arsenal 5-0 Chelsea,
+// 18841433); an FA Cup one is stored already settled.
+// ============================================
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { startApp } from './helpers.js';
+
+const PREMIER_LEAGUE = 8;
+const FA_CUP = 24;
+const ARSENAL_5_CHELSEA_0 = 18841433;
+
+describe('predictions routes', () => {
+  let app;
+  let prisma;
+  let settlePredictionSnapshots;
+
+  before(async () => {
+    ({ app, prisma } = await startApp());
+    // Imported after startApp, which points the database at the test one
+    ({ settlePredictionSnapshots } = await import('../src/services/calibration.js'));
+  });
+
+  after(async () => {
+    await prisma.$disconnect();
+  });
+
+  describe('predictability', () => {
+    it('rejects a league ID that isn\'t a positive integer', async () => {
+      const res = await request(app).get('/predictions/predictability/leagues/abc').expect(400);
+      assert.equal(res.body.error.code, 'VALIDATION_ERROR');
+    });
+
+    it('returns the league\'s accuracy per market', async () => {
+      const res = await request(app).get(`/predictions/predictability/leagues/${PREMIER_LEAGUE}`).expect(200);
+
+      assert.equal(res.body.leagueId, PREMIER_LEAGUE);
+      assert.equal(res.body.data[0].data.fulltime_result, 0.55);
+    });
+  });
+
+  describe('calibration', () => {
+    before(async () => {
+      const snapshot = {
+        fixtureId: ARSENAL_5_CHELSEA_0,
+        leagueId: PREMIER_LEAGUE,
+        leagueName: 'Premier League',
+        seasonId: 21646,
+        kickoffAt: new Date('2024-04-23T19:00:00Z'),
+        recordedAt: new Date('2024-04-23T18:00:00Z')
+      };
+      await prisma.predictionSnapshot.createMany({
+        data: [
+          { ...snapshot, typeId: 237, probabilities: { home: 0.6, draw: 0.25, away: 0.15 } },
+          { ...snapshot, typeId: 231, probabilities: { yes: 0.55, no: 0.45 } },
+          {
+            fixtureId: 19000001,
+            typeId: 237,
+            leagueId: FA_CUP,
+            leagueName: 'FA Cup',
+            seasonId: 21800,
+            kickoffAt: new Date('2024-01-06T15:00:00Z'),
+            probabilities: { home: 0.2, draw: 0.3, away: 0.5 },
+            recordedAt: new Date('2024-01-06T14:00:00Z'),
+            outcome: 'draw',
+            settledAt: new Date('2024-01-06T17:00:00Z')
+          }
+        ]
+      });
+    });
+
+    it('rejects a date range that ends before it starts', async () => {
+      const res = await request(app).get('/predictions/calibration?from=2024-05-01&to=2024-04-01').expect(400);
+      assert.equal(res.body.error.code, 'VALIDATION_ERROR');
+    });
+
+    it('settles snapshots on the 90-minute score', async () => {
+      const result = await settlePredictionSnapshots(ARSENAL_5_CHELSEA_0);
+      assert.deepEqual(result, { fixtureId: ARSENAL_5_CHELSEA_0, state: 'FT', settled: 2, deleted: 0 });
+
+      const rows = await prisma.predictionSnapshot.findMany({
+        where: { fixtureId: ARSENAL_5_CHELSEA_0 },
+        orderBy: { typeId: 'asc' }
+      });
+      assert.deepEqual(rows.map(row => [row.typeId, row.outcome]), [[231, 'no'], [237, 'home']]);
+    });
+
+    it('scores each market overall and per competition', async () => {
+      const res = await request(app).get('/predictions/calibration').expect(200);
+      const market = (typeId) => res.body.markets.find(m => m.typeId === typeId);
+
+      assert.equal(res.body.fixtures, 2);
+
+      // 1X2: (0.6-1)² + 0.25² + 0.15² = 0.245 and 0.2² + (0.3-1)² + 0.5² = 0.78
+      const result = market(237);
+      assert.equal(result.predictions, 2);
+      assert.equal(result.brier, 0.5125);
+      assert.equal(result.logLoss, 0.8574);
+      assert.equal(result.accuracy, 0.5);
+      assert.deepEqual(
+        result.byCompetition.map(c => [c.leagueName, c.predictions, c.brier]),
+        [['FA Cup', 1, 0.78], ['Premier League', 1, 0.245]]
+      );
+
+      // Yes/no: only "yes" counts, 0.55² = 0.3025
+      assert.equal(market(231).brier, 0.3025);
+      assert.equal(market(234).predictions, 0);
+    });
+
+    it('filters by competition and kick-off date', async () => {
+      const byLeague = await request(app).get(`/predictions/calibration?leagueId=${FA_CUP}`).expect(200);
+      assert.equal(byLeague.body.fixtures, 1);
+      assert.equal(byLeague.body.filters.leagueId, FA_CUP);
+
+      const byDate = await request(app).get('/predictions/calibration?from=2024-04-23&to=2024-04-23').expect(200);
+      assert.equal(byDate.body.fixtures, 1);
+      assert.equal(byDate.body.markets.find(m => m.typeId === 237).byCompetition[0].leagueId, PREMIER_LEAGUE);
+    });
+  });
+});
@@ -0,0 +1,43 @@
+// ============================================
+// RATE LIMITING
+// ============================================
+// The auth limiter (middleware/rateLimiter.js) allows 15 requests per
+// 15 minutes. Limits are per process, so this file has its own.
+// ============================================
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { startApp } from './helpers.js';
+
+describe('rate limiting', () => {
+  let app;
+  let prisma;
+
+  before(async () => {
+    ({ app, prisma } = await startApp());
+  });
+
+  after(async () => {
+    await prisma.$disconnect();
+  });
+
+  it('rejects auth requests past the limit with RATE_LIMITED', async () => {
+    const login = () => request(app)
+      .post('/auth/login')
+      .send({ email: 'nobody@example.com', password: 'wrong-password' });
+
+    for (let i = 0; i < 15; i++) {
+      const res = await login().expect(401);
+      assert.equal(res.headers['ratelimit-limit'], '15');
+    }
+
+    const res = await login().expect(429);
+    assert.equal(res.body.error.code, 'RATE_LIMITED');
+    assert.equal(res.headers['ratelimit-remaining'], '0');
+  });
+
+  it('leaves routes under other limiters alone', async () => {
+    await request(app).get('/fixtures/18841433').expect(200);
+  });
+});
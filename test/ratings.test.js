@@ -0,0 +1,180 @@
+// ============================================
+// RATINGS ROUTES
+// ============================================
+// Elo ratings rebuilt from the fixtures warehouse after syncing the
+// 2023/24 Premier League season (21646) from recordings/sportsmonks:
+// Arsenal's 38 league fixtures (the recorded cup ties belong to other
+// seasons and aren't stored). Then a replay of three seeded fixtures
+// between made-up Championship and cup-only sides, one of them decided
+// on penalties.
+// ============================================
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { startApp } from './helpers.js';
+
+const PREMIER_LEAGUE = 8;
+const SEASON = 21646;
+const ARSENAL = 19;
+const ARSENAL_5_CHELSEA_0 = 18841433;
+
+describe('ratings routes', () => {
+  let app;
+  let prisma;
+  let syncSeason;
+  let rebuildRatings;
+
+  before(async () => {
+    ({ app, prisma } = await startApp());
+    // Imported after startApp, which points the database at the test one
+    ({ syncSeason } = await import('../src/services/warehouse.js'));
+    ({ rebuildRatings } = await import('../src/services/ratings.js'));
+  });
+
+  after(async () => {
+    await prisma.$disconnect();
+  });
+
+  it('rejects IDs that aren\'t positive integers', async () => {
+    for (const url of ['/ratings/leagues/abc', '/ratings/fixtures/0']) {
+      const res = await request(app).get(url).expect(400);
+      assert.equal(res.body.error.code, 'VALIDATION_ERROR', url);
+    }
+  });
+
+  it('has no table for a league without a synced season', async () => {
+    const res = await request(app).get(`/ratings/leagues/${PREMIER_LEAGUE}`).expect(404);
+    assert.equal(res.body.error.code, 'NOT_FOUND');
+  });
+
+  it('rates every team of the synced season', async () => {
+    await syncSeason(SEASON);
+    assert.deepEqual(await rebuildRatings(), { fixtures: 38, teams: 20 });
+
+    const res = await request(app).get(`/ratings/leagues/${PREMIER_LEAGUE}`).expect(200);
+    assert.equal(res.body.season.id, SEASON);
+    assert.equal(res.body.teams.length, 20);
+
+    const [top] = res.body.teams;
+    assert.equal(top.teamId, ARSENAL);
+    assert.equal(top.seasonFixtures, 38);
+    assert.equal(top.seasonChange, Math.round((top.rating - 1500) * 10) / 10);
+
+    // Every side started at 1500 and each fixture moves both by the same
+    // amount (up to the rounding of each rating to 0.1)
+    const total = res.body.teams.reduce((sum, team) => sum + team.rating, 0);
+    assert.ok(Math.abs(total - 20 * 1500) <= 20 * 0.05, `ratings sum to ${total}`);
+  });
+
+  it('shows a played fixture at the ratings it kicked off with', async () => {
+    const res = await request(app).get(`/ratings/fixtures/${ARSENAL_5_CHELSEA_0}`).expect(200);
+
+    assert.equal(res.body.played, true);
+    assert.deepEqual([res.body.home.name, res.body.away.name], ['Arsenal', 'Chelsea']);
+    assert.ok(res.body.home.change > 0);
+    assert.equal(res.body.away.change, -res.body.home.change);
+    assert.ok(Math.abs(res.body.home.ratingAfter - res.body.home.rating - res.body.home.change) < 0.11);
+
+    const { home, draw, away } = res.body.probabilities;
+    assert.ok(Math.abs(home + draw + away - 100) < 0.2);
+    assert.ok(home > away);
+  });
+
+  describe('rebuild replay', () => {
+    // Two Championship sides (starting at 1350) and a cup-only one (1250)
+    const TEAMS = { 9001: 'Alpha Town', 9002: 'Beta Rovers', 9003: 'Gamma United' };
+
+    /**
+     * Warehouse fixture between two of TEAMS
+     * @param {number} id
+     * @param {number} seasonId - 99009 (Championship) or 99024 (FA Cup)
+     * @param {string} day - YYYY-MM-DD
+     * @param {string} state
+     * @param {number} homeTeamId
+     * @param {number} awayTeamId
+     * @param {number[]} [goals] - [home, away] after extra time
+     * @returns {object}
+     */
+    const fixture = (id, seasonId, day, state, homeTeamId, awayTeamId, [homeGoals, awayGoals] = [null, null]) => ({
+      id,
+      seasonId,
+      leagueId: seasonId - 99000,
+      name: `${TEAMS[homeTeamId]} vs ${TEAMS[awayTeamId]}`,
+      startingAt: new Date(`${day}T15:00:00Z`),
+      state,
+      finished: state !== 'NS',
+      homeTeamId,
+      awayTeamId,
+      homeGoals,
+      awayGoals,
+      syncedAt: new Date(),
+      participants: {
+        create: [
+          { teamId: homeTeamId, name: TEAMS[homeTeamId], location: 'home' },
+          { teamId: awayTeamId, name: TEAMS[awayTeamId], location: 'away' }
+        ]
+      }
+    });
+
+    const history = async (teamId) => {
+      const res = await request(app).get(`/teams/${teamId}/rating-history`).expect(200);
+      return res.body;
+    };
+
+    before(async () => {
+      await prisma.warehouseSeason.createMany({
+        data: [
+          { id: 99009, leagueId: 9, leagueName: 'Championship', name: '2029/2030' },
+          { id: 99024, leagueId: 24, leagueName: 'FA Cup', name: '2029/2030' }
+        ]
+      });
+
+      for (const data of [
+        fixture(99000001, 99009, '2030-01-05', 'FT', 9001, 9002, [2, 0]),
+        // Won on penalties by the visitors: still a draw
+        fixture(99000002, 99024, '2030-01-12', 'FT_PEN', 9003, 9001, [1, 1]),
+        fixture(99000003, 99024, '2030-01-19', 'FT', 9002, 9003, [0, 4]),
+        fixture(99000004, 99024, '2099-02-02', 'NS', 9003, 9001)
+      ]) {
+        await prisma.warehouseFixture.create({ data });
+      }
+
+      assert.deepEqual(await rebuildRatings(), { fixtures: 41, teams: 23 });
+    });
+
+    it('replays the fixtures in order from each team\'s starting rating', async () => {
+      // 1350 v 1350: expected 58.5%, a 2-goal win x1.5 -> 20 x 1.5 x 0.415 = 12.4
+      const alpha = await history(9001);
+      assert.deepEqual([alpha.team.startingRating, alpha.team.rating, alpha.team.fixtures], [1350, 1360.9, 2]);
+      assert.deepEqual(alpha.history.map(h => [h.result, h.expected, h.ratingBefore, h.change]), [
+        ['W', 58.5, 1350, 12.4],
+        ['D', 57.5, 1362.4, -1.5]
+      ]);
+
+      // 1311.4 after a 4-goal defeat at home (x1.875): 20 x 1.875 x -0.699
+      const beta = await history(9002);
+      assert.deepEqual(beta.history.map(h => [h.result, h.ratingAfter]), [['L', 1337.6], ['L', 1311.4]]);
+    });
+
+    it('counts a penalty shootout as a draw', async () => {
+      const gamma = await history(9003);
+
+      // 1250 at home to 1362.4: expected 42.5%, so a draw gains 20 x 0.075
+      assert.deepEqual(gamma.history.map(h => [h.location, h.goalsFor, h.goalsAgainst, h.result, h.expected, h.change]), [
+        ['home', 1, 1, 'D', 42.5, 1.5],
+        ['away', 4, 0, 'W', 30.1, 26.2]
+      ]);
+      assert.deepEqual([gamma.team.startingRating, gamma.team.rating], [1250, 1277.7]);
+    });
+
+    it('prices the next fixture from the current ratings', async () => {
+      const [next] = (await history(9003)).upcoming;
+
+      // Gamma (1277.7) at home to Alpha (1360.9)
+      assert.equal(next.fixtureId, 99000004);
+      assert.deepEqual([next.location, next.opponent.rating, next.opponent.provisional], ['home', 1360.9, false]);
+      assert.deepEqual(next.probabilities, { win: 33.6, draw: 26.1, loss: 40.3 });
+    });
+  });
+});
@@ -0,0 +1,152 @@
+// ============================================
+// REFERENCE DATA ROUTES
+// ============================================
+// Leagues, seasons, standings, top scorers and players, replayed from
+// recordings/sportsmonks (Premier League 8, season 2023/24 = 21646).
+// ============================================
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { startApp } from './helpers.js';
+
+const PREMIER_LEAGUE = 8;
+const SEASON = 21646;
+const SAKA = 37356891;
+
+describe('reference data routes', () => {
+  let app;
+  let prisma;
+
+  before(async () => {
+    ({ app, prisma } = await startApp());
+  });
+
+  after(async () => {
+    await prisma.$disconnect();
+  });
+
+  describe('leagues', () => {
+    it('rejects IDs that aren\'t positive integers', async () => {
+      for (const url of ['/leagues/abc', '/leagues/0']) {
+        const res = await request(app).get(url).expect(400);
+        assert.equal(res.body.error.code, 'VALIDATION_ERROR', url);
+      }
+    });
+
+    it('lists and counts the subscribed leagues', async () => {
+      const res = await request(app).get('/leagues').expect(200);
+
+      assert.equal(res.body.count, 3);
+      assert.deepEqual(res.body.leagues.map(league => league.name), ['Premier League', 'FA Cup', 'Carabao Cup']);
+      assert.equal(res.body.leagues[0].currentseason.name, '2024/2025');
+    });
+
+    it('counts search results', async () => {
+      const res = await request(app).get('/leagues/search/Premier').expect(200);
+      assert.equal(res.body.count, 2);
+      assert.equal(res.body.message, 'Found 2 leagues matching "Premier"');
+    });
+
+    it('returns one league with its seasons', async () => {
+      const res = await request(app).get(`/leagues/${PREMIER_LEAGUE}`).expect(200);
+      assert.equal(res.body.league.name, 'Premier League');
+      assert.equal(res.body.league.seasons.length, 3);
+    });
+  });
+
+  describe('seasons', () => {
+    it('rejects IDs that aren\'t positive integers', async () => {
+      for (const url of ['/seasons/abc', '/seasons/leagues/-8']) {
+        const res = await request(app).get(url).expect(400);
+        assert.equal(res.body.error.code, 'VALIDATION_ERROR', url);
+      }
+    });
+
+    it('lists a league\'s seasons under its name', async () => {
+      const res = await request(app).get(`/seasons/leagues/${PREMIER_LEAGUE}`).expect(200);
+
+      assert.equal(res.body.leagueId, PREMIER_LEAGUE);
+      assert.equal(res.body.leagueName, 'Premier League');
+      assert.equal(res.body.count, 3);
+      assert.deepEqual(res.body.seasons.filter(season => season.is_current).map(season => season.id), [23614]);
+    });
+
+    it('lists every season with its league', async () => {
+      const res = await request(app).get('/seasons').expect(200);
+      assert.equal(res.body.count, 3);
+      assert.ok(res.body.seasons.every(season => season.league.id === PREMIER_LEAGUE));
+    });
+
+    it('returns one season with its stages', async () => {
+      const res = await request(app).get(`/seasons/${SEASON}`).expect(200);
+      assert.equal(res.body.season.name, '2023/2024');
+      assert.equal(res.body.season.stages[0].name, 'Regular Season');
+    });
+  });
+
+  describe('standings', () => {
+    it('rejects a season ID that isn\'t a positive integer', async () => {
+      const res = await request(app).get('/standings/seasons/abc').expect(400);
+      assert.equal(res.body.error.code, 'VALIDATION_ERROR');
+    });
+
+    it('returns the table in position order with each side\'s record', async () => {
+      const res = await request(app).get(`/standings/seasons/${SEASON}`).expect(200);
+
+      assert.equal(res.body.seasonId, SEASON);
+      assert.deepEqual(res.body.standings.map(row => [row.position, row.participant.name, row.points]), [
+        [1, 'Manchester City', 91],
+        [2, 'Arsenal', 89],
+        [3, 'Liverpool', 82],
+        [4, 'Aston Villa', 68]
+      ]);
+
+      // Played = won + drawn + lost (detail types 129-132)
+      const arsenal = res.body.standings[1];
+      const detail = (typeId) => arsenal.details.find(d => d.type_id === typeId).value;
+      assert.equal(detail(129), detail(130) + detail(131) + detail(132));
+      assert.equal(arsenal.points, detail(130) * 3 + detail(131));
+    });
+  });
+
+  describe('top scorers', () => {
+    it('rejects a season ID that isn\'t a positive integer', async () => {
+      const res = await request(app).get('/topscorers/seasons/0').expect(400);
+      assert.equal(res.body.error.code, 'VALIDATION_ERROR');
+    });
+
+    it('counts the season\'s top scorers', async () => {
+      const res = await request(app).get(`/topscorers/seasons/${SEASON}`).expect(200);
+
+      assert.equal(res.body.count, 3);
+      assert.equal(res.body.message, `Found 3 top scorers for season ${SEASON}`);
+      assert.deepEqual(res.body.topscorers.map(scorer => [scorer.player.display_name, scorer.total]), [
+        ['Erling Haaland', 27],
+        ['Cole Palmer', 22],
+        ['Bukayo Saka', 16]
+      ]);
+    });
+  });
+
+  describe('players', () => {
+    it('rejects IDs that aren\'t positive integers', async () => {
+      const res = await request(app).get('/players/abc').expect(400);
+      assert.equal(res.body.error.code, 'VALIDATION_ERROR');
+    });
+
+    it('counts search results', async () => {
+      const res = await request(app).get('/players/search/Saka').expect(200);
+
+      assert.equal(res.body.query, 'Saka');
+      assert.equal(res.body.message, 'Found 1 players matching "Saka"');
+      assert.equal(res.body.players[0].id, SAKA);
+    });
+
+    it('returns one player with their team', async () => {
+      const res = await request(app).get(`/players/${SAKA}`).expect(200);
+      assert.equal(res.body.player.display_name, 'Bukayo Saka');
+      assert.equal(res.body.player.teams[0].team.name, 'Arsenal');
+    });
+  });
+});